@@ -23,17 +23,21 @@ import inboxRoutes from "./routes/inboxRoutes.js";
 import approvalSubstituteRoutes from "./routes/approvalSubstituteRoutes.js";
 import apiKeyRoutes from "./routes/apiKeyRoutes.js";
 import externalApiKeyRoutes from "./routes/externalApiKeyRoutes.js";
+import scimRoutes from "./routes/scimRoutes.js";
 import organizationRoutes from "./routes/organizationRoutes.js";
 import onboardingImportRoutes from "./routes/onboardingImportRoutes.js";
 import exportRoutes from "./routes/exportRoutes.js";
 import reportRoutes from "./routes/reportRoutes.js";
 import viaticasPolicyRoutes from "./routes/viaticasPolicyRoutes.js";
 import fxRoutes from "./routes/fxRoutes.js";
+import walletRoutes from "./routes/walletRoutes.js";
 import flightsRoutes from "./routes/flightsRoutes.js";
 import hotelsRoutes from "./routes/hotelsRoutes.js";
 import requestCommentRoutes from "./routes/requestCommentRoutes.js";
 import workflowRuleRoutes from "./routes/workflowRuleRoutes.js";
 import chartOfAccountRoutes from "./routes/chartOfAccountRoutes.js";
+import accountingPeriodRoutes from "./routes/accountingPeriodRoutes.js";
+import eventRoutes from "./routes/eventRoutes.js";
 
 import { handleAuthError } from "./middleware/authErrors.js";
 
@@ -112,7 +116,7 @@ if (process.env.NODE_ENV !== "test") {
             return next();
         }
         // Integraciones machine-to-machine (ERP) usan X-API-Key sin sesión CSRF.
-        if (pathOnly.startsWith("/api/external")) {
+        if (pathOnly.startsWith("/api/external") || pathOnly.startsWith("/scim/")) {
             return next();
         }
         return csrfProtection(req, res, next);
@@ -146,13 +150,19 @@ app.use("/api/fx", fxRoutes);
 app.use("/api/flights", flightsRoutes);
 app.use("/api/hotels", hotelsRoutes);
 app.use("/api/notifications", notificationRoutes);
+// Stream SSE unificado: estados, historial, comprobantes y notificaciones por usuario/solicitud.
+app.use("/api/events", eventRoutes);
 // M2-006 — Refund rule engine
 app.use("/api/policies", policyRoutes);
 app.use("/api/employee-categories", employeeCategoryRouter);
 app.use("/api/refunds", refundRoutes);
+// Monedero del empleado (partida doble) y estados de cuenta
+app.use("/api/wallet", walletRoutes);
 // API keys por organización (panel admin + endpoints externos para integraciones)
 app.use("/api/keys", apiKeyRoutes);
 app.use("/api/external", externalApiKeyRoutes);
+// SCIM 2.0 para el IdP del cliente (misma API key por organización, permiso scim:provision).
+app.use("/scim/v2", scimRoutes);
 // Multi-tenant: gestión de organizaciones (Ditta only para crear/listar; admins de org leen/editan la propia).
 app.use("/api/organizations", organizationRoutes);
 // M3-007 — Importación masiva de usuarios para onboarding (JSON / CSV, strategy pattern).
@@ -161,6 +171,8 @@ app.use("/api/onboarding/import", onboardingImportRoutes);
 app.use("/api/export", exportRoutes);
 // US-24 — Catálogo contable maestro: CRUD de cuentas por organización.
 app.use("/api/chart-of-accounts", chartOfAccountRoutes);
+// Periodos contables: cierre mensual y bloqueo de PSTNG_DATE por organización / sociedad.
+app.use("/api/accounting-periods", accountingPeriodRoutes);
 app.use("/api/reports", reportRoutes);
 // TF-009 — Política de viáticos: topes de hotel y comida por organización.
 app.use("/api/viaticos-policy", viaticasPolicyRoutes);
@@ -0,0 +1,22 @@
+/**
+ * @module fxRates
+ * @description Tipos de cambio y proveedores compartidos por la validación y services/fx.
+ *   - FIX: contabilidad (pólizas); FIX de Banxico publicado en o antes de la fecha contable.
+ *   - SPOT: cotización (búsqueda de viajes, conversión en pantalla); tasa de mercado del día.
+ *   - RECEIPT_DATE: reembolso; tasa vigente en la fecha del comprobante.
+ */
+
+export const FX_RATE_TYPES = Object.freeze(["FIX", "SPOT", "RECEIPT_DATE"]);
+
+/** Proveedores registrados en services/fx/fxProviders.js. */
+export const FX_PROVIDERS = Object.freeze(["banxico_fix", "wise", "frankfurter"]);
+
+/** Cadena por tipo cuando la organización no configuró la suya. */
+export const DEFAULT_FX_CHAINS = Object.freeze({
+  FIX: Object.freeze(["banxico_fix"]),
+  SPOT: Object.freeze(["wise", "frankfurter", "banxico_fix"]),
+  RECEIPT_DATE: Object.freeze(["banxico_fix", "frankfurter"]),
+});
+
+/** Días hacia atrás que se acepta la última publicación de un proveedor. */
+export const DEFAULT_FX_MAX_STALE_DAYS = 5;
@@ -0,0 +1,38 @@
+/**
+ * @module requestStatus
+ * @description IDs del catálogo global `Request_status` sembrado en prisma/seed.js.
+ * Las transiciones permitidas entre ellos viven en services/requestStateMachine.js.
+ */
+
+export const REQUEST_STATUS = Object.freeze({
+  BORRADOR: 1,
+  PRIMERA_REVISION: 2,
+  SEGUNDA_REVISION: 3,
+  COTIZACION_VIAJE: 4,
+  ATENCION_AGENCIA: 5,
+  COMPROBACION_GASTOS: 6,
+  VALIDACION_COMPROBANTES: 7,
+  FINALIZADO: 8,
+  CANCELADO: 9,
+  RECHAZADO: 10,
+});
+
+export const REQUEST_STATUS_LABELS = Object.freeze({
+  [REQUEST_STATUS.BORRADOR]: "Borrador",
+  [REQUEST_STATUS.PRIMERA_REVISION]: "Primera Revisión",
+  [REQUEST_STATUS.SEGUNDA_REVISION]: "Segunda Revisión",
+  [REQUEST_STATUS.COTIZACION_VIAJE]: "Cotización del Viaje",
+  [REQUEST_STATUS.ATENCION_AGENCIA]: "Atención Agencia de Viajes",
+  [REQUEST_STATUS.COMPROBACION_GASTOS]: "Comprobación gastos del viaje",
+  [REQUEST_STATUS.VALIDACION_COMPROBANTES]: "Validación de comprobantes",
+  [REQUEST_STATUS.FINALIZADO]: "Finalizado",
+  [REQUEST_STATUS.CANCELADO]: "Cancelado",
+  [REQUEST_STATUS.RECHAZADO]: "Rechazado",
+});
+
+/** Finalizado, Cancelado, Rechazado. */
+export const TERMINAL_STATUS_IDS = Object.freeze([
+  REQUEST_STATUS.FINALIZADO,
+  REQUEST_STATUS.CANCELADO,
+  REQUEST_STATUS.RECHAZADO,
+]);
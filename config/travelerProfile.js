@@ -0,0 +1,14 @@
+/**
+ * @module travelerProfile
+ * @description Catálogos del perfil de viajero compartidos por la validación y travelerProfileService.
+ */
+
+export const SEAT_PREFERENCES = Object.freeze(["window", "aisle", "middle"]);
+
+/** Códigos IATA de comida especial más comunes. */
+export const MEAL_PREFERENCES = Object.freeze([
+  "VGML", "AVML", "VLML", "KSML", "MOML", "HNML", "GFML", "DBML", "LCML", "LFML", "NLML", "CHML", "BBML",
+]);
+
+/** Meses mínimos de vigencia del pasaporte después del viaje. */
+export const PASSPORT_VALIDITY_MONTHS = 6;
@@ -4,40 +4,102 @@
  * Expone dos endpoints restringidos al rol "Cuentas por pagar":
  *   GET /accounting-export/:request_id           - polizas de un Request finalizado
  *   GET /accounting-export?from=&to=             - polizas de Requests finalizados en un rango
- * Formato de respuesta: JSON por default, XML si ?format=xml o Accept: application/xml.
+ * Formato de respuesta: ?format= explícito, XML si Accept: application/xml, o el layout ERP de la
+ * organización (CONTPAQi, Aspel COI, NetSuite, SAT PLZ…; ver accountingExportFormatService). Default JSON.
  */
 import AccountingExportService from "../services/accountingExportService.js";
+import AccountingExportFormatService from "../services/accountingExportFormatService.js";
+import ExportBatchService from "../services/exportBatchService.js";
 
 /**
- * Decide formato de salida segun query (?format=) o header Accept.
+ * Organización del llamante: API key (/api/external), tenant resuelto o usuario.
  * @param {import('express').Request} req
- * @returns {'xml'|'json'}
+ * @returns {?string|number|bigint}
  */
-const resolveFormat = (req) => {
-    const q = String(req.query.format || "").toLowerCase();
-    if (q === "xml" || q === "json") return q;
-    const accept = String(req.headers.accept || "").toLowerCase();
-    if (accept.includes("application/xml") || accept.includes("text/xml")) return "xml";
-    return "json";
-};
+const organizationIdFrom = (req) =>
+    req.apiKey?.organizationId ?? req.tenant?.organizationId ?? req.user?.organization_id ?? null;
+
+/**
+ * Resuelve y valida el formato de salida antes de generar las polizas.
+ * @param {import('express').Request} req
+ * @param {?{ from: Date, to: Date }} [period]
+ * @returns {ReturnType<typeof AccountingExportFormatService.prepareExport>}
+ */
+const prepareFormat = (req, period = null) =>
+    AccountingExportFormatService.prepareExport({
+        organizationId: organizationIdFrom(req),
+        format: req.query.format,
+        accept: req.headers.accept,
+        query: req.query,
+        period,
+    });
 
 /**
- * Enviar polizas en el formato solicitado.
+ * Enviar polizas en el formato resuelto. JSON y XML conservan la respuesta inline original;
+ * los layouts de ERP se descargan como archivo.
  * @param {import('express').Response} res
  * @param {Array<Object>} polizas
- * @param {'xml'|'json'} format
+ * @param {Awaited<ReturnType<typeof prepareFormat>>} prepared
+ * @param {?Object} [extra] Llaves que se agregan a las respuestas JSON (p. ej. `batch`, `skipped`)
+ * @returns {Promise<import('express').Response>}
+ */
+const sendPolizas = async (res, polizas, prepared, extra = null) => {
+    const { body, contentType, fileName } = await AccountingExportFormatService.serializePolizas(prepared, polizas);
+    if (typeof body !== "string") {
+        return res.status(200).json(extra && !Array.isArray(body) ? { ...extra, ...body } : body);
+    }
+    res.type(contentType);
+    if (prepared.serializer.name !== "json" && prepared.serializer.name !== "xml") {
+        res.attachment(fileName);
+    }
+    return res.status(200).send(body);
+};
+
+/**
+ * Usuario o API key que ejecuta la acción, para la bitácora de lotes.
+ * @param {import('express').Request} req
+ * @returns {{ userId: ?number, apiKeyId: ?number }}
+ */
+const actorFrom = (req) => ({
+    userId: req.apiKey ? null : req.user?.user_id ?? null,
+    apiKeyId: req.apiKey?.id ?? null,
+});
+
+/**
+ * Respuesta de error para los servicios que lanzan `{ status, message }`.
+ * @param {import('express').Response} res
+ * @param {any} error
+ * @param {string} handler
  * @returns {import('express').Response}
  */
-const sendPolizas = (res, polizas, format) => {
-    if (format === "xml") {
-        res.type("application/xml");
-        return res.status(200).send(AccountingExportService.polizasToXml(polizas));
-    }
-    const compatible = polizas.map((p) => ({
-        ...p,
-        detalles: p.detalle || p.detalles || [],
-    }));
-    return res.status(200).json({ polizas: compatible });
+const sendBatchError = (res, error, handler) => {
+    if (error?.status) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    if (error instanceof AccountingExportService.ValidationError) {
+        return res.status(400).json({ error: error.message });
+    }
+    console.error(`Error in ${handler} controller:`, error);
+    return res.status(500).json({ error: "Internal server error" });
+};
+
+/**
+ * GET /api/export/formats
+ * Formatos de export disponibles y el default de la organización.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @returns {Promise<import('express').Response>}
+ */
+const listFormats = async (req, res) => {
+    try {
+        return res.status(200).json({
+            default: await AccountingExportFormatService.defaultExportFormat(organizationIdFrom(req)),
+            formats: AccountingExportFormatService.listExportFormats(),
+        });
+    } catch (error) {
+        console.error("Error in listFormats controller:", error);
+        return res.status(500).json({ error: "Internal server error" });
+    }
 };
 
 /**
@@ -48,11 +110,11 @@ const sendPolizas = (res, polizas, format) => {
  */
 const exportByRequest = async (req, res) => {
     const requestId = Number(req.params.request_id);
-    const format = resolveFormat(req);
 
     try {
+        const prepared = await prepareFormat(req);
         const polizas = await AccountingExportService.getPolizasForRequest(requestId);
-        return sendPolizas(res, polizas, format);
+        return await sendPolizas(res, polizas, prepared);
     } catch (error) {
         if (error instanceof AccountingExportService.ValidationError) {
             return res.status(400).json({ error: error.message });
@@ -76,7 +138,6 @@ const exportByRequest = async (req, res) => {
  */
 const exportByRange = async (req, res) => {
     const { from, to } = req.query;
-    const format = resolveFormat(req);
 
     const fromDate = from ? new Date(String(from)) : null;
     const toDate = to ? new Date(String(to)) : null;
@@ -88,12 +149,14 @@ const exportByRange = async (req, res) => {
         return res.status(400).json({ error: "'from' must be on or before 'to'" });
     }
 
+    const period = { from: new Date(fromDate), to: new Date(toDate) };
     // Inclusivo hasta el final del dia para 'to'.
     toDate.setHours(23, 59, 59, 999);
 
     try {
+        const prepared = await prepareFormat(req, period);
         const polizas = await AccountingExportService.getPolizasInRange(fromDate, toDate);
-        return sendPolizas(res, polizas, format);
+        return await sendPolizas(res, polizas, prepared);
     } catch (error) {
         if (error instanceof AccountingExportService.ValidationError) {
             return res.status(400).json({ error: error.message });
@@ -104,19 +167,22 @@ const exportByRange = async (req, res) => {
 };
 
 /**
- * GET /api/export/contable?date_from=YYYY-MM-DD[&date_to=YYYY-MM-DD][&status=Sincronizado][&format=xml|json]
+ * GET /api/export/contable?date_from=YYYY-MM-DD[&date_to=YYYY-MM-DD][&status=Sincronizado][&format=]
  *
- * Exporta polizas contables de Requests finalizados en un rango.
- * - Devuelve solo registros no exportados (isExported=false) por default.
+ * Exporta polizas contables de Requests finalizados en un rango como un lote numerado (export_batches).
+ * - Devuelve solo registros pendientes (isExported=false) por default; las pólizas rechazadas por el ERP
+ *   regresan a esta cola.
  * - Si status=Sincronizado, incluye tambien los ya exportados (force=true).
- * - Tras generar las polizas, marca los requests como isExported=true (Sincronizado).
+ * - El número de lote va en `X-Export-Batch` (y en `batch` de la respuesta JSON); el ERP lo usa para
+ *   acusar con POST /api/export/batches/:batch_id/ack.
+ * - Las solicitudes cuyo periodo contable está cerrado no se exportan: quedan pendientes y se reportan
+ *   en `X-Export-Skipped` / `skipped`. En periodos con cierre suave la fecha se recorre al primer periodo abierto.
  *
  * @param {import('express').Request} req
  * @param {import('express').Response} res
  */
 const exportContable = async (req, res) => {
     const { date_from, date_to, status } = req.query;
-    const format = resolveFormat(req);
 
     if (!date_from) {
         return res.status(400).json({ error: "Query param 'date_from' (YYYY-MM-DD) is required" });
@@ -139,11 +205,35 @@ const exportContable = async (req, res) => {
     // status=Sincronizado => re-exportar registros ya sincronizados (force mode)
     const force = String(status || "").toLowerCase() === "sincronizado";
 
+    const period = { from: new Date(fromDate), to: new Date(toDate) };
     toDate.setHours(23, 59, 59, 999);
 
+    const organizationId = organizationIdFrom(req);
+    if (organizationId === null) {
+        return res.status(403).json({ error: "Organization context required" });
+    }
+
     try {
-        const polizas = await AccountingExportService.getPolizasInRange(fromDate, toDate, { force });
-        return sendPolizas(res, polizas, format);
+        const prepared = await prepareFormat(req, period);
+        const { batch, polizas, skipped } = await ExportBatchService.exportRangeAsBatch({
+            organizationId,
+            from: fromDate,
+            to: toDate,
+            force,
+            format: prepared.serializer.name,
+            period,
+            actor: actorFrom(req),
+        });
+        if (batch) {
+            res.set("X-Export-Batch", String(batch.id));
+        }
+        if (skipped.length > 0) {
+            res.set("X-Export-Skipped", String(skipped.length));
+        }
+        return await sendPolizas(res, polizas, prepared, {
+            ...(batch ? { batch } : {}),
+            ...(skipped.length > 0 ? { skipped } : {}),
+        });
     } catch (error) {
         if (error instanceof AccountingExportService.ValidationError) {
             return res.status(400).json({ error: error.message });
@@ -153,8 +243,116 @@ const exportContable = async (req, res) => {
     }
 };
 
+/**
+ * GET /api/export/batches?status=&kind=&limit=
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @returns {Promise<import('express').Response>}
+ */
+const listBatches = async (req, res) => {
+    try {
+        const batches = await ExportBatchService.listBatches(organizationIdFrom(req), {
+            status: req.query.status,
+            kind: req.query.kind,
+            limit: req.query.limit,
+        });
+        return res.status(200).json({ batches });
+    } catch (error) {
+        return sendBatchError(res, error, "listBatches");
+    }
+};
+
+/**
+ * GET /api/export/batches/:batch_id
+ * Lote con el estado de cada póliza y su bitácora.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @returns {Promise<import('express').Response>}
+ */
+const getBatch = async (req, res) => {
+    try {
+        return res.status(200).json(await ExportBatchService.getBatch(organizationIdFrom(req), Number(req.params.batch_id)));
+    } catch (error) {
+        return sendBatchError(res, error, "getBatch");
+    }
+};
+
+/**
+ * GET /api/export/batches/:batch_id/polizas?format=
+ * Re-descarga las pólizas del lote tal como se enviaron (no regenera ni marca solicitudes).
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @returns {Promise<import('express').Response>}
+ */
+const downloadBatch = async (req, res) => {
+    try {
+        const prepared = await prepareFormat(req);
+        const { batch, polizas } = await ExportBatchService.getBatchPolizas(
+            organizationIdFrom(req),
+            Number(req.params.batch_id),
+            { format: prepared.serializer.name, actor: actorFrom(req) }
+        );
+        res.set("X-Export-Batch", String(batch.id));
+        return await sendPolizas(res, polizas, prepared, { batch });
+    } catch (error) {
+        return sendBatchError(res, error, "downloadBatch");
+    }
+};
+
+/**
+ * POST /api/export/batches/:batch_id/ack
+ * Acuse del ERP: `{ polizas: [{ poliza: "GV-222", status: "POSTED", documentNumber }, { poliza, status: "FAILED", errors }] }`.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @returns {Promise<import('express').Response>}
+ */
+const acknowledgeBatch = async (req, res) => {
+    try {
+        const batch = await ExportBatchService.acknowledgeBatch(
+            organizationIdFrom(req),
+            Number(req.params.batch_id),
+            req.body?.polizas,
+            actorFrom(req)
+        );
+        return res.status(200).json(batch);
+    } catch (error) {
+        return sendBatchError(res, error, "acknowledgeBatch");
+    }
+};
+
+/**
+ * POST /api/export/batches/:batch_id/reverse
+ * Reversa el lote con pólizas espejo; `{ reason, postingDate?, requeue? }`.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @returns {Promise<import('express').Response>}
+ */
+const reverseBatch = async (req, res) => {
+    try {
+        const result = await ExportBatchService.reverseBatch(
+            organizationIdFrom(req),
+            Number(req.params.batch_id),
+            {
+                reason: req.body?.reason,
+                postingDate: req.body?.postingDate,
+                requeue: req.body?.requeue !== false,
+            },
+            actorFrom(req)
+        );
+        return res.status(201).json(result);
+    } catch (error) {
+        return sendBatchError(res, error, "reverseBatch");
+    }
+};
+
 export default {
+    listFormats,
     exportByRequest,
     exportByRange,
     exportContable,
+    listBatches,
+    getBatch,
+    downloadBatch,
+    acknowledgeBatch,
+    reverseBatch,
 };
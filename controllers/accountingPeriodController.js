@@ -0,0 +1,75 @@
+/**
+ * @module accountingPeriodController
+ * @description Consulta, apertura y cierre de periodos contables (bloqueo de fecha de contabilización).
+ */
+import AccountingPeriodService from "../services/accountingPeriodService.js";
+
+/**
+ * Organización activa (impersonación ROOT + X-Organization-Id usa req.tenant).
+ * @param {import("express").Request} req
+ * @returns {bigint|number|string|null}
+ */
+const resolveActiveOrganizationId = (req) =>
+    req.tenant?.organizationId ?? req.user?.organization_id ?? null;
+
+/**
+ * @param {import("express").Response} res
+ * @param {Error & { status?: number }} error
+ * @param {string} label
+ * @returns {import("express").Response}
+ */
+const handleError = (res, error, label) => {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error(`${label}:`, error);
+    return res.status(500).json({ error: "Internal server error" });
+};
+
+/**
+ * GET /api/accounting-periods?year=&society_id=
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ */
+const listPeriods = async (req, res) => {
+    const orgId = resolveActiveOrganizationId(req);
+    if (orgId === null) {
+        return res.status(400).json({ error: "No hay organización en contexto." });
+    }
+    try {
+        const periods = await AccountingPeriodService.listPeriods(orgId, {
+            year: req.query.year,
+            societyId: req.query.society_id,
+        });
+        return res.status(200).json({ periods });
+    } catch (error) {
+        return handleError(res, error, "accountingPeriod.list");
+    }
+};
+
+/**
+ * Handler para POST /api/accounting-periods/:period/{open|soft-close|close}.
+ * @param {'OPEN'|'SOFT_CLOSED'|'CLOSED'} status
+ * @returns {import("express").RequestHandler}
+ */
+const setStatus = (status) => async (req, res) => {
+    const orgId = resolveActiveOrganizationId(req);
+    if (orgId === null) {
+        return res.status(400).json({ error: "No hay organización en contexto." });
+    }
+    try {
+        const period = await AccountingPeriodService.setPeriodStatus(orgId, req.params.period, status, {
+            societyId: req.body?.society_id ?? null,
+            reason: req.body?.reason,
+            userId: req.user?.user_id ?? null,
+        });
+        return res.status(200).json(period);
+    } catch (error) {
+        return handleError(res, error, "accountingPeriod.setStatus");
+    }
+};
+
+export default {
+    listPeriods,
+    openPeriod: setStatus("OPEN"),
+    softClosePeriod: setStatus("SOFT_CLOSED"),
+    closePeriod: setStatus("CLOSED"),
+};
@@ -12,6 +12,18 @@ import { Mail } from "../services/email/mail.cjs";
 import { isWithinDeadline } from "../services/reimbursementTimeService.js";
 import prisma from "../database/config/prisma.js";
 import { createComment } from "../services/requestCommentService.js";
+import walletLedgerService from "../services/walletLedgerService.js";
+import {
+    emitReceiptValidationChanged,
+    emitRequestUpdated,
+    emitSafe,
+} from "../services/requestEventService.js";
+import {
+    REQUEST_ACTIONS,
+    REQUEST_STATUS,
+    resolveTransition,
+    runTransitionSideEffects,
+} from "../services/requestStateMachine.js";
 
 const EFOS_EMISOR_BLACKLIST_APPROVAL = ["100", "101", "104"];
 
@@ -31,7 +43,7 @@ function isInternationalCfdi(cfdi) {
  * 7 = Validación de comprobantes · 8 = Finalizado
  * (catálogo global Request_status, ver seed.js).
  */
-const CXP_HISTORIAL_STATUS_IDS = [7, 8];
+const CXP_HISTORIAL_STATUS_IDS = [REQUEST_STATUS.VALIDACION_COMPROBANTES, REQUEST_STATUS.FINALIZADO];
 
 /**
  * Lista "0, 1, 0" del modelo → true si algún tramo requiere hotel o avión.
@@ -48,7 +60,8 @@ function csvListNeedsService(csv) {
 
 /**
  * Attends a travel request by setting the imposed fee and advancing its status.
- * Routes to travel agency (status 5) if hotel/plane is needed, otherwise to status 6.
+ * Prefers the travel agency (status 5) if hotel/plane is needed, otherwise status 6;
+ * the organization's state machine may route it elsewhere (e.g. skip the agency).
  * @param {import('express').Request} req - Express request (params: request_id, body: { imposed_fee })
  * @param {import('express').Response} res - Express response
  * @returns {void} JSON with new status and imposed fee, or 404/400/500 error
@@ -63,22 +76,26 @@ const attendTravelRequest = async (req, res) => {
             return res.status(404).json({ error: "Travel request not found" });
         }
 
-        const currentStatus = request.request_status_id;
-
-        if (currentStatus !== 4) {
-            return res.status(404).json({ error: "This request cannot be attended by accounts payable" });
-        }
-
         const hotel = request.hotel_needed_list;
         const plane = request.plane_needed_list;
-        const newStatus =
-            csvListNeedsService(hotel) || csvListNeedsService(plane) ? 5 : 6;
+        const transition = await resolveTransition({
+            organizationId: request.organization_id,
+            fromStatusId: request.request_status_id,
+            action: REQUEST_ACTIONS.ATTEND_CXP,
+            preferredTo: csvListNeedsService(hotel) || csvListNeedsService(plane)
+                ? REQUEST_STATUS.ATENCION_AGENCIA
+                : REQUEST_STATUS.COMPROBACION_GASTOS,
+            actorUserId: Number(req.user?.user_id) || null,
+            permissionSet: req.user?.permissionSet,
+        });
+        const newStatus = transition.toStatusId;
 
         const updated = await AccountsPayable.attendTravelRequest(requestId, imposedFee, newStatus);
 
         if (!updated) {
             return res.status(400).json({ error: "Failed to update travel request status" });
         }
+        await runTransitionSideEffects(requestId, transition);
 
         try {
             const { user_email, user_name, status } = await mailData(requestId);
@@ -87,6 +104,8 @@ const attendTravelRequest = async (req, res) => {
             console.warn("[attendTravelRequest] Estado actualizado; correo no enviado:", mailErr?.message || mailErr);
         }
 
+        await emitSafe(() => emitRequestUpdated(requestId, { actorUserId: Number(req.user?.user_id) || null }));
+
         return res.status(200).json({
             message: "Travel request status updated successfully",
             requestId: requestId,
@@ -94,6 +113,9 @@ const attendTravelRequest = async (req, res) => {
             newStatus: newStatus,
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error("Error in attendTravelRequest controller:", error);
         res.status(500).json({ error: "Internal server error" });
     }
@@ -109,7 +131,10 @@ const validateReceiptsHandler = async (req, res) => {
     const requestId = req.params.request_id;
 
     try {
-        const result = await AccountsPayableService.validateReceiptsAndUpdateStatus(requestId);
+        const result = await AccountsPayableService.validateReceiptsAndUpdateStatus(requestId, {
+            actorUserId: Number(req.user?.user_id) || null,
+            permissionSet: req.user?.permissionSet,
+        });
         try {
             const { user_email, user_name, status } = await mailData(requestId);
             await Mail(user_email, user_name, requestId, status);
@@ -119,8 +144,12 @@ const validateReceiptsHandler = async (req, res) => {
                 mailErr?.message || mailErr
             );
         }
+        await emitSafe(() => emitRequestUpdated(requestId, { actorUserId: Number(req.user?.user_id) || null }));
         res.status(200).json(result);
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error("Error in validateReceiptsHandler:", error);
         res.status(500).json({ error: "Internal server error" });
     }
@@ -239,7 +268,19 @@ const validateReceipt = async (req, res) => {
 
         if (approval === 1 && Number.isFinite(Number(receipt.request_id))) {
             try {
-                await AccountsPayableService.validateReceiptsAndUpdateStatus(Number(receipt.request_id));
+                await walletLedgerService.recordExpenseProven(Number(receiptId));
+            } catch (ledgerErr) {
+                // onExpensesVerified vuelve a intentar los comprobantes que falten al finalizar.
+                console.warn(
+                    "[validateReceipt] Recibo actualizado; monedero sin registrar:",
+                    ledgerErr?.message || ledgerErr,
+                );
+            }
+            try {
+                await AccountsPayableService.validateReceiptsAndUpdateStatus(Number(receipt.request_id), {
+                    actorUserId: Number(req.user?.user_id) || null,
+                    permissionSet: req.user?.permissionSet,
+                });
             } catch (syncErr) {
                 console.warn(
                     "[validateReceipt] Recibo actualizado; sync estado viaje:",
@@ -249,6 +290,15 @@ const validateReceipt = async (req, res) => {
         }
 
         const statusLabel = approval === 1 ? "Aprobado" : "Rechazado";
+
+        if (Number.isFinite(Number(receipt.request_id))) {
+            const requestId = Number(receipt.request_id);
+            await emitSafe(() => emitReceiptValidationChanged(requestId, receiptId, statusLabel));
+            if (approval === 1) {
+                // validateReceiptsAndUpdateStatus pudo cerrar la validación del viaje.
+                await emitSafe(() => emitRequestUpdated(requestId, { actorUserId: Number(req.user?.user_id) || null }));
+            }
+        }
         const summaryLabel = approval === 1 ? "Receipt approved" : "Receipt rejected";
         const messageLabel = approval === 1
             ? "Receipt has been approved."
@@ -8,6 +8,8 @@ import userModel from "../models/userModel.js";
 import employeeSyncService from "../services/employeeSyncService.js";
 import EmployeeModel from "../models/employeeModel.js";
 import employeeHierarchyService from "../services/employeeHierarchyService.js";
+import { listJobRuns, runScheduledJob } from "../services/scheduler/jobRunner.js";
+import hrRosterSyncService from "../services/onboarding/hrRosterSyncService.js";
 
 /**
  * Org activa (JWT o tenant tras impersonación).
@@ -190,6 +192,8 @@ export const getEmployees = async (req, res) => {
                 email: e.email,
                 jefe_inmediato: e.jefeInmediato,
                 proveedor: e.proveedor,
+                clabe_last4: e.clabeLast4 ?? null,
+                bank_code: e.bankCode ?? null,
                 ceco: e.ceco,
                 status: e.status,
                 fecha_alta: e.fechaAlta,
@@ -299,6 +303,127 @@ export const linkUserEmployee = async (req, res) => {
     }
 };
 
+/**
+ * Lists scheduler job runs across replicas (cross-tenant, super-admin Ditta).
+ * Query opcional: ?job=escalationJob&status=failed&limit=50
+ * @param {import('express').Request} req - Express request
+ * @param {import('express').Response} res - Express response
+ * @returns {void} JSON array of runs, newest first
+ */
+export const getSchedulerRuns = async (req, res) => {
+    try {
+        const runs = await listJobRuns({
+            jobName: req.query.job ? String(req.query.job) : undefined,
+            status: req.query.status ? String(req.query.status) : undefined,
+            limit: req.query.limit,
+        });
+        return res.status(200).json(runs);
+    } catch (error) {
+        console.error("Error listing scheduler runs:", error);
+        return res.status(500).json({ error: "Internal server error" });
+    }
+};
+
+/**
+ * Runs a scheduler job now, under the same lock as the cron.
+ * 409 when another replica holds the lock; 500 with the run when the job fails.
+ * @param {import('express').Request} req - Express request (params.job)
+ * @param {import('express').Response} res - Express response
+ * @returns {void} JSON run
+ */
+export const runSchedulerJob = async (req, res) => {
+    try {
+        const run = await runScheduledJob(req.params.job, {
+            trigger: "manual",
+            triggeredById: Number(req.user?.user_id) || null,
+        });
+        if (run.status === "skipped") {
+            return res.status(409).json({ error: "El job ya está corriendo en otra instancia", run });
+        }
+        if (run.status === "failed") {
+            return res.status(500).json({ error: run.error, run });
+        }
+        return res.status(200).json(run);
+    } catch (error) {
+        if (error?.status) return res.status(error.status).json({ error: error.message });
+        console.error("Error running scheduler job:", error);
+        return res.status(500).json({ error: "Internal server error" });
+    }
+};
+
+/**
+ * Lists the organization's HR roster sync runs (without the detailed report).
+ * Query opcional: ?status=ABORTED&limit=50
+ * @param {import('express').Request} req - Express request
+ * @param {import('express').Response} res - Express response
+ * @returns {void} JSON array of runs, newest first
+ */
+export const getRosterSyncRuns = async (req, res) => {
+    try {
+        const organizationId = resolveActiveOrganizationId(req);
+        if (organizationId === null) {
+            return res.status(401).json({ error: "organization_id no disponible en contexto" });
+        }
+        const runs = await hrRosterSyncService.listRosterSyncRuns(organizationId, {
+            status: req.query.status ? String(req.query.status) : undefined,
+            limit: req.query.limit,
+        });
+        return res.status(200).json(runs);
+    } catch (error) {
+        console.error("Error listing roster sync runs:", error);
+        return res.status(500).json({ error: "Internal server error" });
+    }
+};
+
+/**
+ * Returns one HR roster sync run with its report (hires, terminations, moves, errors, thresholds).
+ * @param {import('express').Request} req - Express request (params.run_id)
+ * @param {import('express').Response} res - Express response
+ * @returns {void} JSON run
+ */
+export const getRosterSyncRun = async (req, res) => {
+    try {
+        const organizationId = resolveActiveOrganizationId(req);
+        if (organizationId === null) {
+            return res.status(401).json({ error: "organization_id no disponible en contexto" });
+        }
+        const run = await hrRosterSyncService.getRosterSyncRun(organizationId, req.params.run_id);
+        return res.status(200).json(run);
+    } catch (error) {
+        if (error?.status) return res.status(error.status).json({ error: error.message });
+        console.error("Error getting roster sync run:", error);
+        return res.status(500).json({ error: "Internal server error" });
+    }
+};
+
+/**
+ * Runs the HR roster sync now. Body opcional: { dryRun, force, key }.
+ * `force` applies even when a safety threshold is exceeded (after reviewing an ABORTED report).
+ * @param {import('express').Request} req - Express request
+ * @param {import('express').Response} res - Express response
+ * @returns {void} JSON run (201)
+ */
+export const runRosterSync = async (req, res) => {
+    try {
+        const organizationId = resolveActiveOrganizationId(req);
+        if (organizationId === null) {
+            return res.status(401).json({ error: "organization_id no disponible en contexto" });
+        }
+        const run = await hrRosterSyncService.runRosterSync(organizationId, {
+            trigger: "manual",
+            dryRun: Boolean(req.body?.dryRun),
+            force: Boolean(req.body?.force),
+            key: req.body?.key ? String(req.body.key) : null,
+            triggeredById: Number(req.user?.user_id) || null,
+        });
+        return res.status(201).json(run);
+    } catch (error) {
+        if (error?.status) return res.status(error.status).json({ error: error.message });
+        console.error("Error running roster sync:", error);
+        return res.status(500).json({ error: "Internal server error" });
+    }
+};
+
 export default {
     getUserList,
     deactivateUser,
@@ -309,4 +434,9 @@ export default {
     getEmployees,
     validateManagerCycle,
     linkUserEmployee,
+    getSchedulerRuns,
+    runSchedulerJob,
+    getRosterSyncRuns,
+    getRosterSyncRun,
+    runRosterSync,
 };
@@ -0,0 +1,78 @@
+/**
+ * @module advanceSettlementController
+ * @description Tesorería: liquidaciones de anticipo pendientes, detalle por solicitud y registro
+ * del pago/cobro. Al cerrar la última liquidación la solicitud pasa a Finalizado.
+ */
+import AdvanceSettlementService from "../services/advanceSettlementService.js";
+import AccountsPayableService from "../services/accountsPayableService.js";
+
+/**
+ * Organización activa (impersonación ROOT + X-Organization-Id usa req.tenant).
+ * @param {import("express").Request} req
+ * @returns {bigint|number|string|null}
+ */
+const resolveActiveOrganizationId = (req) =>
+    req.tenant?.organizationId ?? req.user?.organization_id ?? null;
+
+/**
+ * GET /api/accounts-payable/settlements?direction=
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ */
+const listPending = async (req, res) => {
+    const orgId = resolveActiveOrganizationId(req);
+    if (orgId === null) {
+        return res.status(400).json({ error: "No hay organización en contexto." });
+    }
+    try {
+        const settlements = await AdvanceSettlementService.listPending(orgId, { direction: req.query.direction ?? null });
+        return res.status(200).json(settlements);
+    } catch (error) {
+        console.error("Error in listPending settlements:", error);
+        return res.status(500).json({ error: "Internal server error" });
+    }
+};
+
+/**
+ * GET /api/accounts-payable/settlements/request/:request_id
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ */
+const getForRequest = async (req, res) => {
+    try {
+        const settlements = await AdvanceSettlementService.listForRequest(Number(req.params.request_id));
+        return res.status(200).json(settlements);
+    } catch (error) {
+        console.error("Error in getForRequest settlements:", error);
+        return res.status(500).json({ error: "Internal server error" });
+    }
+};
+
+/**
+ * POST /api/accounts-payable/settlements/:settlement_id/settle — body { reference? }
+ * Si era la última pendiente, vuelve a evaluar los comprobantes (llamada de sistema) para finalizar.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ */
+const settle = async (req, res) => {
+    const orgId = resolveActiveOrganizationId(req);
+    if (orgId === null) {
+        return res.status(400).json({ error: "No hay organización en contexto." });
+    }
+    try {
+        const { settlement, request } = await AccountsPayableService.completeSettlement(req.params.settlement_id, {
+            organizationId: orgId,
+            actorUserId: Number(req.user?.user_id) || null,
+            reference: req.body?.reference ?? null,
+        });
+        return res.status(200).json({ settlement, request });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Error in settle:", error);
+        return res.status(500).json({ error: "Internal server error" });
+    }
+};
+
+export default { listPending, getForRequest, settle };
@@ -8,10 +8,7 @@ import { decrypt } from "../middleware/decryption.js";
 import { Mail } from "../services/email/mail.cjs";
 import mailData from "../services/email/mailData.js";
 import { checkFeeVsViaticosPolicy } from "../services/viaticasPolicyService.js";
-import {
-  notifyRequestSubmitted,
-  notifySafe,
-} from "../services/workflowNotificationService.js";
+import { kickNotificationOutbox } from "../services/notificationOutboxService.js";
 
 /**
  * Retrieves an applicant by their user ID.
@@ -167,7 +164,7 @@ export const createTravelRequest = async (req, res) => {
       applicantId,
       travelDetails,
     );
-    await notifySafe(() => notifyRequestSubmitted(travelRequest.requestId));
+    kickNotificationOutbox();
     res.status(201).json(travelRequest);
   } catch (error) {
     if (error.status === 422) return res.status(422).json({ error: error.message });
@@ -207,7 +204,10 @@ export const cancelTravelRequest = async (req, res) => {
   const { request_id } = req.params;
 
   try {
-    const result = await cancelTravelRequestValidation(Number(request_id));
+    const result = await cancelTravelRequestValidation(Number(request_id), {
+      actorUserId: Number(req.user?.user_id) || null,
+      permissionSet: req.user?.permissionSet,
+    });
     try {
       const { user_email, user_name, status } = await mailData(request_id);
       await Mail(user_email, user_name, request_id, status);
@@ -331,7 +331,7 @@ export const confirmDraftTravelRequest = async (req, res) => {
 
   try {
     const result = await Applicant.confirmDraftTravelRequest(userId, requestId);
-    await notifySafe(() => notifyRequestSubmitted(requestId));
+    kickNotificationOutbox();
     return res.status(200).json(result);
   } catch (error) {
     if (error.status) {
@@ -352,7 +352,10 @@ export const sendExpenseValidation = async (req, res) => {
   const requestId = req.params.request_id;
 
   try {
-    const result = await sendReceiptsForValidation(requestId);
+    const result = await sendReceiptsForValidation(requestId, {
+      actorUserId: Number(req.user?.user_id) || null,
+      permissionSet: req.user?.permissionSet,
+    });
     if (!result.already_submitted) {
       try {
         const { user_email, user_name, status } = await mailData(requestId);
@@ -4,12 +4,8 @@
  */
 import Authorizer from "../models/authorizerModel.js";
 import authorizerServices from "../services/authorizerService.js";
-import {
-  notifyRequestApproved,
-  notifyRequestRejected,
-  notifyRequestEscalated,
-  notifySafe,
-} from "../services/workflowNotificationService.js";
+import { kickNotificationOutbox } from "../services/notificationOutboxService.js";
+import { emitRequestUpdated, emitSafe } from "../services/requestEventService.js";
 
 /**
  * Retrieves pending alerts for a department filtered by status.
@@ -45,7 +41,7 @@ const getAlerts = async (req, res) => {
 
 /**
  * Approves a travel request and advances it to the next status.
- * Dispatches in-app + email notification (request approved, or escalated to N2).
+ * The notification (request approved, or escalated to N2) is delivered from the outbox.
  * @param {import('express').Request} req - Express request (params: request_id, user_id)
  * @param {import('express').Response} res - Express response
  * @returns {void} JSON with success message and new status
@@ -60,21 +56,23 @@ const authorizeTravelRequest = async (req, res) => {
   }
 
   try {
-    const { new_status, outcome } = await authorizerServices.authorizeRequest(
+    const { new_status, outcome, votes } = await authorizerServices.authorizeRequest(
       Number(request_id),
       Number(user_id),
+      { permissionSet: req.user?.permissionSet },
     );
-    if (outcome === "ESCALADO") {
-      await notifySafe(() => notifyRequestEscalated(Number(request_id)));
-    } else {
-      await notifySafe(() =>
-        notifyRequestApproved(Number(request_id), Number(user_id)),
-      );
-    }
+    // El evento (aprobada/escalada) quedó en el outbox con la transición; un voto parcial no genera evento.
+    kickNotificationOutbox();
+    await emitSafe(() => emitRequestUpdated(Number(request_id), {
+      actorUserId: Number(user_id),
+      outcome: outcome ?? "APROBADO",
+      withHistorial: true,
+    }));
     return res.status(200).json({
       message: "Request status updated successfully",
       new_status,
       outcome: outcome ?? "APROBADO",
+      ...(votes ? { votes } : {}),
     });
   } catch (error) {
     if (error.status) {
@@ -86,7 +84,7 @@ const authorizeTravelRequest = async (req, res) => {
 };
 
 /**
- * Declines a travel request and dispatches in-app + email notification to the requester.
+ * Declines a travel request; the requester is notified from the outbox.
  * @param {import('express').Request} req - Express request (params: request_id, user_id)
  * @param {import('express').Response} res - Express response
  * @returns {void} JSON with decline result
@@ -107,8 +105,14 @@ const declineTravelRequest = async (req, res) => {
       Number(request_id),
       Number(user_id),
       comentario,
+      { permissionSet: req.user?.permissionSet },
     );
-    await notifySafe(() => notifyRequestRejected(Number(request_id), comentario));
+    kickNotificationOutbox();
+    await emitSafe(() => emitRequestUpdated(Number(request_id), {
+      actorUserId: Number(user_id),
+      outcome: result.outcome ?? "RECHAZADO",
+      withHistorial: true,
+    }));
     return res.status(200).json(result);
   } catch (error) {
     if (error.status) {
@@ -0,0 +1,104 @@
+/**
+ * @module eventStreamController
+ * @description GET /api/events — stream SSE unificado de eventos de solicitudes y notificaciones.
+ */
+import { validationResult } from "express-validator";
+import prisma from "../database/config/prisma.js";
+import {
+  subscribeToOrganization,
+  subscribeToRequest,
+  subscribeToUser,
+} from "../services/requestEventBus.js";
+import { canViewAnyRequest } from "../services/requestEventService.js";
+
+/**
+ * Forma pública del evento: sin los campos internos de scoping.
+ * @param {Object} event
+ * @returns {Object}
+ */
+function toPublicEvent(event) {
+  return { type: event.type, requestId: event.requestId, data: event.data, at: event.at };
+}
+
+/**
+ * GET /api/events?request_id=&types=
+ *
+ * Sin `request_id`: eventos de todas las solicitudes visibles para el usuario en su organización
+ * (propias, o todas con permisos de vista amplia) más sus notificaciones in-app.
+ * Con `request_id`: solo los eventos de esa solicitud, si el usuario puede verla.
+ * `types` (lista separada por comas) limita los tipos emitidos.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function streamEvents(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const userId = Number(req.user.user_id);
+  const rawOrgId = req.tenant?.organizationId ?? req.user.organization_id;
+  if (rawOrgId === undefined || rawOrgId === null) {
+    return res.status(403).json({ error: "Se requiere contexto de organización" });
+  }
+  const orgId = String(rawOrgId);
+  const broad = canViewAnyRequest(req.user.permissionSet);
+  const requestId = req.query.request_id ? Number(req.query.request_id) : null;
+  const types = req.query.types
+    ? new Set(String(req.query.types).split(",").map((t) => t.trim()).filter(Boolean))
+    : null;
+
+  try {
+    if (requestId !== null) {
+      const request = await prisma.request.findUnique({
+        where: { requestId },
+        select: { userId: true, organizationId: true },
+      });
+      if (!request) {
+        return res.status(404).json({ error: "Solicitud no encontrada" });
+      }
+      if (String(request.organizationId) !== orgId || (!broad && request.userId !== userId)) {
+        return res.status(403).json({ error: "Acceso denegado" });
+      }
+    }
+  } catch (error) {
+    console.error("streamEvents:", error);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+  res.write(": connected\n\n");
+
+  const send = (event) => {
+    if (types && !types.has(event.type)) return;
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(toPublicEvent(event))}\n\n`);
+  };
+
+  const unsubscribers = [];
+  if (requestId !== null) {
+    unsubscribers.push(subscribeToRequest(requestId, (event) => {
+      if (event.organizationId !== orgId) return;
+      send(event);
+    }));
+  } else {
+    unsubscribers.push(subscribeToOrganization(orgId, (event) => {
+      if (!broad && event.ownerUserId !== userId) return;
+      send(event);
+    }));
+    unsubscribers.push(subscribeToUser(userId, send));
+  }
+
+  const heartbeat = setInterval(() => {
+    res.write(": heartbeat\n\n");
+  }, Number(process.env.REQUEST_EVENT_HEARTBEAT_MS ?? 15000));
+
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    for (const unsubscribe of unsubscribers) unsubscribe();
+  });
+}
@@ -1,8 +1,30 @@
 import exchangeRateService from "../services/exchangeRateService.js";
+import FxRateService from "../services/fx/fxRateService.js";
+import { FX_RATE_TYPES } from "../config/fxRates.js";
 import { body, query, validationResult } from "express-validator";
 
 /**
- * HTTP controller for exchange-rate endpoints.
+ * Organización activa si la petición viene autenticada; sin ella aplica la cadena default.
+ * @param {Object} req Express request.
+ * @returns {bigint|number|string|null}
+ */
+const resolveActiveOrganizationId = (req) =>
+  req.tenant?.organizationId ?? req.user?.organization_id ?? null;
+
+/** `source` / `dataSource` keep the labels these endpoints returned before the FX pipeline. */
+const LEGACY_SOURCE_LABELS = Object.freeze({ wise: "Wise", banxico_fix: "DOF" });
+
+/**
+ * Legacy label for a provider; providers added with the pipeline keep their own name. The
+ * provider itself is always in `provenance.provider`.
+ * @param {string} provider FX provider name.
+ * @returns {string}
+ */
+const legacySource = (provider) => LEGACY_SOURCE_LABELS[provider] ?? provider;
+
+/**
+ * HTTP controller for exchange-rate endpoints. /rate and /convert resolve through the
+ * FX pipeline (services/fx/fxRateService.js) so they agree with /api/fx/convert and pólizas.
  */
 class ExchangeRateController {
   /**
@@ -18,20 +40,33 @@ class ExchangeRateController {
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { source = "USD", target = "MXN" } = req.query;
+      const { source = "USD", target = "MXN", rate_type: rateType = "SPOT", date } = req.query;
 
-      const rateData = await exchangeRateService.getExchangeRate(source, target);
+      const provenance = await FxRateService.getRate({
+        organizationId: resolveActiveOrganizationId(req),
+        base: source,
+        quote: target,
+        rateType,
+        date
+      });
 
       res.json({
         success: true,
-        data: rateData,
+        data: {
+          rate: provenance.rate,
+          source: legacySource(provenance.provider),
+          date: provenance.rateDate,
+          fromCache: provenance.fromCache,
+          provenance
+        },
         message: `Exchange rate from ${source} to ${target} retrieved successfully`
       });
     } catch (error) {
-      if (/CODE: 62$/.test(error.message.split("|").at(0))) {
-        res.status(400).json({
+      if (error.status) {
+        res.status(error.status).json({
           success: false,
-          errors: error
+          code: error.code,
+          message: error.message
         });
         return;
       }
@@ -57,20 +92,41 @@ class ExchangeRateController {
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { amount, source = "USD", target = "MXN" } = req.body;
+      const { amount, source = "USD", target = "MXN", rate_type: rateType = "SPOT", date } = req.body;
 
-      const conversionResult = await exchangeRateService.convertCurrency(
-        parseFloat(amount),
-        source,
-        target
-      );
+      const result = await FxRateService.convert({
+        organizationId: resolveActiveOrganizationId(req),
+        amount: parseFloat(amount),
+        from: source,
+        to: target,
+        rateType,
+        date
+      });
 
       res.json({
         success: true,
-        data: conversionResult,
+        data: {
+          originalAmount: result.amount,
+          originalCurrency: result.from,
+          convertedAmount: result.converted,
+          targetCurrency: result.to,
+          exchangeRate: result.rate,
+          dataSource: legacySource(result.provenance.provider),
+          rateDate: result.rateDate,
+          fromCache: result.fromCache,
+          provenance: result.provenance
+        },
         message: `Currency conversion from ${source} to ${target} completed successfully`
       });
     } catch (error) {
+      if (error.status) {
+        res.status(error.status).json({
+          success: false,
+          code: error.code,
+          message: error.message
+        });
+        return;
+      }
       console.error("Error in convertCurrency controller:", error);
       res.status(500).json({
         success: false,
@@ -161,7 +217,16 @@ class ExchangeRateController {
       query("target")
         .optional()
         .isLength({ min: 3, max: 3 })
-        .withMessage("Target currency must be a 3-letter code")
+        .withMessage("Target currency must be a 3-letter code"),
+      query("rate_type")
+        .optional()
+        .toUpperCase()
+        .isIn(FX_RATE_TYPES)
+        .withMessage(`rate_type must be one of ${FX_RATE_TYPES.join(", ")}`),
+      query("date")
+        .optional()
+        .isISO8601()
+        .withMessage("date must be a valid date")
     ];
   }
 
@@ -181,7 +246,16 @@ class ExchangeRateController {
       body("target")
         .optional()
         .isLength({ min: 3, max: 3 })
-        .withMessage("Target currency must be a 3-letter code")
+        .withMessage("Target currency must be a 3-letter code"),
+      body("rate_type")
+        .optional()
+        .toUpperCase()
+        .isIn(FX_RATE_TYPES)
+        .withMessage(`rate_type must be one of ${FX_RATE_TYPES.join(", ")}`),
+      body("date")
+        .optional()
+        .isISO8601()
+        .withMessage("date must be a valid date")
     ];
   }
 
@@ -1,10 +1,50 @@
 /**
  * @module fileController
- * @description Handles HTTP requests for receipt file uploads and downloads (PDF/XML via AWS S3).
+ * @description Handles HTTP requests for receipt file uploads and downloads (PDF/XML via the storage driver: S3 or local disk).
  */
 import path from "node:path";
 import { uploadReceiptFiles, getReceiptFile, getReceiptFilesMetadata, CfdiParseError, uploadInternationalReceiptImage } from "../services/receiptFileService.js";
-import { upload, getPresignedUrl } from "../services/storageService.js";
+import { upload, getPresignedUrl, openSignedLocalDownload } from "../services/storageService.js";
+import { inspectAttachment, AttachmentRejectedError, ATTACHMENT_KINDS } from "../services/attachmentPipeline.js";
+
+/**
+ * 422 for an attachment rejected by the pipeline; `quarantined` tells whether it was kept on the receipt.
+ * @param {import('express').Response} res - Express response
+ * @param {AttachmentRejectedError} error
+ */
+function sendRejectedAttachment(res, error) {
+  return res.status(422).json({
+    error: "Archivo rechazado",
+    code: error.code,
+    reason: error.reason,
+    details: error.message,
+    quarantined: Boolean(error.quarantined),
+  });
+}
+
+/**
+ * Pipes a stored object to the response: PDF and images inline, everything else as attachment.
+ * @param {import('express').Response} res - Express response
+ * @param {string} key - Object key (its basename becomes the file name)
+ * @param {{ body: import('stream').Readable, contentType: string|undefined }} object
+ */
+function streamObject(res, key, { body, contentType }) {
+  const ct = typeof contentType === "string" && contentType ? contentType : "application/octet-stream";
+  res.set("Content-Type", ct);
+  const isInline = ct === "application/pdf" || ct.startsWith("image/");
+  const disposition = isInline ? "inline" : "attachment";
+  res.set("Content-Disposition", `${disposition}; filename="${path.basename(key)}"`);
+
+  body.on("error", (err) => {
+    console.error("Error streaming file:", err);
+    if (!res.headersSent) {
+      res.status(500).json({ error: "Internal server error" });
+    } else {
+      res.destroy(err);
+    }
+  });
+  body.pipe(res);
+}
 
 /**
  * Uploads PDF and XML files for a receipt. Both files are required.
@@ -33,6 +73,9 @@ export const uploadReceiptFilesController = async (req, res) => {
         },
       });
     } catch (error) {
+      if (error instanceof AttachmentRejectedError) {
+        return sendRejectedAttachment(res, error);
+      }
       if (error.status) {
         return res.status(error.status).json({ error: error.message });
       }
@@ -87,6 +130,9 @@ export const uploadReceiptFilesController = async (req, res) => {
 
     res.status(201).json(responseBody);
   } catch (error) {
+    if (error instanceof AttachmentRejectedError) {
+      return sendRejectedAttachment(res, error);
+    }
     if (error instanceof CfdiParseError) {
       return res.status(422).json({
         error: "CFDI inválido",
@@ -126,23 +172,7 @@ export const getReceiptFileController = async (req, res) => {
       return res.status(400).json({ error: "Invalid file key" });
     }
 
-    const { body, contentType } = await getReceiptFile(key);
-
-    const ct = typeof contentType === "string" && contentType ? contentType : "application/octet-stream";
-    res.set("Content-Type", ct);
-    const isInline = ct === "application/pdf" || ct.startsWith("image/");
-    const disposition = isInline ? "inline" : "attachment";
-    res.set("Content-Disposition", `${disposition}; filename="${path.basename(key)}"`);
-
-    body.on("error", (err) => {
-      console.error("Error streaming file:", err);
-      if (!res.headersSent) {
-        res.status(500).json({ error: "Internal server error" });
-      } else {
-        res.destroy(err);
-      }
-    });
-    body.pipe(res);
+    streamObject(res, key, await getReceiptFile(key));
   } catch (error) {
     if (error?.code === "STORAGE_NOT_FOUND") {
       return res.status(404).json({ error: "File not found" });
@@ -189,13 +219,14 @@ export const uploadFile = async (req, res) => {
     const organizationId = req.body.organizationId || req.user?.organizationId || "defaultOrg";
     const viajeId = req.body.viajeId || "defaultViaje";
     const receiptId = req.body.receiptId;
+    const file = await inspectAttachment(req.file.buffer, Object.keys(ATTACHMENT_KINDS));
 
     const { key, bucket } = await upload({
-      body: req.file.buffer,
+      body: file.buffer,
       organizationId,
       viajeId,
       fileName: req.file.originalname,
-      contentType: req.file.mimetype,
+      contentType: file.contentType,
       receiptId,
     });
 
@@ -206,6 +237,12 @@ export const uploadFile = async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof AttachmentRejectedError) {
+      return sendRejectedAttachment(res, error);
+    }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error("Error uploading to S3:", error);
     res.status(500).json({ error: "Internal server error" });
   }
@@ -232,3 +269,33 @@ export const downloadFile = async (req, res) => {
     res.status(500).json({ error: "Internal server error" });
   }
 };
+
+/**
+ * Serves an object stored by the local driver through the signed URL returned by
+ * `getPresignedUrl` (`/api/files/local/<key>?expires=&signature=`). The signature is the
+ * authorization, like an S3 pre-signed URL, so no JWT is required.
+ * @param {import('express').Request} req - Express request (params[0]: object key)
+ * @param {import('express').Response} res - Express response
+ * @returns {Promise<void>}
+ */
+export const downloadLocalFile = async (req, res) => {
+  try {
+    const key = req.params[0];
+    if (!key) {
+      return res.status(400).json({ error: "Invalid file key" });
+    }
+
+    const object = await openSignedLocalDownload(key, req.query.expires, req.query.signature);
+    res.set("Cache-Control", "private, no-store");
+    streamObject(res, key, object);
+  } catch (error) {
+    if (error?.code === "STORAGE_SIGNATURE_INVALID") {
+      return res.status(403).json({ error: "Invalid or expired download URL" });
+    }
+    if (error?.code === "STORAGE_NOT_FOUND") {
+      return res.status(404).json({ error: "File not found" });
+    }
+    console.error("Error serving local file:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
@@ -0,0 +1,151 @@
+/**
+ * @module flightBookingController
+ * @description Reservas de vuelo de la agencia: apartar el tramo seleccionado, emitir boletos
+ * (con re-cotización), cancelar y consultar. La lógica vive en flightBookingService.
+ */
+import FlightBookingService from "../services/flightBookingService.js";
+import TravelerProfileService from "../services/travelerProfileService.js";
+
+/**
+ * @param {import("express").Response} res
+ * @param {*} error
+ * @param {string} label
+ * @returns {import("express").Response}
+ */
+const sendBookingError = (res, error, label) => {
+    if (error?.status) {
+        return res.status(error.status).json({
+            error: error.message,
+            ...(error.code ? { code: error.code } : {}),
+            ...(error.details ? { details: error.details } : {}),
+        });
+    }
+    console.error(`Error in ${label}:`, error);
+    return res.status(500).json({ error: "Internal server error" });
+};
+
+/**
+ * Actor con su organización activa (impersonación ROOT + X-Organization-Id usa req.tenant).
+ * @param {import("express").Request} req
+ * @returns {{ actorUserId: number|null, permissionSet: Set<string>|undefined, organizationId: bigint|number|string|null }}
+ */
+const actorOf = (req) => ({
+    actorUserId: Number(req.user?.user_id) || null,
+    permissionSet: req.user?.permissionSet,
+    organizationId: req.tenant?.organizationId ?? req.user?.organization_id ?? null,
+});
+
+/**
+ * GET /api/travel-agent/travel-request/:request_id/bookings
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ */
+const listRequestBookings = async (req, res) => {
+    try {
+        const bookings = await FlightBookingService.listRequestBookings(req.params.request_id);
+        return res.status(200).json({ bookings });
+    } catch (error) {
+        return sendBookingError(res, error, "listRequestBookings");
+    }
+};
+
+/**
+ * GET /api/travel-agent/travel-request/:request_id/passengers
+ * Pasajero prellenado desde el perfil de viajero del solicitante, con avisos de pasaporte.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ */
+const getPassengerPrefill = async (req, res) => {
+    try {
+        const prefill = await TravelerProfileService.prefillPassengersForRequest(req.params.request_id);
+        return res.status(200).json(prefill);
+    } catch (error) {
+        return sendBookingError(res, error, "getPassengerPrefill");
+    }
+};
+
+/**
+ * POST /api/travel-agent/travel-request/:request_id/bookings
+ * Body: { router_index?, passengers?: [{ given_name, family_name, email, born_on?, gender?, title?, phone_number? }] }
+ * Sin passengers se usa el perfil de viajero del solicitante.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ */
+const holdFlight = async (req, res) => {
+    const passengers = (req.body.passengers ?? []).map((p) => ({
+        givenName: p.given_name,
+        familyName: p.family_name,
+        email: String(p.email).toLowerCase(),
+        ...(p.born_on ? { bornOn: p.born_on } : {}),
+        ...(p.gender ? { gender: p.gender } : {}),
+        ...(p.title ? { title: p.title } : {}),
+        ...(p.phone_number ? { phoneNumber: p.phone_number } : {}),
+    }));
+    try {
+        const { booking, warnings } = await FlightBookingService.holdFlight(
+            req.params.request_id,
+            { routerIndex: req.body.router_index ?? 0, passengers },
+            actorOf(req),
+        );
+        return res.status(201).json({ booking, warnings });
+    } catch (error) {
+        return sendBookingError(res, error, "holdFlight");
+    }
+};
+
+/**
+ * GET /api/travel-agent/bookings/:booking_id — re-consulta el estado en el proveedor.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ */
+const getBooking = async (req, res) => {
+    try {
+        const booking = await FlightBookingService.refreshBooking(req.params.booking_id, actorOf(req));
+        return res.status(200).json({ booking });
+    } catch (error) {
+        return sendBookingError(res, error, "getBooking");
+    }
+};
+
+/**
+ * POST /api/travel-agent/bookings/:booking_id/ticket
+ * Body: { accept_price_change? } — sin él, un cambio de precio responde 409 PRICE_CHANGED.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ */
+const ticketBooking = async (req, res) => {
+    const accept = req.body?.accept_price_change;
+    try {
+        const result = await FlightBookingService.ticketBooking(
+            req.params.booking_id,
+            { acceptPriceChange: accept === true || accept === "true" },
+            actorOf(req),
+        );
+        return res.status(200).json(result);
+    } catch (error) {
+        return sendBookingError(res, error, "ticketBooking");
+    }
+};
+
+/**
+ * POST /api/travel-agent/bookings/:booking_id/cancel
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ */
+const cancelBooking = async (req, res) => {
+    try {
+        const booking = await FlightBookingService.cancelBooking(req.params.booking_id, actorOf(req));
+        return res.status(200).json({ booking });
+    } catch (error) {
+        return sendBookingError(res, error, "cancelBooking");
+    }
+};
+
+export default {
+    getPassengerPrefill,
+    listRequestBookings,
+    holdFlight,
+    getBooking,
+    ticketBooking,
+    cancelBooking,
+};
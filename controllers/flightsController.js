@@ -5,6 +5,8 @@
 import { body } from "express-validator";
 import { getFlightProvider } from "../services/flightProvider.js";
 import { MockFlightProvider } from "../services/mockFlightProvider.js";
+import { prefillPassengersForRequest } from "../services/travelerProfileService.js";
+import { annotateFlightOffers, resolveOfferPolicy, sortByPolicy } from "../services/offerPolicyService.js";
 
 export const validateFlightSearch = [
   body("origen").isLength({ min: 3, max: 3 }).isAlpha().toUpperCase(),
@@ -14,10 +16,63 @@ export const validateFlightSearch = [
     .optional({ values: "null" })
     .matches(/^\d{4}-\d{2}-\d{2}$/),
   body("pasajeros").isInt({ min: 1, max: 9 }).toInt(),
+  body("request_id").optional({ values: "null" }).isInt({ min: 1 }).toInt(),
+  body("orden").optional({ values: "null" }).isIn(["politica", "precio"]),
 ];
 
+/**
+ * Con `request_id` la búsqueda devuelve el pasajero prellenado desde el perfil de viajero del
+ * solicitante y los avisos de pasaporte contra la fecha de regreso (o de salida).
+ * @param {import("express").Request} req
+ * @returns {Promise<object|undefined>}
+ */
+async function travelerPrefill(req) {
+  if (!req.body.request_id) return undefined;
+  try {
+    return await prefillPassengersForRequest(req.body.request_id, {
+      travelDate: req.body.fecha_regreso || req.body.fecha,
+    });
+  } catch (e) {
+    console.warn("[flights/search] traveler prefill:", e?.message || e);
+    return undefined;
+  }
+}
+
+/**
+ * Caps de la política de la solicitud (o de la organización sin `request_id`).
+ * @param {import("express").Request} req
+ * @returns {Promise<import("../services/offerPolicyService.js").OfferPolicyContext|null>}
+ */
+async function offerPolicyContext(req) {
+  try {
+    return await resolveOfferPolicy({
+      requestId: req.body.request_id || null,
+      organizationId: req.tenant?.organizationId ?? req.user?.organization_id ?? null,
+    });
+  } catch (e) {
+    console.warn("[flights/search] offer policy:", e?.message || e);
+    return null;
+  }
+}
+
+/**
+ * Anota política y tarifa lógica más baja; `orden` = politica | precio reordena el resultado.
+ * @param {import("../services/flightProvider.js").NormalizedFlightOffer[]} offers
+ * @param {import("../services/offerPolicyService.js").OfferPolicyContext|null} policyCtx
+ * @param {import("express").Request} req
+ * @returns {Promise<object[]>}
+ */
+async function rankFlightOffers(offers, policyCtx, req) {
+  if (!policyCtx) return offers;
+  const annotated = await annotateFlightOffers(offers, policyCtx, { passengers: req.body.pasajeros });
+  if (req.body.orden === "politica") return sortByPolicy(annotated);
+  if (req.body.orden === "precio") return [...annotated].sort((a, b) => Number(a.totalAmount) - Number(b.totalAmount));
+  return annotated;
+}
+
 /**
  * POST /api/flights/search
+ * Body opcional: request_id (perfil de viajero y política de esa solicitud), orden = politica | precio.
  * @param {import("express").Request} req
  * @param {import("express").Response} res
  */
@@ -29,12 +84,17 @@ export async function postFlightSearch(req, res) {
     returnDate: req.body.fecha_regreso || undefined,
     passengers: req.body.pasajeros,
   };
+  const traveler = await travelerPrefill(req);
+  const policyCtx = await offerPolicyContext(req);
+  const policy = policyCtx ? { policy_id: policyCtx.policyId, policy_name: policyCtx.policyName, cap: policyCtx.flightCap } : null;
   try {
     const provider = getFlightProvider();
-    const offers = await provider.searchOffers(params);
+    const offers = await rankFlightOffers(await provider.searchOffers(params), policyCtx, req);
     return res.json({
       offers,
       provider: String(process.env.FLIGHT_PROVIDER || "mock").toLowerCase(),
+      ...(policy ? { policy } : {}),
+      ...(traveler ? { traveler } : {}),
     });
   } catch (e) {
     const useDuffel = String(process.env.FLIGHT_PROVIDER || "").toLowerCase() === "duffel";
@@ -42,8 +102,14 @@ export async function postFlightSearch(req, res) {
       console.warn("[flights/search] Duffel error, fallback mock:", e?.message || e);
       try {
         const mock = new MockFlightProvider();
-        const offers = await mock.searchOffers(params);
-        return res.json({ offers, provider: "mock", fallback: true });
+        const offers = await rankFlightOffers(await mock.searchOffers(params), policyCtx, req);
+        return res.json({
+          offers,
+          provider: "mock",
+          fallback: true,
+          ...(policy ? { policy } : {}),
+          ...(traveler ? { traveler } : {}),
+        });
       } catch (e2) {
         console.error("[flights/search] mock fallback failed:", e2);
       }
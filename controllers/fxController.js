@@ -0,0 +1,122 @@
+/**
+ * @module fxController
+ * @description Conversión pública y administración del pipeline de tipo de cambio
+ * (cadena de proveedores por organización y carga de histórico).
+ */
+import { validationResult } from "express-validator";
+import FxRateService from "../services/fx/fxRateService.js";
+
+/**
+ * Organización activa (impersonación ROOT + X-Organization-Id usa req.tenant).
+ * @param {import("express").Request} req
+ * @returns {bigint|number|string|null}
+ */
+const resolveActiveOrganizationId = (req) =>
+    req.tenant?.organizationId ?? req.user?.organization_id ?? null;
+
+/**
+ * @param {import("express").Response} res
+ * @param {{ status?: number, code?: string, message?: string, details?: unknown }} error
+ * @param {string} label
+ * @returns {import("express").Response}
+ */
+const handleError = (res, error, label) => {
+    if (error.status) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.message,
+            ...(error.code ? { code: error.code } : {}),
+            ...(error.details ? { details: error.details } : {}),
+        });
+    }
+    console.error(`${label}:`, error);
+    return res.status(500).json({ success: false, error: "Internal server error" });
+};
+
+/**
+ * GET /api/fx/convert?from=&to=&amount=&rate_type=&date=
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ */
+const convert = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+        const { from, to, amount, rate_type: rateType, date } = req.query;
+        const data = await FxRateService.convert({
+            organizationId: resolveActiveOrganizationId(req),
+            amount: Number(amount),
+            from,
+            to,
+            rateType,
+            date,
+        });
+        return res.json({ success: true, data });
+    } catch (error) {
+        return handleError(res, error, "fx/convert");
+    }
+};
+
+/**
+ * GET /api/fx/settings
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ */
+const getSettings = async (req, res) => {
+    const orgId = resolveActiveOrganizationId(req);
+    if (orgId === null) {
+        return res.status(400).json({ error: "No hay organización en contexto." });
+    }
+    try {
+        const settings = await FxRateService.getFxSettings(orgId);
+        return res.status(200).json(settings);
+    } catch (error) {
+        return handleError(res, error, "fx/settings.get");
+    }
+};
+
+/**
+ * PUT /api/fx/settings — body { FIX?, SPOT?, RECEIPT_DATE?, max_stale_days? }
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ */
+const updateSettings = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    const orgId = resolveActiveOrganizationId(req);
+    if (orgId === null) {
+        return res.status(400).json({ error: "No hay organización en contexto." });
+    }
+    try {
+        const { FIX, SPOT, RECEIPT_DATE, max_stale_days: maxStaleDays } = req.body;
+        const settings = await FxRateService.upsertFxSettings(orgId, { FIX, SPOT, RECEIPT_DATE, maxStaleDays });
+        return res.status(200).json(settings);
+    } catch (error) {
+        return handleError(res, error, "fx/settings.update");
+    }
+};
+
+/**
+ * POST /api/fx/backfill — body { provider?, base?, quote?, start_date, end_date? }
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ */
+const backfill = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+        const { provider, base, quote, start_date: startDate, end_date: endDate } = req.body;
+        const result = await FxRateService.backfillRates({ provider, base, quote, startDate, endDate });
+        return res.status(200).json(result);
+    } catch (error) {
+        return handleError(res, error, "fx/backfill");
+    }
+};
+
+export default { convert, getSettings, updateSettings, backfill };
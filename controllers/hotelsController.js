@@ -6,16 +6,37 @@ import { isStaysAccessDeniedError } from "../services/duffelStaysApi.js";
 import { DuffelStaysProvider } from "../services/duffelStaysProvider.js";
 import { getActiveHotelProviderLabel, getHotelProvider } from "../services/hotelProvider.js";
 import { ResilientHotelProvider } from "../services/resilientHotelProvider.js";
+import { annotateHotelOffers, resolveOfferPolicy, sortByPolicy } from "../services/offerPolicyService.js";
 
 export const validateHotelSearch = [
   body("ciudad").trim().isLength({ min: 2, max: 120 }),
   body("fecha_entrada").matches(/^\d{4}-\d{2}-\d{2}$/),
   body("fecha_salida").matches(/^\d{4}-\d{2}-\d{2}$/),
   body("huespedes").isInt({ min: 1, max: 9 }).toInt(),
+  body("request_id").optional({ values: "null" }).isInt({ min: 1 }).toInt(),
+  body("orden").optional({ values: "null" }).isIn(["politica", "precio"]),
 ];
 
+/**
+ * Cap por noche de la política de la solicitud (o de la organización sin `request_id`).
+ * @param {import("express").Request} req
+ * @returns {Promise<import("../services/offerPolicyService.js").OfferPolicyContext|null>}
+ */
+async function offerPolicyContext(req) {
+  try {
+    return await resolveOfferPolicy({
+      requestId: req.body.request_id || null,
+      organizationId: req.tenant?.organizationId ?? req.user?.organization_id ?? null,
+    });
+  } catch (e) {
+    console.warn("[hotels/search] offer policy:", e?.message || e);
+    return null;
+  }
+}
+
 /**
  * POST /api/hotels/search
+ * Body opcional: request_id (política de esa solicitud), orden = politica | precio.
  * @param {import("express").Request} req
  * @param {import("express").Response} res
  */
@@ -26,15 +47,22 @@ export async function postHotelSearch(req, res) {
   }
   try {
     const provider = getHotelProvider();
-    const offers = await provider.searchOffers({
+    const raw = await provider.searchOffers({
       ciudad,
       fechaEntrada,
       fechaSalida,
       huespedes,
     });
+    const policyCtx = await offerPolicyContext(req);
+    let offers = policyCtx ? await annotateHotelOffers(raw, policyCtx) : raw;
+    if (policyCtx && req.body.orden === "politica") offers = sortByPolicy(offers);
+    if (req.body.orden === "precio") offers = [...offers].sort((a, b) => Number(a.totalAmount) - Number(b.totalAmount));
     return res.json({
       offers,
       provider: getActiveHotelProviderLabel(provider),
+      ...(policyCtx
+        ? { policy: { policy_id: policyCtx.policyId, policy_name: policyCtx.policyName, cap: policyCtx.hotelCap } }
+        : {}),
     });
   } catch (e) {
     console.error("[hotels/search]", e);
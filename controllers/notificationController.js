@@ -111,11 +111,17 @@ export async function updatePreferences(req, res) {
     if (isNaN(userId)) {
       return res.status(400).json({ error: "Invalid user ID" });
     }
-    const { emailNotif, appNotif, browserNotif } = req.body;
+    const { emailNotif, appNotif, browserNotif, locale } = req.body;
     const data = {};
     if (typeof emailNotif === "boolean") data.emailNotif = emailNotif;
     if (typeof appNotif === "boolean") data.appNotif = appNotif;
     if (typeof browserNotif === "boolean") data.browserNotif = browserNotif;
+    if (locale !== undefined) {
+      if (locale !== null && (typeof locale !== "string" || !/^[a-z]{2}(-[A-Z]{2})?$/.test(locale))) {
+        return res.status(400).json({ error: "locale must look like es-MX or en" });
+      }
+      data.locale = locale;
+    }
 
     const prefs = await notificationService.upsertPreferences(userId, data);
     return res.status(200).json(prefs);
@@ -0,0 +1,91 @@
+/**
+ * @module notificationOutboxController
+ * @description Admin del outbox de notificaciones: eventos y entregas (correo, web push, in-app) de
+ * la organización con su estatus, intentos y último error, y reintento de los que quedaron FAILED.
+ */
+import NotificationOutboxService from "../services/notificationOutboxService.js";
+
+/**
+ * Organización activa (impersonación ROOT + X-Organization-Id usa req.tenant).
+ * @param {import("express").Request} req
+ * @returns {bigint|number|string|null}
+ */
+const resolveActiveOrganizationId = (req) =>
+    req.tenant?.organizationId ?? req.user?.organization_id ?? null;
+
+/**
+ * @param {import("express").Response} res
+ * @param {*} error
+ * @param {string} label
+ * @returns {import("express").Response}
+ */
+const sendError = (res, error, label) => {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`Error in ${label}:`, error);
+    return res.status(500).json({ error: "Internal server error" });
+};
+
+/**
+ * Envuelve un handler que necesita la organización en contexto.
+ * @param {string} label
+ * @param {(req: import("express").Request, res: import("express").Response, orgId: bigint|number|string) => Promise<unknown>} handler
+ * @returns {import("express").RequestHandler}
+ */
+const withOrganization = (label, handler) => async (req, res) => {
+    const orgId = resolveActiveOrganizationId(req);
+    if (orgId === null) {
+        return res.status(400).json({ error: "No hay organización en contexto." });
+    }
+    try {
+        return await handler(req, res, orgId);
+    } catch (error) {
+        return sendError(res, error, label);
+    }
+};
+
+/** GET /api/admin/notification-outbox/events — query opcional ?status=&event_code=&request_id=&limit= */
+const listEvents = withOrganization("listNotificationOutboxEvents", async (req, res, orgId) => {
+    res.status(200).json(await NotificationOutboxService.listEvents(orgId, {
+        status: req.query.status ? String(req.query.status) : null,
+        eventCode: req.query.event_code ? String(req.query.event_code) : null,
+        requestId: req.query.request_id ? Number(req.query.request_id) : null,
+        limit: req.query.limit,
+    }));
+});
+
+/** POST /api/admin/notification-outbox/events/:event_id/retry */
+const retryEvent = withOrganization("retryNotificationOutboxEvent", async (req, res, orgId) => {
+    res.status(200).json(await NotificationOutboxService.retryEvent(orgId, req.params.event_id));
+});
+
+/** GET /api/admin/notification-outbox/deliveries — query opcional ?status=&channel=&user_id=&request_id=&event_id=&limit= */
+const listDeliveries = withOrganization("listNotificationDeliveries", async (req, res, orgId) => {
+    res.status(200).json(await NotificationOutboxService.listDeliveries(orgId, {
+        status: req.query.status ? String(req.query.status) : null,
+        channel: req.query.channel ? String(req.query.channel) : null,
+        userId: req.query.user_id ? Number(req.query.user_id) : null,
+        requestId: req.query.request_id ? Number(req.query.request_id) : null,
+        outboxId: req.query.event_id ? String(req.query.event_id) : null,
+        limit: req.query.limit,
+    }));
+});
+
+/** GET /api/admin/notification-outbox/deliveries/:delivery_id */
+const getDelivery = withOrganization("getNotificationDelivery", async (req, res, orgId) => {
+    res.status(200).json(await NotificationOutboxService.getDelivery(orgId, req.params.delivery_id));
+});
+
+/** POST /api/admin/notification-outbox/deliveries/:delivery_id/retry */
+const retryDelivery = withOrganization("retryNotificationDelivery", async (req, res, orgId) => {
+    res.status(200).json(await NotificationOutboxService.retryDelivery(orgId, req.params.delivery_id));
+});
+
+export default {
+    listEvents,
+    retryEvent,
+    listDeliveries,
+    getDelivery,
+    retryDelivery,
+};
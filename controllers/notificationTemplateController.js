@@ -0,0 +1,147 @@
+/**
+ * @module notificationTemplateController
+ * @description Admin de plantillas de notificación por organización: CRUD, layout HTML del correo,
+ * catálogo de variables y vista previa contra una solicitud real.
+ */
+import NotificationTemplateService from "../services/notificationTemplateService.js";
+
+/**
+ * Organización activa (impersonación ROOT + X-Organization-Id usa req.tenant).
+ * @param {import("express").Request} req
+ * @returns {bigint|number|string|null}
+ */
+const resolveActiveOrganizationId = (req) =>
+    req.tenant?.organizationId ?? req.user?.organization_id ?? null;
+
+/**
+ * @param {import("express").Response} res
+ * @param {*} error
+ * @param {string} label
+ * @returns {import("express").Response}
+ */
+const sendError = (res, error, label) => {
+    if (error.status) {
+        return res.status(error.status).json({
+            error: error.message,
+            ...(error.code ? { code: error.code } : {}),
+        });
+    }
+    console.error(`Error in ${label}:`, error);
+    return res.status(500).json({ error: "Internal server error" });
+};
+
+/**
+ * Envuelve un handler que necesita la organización en contexto.
+ * @param {string} label
+ * @param {(req: import("express").Request, res: import("express").Response, orgId: bigint|number|string) => Promise<unknown>} handler
+ * @returns {import("express").RequestHandler}
+ */
+const withOrganization = (label, handler) => async (req, res) => {
+    const orgId = resolveActiveOrganizationId(req);
+    if (orgId === null) {
+        return res.status(400).json({ error: "No hay organización en contexto." });
+    }
+    try {
+        return await handler(req, res, orgId);
+    } catch (error) {
+        return sendError(res, error, label);
+    }
+};
+
+/** GET /api/admin/notification-templates — query opcional ?code=&channel=&locale= */
+const listTemplates = withOrganization("listNotificationTemplates", async (req, res, orgId) => {
+    res.status(200).json(await NotificationTemplateService.listTemplates(orgId, {
+        code: req.query.code ? String(req.query.code) : null,
+        channel: req.query.channel ? String(req.query.channel) : null,
+        locale: req.query.locale ? String(req.query.locale) : null,
+    }));
+});
+
+/**
+ * GET /api/admin/notification-templates/catalog
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {import("express").Response}
+ */
+const getCatalog = (req, res) => res.status(200).json(NotificationTemplateService.getCatalog());
+
+/** GET /api/admin/notification-templates/:template_id */
+const getTemplate = withOrganization("getNotificationTemplate", async (req, res, orgId) => {
+    res.status(200).json(await NotificationTemplateService.getTemplate(orgId, req.params.template_id));
+});
+
+/** POST /api/admin/notification-templates — body { code, channel, locale?, subject?, body, active? } */
+const createTemplate = withOrganization("createNotificationTemplate", async (req, res, orgId) => {
+    const template = await NotificationTemplateService.createTemplate(orgId, {
+        code: req.body.code,
+        channel: req.body.channel,
+        locale: req.body.locale ?? undefined,
+        subject: req.body.subject ?? null,
+        body: req.body.body,
+        active: req.body.active ?? true,
+    });
+    res.status(201).json(template);
+});
+
+/** PUT /api/admin/notification-templates/:template_id — body { subject?, body?, active? } */
+const updateTemplate = withOrganization("updateNotificationTemplate", async (req, res, orgId) => {
+    res.status(200).json(await NotificationTemplateService.updateTemplate(orgId, req.params.template_id, {
+        subject: req.body.subject,
+        body: req.body.body,
+        active: req.body.active,
+    }));
+});
+
+/** DELETE /api/admin/notification-templates/:template_id */
+const deleteTemplate = withOrganization("deleteNotificationTemplate", async (req, res, orgId) => {
+    await NotificationTemplateService.deleteTemplate(orgId, req.params.template_id);
+    res.status(204).send();
+});
+
+/**
+ * POST /api/admin/notification-templates/preview
+ * body { request_id, template_id? | code + channel + locale? | channel + subject? + body, layout?, vars? }
+ */
+const previewTemplate = withOrganization("previewNotificationTemplate", async (req, res, orgId) => {
+    res.status(200).json(await NotificationTemplateService.previewTemplate(orgId, {
+        requestId: req.body.request_id,
+        templateId: req.body.template_id ?? null,
+        code: req.body.code ?? null,
+        channel: req.body.channel ?? null,
+        locale: req.body.locale ?? null,
+        subject: req.body.subject ?? null,
+        body: req.body.body ?? null,
+        layout: req.body.layout ?? null,
+        vars: req.body.vars ?? {},
+    }));
+});
+
+/** GET /api/admin/notification-layout */
+const getLayout = withOrganization("getNotificationLayout", async (req, res, orgId) => {
+    res.status(200).json(await NotificationTemplateService.getLayout(orgId));
+});
+
+/** PUT /api/admin/notification-layout — body { html } con {{content}} */
+const saveLayout = withOrganization("saveNotificationLayout", async (req, res, orgId) => {
+    res.status(200).json(await NotificationTemplateService.saveLayout(orgId, req.body.html, {
+        actorUserId: Number(req.user?.user_id) || null,
+    }));
+});
+
+/** DELETE /api/admin/notification-layout — vuelve al layout por defecto. */
+const resetLayout = withOrganization("resetNotificationLayout", async (req, res, orgId) => {
+    res.status(200).json(await NotificationTemplateService.resetLayout(orgId));
+});
+
+export default {
+    listTemplates,
+    getCatalog,
+    getTemplate,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+    previewTemplate,
+    getLayout,
+    saveLayout,
+    resetLayout,
+};
@@ -14,7 +14,9 @@ import {
  * POST /api/onboarding/import/preview
  *
  * Body: multipart/form-data
- *   file: <archivo JSON o CSV>
+ *   file: <archivo JSON, CSV o XLSX>
+ *   sheet?: hoja del XLSX (nombre o índice 1-based); sin ella se detecta la hoja de empleados
+ *   columnHints?: JSON { "<encabezado del XLSX>": "<campo del DTO>" } para columnas sin alias conocido
  *
  * Query params opcionales:
  *   create_new_org=1 — vista previa para importar creando una org CLIENT nueva desde el bloque
@@ -36,6 +38,19 @@ export async function postPreviewImport(req, res) {
       req.user?.permissionSet?.has("organization:create")
     );
 
+    const sheet = req.body?.sheet ?? req.query?.sheet;
+    let columnHints;
+    if (req.body?.columnHints) {
+      try {
+        columnHints = JSON.parse(req.body.columnHints);
+      } catch {
+        return res.status(400).json({ error: "columnHints debe ser un objeto JSON." });
+      }
+      if (!columnHints || typeof columnHints !== "object" || Array.isArray(columnHints)) {
+        return res.status(400).json({ error: "columnHints debe ser un objeto JSON." });
+      }
+    }
+
     const orgId = resolveTargetOrgIdForOnboardingImport(req, { createNewOrganization });
     const actingUserId = resolveActingUserId(req);
     const result = await previewImport(
@@ -44,7 +59,7 @@ export async function postPreviewImport(req, res) {
       req.file.originalname,
       orgId,
       actingUserId,
-      { createNewOrganization, actorHasOrganizationCreate }
+      { createNewOrganization, actorHasOrganizationCreate, sheet, columnHints }
     );
 
     return res.status(200).json(result);
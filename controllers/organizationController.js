@@ -3,6 +3,7 @@
  * @description HTTP layer para gestión de organizaciones (tenants).
  */
 import * as organizationService from "../services/organizationService.js";
+import * as rateLimitService from "../services/rateLimitService.js";
 
 /**
  *
@@ -129,3 +130,46 @@ export async function postSuspend(req, res, next) {
     next(err);
   }
 }
+
+/**
+ * Cuotas de rate limit configuradas y vigentes. Fuera de Ditta, solo las de la org propia.
+ *
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {import("express").NextFunction} next
+ */
+export async function getRateLimits(req, res, next) {
+  try {
+    const bypass = req.tenant?.isRoot === true;
+    if (!/^\d+$/.test(req.params.id) || (!bypass && req.params.id !== String(req.tenant?.jwtOrgId))) {
+      return res.status(404).json({ error: "Organización no encontrada" });
+    }
+    res.json(await rateLimitService.describeOrgQuotas(req.params.id));
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Fija userMax / orgMax / apiKeyMax de una organización (null = default del entorno).
+ *
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {import("express").NextFunction} next
+ */
+export async function putRateLimits(req, res, next) {
+  try {
+    if (!/^\d+$/.test(req.params.id)) {
+      return res.status(404).json({ error: "Organización no encontrada" });
+    }
+    const result = await rateLimitService.setOrgQuotas(
+      req.params.id,
+      req.body ?? {},
+      Number(req.user?.user_id) || null,
+    );
+    res.json(result);
+  } catch (err) {
+    if (err?.status) return res.status(err.status).json({ error: err.message });
+    next(err);
+  }
+}
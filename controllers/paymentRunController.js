@@ -0,0 +1,103 @@
+/**
+ * @module paymentRunController
+ * @description Tesorería: corridas de pago SPEI de reembolsos (generar archivo bancario, descargarlo,
+ * aplicar la confirmación del banco y cancelar lo no enviado).
+ */
+import PaymentRunService from "../services/paymentRunService.js";
+
+/**
+ * Organización activa (impersonación ROOT + X-Organization-Id usa req.tenant).
+ * @param {import("express").Request} req
+ * @returns {bigint|number|string|null}
+ */
+const resolveActiveOrganizationId = (req) =>
+    req.tenant?.organizationId ?? req.user?.organization_id ?? null;
+
+/**
+ * @param {import("express").Response} res
+ * @param {*} error
+ * @param {string} label
+ * @returns {import("express").Response}
+ */
+const sendError = (res, error, label) => {
+    if (error.status) {
+        return res.status(error.status).json({
+            error: error.message,
+            ...(error.details ? { details: error.details } : {}),
+        });
+    }
+    console.error(`Error in ${label}:`, error);
+    return res.status(500).json({ error: "Internal server error" });
+};
+
+/**
+ * Envuelve un handler que necesita la organización en contexto.
+ * @param {string} label
+ * @param {(req: import("express").Request, res: import("express").Response, orgId: bigint|number|string) => Promise<unknown>} handler
+ * @returns {import("express").RequestHandler}
+ */
+const withOrganization = (label, handler) => async (req, res) => {
+    const orgId = resolveActiveOrganizationId(req);
+    if (orgId === null) {
+        return res.status(400).json({ error: "No hay organización en contexto." });
+    }
+    try {
+        return await handler(req, res, orgId);
+    } catch (error) {
+        return sendError(res, error, label);
+    }
+};
+
+/** GET /api/accounts-payable/payment-runs */
+const listRuns = withOrganization("listRuns", async (req, res, orgId) => {
+    res.status(200).json(await PaymentRunService.listRuns(orgId));
+});
+
+/**
+ * POST /api/accounts-payable/payment-runs — body { layout, source_account?, value_date?, settlement_ids? }
+ * 201 con la corrida y los reembolsos que se dejaron fuera (`skipped`).
+ */
+const createRun = withOrganization("createRun", async (req, res, orgId) => {
+    const result = await PaymentRunService.createRun(orgId, {
+        layout: req.body.layout,
+        sourceAccount: req.body.source_account ?? null,
+        valueDate: req.body.value_date ?? null,
+        settlementIds: req.body.settlement_ids ?? null,
+        actorUserId: Number(req.user?.user_id) || null,
+    });
+    res.status(201).json(result);
+});
+
+/** GET /api/accounts-payable/payment-runs/:run_id */
+const getRun = withOrganization("getRun", async (req, res, orgId) => {
+    res.status(200).json(await PaymentRunService.getRun(orgId, req.params.run_id));
+});
+
+/** GET /api/accounts-payable/payment-runs/:run_id/file — archivo para subir al banco. */
+const downloadFile = withOrganization("downloadPaymentFile", async (req, res, orgId) => {
+    const { fileName, contentType, content } = await PaymentRunService.getRunFile(orgId, req.params.run_id);
+    res.type(contentType);
+    res.attachment(fileName);
+    res.status(200).send(content);
+});
+
+/** POST /api/accounts-payable/payment-runs/:run_id/confirmation — multipart `file` (respuesta del banco). */
+const confirmRun = withOrganization("confirmRun", async (req, res, orgId) => {
+    if (!req.file?.buffer?.length) {
+        return res.status(400).json({ error: "Adjunta el archivo de confirmación del banco (.csv o .txt) en el campo file." });
+    }
+    const result = await PaymentRunService.confirmRun(orgId, req.params.run_id, req.file.buffer.toString("utf8"), {
+        actorUserId: Number(req.user?.user_id) || null,
+    });
+    res.status(200).json(result);
+});
+
+/** POST /api/accounts-payable/payment-runs/:run_id/cancel — body `{ confirm_unpaid }` si quedan líneas sin respuesta. */
+const cancelRun = withOrganization("cancelRun", async (req, res, orgId) => {
+    res.status(200).json(await PaymentRunService.cancelRun(orgId, req.params.run_id, {
+        confirmUnpaid: req.body?.confirm_unpaid === true,
+        actorUserId: Number(req.user?.user_id) || null,
+    }));
+});
+
+export default { listRuns, createRun, getRun, downloadFile, confirmRun, cancelRun };
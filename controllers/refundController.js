@@ -6,6 +6,7 @@ import prisma from "../database/config/prisma.js";
 import * as timeService from "../services/reimbursementTimeService.js";
 import * as exceptionService from "../services/policyExceptionService.js";
 import { summarizeRequestPolicyResult } from "../services/refundRuleEngine.js";
+import walletLedgerService from "../services/walletLedgerService.js";
 
 /**
  *
@@ -48,7 +49,7 @@ export const getTimeLimit = async (req, res) => {
 };
 
 /**
- * PUT /api/refunds/time-limit  body: { daysAfterTrip, graceDays, blockOnExpiry }
+ * PUT /api/refunds/time-limit  body: { daysAfterTrip, graceDays, blockOnExpiry, useBusinessDays }
  * @param {import("express").Request} req
  * @param {import("express").Response} res
  */
@@ -122,7 +123,7 @@ export const getRefundDashboardByUser = async (req, res) => {
 
     const user = await prisma.user.findUnique({
       where: { userId: targetUserId },
-      select: { userId: true, wallet: true, organizationId: true },
+      select: { userId: true, organizationId: true },
     });
     if (!user) return res.status(404).json({ error: "Usuario no encontrado." });
 
@@ -163,8 +164,11 @@ export const getRefundDashboardByUser = async (req, res) => {
       } catch { /* ignore */ }
     }
 
+    const { balance, balances } = await walletLedgerService.getUserWalletSummary(targetUserId);
+
     return res.status(200).json({
-      balance: Number(user.wallet || 0),
+      balance,
+      balances,
       history,
       pendingDeadlineWarning,
     });
@@ -5,6 +5,7 @@
 
 import jwt from "jsonwebtoken";
 import * as requestCommentService from "../services/requestCommentService.js";
+import { REQUEST_EVENT_TYPES, subscribeToRequest } from "../services/requestEventBus.js";
 import { validationResult } from "express-validator";
 
 const JWT_SECRET = process.env.JWT_SECRET || "";
@@ -132,11 +133,16 @@ export async function readComments(req, res) {
 /**
  * Stream comments for a request via Server-Sent Events (SSE).
  * GET /api/solicitudes/:id/comments/stream
+ *
+ * Sends the latest page as an initial `data:` snapshot (or, with `Last-Event-ID`, only the
+ * comments posted after that id) and then one `comment.created` event per delta pushed through
+ * the request event bus. Comment lines (`: heartbeat`) keep proxies from closing idle streams.
  * @param {import('express').Request} req - Express request
  * @param {import('express').Response} res - Express response
  * @returns {void}
  */
 export async function streamComments(req, res) {
+  let unsubscribe = null;
   try {
     // Validate request
     const errors = validationResult(req);
@@ -167,41 +173,101 @@ export async function streamComments(req, res) {
       return res.status(403).json({ error: "Cannot read other user comments" });
     }
 
+    // Subscribe before reading: a comment posted while the snapshot is read is not lost. Events
+    // that arrive before the first frame only mark the stream as behind and are read right after.
+    let ready = false;
+    let missed = false;
+    let closed = false;
+    let pending = Promise.resolve();
+    let lastEventId = null;
+    let send = null;
+
+    // Deltas are read in order, one at a time, so a burst of events never duplicates comments.
+    const flush = async () => {
+      if (closed) return;
+      try {
+        const delta = await requestCommentService.readCommentsSince(requestId, userId, lastEventId);
+        if (closed || !delta.success || delta.data.messages.length === 0) return;
+        lastEventId = delta.eventId;
+        send(delta.data, { event: REQUEST_EVENT_TYPES.COMMENT_CREATED, id: lastEventId });
+      } catch (err) {
+        console.error("Error streaming comment delta:", err);
+      }
+    };
+
+    unsubscribe = subscribeToRequest(requestId, (event) => {
+      if (event.type !== REQUEST_EVENT_TYPES.COMMENT_CREATED) return;
+      if (!ready) {
+        missed = true;
+        return;
+      }
+      pending = pending.then(flush);
+    });
+
+    // Resume from the last delivered event when the client reconnects; an unreadable id falls
+    // back to a full snapshot.
+    const resumeFrom = req.get("Last-Event-ID");
+    let resumed = null;
+    if (resumeFrom) {
+      resumed = await requestCommentService.readCommentsSince(requestId, userId, resumeFrom);
+      if (!resumed.success && resumed.error !== "tampered cursor") {
+        unsubscribe();
+        return res.status(404).json({ error: resumed.error });
+      }
+    }
+
+    let snapshot = null;
+    if (!resumed?.success) {
+      snapshot = await requestCommentService.readComments(requestId, userId, limit, {suscribe: true});
+      if (!snapshot.success) {
+        unsubscribe();
+        return res.status(404).json({ error: snapshot.error });
+      }
+    }
+
     // Set SSE headers
     res.set({
       "Content-Type": "text/event-stream",
       "Cache-Control": "no-cache",
       Connection: "keep-alive",
     });
+    res.flushHeaders();
 
-    const send = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
-
-    // Send initial batch of comments
-    const comments = await requestCommentService.readComments(requestId, userId, limit, {suscribe: true});
+    send = (data, { event, id } = {}) => {
+      if (id) res.write(`id: ${id}\n`);
+      if (event) res.write(`event: ${event}\n`);
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+    };
 
-    if (!comments.success) {
-      return res.status(404).json({ error: comments.error });
+    if (resumed?.success) {
+      lastEventId = resumed.eventId;
+      if (resumed.data.messages.length > 0) {
+        send(resumed.data, { event: REQUEST_EVENT_TYPES.COMMENT_CREATED, id: lastEventId });
+      }
+    } else {
+      const { eventId, ...initial } = snapshot;
+      lastEventId = eventId ?? null;
+      send(initial, { id: lastEventId });
     }
 
-    send(comments);
+    ready = true;
+    if (missed) pending = pending.then(flush);
 
-    // Poll for new comments at regular interval
-    const interval = setInterval(async () => {
-      try {
-        const latestComments = await requestCommentService.readComments(requestId, userId, limit, {suscribe: true});
-        if (latestComments.success) {
-          send(latestComments);
-        }
-      } catch (err) {
-        console.error("Error polling comments:", err);
-        clearInterval(interval);
-      }
-    }, Number(process.env.REQUEST_COMMENT_EVENT_INTERVAL_MS ?? 500));
+    const heartbeat = setInterval(() => {
+      res.write(": heartbeat\n\n");
+    }, Number(process.env.REQUEST_COMMENT_HEARTBEAT_MS ?? 15000));
 
-    res.on("close", () => clearInterval(interval));
+    res.on("close", () => {
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
   } catch (error) {
     console.error("Error streaming comments:", error);
+    unsubscribe?.();
+    if (res.headersSent) {
+      return res.end();
+    }
     res.status(500).json({ error: "Internal server error" });
   }
 }
-
@@ -0,0 +1,153 @@
+/**
+ * @module scimController
+ * @description Endpoints SCIM 2.0 (/scim/v2) para aprovisionamiento desde el IdP del cliente
+ * (Azure AD / Entra ID, Okta). La organización sale de la API key (`req.apiKey`), nunca del cuerpo.
+ * Respuestas y errores con `application/scim+json` y el esquema de error del RFC 7644.
+ */
+import ScimUserService from "../services/scim/scimUserService.js";
+import ScimGroupService from "../services/scim/scimGroupService.js";
+import {
+    ScimError,
+    SCIM_CONTENT_TYPE,
+    serviceProviderConfig,
+    resourceTypes,
+    listResponse,
+} from "../services/scim/scimCore.js";
+
+/**
+ * URL base para `meta.location` y `$ref` (p. ej. https://api.cliente.mx/scim/v2).
+ * @param {import("express").Request} req
+ * @returns {string}
+ */
+const scimBaseUrl = (req) => `${req.protocol}://${req.get("host")}${req.baseUrl}`;
+
+/**
+ * @param {import("express").Request} req
+ * @returns {bigint}
+ */
+const orgOf = (req) => BigInt(req.apiKey.organizationId);
+
+/**
+ * @param {import("express").Response} res
+ * @param {number} status
+ * @param {object} body
+ * @returns {import("express").Response}
+ */
+const sendScim = (res, status, body) => res.status(status).type(SCIM_CONTENT_TYPE).json(body);
+
+/**
+ * Convierte cualquier error a la respuesta SCIM. Acepta también los `{ status, message }` de servicios.
+ * @param {import("express").Response} res
+ * @param {*} error
+ * @param {string} label
+ * @returns {import("express").Response}
+ */
+export const sendScimError = (res, error, label) => {
+    let scimError = error instanceof ScimError ? error : null;
+    if (!scimError && error?.code === "P2002") {
+        scimError = new ScimError(409, "El recurso ya existe.", "uniqueness");
+    }
+    const status = error?.status ?? error?.statusCode;
+    if (!scimError && status && status < 500) {
+        scimError = new ScimError(status, error.message ?? "Error");
+    }
+    if (!scimError) {
+        console.error(`${label}:`, error);
+        scimError = new ScimError(500, "Internal server error");
+    }
+    return sendScim(res, scimError.status, scimError.toJSON());
+};
+
+/**
+ * Envuelve un handler SCIM con el manejo de errores común.
+ * @param {string} label
+ * @param {(req: import("express").Request, res: import("express").Response) => Promise<*>} fn
+ * @returns {import("express").RequestHandler}
+ */
+const scimHandler = (label, fn) => async (req, res) => {
+    try {
+        await fn(req, res);
+    } catch (error) {
+        sendScimError(res, error, label);
+    }
+};
+
+const getServiceProviderConfig = scimHandler("scim.serviceProviderConfig", async (req, res) => {
+    sendScim(res, 200, serviceProviderConfig(scimBaseUrl(req)));
+});
+
+const getResourceTypes = scimHandler("scim.resourceTypes", async (req, res) => {
+    const types = resourceTypes(scimBaseUrl(req));
+    sendScim(res, 200, listResponse(types, types.length, 1));
+});
+
+const listUsers = scimHandler("scim.listUsers", async (req, res) => {
+    sendScim(res, 200, await ScimUserService.listScimUsers(orgOf(req), req.query, scimBaseUrl(req)));
+});
+
+const getUser = scimHandler("scim.getUser", async (req, res) => {
+    sendScim(res, 200, await ScimUserService.getScimUser(orgOf(req), req.params.id, scimBaseUrl(req)));
+});
+
+const createUser = scimHandler("scim.createUser", async (req, res) => {
+    const user = await ScimUserService.createScimUser(orgOf(req), req.body, scimBaseUrl(req));
+    res.location(user.meta.location);
+    sendScim(res, 201, user);
+});
+
+const replaceUser = scimHandler("scim.replaceUser", async (req, res) => {
+    sendScim(res, 200, await ScimUserService.replaceScimUser(orgOf(req), req.params.id, req.body, scimBaseUrl(req)));
+});
+
+const patchUser = scimHandler("scim.patchUser", async (req, res) => {
+    sendScim(res, 200, await ScimUserService.patchScimUser(orgOf(req), req.params.id, req.body, scimBaseUrl(req)));
+});
+
+const deleteUser = scimHandler("scim.deleteUser", async (req, res) => {
+    await ScimUserService.deactivateScimUser(orgOf(req), req.params.id);
+    res.status(204).end();
+});
+
+const listGroups = scimHandler("scim.listGroups", async (req, res) => {
+    sendScim(res, 200, await ScimGroupService.listScimGroups(orgOf(req), req.query, scimBaseUrl(req)));
+});
+
+const getGroup = scimHandler("scim.getGroup", async (req, res) => {
+    sendScim(res, 200, await ScimGroupService.getScimGroup(orgOf(req), req.params.id, req.query, scimBaseUrl(req)));
+});
+
+const createGroup = scimHandler("scim.createGroup", async (req, res) => {
+    const group = await ScimGroupService.createScimGroup(orgOf(req), req.body, scimBaseUrl(req));
+    res.location(group.meta.location);
+    sendScim(res, 201, group);
+});
+
+const replaceGroup = scimHandler("scim.replaceGroup", async (req, res) => {
+    sendScim(res, 200, await ScimGroupService.replaceScimGroup(orgOf(req), req.params.id, req.body, scimBaseUrl(req)));
+});
+
+const patchGroup = scimHandler("scim.patchGroup", async (req, res) => {
+    sendScim(res, 200, await ScimGroupService.patchScimGroup(orgOf(req), req.params.id, req.body, scimBaseUrl(req)));
+});
+
+const deleteGroup = scimHandler("scim.deleteGroup", async (req, res) => {
+    await ScimGroupService.deleteScimGroup(orgOf(req), req.params.id);
+    res.status(204).end();
+});
+
+export default {
+    getServiceProviderConfig,
+    getResourceTypes,
+    listUsers,
+    getUser,
+    createUser,
+    replaceUser,
+    patchUser,
+    deleteUser,
+    listGroups,
+    getGroup,
+    createGroup,
+    replaceGroup,
+    patchGroup,
+    deleteGroup,
+};
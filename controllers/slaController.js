@@ -0,0 +1,120 @@
+/**
+ * @module slaController
+ * @description Calendario laboral, días inhábiles y plazos SLA por estatus de la organización.
+ * Scoped a req.tenant.organizationId (multi-tenant).
+ */
+import {
+  addClosure,
+  deleteClosure,
+  getOrgCalendar,
+  listSlaPolicies,
+  setOrgCalendar,
+  setSlaPolicy,
+} from "../services/slaCalendarService.js";
+
+/**
+ * Helper: obtiene el orgId del tenant context.
+ * @param {import("express").Request} req
+ * @returns {bigint}
+ */
+function getOrgId(req) {
+  const raw = req.tenant?.organizationId ?? req.user?.organization_id;
+  if (raw === null || raw === undefined) throw new Error("No organization context");
+  return BigInt(raw);
+}
+
+/**
+ * Responde errores `{ status, message }` del servicio; el resto como 500.
+ * @param {import("express").Response} res
+ * @param {*} err
+ * @param {string} fallback
+ */
+function handleError(res, err, fallback) {
+  if (err?.status) return res.status(err.status).json({ error: err.message });
+  console.error(`${fallback}:`, err);
+  return res.status(500).json({ error: fallback });
+}
+
+/**
+ * GET /api/workflow-rules/sla/calendar
+ * Calendario laboral vigente (o el default) con sus días inhábiles.
+ * @param req
+ * @param res
+ */
+export async function getCalendar(req, res) {
+  try {
+    return res.json(await getOrgCalendar(getOrgId(req)));
+  } catch (err) {
+    return handleError(res, err, "Error al obtener el calendario SLA.");
+  }
+}
+
+/**
+ * PUT /api/workflow-rules/sla/calendar
+ * Body: { workingDays?, dayStart?, dayEnd?, mexicanHolidays? }
+ * @param req
+ * @param res
+ */
+export async function updateCalendar(req, res) {
+  try {
+    const calendar = await setOrgCalendar(getOrgId(req), req.body ?? {}, Number(req.user.user_id) || null);
+    return res.json(calendar);
+  } catch (err) {
+    return handleError(res, err, "Error al actualizar el calendario SLA.");
+  }
+}
+
+/**
+ * POST /api/workflow-rules/sla/closures
+ * Body: { date: "YYYY-MM-DD", reason? }
+ * @param req
+ * @param res
+ */
+export async function createClosure(req, res) {
+  try {
+    return res.status(201).json(await addClosure(getOrgId(req), req.body ?? {}));
+  } catch (err) {
+    return handleError(res, err, "Error al registrar el día inhábil.");
+  }
+}
+
+/**
+ * DELETE /api/workflow-rules/sla/closures/:id
+ * @param req
+ * @param res
+ */
+export async function removeClosure(req, res) {
+  try {
+    return res.json(await deleteClosure(getOrgId(req), req.params.id));
+  } catch (err) {
+    return handleError(res, err, "Error al eliminar el día inhábil.");
+  }
+}
+
+/**
+ * GET /api/workflow-rules/sla/policies
+ * Plazos por estatus; `source` indica si es el default o de la organización.
+ * @param req
+ * @param res
+ */
+export async function listPolicies(req, res) {
+  try {
+    return res.json(await listSlaPolicies(getOrgId(req)));
+  } catch (err) {
+    return handleError(res, err, "Error al listar los plazos SLA.");
+  }
+}
+
+/**
+ * PUT /api/workflow-rules/sla/policies/:statusId
+ * Body: { durationHours, reminderHours?, escalateOnBreach?, active? }
+ * @param req
+ * @param res
+ */
+export async function updatePolicy(req, res) {
+  try {
+    return res.json(await setSlaPolicy(getOrgId(req), req.params.statusId, req.body ?? {}));
+  } catch (err) {
+    return handleError(res, err, "Error al guardar el plazo SLA.");
+  }
+}
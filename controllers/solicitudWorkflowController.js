@@ -1,47 +1,25 @@
 /**
  * @module solicitudWorkflowController
- * @description POST /api/solicitudes/:id/aprobar|rechazar|reasignar (M2-005).
+ * @description POST /api/solicitudes/:id/aprobar|rechazar|reasignar (M2-005) y transiciones
+ * configurables por organización (GET|POST /api/solicitudes/:id/transiciones).
  */
 import authorizerServices from "../services/authorizerService.js";
 import prisma from "../database/config/prisma.js";
 import { buildSolicitudJourney } from "../services/solicitudJourneyService.js";
-import {
-  notifyRequestApproved,
-  notifyRequestRejected,
-  notifyRequestEscalated,
-  notifySafe,
-} from "../services/workflowNotificationService.js";
+import { notifySafe } from "../services/workflowNotificationService.js";
+import { kickNotificationOutbox } from "../services/notificationOutboxService.js";
 import { createNotification } from "../services/notificationService.js";
-
-/** Permisos que permiten ver historial de solicitudes ajenas en el mismo tenant. */
-const HISTORIAL_BROAD_VIEW_PERMISSIONS = [
-  "travel_request:view_any",
-  "travel_request:authorize",
-  "travel_agent:attend",
-  "accounts_payable:attend",
-];
-
-/**
- * @param {Set<string>|undefined} permissionSet
- * @returns {boolean}
- */
-function canViewAnyTravelRequestHistorial(permissionSet) {
-  if (!(permissionSet instanceof Set)) return false;
-  return HISTORIAL_BROAD_VIEW_PERMISSIONS.some((code) => permissionSet.has(code));
-}
-
-/**
- * @param {number} request_id
- * @param {number} actor_user_id
- * @param {{ outcome: string }} result
- */
-async function notifyAfterApproval(request_id, actor_user_id, result) {
-  if (result.outcome === "ESCALADO") {
-    await notifySafe(() => notifyRequestEscalated(request_id));
-    return;
-  }
-  await notifySafe(() => notifyRequestApproved(request_id, actor_user_id));
-}
+import {
+  canViewAnyRequest,
+  emitRequestUpdated,
+  emitSafe,
+} from "../services/requestEventService.js";
+import {
+  REQUEST_STATUS_LABELS,
+  applyCustomTransition,
+  isCoreAction,
+  listAvailableTransitions,
+} from "../services/requestStateMachine.js";
 
 /**
  * POST /api/solicitudes/:id/aprobar
@@ -56,12 +34,19 @@ export const approveSolicitud = async (req, res) => {
     const result = await authorizerServices.authorizeRequest(
       request_id,
       user_id,
+      { permissionSet: req.user.permissionSet },
     );
-    await notifyAfterApproval(request_id, user_id, result);
+    kickNotificationOutbox();
+    await emitSafe(() => emitRequestUpdated(request_id, {
+      actorUserId: user_id,
+      outcome: result.outcome,
+      withHistorial: true,
+    }));
     return res.status(200).json({
       message: "Solicitud actualizada correctamente",
       new_status: result.new_status,
       outcome: result.outcome,
+      ...(result.votes ? { votes: result.votes } : {}),
     });
   } catch (error) {
     if (error.status) {
@@ -87,10 +72,14 @@ export const rejectSolicitud = async (req, res) => {
       request_id,
       user_id,
       comentario,
+      { permissionSet: req.user.permissionSet },
     );
-    await notifySafe(() =>
-      notifyRequestRejected(request_id, comentario),
-    );
+    kickNotificationOutbox();
+    await emitSafe(() => emitRequestUpdated(request_id, {
+      actorUserId: user_id,
+      outcome: result.outcome ?? "RECHAZADO",
+      withHistorial: true,
+    }));
     return res.status(200).json(result);
   } catch (error) {
     if (error.status) {
@@ -118,11 +107,17 @@ export const reassignSolicitud = async (req, res) => {
       actor_user_id,
       Number(target_user_id),
       motivo,
+      { permissionSet: req.user.permissionSet },
     );
     await notifySafe(async () => {
       const msg = `Se te reasignó la solicitud #${request_id} para aprobación.`;
       await createNotification(Number(target_user_id), msg);
     });
+    await emitSafe(() => emitRequestUpdated(request_id, {
+      actorUserId: actor_user_id,
+      outcome: "REASIGNADO",
+      withHistorial: true,
+    }));
     return res.status(200).json(result);
   } catch (error) {
     if (error.status) {
@@ -170,7 +165,7 @@ export const getSolicitudHistorial = async (req, res) => {
     }
 
     if (
-      !canViewAnyTravelRequestHistorial(req.user.permissionSet) &&
+      !canViewAnyRequest(req.user.permissionSet) &&
       request.userId !== user_id
     ) {
       return res.status(403).json({ error: "Acceso denegado" });
@@ -204,3 +199,94 @@ export const getSolicitudHistorial = async (req, res) => {
     return res.status(500).json({ error: "Internal server error" });
   }
 };
+
+/**
+ * GET /api/solicitudes/:id/transiciones
+ * Transiciones que el usuario puede ejecutar desde el estatus actual. Las acciones `core`
+ * tienen endpoint propio (aprobar, rechazar, atender…); el resto se ejecuta con POST.
+ * @param req
+ * @param res
+ */
+export const listSolicitudTransiciones = async (req, res) => {
+  const request_id = Number(req.params.id);
+  const user_id = Number(req.user.user_id);
+  const org_id = BigInt(req.tenant?.organizationId ?? req.user.organization_id);
+
+  try {
+    const request = await prisma.request.findUnique({
+      where: { requestId: request_id },
+      select: { userId: true, organizationId: true, requestStatusId: true },
+    });
+
+    if (!request) {
+      return res.status(404).json({ error: "Solicitud no encontrada" });
+    }
+
+    if (request.organizationId !== org_id) {
+      return res.status(403).json({ error: "Acceso denegado" });
+    }
+
+    if (
+      !canViewAnyRequest(req.user.permissionSet) &&
+      request.userId !== user_id
+    ) {
+      return res.status(403).json({ error: "Acceso denegado" });
+    }
+
+    const transitions = await listAvailableTransitions({
+      organizationId: request.organizationId,
+      fromStatusId: request.requestStatusId,
+      actorUserId: user_id,
+      permissionSet: req.user.permissionSet,
+    });
+
+    return res.status(200).json({
+      request_id,
+      current_status_id: request.requestStatusId,
+      transitions: transitions.map((t) => ({
+        action: t.action,
+        to_status_id: t.toStatusId,
+        to_status: REQUEST_STATUS_LABELS[t.toStatusId] ?? null,
+        core: isCoreAction(t.action),
+      })),
+    });
+  } catch (error) {
+    console.error("listSolicitudTransiciones:", error);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+/**
+ * POST /api/solicitudes/:id/transiciones  body: { action, to_status_id?, comentario? }
+ * Ejecuta una acción propia de la organización (p. ej. liberación de Tesorería).
+ * @param req
+ * @param res
+ */
+export const applySolicitudTransicion = async (req, res) => {
+  const request_id = Number(req.params.id);
+  const user_id = Number(req.user.user_id);
+  const { action } = req.body;
+  const to_status_id = req.body?.to_status_id ?? req.body?.toStatusId;
+  const comentario = req.body?.comentario ?? req.body?.comment ?? null;
+
+  try {
+    const result = await applyCustomTransition(request_id, action, {
+      actorUserId: user_id,
+      permissionSet: req.user.permissionSet,
+      toStatusId: to_status_id !== null && to_status_id !== undefined ? Number(to_status_id) : undefined,
+      comentario: typeof comentario === "string" && comentario.trim() ? comentario.trim() : null,
+    });
+    await emitSafe(() => emitRequestUpdated(request_id, {
+      actorUserId: user_id,
+      outcome: action,
+      withHistorial: true,
+    }));
+    return res.status(200).json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...(error.code ? { code: error.code } : {}) });
+    }
+    console.error("applySolicitudTransicion:", error);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+};
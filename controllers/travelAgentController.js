@@ -4,8 +4,10 @@
  * @author Miguel Soria
  */
 import TravelAgent from "../models/travelAgentModel.js";
-import { Mail } from "../services/email/mail.cjs";
-import mailData from "../services/email/mailData.js";
+import TravelAgentService from "../services/travelAgentService.js";
+import FlightBookingService from "../services/flightBookingService.js";
+import OfferPolicyService from "../services/offerPolicyService.js";
+import { emitOfferSelected, emitSafe } from "../services/requestEventService.js";
 
 /**
  * Attends a travel request by advancing its status from travel agency to completed.
@@ -18,96 +20,126 @@ const attendTravelRequest = async (req, res) => {
     const requestId = req.params.request_id;
 
     try {
-        const exists = await TravelAgent.requestExists(requestId);
-        if (!exists) {
-            return res.status(404).json({ error: "Travel request not found" });
-        }
-
-        const updated = await TravelAgent.attendTravelRequest(requestId);
-
-        if (!updated) {
-            return res.status(400).json({ error: "Failed to update travel request status" });
-        }
-
-        try {
-            const { user_email, user_name, request_id, status } = await mailData(requestId);
-            await Mail(user_email, user_name, request_id, status);
-        } catch (mailErr) {
-            console.warn(
-                "[attendTravelRequest / travel-agent] Estado actualizado; correo no enviado:",
-                mailErr?.message || mailErr
-            );
-        }
+        const { newStatus } = await TravelAgentService.attendTravelRequest(requestId, {
+            actorUserId: Number(req.user?.user_id) || null,
+            permissionSet: req.user?.permissionSet,
+        });
 
         return res.status(200).json({
             message: "Travel request status updated successfully",
             requestId: requestId,
-            newStatus: 6,
+            newStatus,
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error("Error in attendTravelRequest controller:", error);
         res.status(500).json({ error: "Internal server error" });
     }
 };
 
+/**
+ * Responde errores de servicio `{ status, message, code?, details? }`; el resto, 500.
+ * @param {import('express').Response} res
+ * @param {*} error
+ * @param {string} label
+ */
+const sendSelectionError = (res, error, label) => {
+    if (error?.status) {
+        return res.status(error.status).json({
+            error: error.message,
+            ...(error.code ? { code: error.code } : {}),
+            ...(error.details ? { details: error.details } : {}),
+        });
+    }
+    console.error(`Error in ${label}:`, error);
+    return res.status(500).json({ error: "Internal server error" });
+};
+
 /**
  * Guarda la oferta de vuelo elegida en la solicitud (TF-010).
+ * Fuera de política exige `justification` y crea una PolicyException PENDING en la misma transacción.
  * @param {import('express').Request} req
  * @param {import('express').Response} res
  */
 const saveSelectedFlightOffer = async (req, res) => {
-  const requestId = req.params.request_id;
-  const offer = req.body?.offer;
-  if (!offer || typeof offer !== "object" || Array.isArray(offer)) {
-    return res.status(400).json({ error: "offer must be a JSON object" });
-  }
-  const routerIndex = req.body?.router_index;
-  const segmentLabel = req.body?.segment_label;
-  try {
-    const exists = await TravelAgent.requestExists(requestId);
-    if (!exists) {
-      return res.status(404).json({ error: "Travel request not found" });
+    const requestId = req.params.request_id;
+    const offer = req.body?.offer;
+    if (!offer || typeof offer !== "object" || Array.isArray(offer)) {
+        return res.status(400).json({ error: "offer must be a JSON object" });
+    }
+    const routerIndex = req.body?.router_index;
+    const segmentLabel = req.body?.segment_label;
+    try {
+        const exists = await TravelAgent.requestExists(requestId);
+        if (!exists) {
+            return res.status(404).json({ error: "Travel request not found" });
+        }
+        const segmentIndex =
+            routerIndex !== undefined && routerIndex !== null ? Number(routerIndex) : 0;
+        if (await FlightBookingService.findActiveBooking(requestId, segmentIndex)) {
+            return res.status(409).json({
+                error: "El tramo tiene una reserva vigente; cancélala antes de cambiar la oferta",
+                code: "BOOKING_EXISTS",
+            });
+        }
+        const policy = await OfferPolicyService.checkOfferSelection("flight", requestId, offer, req.body?.justification);
+        const exception = await OfferPolicyService.saveOfferSelection(
+            requestId,
+            policy,
+            (tx) => TravelAgent.saveSelectedFlightOffer(requestId, offer, {
+                routerIndex: segmentIndex,
+                segmentLabel: typeof segmentLabel === "string" ? segmentLabel : undefined,
+            }, tx),
+            { justification: req.body?.justification, requestedById: Number(req.user?.user_id) }
+        );
+        await emitSafe(() => emitOfferSelected(requestId, "flight"));
+        return res.status(200).json({
+            message: "Flight offer saved",
+            requestId,
+            policy,
+            ...(exception ? { exception_id: exception.exceptionId } : {}),
+        });
+    } catch (error) {
+        return sendSelectionError(res, error, "saveSelectedFlightOffer");
     }
-    await TravelAgent.saveSelectedFlightOffer(requestId, offer, {
-      routerIndex:
-        routerIndex !== undefined && routerIndex !== null ? Number(routerIndex) : 0,
-      segmentLabel: typeof segmentLabel === "string" ? segmentLabel : undefined,
-    });
-    return res.status(200).json({
-      message: "Flight offer saved",
-      requestId,
-    });
-  } catch (error) {
-    console.error("Error in saveSelectedFlightOffer:", error);
-    return res.status(500).json({ error: "Internal server error" });
-  }
 };
 
 /**
  * Guarda la oferta de hospedaje elegida (Duffel Stays / JSON normalizado).
+ * Fuera de política (tarifa por noche sobre el cap) exige `justification`, igual que el vuelo.
  * @param {import('express').Request} req
  * @param {import('express').Response} res
  */
 const saveSelectedHotelOffer = async (req, res) => {
-  const requestId = req.params.request_id;
-  const offer = req.body?.offer;
-  if (!offer || typeof offer !== "object" || Array.isArray(offer)) {
-    return res.status(400).json({ error: "offer must be a JSON object" });
-  }
-  try {
-    const exists = await TravelAgent.requestExists(requestId);
-    if (!exists) {
-      return res.status(404).json({ error: "Travel request not found" });
+    const requestId = req.params.request_id;
+    const offer = req.body?.offer;
+    if (!offer || typeof offer !== "object" || Array.isArray(offer)) {
+        return res.status(400).json({ error: "offer must be a JSON object" });
+    }
+    try {
+        const exists = await TravelAgent.requestExists(requestId);
+        if (!exists) {
+            return res.status(404).json({ error: "Travel request not found" });
+        }
+        const policy = await OfferPolicyService.checkOfferSelection("hotel", requestId, offer, req.body?.justification);
+        const exception = await OfferPolicyService.saveOfferSelection(
+            requestId,
+            policy,
+            (tx) => TravelAgent.saveSelectedHotelOffer(requestId, offer, tx),
+            { justification: req.body?.justification, requestedById: Number(req.user?.user_id) }
+        );
+        await emitSafe(() => emitOfferSelected(requestId, "hotel"));
+        return res.status(200).json({
+            message: "Hotel offer saved",
+            requestId,
+            policy,
+            ...(exception ? { exception_id: exception.exceptionId } : {}),
+        });
+    } catch (error) {
+        return sendSelectionError(res, error, "saveSelectedHotelOffer");
     }
-    await TravelAgent.saveSelectedHotelOffer(requestId, offer);
-    return res.status(200).json({
-      message: "Hotel offer saved",
-      requestId,
-    });
-  } catch (error) {
-    console.error("Error in saveSelectedHotelOffer:", error);
-    return res.status(500).json({ error: "Internal server error" });
-  }
 };
 
 export default {
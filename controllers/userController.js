@@ -6,6 +6,7 @@ import * as userService from "../services/userService.js";
 import User from "../models/userModel.js";
 import { decrypt } from "../middleware/decryption.js";
 import { loadEffectivePermissions } from "../services/permissionService.js";
+import TravelerProfileService from "../services/travelerProfileService.js";
 
 /**
  * Retrieves user profile data by ID.
@@ -113,6 +114,46 @@ export const getMyPermissions = async (req, res) => {
   }
 };
 
+/**
+ * GET /api/user/me/traveler-profile — perfil de viajero propio (null si no existe).
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export const getMyTravelerProfile = async (req, res) => {
+  try {
+    const profile = await TravelerProfileService.getTravelerProfile(Number(req.user.user_id));
+    return res.status(200).json({ profile });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error("getMyTravelerProfile error:", error);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+/**
+ * PUT /api/user/me/traveler-profile — reemplaza el perfil de viajero propio.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export const putMyTravelerProfile = async (req, res) => {
+  const organizationId = req.tenant?.organizationId ?? req.user?.organization_id ?? null;
+  if (organizationId === null) {
+    return res.status(400).json({ error: "Organization context required" });
+  }
+  try {
+    const profile = await TravelerProfileService.upsertTravelerProfile(
+      Number(req.user.user_id),
+      organizationId,
+      req.body,
+    );
+    return res.status(200).json({ profile });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error("putMyTravelerProfile error:", error);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+};
+
 /**
  * Lists travel requests filtered by department and status.
  *
@@ -287,6 +328,7 @@ export const getUserWallet = async (req, res) => {
       user_id: user.user_id,
       user_name: user.user_name,
       wallet: user.wallet,
+      balances: user.balances,
     };
 
     return res.status(200).json(formatted);
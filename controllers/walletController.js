@@ -0,0 +1,151 @@
+/**
+ * @module walletController
+ * @description Estados de cuenta del monedero del empleado (propio, por empleado y por organización)
+ * y movimientos manuales de tesorería.
+ */
+import { validationResult } from "express-validator";
+import prisma from "../database/config/prisma.js";
+import WalletLedgerService from "../services/walletLedgerService.js";
+
+/**
+ * Organización activa (impersonación ROOT + X-Organization-Id usa req.tenant).
+ * @param {import("express").Request} req
+ * @returns {bigint|number|string|null}
+ */
+const resolveActiveOrganizationId = (req) =>
+    req.tenant?.organizationId ?? req.user?.organization_id ?? null;
+
+/**
+ * @param {import("express").Response} res
+ * @param {{ status?: number, message?: string }} error
+ * @param {string} label
+ * @returns {import("express").Response}
+ */
+const handleError = (res, error, label) => {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`${label}:`, error);
+    return res.status(500).json({ error: "Internal server error" });
+};
+
+/**
+ * @param {import("express").Request} req
+ * @returns {{ from: string|null, to: string|null, requestId: number|null }}
+ */
+const statementFilters = (req) => ({
+    from: req.query.from ?? null,
+    to: req.query.to ?? null,
+    requestId: req.query.request_id !== undefined ? Number(req.query.request_id) : null,
+});
+
+/**
+ * GET /api/wallet/me/statement?from=&to=&request_id=
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ */
+const getMyStatement = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+        const statement = await WalletLedgerService.getUserStatement(Number(req.user.user_id), statementFilters(req));
+        return res.status(200).json(statement);
+    } catch (error) {
+        return handleError(res, error, "wallet/me.statement");
+    }
+};
+
+/**
+ * GET /api/wallet/users/:userId/statement?from=&to=&request_id=
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ */
+const getUserStatement = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    const orgId = resolveActiveOrganizationId(req);
+    if (orgId === null) {
+        return res.status(400).json({ error: "No hay organización en contexto." });
+    }
+    try {
+        const userId = Number(req.params.userId);
+        const user = await prisma.user.findFirst({
+            where: { userId, organizationId: BigInt(orgId) },
+            select: { userId: true },
+        });
+        if (!user) {
+            return res.status(404).json({ error: "Empleado no encontrado en la organización" });
+        }
+        const statement = await WalletLedgerService.getUserStatement(userId, statementFilters(req));
+        return res.status(200).json(statement);
+    } catch (error) {
+        return handleError(res, error, "wallet/user.statement");
+    }
+};
+
+/**
+ * GET /api/wallet/organization/statement?to=
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ */
+const getOrganizationStatement = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    const orgId = resolveActiveOrganizationId(req);
+    if (orgId === null) {
+        return res.status(400).json({ error: "No hay organización en contexto." });
+    }
+    try {
+        const statement = await WalletLedgerService.getOrganizationStatement(orgId, { to: req.query.to ?? null });
+        return res.status(200).json(statement);
+    } catch (error) {
+        return handleError(res, error, "wallet/organization.statement");
+    }
+};
+
+/**
+ * POST /api/wallet/users/:userId/entries — body { type, amount, currency?, request_id?, memo }
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ */
+const createManualEntry = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    const orgId = resolveActiveOrganizationId(req);
+    if (orgId === null) {
+        return res.status(400).json({ error: "No hay organización en contexto." });
+    }
+    try {
+        const { type, amount, currency, request_id: requestId, memo } = req.body;
+        const entry = await WalletLedgerService.recordManualEntry({
+            organizationId: orgId,
+            userId: Number(req.params.userId),
+            entryType: type,
+            amount,
+            currency,
+            requestId: requestId ?? null,
+            memo,
+            createdById: Number(req.user?.user_id) || null,
+        });
+        return res.status(201).json({
+            entryId: entry.id.toString(),
+            type: entry.entryType,
+            requestId: entry.requestId,
+            memo: entry.memo,
+            createdAt: entry.createdAt,
+            lines: entry.lines.map((l) => ({ account: l.account, amount: Number(l.amount), currency: l.currency })),
+        });
+    } catch (error) {
+        return handleError(res, error, "wallet/entries.create");
+    }
+};
+
+export default { getMyStatement, getUserStatement, getOrganizationStatement, createManualEntry };
@@ -5,6 +5,12 @@
  */
 import prisma from "../database/config/prisma.js";
 import { previewWorkflowRules } from "../services/workflowRulePreviewService.js";
+import {
+  DEFAULT_REQUEST_TRANSITIONS,
+  TRANSITION_SIDE_EFFECTS,
+  getTransitionTable,
+} from "../services/requestStateMachine.js";
+import { APPROVAL_MODES } from "../services/workflowRulesEngine.js";
 
 /**
  * Helper: obtiene el orgId del tenant context.
@@ -17,6 +23,26 @@ function getOrgId(req) {
   return BigInt(raw);
 }
 
+/**
+ * Valida el modo de aprobación de una regla: `all` y `quorum` necesitan `targetRole`
+ * y `quorum` un número de votos ≥ 1.
+ * @param {{ approvalMode?: string, quorum?: number|null, targetRole?: string|null }} rule
+ * @returns {string|null} Mensaje de error o null si es válida
+ */
+function approvalModeError({ approvalMode, quorum, targetRole }) {
+  const mode = approvalMode ?? "single";
+  if (!APPROVAL_MODES.includes(mode)) {
+    return `approvalMode debe ser uno de: ${APPROVAL_MODES.join(", ")}.`;
+  }
+  if (mode !== "single" && !targetRole) {
+    return "Los modos all y quorum requieren targetRole.";
+  }
+  if (mode === "quorum" && !(Number.isInteger(Number(quorum)) && Number(quorum) >= 1)) {
+    return "quorum debe ser un entero mayor o igual a 1.";
+  }
+  return null;
+}
+
 /**
  * GET /api/workflow-rules
  * Lista todas las reglas de la organización con su departamento.
@@ -48,6 +74,8 @@ export async function listRules(req, res) {
         costsCenter: r.department?.costsCenter ?? null,
         managerSteps: r.managerSteps,
         targetRole: r.targetRole,
+        approvalMode: r.approvalMode,
+        quorum: r.quorum,
         createdAt: r.createdAt,
       }))
     );
@@ -206,12 +234,19 @@ export async function createRule(req, res) {
       departmentId,
       managerSteps,
       targetRole,
+      approvalMode,
+      quorum,
     } = req.body;
 
     if (!ruleType || !paramType) {
       return res.status(400).json({ error: "ruleType y paramType son obligatorios." });
     }
 
+    const modeError = approvalModeError({ approvalMode, quorum, targetRole });
+    if (modeError) {
+      return res.status(400).json({ error: modeError });
+    }
+
     // Validar que departmentId pertenece a esta organización
     if (departmentId != null) {
       const dept = await prisma.department.findFirst({
@@ -235,6 +270,8 @@ export async function createRule(req, res) {
         departmentId: departmentId != null ? Number(departmentId) : null,
         managerSteps: managerSteps != null ? Number(managerSteps) : null,
         targetRole: targetRole || null,
+        approvalMode: approvalMode ?? "single",
+        quorum: approvalMode === "quorum" ? Number(quorum) : null,
       },
       include: { department: { select: { departmentId: true, departmentName: true } } },
     });
@@ -253,6 +290,8 @@ export async function createRule(req, res) {
       departmentName: rule.department?.departmentName ?? null,
       managerSteps: rule.managerSteps,
       targetRole: rule.targetRole,
+      approvalMode: rule.approvalMode,
+      quorum: rule.quorum,
     });
   } catch (err) {
     console.error("createRule error:", err);
@@ -289,8 +328,20 @@ export async function updateRule(req, res) {
       departmentId,
       managerSteps,
       targetRole,
+      approvalMode,
+      quorum,
     } = req.body;
 
+    const mergedMode = approvalMode ?? existing.approvalMode;
+    const modeError = approvalModeError({
+      approvalMode: mergedMode,
+      quorum: quorum !== undefined ? quorum : existing.quorum,
+      targetRole: targetRole !== undefined ? targetRole : existing.targetRole,
+    });
+    if (modeError) {
+      return res.status(400).json({ error: modeError });
+    }
+
     // Validar que departmentId pertenece a esta organización
     if (departmentId != null) {
       const dept = await prisma.department.findFirst({
@@ -314,6 +365,10 @@ export async function updateRule(req, res) {
         ...(departmentId !== undefined && { departmentId: departmentId != null ? Number(departmentId) : null }),
         ...(managerSteps !== undefined && { managerSteps: managerSteps != null ? Number(managerSteps) : null }),
         ...(targetRole !== undefined && { targetRole: targetRole || null }),
+        ...(approvalMode !== undefined && { approvalMode }),
+        ...((approvalMode !== undefined || quorum !== undefined) && {
+          quorum: mergedMode === "quorum" ? Number(quorum ?? existing.quorum) : null,
+        }),
       },
       include: { department: { select: { departmentId: true, departmentName: true } } },
     });
@@ -332,6 +387,8 @@ export async function updateRule(req, res) {
       departmentName: updated.department?.departmentName ?? null,
       managerSteps: updated.managerSteps,
       targetRole: updated.targetRole,
+      approvalMode: updated.approvalMode,
+      quorum: updated.quorum,
     });
   } catch (err) {
     console.error("updateRule error:", err);
@@ -368,3 +425,138 @@ export async function toggleRule(req, res) {
     return res.status(500).json({ error: "Error al cambiar estado de la regla." });
   }
 }
+
+/**
+ * @param {object} t - Fila de prisma.requestStatusTransition
+ * @returns {object}
+ */
+function transitionToJson(t) {
+  return {
+    id: t.id.toString(),
+    fromStatusId: t.fromStatusId,
+    toStatusId: t.toStatusId,
+    action: t.action,
+    permission: t.permission,
+    sideEffects: t.sideEffects,
+    priority: t.priority,
+    active: t.active,
+    createdAt: t.createdAt,
+  };
+}
+
+/**
+ * GET /api/workflow-rules/transitions
+ * Máquina de estados de la organización: tabla efectiva, catálogo por defecto y sobrescrituras.
+ * @param req
+ * @param res
+ */
+export async function listTransitions(req, res) {
+  try {
+    const orgId = getOrgId(req);
+    const [effective, overrides, statuses] = await Promise.all([
+      getTransitionTable(orgId),
+      prisma.requestStatusTransition.findMany({
+        where: { organizationId: orgId },
+        orderBy: [{ fromStatusId: "asc" }, { action: "asc" }, { priority: "asc" }],
+      }),
+      prisma.requestStatus.findMany({ orderBy: { requestStatusId: "asc" } }),
+    ]);
+
+    return res.json({
+      statuses: statuses.map((st) => ({ id: st.requestStatusId, status: st.status })),
+      sideEffects: Object.keys(TRANSITION_SIDE_EFFECTS),
+      defaults: DEFAULT_REQUEST_TRANSITIONS,
+      overrides: overrides.map(transitionToJson),
+      effective,
+    });
+  } catch (err) {
+    console.error("listTransitions error:", err);
+    return res.status(500).json({ error: "Error al listar transiciones." });
+  }
+}
+
+/**
+ * POST /api/workflow-rules/transitions
+ * Crea una transición de la organización. Reemplaza a las transiciones por defecto con el mismo
+ * (fromStatusId, action); para deshabilitar una acción, crearla con `active: false`.
+ * @param req
+ * @param res
+ */
+export async function createTransition(req, res) {
+  try {
+    const orgId = getOrgId(req);
+    const { fromStatusId, toStatusId, action, permission, sideEffects = [], priority, active } = req.body;
+
+    const missing = (value) => value === null || value === undefined;
+    if (missing(fromStatusId) || missing(toStatusId) || !action) {
+      return res.status(400).json({ error: "fromStatusId, toStatusId y action son obligatorios." });
+    }
+    if (!/^[a-z][a-z0-9_]{1,39}$/.test(String(action))) {
+      return res.status(400).json({ error: "action debe ser snake_case (máx. 40 caracteres)." });
+    }
+    if (!Array.isArray(sideEffects) || sideEffects.some((e) => !(e in TRANSITION_SIDE_EFFECTS))) {
+      return res.status(400).json({
+        error: `sideEffects inválidos. Disponibles: ${Object.keys(TRANSITION_SIDE_EFFECTS).join(", ")}.`,
+      });
+    }
+
+    const known = await prisma.requestStatus.count({
+      where: { requestStatusId: { in: [Number(fromStatusId), Number(toStatusId)] } },
+    });
+    const expected = Number(fromStatusId) === Number(toStatusId) ? 1 : 2;
+    if (known !== expected) {
+      return res.status(400).json({ error: "Estatus de origen o destino inexistente." });
+    }
+
+    const transition = await prisma.requestStatusTransition.create({
+      data: {
+        organizationId: orgId,
+        fromStatusId: Number(fromStatusId),
+        toStatusId: Number(toStatusId),
+        action: String(action),
+        permission: permission || null,
+        sideEffects,
+        priority: priority ?? 0,
+        active: active ?? true,
+      },
+    });
+
+    return res.status(201).json(transitionToJson(transition));
+  } catch (err) {
+    if (err?.code === "P2002") {
+      return res.status(409).json({ error: "La transición ya existe para esta organización." });
+    }
+    console.error("createTransition error:", err);
+    return res.status(500).json({ error: "Error al crear transición." });
+  }
+}
+
+/**
+ * PATCH /api/workflow-rules/transitions/:id/toggle
+ * Activa o desactiva una transición de la organización.
+ * @param req
+ * @param res
+ */
+export async function toggleTransition(req, res) {
+  try {
+    const orgId = getOrgId(req);
+    const transitionId = BigInt(req.params.id);
+
+    const existing = await prisma.requestStatusTransition.findFirst({
+      where: { id: transitionId, organizationId: orgId },
+    });
+    if (!existing) {
+      return res.status(404).json({ error: "Transición no encontrada." });
+    }
+
+    const updated = await prisma.requestStatusTransition.update({
+      where: { id: transitionId },
+      data: { active: !existing.active },
+    });
+
+    return res.json({ id: updated.id.toString(), active: updated.active });
+  } catch (err) {
+    console.error("toggleTransition error:", err);
+    return res.status(500).json({ error: "Error al cambiar estado de la transición." });
+  }
+}
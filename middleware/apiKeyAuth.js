@@ -83,6 +83,7 @@ export const apiKeyTenantContext = (req, res, next) => {
 
 /**
  * Middleware: exige cabecera con API key válida y adjunta `req.apiKey`.
+ * Si `generalRateLimiter` ya la resolvió en esta petición, reutiliza la fila.
  *
  * @type {import("express").RequestHandler}
  */
@@ -92,7 +93,7 @@ export const authenticateApiKey = async (req, res, next) => {
     if (!plain) {
       throw new InvalidApiKeyError();
     }
-    const row = await resolveActiveApiKey(plain);
+    const row = req.apiKey ?? await resolveActiveApiKey(plain);
     req.apiKey = row;
     next();
   } catch (err) {
@@ -102,7 +103,7 @@ export const authenticateApiKey = async (req, res, next) => {
 
 /**
  * Registra una fila en `api_key_logs` cuando la respuesta termina, con el
- * código HTTP final. Solo actúa si `req.apiKey` está definido (debe usarse
+ * código HTTP final y si la rechazó el rate limiter (`res.locals.rateLimited`). Solo actúa si `req.apiKey` está definido (debe usarse
  * después de `authenticateApiKey`). Falla en silencio para no afectar la
  * respuesta del cliente.
  *
@@ -122,6 +123,7 @@ export const apiKeyAuditLog = (req, res, next) => {
         keyId: row.id,
         endpoint,
         responseCode: res.statusCode,
+        throttled: res.locals.rateLimited === true,
       })
       .catch((err) => {
         console.error("apiKeyAuditLog insert failed:", err);
@@ -44,7 +44,7 @@ const TOKEN_GRACE_PERIOD_END = process.env.TOKEN_GRACE_PERIOD_END
  * @param {import("express").Request} req - Express request
  * @returns {string|null} JWT crudo o null
  */
-const extractToken = (req) => {
+export const extractToken = (req) => {
   const header = req.headers.authorization;
   if (header && header.startsWith("Bearer ")) {
     return header.split(" ")[1];
@@ -64,7 +64,7 @@ const extractToken = (req) => {
  * @throws {ExpiredTokenError} When token has expired
  * @throws {InvalidTokenError} When token is malformed or signature fails
  */
-const verifyToken = (token) => {
+export const verifyToken = (token) => {
   return new Promise((resolve, reject) => {
     jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
       if (err) {
@@ -11,6 +11,19 @@ function looksLikeEncryptedIvPlusBase64(str) {
   return /^[0-9a-f]{32}$/i.test(str.slice(0, 32));
 }
 
+/**
+ * Cifra PII con AES-256-CBC en el formato que `decrypt` reconoce: IV hex (32) + ciphertext base64.
+ * @param {string} data
+ * @returns {string}
+ */
+export const encrypt = (data) => {
+  const IV = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv("aes-256-cbc", Buffer.from(AES_SECRET_KEY), IV);
+  let encrypted = cipher.update(data, "utf8", "base64");
+  encrypted += cipher.final("base64");
+  return IV.toString("hex") + encrypted;
+};
+
 export const decrypt = (encryptedData) => {
   try {
     if (!encryptedData || typeof encryptedData !== "string") {
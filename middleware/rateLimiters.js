@@ -1,21 +1,181 @@
-import RateLimit from "express-rate-limit";
-
-// Behind Caddy + Astro SSR the backend sees most traffic from a single upstream
-// IP (the proxy / the frontend container), so per-IP limits collapse all users
-// onto one bucket and trip almost immediately. For this single-box UAT/demo
-// deployment the limiter is effectively disabled: 1,000,000 requests per minute.
-// Overridable via RATE_LIMIT_MAX / RATE_LIMIT_WINDOW_MS if a real limit is wanted.
-const WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000; // 1 minute
-const MAX = Number(process.env.RATE_LIMIT_MAX) || 1_000_000;
-
-export const generalRateLimiter = RateLimit({
-    windowMs: WINDOW_MS,
-    max: MAX,
-    message: "Too many requests from this IP, please try again later",
-});
-
-export const loginRateLimiter = RateLimit({
-    windowMs: WINDOW_MS,
-    max: MAX,
-    message: "Too many login attempts from this IP, please try again later",
-});
+/**
+ * @module rateLimiters
+ * @description Rate limiting por usuario, organización y API key (cuotas y store en
+ * services/rateLimitService.js). Los limiters van antes de la autenticación en las rutas,
+ * así que identifican al llamante por su cuenta:
+ *   - JWT válido        → buckets user:<id> y org:<id>
+ *   - API key válida    → nada aquí (queda en `req.apiKey`); `apiKeyRateLimiter` cuenta key:<id> y org:<id>
+ *   - sin credenciales, o una API key desconocida/revocada → ip:<ip>
+ *
+ * La IP sale de X-Forwarded-For solo si la conexión viene de un proxy listado en
+ * TRUSTED_PROXIES (IPs o CIDR separados por coma; default loopback). Responde con los
+ * encabezados RateLimit-* (draft IETF) y 429 + Retry-After al agotar la cuota.
+ * RATE_LIMIT_DISABLED=true los desactiva (demos detrás de un solo proxy sin configurar).
+ */
+import { BlockList, isIP } from "node:net";
+import { extractToken, verifyToken } from "./authMiddleware.js";
+import { extractApiKeyFromRequest, resolveActiveApiKey } from "./apiKeyAuth.js";
+import { isApiKeyFormat } from "../services/apiKeyService.js";
+import { consumeBuckets, getOrgQuotas, rateLimitDefaults } from "../services/rateLimitService.js";
+
+const DEFAULT_TRUSTED_PROXIES = "127.0.0.1/8,::1";
+
+let trustedProxies = { source: null, list: new BlockList() };
+
+/**
+ * @param {string} ip
+ * @returns {string} IPv4 sin el prefijo IPv6-mapped (::ffff:)
+ */
+function normalizeIp(ip) {
+  return ip.startsWith("::ffff:") && isIP(ip.slice(7)) === 4 ? ip.slice(7) : ip;
+}
+
+/**
+ * @param {string} ip
+ * @returns {boolean}
+ */
+function isTrustedProxy(ip) {
+  const source = process.env.TRUSTED_PROXIES ?? DEFAULT_TRUSTED_PROXIES;
+  if (trustedProxies.source !== source) {
+    const list = new BlockList();
+    for (const entry of source.split(",").map((s) => s.trim()).filter(Boolean)) {
+      const [address, prefix] = entry.split("/");
+      const version = isIP(address);
+      if (!version) {
+        console.warn(`rateLimiters: TRUSTED_PROXIES ignora "${entry}"`);
+        continue;
+      }
+      const type = version === 6 ? "ipv6" : "ipv4";
+      if (prefix === undefined) list.addAddress(address, type);
+      else list.addSubnet(address, Number(prefix), type);
+    }
+    trustedProxies = { source, list };
+  }
+  const version = isIP(ip);
+  return version !== 0 && trustedProxies.list.check(ip, version === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * IP del cliente: recorre X-Forwarded-For de derecha a izquierda mientras los saltos sean
+ * proxies de confianza. Si la conexión no viene de un proxy de confianza, el encabezado se ignora.
+ * @param {import("express").Request} req
+ * @returns {string}
+ */
+export function clientIp(req) {
+  const remote = normalizeIp(req.socket?.remoteAddress ?? "");
+  if (!remote || !isTrustedProxy(remote)) return remote || "unknown";
+
+  const hops = String(req.headers["x-forwarded-for"] ?? "")
+    .split(",")
+    .map((hop) => normalizeIp(hop.trim()))
+    .filter(Boolean);
+  for (let i = hops.length - 1; i >= 0; i--) {
+    if (!isTrustedProxy(hops[i])) return hops[i];
+  }
+  return hops[0] ?? remote;
+}
+
+/**
+ * @param {string} name - Evita contar dos veces si el limiter se monta en router.use y en la ruta
+ * @param {(req: import("express").Request) => Promise<import("../services/rateLimitService.js").RateLimitBucket[]>} bucketsFor
+ * @param {string} message
+ * @returns {import("express").RequestHandler}
+ */
+function createRateLimiter(name, bucketsFor, message) {
+  return async (req, res, next) => {
+    if (process.env.RATE_LIMIT_DISABLED === "true") return next();
+    req.rateLimitApplied ??= new Set();
+    if (req.rateLimitApplied.has(name)) return next();
+    req.rateLimitApplied.add(name);
+
+    let verdict;
+    try {
+      verdict = await consumeBuckets(await bucketsFor(req));
+    } catch (err) {
+      // Si el store falla, se deja pasar: el limiter no debe tumbar la API.
+      console.error(`rateLimiters(${name}): no se pudo contar la petición:`, err?.message ?? err);
+      return next();
+    }
+    if (!verdict) return next();
+
+    const resetSeconds = Math.max(0, Math.ceil((verdict.resetAt.getTime() - Date.now()) / 1000));
+    res.set("RateLimit-Policy", `${verdict.limit};w=${Math.ceil(rateLimitDefaults().windowMs / 1000)}`);
+    res.set("RateLimit-Limit", String(verdict.limit));
+    res.set("RateLimit-Remaining", String(verdict.remaining));
+    res.set("RateLimit-Reset", String(resetSeconds));
+    if (!verdict.limited) return next();
+
+    res.locals.rateLimited = true;
+    res.set("Retry-After", String(resetSeconds));
+    return res.status(429).json({ error: message, retryAfter: resetSeconds });
+  };
+}
+
+/**
+ * Buckets de una sesión JWT, o null si la petición no trae una válida.
+ * @param {import("express").Request} req
+ */
+async function sessionBuckets(req) {
+  const token = extractToken(req);
+  if (!token || isApiKeyFormat(token)) return null;
+  let decoded;
+  try {
+    decoded = await verifyToken(token);
+  } catch {
+    return null;
+  }
+  const userId = decoded.user_id;
+  const orgId = decoded.organization_id;
+  if (userId === null || userId === undefined) return null;
+  if (orgId === null || orgId === undefined) {
+    return [{ key: `user:${userId}`, limit: rateLimitDefaults().userMax }];
+  }
+  const quotas = await getOrgQuotas(orgId);
+  return [
+    { key: `user:${userId}`, limit: quotas.userMax },
+    { key: `org:${orgId}`, limit: quotas.orgMax },
+  ];
+}
+
+/**
+ * Autentica la API key de la petición (si trae una) y la deja en `req.apiKey` para que
+ * `authenticateApiKey` no vuelva a calcular el hash. Una clave que solo tiene la forma `cck_`
+ * no cuenta: sin fila activa la petición cae al bucket por IP.
+ * @param {import("express").Request} req
+ * @returns {Promise<boolean>}
+ */
+async function authenticatedApiKey(req) {
+  if (req.apiKey) return true;
+  const plain = extractApiKeyFromRequest(req);
+  if (!isApiKeyFormat(plain)) return false;
+  try {
+    req.apiKey = await resolveActiveApiKey(plain);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export const generalRateLimiter = createRateLimiter("general", async (req) => {
+  const session = await sessionBuckets(req);
+  if (session) return session;
+  if (await authenticatedApiKey(req)) return [];
+  return [{ key: `ip:${clientIp(req)}`, limit: rateLimitDefaults().ipMax }];
+}, "Too many requests, please try again later");
+
+export const loginRateLimiter = createRateLimiter("login", async (req) => [
+  { key: `login:${clientIp(req)}`, limit: rateLimitDefaults().loginMax },
+], "Too many login attempts, please try again later");
+
+/**
+ * Cuota de integraciones: va después de `authenticateApiKey` y de `apiKeyAuditLog`, para que
+ * el 429 quede en `api_key_logs` con `throttled = true`.
+ */
+export const apiKeyRateLimiter = createRateLimiter("apiKey", async (req) => {
+  if (!req.apiKey) return [];
+  const quotas = await getOrgQuotas(req.apiKey.organizationId);
+  return [
+    { key: `key:${req.apiKey.id}`, limit: quotas.apiKeyMax },
+    { key: `org:${req.apiKey.organizationId}`, limit: quotas.orgMax },
+  ];
+}, "API key rate limit exceeded, please try again later");
@@ -1,4 +1,5 @@
 import { body, param, query, validationResult } from "express-validator";
+import { SEAT_PREFERENCES, MEAL_PREFERENCES } from "../config/travelerProfile.js";
 
 /*
  * This will validate and sanitize the field of user id, given in any endpoint
@@ -647,6 +648,83 @@ export const chooseComprobanteValidation = (req, res, next) => {
   run();
 };
 
+/**
+ * Apartado de vuelo sobre la oferta seleccionada de un tramo (`router_index`).
+ * Duffel exige además born_on, gender, title y phone_number por pasajero. Sin `passengers`
+ * se prellena al solicitante desde su perfil de viajero.
+ */
+export const validateFlightHold = [
+  param("request_id").isInt({ min: 1 }).toInt().withMessage("request_id debe ser entero positivo"),
+  body("router_index").optional().isInt({ min: 0 }).toInt(),
+  body("passengers").optional().isArray({ min: 1, max: 9 }).withMessage("passengers debe tener de 1 a 9 pasajeros"),
+  body("passengers.*.given_name").isString().trim().notEmpty().isLength({ max: 60 }),
+  body("passengers.*.family_name").isString().trim().notEmpty().isLength({ max: 60 }),
+  body("passengers.*.email").isEmail().withMessage("email de pasajero inválido"),
+  body("passengers.*.born_on").optional().isISO8601({ strict: true }).withMessage("born_on debe ser YYYY-MM-DD"),
+  body("passengers.*.gender").optional().isIn(["m", "f"]),
+  body("passengers.*.title").optional().isIn(["mr", "ms", "mrs", "miss", "dr"]),
+  body("passengers.*.phone_number").optional().matches(/^\+[1-9]\d{6,14}$/).withMessage("phone_number debe ser E.164"),
+];
+
+/**
+ * Perfil de viajero (PUT completo). Fechas YYYY-MM-DD; países ISO 3166-1 alfa-2.
+ */
+export const validateTravelerProfile = [
+  body("legal_given_name").optional({ values: "null" }).isString().trim().isLength({ max: 60 }),
+  body("legal_family_name").optional({ values: "null" }).isString().trim().isLength({ max: 60 }),
+  body("date_of_birth").optional({ values: "null" }).isISO8601({ strict: true }).withMessage("date_of_birth debe ser YYYY-MM-DD"),
+  body("gender").optional({ values: "null" }).isIn(["m", "f"]),
+  body("title").optional({ values: "null" }).isIn(["mr", "ms", "mrs", "miss", "dr"]),
+  body("phone_number").optional({ values: "null" }).matches(/^\+[1-9]\d{6,14}$/).withMessage("phone_number debe ser E.164"),
+  body("passport").optional({ values: "null" }).isObject(),
+  body("passport.number").if(body("passport").exists({ values: "null" })).isString().trim().isLength({ min: 5, max: 20 }),
+  body("passport.issuing_country").if(body("passport").exists({ values: "null" })).isISO31661Alpha2(),
+  body("passport.nationality").optional({ values: "null" }).isISO31661Alpha2(),
+  body("passport.expires_on").if(body("passport").exists({ values: "null" })).isISO8601({ strict: true }),
+  body("known_traveler_numbers").optional().isArray({ max: 5 }),
+  body("known_traveler_numbers.*.country").isISO31661Alpha2(),
+  body("known_traveler_numbers.*.number").isString().trim().isLength({ min: 1, max: 25 }),
+  body("airline_loyalty").optional().isArray({ max: 20 }),
+  body("airline_loyalty.*.airline_iata").isString().trim().isLength({ min: 2, max: 2 }),
+  body("airline_loyalty.*.number").isString().trim().isLength({ min: 1, max: 30 }),
+  body("hotel_loyalty").optional().isArray({ max: 20 }),
+  body("hotel_loyalty.*.chain").isString().trim().isLength({ min: 1, max: 60 }),
+  body("hotel_loyalty.*.number").isString().trim().isLength({ min: 1, max: 30 }),
+  body("seat_preference").optional({ values: "null" }).isIn(SEAT_PREFERENCES),
+  body("meal_preference").optional({ values: "null" }).customSanitizer((v) => String(v).toUpperCase()).isIn(MEAL_PREFERENCES),
+];
+
+export const validateBookingIdParam = [
+  param("booking_id").isInt({ min: 1 }).withMessage("booking_id debe ser entero positivo"),
+];
+
+export const validateSettlementList = [
+  query("direction").optional().isIn(["EMPLOYEE_OWES", "COMPANY_OWES"]),
+];
+
+export const validateSettle = [
+  param("settlement_id").isInt({ min: 1 }).toInt().withMessage("settlement_id debe ser entero positivo"),
+  body("reference").optional({ values: "null" }).isString().trim().isLength({ max: 60 }),
+];
+
+export const validatePaymentRunId = [
+  param("run_id").isInt({ min: 1 }).toInt().withMessage("run_id debe ser entero positivo"),
+];
+
+export const validatePaymentRunCancel = [
+  ...validatePaymentRunId,
+  body("confirm_unpaid").optional().isBoolean({ strict: true }).toBoolean().withMessage("confirm_unpaid debe ser booleano"),
+];
+
+export const validatePaymentRunCreate = [
+  body("layout").isIn(["SPEI_CSV", "BBVA_H2H", "BANORTE_H2H"]).withMessage("layout debe ser SPEI_CSV, BBVA_H2H o BANORTE_H2H"),
+  body("source_account").optional({ values: "null" }).isString().trim().matches(/^\d{10,18}$/)
+    .withMessage("source_account debe tener de 10 a 18 dígitos"),
+  body("value_date").optional({ values: "null" }).matches(/^\d{4}-\d{2}-\d{2}$/).isISO8601({ strict: true }).withMessage("value_date debe ser YYYY-MM-DD"),
+  body("settlement_ids").optional({ values: "null" }).isArray({ min: 1, max: 500 }),
+  body("settlement_ids.*").isInt({ min: 1 }).toInt(),
+];
+
 /*
  * This reviews any errors received in previous validations
  */
@@ -693,4 +771,12 @@ export default {
   validateViajeId,
   validateViajeTramoIds,
   validateGastoTramoBody,
+  validateFlightHold,
+  validateBookingIdParam,
+  validateTravelerProfile,
+  validateSettlementList,
+  validateSettle,
+  validatePaymentRunId,
+  validatePaymentRunCancel,
+  validatePaymentRunCreate,
 };
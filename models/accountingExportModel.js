@@ -21,6 +21,10 @@ const EXPORT_INCLUDE = {
         include: { cfdiComprobante: true, receiptType: true },
         orderBy: { receiptId: "asc" },
     },
+    advanceSettlements: {
+        where: { status: "SETTLED" },
+        orderBy: { currency: "asc" },
+    },
 };
 
 const AccountingExport = {
@@ -49,11 +49,24 @@ const AccountsPayable = {
     return {
       request_id: request.requestId,
       request_status_id: request.requestStatusId,
+      organization_id: request.organizationId,
       hotel_needed_list: hotelValues.join(", "),
       plane_needed_list: planeValues.join(", "),
     };
   },
 
+  /**
+   * Current status and organization of a request, for the state machine.
+   * @param {number} requestId - Identifier of the request.
+   * @returns {Promise<{ requestStatusId: number, organizationId: bigint }|null>}
+   */
+  async getRequestWorkflowState(requestId) {
+    return prisma.request.findUnique({
+      where: { requestId: Number(requestId) },
+      select: { requestStatusId: true, organizationId: true },
+    });
+  },
+
   /**
    * Get the validation statuses of receipts for a request.
    * @param {number} requestId - Identifier of the request.
@@ -68,16 +81,19 @@ const AccountsPayable = {
   },
 
   /**
-   * Update the status of a request.
+   * Update the status of a request only if it is still in `fromStatusId`.
+   * Both ids must come from the transition resolved by the request state machine.
    * @param {number} requestId - Identifier of the request to update.
    * @param {number} statusId - New status identifier to set.
-   * @returns {Promise<void>}
+   * @param {number} fromStatusId - Status the transition was resolved from.
+   * @returns {Promise<boolean>} false when another actor already moved the request.
    */
-  async updateRequestStatus(requestId, statusId) {
-    await prisma.request.update({
-      where: { requestId: Number(requestId) },
+  async updateRequestStatus(requestId, statusId, fromStatusId) {
+    const { count } = await prisma.request.updateMany({
+      where: { requestId: Number(requestId), requestStatusId: Number(fromStatusId) },
       data: { requestStatusId: Number(statusId) },
     });
+    return count > 0;
   },
 
   /**
@@ -60,13 +60,13 @@ export const listApiKeysByOrgId = (orgId) =>
 
 /**
  * @param {number} keyId
- * @param {{ take?: number, cursor?: bigint }} [opts]
+ * @param {{ take?: number, cursor?: bigint, throttledOnly?: boolean }} [opts]
  * @returns {Promise<Array>}
  */
 export const listLogsByKeyId = (keyId, opts = {}) => {
-  const { take = 50, cursor } = opts;
+  const { take = 50, cursor, throttledOnly = false } = opts;
   return prisma.apiKeyLog.findMany({
-    where: { keyId },
+    where: throttledOnly ? { keyId, throttled: true } : { keyId },
     orderBy: { timestamp: "desc" },
     take,
     ...(cursor !== undefined && cursor !== null
@@ -79,7 +79,7 @@ export const listLogsByKeyId = (keyId, opts = {}) => {
 };
 
 /**
- * @param {Object} data - { keyId, endpoint, responseCode }
+ * @param {Object} data - { keyId, endpoint, responseCode, throttled? }
  * @returns {Promise<import("@prisma/client").ApiKeyLog>}
  */
 export const createApiKeyLog = (data) =>
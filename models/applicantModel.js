@@ -8,7 +8,15 @@ import { createRequestInsertAlert } from "../services/createRequestInsertAlert.j
 import { buildRequestWorkflowSnapshots } from "../services/buildRequestWorkflowSnapshots.js";
 import { applyRefundContextToRequest } from "../services/applyRefundContext.js";
 import { initialStatusFromLevels } from "../services/workflowRulesEngine.js";
+import {
+  REQUEST_ACTIONS,
+  REQUEST_STATUS,
+  TERMINAL_STATUS_IDS,
+  resolveTransition,
+  runTransitionSideEffects,
+} from "../services/requestStateMachine.js";
 import { autoLinkReceiptToTramo } from "./gastoTramoModel.js";
+import { enqueueOutboxEvent } from "../services/notificationOutboxService.js";
 
 const Applicant = {
   /**
@@ -91,7 +99,8 @@ const Applicant = {
 
     const request_days = getRequestDays(allRoutes);
 
-    return await prisma.$transaction(async (tx) => {
+    let transition;
+    const result = await prisma.$transaction(async (tx) => {
       const user = await tx.user.findUnique({
         where: { userId: Number(userId) },
         include: { role: true, department: true },
@@ -112,13 +121,22 @@ const Applicant = {
       });
 
       const rn = user.role?.roleName;
-      let request_status;
+      let preferred_status;
       if (rn === "Solicitante") {
-        request_status = pre ? initialStatusFromLevels(pre.levels) : 2;
-      } else if (rn === "N1") request_status = 3;
-      else if (rn === "N2") request_status = 4;
+        preferred_status = pre ? initialStatusFromLevels(pre.levels) : REQUEST_STATUS.PRIMERA_REVISION;
+      } else if (rn === "N1") preferred_status = REQUEST_STATUS.SEGUNDA_REVISION;
+      else if (rn === "N2") preferred_status = REQUEST_STATUS.COTIZACION_VIAJE;
       else throw new Error("User role is not allowed to create a travel request");
 
+      // El alta directa equivale a enviar un borrador implícito.
+      transition = await resolveTransition({
+        organizationId: user.organizationId,
+        fromStatusId: REQUEST_STATUS.BORRADOR,
+        action: REQUEST_ACTIONS.SUBMIT,
+        preferredTo: preferred_status,
+      });
+      const request_status = transition.toStatusId;
+
       const request = await tx.request.create({
         data: {
           userId: Number(userId),
@@ -175,11 +193,19 @@ const Applicant = {
         console.warn("createTravelRequest: applyRefundContext failed:", e?.message || e);
       });
 
+      await enqueueOutboxEvent(tx, {
+        organizationId: user.organizationId,
+        eventCode: "request.submitted",
+        requestId: request.requestId,
+      });
+
       return {
         requestId: request.requestId,
         message: "Travel request successfully created",
       };
     });
+    await runTransitionSideEffects(result.requestId, transition);
+    return result;
   },
 
   /**
@@ -304,14 +330,27 @@ const Applicant = {
   },
 
   /**
-   * Cancels a travel request by setting its status to 9 (Cancelado).
+   * Current status and organization of a request, for the state machine.
+   * @param {number} requestId - The request ID
+   * @returns {Promise<{ requestStatusId: number, organizationId: bigint }|null>}
+   */
+  async getRequestWorkflowState(requestId) {
+    return prisma.request.findUnique({
+      where: { requestId: Number(requestId) },
+      select: { requestStatusId: true, organizationId: true },
+    });
+  },
+
+  /**
+   * Cancels a travel request.
    * @param {number} requestId - The request ID to cancel
+   * @param {number} [statusId] - Status resolved by the state machine (default 9, Cancelado)
    * @returns {Promise<boolean>}
    */
-  async cancelTravelRequest(requestId) {
+  async cancelTravelRequest(requestId, statusId = REQUEST_STATUS.CANCELADO) {
     await prisma.request.update({
       where: { requestId: Number(requestId) },
-      data: { requestStatusId: 9 },
+      data: { requestStatusId: Number(statusId) },
     });
     return true;
   },
@@ -369,7 +408,7 @@ const Applicant = {
     const requests = await prisma.request.findMany({
       where: {
         userId: Number(userId),
-        requestStatusId: { notIn: [8, 9, 10] },
+        requestStatusId: { notIn: [...TERMINAL_STATUS_IDS] },
       },
       include: {
         requestStatus: true,
@@ -566,7 +605,7 @@ const Applicant = {
       const request = await tx.request.create({
         data: {
           userId: Number(userId),
-          requestStatusId: 1,
+          requestStatusId: REQUEST_STATUS.BORRADOR,
           notes,
           ...(trip_name !== undefined && trip_name !== "" ? { tripName: trip_name } : {}),
           requestedFee: requested_fee,
@@ -620,7 +659,8 @@ const Applicant = {
    * @returns {Promise<{requestId: number, message: string}>}
    */
   async confirmDraftTravelRequest(userId, requestId) {
-    return await prisma.$transaction(async (tx) => {
+    let transition;
+    const result = await prisma.$transaction(async (tx) => {
       const user = await tx.user.findUnique({
         where: { userId: Number(userId) },
         include: { role: true, department: true },
@@ -654,13 +694,21 @@ const Applicant = {
       });
 
       const rn = user.role?.roleName;
-      let request_status;
+      let preferred_status;
       if (rn === "Solicitante") {
-        request_status = pre ? initialStatusFromLevels(pre.levels) : 2;
-      } else if (rn === "N1") request_status = 3;
-      else if (rn === "N2") request_status = 4;
+        preferred_status = pre ? initialStatusFromLevels(pre.levels) : REQUEST_STATUS.PRIMERA_REVISION;
+      } else if (rn === "N1") preferred_status = REQUEST_STATUS.SEGUNDA_REVISION;
+      else if (rn === "N2") preferred_status = REQUEST_STATUS.COTIZACION_VIAJE;
       else throw new Error("User role is not allowed to create a travel request");
 
+      transition = await resolveTransition({
+        organizationId: reqRow.organizationId,
+        fromStatusId: reqRow.requestStatusId,
+        action: REQUEST_ACTIONS.SUBMIT,
+        preferredTo: preferred_status,
+      });
+      const request_status = transition.toStatusId;
+
       await tx.request.update({
         where: { requestId: Number(requestId) },
         data: {
@@ -681,22 +729,31 @@ const Applicant = {
         console.warn("confirmDraftTravelRequest: applyRefundContext failed:", e?.message || e);
       });
 
+      await enqueueOutboxEvent(tx, {
+        organizationId: reqRow.organizationId,
+        eventCode: "request.submitted",
+        requestId: Number(requestId),
+      });
+
       return {
         requestId: Number(requestId),
         message: "Draft travel request successfully confirmed",
       };
     });
+    await runTransitionSideEffects(result.requestId, transition);
+    return result;
   },
 
   /**
-   * Updates a request status to the validation stage (status 7).
+   * Updates a request status to the validation stage.
    * @param {number} requestId - The request ID to update
+   * @param {number} [statusId] - Status resolved by the state machine (default 7)
    * @returns {Promise<void>}
    */
-  async updateRequestStatusToValidationStage(requestId) {
+  async updateRequestStatusToValidationStage(requestId, statusId = REQUEST_STATUS.VALIDACION_COMPROBANTES) {
     await prisma.request.update({
       where: { requestId: Number(requestId) },
-      data: { requestStatusId: 7 },
+      data: { requestStatusId: Number(statusId) },
     });
   },
 
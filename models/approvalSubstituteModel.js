@@ -81,6 +81,7 @@ const ApprovalSubstituteModel = {
       SELECT
         r.request_id AS "requestId",
         r.request_status_id AS "requestStatusId",
+        r.organization_id AS "organizationId",
         r.workflow_pre_snapshot AS "workflowPreSnapshot",
         r.last_mod_date AS "lastModDate"
       FROM "Request" r
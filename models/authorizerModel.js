@@ -4,6 +4,7 @@
  */
 import { SolicitudHistorialAccion } from "@prisma/client";
 import prisma from "../database/config/prisma.js";
+import { enqueueWorkflowEvent } from "../services/notificationOutboxService.js";
 
 export { SolicitudHistorialAccion };
 
@@ -29,10 +30,11 @@ const Authorizer = {
   }) {
     const snapshotPath = roleName === "N2" ? ["n2UserId"] : ["n1UserId"];
     const approverFilter = {
-      workflowPreSnapshot: {
-        path: snapshotPath,
-        equals: Number(authorizerUserId),
-      },
+      OR: [
+        { workflowPreSnapshot: { path: snapshotPath, equals: Number(authorizerUserId) } },
+        // Pasos paralelos o por quórum: cualquier aprobador que aún no vota.
+        { workflowPreSnapshot: { path: ["pendingApproverIds"], array_contains: [Number(authorizerUserId)] } },
+      ],
     };
 
     /** @type {import('@prisma/client').Prisma.AlertWhereInput} */
@@ -150,6 +152,7 @@ const Authorizer = {
         workflowPreSnapshot: true,
         requestedFee: true,
         userId: true,
+        organizationId: true,
       },
     });
     return row;
@@ -172,7 +175,9 @@ const Authorizer = {
   },
 
   /**
-   * Transición atómica: actualiza Request y registra solicitud_historial (M2-005).
+   * Transición atómica: actualiza Request, registra solicitud_historial (M2-005) y deja el evento
+   * de notificación en el outbox.
+   * `patch.statusId` debe venir resuelto por requestStateMachine.
    * @param {number} requestId
    * @param {{ statusId: number, workflowPreSnapshot?: object | null }} patch
    * @param {number} actorUserId
@@ -187,9 +192,10 @@ const Authorizer = {
       if (Object.prototype.hasOwnProperty.call(patch, "workflowPreSnapshot")) {
         data.workflowPreSnapshot = patch.workflowPreSnapshot;
       }
-      await tx.request.update({
+      const updated = await tx.request.update({
         where: { requestId: rid },
         data,
+        select: { organizationId: true },
       });
       await tx.solicitudHistorial.create({
         data: {
@@ -199,33 +205,67 @@ const Authorizer = {
           comentario: comentario ?? null,
         },
       });
+      await enqueueWorkflowEvent(tx, {
+        organizationId: updated.organizationId,
+        requestId: rid,
+        accion,
+        actorUserId: uid,
+        comentario,
+      });
     });
   },
 
   /**
-   * Update a travel request status (approve flow).
-   * @param {number} requestId - Request ID.
-   * @param {number} statusId - New status ID to set.
-   * @returns {Promise<Object>} Updated request.
-   */
-  async authorizeTravelRequest(requestId, statusId) {
-    return await prisma.request.update({
-      where: { requestId: Number(requestId) },
-      data: { requestStatusId: Number(statusId) },
-    });
-  },
-
-  /**
-   * Decline a travel request by setting its status to 10.
-   * @param {number} requestId - Request ID.
-   * @returns {Promise<boolean>} True if the query executed successfully.
+   * Voto en un paso paralelo o por quórum. Bloquea la fila de Request para que dos votos
+   * simultáneos no se pisen el snapshot: `decide` recibe el estatus y snapshot ya bloqueados
+   * y devuelve el patch y la entrada de historial (VOTO, o APROBADO/RECHAZADO si cierra el paso).
+   * @param {number} requestId
+   * @param {number} actorUserId
+   * @param {(current: { requestStatusId: number, workflowPreSnapshot: object | null }) => {
+   *   statusId: number,
+   *   workflowPreSnapshot: object,
+   *   accion: import("@prisma/client").SolicitudHistorialAccion,
+   *   comentario?: string | null,
+   * }} decide - Puede lanzar `{status, message}` si la solicitud cambió
+   * @returns {Promise<object>} Lo que devolvió `decide`
    */
-  async declineTravelRequest(requestId) {
-    await prisma.request.update({
-      where: { requestId: Number(requestId) },
-      data: { requestStatusId: 10 },
+  async recordApprovalVote(requestId, actorUserId, decide) {
+    const rid = Number(requestId);
+    const uid = Number(actorUserId);
+    return prisma.$transaction(async (tx) => {
+      await tx.$queryRaw`SELECT request_id FROM "Request" WHERE request_id = ${rid} FOR UPDATE`;
+      const current = await tx.request.findUnique({
+        where: { requestId: rid },
+        select: { organizationId: true, requestStatusId: true, workflowPreSnapshot: true },
+      });
+      if (!current) {
+        throw { status: 404, message: "Request not found" };
+      }
+      const decision = decide(current);
+      await tx.request.update({
+        where: { requestId: rid },
+        data: {
+          requestStatusId: Number(decision.statusId),
+          workflowPreSnapshot: decision.workflowPreSnapshot,
+        },
+      });
+      await tx.solicitudHistorial.create({
+        data: {
+          requestId: rid,
+          userId: uid,
+          accion: decision.accion,
+          comentario: decision.comentario ?? null,
+        },
+      });
+      await enqueueWorkflowEvent(tx, {
+        organizationId: current.organizationId,
+        requestId: rid,
+        accion: decision.accion,
+        actorUserId: uid,
+        comentario: decision.comentario ?? null,
+      });
+      return decision;
     });
-    return true;
   },
 };
 
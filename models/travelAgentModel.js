@@ -35,18 +35,31 @@ function normalizeFlightOfferStorage(existing) {
 
 const TravelAgent = {
   /**
-   * Mark a travel request as being attended (status 6).
+   * Mark a travel request as attended by the agency.
    * @param {number} requestId - Request ID.
+   * @param {number} statusId - Status resolved by the request state machine (default 6).
    * @returns {Promise<boolean>} True if updated successfully.
    */
-  async attendTravelRequest(requestId) {
+  async attendTravelRequest(requestId, statusId) {
     await prisma.request.update({
       where: { requestId: Number(requestId) },
-      data: { requestStatusId: 6 },
+      data: { requestStatusId: Number(statusId) },
     });
     return true;
   },
 
+  /**
+   * Current status and organization of a request, for the state machine.
+   * @param {number} requestId - Request ID.
+   * @returns {Promise<{ requestStatusId: number, organizationId: bigint }|null>}
+   */
+  async getRequestWorkflowState(requestId) {
+    return prisma.request.findUnique({
+      where: { requestId: Number(requestId) },
+      select: { requestStatusId: true, organizationId: true },
+    });
+  },
+
   /**
    * Check whether a request exists in the database.
    * @param {number} requestId - Request ID.
@@ -66,15 +79,16 @@ const TravelAgent = {
    * @param {number|string} requestId
    * @param {Object} offerPayload
    * @param {{ routerIndex?: number, segmentLabel?: string }} [meta]
+   * @param {object} [client] - prisma o tx
    * @returns {Promise<boolean>}
    */
-  async saveSelectedFlightOffer(requestId, offerPayload, meta = {}) {
+  async saveSelectedFlightOffer(requestId, offerPayload, meta = {}, client = prisma) {
     const routerIndex =
       meta.routerIndex !== undefined && meta.routerIndex !== null
         ? Number(meta.routerIndex)
         : 0;
 
-    const row = await prisma.request.findUnique({
+    const row = await client.request.findUnique({
       where: { requestId: Number(requestId) },
       select: { selectedFlightOffer: true },
     });
@@ -88,21 +102,37 @@ const TravelAgent = {
     });
     rest.sort((a, b) => Number(a.router_index) - Number(b.router_index));
 
-    await prisma.request.update({
+    await client.request.update({
       where: { requestId: Number(requestId) },
       data: { selectedFlightOffer: { version: 2, segments: rest } },
     });
     return true;
   },
 
+  /**
+   * Estado de la solicitud y tramos de vuelo seleccionados, para apartar y emitir boletos.
+   * @param {number|string} requestId
+   * @returns {Promise<{ requestId: number, organizationId: bigint, requestStatusId: number, userId: number|null, segments: Array<{ router_index: number, label?: string, offer: object }> }|null>}
+   */
+  async getFlightBookingContext(requestId) {
+    const row = await prisma.request.findUnique({
+      where: { requestId: Number(requestId) },
+      select: { requestId: true, organizationId: true, requestStatusId: true, userId: true, selectedFlightOffer: true },
+    });
+    if (!row) return null;
+    const { selectedFlightOffer, ...rest } = row;
+    return { ...rest, segments: normalizeFlightOfferStorage(selectedFlightOffer).segments };
+  },
+
   /**
    * Persiste la oferta de hospedaje seleccionada (Duffel Stays / JSON normalizado).
    * @param {number|string} requestId
    * @param {Object} offerPayload
+   * @param {object} [client] - prisma o tx
    * @returns {Promise<boolean>}
    */
-  async saveSelectedHotelOffer(requestId, offerPayload) {
-    await prisma.request.update({
+  async saveSelectedHotelOffer(requestId, offerPayload, client = prisma) {
+    await client.request.update({
       where: { requestId: Number(requestId) },
       data: { selectedHotelOffer: offerPayload },
     });
@@ -3,6 +3,7 @@
  * @description Data access layer for user-related queries using Prisma.
  */
 import prisma from "../database/config/prisma.js";
+import walletLedgerService from "../services/walletLedgerService.js";
 
 const User = {
   /**
@@ -219,7 +220,10 @@ const User = {
    *
    * Reglas:
    *  - statusId=2 → solicitudes con `workflow_pre_snapshot.n1UserId === actorUserId`.
-   *  - statusId=3 → solicitudes con `workflow_pre_snapshot.n2UserId === actorUserId`.
+   *  - statusId=3 → solicitudes con `workflow_pre_snapshot.n2UserId === actorUserId`
+   *    (el aprobador del paso pendiente: N2, Director, CFO… según `steps`/`currentStep`).
+   *  - En pasos paralelos o por quórum, además, solicitudes cuyo
+   *    `workflow_pre_snapshot.pendingApproverIds` contiene al actor (aún no vota).
    *  - Fallback opcional por jerarquía cuando WORKFLOW_APPROVAL_MODE=hierarchy:
    *    incluye solicitudes sin snapshot cuyo solicitante esté a la profundidad
    *    correcta dentro de la cadena `managerUserId` del actor.
@@ -252,6 +256,12 @@ const User = {
           equals: actor,
         },
       },
+      {
+        workflowPreSnapshot: {
+          path: ["pendingApproverIds"],
+          array_contains: [actor],
+        },
+      },
     ];
 
     if (hierarchyMode) {
@@ -371,6 +381,7 @@ const User = {
    * Get user wallet by user ID.
    * @param {string|number} userId - User ID.
    * @returns {Promise<Object|undefined>} User row with wallet or undefined.
+   * `wallet` es el saldo MXN del monedero en partida doble; `balances` trae todas las monedas.
    */
   async getUserWallet(userId) {
     const user = await prisma.user.findUnique({
@@ -378,16 +389,18 @@ const User = {
       select: {
         userId: true,
         userName: true,
-        wallet: true,
       },
     });
 
     if (!user) return undefined;
 
+    const { balance, balances } = await walletLedgerService.getUserWalletSummary(user.userId);
+
     return {
       user_id: user.userId,
       user_name: user.userName,
-      wallet: user.wallet,
+      wallet: balance,
+      balances,
     };
   },
 };
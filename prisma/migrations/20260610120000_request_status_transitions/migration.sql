@@ -0,0 +1,39 @@
+-- Máquina de estados configurable: transiciones de estatus por organización + RLS tenant.
+-- Las filas reemplazan a las transiciones por defecto con el mismo (from_status_id, action).
+
+CREATE TABLE IF NOT EXISTS "request_status_transitions" (
+    "id" BIGSERIAL NOT NULL,
+    "organization_id" BIGINT NOT NULL,
+    "from_status_id" INTEGER NOT NULL,
+    "to_status_id" INTEGER NOT NULL,
+    "action" VARCHAR(40) NOT NULL,
+    "permission" VARCHAR(80),
+    "side_effects" JSONB NOT NULL DEFAULT '[]',
+    "priority" INTEGER NOT NULL DEFAULT 0,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "request_status_transitions_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "request_status_transitions_organization_id_fkey"
+        FOREIGN KEY ("organization_id") REFERENCES "organizaciones"("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "request_status_transitions_from_status_id_fkey"
+        FOREIGN KEY ("from_status_id") REFERENCES "Request_status"("request_status_id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "request_status_transitions_to_status_id_fkey"
+        FOREIGN KEY ("to_status_id") REFERENCES "Request_status"("request_status_id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "request_status_transitions_organization_id_from_status_id_action_to_status_id_key"
+    ON "request_status_transitions" ("organization_id", "from_status_id", "action", "to_status_id");
+
+CREATE INDEX IF NOT EXISTS "request_status_transitions_organization_id_active_idx"
+    ON "request_status_transitions" ("organization_id", "active");
+
+ALTER TABLE "request_status_transitions" ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON "request_status_transitions";
+CREATE POLICY tenant_isolation ON "request_status_transitions" USING (
+    "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+    OR current_setting('app.bypass_tenant', true) = 'on'
+) WITH CHECK (
+    "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+    OR current_setting('app.bypass_tenant', true) = 'on'
+);
@@ -0,0 +1,16 @@
+-- Pasos paralelos (todos) y por quórum (k de n) en la cadena de aprobación.
+
+-- Voto parcial: el paso sigue pendiente hasta cumplir su condición.
+ALTER TYPE "solicitud_historial_accion" ADD VALUE IF NOT EXISTS 'VOTO';
+
+ALTER TABLE "workflow_rules"
+    ADD COLUMN IF NOT EXISTS "approval_mode" VARCHAR(10) NOT NULL DEFAULT 'single',
+    ADD COLUMN IF NOT EXISTS "quorum" INTEGER;
+
+ALTER TABLE "workflow_rules"
+    ADD CONSTRAINT "workflow_rules_approval_mode_check"
+    CHECK ("approval_mode" IN ('single', 'all', 'quorum'));
+
+ALTER TABLE "workflow_rules"
+    ADD CONSTRAINT "workflow_rules_quorum_check"
+    CHECK ("quorum" IS NULL OR "quorum" >= 1);
@@ -0,0 +1,88 @@
+-- SLA en tiempo hábil: calendario laboral, cierres propios, plazos por estatus y avisos enviados + RLS tenant.
+
+CREATE TABLE IF NOT EXISTS "sla_calendars" (
+    "id" SERIAL NOT NULL,
+    "organization_id" BIGINT NOT NULL,
+    "working_days" INTEGER[] NOT NULL DEFAULT ARRAY[1, 2, 3, 4, 5]::INTEGER[],
+    "day_start" VARCHAR(5) NOT NULL DEFAULT '09:00',
+    "day_end" VARCHAR(5) NOT NULL DEFAULT '18:00',
+    "mexican_holidays" BOOLEAN NOT NULL DEFAULT true,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_by_id" INTEGER,
+
+    CONSTRAINT "sla_calendars_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "sla_calendars_organization_id_fkey"
+        FOREIGN KEY ("organization_id") REFERENCES "organizaciones"("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+CREATE UNIQUE INDEX IF NOT EXISTS "sla_calendars_organization_id_key" ON "sla_calendars" ("organization_id");
+
+CREATE TABLE IF NOT EXISTS "sla_closures" (
+    "id" SERIAL NOT NULL,
+    "organization_id" BIGINT NOT NULL,
+    "closure_date" DATE NOT NULL,
+    "reason" VARCHAR(120),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "sla_closures_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "sla_closures_organization_id_fkey"
+        FOREIGN KEY ("organization_id") REFERENCES "organizaciones"("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+CREATE UNIQUE INDEX IF NOT EXISTS "sla_closures_organization_id_closure_date_key"
+    ON "sla_closures" ("organization_id", "closure_date");
+
+CREATE TABLE IF NOT EXISTS "sla_policies" (
+    "id" SERIAL NOT NULL,
+    "organization_id" BIGINT NOT NULL,
+    "request_status_id" INTEGER NOT NULL,
+    "duration_hours" INTEGER NOT NULL,
+    "reminder_hours" INTEGER,
+    "escalate_on_breach" BOOLEAN NOT NULL DEFAULT false,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "sla_policies_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "sla_policies_organization_id_fkey"
+        FOREIGN KEY ("organization_id") REFERENCES "organizaciones"("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "sla_policies_duration_hours_check" CHECK ("duration_hours" > 0),
+    CONSTRAINT "sla_policies_reminder_hours_check" CHECK ("reminder_hours" IS NULL OR "reminder_hours" > 0)
+);
+CREATE UNIQUE INDEX IF NOT EXISTS "sla_policies_organization_id_request_status_id_key"
+    ON "sla_policies" ("organization_id", "request_status_id");
+
+CREATE TABLE IF NOT EXISTS "sla_notices" (
+    "id" BIGSERIAL NOT NULL,
+    "organization_id" BIGINT NOT NULL,
+    "request_id" INTEGER NOT NULL,
+    "request_status_id" INTEGER NOT NULL,
+    "stage_started_at" TIMESTAMP(3) NOT NULL,
+    "kind" VARCHAR(10) NOT NULL,
+    "sent_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "sla_notices_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "sla_notices_organization_id_fkey"
+        FOREIGN KEY ("organization_id") REFERENCES "organizaciones"("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "sla_notices_request_id_fkey"
+        FOREIGN KEY ("request_id") REFERENCES "Request"("request_id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+CREATE UNIQUE INDEX IF NOT EXISTS "sla_notices_request_id_request_status_id_stage_started_at_kind_key"
+    ON "sla_notices" ("request_id", "request_status_id", "stage_started_at", "kind");
+
+DO $$
+DECLARE t TEXT;
+BEGIN
+    FOREACH t IN ARRAY ARRAY['sla_calendars', 'sla_closures', 'sla_policies', 'sla_notices'] LOOP
+        EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', t);
+        EXECUTE format('DROP POLICY IF EXISTS tenant_isolation ON %I', t);
+        EXECUTE format($p$CREATE POLICY tenant_isolation ON %I USING (
+            "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+            OR current_setting('app.bypass_tenant', true) = 'on'
+        ) WITH CHECK (
+            "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+            OR current_setting('app.bypass_tenant', true) = 'on'
+        )$p$, t);
+    END LOOP;
+END $$;
+
+-- Plazo de comprobación opcionalmente en días hábiles del mismo calendario.
+ALTER TABLE "reimbursement_time_limit"
+    ADD COLUMN IF NOT EXISTS "use_business_days" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,24 @@
+-- Bitácora global de corridas del scheduler (lock por job con pg_advisory_xact_lock).
+
+CREATE TABLE IF NOT EXISTS "scheduler_job_run" (
+    "id" BIGSERIAL NOT NULL,
+    "job_name" VARCHAR(60) NOT NULL,
+    "trigger" VARCHAR(10) NOT NULL DEFAULT 'cron',
+    "status" VARCHAR(10) NOT NULL DEFAULT 'running',
+    "started_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finished_at" TIMESTAMP(3),
+    "scanned" INTEGER,
+    "changed" INTEGER,
+    "result" JSONB,
+    "error" TEXT,
+    "host" VARCHAR(120),
+    "triggered_by_id" INTEGER,
+
+    CONSTRAINT "scheduler_job_run_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "scheduler_job_run_trigger_check" CHECK ("trigger" IN ('cron', 'manual')),
+    CONSTRAINT "scheduler_job_run_status_check"
+        CHECK ("status" IN ('running', 'succeeded', 'failed', 'skipped'))
+);
+
+CREATE INDEX IF NOT EXISTS "scheduler_job_run_job_name_started_at_idx"
+    ON "scheduler_job_run" ("job_name", "started_at");
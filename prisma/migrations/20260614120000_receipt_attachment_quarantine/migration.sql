@@ -0,0 +1,5 @@
+-- Cuarentena de adjuntos de comprobantes (services/attachmentPipeline.js)
+ALTER TABLE "Receipt"
+  ADD COLUMN "quarantine_reason" VARCHAR(255),
+  ADD COLUMN "quarantined_at" TIMESTAMP(3),
+  ADD COLUMN "quarantine_file_key" VARCHAR(1024);
@@ -0,0 +1,27 @@
+-- Rate limit por usuario, organización y API key: cuotas por organización, contadores
+-- para RATE_LIMIT_STORE=postgres y marca de throttling en la auditoría de API keys.
+
+CREATE TABLE IF NOT EXISTS "rate_limit_quotas" (
+    "id" SERIAL NOT NULL,
+    "organization_id" BIGINT NOT NULL,
+    "user_max" INTEGER,
+    "org_max" INTEGER,
+    "api_key_max" INTEGER,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_by_id" INTEGER,
+
+    CONSTRAINT "rate_limit_quotas_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "rate_limit_quotas_organization_id_fkey"
+        FOREIGN KEY ("organization_id") REFERENCES "organizaciones"("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+CREATE UNIQUE INDEX IF NOT EXISTS "rate_limit_quotas_organization_id_key" ON "rate_limit_quotas" ("organization_id");
+
+CREATE TABLE IF NOT EXISTS "rate_limit_buckets" (
+    "bucket_key" VARCHAR(200) NOT NULL,
+    "window_start" TIMESTAMPTZ(3) NOT NULL,
+    "hits" INTEGER NOT NULL,
+
+    CONSTRAINT "rate_limit_buckets_pkey" PRIMARY KEY ("bucket_key")
+);
+
+ALTER TABLE "api_key_logs" ADD COLUMN IF NOT EXISTS "throttled" BOOLEAN NOT NULL DEFAULT false;
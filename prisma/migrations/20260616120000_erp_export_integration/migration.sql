@@ -0,0 +1,6 @@
+-- Integraciones por organización: layout de exportación contable (ERP_EXPORT) y driver de
+-- almacenamiento (STORAGE, ya resuelto por storageService pero ausente del CHECK original).
+
+ALTER TABLE "organization_integrations" DROP CONSTRAINT IF EXISTS "organization_integrations_provider_check";
+ALTER TABLE "organization_integrations" ADD CONSTRAINT "organization_integrations_provider_check"
+    CHECK ("provider" IN ('SMTP','WISE','SAT','BANXICO','VAPID','STORAGE','ERP_EXPORT'));
@@ -0,0 +1,98 @@
+-- Lotes de export contable: numeración por organización, acuse del ERP por póliza,
+-- reversas con pólizas espejo y bitácora de cada lote.
+
+DO $$ BEGIN
+    CREATE TYPE "accounting_poliza_status" AS ENUM ('GENERATED', 'EXPORTED', 'POSTED', 'FAILED', 'REVERSED');
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE "export_batch_status" AS ENUM ('PENDING_ACK', 'ACKNOWLEDGED', 'PARTIALLY_FAILED', 'FAILED', 'REVERSED');
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE TABLE IF NOT EXISTS "export_batches" (
+    "id" SERIAL NOT NULL,
+    "organization_id" BIGINT NOT NULL,
+    "batch_number" INTEGER NOT NULL,
+    "kind" VARCHAR(10) NOT NULL DEFAULT 'EXPORT',
+    "status" "export_batch_status" NOT NULL DEFAULT 'PENDING_ACK',
+    "format" VARCHAR(40) NOT NULL,
+    "period_from" TIMESTAMP(3),
+    "period_to" TIMESTAMP(3),
+    "reverses_batch_id" INTEGER,
+    "created_by_id" INTEGER,
+    "api_key_id" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "acknowledged_at" TIMESTAMP(3),
+    "reversed_at" TIMESTAMP(3),
+
+    CONSTRAINT "export_batches_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "export_batches_organization_id_fkey"
+        FOREIGN KEY ("organization_id") REFERENCES "organizaciones"("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "export_batches_reverses_batch_id_fkey"
+        FOREIGN KEY ("reverses_batch_id") REFERENCES "export_batches"("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+CREATE UNIQUE INDEX IF NOT EXISTS "export_batches_organization_id_batch_number_key"
+    ON "export_batches" ("organization_id", "batch_number");
+CREATE INDEX IF NOT EXISTS "export_batches_organization_id_created_at_idx"
+    ON "export_batches" ("organization_id", "created_at" DESC);
+
+CREATE TABLE IF NOT EXISTS "export_batch_events" (
+    "id" BIGSERIAL NOT NULL,
+    "organization_id" BIGINT NOT NULL,
+    "batch_id" INTEGER NOT NULL,
+    "action" VARCHAR(20) NOT NULL,
+    "user_id" INTEGER,
+    "api_key_id" INTEGER,
+    "detail" JSONB,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "export_batch_events_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "export_batch_events_organization_id_fkey"
+        FOREIGN KEY ("organization_id") REFERENCES "organizaciones"("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "export_batch_events_batch_id_fkey"
+        FOREIGN KEY ("batch_id") REFERENCES "export_batches"("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+CREATE INDEX IF NOT EXISTS "export_batch_events_batch_id_created_at_idx"
+    ON "export_batch_events" ("batch_id", "created_at");
+
+ALTER TABLE "accounting_poliza"
+    ADD COLUMN IF NOT EXISTS "export_batch_id" INTEGER,
+    ADD COLUMN IF NOT EXISTS "status" "accounting_poliza_status" NOT NULL DEFAULT 'GENERATED',
+    ADD COLUMN IF NOT EXISTS "erp_document_number" VARCHAR(60),
+    ADD COLUMN IF NOT EXISTS "erp_errors" JSONB,
+    ADD COLUMN IF NOT EXISTS "reversal_of_id" TEXT;
+
+DO $$ BEGIN
+    ALTER TABLE "accounting_poliza" ADD CONSTRAINT "accounting_poliza_export_batch_id_fkey"
+        FOREIGN KEY ("export_batch_id") REFERENCES "export_batches"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "accounting_poliza" ADD CONSTRAINT "accounting_poliza_reversal_of_id_fkey"
+        FOREIGN KEY ("reversal_of_id") REFERENCES "accounting_poliza"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE INDEX IF NOT EXISTS "accounting_poliza_export_batch_id_idx" ON "accounting_poliza" ("export_batch_id");
+
+-- Exports previos a los lotes: enviados al ERP, sin acuse registrado.
+UPDATE "accounting_poliza" SET "status" = 'EXPORTED' WHERE "request_marked_exported" = true AND "status" = 'GENERATED';
+
+DO $$
+DECLARE t TEXT;
+BEGIN
+    FOREACH t IN ARRAY ARRAY['export_batches', 'export_batch_events'] LOOP
+        EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', t);
+        EXECUTE format('DROP POLICY IF EXISTS tenant_isolation ON %I', t);
+        EXECUTE format($p$CREATE POLICY tenant_isolation ON %I USING (
+            "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+            OR current_setting('app.bypass_tenant', true) = 'on'
+        ) WITH CHECK (
+            "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+            OR current_setting('app.bypass_tenant', true) = 'on'
+        )$p$, t);
+    END LOOP;
+END $$;
@@ -0,0 +1,44 @@
+-- Periodos contables por organización / sociedad y bloqueo de fecha de contabilización (PSTNG_DATE).
+
+DO $$ BEGIN
+    CREATE TYPE "accounting_period_status" AS ENUM ('OPEN', 'SOFT_CLOSED', 'CLOSED');
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE TABLE IF NOT EXISTS "accounting_periods" (
+    "id" SERIAL NOT NULL,
+    "organization_id" BIGINT NOT NULL,
+    "society_id" BIGINT,
+    "year" INTEGER NOT NULL,
+    "month" INTEGER NOT NULL,
+    "status" "accounting_period_status" NOT NULL DEFAULT 'OPEN',
+    "reason" VARCHAR(300),
+    "changed_by_id" INTEGER,
+    "changed_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "accounting_periods_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "accounting_periods_month_check" CHECK ("month" BETWEEN 1 AND 12),
+    CONSTRAINT "accounting_periods_organization_id_fkey"
+        FOREIGN KEY ("organization_id") REFERENCES "organizaciones"("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "accounting_periods_society_id_fkey"
+        FOREIGN KEY ("society_id") REFERENCES "accounting_societies"("society_id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "accounting_periods_organization_id_society_id_year_month_key"
+    ON "accounting_periods" ("organization_id", "society_id", "year", "month");
+-- NULL no colisiona en el índice único: un solo periodo a nivel organización por mes.
+CREATE UNIQUE INDEX IF NOT EXISTS "accounting_periods_org_level_year_month_key"
+    ON "accounting_periods" ("organization_id", "year", "month") WHERE "society_id" IS NULL;
+CREATE INDEX IF NOT EXISTS "accounting_periods_organization_id_year_month_idx"
+    ON "accounting_periods" ("organization_id", "year", "month");
+
+ALTER TABLE "accounting_periods" ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON "accounting_periods";
+CREATE POLICY tenant_isolation ON "accounting_periods" USING (
+    "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+    OR current_setting('app.bypass_tenant', true) = 'on'
+) WITH CHECK (
+    "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+    OR current_setting('app.bypass_tenant', true) = 'on'
+);
@@ -0,0 +1,63 @@
+-- Vistas previas de import de onboarding persistentes (sobreviven reinicios y se comparten entre
+-- réplicas) y bitácora de la sincronización nocturna del roster de RH.
+
+CREATE TABLE IF NOT EXISTS "onboarding_import_previews" (
+    "token_hash" CHAR(64) NOT NULL,
+    "organization_id" BIGINT NOT NULL,
+    "acting_user_id" BIGINT NOT NULL,
+    "payload" JSONB NOT NULL,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "onboarding_import_previews_pkey" PRIMARY KEY ("token_hash"),
+    CONSTRAINT "onboarding_import_previews_organization_id_fkey"
+        FOREIGN KEY ("organization_id") REFERENCES "organizaciones"("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS "onboarding_import_previews_expires_at_idx"
+    ON "onboarding_import_previews" ("expires_at");
+
+DO $$ BEGIN
+    CREATE TYPE "hr_sync_run_status" AS ENUM ('RUNNING', 'APPLIED', 'DRY_RUN', 'ABORTED', 'SKIPPED', 'FAILED');
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE TABLE IF NOT EXISTS "hr_sync_runs" (
+    "id" BIGSERIAL NOT NULL,
+    "organization_id" BIGINT NOT NULL,
+    "trigger" VARCHAR(10) NOT NULL DEFAULT 'cron',
+    "dry_run" BOOLEAN NOT NULL DEFAULT false,
+    "status" "hr_sync_run_status" NOT NULL DEFAULT 'RUNNING',
+    "file_key" VARCHAR(500),
+    "file_checksum" CHAR(64),
+    "roster_size" INTEGER,
+    "summary" JSONB,
+    "thresholds" JSONB,
+    "report" JSONB,
+    "error" TEXT,
+    "started_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finished_at" TIMESTAMP(3),
+    "triggered_by_id" INTEGER,
+
+    CONSTRAINT "hr_sync_runs_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "hr_sync_runs_organization_id_fkey"
+        FOREIGN KEY ("organization_id") REFERENCES "organizaciones"("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS "hr_sync_runs_organization_id_started_at_idx"
+    ON "hr_sync_runs" ("organization_id", "started_at");
+
+ALTER TABLE "hr_sync_runs" ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON "hr_sync_runs";
+CREATE POLICY tenant_isolation ON "hr_sync_runs" USING (
+    "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+    OR current_setting('app.bypass_tenant', true) = 'on'
+) WITH CHECK (
+    "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+    OR current_setting('app.bypass_tenant', true) = 'on'
+);
+
+-- Integración HR_SYNC: prefijo del roster en el almacenamiento de la org y umbrales de seguridad.
+ALTER TABLE "organization_integrations" DROP CONSTRAINT IF EXISTS "organization_integrations_provider_check";
+ALTER TABLE "organization_integrations" ADD CONSTRAINT "organization_integrations_provider_check"
+    CHECK ("provider" IN ('SMTP','WISE','SAT','BANXICO','VAPID','STORAGE','ERP_EXPORT','HR_SYNC'));
@@ -0,0 +1,58 @@
+-- Reservas de vuelo: apartado (hold) con precio garantizado, emisión de boletos y cancelación
+-- sobre la oferta seleccionada por la agencia en "Request"."selected_flight_offer".
+
+DO $$ BEGIN
+    CREATE TYPE "booking_status" AS ENUM ('HELD', 'TICKETED', 'CANCELLED', 'EXPIRED');
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE TABLE IF NOT EXISTS "flight_bookings" (
+    "id" BIGSERIAL NOT NULL,
+    "organization_id" BIGINT NOT NULL,
+    "request_id" INTEGER NOT NULL,
+    "router_index" INTEGER NOT NULL DEFAULT 0,
+    "provider" VARCHAR(20) NOT NULL,
+    "offer_id" VARCHAR(100) NOT NULL,
+    "provider_order_id" VARCHAR(100) NOT NULL,
+    "pnr" VARCHAR(20),
+    "status" "booking_status" NOT NULL DEFAULT 'HELD',
+    "total_amount" DECIMAL(12,2) NOT NULL,
+    "total_currency" CHAR(3) NOT NULL,
+    "price_lock_expires_at" TIMESTAMP(3),
+    "payment_required_by" TIMESTAMP(3),
+    "passengers" JSONB NOT NULL,
+    "offer_snapshot" JSONB NOT NULL,
+    "ticket_numbers" TEXT[] NOT NULL DEFAULT ARRAY[]::TEXT[],
+    "last_error" TEXT,
+    "created_by_id" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "ticketed_at" TIMESTAMP(3),
+    "cancelled_at" TIMESTAMP(3),
+
+    CONSTRAINT "flight_bookings_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "flight_bookings_organization_id_fkey"
+        FOREIGN KEY ("organization_id") REFERENCES "organizaciones"("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "flight_bookings_request_id_fkey"
+        FOREIGN KEY ("request_id") REFERENCES "Request"("request_id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS "flight_bookings_request_id_router_index_idx"
+    ON "flight_bookings" ("request_id", "router_index");
+CREATE INDEX IF NOT EXISTS "flight_bookings_status_price_lock_expires_at_idx"
+    ON "flight_bookings" ("status", "price_lock_expires_at");
+
+-- Un solo apartado o boleto vigente por tramo de la solicitud.
+CREATE UNIQUE INDEX IF NOT EXISTS "flight_bookings_active_segment_key"
+    ON "flight_bookings" ("request_id", "router_index")
+    WHERE "status" IN ('HELD', 'TICKETED');
+
+ALTER TABLE "flight_bookings" ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON "flight_bookings";
+CREATE POLICY tenant_isolation ON "flight_bookings" USING (
+    "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+    OR current_setting('app.bypass_tenant', true) = 'on'
+) WITH CHECK (
+    "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+    OR current_setting('app.bypass_tenant', true) = 'on'
+);
@@ -0,0 +1,33 @@
+-- Perfil de viajero por usuario para prellenar pasajeros en búsqueda y reserva de vuelos.
+-- Los datos de identidad viajan cifrados (AES-256-CBC, IV hex + base64) en "encrypted_data".
+
+CREATE TABLE IF NOT EXISTS "traveler_profiles" (
+    "user_id" INTEGER NOT NULL,
+    "organization_id" BIGINT NOT NULL,
+    "encrypted_data" TEXT NOT NULL,
+    "seat_preference" VARCHAR(10),
+    "meal_preference" VARCHAR(4),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "traveler_profiles_pkey" PRIMARY KEY ("user_id"),
+    CONSTRAINT "traveler_profiles_user_id_fkey"
+        FOREIGN KEY ("user_id") REFERENCES "User"("user_id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "traveler_profiles_organization_id_fkey"
+        FOREIGN KEY ("organization_id") REFERENCES "organizaciones"("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "traveler_profiles_seat_preference_check"
+        CHECK ("seat_preference" IS NULL OR "seat_preference" IN ('window', 'aisle', 'middle'))
+);
+
+CREATE INDEX IF NOT EXISTS "traveler_profiles_organization_id_idx"
+    ON "traveler_profiles" ("organization_id");
+
+ALTER TABLE "traveler_profiles" ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON "traveler_profiles";
+CREATE POLICY tenant_isolation ON "traveler_profiles" USING (
+    "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+    OR current_setting('app.bypass_tenant', true) = 'on'
+) WITH CHECK (
+    "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+    OR current_setting('app.bypass_tenant', true) = 'on'
+);
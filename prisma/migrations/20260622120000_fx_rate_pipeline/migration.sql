@@ -0,0 +1,44 @@
+-- Cadena de proveedores de tipo de cambio: tasas globales por proveedor y fecha, configuración
+-- por organización (FIX / SPOT / RECEIPT_DATE) y procedencia del tipo de cambio en comprobantes.
+
+CREATE TABLE IF NOT EXISTS "fx_rates" (
+    "id" BIGSERIAL NOT NULL,
+    "base" VARCHAR(3) NOT NULL,
+    "quote" VARCHAR(3) NOT NULL,
+    "provider" VARCHAR(20) NOT NULL,
+    "rate_date" VARCHAR(10) NOT NULL,
+    "rate" DECIMAL(18,8) NOT NULL,
+    "fetched_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "fx_rates_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "fx_rates_base_quote_provider_rate_date_key"
+    ON "fx_rates" ("base", "quote", "provider", "rate_date");
+CREATE INDEX IF NOT EXISTS "fx_rates_base_quote_rate_date_idx"
+    ON "fx_rates" ("base", "quote", "rate_date");
+
+CREATE TABLE IF NOT EXISTS "organization_fx_settings" (
+    "organization_id" BIGINT NOT NULL,
+    "fix_providers" TEXT[] NOT NULL DEFAULT ARRAY[]::TEXT[],
+    "spot_providers" TEXT[] NOT NULL DEFAULT ARRAY[]::TEXT[],
+    "receipt_date_providers" TEXT[] NOT NULL DEFAULT ARRAY[]::TEXT[],
+    "max_stale_days" INTEGER NOT NULL DEFAULT 5,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "organization_fx_settings_pkey" PRIMARY KEY ("organization_id"),
+    CONSTRAINT "organization_fx_settings_organization_id_fkey"
+        FOREIGN KEY ("organization_id") REFERENCES "organizaciones"("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+ALTER TABLE "organization_fx_settings" ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON "organization_fx_settings";
+CREATE POLICY tenant_isolation ON "organization_fx_settings" USING (
+    "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+    OR current_setting('app.bypass_tenant', true) = 'on'
+) WITH CHECK (
+    "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+    OR current_setting('app.bypass_tenant', true) = 'on'
+);
+
+ALTER TABLE "cfdi_comprobantes" ADD COLUMN IF NOT EXISTS "fx_provenance" JSONB;
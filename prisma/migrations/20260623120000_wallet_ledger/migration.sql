@@ -0,0 +1,83 @@
+-- Monedero del empleado en partida doble: movimientos (anticipo entregado, gasto comprobado,
+-- reembolso por pagar, devolución de anticipo, ajuste manual) y sus líneas por cuenta y moneda.
+
+DO $$ BEGIN
+    CREATE TYPE "wallet_entry_type" AS ENUM ('ADVANCE_DISBURSED', 'EXPENSE_PROVEN', 'REIMBURSEMENT_OWED', 'ADVANCE_REFUND', 'ADJUSTMENT');
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE "wallet_account" AS ENUM ('ADVANCE', 'PAYABLE', 'CASH', 'EXPENSE', 'ADJUSTMENT');
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE TABLE IF NOT EXISTS "wallet_entries" (
+    "id" BIGSERIAL NOT NULL,
+    "organization_id" BIGINT NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "request_id" INTEGER,
+    "entry_type" "wallet_entry_type" NOT NULL,
+    "poliza_doc_type" VARCHAR(2),
+    "anticipo_snapshot_id" INTEGER,
+    "receipt_id" INTEGER,
+    "source_key" VARCHAR(80) NOT NULL,
+    "memo" VARCHAR(255),
+    "created_by_id" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "wallet_entries_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "wallet_entries_organization_id_fkey"
+        FOREIGN KEY ("organization_id") REFERENCES "organizaciones"("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "wallet_entries_user_id_fkey"
+        FOREIGN KEY ("user_id") REFERENCES "User"("user_id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "wallet_entries_request_id_fkey"
+        FOREIGN KEY ("request_id") REFERENCES "Request"("request_id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "wallet_entries_anticipo_snapshot_id_fkey"
+        FOREIGN KEY ("anticipo_snapshot_id") REFERENCES "anticipo_poliza_snapshot"("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "wallet_entries_poliza_doc_type_check"
+        CHECK ("poliza_doc_type" IS NULL OR "poliza_doc_type" IN ('AV', 'GV'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "wallet_entries_source_key_key" ON "wallet_entries" ("source_key");
+CREATE INDEX IF NOT EXISTS "wallet_entries_organization_id_created_at_idx" ON "wallet_entries" ("organization_id", "created_at");
+CREATE INDEX IF NOT EXISTS "wallet_entries_user_id_created_at_idx" ON "wallet_entries" ("user_id", "created_at");
+CREATE INDEX IF NOT EXISTS "wallet_entries_request_id_idx" ON "wallet_entries" ("request_id");
+
+CREATE TABLE IF NOT EXISTS "wallet_ledger_lines" (
+    "id" BIGSERIAL NOT NULL,
+    "entry_id" BIGINT NOT NULL,
+    "organization_id" BIGINT NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "account" "wallet_account" NOT NULL,
+    "amount" DECIMAL(14,2) NOT NULL,
+    "currency" CHAR(3) NOT NULL DEFAULT 'MXN',
+
+    CONSTRAINT "wallet_ledger_lines_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "wallet_ledger_lines_entry_id_fkey"
+        FOREIGN KEY ("entry_id") REFERENCES "wallet_entries"("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS "wallet_ledger_lines_user_id_account_currency_idx"
+    ON "wallet_ledger_lines" ("user_id", "account", "currency");
+CREATE INDEX IF NOT EXISTS "wallet_ledger_lines_organization_id_account_idx"
+    ON "wallet_ledger_lines" ("organization_id", "account");
+
+ALTER TABLE "wallet_entries" ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON "wallet_entries";
+CREATE POLICY tenant_isolation ON "wallet_entries" USING (
+    "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+    OR current_setting('app.bypass_tenant', true) = 'on'
+) WITH CHECK (
+    "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+    OR current_setting('app.bypass_tenant', true) = 'on'
+);
+
+ALTER TABLE "wallet_ledger_lines" ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON "wallet_ledger_lines";
+CREATE POLICY tenant_isolation ON "wallet_ledger_lines" USING (
+    "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+    OR current_setting('app.bypass_tenant', true) = 'on'
+) WITH CHECK (
+    "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+    OR current_setting('app.bypass_tenant', true) = 'on'
+);
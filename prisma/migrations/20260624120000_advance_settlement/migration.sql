@@ -0,0 +1,54 @@
+-- Liquidación del anticipo al validar comprobantes: neto requested_fee vs. comprobado por moneda,
+-- con la póliza GV de reclasificación. El movimiento de pago/cobro se registra en el monedero.
+
+ALTER TYPE "wallet_entry_type" ADD VALUE IF NOT EXISTS 'REIMBURSEMENT_PAID';
+
+DO $$ BEGIN
+    CREATE TYPE "advance_settlement_direction" AS ENUM ('EMPLOYEE_OWES', 'COMPANY_OWES', 'BALANCED');
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE "advance_settlement_status" AS ENUM ('PENDING', 'SETTLED');
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE TABLE IF NOT EXISTS "advance_settlements" (
+    "id" SERIAL NOT NULL,
+    "organization_id" BIGINT NOT NULL,
+    "request_id" INTEGER NOT NULL,
+    "currency" CHAR(3) NOT NULL,
+    "advance_amount" DECIMAL(14,2) NOT NULL,
+    "proven_amount" DECIMAL(14,2) NOT NULL,
+    "direction" "advance_settlement_direction" NOT NULL,
+    "amount" DECIMAL(14,2) NOT NULL,
+    "status" "advance_settlement_status" NOT NULL DEFAULT 'PENDING',
+    "poliza" JSONB,
+    "treasury_reference" VARCHAR(60),
+    "settled_at" TIMESTAMP(3),
+    "settled_by_id" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "advance_settlements_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "advance_settlements_organization_id_fkey"
+        FOREIGN KEY ("organization_id") REFERENCES "organizaciones"("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "advance_settlements_request_id_fkey"
+        FOREIGN KEY ("request_id") REFERENCES "Request"("request_id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "advance_settlements_amount_check" CHECK ("amount" >= 0)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "advance_settlements_request_id_currency_key"
+    ON "advance_settlements" ("request_id", "currency");
+CREATE INDEX IF NOT EXISTS "advance_settlements_organization_id_status_idx"
+    ON "advance_settlements" ("organization_id", "status");
+
+ALTER TABLE "advance_settlements" ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON "advance_settlements";
+CREATE POLICY tenant_isolation ON "advance_settlements" USING (
+    "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+    OR current_setting('app.bypass_tenant', true) = 'on'
+) WITH CHECK (
+    "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+    OR current_setting('app.bypass_tenant', true) = 'on'
+);
@@ -0,0 +1,97 @@
+-- Corridas de pago SPEI para reembolsos: CLABE cifrada del empleado, archivo bancario generado y
+-- estatus por línea según la confirmación del banco.
+
+ALTER TABLE "empleado" ADD COLUMN IF NOT EXISTS "clabe_encrypted" TEXT;
+ALTER TABLE "empleado" ADD COLUMN IF NOT EXISTS "clabe_last4" VARCHAR(4);
+ALTER TABLE "empleado" ADD COLUMN IF NOT EXISTS "bank_code" CHAR(3);
+
+DO $$ BEGIN
+    CREATE TYPE "payment_file_layout" AS ENUM ('SPEI_CSV', 'BBVA_H2H', 'BANORTE_H2H');
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE "payment_run_status" AS ENUM ('GENERATED', 'PARTIAL', 'COMPLETED', 'CANCELLED');
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE "payment_run_line_status" AS ENUM ('PENDING', 'PAID', 'REJECTED', 'CANCELLED');
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE TABLE IF NOT EXISTS "payment_runs" (
+    "id" SERIAL NOT NULL,
+    "organization_id" BIGINT NOT NULL,
+    "layout" "payment_file_layout" NOT NULL,
+    "status" "payment_run_status" NOT NULL DEFAULT 'GENERATED',
+    "source_account" VARCHAR(20),
+    "value_date" DATE NOT NULL,
+    "total_amount" DECIMAL(14,2) NOT NULL,
+    "line_count" INTEGER NOT NULL,
+    "file_name" VARCHAR(120) NOT NULL,
+    "file_content" TEXT NOT NULL,
+    "created_by_id" INTEGER,
+    "confirmed_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "payment_runs_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "payment_runs_organization_id_fkey"
+        FOREIGN KEY ("organization_id") REFERENCES "organizaciones"("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS "payment_runs_organization_id_created_at_idx"
+    ON "payment_runs" ("organization_id", "created_at");
+
+CREATE TABLE IF NOT EXISTS "payment_run_lines" (
+    "id" SERIAL NOT NULL,
+    "payment_run_id" INTEGER NOT NULL,
+    "organization_id" BIGINT NOT NULL,
+    "settlement_id" INTEGER,
+    "request_id" INTEGER NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "beneficiary_name" VARCHAR(100) NOT NULL,
+    "clabe_last4" VARCHAR(4) NOT NULL,
+    "bank_code" CHAR(3) NOT NULL,
+    "amount" DECIMAL(14,2) NOT NULL,
+    "reference" VARCHAR(7) NOT NULL,
+    "status" "payment_run_line_status" NOT NULL DEFAULT 'PENDING',
+    "tracking_key" VARCHAR(30),
+    "bank_message" VARCHAR(120),
+    "paid_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "payment_run_lines_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "payment_run_lines_payment_run_id_fkey"
+        FOREIGN KEY ("payment_run_id") REFERENCES "payment_runs"("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "payment_run_lines_settlement_id_fkey"
+        FOREIGN KEY ("settlement_id") REFERENCES "advance_settlements"("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "payment_run_lines_amount_check" CHECK ("amount" > 0)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "payment_run_lines_payment_run_id_reference_key"
+    ON "payment_run_lines" ("payment_run_id", "reference");
+CREATE INDEX IF NOT EXISTS "payment_run_lines_settlement_id_status_idx"
+    ON "payment_run_lines" ("settlement_id", "status");
+
+ALTER TABLE "payment_runs" ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON "payment_runs";
+CREATE POLICY tenant_isolation ON "payment_runs" USING (
+    "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+    OR current_setting('app.bypass_tenant', true) = 'on'
+) WITH CHECK (
+    "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+    OR current_setting('app.bypass_tenant', true) = 'on'
+);
+
+ALTER TABLE "payment_run_lines" ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON "payment_run_lines";
+CREATE POLICY tenant_isolation ON "payment_run_lines" USING (
+    "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+    OR current_setting('app.bypass_tenant', true) = 'on'
+) WITH CHECK (
+    "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+    OR current_setting('app.bypass_tenant', true) = 'on'
+);
@@ -0,0 +1,30 @@
+-- Motor de plantillas de notificación: idioma preferido del usuario (cadena es-MX → es → en) y
+-- layout HTML de correo por organización.
+
+ALTER TABLE "user_preference" ADD COLUMN IF NOT EXISTS "locale" VARCHAR(10);
+
+CREATE TABLE IF NOT EXISTS "notification_layouts" (
+    "id" SERIAL NOT NULL,
+    "organization_id" BIGINT NOT NULL,
+    "html" TEXT NOT NULL,
+    "updated_by_id" INTEGER,
+    "created_at" TIMESTAMPTZ(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ(3) NOT NULL,
+
+    CONSTRAINT "notification_layouts_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "notification_layouts_organization_id_fkey"
+        FOREIGN KEY ("organization_id") REFERENCES "organizaciones"("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "notification_layouts_organization_id_key"
+    ON "notification_layouts" ("organization_id");
+
+ALTER TABLE "notification_layouts" ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON "notification_layouts";
+CREATE POLICY tenant_isolation ON "notification_layouts" USING (
+    "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+    OR current_setting('app.bypass_tenant', true) = 'on'
+) WITH CHECK (
+    "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+    OR current_setting('app.bypass_tenant', true) = 'on'
+);
@@ -0,0 +1,101 @@
+-- Outbox de notificaciones: eventos escritos en la transacción del cambio de estatus y entregas
+-- por canal (correo, web push, in-app) con reintentos, estatus e id del proveedor.
+
+DO $$ BEGIN
+    CREATE TYPE "notification_outbox_status" AS ENUM ('PENDING', 'PROCESSING', 'DISPATCHED', 'FAILED');
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE "notification_channel" AS ENUM ('EMAIL', 'PUSH', 'INAPP');
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE "notification_delivery_status" AS ENUM ('PENDING', 'SENDING', 'SENT', 'FAILED', 'CANCELLED');
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE TABLE IF NOT EXISTS "notification_outbox" (
+    "id" BIGSERIAL NOT NULL,
+    "organization_id" BIGINT NOT NULL,
+    "event_code" VARCHAR(60) NOT NULL,
+    "request_id" INTEGER,
+    "payload" JSONB NOT NULL DEFAULT '{}',
+    "status" "notification_outbox_status" NOT NULL DEFAULT 'PENDING',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "next_attempt_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "locked_until" TIMESTAMP(3),
+    "last_error" TEXT,
+    "dispatched_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "notification_outbox_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "notification_outbox_organization_id_fkey"
+        FOREIGN KEY ("organization_id") REFERENCES "organizaciones"("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS "notification_outbox_status_next_attempt_at_idx"
+    ON "notification_outbox" ("status", "next_attempt_at");
+CREATE INDEX IF NOT EXISTS "notification_outbox_organization_id_created_at_idx"
+    ON "notification_outbox" ("organization_id", "created_at");
+
+CREATE TABLE IF NOT EXISTS "notification_deliveries" (
+    "id" BIGSERIAL NOT NULL,
+    "organization_id" BIGINT NOT NULL,
+    "outbox_id" BIGINT,
+    "user_id" INTEGER NOT NULL,
+    "channel" "notification_channel" NOT NULL,
+    "status" "notification_delivery_status" NOT NULL DEFAULT 'PENDING',
+    "template_code" VARCHAR(60),
+    "subject" VARCHAR(255),
+    "body" TEXT NOT NULL,
+    "html" TEXT,
+    "push_subscription_id" INTEGER,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "max_attempts" INTEGER NOT NULL DEFAULT 6,
+    "next_attempt_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "locked_until" TIMESTAMP(3),
+    "provider_message_id" VARCHAR(255),
+    "last_status_code" INTEGER,
+    "last_error" TEXT,
+    "sent_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "notification_deliveries_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "notification_deliveries_organization_id_fkey"
+        FOREIGN KEY ("organization_id") REFERENCES "organizaciones"("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "notification_deliveries_outbox_id_fkey"
+        FOREIGN KEY ("outbox_id") REFERENCES "notification_outbox"("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "notification_deliveries_push_subscription_id_fkey"
+        FOREIGN KEY ("push_subscription_id") REFERENCES "push_subscription"("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS "notification_deliveries_status_next_attempt_at_idx"
+    ON "notification_deliveries" ("status", "next_attempt_at");
+CREATE INDEX IF NOT EXISTS "notification_deliveries_organization_id_status_created_at_idx"
+    ON "notification_deliveries" ("organization_id", "status", "created_at");
+CREATE INDEX IF NOT EXISTS "notification_deliveries_outbox_id_idx"
+    ON "notification_deliveries" ("outbox_id");
+
+ALTER TABLE "notification_outbox" ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON "notification_outbox";
+CREATE POLICY tenant_isolation ON "notification_outbox" USING (
+    "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+    OR current_setting('app.bypass_tenant', true) = 'on'
+) WITH CHECK (
+    "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+    OR current_setting('app.bypass_tenant', true) = 'on'
+);
+
+ALTER TABLE "notification_deliveries" ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON "notification_deliveries";
+CREATE POLICY tenant_isolation ON "notification_deliveries" USING (
+    "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+    OR current_setting('app.bypass_tenant', true) = 'on'
+) WITH CHECK (
+    "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+    OR current_setting('app.bypass_tenant', true) = 'on'
+);
@@ -0,0 +1,5 @@
+-- Una liquidación sólo puede estar en una línea de corrida abierta (PENDING) o pagada (PAID):
+-- si dos corridas se generan a la vez, la segunda falla en lugar de pagar dos veces al empleado.
+CREATE UNIQUE INDEX IF NOT EXISTS "payment_run_lines_open_settlement_key"
+    ON "payment_run_lines" ("settlement_id")
+    WHERE "status" IN ('PENDING', 'PAID');
@@ -0,0 +1,10 @@
+-- Emisión en curso: ticketBooking pasa la reserva de HELD a TICKETING con un update condicional
+-- antes de pagar en el proveedor, así dos peticiones simultáneas no pagan el mismo apartado.
+ALTER TYPE "booking_status" ADD VALUE IF NOT EXISTS 'TICKETING';
+
+-- Un solo apartado, emisión en curso o boleto vigente por tramo. El predicado no nombra el valor
+-- nuevo del enum (no se puede usar en la misma transacción que lo agrega).
+DROP INDEX IF EXISTS "flight_bookings_active_segment_key";
+CREATE UNIQUE INDEX IF NOT EXISTS "flight_bookings_active_segment_key"
+    ON "flight_bookings" ("request_id", "router_index")
+    WHERE "status" NOT IN ('CANCELLED', 'EXPIRED');
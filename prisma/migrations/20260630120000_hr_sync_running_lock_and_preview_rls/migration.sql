@@ -0,0 +1,28 @@
+-- Una sola corrida RUNNING del roster de RH por organización (índice único parcial en lugar de
+-- consultar y luego insertar) y aislamiento por tenant de las vistas previas del import de onboarding.
+
+-- Antes del índice: si ya hay varias RUNNING en una org, solo la más reciente sigue en curso.
+UPDATE "hr_sync_runs" AS r
+SET "status" = 'FAILED',
+    "finished_at" = CURRENT_TIMESTAMP,
+    "error" = 'Corrida simultánea cerrada al crear el candado de una sola corrida en curso.'
+WHERE r."status" = 'RUNNING'
+  AND EXISTS (
+    SELECT 1 FROM "hr_sync_runs" AS newer
+    WHERE newer."organization_id" = r."organization_id"
+      AND newer."status" = 'RUNNING'
+      AND newer."id" > r."id"
+  );
+
+CREATE UNIQUE INDEX IF NOT EXISTS "hr_sync_runs_running_key"
+    ON "hr_sync_runs" ("organization_id") WHERE "status" = 'RUNNING';
+
+ALTER TABLE "onboarding_import_previews" ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON "onboarding_import_previews";
+CREATE POLICY tenant_isolation ON "onboarding_import_previews" USING (
+    "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+    OR current_setting('app.bypass_tenant', true) = 'on'
+) WITH CHECK (
+    "organization_id" = NULLIF(current_setting('app.current_organization_id', true), '')::bigint
+    OR current_setting('app.bypass_tenant', true) = 'on'
+);
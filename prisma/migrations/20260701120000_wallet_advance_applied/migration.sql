@@ -0,0 +1,10 @@
+-- Anticipo MXN aplicado a comprobantes en otra moneda: la liquidación guarda la parte en MXN y el
+-- monedero la traslada a la moneda del comprobante con el mismo neteo.
+
+ALTER TYPE "wallet_entry_type" ADD VALUE IF NOT EXISTS 'ADVANCE_APPLIED';
+
+ALTER TABLE "advance_settlements"
+    ADD COLUMN IF NOT EXISTS "advance_base_amount" DECIMAL(14,2) NOT NULL DEFAULT 0;
+
+-- Liquidaciones previas: en MXN la parte aplicada ya está en pesos.
+UPDATE "advance_settlements" SET "advance_base_amount" = "advance_amount" WHERE "currency" = 'MXN';
@@ -45,6 +45,8 @@ const PERMISSION_CATALOG = [
   // Accounts payable
   { code: "accounts_payable:attend", resource: "accounts_payable", action: "attend" },
   { code: "accounting:export",       resource: "accounting",       action: "export" },
+  { code: "accounting:reverse",      resource: "accounting",       action: "reverse" },
+  { code: "treasury:settle",         resource: "treasury",         action: "settle" },
 
   // Receipts
   { code: "receipt:upload",     resource: "receipt", action: "upload" },
@@ -79,6 +81,8 @@ const PERMISSION_CATALOG = [
 
   // API keys por organización (M3-004 — panel admin para integraciones)
   { code: "api_key:manage", resource: "api_key", action: "manage" },
+  // Scope de API key para el IdP del cliente (/scim/v2)
+  { code: "scim:provision", resource: "scim", action: "provision" },
 
   // Multi-tenant
   { code: "organization:create",      resource: "organization", action: "create" },
@@ -95,9 +99,13 @@ const PERMISSION_CATALOG = [
 
   { code: "accounting_catalog:read",  resource: "accounting_catalog", action: "read" },
   { code: "accounting_catalog:write", resource: "accounting_catalog", action: "write" },
+  { code: "accounting_period:read",   resource: "accounting_period",  action: "read" },
+  { code: "accounting_period:manage", resource: "accounting_period",  action: "manage" },
 
   { code: "notification_template:read",  resource: "notification_template", action: "read" },
   { code: "notification_template:write", resource: "notification_template", action: "write" },
+  { code: "notification_delivery:read",  resource: "notification_delivery", action: "read" },
+  { code: "notification_delivery:retry", resource: "notification_delivery", action: "retry" },
 
   { code: "receipt_type:write",  resource: "receipt_type",  action: "write" },
   { code: "alert_message:write", resource: "alert_message", action: "write" },
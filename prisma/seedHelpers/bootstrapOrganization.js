@@ -53,12 +53,14 @@ const PERMISSION_GROUPS_DEFAULTS = [
     description: "Cuentas por pagar — valida comprobantes y exporta contabilidad",
     permissions: [
       "accounts_payable:attend",
+      "treasury:settle",
       "accounting:export",
       "receipt:validate", "receipt:view_sat",
       "expense:view",
       "travel_request:view_any",
       "policy:read",
       "accounting_catalog:read",
+      "accounting_period:read",
       "user:view_self",
     ],
   },
@@ -73,7 +75,10 @@ const PERMISSION_GROUPS_DEFAULTS = [
       "receipt_type:write",
       "alert_message:write",
       "accounting_catalog:read", "accounting_catalog:write",
+      "accounting:export", "accounting:reverse",
+      "accounting_period:read", "accounting_period:manage",
       "notification_template:read", "notification_template:write",
+      "notification_delivery:read", "notification_delivery:retry",
       "integration:read", "integration:write",
       "organization:read", "organization:update",
       "workflow:manage",
@@ -105,7 +110,9 @@ const DITTA_SUPER_ADMIN_GROUP = {
     "policy:read", "policy:manage",
     "integration:read", "integration:write",
     "accounting_catalog:read", "accounting_catalog:write",
+    "accounting_period:read", "accounting_period:manage",
     "notification_template:read", "notification_template:write",
+    "notification_delivery:read", "notification_delivery:retry",
     "receipt_type:write", "alert_message:write",
     "api_key:manage",
     "onboarding:import",
@@ -152,6 +159,14 @@ const DEFAULT_NOTIFICATION_TEMPLATES = [
     subject: "Tu solicitud fue rechazada",
     body: "Tu solicitud #{{requestId}} fue rechazada. Motivo: {{reason}}.",
   },
+  {
+    code: "reimbursement.paid",
+    channel: "EMAIL",
+    subject: "Tu reembolso de viáticos fue depositado",
+    body:
+      "Depositamos {{amount | currency:currency}} por SPEI a tu cuenta con terminación {{clabeLast4}} " +
+      "como reembolso del viaje #{{requestId}}. Clave de rastreo: {{trackingKey}}.",
+  },
   {
     code: "receipt.expired",
     channel: "INAPP",
@@ -34,8 +34,18 @@ export const TENANT_SCOPED_MODELS = new Set([
   "policyException", "proveedor", "approvalSubstitute",
   "chartOfAccount", "accountingDocType", "accountingSociety", "accountingPoliza",
   "empleado", "anticipoPolizaSnapshot",
-  "organizationIntegration", "notificationTemplate",
-  "apiKey",
+  "organizationIntegration", "notificationTemplate", "requestStatusTransition",
+  "apiKey", "slaCalendar", "slaClosure", "slaPolicy", "slaNotice",
+  "exportBatch", "exportBatchEvent", "accountingPeriod", "hrSyncRun", "onboardingImportPreview",
+  "booking",
+  "rateLimitQuota",
+  "travelerProfile",
+  "organizationFxSettings",
+  "walletEntry", "walletLedgerLine",
+  "advanceSettlement",
+  "paymentRun", "paymentRunLine",
+  "notificationLayout",
+  "notificationOutbox", "notificationDelivery",
 ]);
 
 /** Operaciones de lectura: filtran por orgId en where. */
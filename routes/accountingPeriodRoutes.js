@@ -0,0 +1,67 @@
+/**
+ * @file routes/accountingPeriodRoutes.js
+ * @description Rutas /api/accounting-periods — periodos contables mensuales por organización o sociedad.
+ *   Lectura: accounting_period:read. Abrir / cerrar: accounting_period:manage.
+ *
+ *   GET  /api/accounting-periods[?year=&society_id=]
+ *   POST /api/accounting-periods/:period/open         (:period = YYYY-MM)
+ *   POST /api/accounting-periods/:period/soft-close
+ *   POST /api/accounting-periods/:period/close
+ */
+import express from "express";
+import { body, param, query } from "express-validator";
+import { requirePermission } from "../middleware/permissionMiddleware.js";
+import { generalRateLimiter } from "../middleware/rateLimiters.js";
+import { validateInputs } from "../middleware/validation.js";
+import AccountingPeriodController from "../controllers/accountingPeriodController.js";
+
+const router = express.Router();
+
+const validateListQuery = [
+    query("year").optional().isInt({ min: 2000, max: 2100 }).toInt().withMessage("year inválido"),
+    query("society_id").optional().isInt({ min: 1 }).withMessage("society_id inválido"),
+];
+
+const validatePeriodChange = [
+    param("period").matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage("period debe tener formato YYYY-MM"),
+    body("society_id").optional({ nullable: true }).isInt({ min: 1 }).withMessage("society_id inválido"),
+    body("reason").optional({ nullable: true }).isString().trim().isLength({ max: 300 }).withMessage("reason máximo 300 caracteres"),
+];
+
+router.get(
+    "/",
+    generalRateLimiter,
+    ...requirePermission("accounting_period:read"),
+    validateListQuery,
+    validateInputs,
+    AccountingPeriodController.listPeriods,
+);
+
+router.post(
+    "/:period/open",
+    generalRateLimiter,
+    ...requirePermission("accounting_period:manage"),
+    validatePeriodChange,
+    validateInputs,
+    AccountingPeriodController.openPeriod,
+);
+
+router.post(
+    "/:period/soft-close",
+    generalRateLimiter,
+    ...requirePermission("accounting_period:manage"),
+    validatePeriodChange,
+    validateInputs,
+    AccountingPeriodController.softClosePeriod,
+);
+
+router.post(
+    "/:period/close",
+    generalRateLimiter,
+    ...requirePermission("accounting_period:manage"),
+    validatePeriodChange,
+    validateInputs,
+    AccountingPeriodController.closePeriod,
+);
+
+export default router;
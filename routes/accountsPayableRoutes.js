@@ -1,11 +1,24 @@
 import express from "express";
+import multer from "multer";
 const router = express.Router();
-import { validateId, validateInputs, validatePolizaIdParam, validatePolizaListQuery, validatePolizaGenerarParam } from "../middleware/validation.js";
-import { requirePermission } from "../middleware/permissionMiddleware.js";
+import { validateId, validateInputs, validatePolizaIdParam, validatePolizaListQuery, validatePolizaGenerarParam, validateSettlementList, validateSettle, validatePaymentRunId, validatePaymentRunCancel, validatePaymentRunCreate } from "../middleware/validation.js";
+import { requirePermission, requireAnyPermission } from "../middleware/permissionMiddleware.js";
 import { generalRateLimiter } from "../middleware/rateLimiters.js";
 import AccountsPayableController from "../controllers/accountsPayableController.js";
 import AccountingExportController from "../controllers/accountingExportController.js";
 import PolizasController from "../controllers/polizasController.js";
+import AdvanceSettlementController from "../controllers/advanceSettlementController.js";
+import PaymentRunController from "../controllers/paymentRunController.js";
+
+// Archivo de confirmación del banco: memoria, 2 MB, solo .csv/.txt (otro tipo → 400 en el controller).
+const confirmationUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 2 * 1024 * 1024 },
+    fileFilter(_req, file, cb) {
+        const ext = file.originalname.split(".").pop()?.toLowerCase();
+        cb(null, ["csv", "txt"].includes(ext ?? ""));
+    },
+});
 
 router.use((req, res, next) => {
     next();
@@ -56,6 +69,31 @@ router.route("/get-expense-validations/:request_id")
 router.route("/accounting-export/:request_id")
     .get(generalRateLimiter, ...requirePermission("accounting:export"), validateId, validateInputs, AccountingExportController.exportByRequest);
 
+router.route("/settlements")
+    .get(generalRateLimiter, ...requirePermission("treasury:settle"), validateSettlementList, validateInputs, AdvanceSettlementController.listPending);
+
+router.route("/settlements/request/:request_id")
+    .get(generalRateLimiter, ...requireAnyPermission("treasury:settle", "receipt:validate"), validateId, validateInputs, AdvanceSettlementController.getForRequest);
+
+router.route("/settlements/:settlement_id/settle")
+    .post(generalRateLimiter, ...requirePermission("treasury:settle"), validateSettle, validateInputs, AdvanceSettlementController.settle);
+
+router.route("/payment-runs")
+    .get(generalRateLimiter, ...requirePermission("treasury:settle"), PaymentRunController.listRuns)
+    .post(generalRateLimiter, ...requirePermission("treasury:settle"), validatePaymentRunCreate, validateInputs, PaymentRunController.createRun);
+
+router.route("/payment-runs/:run_id")
+    .get(generalRateLimiter, ...requirePermission("treasury:settle"), validatePaymentRunId, validateInputs, PaymentRunController.getRun);
+
+router.route("/payment-runs/:run_id/file")
+    .get(generalRateLimiter, ...requirePermission("treasury:settle"), validatePaymentRunId, validateInputs, PaymentRunController.downloadFile);
+
+router.route("/payment-runs/:run_id/confirmation")
+    .post(generalRateLimiter, ...requirePermission("treasury:settle"), confirmationUpload.single("file"), validatePaymentRunId, validateInputs, PaymentRunController.confirmRun);
+
+router.route("/payment-runs/:run_id/cancel")
+    .post(generalRateLimiter, ...requirePermission("treasury:settle"), validatePaymentRunCancel, validateInputs, PaymentRunController.cancelRun);
+
 router.route("/accounting-export")
     .get(generalRateLimiter, ...requirePermission("accounting:export"), AccountingExportController.exportByRange);
 
@@ -3,9 +3,11 @@ Admin Routes
 */
 import express from "express";
 import multer from "multer";
-import { body } from "express-validator";
+import { body, param, query } from "express-validator";
 const router = express.Router();
 import * as adminController from "../controllers/adminController.js"; // Add .js extension for ES modules
+import notificationTemplateController from "../controllers/notificationTemplateController.js";
+import notificationOutboxController from "../controllers/notificationOutboxController.js";
 import { requirePermission } from "../middleware/permissionMiddleware.js";
 import { validateCreateUser, validateInputs } from "../middleware/validation.js";
 import { generalRateLimiter } from "../middleware/rateLimiters.js";
@@ -19,6 +21,79 @@ const validateManagerCycleBody = [
     .withMessage("proposed_manager_user_id must be null or a positive integer"),
 ];
 
+const validateRosterSyncBody = [
+  body("dryRun").optional().isBoolean().toBoolean().withMessage("dryRun must be a boolean"),
+  body("force").optional().isBoolean().toBoolean().withMessage("force must be a boolean"),
+  body("key").optional().isString().isLength({ min: 1, max: 500 }).withMessage("key must be a storage object key"),
+];
+
+const TEMPLATE_CHANNELS = ["EMAIL", "INAPP"];
+const LOCALE_PATTERN = /^[a-z]{2}(-[A-Z]{2})?$/;
+
+const validateTemplateId = [
+  param("template_id").isInt({ min: 1 }).withMessage("template_id must be a positive integer"),
+];
+
+const validateTemplateCreateBody = [
+  body("code").isString().matches(/^[a-z][a-z0-9_]*(\.[a-z0-9_]+)+$/).isLength({ max: 60 })
+    .withMessage("code must look like request.approved"),
+  body("channel").isIn(TEMPLATE_CHANNELS).withMessage("channel must be EMAIL or INAPP"),
+  body("locale").optional().matches(LOCALE_PATTERN).withMessage("locale must look like es-MX or en"),
+  body("subject").optional({ nullable: true }).isString().isLength({ max: 200 }).withMessage("subject must be at most 200 characters"),
+  body("body").isString().isLength({ min: 1, max: 20000 }).withMessage("body is required (max 20000 characters)"),
+  body("active").optional().isBoolean().toBoolean().withMessage("active must be a boolean"),
+];
+
+const validateTemplateUpdateBody = [
+  body("subject").optional({ nullable: true }).isString().isLength({ max: 200 }).withMessage("subject must be at most 200 characters"),
+  body("body").optional().isString().isLength({ min: 1, max: 20000 }).withMessage("body must be 1-20000 characters"),
+  body("active").optional().isBoolean().toBoolean().withMessage("active must be a boolean"),
+];
+
+const validateTemplatePreviewBody = [
+  body("request_id").isInt({ min: 1 }).toInt().withMessage("request_id must be a positive integer"),
+  body("template_id").optional({ nullable: true }).isInt({ min: 1 }).toInt().withMessage("template_id must be a positive integer"),
+  body("code").optional({ nullable: true }).isString().isLength({ max: 60 }).withMessage("code must be a string"),
+  body("channel").optional({ nullable: true }).isIn(TEMPLATE_CHANNELS).withMessage("channel must be EMAIL or INAPP"),
+  body("locale").optional({ nullable: true }).matches(LOCALE_PATTERN).withMessage("locale must look like es-MX or en"),
+  body("subject").optional({ nullable: true }).isString().isLength({ max: 200 }).withMessage("subject must be at most 200 characters"),
+  body("body").optional({ nullable: true }).isString().isLength({ max: 20000 }).withMessage("body must be at most 20000 characters"),
+  body("layout").optional({ nullable: true }).isString().isLength({ max: 20000 }).withMessage("layout must be at most 20000 characters"),
+  body("vars").optional().isObject().withMessage("vars must be an object"),
+];
+
+const validateLayoutBody = [
+  body("html").isString().isLength({ min: 1, max: 20000 }).withMessage("html is required (max 20000 characters)"),
+];
+
+const OUTBOX_EVENT_STATUSES = ["PENDING", "PROCESSING", "DISPATCHED", "FAILED"];
+const DELIVERY_STATUSES = ["PENDING", "SENDING", "SENT", "FAILED", "CANCELLED"];
+const DELIVERY_CHANNELS = ["EMAIL", "PUSH", "INAPP"];
+
+const validateOutboxEventQuery = [
+  query("status").optional().isIn(OUTBOX_EVENT_STATUSES).withMessage(`status must be one of ${OUTBOX_EVENT_STATUSES.join(", ")}`),
+  query("event_code").optional().isString().isLength({ max: 60 }).withMessage("event_code must be at most 60 characters"),
+  query("request_id").optional().isInt({ min: 1 }).withMessage("request_id must be a positive integer"),
+  query("limit").optional().isInt({ min: 1, max: 200 }).withMessage("limit must be between 1 and 200"),
+];
+
+const validateDeliveryQuery = [
+  query("status").optional().isIn(DELIVERY_STATUSES).withMessage(`status must be one of ${DELIVERY_STATUSES.join(", ")}`),
+  query("channel").optional().isIn(DELIVERY_CHANNELS).withMessage("channel must be EMAIL, PUSH or INAPP"),
+  query("user_id").optional().isInt({ min: 1 }).withMessage("user_id must be a positive integer"),
+  query("request_id").optional().isInt({ min: 1 }).withMessage("request_id must be a positive integer"),
+  query("event_id").optional().isInt({ min: 1 }).withMessage("event_id must be a positive integer"),
+  query("limit").optional().isInt({ min: 1, max: 200 }).withMessage("limit must be between 1 and 200"),
+];
+
+const validateOutboxEventId = [
+  param("event_id").isInt({ min: 1 }).withMessage("event_id must be a positive integer"),
+];
+
+const validateDeliveryId = [
+  param("delivery_id").isInt({ min: 1 }).withMessage("delivery_id must be a positive integer"),
+];
+
 const upload = multer({
     dest: "uploads/"
 });
@@ -62,7 +137,140 @@ router.route("/employees/validate-manager-cycle")
         adminController.validateManagerCycle,
     );
 
+// Sincronización del roster nocturno de RH (integración HR_SYNC): corridas y ejecución manual
+router.route("/employees/roster-sync")
+    .post(
+        generalRateLimiter,
+        ...requirePermission("user:edit"),
+        validateRosterSyncBody,
+        validateInputs,
+        adminController.runRosterSync,
+    );
+
+router.route("/employees/roster-sync/runs")
+    .get(generalRateLimiter, ...requirePermission("user:list"), adminController.getRosterSyncRuns);
+
+router.route("/employees/roster-sync/runs/:run_id")
+    .get(
+        generalRateLimiter,
+        ...requirePermission("user:list"),
+        param("run_id").isInt({ min: 1 }).withMessage("run_id must be a positive integer"),
+        validateInputs,
+        adminController.getRosterSyncRun,
+    );
+
 router.route("/users/:user_id/employee-link")
     .put(generalRateLimiter, ...requirePermission("user:edit"), adminController.linkUserEmployee);
 
+// Scheduler: corridas de jobs de todas las réplicas y ejecución manual (super-admin Ditta)
+router.route("/scheduler/runs")
+    .get(generalRateLimiter, ...requirePermission("organization:manage_any"), adminController.getSchedulerRuns);
+
+router.route("/scheduler/jobs/:job/run")
+    .post(generalRateLimiter, ...requirePermission("organization:manage_any"), adminController.runSchedulerJob);
+
+// Plantillas de notificación de la organización (correo e in-app) y layout HTML del correo
+router.route("/notification-templates")
+    .get(generalRateLimiter, ...requirePermission("notification_template:read"), notificationTemplateController.listTemplates)
+    .post(
+        generalRateLimiter,
+        ...requirePermission("notification_template:write"),
+        validateTemplateCreateBody,
+        validateInputs,
+        notificationTemplateController.createTemplate,
+    );
+
+router.route("/notification-templates/catalog")
+    .get(generalRateLimiter, ...requirePermission("notification_template:read"), notificationTemplateController.getCatalog);
+
+router.route("/notification-templates/preview")
+    .post(
+        generalRateLimiter,
+        ...requirePermission("notification_template:read"),
+        validateTemplatePreviewBody,
+        validateInputs,
+        notificationTemplateController.previewTemplate,
+    );
+
+router.route("/notification-templates/:template_id")
+    .get(
+        generalRateLimiter,
+        ...requirePermission("notification_template:read"),
+        validateTemplateId,
+        validateInputs,
+        notificationTemplateController.getTemplate,
+    )
+    .put(
+        generalRateLimiter,
+        ...requirePermission("notification_template:write"),
+        validateTemplateId,
+        validateTemplateUpdateBody,
+        validateInputs,
+        notificationTemplateController.updateTemplate,
+    )
+    .delete(
+        generalRateLimiter,
+        ...requirePermission("notification_template:write"),
+        validateTemplateId,
+        validateInputs,
+        notificationTemplateController.deleteTemplate,
+    );
+
+router.route("/notification-layout")
+    .get(generalRateLimiter, ...requirePermission("notification_template:read"), notificationTemplateController.getLayout)
+    .put(
+        generalRateLimiter,
+        ...requirePermission("notification_template:write"),
+        validateLayoutBody,
+        validateInputs,
+        notificationTemplateController.saveLayout,
+    )
+    .delete(generalRateLimiter, ...requirePermission("notification_template:write"), notificationTemplateController.resetLayout);
+
+// Outbox de notificaciones: estatus de eventos y entregas, reintento de las fallidas
+router.route("/notification-outbox/events")
+    .get(
+        generalRateLimiter,
+        ...requirePermission("notification_delivery:read"),
+        validateOutboxEventQuery,
+        validateInputs,
+        notificationOutboxController.listEvents,
+    );
+
+router.route("/notification-outbox/events/:event_id/retry")
+    .post(
+        generalRateLimiter,
+        ...requirePermission("notification_delivery:retry"),
+        validateOutboxEventId,
+        validateInputs,
+        notificationOutboxController.retryEvent,
+    );
+
+router.route("/notification-outbox/deliveries")
+    .get(
+        generalRateLimiter,
+        ...requirePermission("notification_delivery:read"),
+        validateDeliveryQuery,
+        validateInputs,
+        notificationOutboxController.listDeliveries,
+    );
+
+router.route("/notification-outbox/deliveries/:delivery_id")
+    .get(
+        generalRateLimiter,
+        ...requirePermission("notification_delivery:read"),
+        validateDeliveryId,
+        validateInputs,
+        notificationOutboxController.getDelivery,
+    );
+
+router.route("/notification-outbox/deliveries/:delivery_id/retry")
+    .post(
+        generalRateLimiter,
+        ...requirePermission("notification_delivery:retry"),
+        validateDeliveryId,
+        validateInputs,
+        notificationOutboxController.retryDelivery,
+    );
+
 export default router;
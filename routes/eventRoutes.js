@@ -0,0 +1,38 @@
+/**
+ * @file routes/eventRoutes.js
+ * @description GET /api/events — stream SSE de eventos de solicitudes y notificaciones.
+ */
+import express from "express";
+import { query } from "express-validator";
+import { streamEvents } from "../controllers/eventStreamController.js";
+import { requireAnyPermission } from "../middleware/permissionMiddleware.js";
+import { generalRateLimiter } from "../middleware/rateLimiters.js";
+import { REQUEST_EVENT_TYPES } from "../services/requestEventBus.js";
+import { REQUEST_BROAD_VIEW_PERMISSIONS } from "../services/requestEventService.js";
+
+const router = express.Router();
+
+const EVENT_TYPES = Object.values(REQUEST_EVENT_TYPES);
+
+const validateStreamQuery = [
+  query("request_id")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("request_id debe ser un entero positivo")
+    .toInt(),
+  query("types")
+    .optional()
+    .isString()
+    .custom((value) => String(value).split(",").every((t) => EVENT_TYPES.includes(t.trim())))
+    .withMessage(`types solo acepta: ${EVENT_TYPES.join(", ")}`),
+];
+
+router.get(
+  "/",
+  generalRateLimiter,
+  ...requireAnyPermission("travel_request:view_own", ...REQUEST_BROAD_VIEW_PERMISSIONS),
+  validateStreamQuery,
+  streamEvents,
+);
+
+export default router;
@@ -4,25 +4,60 @@
  * Montado en /api/export por app.js.
  *
  * Endpoints:
- *   GET /api/export/contable?date_from=YYYY-MM-DD[&date_to=YYYY-MM-DD][&status=Sincronizado][&format=xml|json]
+ *   GET /api/export/contable?date_from=YYYY-MM-DD[&date_to=YYYY-MM-DD][&status=Sincronizado][&format=]
+ *   GET /api/export/formats
+ *   GET /api/export/batches[?status=&kind=&limit=]
+ *   GET /api/export/batches/:batch_id
+ *   GET /api/export/batches/:batch_id/polizas[?format=]
+ *   POST /api/export/batches/:batch_id/ack
+ *   POST /api/export/batches/:batch_id/reverse
  */
 import express from "express";
+import { body, param, query } from "express-validator";
 import { requireAuth } from "../middleware/authMiddleware.js";
+import { requirePermission } from "../middleware/permissionMiddleware.js";
 import { generalRateLimiter } from "../middleware/rateLimiters.js";
+import { validateInputs } from "../middleware/validation.js";
 import AccountingExportController from "../controllers/accountingExportController.js";
 
 const router = express.Router();
 
+const validateBatchId = [
+    param("batch_id").isInt({ min: 1 }).toInt().withMessage("batch_id must be a positive integer"),
+];
+
+const validateBatchListQuery = [
+    query("status").optional().isIn(["PENDING_ACK", "ACKNOWLEDGED", "PARTIALLY_FAILED", "FAILED", "REVERSED"])
+        .withMessage("status inválido"),
+    query("kind").optional().isIn(["EXPORT", "REVERSAL"]).withMessage("kind must be EXPORT or REVERSAL"),
+    query("limit").optional().isInt({ min: 1, max: 200 }).withMessage("limit must be 1..200"),
+];
+
+const validateAckPayload = [
+    body("polizas").isArray({ min: 1 }).withMessage("polizas must be a non-empty array"),
+    body("polizas.*.status").isIn(["POSTED", "FAILED"]).withMessage("status must be POSTED or FAILED"),
+    body("polizas.*.documentNumber").optional({ nullable: true }).isString().isLength({ max: 60 }),
+    body("polizas.*.errors").optional().isArray(),
+];
+
+const validateReversePayload = [
+    body("reason").isString().trim().isLength({ min: 3, max: 500 }).withMessage("reason requerido (3..500)"),
+    body("postingDate").optional().isISO8601().withMessage("postingDate must be ISO 8601 date"),
+    body("requeue").optional().isBoolean().withMessage("requeue debe ser booleano"),
+];
+
 /**
  * GET /api/export/contable
- * Genera la poliza contable estructurada (JSON o XML) lista para integrarse a SAP.
+ * Genera las polizas contables en el layout del ERP de la organización (SAP JSON/XML por default).
  * Solo accesible para el rol "Cuentas por pagar".
  *
  * Query params:
  *   date_from  {string}  YYYY-MM-DD  Inicio del rango (obligatorio).
  *   date_to    {string}  YYYY-MM-DD  Fin del rango (opcional, default: hoy).
  *   status     {string}  "Sincronizado" para incluir registros ya exportados (force mode).
- *   format     {string}  "json" (default) | "xml"
+ *   format     {string}  json | xml | csv | aspel-coi | netsuite | contpaqi | fixed-width | sat-plz | json-template
+ *                         (default: integración ERP_EXPORT de la org, luego json)
+ *   tipo_solicitud, num_orden, num_tramite  Solo sat-plz: datos de la solicitud de la autoridad.
  */
 router.get(
     "/contable",
@@ -31,4 +66,82 @@ router.get(
     AccountingExportController.exportContable,
 );
 
+/**
+ * GET /api/export/formats
+ * Formatos disponibles y el default de la organización.
+ */
+router.get(
+    "/formats",
+    generalRateLimiter,
+    ...requireAuth(["Cuentas por pagar"]),
+    AccountingExportController.listFormats,
+);
+
+/**
+ * GET /api/export/batches
+ * Lotes de export de la organización (más recientes primero).
+ */
+router.get(
+    "/batches",
+    generalRateLimiter,
+    ...requirePermission("accounting:export"),
+    validateBatchListQuery,
+    validateInputs,
+    AccountingExportController.listBatches,
+);
+
+/**
+ * GET /api/export/batches/:batch_id
+ * Estado por póliza (número de documento del ERP / errores) y bitácora del lote.
+ */
+router.get(
+    "/batches/:batch_id",
+    generalRateLimiter,
+    ...requirePermission("accounting:export"),
+    validateBatchId,
+    validateInputs,
+    AccountingExportController.getBatch,
+);
+
+/**
+ * GET /api/export/batches/:batch_id/polizas
+ * Re-descarga del lote en cualquier formato, sin regenerar pólizas.
+ */
+router.get(
+    "/batches/:batch_id/polizas",
+    generalRateLimiter,
+    ...requirePermission("accounting:export"),
+    validateBatchId,
+    validateInputs,
+    AccountingExportController.downloadBatch,
+);
+
+/**
+ * POST /api/export/batches/:batch_id/ack
+ * Acuse del ERP; las pólizas FAILED regresan su solicitud a la cola de pendientes.
+ */
+router.post(
+    "/batches/:batch_id/ack",
+    generalRateLimiter,
+    ...requirePermission("accounting:export"),
+    validateBatchId,
+    validateAckPayload,
+    validateInputs,
+    AccountingExportController.acknowledgeBatch,
+);
+
+/**
+ * POST /api/export/batches/:batch_id/reverse
+ * Genera un lote REVERSAL con pólizas espejo. Requiere accounting:reverse.
+ */
+router.post(
+    "/batches/:batch_id/reverse",
+    generalRateLimiter,
+    ...requirePermission("accounting:reverse"),
+    validateBatchId,
+    validateReversePayload,
+    validateInputs,
+    AccountingExportController.reverseBatch,
+);
+
 export default router;
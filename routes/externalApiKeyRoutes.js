@@ -1,10 +1,11 @@
 /**
  * @file routes/externalApiKeyRoutes.js
  * @description Rutas para integradores ERP que autentican con `X-API-Key`
- * (o `Authorization: Bearer`). Cada respuesta deja traza en `api_key_logs`.
+ * (o `Authorization: Bearer`). Cada respuesta deja traza en `api_key_logs`, incluidos
+ * los 429 de la cuota por API key.
  */
 import express from "express";
-import { param, query } from "express-validator";
+import { body, param, query } from "express-validator";
 import {
   authenticateApiKey,
   apiKeyTenantContext,
@@ -12,7 +13,7 @@ import {
   requireApiKeyPermission,
 } from "../middleware/apiKeyAuth.js";
 import { applyRlsForRequest } from "../database/config/rlsConnection.js";
-import { generalRateLimiter } from "../middleware/rateLimiters.js";
+import { generalRateLimiter, apiKeyRateLimiter } from "../middleware/rateLimiters.js";
 import { validateInputs } from "../middleware/validation.js";
 import AccountingExportController from "../controllers/accountingExportController.js";
 
@@ -23,6 +24,7 @@ const apiKeyChain = [
   apiKeyTenantContext,
   applyRlsForRequest,
   apiKeyAuditLog,
+  apiKeyRateLimiter,
 ];
 
 const validateRequestId = [
@@ -34,6 +36,17 @@ const validateRangeQuery = [
   query("to").isISO8601().withMessage("to must be ISO 8601 date"),
 ];
 
+const validateBatchId = [
+  param("batch_id").isInt({ min: 1 }).toInt().withMessage("batch_id must be a positive integer"),
+];
+
+const validateAckPayload = [
+  body("polizas").isArray({ min: 1 }).withMessage("polizas must be a non-empty array"),
+  body("polizas.*.status").isIn(["POSTED", "FAILED"]).withMessage("status must be POSTED or FAILED"),
+  body("polizas.*.documentNumber").optional({ nullable: true }).isString().isLength({ max: 60 }),
+  body("polizas.*.errors").optional().isArray(),
+];
+
 const validateContableQuery = [
   query("date_from").isISO8601().withMessage("date_from must be ISO 8601 date"),
   query("date_to").optional().isISO8601().withMessage("date_to must be ISO 8601 date"),
@@ -57,9 +70,21 @@ router.get(
   },
 );
 
+/**
+ * GET /api/external/export/formats
+ * Formatos de export contable y el default configurado para la org de la key.
+ */
+router.get(
+  "/export/formats",
+  generalRateLimiter,
+  ...apiKeyChain,
+  requireApiKeyPermission("accounting:export"),
+  AccountingExportController.listFormats,
+);
+
 /**
  * GET /api/external/accounting-export/:request_id
- * Polizas de un request finalizado (JSON o XML).
+ * Polizas de un request finalizado (JSON, XML o layout ERP vía ?format=).
  */
 router.get(
   "/accounting-export/:request_id",
@@ -99,4 +124,47 @@ router.get(
   AccountingExportController.exportContable,
 );
 
+/**
+ * GET /api/external/export/batches/:batch_id
+ * Estado del lote y de cada póliza.
+ */
+router.get(
+  "/export/batches/:batch_id",
+  generalRateLimiter,
+  ...apiKeyChain,
+  requireApiKeyPermission("accounting:export"),
+  validateBatchId,
+  validateInputs,
+  AccountingExportController.getBatch,
+);
+
+/**
+ * GET /api/external/export/batches/:batch_id/polizas?format=
+ * Re-descarga del lote (reintentos del ERP sin generar un lote nuevo).
+ */
+router.get(
+  "/export/batches/:batch_id/polizas",
+  generalRateLimiter,
+  ...apiKeyChain,
+  requireApiKeyPermission("accounting:export"),
+  validateBatchId,
+  validateInputs,
+  AccountingExportController.downloadBatch,
+);
+
+/**
+ * POST /api/external/export/batches/:batch_id/ack
+ * Acuse del ERP con sus números de documento o errores por partida.
+ */
+router.post(
+  "/export/batches/:batch_id/ack",
+  generalRateLimiter,
+  ...apiKeyChain,
+  requireApiKeyPermission("accounting:export"),
+  validateBatchId,
+  validateAckPayload,
+  validateInputs,
+  AccountingExportController.acknowledgeBatch,
+);
+
 export default router;
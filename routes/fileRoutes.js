@@ -7,7 +7,8 @@ import {
   getReceiptFileController,
   getReceiptFilesMetadataController,
   uploadFile,
-  downloadFile
+  downloadFile,
+  downloadLocalFile
 } from "../controllers/fileController.js";
 import { authenticateToken } from "../middleware/auth.js";
 import { fileValidation, handleMulterErrors } from "../middleware/fileValidation.js";
@@ -48,8 +49,11 @@ router.post(
   uploadFile
 );
 
-// Get presigned URL to download a file from S3
+// Get presigned URL to download a file (S3, or signed local URL with STORAGE_DRIVER=local)
 router.get("/:id/download", authenticateToken, downloadFile);
+
+// Signed, expiring download of objects stored on local disk. La firma autoriza (sin JWT).
+router.get("/local/*", generalRateLimiter, downloadLocalFile);
 // Centralized multer error handler for all file routes
 router.use(handleMulterError);
 
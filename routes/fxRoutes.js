@@ -1,7 +1,9 @@
 import express from "express";
-import { query, validationResult } from "express-validator";
+import { body, query } from "express-validator";
 import { generalRateLimiter } from "../middleware/rateLimiters.js";
-import { convertAmount } from "../services/fxPublicService.js";
+import { requirePermission } from "../middleware/permissionMiddleware.js";
+import fxController from "../controllers/fxController.js";
+import { FX_RATE_TYPES, FX_PROVIDERS } from "../config/fxRates.js";
 
 const router = express.Router();
 
@@ -9,26 +11,41 @@ const validateConvert = [
   query("from").isLength({ min: 3, max: 3 }).isAlpha().toUpperCase(),
   query("to").isLength({ min: 3, max: 3 }).isAlpha().toUpperCase(),
   query("amount").isFloat({ gt: 0 }).toFloat(),
+  query("rate_type").optional().toUpperCase().isIn(FX_RATE_TYPES),
+  query("date").optional().isISO8601(),
 ];
 
-router.get(
-  "/convert",
+const validateSettings = [
+  ...FX_RATE_TYPES.map((type) =>
+    body(type).optional().isArray().custom((list) => list.every((p) => FX_PROVIDERS.includes(p)))
+      .withMessage(`${type} solo admite: ${FX_PROVIDERS.join(", ")}`)),
+  body("max_stale_days").optional().isInt({ min: 0, max: 31 }).toInt(),
+];
+
+const validateBackfill = [
+  body("provider").optional().isIn(FX_PROVIDERS),
+  body("base").optional().isLength({ min: 3, max: 3 }).isAlpha().toUpperCase(),
+  body("quote").optional().isLength({ min: 3, max: 3 }).isAlpha().toUpperCase(),
+  body("start_date").isISO8601(),
+  body("end_date").optional().isISO8601(),
+];
+
+router.get("/convert", generalRateLimiter, validateConvert, fxController.convert);
+
+router.get("/settings", generalRateLimiter, ...requirePermission("accounting_catalog:read"), fxController.getSettings);
+router.put(
+  "/settings",
+  generalRateLimiter,
+  ...requirePermission("accounting_catalog:write"),
+  validateSettings,
+  fxController.updateSettings
+);
+router.post(
+  "/backfill",
   generalRateLimiter,
-  validateConvert,
-  async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
-    try {
-      const { from, to, amount } = req.query;
-      const data = await convertAmount(from, to, Number(amount));
-      return res.json({ success: true, data });
-    } catch (e) {
-      console.error("[fx/convert]", e);
-      return res.status(500).json({ success: false, error: e?.message || "FX error" });
-    }
-  }
+  ...requirePermission("accounting_catalog:write"),
+  validateBackfill,
+  fxController.backfill
 );
 
 export default router;
@@ -3,7 +3,7 @@
  * @description /api/onboarding/import — importación masiva de usuarios para onboarding.
  *
  * Requiere permiso onboarding:import (OrgAdmin y DittaSuperAdmin). Crear org nueva exige organization:create (solo Ditta).
- * Multer: memoria (no disco), límite 2 MB, tipos JSON/CSV.
+ * Multer: memoria (no disco), límite 2 MB, tipos JSON/CSV/XLSX.
  */
 import express from "express";
 import multer  from "multer";
@@ -24,7 +24,7 @@ const upload = multer({
     const accepted = acceptedMimeTypes();
     const ext = file.originalname.split(".").pop()?.toLowerCase();
     // Acepta también por extensión cuando el SO reporta octet-stream
-    const extOk = ["json", "csv", "txt"].includes(ext ?? "");
+    const extOk = ["json", "csv", "txt", "xlsx"].includes(ext ?? "");
     if (accepted.includes(file.mimetype) || extOk) {
       cb(null, true);
     } else {
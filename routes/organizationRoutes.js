@@ -1,6 +1,7 @@
 /**
  * @module routes/organizationRoutes
  * @description /api/organizations — gestión de tenants. Ditta only crea/lista.
+ * Las cuotas de rate limit las lee la propia org y solo Ditta las cambia.
  */
 import express from "express";
 import {
@@ -11,6 +12,8 @@ import {
   patchOrganization,
   postActivate,
   postSuspend,
+  getRateLimits,
+  putRateLimits,
 } from "../controllers/organizationController.js";
 import { requirePermission, requireAnyPermission } from "../middleware/permissionMiddleware.js";
 import { generalRateLimiter } from "../middleware/rateLimiters.js";
@@ -30,4 +33,7 @@ router.patch("/:id", requirePermission("organization:update"), patchOrganization
 router.post("/:id/activate", requirePermission("organization:activate"), postActivate);
 router.post("/:id/suspend", requirePermission("organization:suspend"), postSuspend);
 
+router.get("/:id/rate-limits", requirePermission("organization:read"), getRateLimits);
+router.put("/:id/rate-limits", requirePermission("organization:manage_any"), putRateLimits);
+
 export default router;
@@ -28,6 +28,7 @@ const validateTimeLimitPayload = [
   body("daysAfterTrip").optional().isInt({ min: 1, max: 365 }),
   body("graceDays").optional().isInt({ min: 0, max: 30 }),
   body("blockOnExpiry").optional().isBoolean(),
+  body("useBusinessDays").optional().isBoolean(),
   checkErrors,
 ];
 
@@ -0,0 +1,70 @@
+/**
+ * @file routes/scimRoutes.js
+ * @description /scim/v2 — aprovisionamiento SCIM 2.0 de usuarios y grupos desde el IdP del cliente.
+ *   Autentica con la API key de la organización (`Authorization: Bearer` o `X-API-Key`) y exige
+ *   el permiso `scim:provision` en su scope. Cada llamada queda en `api_key_logs`.
+ *
+ *   GET    /scim/v2/ServiceProviderConfig
+ *   GET    /scim/v2/ResourceTypes
+ *   GET    /scim/v2/Users[?filter=&startIndex=&count=]
+ *   POST   /scim/v2/Users
+ *   GET    /scim/v2/Users/:id
+ *   PUT    /scim/v2/Users/:id
+ *   PATCH  /scim/v2/Users/:id
+ *   DELETE /scim/v2/Users/:id        (desactiva)
+ *   …y lo mismo para /scim/v2/Groups (PermissionGroup + membresías).
+ */
+import express from "express";
+import {
+  authenticateApiKey,
+  apiKeyTenantContext,
+  apiKeyAuditLog,
+  requireApiKeyPermission,
+} from "../middleware/apiKeyAuth.js";
+import { applyRlsForRequest } from "../database/config/rlsConnection.js";
+import { generalRateLimiter, apiKeyRateLimiter } from "../middleware/rateLimiters.js";
+import ScimController, { sendScimError } from "../controllers/scimController.js";
+import { SCIM_CONTENT_TYPE } from "../services/scim/scimCore.js";
+
+const router = express.Router();
+
+// Los IdP envían `application/scim+json`, que el express.json() global no parsea.
+router.use(express.json({ type: ["application/json", SCIM_CONTENT_TYPE] }));
+
+router.use(
+  generalRateLimiter,
+  authenticateApiKey,
+  apiKeyTenantContext,
+  applyRlsForRequest,
+  apiKeyAuditLog,
+  apiKeyRateLimiter,
+  requireApiKeyPermission("scim:provision"),
+);
+
+router.get("/ServiceProviderConfig", ScimController.getServiceProviderConfig);
+router.get("/ResourceTypes", ScimController.getResourceTypes);
+
+router.get("/Users", ScimController.listUsers);
+router.post("/Users", ScimController.createUser);
+router.get("/Users/:id", ScimController.getUser);
+router.put("/Users/:id", ScimController.replaceUser);
+router.patch("/Users/:id", ScimController.patchUser);
+router.delete("/Users/:id", ScimController.deleteUser);
+
+router.get("/Groups", ScimController.listGroups);
+router.post("/Groups", ScimController.createGroup);
+router.get("/Groups/:id", ScimController.getGroup);
+router.put("/Groups/:id", ScimController.replaceGroup);
+router.patch("/Groups/:id", ScimController.patchGroup);
+router.delete("/Groups/:id", ScimController.deleteGroup);
+
+// Errores de autenticación / scope / JSON inválido con el formato de error SCIM.
+router.use((err, req, res, _next) => {
+  if (err?.type === "entity.parse.failed") {
+    err.status = 400;
+    err.message = "JSON inválido.";
+  }
+  return sendScimError(res, err, "scim");
+});
+
+export default router;
@@ -1,5 +1,6 @@
 /**
- * Rutas POST /api/solicitudes/:id/aprobar|rechazar|reasignar (M2-005).
+ * Rutas POST /api/solicitudes/:id/aprobar|rechazar|reasignar (M2-005)
+ * y GET|POST /api/solicitudes/:id/transiciones (máquina de estados por organización).
  */
 import express from "express";
 import { body, param, validationResult } from "express-validator";
@@ -8,9 +9,12 @@ import {
   rejectSolicitud,
   reassignSolicitud,
   getSolicitudHistorial,
+  listSolicitudTransiciones,
+  applySolicitudTransicion,
 } from "../controllers/solicitudWorkflowController.js";
 import { requirePermission, requireAnyPermission } from "../middleware/permissionMiddleware.js";
 import { generalRateLimiter } from "../middleware/rateLimiters.js";
+import { REQUEST_BROAD_VIEW_PERMISSIONS } from "../services/requestEventService.js";
 
 const router = express.Router();
 
@@ -68,6 +72,24 @@ const validateReasignarBody = [
   },
 ];
 
+const validateTransicionBody = [
+  body("action")
+    .isString()
+    .trim()
+    .matches(/^[a-z][a-z0-9_]{1,39}$/)
+    .withMessage("action inválida"),
+  body("to_status_id").optional().isInt({ min: 1 }).toInt(),
+  body("comentario").optional().isString().isLength({ max: 2000 }),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const msg = errors.array()[0]?.msg || "Validación fallida";
+      return res.status(400).json({ error: msg });
+    }
+    next();
+  },
+];
+
 router.post(
   "/:id/aprobar",
   generalRateLimiter,
@@ -108,4 +130,22 @@ router.get(
   getSolicitudHistorial,
 );
 
+router.get(
+  "/:id/transiciones",
+  generalRateLimiter,
+  ...requireAnyPermission("travel_request:view_own", ...REQUEST_BROAD_VIEW_PERMISSIONS),
+  validateSolicitudId,
+  listSolicitudTransiciones,
+);
+
+// La guarda fina es el permiso declarado en cada transición de la organización.
+router.post(
+  "/:id/transiciones",
+  generalRateLimiter,
+  ...requireAnyPermission(...REQUEST_BROAD_VIEW_PERMISSIONS),
+  validateSolicitudId,
+  validateTransicionBody,
+  applySolicitudTransicion,
+);
+
 export default router;
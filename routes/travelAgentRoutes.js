@@ -6,7 +6,13 @@ Routes for travel agent
 import express from "express";
 const router = express.Router();
 import travelAgentController from "../controllers/travelAgentController.js";
-import { validateId, validateInputs } from "../middleware/validation.js";
+import flightBookingController from "../controllers/flightBookingController.js";
+import {
+    validateId,
+    validateInputs,
+    validateFlightHold,
+    validateBookingIdParam,
+} from "../middleware/validation.js";
 import { requirePermission } from "../middleware/permissionMiddleware.js";
 import { generalRateLimiter } from "../middleware/rateLimiters.js";
 
@@ -25,4 +31,20 @@ router.route("/travel-request/:request_id/selected-flight")
 router.route("/travel-request/:request_id/selected-hotel")
     .put(generalRateLimiter, ...requirePermission("travel_agent:attend"), validateId, validateInputs, travelAgentController.saveSelectedHotelOffer);
 
+// Pasajero prellenado desde el perfil de viajero del solicitante
+router.route("/travel-request/:request_id/passengers")
+    .get(generalRateLimiter, ...requirePermission("travel_agent:attend"), validateId, validateInputs, flightBookingController.getPassengerPrefill);
+
+// Reservas de vuelo: apartado, emisión (re-cotiza antes de pagar) y cancelación
+router.route("/travel-request/:request_id/bookings")
+    .get(generalRateLimiter, ...requirePermission("travel_agent:attend"), validateId, validateInputs, flightBookingController.listRequestBookings)
+    .post(generalRateLimiter, ...requirePermission("travel_agent:attend"), validateFlightHold, validateInputs, flightBookingController.holdFlight);
+
+router.route("/bookings/:booking_id")
+    .get(generalRateLimiter, ...requirePermission("travel_agent:attend"), validateBookingIdParam, validateInputs, flightBookingController.getBooking);
+
+router.post("/bookings/:booking_id/ticket", generalRateLimiter, ...requirePermission("travel_agent:attend"), validateBookingIdParam, validateInputs, flightBookingController.ticketBooking);
+
+router.post("/bookings/:booking_id/cancel", generalRateLimiter, ...requirePermission("travel_agent:attend"), validateBookingIdParam, validateInputs, flightBookingController.cancelBooking);
+
 export default router;
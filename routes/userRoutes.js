@@ -1,7 +1,13 @@
 import express from "express";
 const router = express.Router();
 import * as userController from "../controllers/userController.js";
-import { validateId, validateInputs, validateDeptStatus, validateApproverStatus } from "../middleware/validation.js";
+import {
+    validateId,
+    validateInputs,
+    validateDeptStatus,
+    validateApproverStatus,
+    validateTravelerProfile,
+} from "../middleware/validation.js";
 import { authenticateToken } from "../middleware/authMiddleware.js";
 import { loadPermissions, requireAnyPermission, requirePermission } from "../middleware/permissionMiddleware.js";
 import { loginRateLimiter, generalRateLimiter } from "../middleware/rateLimiters.js";
@@ -18,6 +24,17 @@ router.route("/logout")
 router.route("/me/permissions")
     .get(generalRateLimiter, authenticateToken, loadPermissions, userController.getMyPermissions);
 
+// Perfil de viajero propio (pasaporte, lealtad, preferencias); prellena las reservas de vuelo.
+router.route("/me/traveler-profile")
+    .get(generalRateLimiter, ...requirePermission("user:view_self"), userController.getMyTravelerProfile)
+    .put(
+      generalRateLimiter,
+      ...requirePermission("user:view_self"),
+      validateTravelerProfile,
+      validateInputs,
+      userController.putMyTravelerProfile
+    );
+
 router.route("/get-travel-request/:request_id")
     .get(
       generalRateLimiter,
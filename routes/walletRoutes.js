@@ -0,0 +1,57 @@
+import express from "express";
+import { body, param, query } from "express-validator";
+import { generalRateLimiter } from "../middleware/rateLimiters.js";
+import { requirePermission } from "../middleware/permissionMiddleware.js";
+import walletController from "../controllers/walletController.js";
+import { MANUAL_ENTRY_TYPES } from "../services/walletLedgerService.js";
+
+const router = express.Router();
+
+const validateStatement = [
+  query("from").optional().isISO8601(),
+  query("to").optional().isISO8601(),
+  query("request_id").optional().isInt({ min: 1 }).toInt(),
+];
+
+const validateUserId = [param("userId").isInt({ min: 1 }).toInt()];
+
+const validateManualEntry = [
+  body("type").isIn(MANUAL_ENTRY_TYPES),
+  body("amount").isFloat().toFloat(),
+  body("currency").optional().isLength({ min: 3, max: 3 }).isAlpha().toUpperCase(),
+  body("request_id").optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+  body("memo").isString().trim().isLength({ min: 1, max: 255 }),
+];
+
+router.get(
+  "/me/statement",
+  generalRateLimiter,
+  ...requirePermission("user:view_self"),
+  validateStatement,
+  walletController.getMyStatement
+);
+router.get(
+  "/organization/statement",
+  generalRateLimiter,
+  ...requirePermission("accounts_payable:attend"),
+  query("to").optional().isISO8601(),
+  walletController.getOrganizationStatement
+);
+router.get(
+  "/users/:userId/statement",
+  generalRateLimiter,
+  ...requirePermission("accounts_payable:attend"),
+  validateUserId,
+  validateStatement,
+  walletController.getUserStatement
+);
+router.post(
+  "/users/:userId/entries",
+  generalRateLimiter,
+  ...requirePermission("accounts_payable:attend"),
+  validateUserId,
+  validateManualEntry,
+  walletController.createManualEntry
+);
+
+export default router;
@@ -1,6 +1,6 @@
 /**
  * @file routes/workflowRuleRoutes.js
- * @description CRUD de reglas de workflow — solo Administrador de org (workflow:manage).
+ * @description CRUD de reglas de workflow, máquina de estados y SLA — solo Administrador de org (workflow:manage).
  */
 import express from "express";
 import { requirePermission } from "../middleware/permissionMiddleware.js";
@@ -15,7 +15,18 @@ import {
   createRule,
   updateRule,
   toggleRule,
+  listTransitions,
+  createTransition,
+  toggleTransition,
 } from "../controllers/workflowRuleController.js";
+import {
+  getCalendar,
+  updateCalendar,
+  createClosure,
+  removeClosure,
+  listPolicies,
+  updatePolicy,
+} from "../controllers/slaController.js";
 
 const router = express.Router();
 
@@ -25,6 +36,19 @@ router.get("/countries", generalRateLimiter, ...requirePermission("workflow:mana
 router.get("/receipt-types", generalRateLimiter, ...requirePermission("workflow:manage"), listReceiptTypes);
 router.get("/roles", generalRateLimiter, ...requirePermission("workflow:manage"), listRoles);
 
+// Máquina de estados de solicitudes (transiciones por organización)
+router.get("/transitions", generalRateLimiter, ...requirePermission("workflow:manage"), listTransitions);
+router.post("/transitions", generalRateLimiter, ...requirePermission("workflow:manage"), createTransition);
+router.patch("/transitions/:id/toggle", generalRateLimiter, ...requirePermission("workflow:manage"), toggleTransition);
+
+// SLA en horas hábiles: calendario laboral, días inhábiles y plazos por estatus
+router.get("/sla/calendar", generalRateLimiter, ...requirePermission("workflow:manage"), getCalendar);
+router.put("/sla/calendar", generalRateLimiter, ...requirePermission("workflow:manage"), updateCalendar);
+router.post("/sla/closures", generalRateLimiter, ...requirePermission("workflow:manage"), createClosure);
+router.delete("/sla/closures/:id", generalRateLimiter, ...requirePermission("workflow:manage"), removeClosure);
+router.get("/sla/policies", generalRateLimiter, ...requirePermission("workflow:manage"), listPolicies);
+router.put("/sla/policies/:statusId", generalRateLimiter, ...requirePermission("workflow:manage"), updatePolicy);
+
 // CRUD de reglas
 router.get("/", generalRateLimiter, ...requirePermission("workflow:manage"), listRules);
 router.post("/preview", generalRateLimiter, ...requirePermission("workflow:manage"), previewRules);
@@ -0,0 +1,126 @@
+/**
+ * @module accountingExport/delimitedSerializer
+ * @description Layouts CSV / delimitados: un renglón por partida. Los presets `aspel-coi` y `netsuite`
+ * son plantillas de columnas; la org puede reemplazarlas en `options.columns` de su integración ERP_EXPORT.
+ */
+import AccountingExportService from "../accountingExportService.js";
+import { polizaRows, columnValue } from "./rows.js";
+
+/**
+ * @typedef {Object} DelimitedOptions
+ * @property {string} [delimiter]      Default ","
+ * @property {boolean} [includeHeader] Encabezados de columna en la primera línea (default true)
+ * @property {boolean} [bom]           Antepone BOM UTF-8 (Excel lo necesita para acentos)
+ * @property {string} [eol]            Default "\r\n" (RFC 4180)
+ * @property {Array<{ header: string, field?: string, format?: string, value?: unknown, map?: Object }>} columns
+ */
+
+/** Layout base: todos los campos SAP de la partida. */
+export const CSV_LAYOUT = {
+    delimiter: ",",
+    includeHeader: true,
+    columns: [
+        { header: "ID_VIAJE", field: "ID_VIAJE" },
+        { header: "DOC_TYPE", field: "DOC_TYPE" },
+        { header: "HEADER_TXT", field: "HEADER_TXT" },
+        { header: "COMP_CODE", field: "COMP_CODE" },
+        { header: "PSTNG_DATE", field: "PSTNG_DATE" },
+        { header: "CURRENCY", field: "CURRENCY" },
+        { header: "EXCH_RATE", field: "EXCH_RATE", format: "amount:4" },
+        { header: "ITEMNO_ACC", field: "ITEMNO_ACC" },
+        { header: "SHKZG", field: "SHKZG" },
+        { header: "GL_ACCOUNT", field: "GL_ACCOUNT" },
+        { header: "ITEM_TEXT", field: "ITEM_TEXT" },
+        { header: "AMT_DOCCUR", field: "AMT_DOCCUR", format: "amount:4" },
+        { header: "COSTCENTER", field: "COSTCENTER" },
+        { header: "VENDOR_NO", field: "VENDOR_NO" },
+    ],
+};
+
+/** Aspel COI: importación de pólizas desde hoja de cálculo (tipo Dr = diario). */
+export const ASPEL_COI_LAYOUT = {
+    delimiter: ",",
+    includeHeader: true,
+    bom: true,
+    columns: [
+        { header: "TIPO_POLIZA", value: "Dr" },
+        { header: "NUM_POLIZA", field: "POLIZA_NUM" },
+        { header: "FECHA", field: "PSTNG_DATE", format: "date:DD/MM/YYYY" },
+        { header: "CONCEPTO_POLIZA", field: "HEADER_TXT" },
+        { header: "CUENTA", field: "GL_ACCOUNT" },
+        { header: "DEPTO", field: "COSTCENTER" },
+        { header: "CONCEPTO", field: "ITEM_TEXT" },
+        { header: "TIPO_CAMBIO", field: "EXCH_RATE", format: "amount:4" },
+        { header: "CARGO", field: "DEBIT", format: "amount:2" },
+        { header: "ABONO", field: "CREDIT", format: "amount:2" },
+    ],
+};
+
+/** Oracle NetSuite: CSV Import de Journal Entries (las líneas se agrupan por External ID). */
+export const NETSUITE_LAYOUT = {
+    delimiter: ",",
+    includeHeader: true,
+    columns: [
+        { header: "External ID", field: "POLIZA_ID" },
+        { header: "Date", field: "PSTNG_DATE", format: "date:MM/DD/YYYY" },
+        { header: "Subsidiary", field: "COMP_CODE" },
+        { header: "Currency", field: "CURRENCY" },
+        { header: "Exchange Rate", field: "EXCH_RATE", format: "amount:4" },
+        { header: "Memo", field: "HEADER_TXT" },
+        { header: "Account", field: "GL_ACCOUNT" },
+        { header: "Debit", field: "DEBIT", format: "amount:2" },
+        { header: "Credit", field: "CREDIT", format: "amount:2" },
+        { header: "Line Memo", field: "ITEM_TEXT" },
+        { header: "Department", field: "COSTCENTER" },
+        { header: "Name", field: "VENDOR_NO" },
+    ],
+};
+
+/**
+ * Escapa un campo CSV (comillas dobles si trae delimitador, comillas o saltos de línea).
+ * @param {string} value
+ * @param {string} delimiter
+ * @returns {string}
+ */
+const escapeField = (value, delimiter) =>
+    value.includes(delimiter) || /["\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+/**
+ * @param {string} name
+ * @param {DelimitedOptions} defaults
+ * @returns {import('../accountingExportFormatService.js').PolizaSerializer}
+ */
+export const createDelimitedSerializer = (name, defaults) => ({
+    name,
+    contentType: "text/csv; charset=utf-8",
+    extension: "csv",
+    defaults,
+
+    /** @param {DelimitedOptions} options */
+    validateOptions(options) {
+        if (!Array.isArray(options.columns) || options.columns.length === 0) {
+            throw new AccountingExportService.ValidationError(`Export format '${name}' requires at least one column`);
+        }
+        if (typeof options.delimiter !== "string" || options.delimiter.length !== 1) {
+            throw new AccountingExportService.ValidationError(`Export format '${name}': delimiter must be one character`);
+        }
+    },
+
+    /**
+     * @param {Array<Object>} polizas
+     * @param {DelimitedOptions} options
+     * @returns {string}
+     */
+    serialize(polizas, options) {
+        const { delimiter, columns } = options;
+        const eol = options.eol ?? "\r\n";
+        const lines = polizaRows(polizas).map((row) =>
+            columns.map((c) => escapeField(columnValue(row, c), delimiter)).join(delimiter)
+        );
+        if (options.includeHeader !== false) {
+            lines.unshift(columns.map((c) => escapeField(String(c.header ?? c.field ?? ""), delimiter)).join(delimiter));
+        }
+        const body = lines.map((l) => l + eol).join("");
+        return options.bom ? `\uFEFF${body}` : body;
+    },
+});
@@ -0,0 +1,135 @@
+/**
+ * @module accountingExport/fixedWidthSerializer
+ * @description Layouts TXT de ancho fijo: un registro opcional por póliza (`polizaRecord`) seguido de un
+ * registro por partida (`lineRecord`). El preset `contpaqi` es el layout P / M1 de importación de pólizas
+ * de CONTPAQi Contabilidad; el formato `fixed-width` toma los registros de la integración ERP_EXPORT.
+ */
+import AccountingExportService from "../accountingExportService.js";
+import { polizaRows, polizaIdOf, columnValue } from "./rows.js";
+
+/**
+ * @typedef {Object} FixedWidthColumn
+ * @property {number} width
+ * @property {string} [field]
+ * @property {unknown} [value]
+ * @property {string} [format]
+ * @property {Object} [map]
+ * @property {'left'|'right'} [align] Default left; los importes van a la derecha
+ * @property {string} [pad]           Default " "
+ */
+
+/**
+ * @typedef {Object} FixedWidthOptions
+ * @property {Array<FixedWidthColumn>} [polizaRecord]
+ * @property {Array<FixedWidthColumn>} lineRecord
+ * @property {string} [separator] Texto entre columnas (default "")
+ * @property {string} [eol]       Default "\r\n"
+ */
+
+/**
+ * CONTPAQi Contabilidad: P = encabezado (tipo 3 = Diario), M1 = movimiento (0 cargo / 1 abono) en MXN;
+ * el importe en moneda extranjera solo se llena cuando CURRENCY ≠ MXN.
+ * @type {FixedWidthOptions}
+ */
+export const CONTPAQI_LAYOUT = {
+    separator: " ",
+    polizaRecord: [
+        { value: "P", width: 2 },
+        { field: "PSTNG_DATE", format: "date:YYYYMMDD", width: 8 },
+        { value: 3, width: 4, align: "right" },
+        { field: "POLIZA_NUM", width: 9, align: "right" },
+        { value: 1, width: 1 },
+        { value: 0, width: 10, align: "right" },
+        { field: "HEADER_TXT", width: 100 },
+        { value: 11, width: 3, align: "right" },
+        { value: 0, width: 1 },
+        { value: 0, width: 1 },
+    ],
+    lineRecord: [
+        { value: "M1", width: 2 },
+        { field: "GL_ACCOUNT", width: 30 },
+        { field: "POLIZA_ID", width: 20 },
+        { field: "CARGO_ABONO", width: 1 },
+        { field: "AMT_LOCAL", format: "amount:2", width: 20, align: "right" },
+        { value: 0, width: 10, align: "right" },
+        { field: "AMT_FOREIGN", format: "amount:2", width: 20, align: "right" },
+        { field: "ITEM_TEXT", width: 100 },
+    ],
+};
+
+/**
+ * @param {Object} row
+ * @param {FixedWidthColumn} column
+ * @returns {string}
+ */
+const fixedField = (row, column) => {
+    const width = Number(column.width);
+    const pad = column.pad ?? " ";
+    const text = columnValue(row, column).replace(/[\r\n]+/g, " ");
+    if (text.length > width) {
+        if (column.align === "right") {
+            throw new AccountingExportService.ValidationError(
+                `Value '${text}' does not fit in ${width} positions (${column.field ?? "constant"})`
+            );
+        }
+        return text.slice(0, width);
+    }
+    return column.align === "right" ? text.padStart(width, pad) : text.padEnd(width, pad);
+};
+
+/**
+ * @param {Object} row
+ * @param {Array<FixedWidthColumn>} record
+ * @param {string} separator
+ * @returns {string}
+ */
+const buildRecord = (row, record, separator) => record.map((c) => fixedField(row, c)).join(separator);
+
+/**
+ * @param {string} name
+ * @param {?FixedWidthOptions} defaults
+ * @returns {import('../accountingExportFormatService.js').PolizaSerializer}
+ */
+export const createFixedWidthSerializer = (name, defaults) => ({
+    name,
+    contentType: "text/plain; charset=utf-8",
+    extension: "txt",
+    defaults,
+
+    /** @param {FixedWidthOptions} options */
+    validateOptions(options) {
+        const records = [options.lineRecord, ...(options.polizaRecord ? [options.polizaRecord] : [])];
+        if (!Array.isArray(options.lineRecord) || options.lineRecord.length === 0) {
+            throw new AccountingExportService.ValidationError(`Export format '${name}' requires a lineRecord layout`);
+        }
+        for (const record of records) {
+            if (!Array.isArray(record) || record.some((c) => !(Number.isInteger(c.width) && c.width > 0))) {
+                throw new AccountingExportService.ValidationError(
+                    `Export format '${name}': every column needs a positive integer width`
+                );
+            }
+        }
+    },
+
+    /**
+     * @param {Array<Object>} polizas
+     * @param {FixedWidthOptions} options
+     * @returns {string}
+     */
+    serialize(polizas, options) {
+        const separator = options.separator ?? "";
+        const eol = options.eol ?? "\r\n";
+        const rows = polizaRows(polizas);
+        const lines = [];
+        polizas.forEach((p, idx) => {
+            if (options.polizaRecord) {
+                const header = { ...p.header, POLIZA_NUM: idx + 1, POLIZA_ID: polizaIdOf(p.header || {}) };
+                lines.push(buildRecord(header, options.polizaRecord, separator));
+            }
+            for (const row of rows.filter((r) => r.POLIZA_NUM === idx + 1)) {
+                lines.push(buildRecord(row, options.lineRecord, separator));
+            }
+        });
+        return lines.map((l) => l + eol).join("");
+    },
+});
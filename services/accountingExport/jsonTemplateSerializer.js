@@ -0,0 +1,90 @@
+/**
+ * @module accountingExport/jsonTemplateSerializer
+ * @description JSON genérico por plantilla de mapeo (`options.template` en la integración ERP_EXPORT),
+ * para ERPs con API REST propia. Especificaciones soportadas dentro de la plantilla:
+ *   - `"header.PSTNG_DATE"`                     → valor por ruta (string)
+ *   - `{ "field": "DEBIT", "format": "amount:2", "default": 0 }` → valor formateado
+ *   - `{ "const": "MXN" }`                      → constante
+ *   - `{ "each": "lines", "map": { ... } }`     → arreglo (una entrada por partida o comprobante)
+ *   - objeto plano                               → se mapea cada llave recursivamente
+ * Ámbito por póliza: `header`, `lines` (renglones con DEBIT/CREDIT…), `comprobantes`, `index`.
+ * Dentro de `each` el ámbito es el elemento, con `parent` apuntando al ámbito anterior.
+ */
+import AccountingExportService from "../accountingExportService.js";
+import { polizaRows, polizaIdOf, getPath, formatValue } from "./rows.js";
+
+/**
+ * @typedef {Object} JsonTemplateOptions
+ * @property {string} [envelope] Llave raíz del documento (default "entries"); "" devuelve el arreglo sin envolver
+ * @property {Object} template   Plantilla por póliza
+ */
+
+const MAX_DEPTH = 8;
+
+/**
+ * @param {unknown} spec
+ * @param {Object} scope
+ * @param {number} depth
+ * @returns {unknown}
+ */
+const applySpec = (spec, scope, depth) => {
+    if (depth > MAX_DEPTH) {
+        throw new AccountingExportService.ValidationError("Export template is nested too deeply");
+    }
+    if (typeof spec === "string") return getPath(scope, spec) ?? null;
+    if (spec === null || typeof spec !== "object") return spec;
+    if (Array.isArray(spec)) return spec.map((s) => applySpec(s, scope, depth + 1));
+    if ("const" in spec) return spec.const;
+    if ("each" in spec) {
+        const items = getPath(scope, spec.each);
+        return (Array.isArray(items) ? items : []).map((item) =>
+            applySpec(spec.map ?? {}, { ...item, parent: scope }, depth + 1)
+        );
+    }
+    if ("field" in spec) {
+        const value = getPath(scope, spec.field) ?? spec.default ?? null;
+        if (value === null || !spec.format) return value;
+        const formatted = formatValue(value, spec.format);
+        return String(spec.format).startsWith("amount") ? Number(formatted) : formatted;
+    }
+    return Object.fromEntries(Object.entries(spec).map(([k, v]) => [k, applySpec(v, scope, depth + 1)]));
+};
+
+/** @type {import('../accountingExportFormatService.js').PolizaSerializer} */
+export const jsonTemplateSerializer = {
+    name: "json-template",
+    contentType: "application/json",
+    extension: "json",
+    defaults: { envelope: "entries" },
+
+    /** @param {JsonTemplateOptions} options */
+    validateOptions(options) {
+        if (!options.template || typeof options.template !== "object" || Array.isArray(options.template)) {
+            throw new AccountingExportService.ValidationError(
+                "Export format 'json-template' requires a template object in the ERP_EXPORT integration"
+            );
+        }
+    },
+
+    /**
+     * @param {Array<Object>} polizas
+     * @param {JsonTemplateOptions} options
+     * @returns {Object|Array<Object>}
+     */
+    serialize(polizas, options) {
+        const rows = polizaRows(polizas);
+        const entries = polizas.map((p, idx) =>
+            applySpec(
+                options.template,
+                {
+                    header: { ...p.header, POLIZA_ID: polizaIdOf(p.header || {}) },
+                    lines: rows.filter((r) => r.POLIZA_NUM === idx + 1),
+                    comprobantes: p.comprobantes || [],
+                    index: idx + 1,
+                },
+                0
+            )
+        );
+        return options.envelope ? { [options.envelope]: entries } : entries;
+    },
+};
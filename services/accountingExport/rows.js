@@ -0,0 +1,119 @@
+/**
+ * @module accountingExport/rows
+ * @description Helpers compartidos por los serializadores de pólizas: aplanado a renglones
+ * (cabecera + partida) y formato de valores declarado en los layouts (`date:`, `amount:`…).
+ */
+import { SHKZG } from "../../config/accountingCatalogs.js";
+
+/**
+ * Renglón plano de una partida: campos de la cabecera, de la partida y derivados.
+ * @typedef {Object} PolizaRow
+ * @property {number} POLIZA_NUM   Consecutivo (1..n) de la póliza dentro del export
+ * @property {string} POLIZA_ID    `${DOC_TYPE}-${ID_VIAJE}`, identificador estable de la póliza
+ * @property {number} DEBIT        AMT_DOCCUR si SHKZG = S, si no 0
+ * @property {number} CREDIT       AMT_DOCCUR si SHKZG = H, si no 0
+ * @property {0|1} CARGO_ABONO     0 = cargo, 1 = abono (convención CONTPAQi)
+ * @property {number} AMT_LOCAL    AMT_DOCCUR × EXCH_RATE (MXN)
+ * @property {number} AMT_FOREIGN  AMT_DOCCUR si CURRENCY ≠ MXN, si no 0
+ */
+
+/**
+ * @param {Object} poliza
+ * @returns {Array<Object>}
+ */
+export const detailLinesOf = (poliza) => poliza.detalle || poliza.detalles || [];
+
+/**
+ * @param {Object} header
+ * @returns {string}
+ */
+export const polizaIdOf = (header) => `${header.DOC_TYPE}-${header.ID_VIAJE}`;
+
+/**
+ * Convierte un importe en moneda del documento a MXN con el tipo de cambio de la cabecera.
+ * @param {number} amount
+ * @param {Object} header
+ * @returns {number}
+ */
+export const toLocalAmount = (amount, header) =>
+    Math.round((Number(amount) || 0) * (Number(header.EXCH_RATE) || 1) * 100) / 100;
+
+/**
+ * Aplana las pólizas a un renglón por partida.
+ * @param {Array<Object>} polizas
+ * @returns {Array<PolizaRow>}
+ */
+export const polizaRows = (polizas) =>
+    polizas.flatMap((p, idx) => {
+        const header = p.header || {};
+        return detailLinesOf(p).map((line) => ({
+            ...header,
+            ...line,
+            POLIZA_NUM: idx + 1,
+            POLIZA_ID: polizaIdOf(header),
+            DEBIT: line.SHKZG === SHKZG.DEBE ? line.AMT_DOCCUR : 0,
+            CREDIT: line.SHKZG === SHKZG.HABER ? line.AMT_DOCCUR : 0,
+            CARGO_ABONO: line.SHKZG === SHKZG.DEBE ? 0 : 1,
+            AMT_LOCAL: toLocalAmount(line.AMT_DOCCUR, header),
+            AMT_FOREIGN: header.CURRENCY && header.CURRENCY !== "MXN" ? line.AMT_DOCCUR : 0,
+        }));
+    });
+
+/**
+ * Lee un valor por ruta con puntos (`header.PSTNG_DATE`).
+ * @param {Object} obj
+ * @param {string} path
+ * @returns {unknown}
+ */
+export const getPath = (obj, path) =>
+    String(path)
+        .split(".")
+        .reduce((acc, key) => (acc === null || acc === undefined ? undefined : acc[key]), obj);
+
+/**
+ * Aplica un formato de layout a un valor:
+ *   - `date:DDMMYYYY`, `date:YYYYMMDD`, `date:MM/DD/YYYY`… (tokens YYYY, MM, DD sobre fecha ISO)
+ *   - `amount:N` importe con N decimales (punto decimal, sin separador de miles)
+ *   - `int`, `upper`
+ * @param {unknown} value
+ * @param {string} [format]
+ * @returns {string}
+ */
+export const formatValue = (value, format) => {
+    if (value === null || value === undefined) return "";
+    if (!format) return String(value);
+    const [kind, arg] = String(format).split(/:(.*)/s);
+    switch (kind) {
+        case "date": {
+            const [yyyy, mm, dd] = String(value).slice(0, 10).split("-");
+            return String(arg || "YYYY-MM-DD")
+                .replace("YYYY", yyyy)
+                .replace("MM", mm)
+                .replace("DD", dd);
+        }
+        case "amount":
+            return (Number(value) || 0).toFixed(arg === undefined || arg === "" ? 2 : Number(arg));
+        case "int":
+            return String(Math.trunc(Number(value) || 0));
+        case "upper":
+            return String(value).toUpperCase();
+        default:
+            return String(value);
+    }
+};
+
+/**
+ * Valor de una columna de layout: `{ field, format, value, map }`.
+ * `value` es una constante; `map` traduce el valor leído (p. ej. DOC_TYPE → tipo de póliza del ERP).
+ * @param {Object} row
+ * @param {{ field?: string, format?: string, value?: unknown, map?: Record<string, unknown> }} column
+ * @returns {string}
+ */
+export const columnValue = (row, column) => {
+    let value = column.value !== undefined ? column.value : getPath(row, column.field);
+    if (column.map && value !== undefined && value !== null) {
+        const mapped = column.map[String(value)];
+        if (mapped !== undefined) value = mapped;
+    }
+    return formatValue(value, column.format);
+};
@@ -0,0 +1,44 @@
+/**
+ * @module accountingExport/sapSerializers
+ * @description Formatos originales (M1-010): JSON y XML con la forma BAPI de SAP (cabecera + detalle).
+ */
+import AccountingExportService from "../accountingExportService.js";
+import { detailLinesOf } from "./rows.js";
+
+/** @type {import('../accountingExportFormatService.js').PolizaSerializer} */
+export const jsonSerializer = {
+    name: "json",
+    contentType: "application/json",
+    extension: "json",
+    defaults: {},
+
+    /**
+     * `{ polizas }` con `detalles` duplicado para clientes que leían el alias anterior.
+     * @param {Array<Object>} polizas
+     * @returns {{ polizas: Array<Object> }}
+     */
+    serialize(polizas) {
+        return {
+            polizas: polizas.map((p) => ({
+                ...p,
+                detalles: detailLinesOf(p),
+            })),
+        };
+    },
+};
+
+/** @type {import('../accountingExportFormatService.js').PolizaSerializer} */
+export const xmlSerializer = {
+    name: "xml",
+    contentType: "application/xml",
+    extension: "xml",
+    defaults: {},
+
+    /**
+     * @param {Array<Object>} polizas
+     * @returns {string}
+     */
+    serialize(polizas) {
+        return AccountingExportService.polizasToXml(polizas);
+    },
+};
@@ -0,0 +1,172 @@
+/**
+ * @module accountingExport/satPolizasPeriodoSerializer
+ * @description Contabilidad Electrónica del SAT: XML "Pólizas del Periodo" versión 1.3 (PLZ), que se entrega
+ * a solicitud de la autoridad (AF/FC con número de orden, DE/CO con número de trámite).
+ * Los importes Debe/Haber van en MXN (AMT_DOCCUR × EXCH_RATE); cada CFDI de la póliza GV se anida como
+ * `CompNal` en la transacción de gasto que lo registra. DesCta sale del catálogo de cuentas de la org.
+ */
+import { XMLBuilder } from "fast-xml-parser";
+import AccountingExportService from "../accountingExportService.js";
+import { detailLinesOf, polizaIdOf, toLocalAmount } from "./rows.js";
+import { SHKZG } from "../../config/accountingCatalogs.js";
+
+const PLZ_NAMESPACE = "http://www.sat.gob.mx/esquemas/ContabilidadE/1_3/PolizasPeriodo";
+const PLZ_XSD = `${PLZ_NAMESPACE} ${PLZ_NAMESPACE}/PolizasPeriodo_1_3.xsd`;
+const TIPOS_SOLICITUD = ["AF", "FC", "DE", "CO"];
+const NUM_ORDEN_RE = /^[A-Z]{3}[0-6][0-9][0-9]{5}\/[0-9]{2}$/;
+const NUM_TRAMITE_RE = /^[A-Z]{2}[0-9]{12}$/;
+const RFC_RE = /^[A-ZÑ&]{3,4}[0-9]{6}[A-Z0-9]{3}$/;
+
+/**
+ * @typedef {Object} SatPlzOptions
+ * @property {string} [rfc]           Default: RFC de la organización
+ * @property {'AF'|'FC'|'DE'|'CO'} tipoSolicitud
+ * @property {string} [numOrden]      Requerido para AF y FC
+ * @property {string} [numTramite]    Requerido para DE y CO
+ */
+
+const xmlBuilder = new XMLBuilder({
+    ignoreAttributes: false,
+    format: true,
+    suppressEmptyNode: true,
+});
+
+const money = (n) => (Math.round((Number(n) || 0) * 100) / 100).toFixed(2);
+
+/**
+ * RFC efectivo: el de la integración o el de la organización.
+ * @param {SatPlzOptions} options
+ * @param {Object} ctx
+ * @returns {string}
+ */
+const rfcFor = (options, ctx) => String(options.rfc || ctx.organization?.rfc || "").trim().toUpperCase();
+
+/**
+ * Mes/Anio del periodo: el del rango solicitado o, sin rango, el de las fechas de las pólizas.
+ * @param {Array<Object>} polizas
+ * @param {{ from?: Date, to?: Date }|null} period
+ * @returns {{ mes: string, anio: string }}
+ */
+const periodOf = (polizas, period) => {
+    const months = new Set(
+        period?.from
+            ? [period.from.toISOString().slice(0, 7)]
+            : polizas.map((p) => String(p.header?.PSTNG_DATE || "").slice(0, 7)).filter(Boolean)
+    );
+    if (months.size === 0) {
+        throw new AccountingExportService.ValidationError("SAT PLZ export requires a period (date_from)");
+    }
+    if (months.size > 1) {
+        throw new AccountingExportService.ValidationError("SAT PLZ export must cover a single month");
+    }
+    const [anio, mes] = [...months][0].split("-");
+    return { mes, anio };
+};
+
+/**
+ * @param {Object} poliza
+ * @param {Map<string, string>} chart
+ * @returns {Object}
+ */
+const polizaNode = (poliza, chart) => {
+    const header = poliza.header || {};
+    const comprobantesByItem = new Map();
+    for (const c of poliza.comprobantes || []) {
+        const list = comprobantesByItem.get(Number(c.ITEMNO_ACC)) || [];
+        list.push(c);
+        comprobantesByItem.set(Number(c.ITEMNO_ACC), list);
+    }
+    return {
+        "@_NumUnIdenPol": polizaIdOf(header).slice(0, 50),
+        "@_Fecha": String(header.PSTNG_DATE).slice(0, 10),
+        "@_Concepto": String(header.HEADER_TXT || polizaIdOf(header)).slice(0, 300),
+        "PLZ:Transaccion": detailLinesOf(poliza).map((line) => {
+            const amount = money(toLocalAmount(line.AMT_DOCCUR, header));
+            const node = {
+                "@_NumCta": line.GL_ACCOUNT,
+                "@_DesCta": String(chart.get(line.GL_ACCOUNT) || line.GL_ACCOUNT).slice(0, 100),
+                "@_Concepto": String(line.ITEM_TEXT || header.HEADER_TXT || line.GL_ACCOUNT).slice(0, 200),
+                "@_Debe": line.SHKZG === SHKZG.DEBE ? amount : "0.00",
+                "@_Haber": line.SHKZG === SHKZG.HABER ? amount : "0.00",
+            };
+            const comps = comprobantesByItem.get(Number(line.ITEMNO_ACC));
+            if (comps) {
+                node["PLZ:CompNal"] = comps.map((c) => ({
+                    "@_UUID_CFDI": String(c.UUID || "").toUpperCase(),
+                    "@_RFC": String(c.RFC || "").toUpperCase(),
+                    "@_MontoTotal": money(c.MONTO_TOTAL),
+                    ...(c.MONEDA && c.MONEDA !== "MXN"
+                        ? { "@_Moneda": c.MONEDA, "@_TipCamb": Number(c.TIPO_CAMBIO || 1).toFixed(5) }
+                        : {}),
+                }));
+            }
+            return node;
+        }),
+    };
+};
+
+/** @type {import('../accountingExportFormatService.js').PolizaSerializer} */
+export const satPolizasPeriodoSerializer = {
+    name: "sat-plz",
+    contentType: "application/xml",
+    extension: "xml",
+    defaults: {},
+    needsOrganization: true,
+    needsChartOfAccounts: true,
+
+    /**
+     * Falla antes de generar (y marcar exportadas) las pólizas si la solicitud SAT está incompleta.
+     * @param {SatPlzOptions} options
+     * @param {Object} ctx
+     */
+    validateOptions(options, ctx) {
+        if (!RFC_RE.test(rfcFor(options, ctx))) {
+            throw new AccountingExportService.ValidationError("SAT PLZ export requires a valid RFC for the organization");
+        }
+        const tipo = String(options.tipoSolicitud || "").toUpperCase();
+        if (!TIPOS_SOLICITUD.includes(tipo)) {
+            throw new AccountingExportService.ValidationError(
+                `tipo_solicitud must be one of ${TIPOS_SOLICITUD.join(", ")}`
+            );
+        }
+        if ((tipo === "AF" || tipo === "FC") && !NUM_ORDEN_RE.test(String(options.numOrden || ""))) {
+            throw new AccountingExportService.ValidationError(`tipo_solicitud ${tipo} requires num_orden (e.g. ABC6912345/01)`);
+        }
+        if ((tipo === "DE" || tipo === "CO") && !NUM_TRAMITE_RE.test(String(options.numTramite || ""))) {
+            throw new AccountingExportService.ValidationError(`tipo_solicitud ${tipo} requires num_tramite (e.g. AB123456789012)`);
+        }
+        const from = ctx.period?.from;
+        const to = ctx.period?.to;
+        if (from && to && from.toISOString().slice(0, 7) !== to.toISOString().slice(0, 7)) {
+            throw new AccountingExportService.ValidationError("SAT PLZ export must cover a single month");
+        }
+    },
+
+    /**
+     * @param {Array<Object>} polizas
+     * @param {SatPlzOptions} options
+     * @param {Object} ctx
+     * @returns {string}
+     */
+    serialize(polizas, options, ctx) {
+        const tipo = String(options.tipoSolicitud).toUpperCase();
+        const { mes, anio } = periodOf(polizas, ctx.period);
+        const chart = ctx.chartOfAccounts || new Map();
+        const payload = {
+            "PLZ:Polizas": {
+                "@_xmlns:xsi": "http://www.w3.org/2001/XMLSchema-instance",
+                "@_xmlns:PLZ": PLZ_NAMESPACE,
+                "@_xsi:schemaLocation": PLZ_XSD,
+                "@_Version": "1.3",
+                "@_RFC": rfcFor(options, ctx),
+                "@_Mes": mes,
+                "@_Anio": anio,
+                "@_TipoSolicitud": tipo,
+                ...(tipo === "AF" || tipo === "FC" ? { "@_NumOrden": options.numOrden } : {}),
+                ...(tipo === "DE" || tipo === "CO" ? { "@_NumTramite": options.numTramite } : {}),
+                "PLZ:Poliza": polizas.map((p) => polizaNode(p, chart)),
+            },
+        };
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' + xmlBuilder.build(payload);
+    },
+};
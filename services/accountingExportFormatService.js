@@ -0,0 +1,187 @@
+/**
+ * @module accountingExportFormatService
+ * @description Registro de serializadores de pólizas para los ERPs de las organizaciones cliente.
+ * `accountingExportService` arma las pólizas (forma SAP); aquí se elige y aplica el layout de salida.
+ *
+ * Formato efectivo: `?format=` explícito → `Accept: application/xml` → integración `ERP_EXPORT`
+ * de la org (`organization_integrations`) → `ERP_EXPORT_FORMAT` → json.
+ * Config de la integración: `{ "format": "contpaqi", "options": { "<formato>": { ... } } }`; las opciones
+ * de cada formato reemplazan a los defaults del preset (p. ej. `columns` de un CSV o `rfc` del SAT).
+ */
+import prisma from "../database/config/prisma.js";
+import AccountingExportService from "./accountingExportService.js";
+import { resolveIntegration } from "./integrationResolver.js";
+import { jsonSerializer, xmlSerializer } from "./accountingExport/sapSerializers.js";
+import {
+    createDelimitedSerializer,
+    CSV_LAYOUT,
+    ASPEL_COI_LAYOUT,
+    NETSUITE_LAYOUT,
+} from "./accountingExport/delimitedSerializer.js";
+import { createFixedWidthSerializer, CONTPAQI_LAYOUT } from "./accountingExport/fixedWidthSerializer.js";
+import { satPolizasPeriodoSerializer } from "./accountingExport/satPolizasPeriodoSerializer.js";
+import { jsonTemplateSerializer } from "./accountingExport/jsonTemplateSerializer.js";
+
+/**
+ * @typedef {Object} ExportContext
+ * @property {?string} organizationId
+ * @property {?{ rfc: ?string }} organization      Solo si el serializador lo pide (`needsOrganization`)
+ * @property {?Map<string, string>} chartOfAccounts accountCode → accountName (`needsChartOfAccounts`)
+ * @property {?{ from: Date, to: Date }} period     Rango solicitado (exports por rango)
+ */
+
+/**
+ * @typedef {Object} PolizaSerializer
+ * @property {string} name
+ * @property {string} contentType
+ * @property {string} extension
+ * @property {Object|null} defaults
+ * @property {boolean} [needsOrganization]
+ * @property {boolean} [needsChartOfAccounts]
+ * @property {(options: Object, ctx: ExportContext) => void} [validateOptions] Corre ANTES de generar las pólizas
+ * @property {(polizas: Array<Object>, options: Object, ctx: ExportContext) => string|Object} serialize
+ */
+
+/** @type {Record<string, PolizaSerializer>} */
+const SERIALIZERS = {
+    json: jsonSerializer,
+    xml: xmlSerializer,
+    csv: createDelimitedSerializer("csv", CSV_LAYOUT),
+    "aspel-coi": createDelimitedSerializer("aspel-coi", ASPEL_COI_LAYOUT),
+    netsuite: createDelimitedSerializer("netsuite", NETSUITE_LAYOUT),
+    contpaqi: createFixedWidthSerializer("contpaqi", CONTPAQI_LAYOUT),
+    "fixed-width": createFixedWidthSerializer("fixed-width", null),
+    "sat-plz": satPolizasPeriodoSerializer,
+    "json-template": jsonTemplateSerializer,
+};
+
+/** Query params que sobrescriben opciones del formato en una sola descarga. */
+const QUERY_OVERRIDES = {
+    tipo_solicitud: "tipoSolicitud",
+    num_orden: "numOrden",
+    num_tramite: "numTramite",
+};
+
+/**
+ * @returns {Array<{ name: string, contentType: string, extension: string }>}
+ */
+export function listExportFormats() {
+    return Object.values(SERIALIZERS).map(({ name, contentType, extension }) => ({ name, contentType, extension }));
+}
+
+/**
+ * Config ERP_EXPORT de la org; sin org (o id no numérico) cae al formato de env.
+ * @param {?string|number|bigint} organizationId
+ * @returns {Promise<{ format?: string, options?: Record<string, Object> }>}
+ */
+async function erpExportConfig(organizationId) {
+    if (organizationId === null || organizationId === undefined || !/^\d+$/.test(String(organizationId))) {
+        return { format: process.env.ERP_EXPORT_FORMAT || "json" };
+    }
+    return (await resolveIntegration(organizationId, "ERP_EXPORT")) || {};
+}
+
+/**
+ * Formato que recibe la org cuando no pide uno explícito.
+ * @param {?string|number|bigint} organizationId
+ * @returns {Promise<string>}
+ */
+export async function defaultExportFormat(organizationId) {
+    const format = String((await erpExportConfig(organizationId)).format || "json").toLowerCase();
+    return SERIALIZERS[format] ? format : "json";
+}
+
+/**
+ * @param {string} name
+ * @returns {PolizaSerializer}
+ * @throws {ValidationError} Formato no registrado
+ */
+function serializerFor(name) {
+    const serializer = SERIALIZERS[String(name).toLowerCase()];
+    if (!serializer) {
+        throw new AccountingExportService.ValidationError(
+            `Unknown export format '${name}'. Supported: ${Object.keys(SERIALIZERS).join(", ")}`
+        );
+    }
+    return serializer;
+}
+
+/**
+ * @param {PolizaSerializer} serializer
+ * @param {?string|number|bigint} organizationId
+ * @param {?{ from: Date, to: Date }} period
+ * @returns {Promise<ExportContext>}
+ */
+async function buildContext(serializer, organizationId, period) {
+    const ctx = {
+        organizationId: organizationId === null || organizationId === undefined ? null : String(organizationId),
+        organization: null,
+        chartOfAccounts: null,
+        period: period || null,
+    };
+    if (!ctx.organizationId || !/^\d+$/.test(ctx.organizationId)) return ctx;
+    const orgId = BigInt(ctx.organizationId);
+    if (serializer.needsOrganization) {
+        ctx.organization = await prisma.organization.findUnique({ where: { id: orgId }, select: { rfc: true } });
+    }
+    if (serializer.needsChartOfAccounts) {
+        const accounts = await prisma.chartOfAccount.findMany({
+            where: { organizationId: orgId, active: true },
+            select: { accountCode: true, accountName: true },
+        });
+        ctx.chartOfAccounts = new Map(accounts.map((a) => [String(a.accountCode).trim(), a.accountName]));
+    }
+    return ctx;
+}
+
+/**
+ * Resuelve formato, opciones y contexto, y valida la configuración. Llamar ANTES de generar las
+ * pólizas: generar marca los viajes como exportados y un layout mal configurado no debe consumirlos.
+ * @param {Object} params
+ * @param {?string|number|bigint} params.organizationId
+ * @param {string} [params.format]  `?format=` explícito
+ * @param {string} [params.accept]  Header Accept
+ * @param {Object} [params.query]   req.query (overrides como `tipo_solicitud`)
+ * @param {?{ from: Date, to: Date }} [params.period]
+ * @returns {Promise<{ serializer: PolizaSerializer, options: Object, ctx: ExportContext }>}
+ * @throws {ValidationError}
+ */
+export async function prepareExport({ organizationId, format, accept, query = {}, period = null }) {
+    const requested = String(format || "").trim().toLowerCase();
+    const acceptsXml = /application\/xml|text\/xml/i.test(String(accept || ""));
+    const config = await erpExportConfig(organizationId);
+
+    const serializer = serializerFor(requested || (acceptsXml ? "xml" : config.format || "json"));
+    const overrides = Object.fromEntries(
+        Object.entries(QUERY_OVERRIDES)
+            .filter(([param]) => query[param] !== undefined && query[param] !== "")
+            .map(([param, key]) => [key, String(query[param])])
+    );
+    const options = { ...(serializer.defaults || {}), ...(config.options?.[serializer.name] || {}), ...overrides };
+
+    const ctx = await buildContext(serializer, organizationId, period);
+    serializer.validateOptions?.(options, ctx);
+    return { serializer, options, ctx };
+}
+
+/**
+ * @param {{ serializer: PolizaSerializer, options: Object, ctx: ExportContext }} prepared
+ * @param {Array<Object>} polizas
+ * @returns {Promise<{ body: string|Object, contentType: string, fileName: string }>}
+ */
+export async function serializePolizas({ serializer, options, ctx }, polizas) {
+    const body = await serializer.serialize(polizas, options, ctx);
+    const stamp = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+    return {
+        body,
+        contentType: serializer.contentType,
+        fileName: `polizas-${serializer.name}-${stamp}.${serializer.extension}`,
+    };
+}
+
+export default {
+    listExportFormats,
+    defaultExportFormat,
+    prepareExport,
+    serializePolizas,
+};
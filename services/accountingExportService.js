@@ -9,6 +9,7 @@
  *   - Poliza Gasto de Viaje sin Anticipo (DOC_TYPE=GV)
  *
  * Catálogo GL/COMP_CODE: `polizaCatalogService` + tablas RF-74 por organización (fallback `accountingCatalogs.js`).
+ * Otros layouts de ERP (CONTPAQi, Aspel COI, NetSuite, SAT PLZ 1.3…): services/accountingExportFormatService.js.
  * `ACCOUNTING_EXPORT_STRICT_LENGTHS=1`: rechaza campos que excedan longitud SAP (sin truncar silenciosamente).
  */
 import { XMLBuilder } from "fast-xml-parser";
@@ -30,7 +31,8 @@ import {
     impuestosNeedManualReview,
     roundMoney,
 } from "./cfdiImpuestos.js";
-import { fetchBanxicoUsdMxnFixing } from "./banxicoService.js";
+import { getRate } from "./fx/fxRateService.js";
+import { postingDateResolver } from "./accountingPeriodService.js";
 
 const MXN = "MXN";
 const AMOUNT_EPSILON = 0.001;
@@ -177,7 +179,8 @@ const normalizeLine = (line, strict, costCenterRequiredGls) => {
  * @param {Object} poliza
  * @param {boolean} strict
  * @param {Set<string>} costCenterRequiredGls
- * @returns {Object}
+ * @returns {Object} `{ header, detalle }` más `comprobantes` (CFDI que respaldan la GV, para layouts como SAT PLZ)
+ *   y `fx` (procedencia del EXCH_RATE cuando la GV no es en MXN)
  */
 const normalizeAndValidatePoliza = (poliza, strict, costCenterRequiredGls) => {
     const detalle = detailLinesFrom(poliza).map((l) => normalizeLine(l, strict, costCenterRequiredGls));
@@ -190,7 +193,12 @@ const normalizeAndValidatePoliza = (poliza, strict, costCenterRequiredGls) => {
     if (Math.abs(debe - haber) > AMOUNT_EPSILON) {
         throw new ValidationError(`Poliza ${header.ID_VIAJE} is unbalanced: debe=${debe} haber=${haber}`);
     }
-    return { header, detalle };
+    return {
+        header,
+        detalle,
+        ...(poliza.comprobantes?.length ? { comprobantes: poliza.comprobantes } : {}),
+        ...(poliza.fx ? { fx: poliza.fx } : {}),
+    };
 };
 
 /**
@@ -214,21 +222,40 @@ export const resolveVendorAndCostCenter = (request) => {
 };
 
 /**
+ * Tipo de cambio contable de la GV: FIX de la cadena de la organización a la fecha contable.
+ * Si la cadena no publica el par se conserva el del CFDI (con su procedencia si la guardó el
+ * registro internacional), para que el ERP reciba el mismo tipo que vio el reembolso.
  * @param {Array<Object>} receipts
  * @param {string} pstngDateIso YYYY-MM-DD
- * @returns {Promise<{ currency: string, exchRate: number }>}
+ * @param {?(bigint|number|string)} organizationId
+ * @returns {Promise<{ currency: string, exchRate: number, fx: ?import("./fx/fxRateService.js").FxProvenance }>}
  */
-const resolveCurrencyAndRate = async (receipts, pstngDateIso) => {
+const resolveCurrencyAndRate = async (receipts, pstngDateIso, organizationId) => {
     const withCfdi = receipts.find((r) => r.cfdiComprobante);
-    if (!withCfdi) return { currency: MXN, exchRate: 1 };
+    if (!withCfdi) return { currency: MXN, exchRate: 1, fx: null };
     const c = withCfdi.cfdiComprobante;
     const currency = c.moneda || MXN;
-    if (currency === MXN) return { currency: MXN, exchRate: 1 };
-    if (currency === "USD") {
-        const fromBanxico = await fetchBanxicoUsdMxnFixing(pstngDateIso);
-        if (typeof fromBanxico === "number") return { currency, exchRate: round4(fromBanxico) };
+    if (currency === MXN) return { currency: MXN, exchRate: 1, fx: null };
+    try {
+        const fx = await getRate({ organizationId, base: currency, quote: MXN, rateType: "FIX", date: pstngDateIso });
+        return { currency, exchRate: round4(fx.rate), fx };
+    } catch (err) {
+        if (!err?.status) console.warn("accountingExport: FIX no disponible:", err?.message || err);
     }
-    return { currency, exchRate: round4(Number(c.tipoCambio) || 1) };
+    const exchRate = round4(Number(c.tipoCambio) || 1);
+    const fx = c.fxProvenance || {
+        rateType: "FIX",
+        provider: "cfdi",
+        base: currency,
+        quote: MXN,
+        rate: exchRate,
+        rateDate: c.fechaEmision ? toIsoDate(new Date(c.fechaEmision)) : pstngDateIso,
+        requestedDate: pstngDateIso,
+        fetchedAt: null,
+        fromCache: false,
+        inverted: false,
+    };
+    return { currency, exchRate, fx };
 };
 
 /**
@@ -282,6 +309,61 @@ export const buildAnticipoPolizaForAdvance = (request, advanceAmount) => {
     return { header, detalle };
 };
 
+/**
+ * Póliza GV de liquidación del anticipo: reclasifica el neto entre anticipo y CxP del empleado.
+ *   - COMPANY_OWES: Debe anticipo / Haber CxP (reembolso por lo comprobado sobre el anticipo).
+ *   - EMPLOYEE_OWES: Debe CxP / Haber anticipo (anticipo no gastado que el empleado devuelve).
+ *
+ * @param {object} request Request o mínimo { requestId, userId, user?, organization? }
+ * @param {{ direction: string, amount: number, currency?: string, exchRate?: number, pstngDate?: string }} settlement
+ * @returns {Object|null} Poliza plana, o null si no hay neto que reclasificar.
+ */
+export const buildSettlementPoliza = (request, { direction, amount, currency = MXN, exchRate = 1, pstngDate }) => {
+    const amt = round4(amount);
+    if (amt <= 0 || (direction !== "COMPANY_OWES" && direction !== "EMPLOYEE_OWES")) return null;
+
+    const gl = resolveGlCatalog(request);
+    const { vendorNo } = resolveVendorAndCostCenter(request);
+    const companyOwes = direction === "COMPANY_OWES";
+
+    const header = {
+        ID_VIAJE: String(request.requestId),
+        DOC_TYPE: DOC_TYPES.GASTO_VIAJE,
+        HEADER_TXT: cut(`Liquidacion Viaje # ${request.requestId}`, 25),
+        COMP_CODE: resolveCompCode(request),
+        PSTNG_DATE: pstngDate || toIsoDate(new Date()),
+        CURRENCY: currency,
+        EXCH_RATE: currency === MXN ? 1 : round4(exchRate),
+    };
+
+    const itemText = cut(
+        companyOwes
+            ? `Reembolso Viaje # ${request.requestId}`
+            : `Devolucion Anticipo Viaje # ${request.requestId}`,
+        50,
+    );
+    const detalle = [
+        {
+            ITEMNO_ACC: 1,
+            SHKZG: SHKZG.DEBE,
+            GL_ACCOUNT: companyOwes ? gl.anticipo : gl.cxp,
+            VENDOR_NO: vendorNo,
+            ITEM_TEXT: itemText,
+            AMT_DOCCUR: amt,
+        },
+        {
+            ITEMNO_ACC: 2,
+            SHKZG: SHKZG.HABER,
+            GL_ACCOUNT: companyOwes ? gl.cxp : gl.anticipo,
+            VENDOR_NO: vendorNo,
+            ITEM_TEXT: itemText,
+            AMT_DOCCUR: amt,
+        },
+    ];
+
+    return { header, detalle };
+};
+
 /**
  * Poliza AV usando imposed_fee del Request (export ERP al finalizar).
  * @param {Object} request
@@ -308,7 +390,7 @@ const buildComprobacionPoliza = async (request, hasAnticipo) => {
         .filter(Boolean)
         .sort((a, b) => new Date(b).getTime() - new Date(a).getTime())[0];
     const pstngDate = toIsoDate(lastValidation ? new Date(lastValidation) : new Date());
-    const { currency, exchRate } = await resolveCurrencyAndRate(receipts, pstngDate);
+    const { currency, exchRate, fx } = await resolveCurrencyAndRate(receipts, pstngDate, request.organizationId);
 
     const headerText = hasAnticipo
         ? `Comprobacion Viaje # ${request.requestId}`
@@ -325,11 +407,13 @@ const buildComprobacionPoliza = async (request, hasAnticipo) => {
     };
 
     const detalle = [];
+    const comprobantes = [];
     let itemNo = 1;
     let totalAcum = 0;
 
     for (const r of receipts) {
         const c = r.cfdiComprobante;
+        const firstItemNo = itemNo;
         const impuestos = resolveImpuestosFromComprobante(c);
         if (impuestosNeedManualReview(impuestos)) {
             throw new ValidationError(
@@ -411,6 +495,16 @@ const buildComprobacionPoliza = async (request, hasAnticipo) => {
             });
         }
 
+        if (itemNo > firstItemNo && c.uuid) {
+            comprobantes.push({
+                ITEMNO_ACC: firstItemNo,
+                UUID: c.uuid,
+                RFC: c.rfcEmisor,
+                MONTO_TOTAL: total,
+                MONEDA: c.moneda || MXN,
+                TIPO_CAMBIO: round4(Number(c.tipoCambio) || 1),
+            });
+        }
         totalAcum += total;
     }
 
@@ -428,7 +522,7 @@ const buildComprobacionPoliza = async (request, hasAnticipo) => {
         AMT_DOCCUR: round4(totalAcum),
     });
 
-    return { header, detalle };
+    return fx ? { header, detalle, comprobantes, fx } : { header, detalle, comprobantes };
 };
 
 /**
@@ -467,17 +561,54 @@ const buildPolizasFromRequest = async (request) => {
     const comprobacion = await buildComprobacionPoliza(request, hasAnticipo);
     if (comprobacion) polizas.push(normalizeAndValidatePoliza(comprobacion, strict, costGls));
 
+    for (const settlement of request.advanceSettlements || []) {
+        if (settlement.status === "SETTLED" && settlement.poliza) {
+            polizas.push(normalizeAndValidatePoliza(settlement.poliza, strict, costGls));
+        }
+    }
+
     return polizas;
 };
 
+/**
+ * Aplica los periodos contables de la org a PSTNG_DATE: en un periodo SOFT_CLOSED la póliza se recorre
+ * al primer día del primer periodo abierto; en uno CLOSED se rechaza.
+ * @param {?(bigint|number|string)} organizationId
+ * @param {Array<Object>} polizas Pólizas normalizadas
+ * @param {Object} [options]
+ * @param {Map<string, Function>} [options.resolvers] Caché por org (exports por rango)
+ * @param {import('@prisma/client').Prisma.TransactionClient} [options.client]
+ * @returns {Promise<Array<Object>>}
+ * @throws {ConflictError} Periodo cerrado
+ */
+const applyPeriodLocks = async (organizationId, polizas, { resolvers = new Map(), client = prisma } = {}) => {
+    if (polizas.length === 0 || organizationId === null || organizationId === undefined) return polizas;
+    const key = String(organizationId);
+    if (!resolvers.has(key)) resolvers.set(key, await postingDateResolver(organizationId, client));
+    const resolve = resolvers.get(key);
+    return polizas.map((p) => {
+        const decision = resolve(p.header.PSTNG_DATE, p.header.COMP_CODE);
+        if (decision.blocked) {
+            throw new ConflictError(
+                `Poliza ${p.header.DOC_TYPE}-${p.header.ID_VIAJE} posts on ${p.header.PSTNG_DATE}, ` +
+                `but accounting period ${decision.blocked.period} is ${decision.blocked.status}.`
+            );
+        }
+        return decision.postingDate === p.header.PSTNG_DATE
+            ? p
+            : { ...p, header: { ...p.header, PSTNG_DATE: decision.postingDate } };
+    });
+};
+
 /**
  * @param {import('@prisma/client').Prisma.TransactionClient} tx
  * @param {object} request
  * @param {object[]} polizas
  * @param {boolean} requestMarkedExported
+ * @param {object} [extra] Columnas adicionales por fila (p. ej. `exportBatchId`)
  * @returns {Promise<void>}
  */
-const persistPolizasTx = async (tx, request, polizas, requestMarkedExported) => {
+const persistPolizasTx = async (tx, request, polizas, requestMarkedExported, extra = {}) => {
     if (polizas.length > 0) {
         await tx.accountingPoliza.createMany({
             data: polizas.map((p, idx) => ({
@@ -487,6 +618,8 @@ const persistPolizasTx = async (tx, request, polizas, requestMarkedExported) =>
                 docType: String(p.header?.DOC_TYPE || "").slice(0, 2),
                 payload: p,
                 requestMarkedExported: Boolean(requestMarkedExported),
+                status: requestMarkedExported ? "EXPORTED" : "GENERATED",
+                ...extra,
             })),
         });
     }
@@ -531,7 +664,7 @@ const AccountingExportService = {
                 "Request not finalized. Accounting export is only available once the request is in status 'Finalizado'."
             );
         }
-        const polizas = await buildPolizasFromRequest(request);
+        const polizas = await applyPeriodLocks(request.organizationId, await buildPolizasFromRequest(request));
         await prisma.$transaction(async (tx) => {
             await persistPolizasTx(tx, request, polizas, true);
             await tx.request.updateMany({
@@ -551,11 +684,8 @@ const AccountingExportService = {
      * @returns {Promise<Array<Object>>}
      */
     async getPolizasInRange(from, to, { force = false } = {}) {
-        const requests = await AccountingExport.getFinalizedRequestsInRange(from, to, force);
-        const built = [];
-        for (const r of requests) {
-            built.push({ request: r, polizas: await buildPolizasFromRequest(r) });
-        }
+        const built = (await AccountingExportService.buildPolizasInRange(from, to, { force })).filter((b) => !b.blocked);
+        const requests = built.map((b) => b.request);
         const flatPolizas = built.flatMap((b) => b.polizas);
         if (requests.length > 0) {
             await prisma.$transaction(async (tx) => {
@@ -571,6 +701,34 @@ const AccountingExportService = {
         return flatPolizas;
     },
 
+    /**
+     * Arma (sin persistir) las polizas de los Requests finalizados del rango; base de los lotes de export.
+     * Los Requests cuyas pólizas caen en un periodo cerrado vienen con `blocked` (motivo) y sin pólizas:
+     * no se exportan ni se marcan, y quedan pendientes hasta que finanzas reabra o cierre suave el periodo.
+     * @param {Date} from
+     * @param {Date} to
+     * @param {Object} [options]
+     * @param {boolean} [options.force=false]
+     * @returns {Promise<Array<{ request: Object, polizas: Array<Object>, blocked?: string }>>}
+     */
+    async buildPolizasInRange(from, to, { force = false } = {}) {
+        const requests = await AccountingExport.getFinalizedRequestsInRange(from, to, force);
+        const resolvers = new Map();
+        const built = [];
+        for (const r of requests) {
+            try {
+                built.push({
+                    request: r,
+                    polizas: await applyPeriodLocks(r.organizationId, await buildPolizasFromRequest(r), { resolvers }),
+                });
+            } catch (err) {
+                if (!(err instanceof ConflictError)) throw err;
+                built.push({ request: r, polizas: [], blocked: err.message });
+            }
+        }
+        return built;
+    },
+
     /**
      * Genera y persiste pólizas sin marcar el Request como exportado (previsualización / ERP externo).
      * @param {number} requestId
@@ -584,7 +742,7 @@ const AccountingExportService = {
                 "Request not finalized. Poliza generation is only available once the request is in status 'Finalizado'."
             );
         }
-        const polizas = await buildPolizasFromRequest(request);
+        const polizas = await applyPeriodLocks(request.organizationId, await buildPolizasFromRequest(request));
         await AccountingPolizaModel.insertPolizasForRequest({
             organizationId: request.organizationId,
             requestId: request.requestId,
@@ -594,6 +752,8 @@ const AccountingExportService = {
         return polizas;
     },
 
+    persistPolizasTx,
+    applyPeriodLocks,
     polizasToXml,
     NotFoundError,
     ConflictError,
@@ -0,0 +1,216 @@
+/**
+ * @module accountingPeriodService
+ * @description Periodos contables mensuales por organización y por sociedad (`accounting_periods`).
+ *   OPEN acepta pólizas; SOFT_CLOSED recorre la fecha de contabilización (PSTNG_DATE) al primer día del
+ *   primer periodo abierto posterior; CLOSED bloquea. Sin fila el mes está abierto. Una fila de sociedad
+ *   tiene precedencia sobre la de la organización, así finanzas puede dejar abierta una sociedad que aún
+ *   no cierra aunque el resto de la organización ya lo haya hecho.
+ */
+import prisma from "../database/config/prisma.js";
+
+export const PERIOD_STATUSES = ["OPEN", "SOFT_CLOSED", "CLOSED"];
+
+/** Meses que se buscan hacia adelante al recorrer una póliza antes de bloquearla. */
+const MAX_REDIRECT_MONTHS = 24;
+
+const PERIOD_RE = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+/**
+ * @param {string} message
+ * @param {number} status
+ * @returns {Error & { status: number }}
+ */
+function httpError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * @param {string} period YYYY-MM
+ * @returns {{ year: number, month: number }}
+ * @throws {Error & { status: number }} 400
+ */
+export function parsePeriod(period) {
+  const m = PERIOD_RE.exec(String(period ?? "").trim());
+  if (!m) throw httpError("El periodo debe tener formato YYYY-MM.", 400);
+  return { year: Number(m[1]), month: Number(m[2]) };
+}
+
+/**
+ * @param {number} year
+ * @param {number} month
+ * @returns {string} YYYY-MM
+ */
+const periodKey = (year, month) => `${year}-${String(month).padStart(2, "0")}`;
+
+/**
+ * @param {string} key YYYY-MM
+ * @returns {string}
+ */
+const nextPeriodKey = (key) => {
+  const [y, m] = key.split("-").map(Number);
+  return m === 12 ? periodKey(y + 1, 1) : periodKey(y, m + 1);
+};
+
+/**
+ * @param {object} row
+ * @returns {object}
+ */
+const periodToJson = (row) => ({
+  id: row.id,
+  period: periodKey(row.year, row.month),
+  year: row.year,
+  month: row.month,
+  societyId: row.societyId === null ? null : row.societyId.toString(),
+  status: row.status,
+  reason: row.reason,
+  changedById: row.changedById,
+  changedAt: row.changedAt,
+});
+
+/**
+ * @param {bigint} organizationId
+ * @param {?(number|string|bigint)} societyId
+ * @param {import('@prisma/client').Prisma.TransactionClient|typeof prisma} [client]
+ * @returns {Promise<?bigint>}
+ * @throws {Error & { status: number }} 400 si la sociedad no es de la organización
+ */
+async function resolveSocietyId(organizationId, societyId, client = prisma) {
+  if (societyId === null || societyId === undefined || societyId === "") return null;
+  const society = await client.accountingSociety.findFirst({
+    where: { societyId: BigInt(societyId), organizationId },
+    select: { societyId: true },
+  });
+  if (!society) throw httpError(`La sociedad ${societyId} no existe en esta organización.`, 400);
+  return society.societyId;
+}
+
+/**
+ * Periodos registrados de la organización (los meses sin fila están abiertos).
+ * @param {bigint|number|string} organizationId
+ * @param {{ year?: number, societyId?: number|string|null }} [filters]
+ * @returns {Promise<object[]>}
+ */
+export async function listPeriods(organizationId, { year, societyId } = {}) {
+  const orgId = BigInt(organizationId);
+  const where = { organizationId: orgId };
+  if (year) where.year = Number(year);
+  if (societyId !== undefined && societyId !== null && societyId !== "") {
+    where.societyId = await resolveSocietyId(orgId, societyId);
+  }
+  const rows = await prisma.accountingPeriod.findMany({
+    where,
+    orderBy: [{ year: "desc" }, { month: "desc" }, { societyId: "asc" }],
+  });
+  return rows.map(periodToJson);
+}
+
+/**
+ * Abre, cierra suave o cierra un periodo. Reabrir un periodo CLOSED exige motivo.
+ * @param {bigint|number|string} organizationId
+ * @param {string} period YYYY-MM
+ * @param {'OPEN'|'SOFT_CLOSED'|'CLOSED'} status
+ * @param {{ societyId?: number|string|null, reason?: string, userId?: number|null }} [opts]
+ * @returns {Promise<object>}
+ * @throws {Error & { status: number }} 400
+ */
+export async function setPeriodStatus(organizationId, period, status, { societyId = null, reason, userId = null } = {}) {
+  const orgId = BigInt(organizationId);
+  const { year, month } = parsePeriod(period);
+  if (!PERIOD_STATUSES.includes(status)) {
+    throw httpError(`status debe ser uno de ${PERIOD_STATUSES.join(", ")}.`, 400);
+  }
+  const why = reason === undefined || reason === null ? null : String(reason).trim().slice(0, 300) || null;
+
+  return prisma.$transaction(async (tx) => {
+    const society = await resolveSocietyId(orgId, societyId, tx);
+    const current = await tx.accountingPeriod.findFirst({
+      where: { organizationId: orgId, societyId: society, year, month },
+    });
+    if (current?.status === "CLOSED" && status !== "CLOSED" && !why) {
+      throw httpError(`Reabrir el periodo ${periodKey(year, month)} (cerrado) requiere un motivo.`, 400);
+    }
+    const data = { status, reason: why, changedById: userId, changedAt: new Date() };
+    const row = current
+      ? await tx.accountingPeriod.update({ where: { id: current.id }, data })
+      : await tx.accountingPeriod.create({
+        data: { organizationId: orgId, societyId: society, year, month, ...data },
+      });
+    return periodToJson(row);
+  });
+}
+
+/**
+ * Estado efectivo por mes para una sociedad (o la organización si `societyId` es null).
+ * @param {Array<{ societyId: ?bigint, year: number, month: number, status: string }>} rows
+ * @param {?bigint} societyId
+ * @returns {(key: string) => string}
+ */
+function statusLookup(rows, societyId) {
+  const orgLevel = new Map();
+  const societyLevel = new Map();
+  for (const r of rows) {
+    const key = periodKey(r.year, r.month);
+    if (r.societyId === null) orgLevel.set(key, r.status);
+    else if (societyId !== null && String(r.societyId) === String(societyId)) societyLevel.set(key, r.status);
+  }
+  return (key) => societyLevel.get(key) ?? orgLevel.get(key) ?? "OPEN";
+}
+
+/**
+ * @typedef {Object} PostingDecision
+ * @property {string} postingDate           YYYY-MM-DD efectiva
+ * @property {?string} redirectedFrom       Periodo YYYY-MM original cuando se recorrió
+ * @property {?{ period: string, status: string }} blocked  Periodo que impide contabilizar
+ */
+
+/**
+ * Carga los periodos de la organización y devuelve un resolvedor de fechas de contabilización por
+ * `COMP_CODE` (la sociedad se identifica por su código, igual que en polizaCatalogService).
+ * @param {bigint|number|string} organizationId
+ * @param {import('@prisma/client').Prisma.TransactionClient|typeof prisma} [client]
+ * @returns {Promise<(date: string, compCode?: string) => PostingDecision>}
+ */
+export async function postingDateResolver(organizationId, client = prisma) {
+  const orgId = BigInt(organizationId);
+  const [rows, societies] = await Promise.all([
+    // Las filas OPEN de sociedad cuentan: le ganan a un cierre de la organización.
+    client.accountingPeriod.findMany({
+      where: { organizationId: orgId, OR: [{ societyId: { not: null } }, { status: { not: "OPEN" } }] },
+      select: { societyId: true, year: true, month: true, status: true },
+    }),
+    client.accountingSociety.findMany({
+      where: { organizationId: orgId },
+      select: { societyId: true, code: true },
+    }),
+  ]);
+  const societyByComp = new Map(societies.map((s) => [String(s.code).trim().slice(0, 4), s.societyId]));
+  const anyClosed = rows.some((r) => r.status !== "OPEN");
+
+  return (date, compCode) => {
+    const postingDate = String(date).slice(0, 10);
+    const original = postingDate.slice(0, 7);
+    if (!anyClosed) return { postingDate, redirectedFrom: null, blocked: null };
+
+    const statusOf = statusLookup(rows, societyByComp.get(String(compCode ?? "").trim()) ?? null);
+    const status = statusOf(original);
+    if (status === "OPEN") return { postingDate, redirectedFrom: null, blocked: null };
+    if (status === "CLOSED") return { postingDate, redirectedFrom: null, blocked: { period: original, status } };
+
+    let key = original;
+    for (let i = 0; i < MAX_REDIRECT_MONTHS; i++) {
+      key = nextPeriodKey(key);
+      if (statusOf(key) === "OPEN") return { postingDate: `${key}-01`, redirectedFrom: original, blocked: null };
+    }
+    return { postingDate, redirectedFrom: null, blocked: { period: original, status } };
+  };
+}
+
+export default {
+  PERIOD_STATUSES,
+  parsePeriod,
+  listPeriods,
+  setPeriodStatus,
+  postingDateResolver,
+};
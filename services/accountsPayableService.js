@@ -4,48 +4,137 @@
  * including receipt validation and automatic request-status transitions.
  */
 import AccountsPayable from "../models/accountsPayableModel.js";
-import anticipoPolizaLifecycleService from "./anticipoPolizaLifecycleService.js";
+import AdvanceSettlementService from "./advanceSettlementService.js";
+import mailData from "./email/mailData.js";
+import { Mail } from "./email/mail.cjs";
+import { emitRequestUpdated, emitSafe } from "./requestEventService.js";
+import {
+    IllegalTransitionError,
+    REQUEST_ACTIONS,
+    resolveTransition,
+    runTransitionSideEffects,
+} from "./requestStateMachine.js";
 
 const AccountsPayableService = {
     /**
      * Checks the receipt statuses for a given request and advances (or rolls back)
-     * the request status accordingly:
-     * - Any rejected receipt → status 6 (returned to previous step)
-     * - All receipts approved → status 8 (Finalizado)
+     * the request status accordingly, through the request state machine:
+     * - Any rejected receipt → `reject_receipts` (default: back to status 6)
+     * - All receipts approved → `approve_receipts` (default: status 8 Finalizado + póliza de comprobación),
+     *   once the advance settlement is closed; while treasury has a settlement pending, no status change
      * - Receipts still pending → no status change
      *
      * @param {number} requestId - ID of the travel request to evaluate
-     * @returns {Promise<Object>} Object with updatedStatus (number|null) and a message string
+     * @param {{ actorUserId?: number|null, permissionSet?: Set<string> }} [actor] - Omit for system calls
+     * @returns {Promise<Object>} Object with updatedStatus (number|null), a message string and,
+     *   when receipts are approved, the advance `settlements`
+     * @throws {import("./requestStateMachine.js").IllegalTransitionError} If the request is not awaiting validation
      */
-    async validateReceiptsAndUpdateStatus(requestId) {
+    async validateReceiptsAndUpdateStatus(requestId, { actorUserId = null, permissionSet } = {}) {
         const statuses = await AccountsPayable.getReceiptStatusesForRequest(requestId);
 
+        let action = null;
         if (statuses.includes("Rechazado")) {
-            await AccountsPayable.updateRequestStatus(requestId, 6);
+            action = REQUEST_ACTIONS.REJECT_RECEIPTS;
+        } else if (statuses.every(s => s === "Aprobado")) {
+            action = REQUEST_ACTIONS.APPROVE_RECEIPTS;
+        }
+
+        if (!action) {
             return {
-                updatedStatus: 6,
-                message: "Some receipts were rejected. Request moved back to step 6."
+                updatedStatus: null,
+                message: "Receipts still pending. No status change applied."
             };
         }
 
-        const allApproved = statuses.every(s => s === "Aprobado");
-        if (allApproved) {
-            await AccountsPayable.updateRequestStatus(requestId, 8); // Finalizado
-            try {
-                await anticipoPolizaLifecycleService.onExpensesVerified(requestId);
-            } catch (err) {
-                console.error("onExpensesVerified:", err?.message || err);
+        const request = await AccountsPayable.getRequestWorkflowState(requestId);
+        if (!request) {
+            throw { status: 404, message: "Travel request not found" };
+        }
+
+        const transition = await resolveTransition({
+            organizationId: request.organizationId,
+            fromStatusId: request.requestStatusId,
+            action,
+            actorUserId,
+            permissionSet,
+        });
+
+        let settlements;
+        if (action === REQUEST_ACTIONS.APPROVE_RECEIPTS) {
+            const settlement = await AdvanceSettlementService.prepareSettlement(requestId);
+            settlements = settlement.settlements;
+            if (settlement.pending) {
+                return {
+                    updatedStatus: null,
+                    message: "All receipts approved. Awaiting treasury settlement of the advance.",
+                    settlements,
+                };
             }
-            return {
-                updatedStatus: 8,
-                message: "All receipts approved. Request finalized."
-            };
         }
 
+        const updated = await AccountsPayable.updateRequestStatus(
+            requestId,
+            transition.toStatusId,
+            transition.fromStatusId
+        );
+        if (!updated) {
+            // Another actor moved the request between the read and the write.
+            throw new IllegalTransitionError({
+                fromStatusId: transition.fromStatusId,
+                toStatusId: transition.toStatusId,
+                action,
+                message: "La solicitud cambió de estatus; recargue e intente de nuevo",
+            });
+        }
+        await runTransitionSideEffects(requestId, transition);
+
         return {
-            updatedStatus: null,
-            message: "Receipts still pending. No status change applied."
+            updatedStatus: transition.toStatusId,
+            message: action === REQUEST_ACTIONS.REJECT_RECEIPTS
+                ? `Some receipts were rejected. Request moved back to step ${transition.toStatusId}.`
+                : "All receipts approved. Request finalized.",
+            ...(settlements ? { settlements } : {}),
         };
+    },
+
+    /**
+     * Registers a treasury settlement (manual or from a bank confirmation). When it was the last
+     * pending one, re-evaluates the receipts as a system call so the request reaches Finalizado,
+     * then mails the applicant and emits the request update.
+     *
+     * @param {number} settlementId
+     * @param {{ organizationId: bigint|number|string, actorUserId?: number|null, reference?: string|null }} context
+     * @returns {Promise<{ settlement: Object, requestId: number, request: Object|null }>}
+     *   `request` is the receipts re-evaluation result, or null while settlements remain pending
+     * @throws {{ status: number, message: string }} 404 / 409 from AdvanceSettlementService.settle
+     */
+    async completeSettlement(settlementId, { organizationId, actorUserId = null, reference = null }) {
+        const { settlement, requestId, pending } = await AdvanceSettlementService.settle(settlementId, {
+            organizationId,
+            actorUserId,
+            reference,
+        });
+        if (pending) {
+            return { settlement, requestId, request: null };
+        }
+
+        let request = null;
+        try {
+            request = await AccountsPayableService.validateReceiptsAndUpdateStatus(requestId);
+        } catch (syncErr) {
+            console.warn("[settle] Liquidación registrada; sync estado viaje:", syncErr?.message || syncErr);
+        }
+        if (request?.updatedStatus) {
+            try {
+                const { user_email, user_name, status } = await mailData(requestId);
+                await Mail(user_email, user_name, requestId, status);
+            } catch (mailErr) {
+                console.warn("[settle] Solicitud finalizada; correo no enviado:", mailErr?.message || mailErr);
+            }
+            await emitSafe(() => emitRequestUpdated(requestId, { actorUserId }));
+        }
+        return { settlement, requestId, request };
     }
 };
 
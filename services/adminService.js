@@ -5,23 +5,13 @@
  */
 import Admin from "../models/adminModel.js";
 import User from "../models/userModel.js";
-import crypto from "crypto";
 import bcrypt from "bcrypt";
-const AES_SECRET_KEY = process.env.AES_SECRET_KEY;
 import { parse } from "csv-parse";
 import fs from "fs";
-import { decrypt } from "../middleware/decryption.js";
+import { decrypt, encrypt } from "../middleware/decryption.js";
 
 const requiredColumns = ["role_name", "department_name", "user_name", "password", "workstation", "email"];
 
-const encrypt = (data) => {
-  const IV = crypto.randomBytes(16);
-  const cipher = crypto.createCipheriv("aes-256-cbc", Buffer.from(AES_SECRET_KEY), IV);
-  let encrypted = cipher.update(data, "utf8", "base64");
-  encrypted += cipher.final("base64");
-  return IV.toString("hex") + encrypted;
-};
-
 const hash = async (data) => {
   return await bcrypt.hash(data, 10);
 };
@@ -0,0 +1,374 @@
+/**
+ * @module advanceSettlementService
+ * @description Liquidación del anticipo al aprobarse todos los comprobantes. Neta el anticipo
+ * (requested_fee, en MXN) contra los comprobantes aprobados que pagó el empleado (`refund = true`):
+ * cubre primero lo comprobado en MXN y luego, al tipo de cambio FIX, lo de otras monedas. Cada
+ * moneda queda en su propia línea:
+ *   - neto > 0 → EMPLOYEE_OWES: el empleado devuelve el anticipo no gastado.
+ *   - neto < 0 → COMPANY_OWES: la empresa reembolsa lo comprobado por encima del anticipo.
+ *   - neto = 0 → BALANCED: nace liquidada.
+ * Cada liquidación lleva su póliza GV de reclasificación. Mientras alguna esté PENDING la solicitud
+ * no pasa a Finalizado; tesorería la marca pagada/cobrada con `settle`, junto con el movimiento del
+ * monedero.
+ */
+import { Prisma } from "@prisma/client";
+import prisma from "../database/config/prisma.js";
+import { buildSettlementPoliza } from "./accountingExportService.js";
+import { getRate } from "./fx/fxRateService.js";
+import walletLedgerService from "./walletLedgerService.js";
+
+const { Decimal } = Prisma;
+
+const MXN = "MXN";
+
+/** `settle` registra el monedero dentro de la transacción; recordReimbursementOwed recorre comprobantes. */
+const SETTLE_TX_TIMEOUT_MS = 20_000;
+
+/** Líneas de corrida con las que el banco ya tiene (o pagó) el monto de la liquidación. */
+const COMMITTED_RUN_LINE_STATUSES = ["PENDING", "PAID"];
+
+/**
+ * @typedef {Object} SettlementLine
+ * @property {string} currency
+ * @property {import("@prisma/client").Prisma.Decimal} advanceAmount - Parte del anticipo aplicada, en `currency`
+ * @property {import("@prisma/client").Prisma.Decimal} advanceBaseAmount - La misma parte en MXN
+ * @property {import("@prisma/client").Prisma.Decimal} provenAmount
+ * @property {"EMPLOYEE_OWES"|"COMPANY_OWES"|"BALANCED"} direction
+ * @property {import("@prisma/client").Prisma.Decimal} amount - Siempre >= 0
+ */
+
+/**
+ * @param {*} value
+ * @returns {import("@prisma/client").Prisma.Decimal}
+ */
+const dec = (value) => new Decimal(value ?? 0).toDecimalPlaces(2);
+
+/** Campos del Request que necesitan el cálculo y la póliza. */
+const SETTLEMENT_INCLUDE = {
+  user: { include: { empleado: true, department: true } },
+  organization: {
+    include: {
+      chartOfAccounts: { where: { active: true } },
+      accountingSocieties: true,
+    },
+  },
+  receipts: {
+    where: { validation: "Aprobado", refund: true },
+    select: { receiptId: true, amount: true, cfdiComprobante: { select: { moneda: true, tipoCambio: true } } },
+  },
+  advanceSettlements: true,
+};
+
+/**
+ * Forma de respuesta: montos como número.
+ * @param {Object} row AdvanceSettlement (con `request` opcional)
+ * @returns {Object}
+ */
+export const serializeSettlement = (row) => ({
+  id: row.id,
+  requestId: row.requestId,
+  currency: row.currency,
+  advanceAmount: dec(row.advanceAmount).toNumber(),
+  advanceBaseAmount: dec(row.advanceBaseAmount).toNumber(),
+  provenAmount: dec(row.provenAmount).toNumber(),
+  direction: row.direction,
+  amount: dec(row.amount).toNumber(),
+  status: row.status,
+  poliza: row.poliza ?? null,
+  treasuryReference: row.treasuryReference ?? null,
+  settledAt: row.settledAt ?? null,
+  settledById: row.settledById ?? null,
+  ...(row.request
+    ? {
+      userId: row.request.userId,
+      userName: row.request.user?.userName ?? null,
+      noEmpleado: row.request.user?.noEmpleado ?? null,
+    }
+    : {}),
+});
+
+/**
+ * Neto por moneda. El anticipo MXN cubre primero lo comprobado en MXN y después, en orden
+ * alfabético, lo de cada moneda con tipo de cambio en `rates`; lo que sobra queda en la línea MXN.
+ * Una moneda sin tipo de cambio no se neta. Sin anticipo ni comprobantes reembolsables no hay nada
+ * que liquidar.
+ * @param {{ requestedFee?: number|null, receipts?: Array<{ amount: number, cfdiComprobante?: { moneda?: string }|null }> }} request
+ * @param {Record<string, number|null>} [rates] - MXN por unidad de cada moneda extranjera
+ * @returns {SettlementLine[]}
+ */
+export function computeSettlementLines(request, rates = {}) {
+  const totals = new Map();
+  const bucket = (currency) => {
+    if (!totals.has(currency)) {
+      totals.set(currency, { advance: new Decimal(0), base: new Decimal(0), proven: new Decimal(0) });
+    }
+    return totals.get(currency);
+  };
+
+  for (const r of request.receipts || []) {
+    const b = bucket((r.cfdiComprobante?.moneda || MXN).toUpperCase());
+    b.proven = b.proven.plus(dec(r.amount));
+  }
+
+  let available = dec(request.requestedFee);
+  const order = [...totals.keys()].sort((a, b) => (a === MXN ? -1 : b === MXN ? 1 : a.localeCompare(b)));
+  for (const currency of order) {
+    const rate = currency === MXN ? 1 : Number(rates[currency]) || 0;
+    if (!rate || available.lte(0)) continue;
+    const b = totals.get(currency);
+    const needed = dec(b.proven.times(rate));
+    if (available.gte(needed)) {
+      b.advance = b.proven;
+      b.base = needed;
+      available = available.minus(needed);
+    } else {
+      b.advance = dec(available.div(rate));
+      b.base = available;
+      available = new Decimal(0);
+    }
+  }
+  if (available.gt(0)) {
+    const mxn = bucket(MXN);
+    mxn.advance = mxn.advance.plus(available);
+    mxn.base = mxn.advance;
+  }
+
+  return [...totals.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([currency, { advance: adv, base, proven }]) => {
+      const net = adv.minus(proven);
+      const direction = net.gt(0) ? "EMPLOYEE_OWES" : net.lt(0) ? "COMPANY_OWES" : "BALANCED";
+      return { currency, advanceAmount: adv, advanceBaseAmount: base, provenAmount: proven, direction, amount: net.abs() };
+    });
+}
+
+/**
+ * Tipo de cambio contable para una moneda extranjera: FIX de la organización y, si no hay
+ * publicación, el del CFDI.
+ * @param {Object} request
+ * @param {string} currency
+ * @param {string} pstngDate YYYY-MM-DD
+ * @returns {Promise<number|null>} null si no hay ninguno
+ */
+async function resolveExchRate(request, currency, pstngDate) {
+  if (currency === MXN) return 1;
+  try {
+    const fx = await getRate({ organizationId: request.organizationId, base: currency, quote: MXN, rateType: "FIX", date: pstngDate });
+    return fx.rate;
+  } catch (err) {
+    if (!err?.status) console.warn("advanceSettlement: FIX no disponible:", err?.message || err);
+  }
+  const cfdi = (request.receipts || []).find((r) => r.cfdiComprobante?.moneda === currency)?.cfdiComprobante;
+  return Number(cfdi?.tipoCambio) || null;
+}
+
+/**
+ * Tipos de cambio de las monedas extranjeras de los comprobantes.
+ * @param {Object} request
+ * @param {string} pstngDate YYYY-MM-DD
+ * @returns {Promise<Record<string, number|null>>}
+ */
+async function resolveReceiptRates(request, pstngDate) {
+  const currencies = new Set((request.receipts || []).map((r) => (r.cfdiComprobante?.moneda || MXN).toUpperCase()));
+  currencies.delete(MXN);
+  const rates = {};
+  for (const currency of currencies) {
+    rates[currency] = await resolveExchRate(request, currency, pstngDate);
+  }
+  return rates;
+}
+
+/**
+ * @param {{ status: string, direction: string }} row
+ * @returns {boolean} true si tesorería ya pagó o cobró
+ */
+const movedMoney = (row) => row.status === "SETTLED" && row.direction !== "BALANCED";
+
+/**
+ * Calcula (o recalcula) las liquidaciones de la solicitud: se actualizan y las de monedas que ya no
+ * aplican se eliminan. En cuanto tesorería paga o cobra alguna, o alguna está en una corrida de
+ * pago abierta o pagada, el neteo queda fijo (el monedero o el banco ya usan esos montos) y solo se
+ * devuelven las existentes. La escritura toma el mismo candado que `settle` y
+ * paymentRunService.createRun.
+ * @param {number} requestId
+ * @returns {Promise<{ settlements: Object[], pending: boolean }>}
+ * @throws {{ status: 404, message: string }} Solicitud inexistente
+ */
+export async function prepareSettlement(requestId) {
+  const request = await prisma.request.findUnique({
+    where: { requestId: Number(requestId) },
+    include: SETTLEMENT_INCLUDE,
+  });
+  if (!request) throw { status: 404, message: "Travel request not found" };
+  if (request.advanceSettlements.some(movedMoney)) return summarize(request.requestId);
+
+  const pstngDate = new Date().toISOString().slice(0, 10);
+  const rates = await resolveReceiptRates(request, pstngDate);
+  const lines = computeSettlementLines(request, rates);
+  const hasAdvance = dec(request.requestedFee).gt(0);
+
+  const rows = lines.map((line) => {
+    const balanced = line.direction === "BALANCED";
+    // Sin anticipo la GV de comprobación ya abona a CxP del empleado: no hay nada que reclasificar.
+    const poliza = balanced || !hasAdvance
+      ? null
+      : buildSettlementPoliza(request, {
+        direction: line.direction,
+        amount: line.amount.toNumber(),
+        currency: line.currency,
+        exchRate: line.currency === MXN ? 1 : rates[line.currency] ?? 1,
+        pstngDate,
+      });
+    const data = {
+      advanceAmount: line.advanceAmount,
+      advanceBaseAmount: line.advanceBaseAmount,
+      provenAmount: line.provenAmount,
+      direction: line.direction,
+      amount: line.amount,
+      poliza: poliza ?? Prisma.DbNull,
+      status: balanced ? "SETTLED" : "PENDING",
+      settledAt: balanced ? new Date() : null,
+    };
+    return { currency: line.currency, data };
+  });
+
+  await prisma.$transaction(async (tx) => {
+    // Mismo candado que createRun y settle: si una corrida tomó alguna, aquí ya se ve su línea.
+    await tx.$queryRaw`
+      SELECT id FROM "advance_settlements" WHERE request_id = ${request.requestId} ORDER BY id FOR UPDATE`;
+    const current = await tx.advanceSettlement.findMany({
+      where: { requestId: request.requestId },
+      select: { id: true, currency: true, status: true, direction: true },
+    });
+    const inRun = await tx.paymentRunLine.count({
+      where: { settlement: { requestId: request.requestId }, status: { in: COMMITTED_RUN_LINE_STATUSES } },
+    });
+    if (inRun > 0 || current.some(movedMoney)) return;
+
+    for (const { currency, data } of rows) {
+      await tx.advanceSettlement.upsert({
+        where: { requestId_currency: { requestId: request.requestId, currency } },
+        create: { organizationId: request.organizationId, requestId: request.requestId, currency, ...data },
+        update: data,
+      });
+    }
+    const kept = new Set(rows.map((r) => r.currency));
+    const stale = current.filter((s) => !kept.has(s.currency)).map((s) => s.id);
+    if (stale.length) await tx.advanceSettlement.deleteMany({ where: { id: { in: stale } } });
+  });
+
+  return summarize(request.requestId);
+}
+
+/**
+ * @param {number} requestId
+ * @returns {Promise<{ settlements: Object[], pending: boolean }>}
+ */
+async function summarize(requestId) {
+  const settlements = await listForRequest(requestId);
+  return { settlements, pending: settlements.some((s) => s.status === "PENDING") };
+}
+
+/**
+ * @param {number} requestId
+ * @returns {Promise<Object[]>}
+ */
+export async function listForRequest(requestId) {
+  const rows = await prisma.advanceSettlement.findMany({
+    where: { requestId: Number(requestId) },
+    orderBy: { currency: "asc" },
+  });
+  return rows.map(serializeSettlement);
+}
+
+/**
+ * Liquidaciones pendientes de tesorería en la organización.
+ * @param {bigint|number|string} organizationId
+ * @param {{ direction?: "EMPLOYEE_OWES"|"COMPANY_OWES"|null }} [filters]
+ * @returns {Promise<Object[]>}
+ */
+export async function listPending(organizationId, { direction = null } = {}) {
+  const rows = await prisma.advanceSettlement.findMany({
+    where: {
+      organizationId: BigInt(organizationId),
+      status: "PENDING",
+      ...(direction ? { direction } : {}),
+    },
+    include: {
+      request: {
+        select: { requestId: true, userId: true, user: { select: { userName: true, noEmpleado: true } } },
+      },
+    },
+    orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+  });
+  return rows.map(serializeSettlement);
+}
+
+/**
+ * Tesorería marca la liquidación como pagada (COMPANY_OWES) o cobrada (EMPLOYEE_OWES) y se
+ * registra el movimiento en el monedero del empleado. Si el monedero falla la liquidación sigue
+ * PENDING y el error sube; los movimientos son idempotentes por liquidación, así que se reintenta.
+ * @param {number} settlementId
+ * @param {{ organizationId: bigint|number|string, actorUserId?: number|null, reference?: string|null }} context
+ * @returns {Promise<{ settlement: Object, requestId: number, pending: boolean }>}
+ *   `pending` indica si la solicitud aún tiene liquidaciones por cerrar.
+ * @throws {{ status: number, message: string }} 404 inexistente en la organización, 409 ya liquidada
+ *   o con una línea de corrida SPEI en espera de respuesta del banco
+ */
+export async function settle(settlementId, { organizationId, actorUserId = null, reference = null }) {
+  const orgId = BigInt(organizationId);
+  const current = await prisma.advanceSettlement.findFirst({
+    where: { id: Number(settlementId), organizationId: orgId },
+    include: { request: { select: { userId: true } } },
+  });
+  if (!current) throw { status: 404, message: "Liquidación no encontrada" };
+
+  const settlement = await prisma.$transaction(async (tx) => {
+    // Mismo candado que paymentRunService.createRun: o la corrida la ve SETTLED o aquí se ve su línea.
+    await tx.$queryRaw`SELECT id FROM "advance_settlements" WHERE id = ${current.id} FOR UPDATE`;
+    const openLine = await tx.paymentRunLine.findFirst({
+      where: { settlementId: current.id, status: "PENDING" },
+      select: { paymentRunId: true },
+    });
+    if (openLine) {
+      throw {
+        status: 409,
+        message: `La liquidación está en la corrida de pago ${openLine.paymentRunId} sin respuesta del banco; confirma o cancela la corrida`,
+      };
+    }
+    const { count } = await tx.advanceSettlement.updateMany({
+      where: { id: current.id, status: "PENDING" },
+      data: {
+        status: "SETTLED",
+        settledAt: new Date(),
+        settledById: actorUserId,
+        treasuryReference: reference ? String(reference).slice(0, 60) : null,
+      },
+    });
+    if (count === 0) throw { status: 409, message: "La liquidación ya fue registrada" };
+
+    const row = await tx.advanceSettlement.findUnique({ where: { id: current.id } });
+    if (current.request?.userId) {
+      await walletLedgerService.recordSettlement(row, {
+        userId: current.request.userId,
+        createdById: actorUserId,
+        reference,
+      });
+    }
+    return row;
+  }, { timeout: SETTLE_TX_TIMEOUT_MS });
+
+  const remaining = await prisma.advanceSettlement.count({
+    where: { requestId: current.requestId, status: "PENDING" },
+  });
+  return { settlement: serializeSettlement(settlement), requestId: current.requestId, pending: remaining > 0 };
+}
+
+export default {
+  serializeSettlement,
+  computeSettlementLines,
+  prepareSettlement,
+  listForRequest,
+  listPending,
+  settle,
+};
@@ -1,11 +1,13 @@
 /**
  * @module anticipoPolizaLifecycleService
  * @description Persiste snapshots de la póliza AV en hitos del flujo: aprobación de la solicitud
- * (monto requested_fee) y cierre por comprobación de gastos (monto imposed_fee).
+ * (monto requested_fee) y cierre por comprobación de gastos (monto imposed_fee). En los mismos hitos
+ * registra en el monedero del empleado el anticipo entregado y el reembolso que resulte.
  */
 import { Prisma } from "@prisma/client";
 import prisma from "../database/config/prisma.js";
 import { buildAnticipoPolizaForAdvance } from "./accountingExportService.js";
+import walletLedgerService from "./walletLedgerService.js";
 
 export const ON_TRAVEL_APPROVED = "ON_TRAVEL_APPROVED";
 export const ON_EXPENSES_VERIFIED = "ON_EXPENSES_VERIFIED";
@@ -14,7 +16,7 @@ export const ON_EXPENSES_VERIFIED = "ON_EXPENSES_VERIFIED";
  * @param {number} requestId
  * @param {string} phase ON_TRAVEL_APPROVED | ON_EXPENSES_VERIFIED
  * @param {number} advanceAmount
- * @returns {Promise<void>}
+ * @returns {Promise<{ id: number }|null>} Snapshot creado (o el existente de la misma fase)
  */
 async function persistSnapshot(requestId, phase, advanceAmount) {
     const row = await prisma.request.findUnique({
@@ -29,7 +31,7 @@ async function persistSnapshot(requestId, phase, advanceAmount) {
             },
         },
     });
-    if (!row?.userId) return;
+    if (!row?.userId) return null;
 
     const poliza = buildAnticipoPolizaForAdvance(
         {
@@ -41,20 +43,24 @@ async function persistSnapshot(requestId, phase, advanceAmount) {
         },
         advanceAmount,
     );
-    if (!poliza) return;
+    if (!poliza) return null;
 
     try {
-        await prisma.anticipoPolizaSnapshot.create({
+        return await prisma.anticipoPolizaSnapshot.create({
             data: {
                 organizationId: row.organizationId,
                 requestId: row.requestId,
                 phase,
                 payload: poliza,
             },
+            select: { id: true },
         });
     } catch (err) {
         if (err instanceof Prisma.PrismaClientKnownRequestError && err.code === "P2002") {
-            return;
+            return prisma.anticipoPolizaSnapshot.findUnique({
+                where: { requestId_phase: { requestId: row.requestId, phase } },
+                select: { id: true },
+            });
         }
         throw err;
     }
@@ -72,11 +78,13 @@ export async function onTravelRequestFullyApproved(requestId) {
     });
     const amt = row?.requestedFee;
     if (amt === null || amt === undefined || Number(amt) <= 0) return;
-    await persistSnapshot(requestId, ON_TRAVEL_APPROVED, Number(amt));
+    const snapshot = await persistSnapshot(requestId, ON_TRAVEL_APPROVED, Number(amt));
+    await walletLedgerService.recordAdvanceDisbursed(requestId, { anticipoSnapshotId: snapshot?.id ?? null });
 }
 
 /**
  * Tras validar todos los recibos y marcar el viaje Finalizado. Usa imposed_fee (anticipo real CPP).
+ * El reembolso en el monedero se calcula aunque no haya anticipo.
  * @param {number} requestId
  * @returns {Promise<void>}
  */
@@ -86,8 +94,10 @@ export async function onExpensesVerified(requestId) {
         select: { imposedFee: true },
     });
     const amt = row?.imposedFee;
-    if (amt === null || amt === undefined || Number(amt) <= 0) return;
-    await persistSnapshot(requestId, ON_EXPENSES_VERIFIED, Number(amt));
+    if (amt !== null && amt !== undefined && Number(amt) > 0) {
+        await persistSnapshot(requestId, ON_EXPENSES_VERIFIED, Number(amt));
+    }
+    await walletLedgerService.recordReimbursementOwed(requestId);
 }
 
 export default {
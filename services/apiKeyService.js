@@ -57,6 +57,17 @@ export async function hashApiKey(plainKey) {
   return buf.toString("hex");
 }
 
+/**
+ * Forma de una clave emitida por este servicio (prefijo `cck_`), sin consultar la BD.
+ * Permite distinguirla de un JWT en `Authorization: Bearer` sin pagar el scrypt.
+ *
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+export function isApiKeyFormat(value) {
+  return typeof value === "string" && value.startsWith(KEY_PREFIX);
+}
+
 /**
  * Genera un secreto opaco con prefijo fijo (no es el hash almacenado).
  *
@@ -200,7 +211,7 @@ export async function listKeysForOrg(orgId) {
  * Lista entradas de auditoría (paginadas por cursor descendente sobre id).
  *
  * @param {number} keyId
- * @param {{ limit?: number|string, cursor?: string }} [query]
+ * @param {{ limit?: number|string, cursor?: string, throttled?: string }} [query] - throttled=true: solo rechazos del rate limiter
  * @returns {Promise<object[]>}
  */
 export async function listAuditLogs(keyId, query = {}) {
@@ -215,7 +226,7 @@ export async function listAuditLogs(keyId, query = {}) {
       throw err;
     }
   }
-  return apiKeyModel.listLogsByKeyId(keyId, { take, cursor });
+  return apiKeyModel.listLogsByKeyId(keyId, { take, cursor, throttledOnly: String(query.throttled) === "true" });
 }
 
 /**
@@ -7,6 +7,12 @@
 import Applicant from "../models/applicantModel.js";
 import CfdiModel from "../models/cfdiModel.js";
 import prisma from "../database/config/prisma.js";
+import {
+    REQUEST_ACTIONS,
+    REQUEST_STATUS,
+    resolveTransition,
+    runTransitionSideEffects,
+} from "./requestStateMachine.js";
 
 /**
  * @param {Object} mainRoute - Primary route with origin/destination and schedule fields
@@ -73,37 +79,42 @@ export const getRequestDays = (routes) => {
 
 /**
  * Validates that a travel request can be cancelled, then cancels it.
+ * Which statuses allow cancelling is decided by the request state machine (`cancel` action).
  *
  * @param {number} request_id - ID of the travel request to cancel
- * @returns {Promise<Object>} Confirmation with request_id, status 9, and active: false
+ * @param {{ actorUserId?: number|null, permissionSet?: Set<string> }} [actor] - Caller, for transition guards
+ * @returns {Promise<Object>} Confirmation with request_id, new status, and active: false
  * @throws {{ status: number, message: string }} If request is not found or not in a cancellable state
  */
-export const cancelTravelRequestValidation = async (request_id) => {
+export const cancelTravelRequestValidation = async (request_id, { actorUserId = null, permissionSet } = {}) => {
     try {
-        const status_id = await Applicant.getRequestStatus(request_id);
-        if (status_id === null) {
+        const request = await Applicant.getRequestWorkflowState(request_id);
+        if (!request) {
             throw { status: 404, message: "Travel request not found" };
         }
 
-        if (![1, 2, 3, 4, 5, 9].includes(status_id)) {
-            throw {
-                status: 400,
-                message:
-                    "Request cannot be cancelled after reaching 'Atención Agencia de Viajes'",
-            };
-        } else if (status_id === 9) {
+        if (request.requestStatusId === REQUEST_STATUS.CANCELADO) {
             throw {
                 status: 400,
                 message: "Request has already been cancelled.",
             };
         }
 
-        await Applicant.cancelTravelRequest(request_id);
+        const transition = await resolveTransition({
+            organizationId: request.organizationId,
+            fromStatusId: request.requestStatusId,
+            action: REQUEST_ACTIONS.CANCEL,
+            actorUserId,
+            permissionSet,
+        });
+
+        await Applicant.cancelTravelRequest(request_id, transition.toStatusId);
+        await runTransitionSideEffects(request_id, transition);
 
         return {
             message: "Travel request cancelled successfully",
             request_id,
-            request_status_id: 9,
+            request_status_id: transition.toStatusId,
             active: false,
         };
     } catch (err) {
@@ -239,45 +250,47 @@ export const getCityId = async (tx, cityName) => {
 };
 
 /**
- * Advances a request from status 6 (expense proof) to status 7 (receipt validation).
+ * Advances a request from status 6 (expense proof) to status 7 (receipt validation),
+ * through the request state machine (`submit_receipts` action).
  *
  * @param {number} requestId - ID of the travel request
- * @returns {Promise<Object>} Confirmation with request_id, updated_status 7, and a message
- * @throws {Error} If request is not found (404) or not in status 6 (400)
+ * @param {{ actorUserId?: number|null, permissionSet?: Set<string> }} [actor] - Caller, for transition guards
+ * @returns {Promise<Object>} Confirmation with request_id, updated_status, and a message
+ * @throws {Error} If request is not found (404) or cannot be submitted from its status (409)
  */
-export const sendReceiptsForValidation = async (requestId) => {
-    const rawStatus = await Applicant.getRequestStatus(requestId);
-    const currentStatus = rawStatus === null || rawStatus === undefined ? null : Number(rawStatus);
+export const sendReceiptsForValidation = async (requestId, { actorUserId = null, permissionSet } = {}) => {
+    const request = await Applicant.getRequestWorkflowState(requestId);
 
-    if (currentStatus === null) {
+    if (!request) {
         const err = new Error(`No request found with id ${requestId}`);
         err.status = 404;
         throw err;
     }
 
     // Ya enviada: respuesta idempotente (evita 400 en doble clic o recarga).
-    if (currentStatus === 7) {
+    if (request.requestStatusId === REQUEST_STATUS.VALIDACION_COMPROBANTES) {
         return {
             request_id: Number(requestId),
-            updated_status: 7,
+            updated_status: REQUEST_STATUS.VALIDACION_COMPROBANTES,
             message: "La solicitud ya está en validación de comprobantes.",
             already_submitted: true,
         };
     }
 
-    if (currentStatus !== 6) {
-        const err = new Error(
-            `La solicitud debe estar en estado 6 (Comprobación gastos del viaje) para enviarla a revisión. Estado actual: ${currentStatus}.`
-        );
-        err.status = 400;
-        throw err;
-    }
+    const transition = await resolveTransition({
+        organizationId: request.organizationId,
+        fromStatusId: request.requestStatusId,
+        action: REQUEST_ACTIONS.SUBMIT_RECEIPTS,
+        actorUserId,
+        permissionSet,
+    });
 
-    await Applicant.updateRequestStatusToValidationStage(requestId);
+    await Applicant.updateRequestStatusToValidationStage(requestId, transition.toStatusId);
+    await runTransitionSideEffects(requestId, transition);
 
     return {
         request_id: Number(requestId),
-        updated_status: 7,
+        updated_status: transition.toStatusId,
         message: "Request status updated to 'Validación de comprobantes'",
     };
 };
@@ -1,15 +1,18 @@
-import approvalSubstituteService from "./approvalSubstituteService.js";
+import { runScheduledJob } from "./scheduler/jobRunner.js";
 
 let cronTask = null;
 
 /**
- * Executes one sweep cycle for pending approvals.
+ * Executes one sweep cycle for pending approvals under the scheduler lock,
+ * so only one replica sweeps per hour.
  */
 export async function runApprovalSubstituteSweep() {
   try {
-    const result = await approvalSubstituteService.processStaleApprovals(new Date());
-    if (result.reassigned || result.escalated) {
-      console.warn("[approval-substitutes] sweep:", result);
+    const run = await runScheduledJob("approvalSubstituteCron");
+    if (run.status === "failed") {
+      console.error("[approval-substitutes] sweep failed:", run.error);
+    } else if (run.changed) {
+      console.warn("[approval-substitutes] sweep:", run.result);
     }
   } catch (error) {
     console.error("[approval-substitutes] sweep failed:", error);
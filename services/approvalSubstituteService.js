@@ -4,6 +4,19 @@
  */
 import { loadEffectivePermissions } from "./permissionService.js";
 import ApprovalSubstituteModel from "../models/approvalSubstituteModel.js";
+import {
+  IllegalTransitionError,
+  REQUEST_ACTIONS,
+  REQUEST_STATUS,
+  resolveTransition,
+} from "./requestStateMachine.js";
+import {
+  advanceSnapshot,
+  approvalStepsFromSnapshot,
+  currentStepIndex,
+  reassignCurrentStep,
+  statusForStep,
+} from "./workflowRulesEngine.js";
 
 /**
  * @param {string|Date} value
@@ -98,22 +111,39 @@ export async function deleteSubstitute(id, approverId) {
 }
 
 /**
+ * Aprobador del paso pendiente (N1, N2 o superiores).
  * @param {number} requestStatusId
  * @param {object|null} workflowPreSnapshot
- * @returns {{tier: number|null, approverId: number|null, snapshot: object}}
+ * @returns {{tier: number|null, approverId: number|null, stepIndex: number}}
  */
 function resolveAssignedApprover(requestStatusId, workflowPreSnapshot) {
-  const snap =
-    workflowPreSnapshot && typeof workflowPreSnapshot === "object"
-      ? workflowPreSnapshot
-      : {};
-  if (requestStatusId === 2) {
-    return { tier: 1, approverId: Number(snap.n1UserId), snapshot: { ...snap } };
+  const index = currentStepIndex(workflowPreSnapshot, requestStatusId);
+  if (index < 0) {
+    return { tier: null, approverId: null, stepIndex: -1 };
   }
-  if (requestStatusId === 3) {
-    return { tier: 2, approverId: Number(snap.n2UserId), snapshot: { ...snap } };
+  const step = approvalStepsFromSnapshot(workflowPreSnapshot)[index];
+  return { tier: step.level, approverId: Number(step.userId), stepIndex: index };
+}
+
+/**
+ * Transición ejecutada por el job (sin actor). Si la organización la deshabilitó, la solicitud se omite.
+ * @param {{ organizationId?: bigint|null, requestStatusId: number }} row
+ * @param {string} action
+ * @param {number} preferredTo
+ * @returns {Promise<import("./requestStateMachine.js").RequestTransition|null>}
+ */
+async function resolveSystemTransition(row, action, preferredTo) {
+  try {
+    return await resolveTransition({
+      organizationId: row.organizationId ?? null,
+      fromStatusId: Number(row.requestStatusId),
+      action,
+      preferredTo,
+    });
+  } catch (err) {
+    if (err instanceof IllegalTransitionError) return null;
+    throw err;
   }
-  return { tier: null, approverId: null, snapshot: { ...snap } };
 }
 
 /**
@@ -125,8 +155,8 @@ export async function processStaleApprovals(nowDate = new Date()) {
   const results = { reassigned: 0, escalated: 0, skipped: 0 };
 
   for (const row of stale) {
-    const { requestId, requestStatusId, workflowPreSnapshot } = row;
-    const { tier, approverId, snapshot } = resolveAssignedApprover(
+    const { requestId, requestStatusId, workflowPreSnapshot, organizationId } = row;
+    const { tier, approverId, stepIndex } = resolveAssignedApprover(
       Number(requestStatusId),
       workflowPreSnapshot,
     );
@@ -145,32 +175,53 @@ export async function processStaleApprovals(nowDate = new Date()) {
         continue;
       }
 
-      if (tier === 1) snapshot.n1UserId = Number(sub.substituteId);
-      if (tier === 2) snapshot.n2UserId = Number(sub.substituteId);
+      const snapshot = reassignCurrentStep(
+        workflowPreSnapshot,
+        Number(requestStatusId),
+        Number(sub.substituteId),
+      );
+
+      const reassign = await resolveSystemTransition(row, REQUEST_ACTIONS.REASSIGN, Number(requestStatusId));
+      if (!reassign) {
+        results.skipped += 1;
+        continue;
+      }
 
       await ApprovalSubstituteModel.applyWorkflowAction(
         requestId,
-        { statusId: Number(requestStatusId), workflowPreSnapshot: snapshot },
+        { statusId: reassign.toStatusId, workflowPreSnapshot: snapshot },
         Number(sub.substituteId),
         "REASIGNADO",
         `Reasignación automática por inactividad >48h. Aprobador original: ${approverId}, sustituto: ${sub.substituteId}.`,
       );
-      await ApprovalSubstituteModel.createAlert(requestId, requestStatusId === 2 ? 2 : 3);
+      await ApprovalSubstituteModel.createAlert(requestId, reassign.toStatusId);
       results.reassigned += 1;
       continue;
     }
 
-    if (Number(requestStatusId) === 2) {
-      await ApprovalSubstituteModel.applyWorkflowAction(
-        requestId,
-        { statusId: 3 },
-        approverId,
-        "ESCALADO",
-        "Escalamiento automático por inactividad del aprobador >48h.",
+    const steps = approvalStepsFromSnapshot(workflowPreSnapshot);
+    if (
+      Number(requestStatusId) === REQUEST_STATUS.PRIMERA_REVISION &&
+      stepIndex + 1 < steps.length
+    ) {
+      const escalate = await resolveSystemTransition(
+        { organizationId, requestStatusId },
+        REQUEST_ACTIONS.ESCALATE,
+        statusForStep(steps, stepIndex + 1),
       );
-      await ApprovalSubstituteModel.createAlert(requestId, 3);
-      results.escalated += 1;
-      continue;
+      if (escalate) {
+        const advanced = advanceSnapshot(workflowPreSnapshot, stepIndex + 1);
+        await ApprovalSubstituteModel.applyWorkflowAction(
+          requestId,
+          { statusId: escalate.toStatusId, ...(advanced ? { workflowPreSnapshot: advanced } : {}) },
+          approverId,
+          "ESCALADO",
+          "Escalamiento automático por inactividad del aprobador >48h.",
+        );
+        await ApprovalSubstituteModel.createAlert(requestId, escalate.toStatusId);
+        results.escalated += 1;
+        continue;
+      }
     }
 
     results.skipped += 1;
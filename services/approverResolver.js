@@ -1,11 +1,88 @@
 /**
  * @module approverResolver
- * @description Resuelve usuarios N1 / N2 por organización (y preferencia mismo departamento).
+ * @description Resuelve usuarios N1 / N2 por organización (y preferencia mismo departamento),
+ * además de los aprobadores de pasos por rol y por banda de monto.
  */
 import prisma from "../database/config/prisma.js";
+import { getApprovalChain } from "./employeeHierarchyService.js";
 
 const N1_NAME = "N1";
 const N2_NAME = "N2";
+const MAX_CHAIN_DEPTH = 10;
+
+/**
+ * Primer usuario activo con el rol (prefiere el departamento indicado; si no, el de menor id).
+ * @param {import('@prisma/client').PrismaClient | import('@prisma/client').Prisma.TransactionClient} db
+ * @param {bigint} org
+ * @param {string} roleName
+ * @param {number | null} preferDept
+ * @returns {Promise<number | null>}
+ */
+async function findRoleHolder(db, org, roleName, preferDept) {
+  const base = {
+    organizationId: org,
+    active: true,
+    role: { roleName },
+  };
+  if (preferDept != null) {
+    const u = await db.user.findFirst({
+      where: { ...base, departmentId: preferDept },
+      select: { userId: true },
+    });
+    if (u) return u.userId;
+  }
+  const u2 = await db.user.findFirst({
+    where: base,
+    select: { userId: true },
+    orderBy: { userId: "asc" },
+  });
+  return u2 ? u2.userId : null;
+}
+
+/**
+ * Todos los usuarios activos con el rol (los del departamento indicado si hay; si no, los de la organización).
+ * @param {import('@prisma/client').PrismaClient | import('@prisma/client').Prisma.TransactionClient} db
+ * @param {bigint} org
+ * @param {string} roleName
+ * @param {number | null} preferDept
+ * @param {number | null} excludeUserId - El solicitante no vota su propia solicitud
+ * @returns {Promise<number[]>}
+ */
+async function findRoleMembers(db, org, roleName, preferDept, excludeUserId) {
+  const base = {
+    organizationId: org,
+    active: true,
+    role: { roleName },
+    ...(excludeUserId ? { userId: { not: excludeUserId } } : {}),
+  };
+  const query = (where) => db.user.findMany({ where, select: { userId: true }, orderBy: { userId: "asc" } });
+  let rows = preferDept !== null && preferDept !== undefined ? await query({ ...base, departmentId: preferDept }) : [];
+  if (!rows.length) rows = await query(base);
+  return rows.map((u) => u.userId);
+}
+
+/**
+ * Cadena de jefes del solicitante leída con `db` (dentro de la transacción de alta).
+ * Un ciclo en la jerarquía se registra y deja la resolución en los fallbacks por rol.
+ * @param {import('@prisma/client').PrismaClient | import('@prisma/client').Prisma.TransactionClient} db
+ * @param {number} userId
+ * @returns {Promise<number[]>}
+ */
+async function managerChain(db, userId) {
+  try {
+    return await getApprovalChain(userId, MAX_CHAIN_DEPTH, async (id) => {
+      const row = await db.user.findUnique({
+        where: { userId: Number(id) },
+        select: { managerUserId: true },
+      });
+      return row?.managerUserId ?? null;
+    });
+  } catch (err) {
+    if (!err?.status) throw err;
+    console.warn(`approverResolver: ${err.message} (usuario ${userId})`);
+    return [];
+  }
+}
 
 /**
  * @param {import('@prisma/client').PrismaClient | import('@prisma/client').Prisma.TransactionClient} db
@@ -22,47 +99,11 @@ export async function resolveN1N2Approvers(db, organizationId, departmentId, use
   const org = BigInt(organizationId);
   const dept = departmentId != null ? Number(departmentId) : null;
 
-  const findOne = async (roleName, preferDept) => {
-    const base = {
-      organizationId: org,
-      active: true,
-      role: { roleName },
-    };
-    if (preferDept != null) {
-      const u = await db.user.findFirst({
-        where: { ...base, departmentId: preferDept },
-        select: { userId: true },
-      });
-      if (u) return u.userId;
-    }
-    const u2 = await db.user.findFirst({
-      where: base,
-      select: { userId: true },
-      orderBy: { userId: "asc" },
-    });
-    return u2 ? u2.userId : null;
-  };
-
-  const approverIds = [];
-  if (userId) {
-    let currentUserId = Number(userId);
-    for (let i = 0; i < 10; i++) { // Limit to 10 levels of hierarchy to avoid infinite loops
-      const currentUser = await db.user.findUnique({
-        where: { userId: currentUserId },
-        select: { managerUserId: true }
-      });
-      if (currentUser && currentUser.managerUserId) {
-        approverIds.push(currentUser.managerUserId);
-        currentUserId = currentUser.managerUserId;
-      } else {
-        break;
-      }
-    }
-  }
+  const approverIds = userId ? await managerChain(db, Number(userId)) : [];
 
   const [fallbackN1, fallbackN2] = await Promise.all([
-    findOne(N1_NAME, dept),
-    findOne(N2_NAME, dept),
+    findRoleHolder(db, org, N1_NAME, dept),
+    findRoleHolder(db, org, N2_NAME, dept),
   ]);
 
   const n1UserId = approverIds[0] || fallbackN1;
@@ -79,6 +120,69 @@ export async function resolveN1N2Approvers(db, organizationId, departmentId, use
   return { n1UserId, n2UserId, approverIds };
 }
 
+/**
+ * Datos para los pasos por encima de N1/N2: quién ocupa cada `target_role`, el tope
+ * (Role.maxApprovalAmount) de cada aprobador y los roles cuyo tope cubre el importe.
+ * Para los roles de `memberRoleNames` (reglas por quórum) devuelve además todos sus titulares.
+ * @param {import('@prisma/client').PrismaClient | import('@prisma/client').Prisma.TransactionClient} db
+ * @param {bigint | null | undefined} organizationId
+ * @param {number | null | undefined} departmentId
+ * @param {{ roleNames?: string[], memberRoleNames?: string[], approverIds?: (number|null)[], amount?: number, requesterId?: number|null }} opts
+ * @returns {Promise<{ roleApprovers: Record<string, number|null>, roleMembers: Record<string, number[]>, approvalLimits: Record<string, number|null>, amountBands: { roleName: string, maxApprovalAmount: number, userId: number|null }[] }>}
+ */
+export async function resolveStepApprovers(db, organizationId, departmentId, {
+  roleNames = [],
+  memberRoleNames = [],
+  approverIds = [],
+  amount = 0,
+  requesterId = null,
+} = {}) {
+  const empty = { roleApprovers: {}, roleMembers: {}, approvalLimits: {}, amountBands: [] };
+  if (organizationId === null || organizationId === undefined) return empty;
+
+  const org = BigInt(organizationId);
+  const dept = departmentId != null ? Number(departmentId) : null;
+
+  const roleApprovers = {};
+  for (const roleName of new Set(roleNames)) {
+    roleApprovers[roleName] = await findRoleHolder(db, org, roleName, dept);
+  }
+
+  const roleMembers = {};
+  for (const roleName of new Set(memberRoleNames)) {
+    roleMembers[roleName] = await findRoleMembers(db, org, roleName, dept, requesterId ? Number(requesterId) : null);
+  }
+
+  const amountBands = [];
+  if (amount > 0) {
+    const roles = await db.role.findMany({
+      where: { organizationId: org, maxApprovalAmount: { gte: amount } },
+      select: { roleName: true, maxApprovalAmount: true },
+      orderBy: { maxApprovalAmount: "asc" },
+    });
+    for (const role of roles) {
+      const holder = await findRoleHolder(db, org, role.roleName, dept);
+      if (!holder) continue;
+      amountBands.push({ roleName: role.roleName, maxApprovalAmount: Number(role.maxApprovalAmount), userId: holder });
+    }
+  }
+
+  const userIds = [...new Set([...approverIds, ...Object.values(roleApprovers)].filter(Boolean).map(Number))];
+  const approvalLimits = {};
+  if (userIds.length) {
+    const users = await db.user.findMany({
+      where: { userId: { in: userIds } },
+      select: { userId: true, role: { select: { maxApprovalAmount: true } } },
+    });
+    for (const u of users) {
+      const limit = u.role?.maxApprovalAmount;
+      approvalLimits[u.userId] = limit === null || limit === undefined ? null : Number(limit);
+    }
+  }
+
+  return { roleApprovers, roleMembers, approvalLimits, amountBands };
+}
+
 /**
  * Resolución usando cliente global (tests / utilidades).
  * @param {bigint | null | undefined} organizationId
@@ -0,0 +1,198 @@
+/**
+ * @module attachmentPipeline
+ * @description Revisión del contenido de los adjuntos antes de guardarlos: el tipo se decide por los
+ * magic bytes (no por el MIME declarado), los PDF con JavaScript o acciones /Launch se rechazan, las
+ * imágenes pierden EXIF/GPS y todo pasa por el antivirus configurado (ATTACHMENT_SCANNER: clamd | stub).
+ * La detección de PDF busca nombres sin comprimir (también escritos con escapes #xx); lo que venga dentro
+ * de object streams comprimidos queda para el antivirus.
+ */
+import { createClamdScanner } from "./attachmentScan/clamdScanner.js";
+import { createStubScanner } from "./attachmentScan/stubScanner.js";
+
+/**
+ * @typedef {Object} AttachmentScanner
+ * @property {string} name
+ * @property {(buffer: Buffer) => Promise<{ clean: boolean, signature: string|null }>} scan
+ */
+
+/** Tipos reconocidos por contenido → Content-Type con el que se guardan. */
+export const ATTACHMENT_KINDS = Object.freeze({
+  pdf: "application/pdf",
+  xml: "application/xml",
+  jpeg: "image/jpeg",
+  png: "image/png",
+});
+
+const KIND_LABELS = { pdf: "PDF", xml: "XML", jpeg: "JPG", png: "PNG" };
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+// APP1 (Exif/XMP), APP13 (IPTC/Photoshop) y COM
+const JPEG_METADATA_MARKERS = new Set([0xe1, 0xed, 0xfe]);
+const PNG_METADATA_CHUNKS = new Set(["eXIf", "tEXt", "zTXt", "iTXt", "tIME"]);
+const PDF_ACTIVE_NAMES = /\/(JavaScript|JS|Launch)(?![A-Za-z0-9])/;
+
+/**
+ * Structured error for attachments rejected by the pipeline.
+ * @property {string} code - Siempre ATTACHMENT_REJECTED
+ * @property {string} reason - TYPE_MISMATCH | PDF_ACTIVE_CONTENT | IMAGE_MALFORMED | MALWARE
+ */
+export class AttachmentRejectedError extends Error {
+  /**
+   * @param {string} message Human-readable error message.
+   * @param {string} reason Machine-readable rejection reason.
+   */
+  constructor(message, reason) {
+    super(message);
+    this.name = "AttachmentRejectedError";
+    this.code = "ATTACHMENT_REJECTED";
+    this.reason = reason;
+  }
+}
+
+let scanner = null;
+
+/**
+ * Escáner configurado: `ATTACHMENT_SCANNER`, o clamd si hay CLAMD_SOCKET / CLAMD_HOST. Sin ninguno,
+ * fuera de producción se usa el stub; en producción falla (inspectAttachment responde 503) salvo
+ * que el stub se pida explícitamente con ATTACHMENT_SCANNER=stub.
+ * @returns {AttachmentScanner}
+ * @throws {Error} Escáner desconocido o producción sin antivirus configurado
+ */
+export function getAttachmentScanner() {
+  if (!scanner) {
+    const explicit = process.env.ATTACHMENT_SCANNER?.trim().toLowerCase() || null;
+    const name = explicit
+      || (process.env.CLAMD_SOCKET || process.env.CLAMD_HOST ? "clamd" : null);
+    if (name === "clamd") {
+      scanner = createClamdScanner();
+    } else if (name === "stub" || (name === null && process.env.NODE_ENV !== "production")) {
+      if (process.env.NODE_ENV === "production") {
+        console.warn("attachmentPipeline: ATTACHMENT_SCANNER=stub; los adjuntos solo se revisan contra la firma EICAR");
+      }
+      scanner = createStubScanner();
+    } else if (name === null) {
+      throw new Error("sin antivirus en producción: configura CLAMD_SOCKET / CLAMD_HOST o ATTACHMENT_SCANNER=stub");
+    } else {
+      throw new Error(`ATTACHMENT_SCANNER desconocido: ${name} (clamd | stub)`);
+    }
+  }
+  return scanner;
+}
+
+/**
+ * Reemplaza el escáner (pruebas o inicialización explícita).
+ * @param {AttachmentScanner|null} next
+ */
+export function setAttachmentScanner(next) {
+  scanner = next;
+}
+
+/**
+ * Tipo real del archivo según sus primeros bytes.
+ * @param {Buffer} buffer
+ * @returns {'pdf'|'xml'|'jpeg'|'png'|null}
+ */
+export function sniffKind(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "jpeg";
+  if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return "png";
+  // La especificación tolera basura antes del encabezado dentro del primer KB.
+  if (buffer.subarray(0, 1024).includes("%PDF-")) return "pdf";
+  const head = buffer.subarray(0, 256).toString("utf8").replace(/^\uFEFF/, "").trimStart();
+  if (/^<(\?xml|[A-Za-z_])/.test(head)) return "xml";
+  return null;
+}
+
+/**
+ * Nombre PDF de JavaScript o acción de lanzamiento presente en el archivo, si lo hay.
+ * @param {Buffer} buffer
+ * @returns {string|null}
+ */
+export function findPdfActiveContent(buffer) {
+  const text = buffer.toString("latin1").replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+  const match = PDF_ACTIVE_NAMES.exec(text);
+  return match ? `/${match[1]}` : null;
+}
+
+/**
+ * Quita los segmentos APP1/APP13/COM de un JPEG (EXIF, GPS, XMP, IPTC).
+ * @param {Buffer} buffer
+ * @returns {Buffer}
+ */
+function stripJpegMetadata(buffer) {
+  const parts = [buffer.subarray(0, 2)];
+  let i = 2;
+  while (i < buffer.length) {
+    if (buffer[i] !== 0xff) throw new AttachmentRejectedError("La imagen JPG está dañada", "IMAGE_MALFORMED");
+    const marker = buffer[i + 1];
+    if (marker === 0xff) { i += 1; continue; }
+    if (marker === 0xda) { parts.push(buffer.subarray(i)); break; } // inicio de los datos de imagen
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd9)) {
+      parts.push(buffer.subarray(i, i + 2));
+      i += 2;
+      continue;
+    }
+    if (i + 4 > buffer.length) throw new AttachmentRejectedError("La imagen JPG está dañada", "IMAGE_MALFORMED");
+    const end = i + 2 + buffer.readUInt16BE(i + 2);
+    if (end > buffer.length) throw new AttachmentRejectedError("La imagen JPG está dañada", "IMAGE_MALFORMED");
+    if (!JPEG_METADATA_MARKERS.has(marker)) parts.push(buffer.subarray(i, end));
+    i = end;
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Quita los chunks eXIf y de texto de un PNG.
+ * @param {Buffer} buffer
+ * @returns {Buffer}
+ */
+function stripPngMetadata(buffer) {
+  const parts = [PNG_SIGNATURE];
+  let i = PNG_SIGNATURE.length;
+  while (i + 12 <= buffer.length) {
+    const type = buffer.toString("latin1", i + 4, i + 8);
+    const end = i + 12 + buffer.readUInt32BE(i);
+    if (end > buffer.length) throw new AttachmentRejectedError("La imagen PNG está dañada", "IMAGE_MALFORMED");
+    if (!PNG_METADATA_CHUNKS.has(type)) parts.push(buffer.subarray(i, end));
+    i = end;
+    if (type === "IEND") break;
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Revisa un adjunto y devuelve el contenido a guardar.
+ * @param {Buffer} buffer - Contenido subido
+ * @param {Array<keyof typeof ATTACHMENT_KINDS>} allowedKinds - Tipos aceptados en este punto
+ * @returns {Promise<{ buffer: Buffer, kind: string, contentType: string }>}
+ * @throws {AttachmentRejectedError} Si el archivo debe ir a cuarentena
+ * @throws {{ status: number, message: string }} 503 si el antivirus no responde
+ */
+export async function inspectAttachment(buffer, allowedKinds) {
+  const kind = sniffKind(buffer);
+  if (!kind || !allowedKinds.includes(kind)) {
+    const expected = allowedKinds.map((k) => KIND_LABELS[k]).join(" o ");
+    throw new AttachmentRejectedError(`El contenido del archivo no corresponde a ${expected}`, "TYPE_MISMATCH");
+  }
+
+  if (kind === "pdf") {
+    const active = findPdfActiveContent(buffer);
+    if (active) {
+      throw new AttachmentRejectedError(`El PDF contiene contenido activo (${active})`, "PDF_ACTIVE_CONTENT");
+    }
+  }
+
+  let verdict;
+  try {
+    verdict = await getAttachmentScanner().scan(buffer);
+  } catch (error) {
+    console.error("attachmentPipeline: antivirus no disponible:", error?.message ?? error);
+    throw { status: 503, message: "No se pudo analizar el archivo; intenta de nuevo más tarde" };
+  }
+  if (!verdict.clean) {
+    throw new AttachmentRejectedError(`El antivirus detectó ${verdict.signature}`, "MALWARE");
+  }
+
+  let clean = buffer;
+  if (kind === "jpeg") clean = stripJpegMetadata(buffer);
+  if (kind === "png") clean = stripPngMetadata(buffer);
+  return { buffer: clean, kind, contentType: ATTACHMENT_KINDS[kind] };
+}
@@ -0,0 +1,53 @@
+/**
+ * @module attachmentScan/clamdScanner
+ * @description Escáner antivirus contra un daemon clamd (protocolo INSTREAM) por socket UNIX
+ * (CLAMD_SOCKET) o TCP (CLAMD_HOST / CLAMD_PORT).
+ */
+import net from "node:net";
+
+const CHUNK_SIZE = 64 * 1024;
+const DEFAULT_PORT = 3310;
+const DEFAULT_TIMEOUT_MS = 15_000;
+
+/**
+ * @param {{ socketPath?: string|null, host?: string|null, port?: number|null, timeoutMs?: number|null }} [config]
+ * @returns {import("../attachmentPipeline.js").AttachmentScanner}
+ */
+export function createClamdScanner(config = {}) {
+  const socketPath = config.socketPath ?? process.env.CLAMD_SOCKET ?? null;
+  const host = config.host ?? process.env.CLAMD_HOST ?? "127.0.0.1";
+  const port = Number(config.port ?? process.env.CLAMD_PORT) || DEFAULT_PORT;
+  const timeoutMs = Number(config.timeoutMs ?? process.env.CLAMD_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+
+  return {
+    name: "clamd",
+
+    scan(buffer) {
+      return new Promise((resolve, reject) => {
+        const socket = socketPath ? net.createConnection({ path: socketPath }) : net.createConnection({ host, port });
+        const replies = [];
+        socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`clamd timeout after ${timeoutMs}ms`)));
+        socket.on("error", reject);
+        socket.on("data", (chunk) => replies.push(chunk));
+        socket.on("end", () => {
+          const reply = Buffer.concat(replies).toString("utf8").replace(/\0/g, "").trim();
+          const found = /^stream: (.+) FOUND$/.exec(reply);
+          if (found) return resolve({ clean: false, signature: found[1] });
+          if (/^stream: OK$/.test(reply)) return resolve({ clean: true, signature: null });
+          return reject(new Error(`clamd: unexpected reply "${reply}"`));
+        });
+        socket.on("connect", () => {
+          socket.write("zINSTREAM\0");
+          for (let offset = 0; offset < buffer.length; offset += CHUNK_SIZE) {
+            const chunk = buffer.subarray(offset, offset + CHUNK_SIZE);
+            const size = Buffer.alloc(4);
+            size.writeUInt32BE(chunk.length);
+            socket.write(size);
+            socket.write(chunk);
+          }
+          socket.end(Buffer.alloc(4));
+        });
+      });
+    },
+  };
+}
@@ -0,0 +1,22 @@
+/**
+ * @module attachmentScan/stubScanner
+ * @description Escáner local para desarrollo y pruebas: solo detecta la cadena de prueba EICAR,
+ * igual que clamd la reporta. No sustituye un antivirus real.
+ */
+
+const EICAR = "X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*";
+
+/**
+ * @returns {import("../attachmentPipeline.js").AttachmentScanner}
+ */
+export function createStubScanner() {
+  return {
+    name: "stub",
+
+    async scan(buffer) {
+      return buffer.includes(EICAR)
+        ? { clean: false, signature: "Eicar-Test-Signature" }
+        : { clean: true, signature: null };
+    },
+  };
+}
@@ -1,34 +1,42 @@
 /**
  * @module authorizerService
  * @description Handles authorization workflows for travel requests,
- * including approval and rejection by N1/N2 roles (M2-004 + M2-005 montos/historial).
+ * including approval and rejection along the snapshot's approval steps
+ * (N1/N2, cadena de jefes, roles y bandas de monto; M2-004 + M2-005 montos/historial).
+ * Los pasos paralelos (todos) y por quórum (k de n) avanzan por votos registrados en el historial.
  */
 import Authorizer, { SolicitudHistorialAccion } from "../models/authorizerModel.js";
 import {
-  statusAfterN1Approval,
-  statusAfterN2Approval,
+  advanceSnapshot,
+  approvalStepsFromSnapshot,
+  currentStepIndex,
+  isGroupStep,
+  reassignCurrentStep,
+  recordStepVote,
+  statusForStep,
+  stepVoteProgress,
 } from "./workflowRulesEngine.js";
 import * as policyExceptionService from "./policyExceptionService.js";
-import anticipoPolizaLifecycleService from "./anticipoPolizaLifecycleService.js";
 import employeeHierarchyService from "./employeeHierarchyService.js";
+import {
+  REQUEST_ACTIONS,
+  REQUEST_STATUS,
+  REQUEST_STATUS_LABELS,
+  resolveTransition,
+  runTransitionSideEffects,
+} from "./requestStateMachine.js";
 
 /**
- * @param {object | null} snapshot
- * @param {number} tier 1=N1, 2=N2
+ * @param {import("./workflowRulesEngine.js").ApprovalStep} step
  * @param {number} authorId
  * @param {string | null} roleName
  * @returns {boolean}
  */
-function authorizerMatchesTier(snapshot, tier, authorId, roleName) {
-  const key = tier === 1 ? "n1UserId" : "n2UserId";
-  const designated =
-    snapshot && typeof snapshot === "object" ? snapshot[key] : null;
-  if (designated != null) {
-    return Number(designated) === Number(authorId);
+function authorizerMatchesStep(step, authorId, roleName) {
+  if (step.userId !== null && step.userId !== undefined) {
+    return Number(step.userId) === Number(authorId);
   }
-  if (tier === 1) return roleName === "N1";
-  if (tier === 2) return roleName === "N2";
-  return false;
+  return step.roleName !== null && step.roleName !== undefined && roleName === step.roleName;
 }
 
 /**
@@ -55,10 +63,7 @@ function amountExceedsLimit(amount, maxAmount) {
  * @param statusId
  */
 function labelForStatusId(statusId) {
-  if (statusId === 3) return "Segunda Revisión";
-  if (statusId === 4) return "Cotización del Viaje";
-  if (statusId === 10) return "Rechazado";
-  return "Actualizado";
+  return REQUEST_STATUS_LABELS[statusId] ?? "Actualizado";
 }
 
 /**
@@ -69,105 +74,194 @@ function useHierarchyApprovalMode() {
 }
 
 /**
- * En modo jerárquico, obtiene el aprobador esperado para el estado actual:
- * - status 2 (N1 lógico): jefe directo
- * - status 3 (N2 lógico): jefe del jefe
+ * En modo jerárquico, obtiene el aprobador esperado para un paso de la cadena de jefes:
+ * nivel 1 = jefe directo, nivel 2 = jefe del jefe, etc. Los pasos por rol o monto no aplican.
  * @param {object} ctx
+ * @param {import("./workflowRulesEngine.js").ApprovalStep} step
  * @returns {Promise<number|null>}
  */
-async function expectedApproverByHierarchy(ctx) {
-  if (!ctx?.userId) return null;
-  const chain = await employeeHierarchyService.getApprovalChain(Number(ctx.userId), 4);
-  if (ctx.requestStatusId === 2) return chain[0] ?? null;
-  if (ctx.requestStatusId === 3) return chain[1] ?? null;
-  return null;
+async function expectedApproverByHierarchy(ctx, step) {
+  if (!ctx?.userId || step.kind !== "manager") return null;
+  const chain = await employeeHierarchyService.getApprovalChain(Number(ctx.userId), Math.max(4, step.level));
+  return chain[step.level - 1] ?? null;
 }
 
 /**
- * Coexistencia: intenta validar por jerarquía si está activo; si no, usa snapshot N1/N2.
+ * Coexistencia: intenta validar por jerarquía si está activo; si no, usa el paso del snapshot.
  * @param {object} ctx
- * @param {number} tier
+ * @param {import("./workflowRulesEngine.js").ApprovalStep} step
  * @param {number} userId
  * @param {string|null} roleName
  * @returns {Promise<boolean>}
  */
-async function canActOnTier(ctx, tier, userId, roleName) {
+async function canActOnStep(ctx, step, userId, roleName) {
   if (useHierarchyApprovalMode()) {
-    const expected = await expectedApproverByHierarchy(ctx);
+    const expected = await expectedApproverByHierarchy(ctx, step);
     if (expected != null) return Number(expected) === Number(userId);
   }
-  return authorizerMatchesTier(ctx?.workflowPreSnapshot, tier, userId, roleName);
+  return authorizerMatchesStep(step, userId, roleName);
+}
+
+/**
+ * Paso de aprobación pendiente según snapshot y estatus.
+ * @param {object} ctx
+ * @param {string} [notAwaitingMessage]
+ * @returns {{ steps: import("./workflowRulesEngine.js").ApprovalStep[], index: number, step: import("./workflowRulesEngine.js").ApprovalStep }}
+ */
+function pendingApprovalStep(
+  ctx,
+  notAwaitingMessage = "Request is not awaiting N1/N2 authorization at this status",
+) {
+  const steps = approvalStepsFromSnapshot(ctx.workflowPreSnapshot);
+  const index = currentStepIndex(ctx.workflowPreSnapshot, ctx.requestStatusId);
+  if (index < 0) {
+    throw { status: 400, message: notAwaitingMessage };
+  }
+  return { steps, index, step: steps[index] };
+}
+
+/**
+ * Destino al avanzar al paso `index`: su estatus y, en snapshots con pasos, el cursor movido.
+ * @param {object} ctx
+ * @param {import("./workflowRulesEngine.js").ApprovalStep[]} steps
+ * @param {number} index
+ * @returns {{ preferredTo: number, workflowPreSnapshot?: object }}
+ */
+function advanceTarget(ctx, steps, index) {
+  const advanced = advanceSnapshot(ctx.workflowPreSnapshot, index);
+  return {
+    preferredTo: statusForStep(steps, index),
+    ...(advanced ? { workflowPreSnapshot: advanced } : {}),
+  };
 }
 
 /**
- * Póliza AV al aprobar la solicitud (requested_fee). No bloquea el flujo si falla persistencia.
+ * Resuelve la transición en la máquina de estados, la persiste con su historial y corre sus
+ * efectos secundarios (p. ej. póliza AV al quedar aprobada).
  * @param {number} requestId
- * @param {number} newStatusId
+ * @param {object} ctx - Contexto de autorización (estatus actual + organización)
+ * @param {string} action - REQUEST_ACTIONS
+ * @param {{ preferredTo?: number, workflowPreSnapshot?: object }} target
+ * @param {{ userId: number, permissionSet?: Set<string> }} actor
+ * @param {import("@prisma/client").SolicitudHistorialAccion} accion
+ * @param {string|null} comentario
+ * @returns {Promise<number>} Estatus nuevo
  */
-async function emitAnticipoPolizaIfApproved(requestId, newStatusId) {
-  if (Number(newStatusId) !== 4) return;
-  try {
-    await anticipoPolizaLifecycleService.onTravelRequestFullyApproved(requestId);
-  } catch (err) {
-    console.error(
-      "emitAnticipoPolizaIfApproved:",
-      err?.message || err,
-    );
+async function applyTransition(requestId, ctx, action, target, actor, accion, comentario) {
+  const transition = await resolveTransition({
+    organizationId: ctx.organizationId,
+    fromStatusId: ctx.requestStatusId,
+    action,
+    preferredTo: target.preferredTo,
+    actorUserId: actor.userId,
+    permissionSet: actor.permissionSet,
+  });
+  const patch = { statusId: transition.toStatusId };
+  if (Object.prototype.hasOwnProperty.call(target, "workflowPreSnapshot")) {
+    patch.workflowPreSnapshot = target.workflowPreSnapshot;
   }
+  await Authorizer.applyWorkflowAction(requestId, patch, actor.userId, accion, comentario);
+  await runTransitionSideEffects(requestId, transition);
+  return transition.toStatusId;
 }
 
 /**
- * Valida que el usuario puede actuar en el tier actual (rechazo).
+ * Valida que el actor pueda votar en el paso de grupo: debe ser elegible y no haber votado.
+ * @param {import("./workflowRulesEngine.js").ApprovalStep} step
+ * @param {number} userId
+ * @param {string} verb - "approve" | "decline" (para el mensaje)
+ */
+function ensureCanVote(step, userId, verb) {
+  const uid = Number(userId);
+  if (!isGroupStep(step) || !step.approverIds.map(Number).includes(uid)) {
+    throw { status: 400, message: `User role not authorized to ${verb} request at this stage` };
+  }
+  if ([...(step.votes || []), ...(step.rejections || [])].map(Number).includes(uid)) {
+    throw { status: 409, message: "Ya registró su voto en este paso de aprobación" };
+  }
+}
+
+/**
+ * Voto en un paso paralelo o por quórum. La transición que cerraría el paso se resuelve antes
+ * (valida permisos del actor); el voto se aplica sobre el snapshot bloqueado para que votos
+ * simultáneos no se pierdan. Mientras la condición no se cumpla queda como VOTO en el historial
+ * y la solicitud no cambia de estatus.
+ * @param {number} requestId
  * @param {object} ctx
- * @param {number} user_id
- * @param {string|null} roleName
+ * @param {number} index - Paso de grupo pendiente
+ * @param {{ userId: number, permissionSet?: Set<string> }} actor
+ * @param {boolean} approve
+ * @param {string|null} [comentario]
+ * @returns {Promise<{ statusId: number, closes: boolean, votes: { cast: number, required: number, rejected: number } }>}
  */
-function ensureTierForDecline(ctx, user_id, roleName) {
-  const snap = ctx.workflowPreSnapshot;
-  const levels =
-    snap && typeof snap === "object" && Array.isArray(snap.levels)
-      ? snap.levels
-      : [1, 2];
-
-  if (ctx.requestStatusId === 2) {
+async function voteOnGroupStep(requestId, ctx, index, actor, approve, comentario = null) {
+  const steps = approvalStepsFromSnapshot(ctx.workflowPreSnapshot);
+  ensureCanVote(steps[index], actor.userId, approve ? "approve" : "decline");
+  const nextIndex = index + 1 < steps.length ? index + 1 : null;
+
+  let preferredTo = REQUEST_STATUS.RECHAZADO;
+  if (approve) {
+    preferredTo = nextIndex === null ? REQUEST_STATUS.COTIZACION_VIAJE : statusForStep(steps, nextIndex);
+  }
+  const closing = await resolveTransition({
+    organizationId: ctx.organizationId,
+    fromStatusId: ctx.requestStatusId,
+    action: approve ? REQUEST_ACTIONS.APPROVE : REQUEST_ACTIONS.REJECT,
+    preferredTo,
+    actorUserId: actor.userId,
+    permissionSet: actor.permissionSet,
+  });
+
+  const decision = await Authorizer.recordApprovalVote(requestId, actor.userId, (current) => {
     if (
-      !authorizerMatchesTier(snap, 1, user_id, roleName) ||
-      !levels.includes(1)
+      Number(current.requestStatusId) !== Number(ctx.requestStatusId) ||
+      currentStepIndex(current.workflowPreSnapshot, current.requestStatusId) !== index
     ) {
-      throw {
-        status: 400,
-        message:
-          "User role not authorized to decline request at this stage",
-      };
+      throw { status: 409, message: "La solicitud cambió mientras se registraba el voto; vuelva a intentarlo" };
     }
-  } else if (ctx.requestStatusId === 3) {
-    if (
-      !authorizerMatchesTier(snap, 2, user_id, roleName) ||
-      !levels.includes(2)
-    ) {
-      throw {
-        status: 400,
-        message:
-          "User role not authorized to decline request at this stage",
-      };
-    }
-  } else {
-    throw {
-      status: 400,
-      message:
-        "Request is not awaiting N1/N2 authorization at this status",
+    ensureCanVote(current.workflowPreSnapshot.steps[index], actor.userId, approve ? "approve" : "decline");
+
+    const vote = recordStepVote(current.workflowPreSnapshot, index, actor.userId, approve);
+    const votes = stepVoteProgress(vote.step);
+    const closes = approve ? vote.satisfied : vote.defeated;
+    const tally = approve
+      ? `Voto a favor ${votes.cast} de ${votes.required} (paso ${index + 1})`
+      : `Voto en contra; a favor ${votes.cast} de ${votes.required} (paso ${index + 1})`;
+
+    let accion = SolicitudHistorialAccion.VOTO;
+    if (closes) accion = approve ? SolicitudHistorialAccion.APROBADO : SolicitudHistorialAccion.RECHAZADO;
+    return {
+      statusId: closes ? closing.toStatusId : current.requestStatusId,
+      workflowPreSnapshot: closes && approve && nextIndex !== null
+        ? advanceSnapshot(vote.snapshot, nextIndex)
+        : vote.snapshot,
+      accion,
+      comentario: accion === SolicitudHistorialAccion.RECHAZADO
+        ? comentario
+        : [tally, comentario].filter(Boolean).join(". "),
+      closes,
+      votes: { cast: votes.cast, required: votes.required, rejected: votes.rejected },
     };
+  });
+
+  if (decision.closes) {
+    await runTransitionSideEffects(requestId, closing);
   }
+  return decision;
 }
 
 /**
- * Approves a travel request (monto máximo por rol + escalamiento M2-005).
+ * Approves a travel request step by step (monto máximo por rol + escalamiento M2-005).
+ * Mientras queden pasos en el snapshot (N2, Director, CFO…) la solicitud avanza al siguiente;
+ * el último paso la manda a cotización. En pasos paralelos o por quórum cada aprobación es un
+ * voto (`outcome: 'VOTO'`) hasta que se cumple la condición del paso.
  *
  * @param {number} request_id
  * @param {number} user_id
- * @returns {Promise<{ new_status: string, outcome: 'APROBADO' | 'ESCALADO' }>}
+ * @param {{ permissionSet?: Set<string> }} [opts] - Permisos ya cargados del actor (evita recargarlos)
+ * @returns {Promise<{ new_status: string, outcome: 'APROBADO' | 'ESCALADO' | 'VOTO', votes?: object }>}
  */
-const authorizeRequest = async (request_id, user_id) => {
+const authorizeRequest = async (request_id, user_id, { permissionSet } = {}) => {
   const ctx = await Authorizer.getRequestAuthorizationContext(request_id);
   if (!ctx) {
     throw { status: 404, message: "Request not found" };
@@ -194,113 +288,80 @@ const authorizeRequest = async (request_id, user_id) => {
     console.warn("authorizerService: pending exception check failed:", e?.message || e);
   }
 
-  const snap = ctx.workflowPreSnapshot;
-  const levels =
-    snap && typeof snap === "object" && Array.isArray(snap.levels)
-      ? snap.levels
-      : [1, 2];
-
-  const amount = requestAmount(ctx);
-  const maxAmount = await Authorizer.getUserMaxApprovalAmount(user_id);
-
-  if (ctx.requestStatusId === 2) {
-    const canAct = await canActOnTier(ctx, 1, user_id, roleName);
-    if (
-      !canAct ||
-      !levels.includes(1)
-    ) {
-      throw {
-        status: 400,
-        message:
-          "User role not authorized to approve request at this stage",
-      };
-    }
-
-    if (amountExceedsLimit(amount, maxAmount)) {
-      if (!levels.includes(2)) {
-        throw {
-          status: 409,
-          message:
-            "El monto supera el tope de aprobación y no hay un nivel superior configurado para escalar.",
-        };
-      }
-      await Authorizer.applyWorkflowAction(
-        request_id,
-        { statusId: 3 },
-        user_id,
-        SolicitudHistorialAccion.ESCALADO,
-        null,
-      );
-      return {
-        new_status: labelForStatusId(3),
-        outcome: "ESCALADO",
-      };
-    }
-
-    const new_status_id = statusAfterN1Approval(levels);
-    await Authorizer.applyWorkflowAction(
-      request_id,
-      { statusId: new_status_id },
-      user_id,
-      SolicitudHistorialAccion.APROBADO,
-      null,
-    );
-    await emitAnticipoPolizaIfApproved(request_id, new_status_id);
+  const { steps, index, step } = pendingApprovalStep(ctx);
+  if (isGroupStep(step)) {
+    const decision = await voteOnGroupStep(request_id, ctx, index, { userId: user_id, permissionSet }, true);
     return {
-      new_status: labelForStatusId(new_status_id),
-      outcome: "APROBADO",
+      new_status: labelForStatusId(decision.statusId),
+      outcome: decision.closes ? "APROBADO" : "VOTO",
+      votes: decision.votes,
     };
   }
 
-  if (ctx.requestStatusId === 3) {
-    const canAct = await canActOnTier(ctx, 2, user_id, roleName);
-    if (
-      !canAct ||
-      !levels.includes(2)
-    ) {
-      throw {
-        status: 400,
-        message:
-          "User role not authorized to approve request at this stage",
-      };
-    }
+  const canAct = await canActOnStep(ctx, step, user_id, roleName);
+  if (!canAct) {
+    throw {
+      status: 400,
+      message:
+        "User role not authorized to approve request at this stage",
+    };
+  }
+
+  const amount = requestAmount(ctx);
+  const maxAmount = await Authorizer.getUserMaxApprovalAmount(user_id);
+  const nextIndex = index + 1 < steps.length ? index + 1 : null;
+  const actor = { userId: user_id, permissionSet };
 
-    if (amountExceedsLimit(amount, maxAmount)) {
+  if (amountExceedsLimit(amount, maxAmount)) {
+    if (nextIndex === null) {
       throw {
         status: 409,
-        message:
-          "El monto supera el tope de aprobación de este nivel y no hay más niveles configurados.",
+        message: index === 0
+          ? "El monto supera el tope de aprobación y no hay un nivel superior configurado para escalar."
+          : "El monto supera el tope de aprobación de este nivel y no hay más niveles configurados.",
       };
     }
-
-    const new_status_id = statusAfterN2Approval();
-    await Authorizer.applyWorkflowAction(
+    const escalated_status_id = await applyTransition(
       request_id,
-      { statusId: new_status_id },
-      user_id,
-      SolicitudHistorialAccion.APROBADO,
+      ctx,
+      REQUEST_ACTIONS.ESCALATE,
+      advanceTarget(ctx, steps, nextIndex),
+      actor,
+      SolicitudHistorialAccion.ESCALADO,
       null,
     );
-    await emitAnticipoPolizaIfApproved(request_id, new_status_id);
     return {
-      new_status: labelForStatusId(new_status_id),
-      outcome: "APROBADO",
+      new_status: labelForStatusId(escalated_status_id),
+      outcome: "ESCALADO",
     };
   }
 
-  throw {
-    status: 400,
-    message:
-      "Request is not awaiting N1/N2 authorization at this status",
+  const new_status_id = await applyTransition(
+    request_id,
+    ctx,
+    REQUEST_ACTIONS.APPROVE,
+    nextIndex === null
+      ? { preferredTo: REQUEST_STATUS.COTIZACION_VIAJE }
+      : advanceTarget(ctx, steps, nextIndex),
+    actor,
+    SolicitudHistorialAccion.APROBADO,
+    null,
+  );
+  return {
+    new_status: labelForStatusId(new_status_id),
+    outcome: "APROBADO",
   };
 };
 
 /**
+ * Rechaza la solicitud. En un paso paralelo un voto en contra basta; en uno por quórum el voto
+ * en contra se registra (`outcome: 'VOTO'`) y solo rechaza cuando el quórum ya no es alcanzable.
  * @param {number} request_id
  * @param {number} user_id
  * @param {string} comentario
+ * @param {{ permissionSet?: Set<string> }} [opts] - Permisos ya cargados del actor
  */
-const declineRequest = async (request_id, user_id, comentario) => {
+const declineRequest = async (request_id, user_id, comentario, { permissionSet } = {}) => {
   const trimmed =
     typeof comentario === "string" ? comentario.trim() : "";
   if (!trimmed) {
@@ -320,58 +381,53 @@ const declineRequest = async (request_id, user_id, comentario) => {
     throw { status: 404, message: "User not found" };
   }
 
-  if (!["N1", "N2"].includes(roleName)) {
+  const { index, step } = pendingApprovalStep(ctx);
+  if (isGroupStep(step)) {
+    const decision = await voteOnGroupStep(request_id, ctx, index, { userId: user_id, permissionSet }, false, trimmed);
+    return decision.closes
+      ? { message: "Request declined successfully", new_status: labelForStatusId(decision.statusId), outcome: "RECHAZADO" }
+      : { message: "Vote against recorded", new_status: labelForStatusId(decision.statusId), outcome: "VOTO", votes: decision.votes };
+  }
+
+  const canAct = await canActOnStep(ctx, step, user_id, roleName);
+  if (!canAct) {
     throw {
       status: 400,
-      message: "User role not authorized to decline request",
+      message: "User role not authorized to decline request at this stage",
     };
   }
 
-  if (useHierarchyApprovalMode()) {
-    const tier = ctx.requestStatusId === 2 ? 1 : ctx.requestStatusId === 3 ? 2 : null;
-    if (!tier) {
-      throw {
-        status: 400,
-        message: "Request is not awaiting N1/N2 authorization at this status",
-      };
-    }
-    const canAct = await canActOnTier(ctx, tier, user_id, roleName);
-    if (!canAct) {
-      throw {
-        status: 400,
-        message: "User role not authorized to decline request at this stage",
-      };
-    }
-  } else {
-    ensureTierForDecline(ctx, user_id, roleName);
-  }
-
-  await Authorizer.applyWorkflowAction(
+  const new_status_id = await applyTransition(
     request_id,
-    { statusId: 10 },
-    user_id,
+    ctx,
+    REQUEST_ACTIONS.REJECT,
+    { preferredTo: REQUEST_STATUS.RECHAZADO },
+    { userId: user_id, permissionSet },
     SolicitudHistorialAccion.RECHAZADO,
     trimmed,
   );
 
   return {
     message: "Request declined successfully",
-    new_status: "Rechazado",
+    new_status: labelForStatusId(new_status_id),
   };
 };
 
 /**
- * Reasigna N1 o N2 en el snapshot sin cambiar estatus.
+ * Reasigna el paso pendiente (N1, N2, Director…) en el snapshot sin cambiar estatus.
+ * El destino debe tener el rol del paso (N1/N2 en la cadena de jefes).
  * @param {number} request_id
  * @param {number} actor_user_id
  * @param {number} target_user_id
  * @param {string} motivo
+ * @param {{ permissionSet?: Set<string> }} [opts] - Permisos ya cargados del actor
  */
 const reassignRequest = async (
   request_id,
   actor_user_id,
   target_user_id,
   motivo,
+  { permissionSet } = {},
 ) => {
   const m = typeof motivo === "string" ? motivo.trim() : "";
   if (!m) {
@@ -399,75 +455,44 @@ const reassignRequest = async (
     throw { status: 404, message: "User not found" };
   }
 
-  const snap =
-    ctx.workflowPreSnapshot &&
-    typeof ctx.workflowPreSnapshot === "object"
-      ? { ...ctx.workflowPreSnapshot }
-      : {};
-  const levels =
-    Array.isArray(snap.levels) && snap.levels.length
-      ? snap.levels
-      : [1, 2];
+  const { step } = pendingApprovalStep(
+    ctx,
+    "La solicitud no está en un estatus que permita reasignación",
+  );
+
+  if (isGroupStep(step)) {
+    throw {
+      status: 400,
+      message: "Los pasos paralelos o por quórum no se reasignan; cualquier aprobador elegible puede votar",
+    };
+  }
 
   const targetRole = await Authorizer.getUserRoleName(tid);
-  if (!targetRole || !["N1", "N2"].includes(targetRole)) {
+  const allowedRoles = step.kind === "manager" ? ["N1", "N2"] : [step.roleName];
+  if (!targetRole || !allowedRoles.includes(targetRole)) {
     throw {
       status: 400,
-      message: "El usuario destino debe tener rol N1 o N2",
+      message: `El usuario destino debe tener rol ${allowedRoles.join(" o ")}`,
     };
   }
 
-  if (ctx.requestStatusId === 2) {
-    if (
-      !authorizerMatchesTier(
-        ctx.workflowPreSnapshot,
-        1,
-        actor_user_id,
-        actorRole,
-      ) ||
-      !levels.includes(1)
-    ) {
-      throw {
-        status: 400,
-        message:
-          "Solo el aprobador asignado a esta etapa puede reasignar",
-      };
-    }
-    snap.n1UserId = tid;
-  } else if (ctx.requestStatusId === 3) {
-    if (
-      !authorizerMatchesTier(
-        ctx.workflowPreSnapshot,
-        2,
-        actor_user_id,
-        actorRole,
-      ) ||
-      !levels.includes(2)
-    ) {
-      throw {
-        status: 400,
-        message:
-          "Solo el aprobador asignado a esta etapa puede reasignar",
-      };
-    }
-    snap.n2UserId = tid;
-  } else {
+  if (!authorizerMatchesStep(step, actor_user_id, actorRole)) {
     throw {
       status: 400,
       message:
-        "La solicitud no está en un estatus que permita reasignación",
+        "Solo el aprobador asignado a esta etapa puede reasignar",
     };
   }
 
+  const snap = reassignCurrentStep(ctx.workflowPreSnapshot, ctx.requestStatusId, tid);
   const comentario = `Reasignado a usuario ${tid}. ${m}`;
 
-  await Authorizer.applyWorkflowAction(
+  await applyTransition(
     request_id,
-    {
-      statusId: ctx.requestStatusId,
-      workflowPreSnapshot: snap,
-    },
-    actor_user_id,
+    ctx,
+    REQUEST_ACTIONS.REASSIGN,
+    { preferredTo: ctx.requestStatusId, workflowPreSnapshot: snap },
+    { userId: actor_user_id, permissionSet },
     SolicitudHistorialAccion.REASIGNADO,
     comentario,
   );
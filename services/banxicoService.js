@@ -1,39 +1,79 @@
 /**
  * @module banxicoService
- * @description Tipo de cambio FIX USD/MXN (serie Banxico SF43718) para EXCH_RATE en pólizas.
- * Requiere token opcional `BANXICO_API_TOKEN` o `BANXICO_TOKEN` para SieAPIRest.
+ * @description Tipo de cambio FIX USD/MXN (serie Banxico SF43718). Es el proveedor `banxico_fix`
+ * de services/fx (FIX contable de pólizas, tasa por fecha de comprobante y respaldo de SPOT).
+ * Requiere token opcional `BANXICO_API_TOKEN` o `BANXICO_TOKEN` para SieAPIRest; `BMX_API_URL`
+ * cambia la URL base (mismo valor que usa exchangeRateService).
  * Desactivar: `BANXICO_DISABLE=1` o `NODE_ENV=test`.
  */
 /* global fetch, AbortController */
 
 const SF43718 = "SF43718";
+const DEFAULT_BASE_URL = "https://www.banxico.org.mx/SieAPIRest/service/v1";
 
 /**
- * @param {string} isoDateYmd Fecha "YYYY-MM-DD" (fecha contable PSTNG_DATE).
- * @returns {Promise<number|null>} FIX diario USD→MXN o null si no disponible.
+ * @returns {boolean}
  */
-export async function fetchBanxicoUsdMxnFixing(isoDateYmd) {
-    if (process.env.NODE_ENV === "test" || process.env.BANXICO_DISABLE === "1") return null;
-    const fecha = String(isoDateYmd || "").slice(0, 10);
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(fecha)) return null;
+const isDisabled = () => process.env.NODE_ENV === "test" || process.env.BANXICO_DISABLE === "1";
+
+/**
+ * "dd/mm/yyyy" de Banxico → "YYYY-MM-DD".
+ * @param {string} fecha
+ * @returns {string|null}
+ */
+const bmxDateToIso = (fecha) => {
+    const m = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(String(fecha || "").trim());
+    return m ? `${m[3]}-${m[2]}-${m[1]}` : null;
+};
+
+/**
+ * Publicaciones del FIX USD→MXN entre dos fechas (solo días hábiles; "N/E" se omite).
+ * @param {string} startYmd "YYYY-MM-DD"
+ * @param {string} endYmd "YYYY-MM-DD"
+ * @returns {Promise<Array<{ date: string, rate: number }>>} Ordenadas por fecha ascendente
+ * @throws {Error} Si Banxico responde con error HTTP o no se pudo conectar
+ */
+export async function fetchBanxicoUsdMxnFixingRange(startYmd, endYmd) {
+    if (isDisabled()) return [];
+    const start = String(startYmd || "").slice(0, 10);
+    const end = String(endYmd || "").slice(0, 10);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(start) || !/^\d{4}-\d{2}-\d{2}$/.test(end)) return [];
     const token = process.env.BANXICO_API_TOKEN || process.env.BANXICO_TOKEN || process.env.BANXICO_API_KEY;
-    const url = `https://www.banxico.org.mx/SieAPIRest/service/v1/series/${SF43718}/datos/${fecha}/${fecha}`;
+    const base = String(process.env.BMX_API_URL || DEFAULT_BASE_URL).replace(/\/+$/, "");
+    const url = `${base}/series/${SF43718}/datos/${start}/${end}`;
+
+    /** @type {Record<string, string>} */
+    const headers = {};
+    if (token) headers["Bmx-Token"] = token;
+    const ctrl = new AbortController();
+    const tid = setTimeout(() => ctrl.abort(), 8000);
     try {
-        /** @type {Record<string, string>} */
-        const headers = {};
-        if (token) headers["Bmx-Token"] = token;
-        const ctrl = new AbortController();
-        const tid = setTimeout(() => ctrl.abort(), 8000);
         const res = await fetch(url, { headers, signal: ctrl.signal });
-        clearTimeout(tid);
-        if (!res.ok) return null;
+        if (!res.ok) throw new Error(`Banxico SIE ${res.status}`);
         const json = await res.json();
         const datos = json?.bmx?.series?.[0]?.datos;
-        const row = Array.isArray(datos) ? datos[0] : null;
-        const dato = row?.dato;
-        if (dato === undefined || dato === null) return null;
-        const n = Number(String(dato).replace(/,/g, ""));
-        return Number.isFinite(n) && n > 0 ? n : null;
+        if (!Array.isArray(datos)) return [];
+        return datos
+            .map((row) => ({
+                date: bmxDateToIso(row?.fecha),
+                rate: Number(String(row?.dato ?? "").replace(/,/g, "")),
+            }))
+            .filter((row) => row.date && Number.isFinite(row.rate) && row.rate > 0)
+            .sort((a, b) => a.date.localeCompare(b.date));
+    } finally {
+        clearTimeout(tid);
+    }
+}
+
+/**
+ * @param {string} isoDateYmd Fecha "YYYY-MM-DD" (fecha contable PSTNG_DATE).
+ * @returns {Promise<number|null>} FIX diario USD→MXN o null si no disponible.
+ */
+export async function fetchBanxicoUsdMxnFixing(isoDateYmd) {
+    const fecha = String(isoDateYmd || "").slice(0, 10);
+    try {
+        const rows = await fetchBanxicoUsdMxnFixingRange(fecha, fecha);
+        return rows.find((row) => row.date === fecha)?.rate ?? null;
     } catch {
         return null;
     }
@@ -2,7 +2,7 @@
  * Construye snapshots pre/post para persistir en Request (solo solicitudes nuevas / confirmadas).
  */
 import { buildSnapshot } from "./workflowRulesEngine.js";
-import { resolveN1N2Approvers } from "./approverResolver.js";
+import { resolveN1N2Approvers, resolveStepApprovers } from "./approverResolver.js";
 
 /**
  * @param {import('@prisma/client').Prisma.TransactionClient} tx
@@ -38,10 +38,19 @@ export async function buildRequestWorkflowSnapshots(tx, opts) {
     where: { organizationId: oid, active: true },
   });
 
-  const approvers = await resolveN1N2Approvers(tx, oid, departmentId, userId);
+  const amount = Number(requestedFee) || 0;
+  const chain = await resolveN1N2Approvers(tx, oid, departmentId, userId);
+  const stepApprovers = await resolveStepApprovers(tx, oid, departmentId, {
+    roleNames: rules.map((r) => r.targetRole).filter(Boolean),
+    memberRoleNames: rules.filter((r) => r.approvalMode === "quorum").map((r) => r.targetRole).filter(Boolean),
+    requesterId: userId,
+    approverIds: [chain.n1UserId, chain.n2UserId, ...chain.approverIds],
+    amount,
+  });
+  const approvers = { ...chain, ...stepApprovers };
 
   const ctx = {
-    amount: Number(requestedFee) || 0,
+    amount,
     currency,
     destinationCountryIds: destinationCountryIds || [],
     receiptTypeIds,
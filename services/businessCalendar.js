@@ -0,0 +1,279 @@
+/**
+ * @module businessCalendar
+ * @description Aritmética de tiempo hábil para SLA y plazos: días laborales, horario,
+ *   feriados federales de México (LFT art. 74) y cierres propios, evaluados en la zona
+ *   horaria de la organización. Funciones puras; la carga por organización vive en
+ *   services/slaCalendarService.js.
+ */
+
+/**
+ * @typedef {Object} BusinessCalendar
+ * @property {string} timezone - Zona IANA (Organization.timezone)
+ * @property {number[]} workingDays - Días hábiles ISO (1 = lunes … 7 = domingo)
+ * @property {number} dayStartMinutes - Apertura, en minutos desde la medianoche local
+ * @property {number} dayEndMinutes - Cierre, en minutos desde la medianoche local
+ * @property {boolean} mexicanHolidays - Descontar los feriados federales
+ * @property {Set<string>} closures - Días inhábiles propios (YYYY-MM-DD)
+ */
+
+/** Calendario cuando la organización no configuró uno. */
+export const DEFAULT_CALENDAR_CONFIG = Object.freeze({
+  timezone: "America/Mexico_City",
+  workingDays: [1, 2, 3, 4, 5],
+  dayStart: "09:00",
+  dayEnd: "18:00",
+  mexicanHolidays: true,
+});
+
+const MS_PER_MINUTE = 60_000;
+// Tope defensivo (~10 años) por si un calendario no deja ninguna hora hábil.
+const MAX_DAYS_SCANNED = 3660;
+
+const formatters = new Map();
+const federalHolidayCache = new Map();
+
+/**
+ * @param {string} timezone
+ * @returns {Intl.DateTimeFormat}
+ */
+function formatterFor(timezone) {
+  let fmt = formatters.get(timezone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+    formatters.set(timezone, fmt);
+  }
+  return fmt;
+}
+
+/**
+ * Fecha y hora locales de un instante en `timezone`.
+ * @param {Date} date
+ * @param {string} timezone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }}
+ */
+function localParts(date, timezone) {
+  const parts = {};
+  for (const { type, value } of formatterFor(timezone).formatToParts(date)) {
+    if (type !== "literal") parts[type] = Number(value);
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+/**
+ * Instante UTC de una hora local. `minutes` puede exceder 1440 o tener fracción.
+ * @param {number} year
+ * @param {number} month - 1–12
+ * @param {number} day
+ * @param {number} minutes - Minutos desde la medianoche local
+ * @param {string} timezone
+ * @returns {Date}
+ */
+function zonedTimeToUtc(year, month, day, minutes, timezone) {
+  const wall = Date.UTC(year, month - 1, day) + minutes * MS_PER_MINUTE;
+  let guess = wall;
+  // Dos ajustes bastan para converger en cambios de horario.
+  for (let i = 0; i < 2; i++) {
+    const p = localParts(new Date(guess), timezone);
+    guess += wall - Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  }
+  return new Date(guess);
+}
+
+/**
+ * @param {number} year
+ * @param {number} month
+ * @param {number} day
+ * @returns {string} YYYY-MM-DD
+ */
+function dateKey(year, month, day) {
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+/**
+ * @param {number} year
+ * @param {number} month
+ * @param {number} day
+ * @returns {{ year: number, month: number, day: number }}
+ */
+function nextDate(year, month, day) {
+  const d = new Date(Date.UTC(year, month - 1, day + 1));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+/**
+ * "HH:MM" → minutos desde la medianoche.
+ * @param {string} value
+ * @returns {number} NaN si el formato es inválido
+ */
+export function parseTimeOfDay(value) {
+  const m = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(value ?? "").trim());
+  return m ? Number(m[1]) * 60 + Number(m[2]) : NaN;
+}
+
+/**
+ * Días de descanso obligatorio de la Ley Federal del Trabajo (art. 74): 1 de enero, primer lunes
+ * de febrero, tercer lunes de marzo, 1 de mayo, 16 de septiembre, tercer lunes de noviembre,
+ * 25 de diciembre y el día de transmisión del Poder Ejecutivo (1 de octubre cada seis años desde 2024).
+ * @param {number} year
+ * @returns {string[]} Fechas YYYY-MM-DD
+ */
+export function mexicanFederalHolidays(year) {
+  const nthMonday = (month, n) => {
+    const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    return 1 + ((8 - firstWeekday) % 7) + 7 * (n - 1);
+  };
+  const days = [
+    dateKey(year, 1, 1),
+    dateKey(year, 2, nthMonday(2, 1)),
+    dateKey(year, 3, nthMonday(3, 3)),
+    dateKey(year, 5, 1),
+    dateKey(year, 9, 16),
+    dateKey(year, 11, nthMonday(11, 3)),
+    dateKey(year, 12, 25),
+  ];
+  if (year >= 2024 && (year - 2024) % 6 === 0) days.push(dateKey(year, 10, 1));
+  if (year < 2024 && (year - 2018) % 6 === 0) days.push(dateKey(year, 12, 1));
+  return days.sort();
+}
+
+/**
+ * @param {number} year
+ * @returns {Set<string>}
+ */
+function federalHolidaySet(year) {
+  let set = federalHolidayCache.get(year);
+  if (!set) {
+    set = new Set(mexicanFederalHolidays(year));
+    federalHolidayCache.set(year, set);
+  }
+  return set;
+}
+
+/**
+ * Calendario listo para calcular a partir de la configuración guardada (o los defaults).
+ * @param {{ timezone?: string, workingDays?: number[], dayStart?: string, dayEnd?: string,
+ *   mexicanHolidays?: boolean, closures?: Iterable<string> }} [config]
+ * @returns {BusinessCalendar}
+ */
+export function toBusinessCalendar(config = {}) {
+  const merged = { ...DEFAULT_CALENDAR_CONFIG, ...Object.fromEntries(
+    Object.entries(config).filter(([, v]) => v !== undefined && v !== null),
+  ) };
+  return {
+    timezone: merged.timezone,
+    workingDays: [...new Set(merged.workingDays.map(Number))],
+    dayStartMinutes: parseTimeOfDay(merged.dayStart),
+    dayEndMinutes: parseTimeOfDay(merged.dayEnd),
+    mexicanHolidays: Boolean(merged.mexicanHolidays),
+    closures: new Set(config.closures ?? []),
+  };
+}
+
+/**
+ * @param {BusinessCalendar} cal
+ * @param {number} year
+ * @param {number} month
+ * @param {number} day
+ * @returns {boolean} true si la fecha local es día hábil
+ */
+export function isBusinessDate(cal, year, month, day) {
+  const isoWeekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay() || 7;
+  if (!cal.workingDays.includes(isoWeekday)) return false;
+  const key = dateKey(year, month, day);
+  if (cal.closures.has(key)) return false;
+  return !(cal.mexicanHolidays && federalHolidaySet(year).has(key));
+}
+
+/**
+ * Instante en que se cumplen `minutes` minutos hábiles desde `start`. Si `start` cae fuera del
+ * horario, el conteo empieza en la siguiente apertura.
+ * @param {Date} start
+ * @param {number} minutes
+ * @param {BusinessCalendar} cal
+ * @returns {Date}
+ */
+export function addBusinessMinutes(start, minutes, cal) {
+  let remaining = Math.max(0, Number(minutes) || 0);
+  const p = localParts(start, cal.timezone);
+  let { year, month, day } = p;
+  let cursor = p.hour * 60 + p.minute + p.second / 60;
+
+  for (let i = 0; i < MAX_DAYS_SCANNED; i++) {
+    if (isBusinessDate(cal, year, month, day)) {
+      const from = Math.max(cursor, cal.dayStartMinutes);
+      const available = cal.dayEndMinutes - from;
+      if (available > 0) {
+        if (remaining <= available) {
+          return zonedTimeToUtc(year, month, day, from + remaining, cal.timezone);
+        }
+        remaining -= available;
+      }
+    }
+    ({ year, month, day } = nextDate(year, month, day));
+    cursor = 0;
+  }
+  throw new Error("businessCalendar: el calendario no tiene horas hábiles");
+}
+
+/**
+ * Minutos hábiles transcurridos entre dos instantes.
+ * @param {Date} start
+ * @param {Date} end
+ * @param {BusinessCalendar} cal
+ * @returns {number}
+ */
+export function businessMinutesBetween(start, end, cal) {
+  if (end <= start) return 0;
+  let { year, month, day } = localParts(start, cal.timezone);
+  let total = 0;
+
+  for (let i = 0; i < MAX_DAYS_SCANNED; i++) {
+    const open = zonedTimeToUtc(year, month, day, cal.dayStartMinutes, cal.timezone);
+    if (open >= end) break;
+    if (isBusinessDate(cal, year, month, day)) {
+      const close = zonedTimeToUtc(year, month, day, cal.dayEndMinutes, cal.timezone);
+      const overlap = Math.min(end.getTime(), close.getTime()) - Math.max(start.getTime(), open.getTime());
+      if (overlap > 0) total += overlap;
+    }
+    ({ year, month, day } = nextDate(year, month, day));
+  }
+  return total / MS_PER_MINUTE;
+}
+
+/**
+ * Fin (23:59:59.999 local) del día hábil número `days` posterior a la fecha `from`
+ * (una fecha sin hora, p. ej. Request.tripEndDate). Con `days` = 0 es el propio día.
+ * @param {Date} from - Se toma su fecha UTC (columnas @db.Date)
+ * @param {number} days
+ * @param {BusinessCalendar} cal
+ * @returns {Date}
+ */
+export function endOfBusinessDay(from, days, cal) {
+  let year = from.getUTCFullYear();
+  let month = from.getUTCMonth() + 1;
+  let day = from.getUTCDate();
+  let remaining = Math.max(0, Math.trunc(Number(days) || 0));
+
+  for (let i = 0; i < MAX_DAYS_SCANNED && remaining > 0; i++) {
+    ({ year, month, day } = nextDate(year, month, day));
+    if (isBusinessDate(cal, year, month, day)) remaining -= 1;
+  }
+  if (remaining > 0) throw new Error("businessCalendar: el calendario no tiene días hábiles");
+  return new Date(zonedTimeToUtc(year, month, day, 24 * 60, cal.timezone).getTime() - 1);
+}
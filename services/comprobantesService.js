@@ -15,7 +15,7 @@ import ComprobantesModel from "../models/comprobantesModel.js";
 import { selloUltimos8FromSello } from "./cfdiParserService.js";
 import { consultarCfdiWithRetries, acuseToCfdiRow } from "./satConsultaService.js";
 import { assertRequestAllowsReceiptUpload } from "./requestReceiptUploadPolicy.js";
-import { getFxRateToTarget } from "./fxPublicService.js";
+import { getRate } from "./fx/fxRateService.js";
 
 /**
  * EFOS codes where the RFC Emisor itself appears in the blacklist.
@@ -131,10 +131,20 @@ export async function insertarComprobanteInternacional(receiptId, body) {
 
   const nombreReceptor = notas ? `INTERNACIONAL — ${notas}` : "INTERNACIONAL";
 
+  // Reembolso: tasa vigente en la fecha del comprobante (RECEIPT_DATE); la procedencia se guarda
+  // con el monto para que la póliza la reutilice.
   let tipoCambio = 1.0;
+  let fxProvenance = null;
   if (moneda !== "MXN") {
     try {
-      tipoCambio = await getFxRateToTarget(moneda, "MXN");
+      fxProvenance = await getRate({
+        organizationId: receipt.organizationId,
+        base: moneda,
+        quote: "MXN",
+        rateType: "RECEIPT_DATE",
+        date: fechaEmision,
+      });
+      tipoCambio = fxProvenance.rate;
     } catch (fxErr) {
       console.error("insertarComprobanteInternacional FX:", fxErr);
       throw {
@@ -179,6 +189,7 @@ export async function insertarComprobanteInternacional(receiptId, body) {
         formaPago: "99",
         moneda,
         tipoCambio,
+        fxProvenance,
         subtotal: total,
         descuento: 0.0,
         iva: 0.0,
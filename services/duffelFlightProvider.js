@@ -1,5 +1,6 @@
 /**
- * Búsqueda de ofertas vía Duffel API (@duffel/api). Requiere DUFFEL_ACCESS_TOKEN.
+ * Búsqueda, apartado (orden `hold`), pago y cancelación vía Duffel API (@duffel/api).
+ * Requiere DUFFEL_ACCESS_TOKEN. El pago se hace contra el saldo (`balance`) de la cuenta Duffel.
  */
 import { createDuffelClient } from "./duffel.js";
 
@@ -44,9 +45,70 @@ function mapOffer(offer) {
     stops,
     totalAmount: parseFloat(offer.total_amount),
     totalCurrency: offer.total_currency || "USD",
+    expiresAt: offer.expires_at || undefined,
   };
 }
 
+/**
+ * Orden Duffel → ProviderBooking.
+ * @param {any} order
+ * @returns {import("./flightProvider.js").ProviderBooking}
+ */
+function mapOrder(order) {
+  const payment = order.payment_status || {};
+  const ticketNumbers = (order.documents || [])
+    .filter((d) => d.type === "electronic_ticket")
+    .map((d) => d.unique_identifier);
+  let status = "HELD";
+  if (order.cancelled_at) status = "CANCELLED";
+  else if (payment.paid_at || ticketNumbers.length) status = "TICKETED";
+  else if (payment.payment_required_by && new Date(payment.payment_required_by) <= new Date()) status = "EXPIRED";
+
+  return {
+    providerOrderId: order.id,
+    pnr: order.booking_reference || null,
+    status,
+    totalAmount: parseFloat(order.total_amount),
+    totalCurrency: order.total_currency,
+    priceLockExpiresAt: payment.price_guarantee_expires_at || null,
+    paymentRequiredBy: payment.payment_required_by || null,
+    ticketNumbers,
+  };
+}
+
+/**
+ * Errores de la API de Duffel → `{ status, message, code }` del servicio.
+ * @param {any} err
+ * @returns {{ status: number, message: string, code: string }}
+ */
+function toProviderError(err) {
+  const first = err?.errors?.[0];
+  const code = first?.code || "provider_error";
+  if (code === "offer_no_longer_available" || code === "offer_expired") {
+    return { status: 409, code: "OFFER_EXPIRED", message: "La oferta ya no está disponible; vuelve a buscar vuelos." };
+  }
+  if (code === "price_changed") {
+    return { status: 409, code: "PRICE_CHANGED", message: "El precio cambió en la aerolínea." };
+  }
+  if (err?.meta?.status === 422 || first?.type === "validation_error") {
+    return { status: 400, code: "PROVIDER_VALIDATION", message: first?.message || "Datos de pasajero inválidos." };
+  }
+  return { status: 502, code: "PROVIDER_ERROR", message: first?.message || err?.message || "Error del proveedor de vuelos" };
+}
+
+/**
+ * @template T
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+async function callDuffel(fn) {
+  try {
+    return await fn();
+  } catch (err) {
+    throw toProviderError(err);
+  }
+}
+
 /**
  *
  */
@@ -88,4 +150,112 @@ export class DuffelFlightProvider {
     const offers = data?.offers || [];
     return offers.slice(0, 20).map(mapOffer);
   }
+
+  /**
+   * Aparta la oferta sin pagar (orden `hold`). Duffel exige fecha de nacimiento, género,
+   * título y teléfono por pasajero; los ids de pasajero salen de la oferta re-consultada.
+   * @param {import("./flightProvider.js").NormalizedFlightOffer} offer
+   * @param {import("./flightProvider.js").BookingPassenger[]} passengers
+   * @returns {Promise<import("./flightProvider.js").ProviderBooking>}
+   */
+  async createHold(offer, passengers) {
+    const duffel = createDuffelClient();
+    const offerId = offer.rawOfferId || offer.id;
+    const { data: current } = await callDuffel(() => duffel.offers.get(offerId));
+    if (current.payment_requirements?.requires_instant_payment) {
+      throw { status: 409, code: "HOLD_NOT_AVAILABLE", message: "La aerolínea no permite apartar esta oferta sin pago inmediato." };
+    }
+    const offerPassengers = current.passengers || [];
+    if (offerPassengers.length !== passengers.length) {
+      throw {
+        status: 400,
+        code: "PASSENGER_COUNT",
+        message: `La oferta es para ${offerPassengers.length} pasajero(s) y se enviaron ${passengers.length}.`,
+      };
+    }
+    const missing = passengers.find((p) => !p.bornOn || !p.gender || !p.title || !p.phoneNumber);
+    if (missing) {
+      throw {
+        status: 400,
+        code: "PROVIDER_VALIDATION",
+        message: "Duffel requiere bornOn, gender, title y phoneNumber de cada pasajero.",
+      };
+    }
+
+    const { data: order } = await callDuffel(() => duffel.orders.create({
+      type: "hold",
+      selected_offers: [current.id],
+      passengers: passengers.map((p, i) => ({
+        id: offerPassengers[i].id,
+        given_name: p.givenName,
+        family_name: p.familyName,
+        email: p.email,
+        born_on: p.bornOn,
+        gender: p.gender,
+        title: p.title,
+        phone_number: p.phoneNumber,
+        ...(p.identityDocument && current.passenger_identity_documents_required
+          ? {
+            identity_documents: [{
+              type: p.identityDocument.type,
+              unique_identifier: p.identityDocument.uniqueIdentifier,
+              issuing_country_code: p.identityDocument.issuingCountryCode,
+              expires_on: p.identityDocument.expiresOn,
+            }],
+          }
+          : {}),
+        ...(p.loyaltyProgrammeAccounts?.length
+          ? {
+            loyalty_programme_accounts: p.loyaltyProgrammeAccounts.map((l) => ({
+              airline_iata_code: l.airlineIataCode,
+              account_number: l.accountNumber,
+            })),
+          }
+          : {}),
+      })),
+    }));
+    return mapOrder(order);
+  }
+
+  /**
+   * Estado y precio vigentes de la orden (re-cotización antes de pagar).
+   * @param {{ providerOrderId: string }} booking
+   * @returns {Promise<import("./flightProvider.js").ProviderBooking>}
+   */
+  async getBooking(booking) {
+    const duffel = createDuffelClient();
+    const { data: order } = await callDuffel(() => duffel.orders.get(booking.providerOrderId));
+    return mapOrder(order);
+  }
+
+  /**
+   * Paga la orden apartada por el monto re-cotizado; Duffel rechaza el pago si el monto no coincide.
+   * @param {{ providerOrderId: string }} booking
+   * @param {{ totalAmount: number, totalCurrency: string }} price
+   * @returns {Promise<import("./flightProvider.js").ProviderBooking>}
+   */
+  async confirmBooking(booking, price) {
+    const duffel = createDuffelClient();
+    await callDuffel(() => duffel.payments.create({
+      order_id: booking.providerOrderId,
+      payment: {
+        type: "balance",
+        amount: Number(price.totalAmount).toFixed(2),
+        currency: price.totalCurrency,
+      },
+    }));
+    return this.getBooking(booking);
+  }
+
+  /**
+   * Cancela la orden (apartada o emitida). El reembolso, si aplica, lo decide la tarifa.
+   * @param {{ providerOrderId: string }} booking
+   * @returns {Promise<import("./flightProvider.js").ProviderBooking>}
+   */
+  async cancel(booking) {
+    const duffel = createDuffelClient();
+    const { data: pending } = await callDuffel(() => duffel.orderCancellations.create({ order_id: booking.providerOrderId }));
+    await callDuffel(() => duffel.orderCancellations.confirm(pending.id));
+    return this.getBooking(booking);
+  }
 }
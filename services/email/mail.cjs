@@ -9,21 +9,58 @@ const nodemailer = require("nodemailer");
 const { PrismaClient } = require("@prisma/client");
 
 const prisma = new PrismaClient();
-const currentDate = new Date().toJSON().slice(0, 10);
-
-const smtpHost = process.env.MAIL_SMTP_HOST || "smtp.gmail.com";
-const smtpPort = Number(process.env.MAIL_SMTP_PORT || 465);
-const smtpSecure = process.env.MAIL_SMTP_SECURE !== "false";
-
-const transporter = nodemailer.createTransport({
-  host: smtpHost,
-  port: smtpPort,
-  secure: smtpSecure,
-  auth: {
-    user: process.env.MAIL_USER,
-    pass: process.env.MAIL_PASSWORD,
-  },
-});
+
+let transporter = null;
+
+/**
+ * Transporter SMTP creado en el primer envío (no al importar): la configuración del entorno se
+ * lee cuando ya está cargada y los reintentos del outbox reutilizan la misma instancia.
+ * @returns {import("nodemailer").Transporter}
+ */
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.MAIL_SMTP_HOST || "smtp.gmail.com",
+      port: Number(process.env.MAIL_SMTP_PORT || 465),
+      secure: process.env.MAIL_SMTP_SECURE !== "false",
+      auth: {
+        user: process.env.MAIL_USER,
+        pass: process.env.MAIL_PASSWORD,
+      },
+    });
+  }
+  return transporter;
+};
+
+/**
+ * @returns {boolean} true si hay credenciales SMTP configuradas
+ */
+const isMailConfigured = () => Boolean(process.env.MAIL_USER && process.env.MAIL_PASSWORD);
+
+/**
+ * Envía un correo ya armado y regresa el id que asignó el servidor SMTP. Los errores de
+ * Nodemailer se propagan tal cual (`responseCode` 5xx = rechazo permanente) para que el outbox
+ * decida si reintenta.
+ *
+ * @param {{ to: string, subject: string, html: string }} message
+ * @returns {Promise<{ messageId: string|null }>}
+ * @throws {Error} Sin credenciales configuradas (`code` MAIL_NOT_CONFIGURED) o error SMTP
+ */
+const sendMail = async ({ to, subject, html }) => {
+  if (!isMailConfigured()) {
+    const error = new Error("MAIL_USER o MAIL_PASSWORD no configurados");
+    error.code = "MAIL_NOT_CONFIGURED";
+    throw error;
+  }
+  const fromAddress = process.env.MAIL_FROM || process.env.MAIL_USER;
+  const info = await getTransporter().sendMail({
+    from: `"Portal de Viajes" <${fromAddress}>`,
+    to,
+    subject,
+    html,
+  });
+  return { messageId: info?.messageId ?? null };
+};
 
 /**
  * Sends an HTML email notifying the applicant of a travel request status change.
@@ -41,7 +78,7 @@ const transporter = nodemailer.createTransport({
 const Mail = async (email, username, request_id, status, options = {}) => {
   const { userId, customSubject, customHtml } = options;
 
-  if (!process.env.MAIL_USER || !process.env.MAIL_PASSWORD) {
+  if (!isMailConfigured()) {
     console.warn("Mail skipped: MAIL_USER or MAIL_PASSWORD not configured");
     return;
   }
@@ -62,7 +99,7 @@ const Mail = async (email, username, request_id, status, options = {}) => {
     console.error("Could not check email preference, sending anyway:", prefError);
   }
 
-  const fromAddress = process.env.MAIL_FROM || process.env.MAIL_USER;
+  const currentDate = new Date().toJSON().slice(0, 10);
   const defaultHtml = `
 <!DOCTYPE html>
 <html lang="es">
@@ -100,14 +137,12 @@ const Mail = async (email, username, request_id, status, options = {}) => {
 </html>
     `;
 
-  const mailOptions = {
-    from: `"Portal de Viajes" <${fromAddress}>`,
-    to: email,
-    subject: customSubject || "Actualización de Solicitud de Viaje",
-    html: customHtml || defaultHtml,
-  };
   try {
-    await transporter.sendMail(mailOptions);
+    await sendMail({
+      to: email,
+      subject: customSubject || "Actualización de Solicitud de Viaje",
+      html: customHtml || defaultHtml,
+    });
   } catch (error) {
     console.error("Error sending email: ", error, email);
     throw new Error("Error sending email");
@@ -115,3 +150,5 @@ const Mail = async (email, username, request_id, status, options = {}) => {
 };
 
 exports.Mail = Mail;
+exports.sendMail = sendMail;
+exports.isMailConfigured = isMailConfigured;
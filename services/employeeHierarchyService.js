@@ -8,15 +8,21 @@ import Authorizer from "../models/authorizerModel.js";
  * Cadena de aprobación hacia arriba (jefe directo, jefe del jefe, ...).
  * @param {number} userId
  * @param {number} [maxDepth=8]
+ * @param {(userId: number) => Promise<number|null>} [getManagerUserId] - Lectura del jefe; por
+ *   defecto el modelo (usar otra para leer dentro de una transacción)
  * @returns {Promise<number[]>}
  */
-export async function getApprovalChain(userId, maxDepth = 8) {
+export async function getApprovalChain(
+  userId,
+  maxDepth = 8,
+  getManagerUserId = (id) => Authorizer.getManagerUserId(id),
+) {
   const chain = [];
   const seen = new Set([Number(userId)]);
   let current = Number(userId);
 
   for (let depth = 0; depth < maxDepth; depth += 1) {
-    const managerId = await Authorizer.getManagerUserId(current);
+    const managerId = await getManagerUserId(current);
     if (managerId == null) break;
     if (seen.has(Number(managerId))) {
       throw { status: 409, message: "Cycle detected in manager hierarchy" };
@@ -3,6 +3,7 @@
  * @description Sincronización de catálogo empleado desde RH/SAP.
  */
 import EmployeeModel from "../models/employeeModel.js";
+import { clabeStorageFields } from "./payments/clabe.js";
 
 const VALID_TYPES = new Set(["Alta", "Baja", "Cambio", "Reingreso"]);
 
@@ -35,7 +36,9 @@ function validatePayload(payload) {
   }
   const parsed = asDate(detalle.fechaAlta);
   if (!parsed) throw { status: 400, message: "detalle.fechaAlta debe ser fecha válida YYYY-MM-DD" };
-  return { idTransaction: String(idTransaction), detalle, fechaAlta: parsed };
+  // CLABE opcional para reembolsos SPEI: ausente no la toca, null la borra.
+  const clabe = Object.hasOwn(detalle, "clabe") ? clabeStorageFields(detalle.clabe) : {};
+  return { idTransaction: String(idTransaction), detalle, fechaAlta: parsed, clabe };
 }
 
 /**
@@ -54,7 +57,7 @@ function actorFromReqUser(reqUser) {
  * @param {object|null} reqUser
  */
 export async function syncEmployee(organizationId, payload, reqUser = null) {
-  const { idTransaction, detalle, fechaAlta } = validatePayload(payload);
+  const { idTransaction, detalle, fechaAlta, clabe } = validatePayload(payload);
   const actor = actorFromReqUser(reqUser);
   const existing = await EmployeeModel.findByNoEmpleado(organizationId, detalle.noEmpleado);
   const baseData = {
@@ -64,6 +67,7 @@ export async function syncEmployee(organizationId, payload, reqUser = null) {
     proveedor: String(detalle.proveedor).slice(0, 11),
     ceco: String(detalle.ceco).slice(0, 10),
     fechaAlta,
+    ...clabe,
     usuarioUltimaModificacion: actor,
   };
 
@@ -5,6 +5,8 @@ import https from "https";
 
 /**
  * Service for fetching and caching currency exchange rates from Wise and DOF.
+ * /api/exchange-rate/rate and /convert now resolve through services/fx/fxRateService.js;
+ * getWiseRate backs its `wise` provider and getRateHistory still serves /history.
  */
 class ExchangeRateService {
   /**
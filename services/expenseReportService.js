@@ -10,6 +10,7 @@
  */
 
 import { getSubordinatesRecursive } from "./employeeHierarchyService.js";
+import { REQUEST_STATUS } from "../config/requestStatus.js";
 
 /** @typedef {import('@prisma/client').PrismaClient} PrismaClient */
 
@@ -20,9 +21,6 @@ const ORG_WIDE_REPORT_PERMISSIONS = [
   "policy:manage",
 ];
 
-/** IDs de estatus de solicitud (seed global `Request_status`). */
-const REQUEST_STATUS_FINALIZADO = 8;
-
 const UNASSIGNED_CC_ID = -1;
 
 /**
@@ -58,7 +56,7 @@ export function mapValidationToReportStatus(validation, requestStatusId) {
   if (validation === "Rechazado") return "rejected";
   if (validation === "Pendiente") return "submitted";
   if (validation === "Aprobado") {
-    if (requestStatusId === REQUEST_STATUS_FINALIZADO) return "paid";
+    if (requestStatusId === REQUEST_STATUS.FINALIZADO) return "paid";
     return "approved";
   }
   return "submitted";
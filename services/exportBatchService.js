@@ -0,0 +1,528 @@
+/**
+ * @module exportBatchService
+ * @description Lotes de export contable (`export_batches`). Cada llamada a /api/export/contable abre un
+ * lote numerado por organización con sus filas `accounting_poliza` (status EXPORTED). El ERP acusa el lote
+ * póliza por póliza (número de documento o errores por partida); las rechazadas regresan su solicitud a la
+ * cola de pendientes. Un admin puede reversar un lote: se genera un lote REVERSAL con pólizas espejo
+ * (Debe ↔ Haber). Todo movimiento queda en `export_batch_events`.
+ *
+ * Las pólizas se identifican como `${DOC_TYPE}-${ID_VIAJE}` (el POLIZA_ID de los layouts ERP) o por su id.
+ */
+import prisma from "../database/config/prisma.js";
+import AccountingExportService from "./accountingExportService.js";
+import { SHKZG } from "../config/accountingCatalogs.js";
+
+/** Namespace de advisory locks (501 = scheduler): serializa la numeración de lotes por organización. */
+const LOCK_NAMESPACE = 502;
+const ACK_STATUSES = ["POSTED", "FAILED"];
+const REVERSIBLE_STATUSES = ["EXPORTED", "POSTED"];
+const MAX_LIST = 200;
+
+/**
+ * @typedef {{ userId?: number|null, apiKeyId?: number|null }} BatchActor
+ */
+
+/**
+ * @param {BatchActor} [actor]
+ * @returns {{ userId: number|null, apiKeyId: number|null }}
+ */
+const actorColumns = (actor) => ({
+  userId: actor?.userId ?? null,
+  apiKeyId: actor?.apiKeyId ?? null,
+});
+
+/**
+ * @param {{ docType: string, requestId: number }} row
+ * @returns {string}
+ */
+const polizaRef = (row) => `${row.docType}-${row.requestId}`;
+
+/**
+ * @param {object} batch Fila export_batches
+ * @returns {object}
+ */
+export function batchToJson(batch) {
+  return {
+    id: batch.id,
+    batchNumber: batch.batchNumber,
+    kind: batch.kind,
+    status: batch.status,
+    format: batch.format,
+    periodFrom: batch.periodFrom,
+    periodTo: batch.periodTo,
+    reversesBatchId: batch.reversesBatchId,
+    createdById: batch.createdById,
+    apiKeyId: batch.apiKeyId,
+    createdAt: batch.createdAt,
+    acknowledgedAt: batch.acknowledgedAt,
+    reversedAt: batch.reversedAt,
+  };
+}
+
+/**
+ * Status del lote según el de sus pólizas.
+ * @param {string[]} statuses
+ * @returns {'PENDING_ACK'|'ACKNOWLEDGED'|'PARTIALLY_FAILED'|'FAILED'}
+ */
+export function batchStatusFor(statuses) {
+  if (statuses.length === 0 || statuses.includes("EXPORTED")) return "PENDING_ACK";
+  const failed = statuses.filter((s) => s === "FAILED").length;
+  if (failed === 0) return "ACKNOWLEDGED";
+  return failed === statuses.length ? "FAILED" : "PARTIALLY_FAILED";
+}
+
+/**
+ * Abre un lote con el siguiente número de la organización y registra el evento CREATED.
+ * @param {import('@prisma/client').Prisma.TransactionClient} tx
+ * @param {object} params
+ * @param {bigint} params.organizationId
+ * @param {'EXPORT'|'REVERSAL'} params.kind
+ * @param {string} params.format
+ * @param {?Date} [params.periodFrom]
+ * @param {?Date} [params.periodTo]
+ * @param {?number} [params.reversesBatchId]
+ * @param {BatchActor} [params.actor]
+ * @param {?object} [params.detail] Detalle del evento CREATED
+ * @returns {Promise<object>}
+ */
+async function openBatchTx(tx, { organizationId, kind, format, periodFrom = null, periodTo = null, reversesBatchId = null, actor, detail = null }) {
+  await tx.$executeRaw`SELECT pg_advisory_xact_lock(${LOCK_NAMESPACE}::int, hashtext(${String(organizationId)}))`;
+  const last = await tx.exportBatch.aggregate({ where: { organizationId }, _max: { batchNumber: true } });
+  const { userId, apiKeyId } = actorColumns(actor);
+  const batch = await tx.exportBatch.create({
+    data: {
+      organizationId,
+      batchNumber: (last._max.batchNumber ?? 0) + 1,
+      kind,
+      format,
+      periodFrom,
+      periodTo,
+      reversesBatchId,
+      createdById: userId,
+      apiKeyId,
+    },
+  });
+  await tx.exportBatchEvent.create({
+    data: { organizationId, batchId: batch.id, action: "CREATED", userId, apiKeyId, detail },
+  });
+  return batch;
+}
+
+/**
+ * @param {bigint} organizationId
+ * @param {number} batchId
+ * @param {import('@prisma/client').Prisma.TransactionClient|typeof prisma} [client]
+ * @returns {Promise<object>}
+ * @throws {{ status: number, message: string }} 404
+ */
+async function findBatchOrThrow(organizationId, batchId, client = prisma) {
+  const batch = await client.exportBatch.findFirst({ where: { id: Number(batchId), organizationId } });
+  if (!batch) {
+    throw { status: 404, message: "Lote de exportación no encontrado" };
+  }
+  return batch;
+}
+
+/**
+ * Genera las pólizas pendientes del rango y las registra como un lote nuevo.
+ * Sin `force`, omite pólizas de la solicitud que ya están aceptadas o en espera de acuse
+ * (una solicitud vuelve a la cola cuando el ERP rechaza solo una de sus pólizas).
+ * @param {object} params
+ * @param {bigint|number|string} params.organizationId
+ * @param {Date} params.from
+ * @param {Date} params.to
+ * @param {boolean} [params.force]
+ * @param {string} params.format Layout con el que se entrega (accountingExportFormatService)
+ * @param {?{ from: Date, to: Date }} [params.period] Rango solicitado (sin el ajuste a fin de día)
+ * @param {BatchActor} [params.actor]
+ * @returns {Promise<{ batch: object|null, polizas: Array<Object>, skipped: Array<{ requestId: number, reason: string }> }>}
+ *   `batch` null si no hubo pólizas; `skipped`: solicitudes cuyo periodo contable está cerrado (siguen pendientes)
+ */
+export async function exportRangeAsBatch({ organizationId, from, to, force = false, format, period = null, actor }) {
+  const orgId = BigInt(organizationId);
+  const inOrg = (await AccountingExportService.buildPolizasInRange(from, to, { force }))
+    .filter((b) => String(b.request.organizationId) === String(orgId));
+  const skipped = inOrg.filter((b) => b.blocked).map((b) => ({ requestId: b.request.requestId, reason: b.blocked }));
+  const built = inOrg.filter((b) => !b.blocked);
+  const requestIds = built.map((b) => b.request.requestId);
+
+  let pending = built;
+  if (!force && requestIds.length > 0) {
+    // Solo cuentan originales vigentes: las espejo de un lote REVERSAL (reversalOfId) y las
+    // originales ya reversadas no cubren a la solicitud que la reversa regresó a la cola.
+    const active = await prisma.accountingPoliza.findMany({
+      where: {
+        organizationId: orgId,
+        requestId: { in: requestIds },
+        status: { in: REVERSIBLE_STATUSES },
+        reversalOfId: null,
+        reversals: { none: {} },
+      },
+      select: { requestId: true, docType: true },
+    });
+    const activeKeys = new Set(active.map((a) => `${a.requestId}:${a.docType}`));
+    pending = built.map((b) => ({
+      ...b,
+      polizas: b.polizas.filter((p) => !activeKeys.has(`${b.request.requestId}:${p.header?.DOC_TYPE}`)),
+    }));
+  }
+  const polizas = pending.flatMap((b) => b.polizas);
+
+  const batch = await prisma.$transaction(async (tx) => {
+    let opened = null;
+    if (polizas.length > 0) {
+      opened = await openBatchTx(tx, {
+        organizationId: orgId,
+        kind: "EXPORT",
+        format,
+        periodFrom: period?.from ?? from,
+        periodTo: period?.to ?? to,
+        actor,
+        detail: { polizas: polizas.length, requests: requestIds.length, force, skipped },
+      });
+      for (const { request, polizas: own } of pending) {
+        await AccountingExportService.persistPolizasTx(tx, request, own, true, { exportBatchId: opened.id });
+      }
+    }
+    if (requestIds.length > 0) {
+      await tx.request.updateMany({
+        where: { requestId: { in: requestIds } },
+        data: { isExported: true, exportedAt: new Date() },
+      });
+    }
+    return opened;
+  });
+  return { batch: batch ? batchToJson(batch) : null, polizas, skipped };
+}
+
+/**
+ * @param {bigint|number|string} organizationId
+ * @param {{ status?: string, kind?: string, limit?: number }} [filters]
+ * @returns {Promise<object[]>}
+ */
+export async function listBatches(organizationId, { status, kind, limit = 50 } = {}) {
+  const where = { organizationId: BigInt(organizationId) };
+  if (status) where.status = String(status).toUpperCase();
+  if (kind) where.kind = String(kind).toUpperCase();
+  const rows = await prisma.exportBatch.findMany({
+    where,
+    orderBy: { batchNumber: "desc" },
+    take: Math.min(Math.max(Number(limit) || 50, 1), MAX_LIST),
+    include: { _count: { select: { polizas: true } } },
+  });
+  return rows.map((b) => ({ ...batchToJson(b), polizaCount: b._count.polizas }));
+}
+
+/**
+ * Lote con sus pólizas (sin payload) y su bitácora.
+ * @param {bigint|number|string} organizationId
+ * @param {number} batchId
+ * @returns {Promise<object>}
+ * @throws {{ status: number, message: string }} 404
+ */
+export async function getBatch(organizationId, batchId) {
+  const orgId = BigInt(organizationId);
+  const batch = await findBatchOrThrow(orgId, batchId);
+  const [polizas, events] = await Promise.all([
+    prisma.accountingPoliza.findMany({
+      where: { organizationId: orgId, exportBatchId: batch.id },
+      orderBy: [{ requestId: "asc" }, { polizaIndex: "asc" }],
+      select: {
+        id: true, requestId: true, docType: true, status: true,
+        erpDocumentNumber: true, erpErrors: true, reversalOfId: true,
+      },
+    }),
+    prisma.exportBatchEvent.findMany({
+      where: { organizationId: orgId, batchId: batch.id },
+      orderBy: { createdAt: "asc" },
+    }),
+  ]);
+  return {
+    ...batchToJson(batch),
+    polizas: polizas.map((p) => ({ ...p, poliza: polizaRef(p) })),
+    events: events.map((e) => ({
+      id: e.id.toString(),
+      action: e.action,
+      userId: e.userId,
+      apiKeyId: e.apiKeyId,
+      detail: e.detail,
+      createdAt: e.createdAt,
+    })),
+  };
+}
+
+/**
+ * Payloads del lote para re-descargarlo en cualquier layout, sin regenerar ni re-marcar solicitudes.
+ * @param {bigint|number|string} organizationId
+ * @param {number} batchId
+ * @param {{ format: string, actor?: BatchActor }} params
+ * @returns {Promise<{ batch: object, polizas: Array<Object> }>}
+ * @throws {{ status: number, message: string }} 404
+ */
+export async function getBatchPolizas(organizationId, batchId, { format, actor }) {
+  const orgId = BigInt(organizationId);
+  const batch = await findBatchOrThrow(orgId, batchId);
+  const rows = await prisma.accountingPoliza.findMany({
+    where: { organizationId: orgId, exportBatchId: batch.id },
+    orderBy: [{ requestId: "asc" }, { polizaIndex: "asc" }],
+    select: { payload: true },
+  });
+  await prisma.exportBatchEvent.create({
+    data: { organizationId: orgId, batchId: batch.id, action: "DOWNLOADED", ...actorColumns(actor), detail: { format } },
+  });
+  return { batch: batchToJson(batch), polizas: rows.map((r) => r.payload) };
+}
+
+/**
+ * @param {unknown} entries
+ * @returns {Array<{ ref: string, status: 'POSTED'|'FAILED', documentNumber: string|null, errors: Array<Object>|null }>}
+ * @throws {{ status: number, message: string }} 400
+ */
+function normalizeAckEntries(entries) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw { status: 400, message: "polizas debe ser un arreglo con al menos un acuse" };
+  }
+  return entries.map((e, i) => {
+    const ref = String(e?.poliza ?? e?.id ?? "").trim();
+    const status = String(e?.status ?? "").toUpperCase();
+    if (!ref) throw { status: 400, message: `polizas[${i}]: poliza (p. ej. "GV-222") o id es requerido` };
+    if (!ACK_STATUSES.includes(status)) {
+      throw { status: 400, message: `polizas[${i}]: status debe ser ${ACK_STATUSES.join(" o ")}` };
+    }
+    const documentNumber = e.documentNumber === undefined || e.documentNumber === null ? null : String(e.documentNumber).trim();
+    if (status === "POSTED" && !documentNumber) {
+      throw { status: 400, message: `polizas[${i}]: documentNumber es requerido para POSTED` };
+    }
+    if (documentNumber && documentNumber.length > 60) {
+      throw { status: 400, message: `polizas[${i}]: documentNumber excede 60 caracteres` };
+    }
+    let errors = null;
+    if (status === "FAILED") {
+      const list = Array.isArray(e.errors) ? e.errors : [];
+      errors = list.map((err) => ({
+        ...(err?.ITEMNO_ACC !== undefined ? { ITEMNO_ACC: Number(err.ITEMNO_ACC) } : {}),
+        message: String(err?.message ?? err ?? "").slice(0, 500),
+      }));
+      if (errors.length === 0) errors = [{ message: String(e.message ?? "Rechazada por el ERP").slice(0, 500) }];
+    }
+    return { ref, status, documentNumber, errors };
+  });
+}
+
+/**
+ * Acuse del ERP: POSTED con su número de documento o FAILED con errores por partida.
+ * Las pólizas rechazadas de un lote EXPORT regresan su solicitud a la cola de pendientes.
+ * Reenviar el mismo acuse es idempotente; cambiar el de una póliza ya acusada es 409.
+ * @param {bigint|number|string} organizationId
+ * @param {number} batchId
+ * @param {unknown} entries `[{ poliza | id, status, documentNumber?, errors? }]`
+ * @param {BatchActor} [actor]
+ * @returns {Promise<object>} getBatch actualizado
+ * @throws {{ status: number, message: string }} 400 | 404 | 409
+ */
+export async function acknowledgeBatch(organizationId, batchId, entries, actor) {
+  const orgId = BigInt(organizationId);
+  const acks = normalizeAckEntries(entries);
+
+  await prisma.$transaction(async (tx) => {
+    const batch = await findBatchOrThrow(orgId, batchId, tx);
+    if (batch.status === "REVERSED") {
+      throw { status: 409, message: `El lote ${batch.batchNumber} fue reversado; ya no acepta acuses` };
+    }
+    const rows = await tx.accountingPoliza.findMany({
+      where: { organizationId: orgId, exportBatchId: batch.id },
+      select: { id: true, requestId: true, docType: true, status: true, erpDocumentNumber: true },
+    });
+    const byRef = new Map();
+    for (const r of rows) {
+      byRef.set(r.id, r);
+      byRef.set(polizaRef(r), r);
+    }
+
+    const missing = acks.filter((a) => !byRef.has(a.ref)).map((a) => a.ref);
+    if (missing.length > 0) {
+      throw { status: 400, message: `Pólizas no encontradas en el lote ${batch.batchNumber}: ${missing.join(", ")}` };
+    }
+
+    const updates = [];
+    for (const ack of acks) {
+      const row = byRef.get(ack.ref);
+      if (row.status === ack.status && (ack.status === "FAILED" || row.erpDocumentNumber === ack.documentNumber)) continue;
+      if (row.status !== "EXPORTED") {
+        throw { status: 409, message: `La póliza ${polizaRef(row)} ya está en estado ${row.status}` };
+      }
+      updates.push({ row, ack });
+    }
+
+    for (const { row, ack } of updates) {
+      await tx.accountingPoliza.update({
+        where: { id: row.id },
+        data: ack.status === "POSTED"
+          ? { status: "POSTED", erpDocumentNumber: ack.documentNumber, erpErrors: null }
+          : { status: "FAILED", erpDocumentNumber: ack.documentNumber, erpErrors: ack.errors },
+      });
+      row.status = ack.status;
+    }
+
+    const failedRequestIds = [...new Set(updates.filter((u) => u.ack.status === "FAILED").map((u) => u.row.requestId))];
+    if (batch.kind === "EXPORT" && failedRequestIds.length > 0) {
+      await tx.request.updateMany({
+        where: { requestId: { in: failedRequestIds } },
+        data: { isExported: false, exportedAt: null },
+      });
+    }
+
+    const status = batchStatusFor(rows.map((r) => r.status));
+    await tx.exportBatch.update({
+      where: { id: batch.id },
+      data: { status, acknowledgedAt: status === "PENDING_ACK" ? null : batch.acknowledgedAt ?? new Date() },
+    });
+    await tx.exportBatchEvent.create({
+      data: {
+        organizationId: orgId,
+        batchId: batch.id,
+        action: "ACKNOWLEDGED",
+        ...actorColumns(actor),
+        detail: {
+          posted: updates.filter((u) => u.ack.status === "POSTED").map((u) => polizaRef(u.row)),
+          failed: updates.filter((u) => u.ack.status === "FAILED").map((u) => polizaRef(u.row)),
+          requeuedRequests: batch.kind === "EXPORT" ? failedRequestIds : [],
+        },
+      },
+    });
+  });
+
+  return getBatch(orgId, batchId);
+}
+
+/**
+ * Póliza espejo: mismas partidas con Debe ↔ Haber, fechada al día de la reversa.
+ * @param {object} payload Póliza original
+ * @param {number} batchNumber Lote original
+ * @param {string} postingDate YYYY-MM-DD
+ * @returns {object}
+ */
+export function reversalPoliza(payload, batchNumber, postingDate) {
+  const lines = payload.detalle || payload.detalles || [];
+  return {
+    header: {
+      ...payload.header,
+      HEADER_TXT: `Reversa lote ${batchNumber}`.slice(0, 25),
+      PSTNG_DATE: postingDate,
+    },
+    detalle: lines.map((l) => ({ ...l, SHKZG: l.SHKZG === SHKZG.DEBE ? SHKZG.HABER : SHKZG.DEBE })),
+  };
+}
+
+/**
+ * Reversa un lote EXPORT: genera un lote REVERSAL con pólizas espejo de las enviadas o aceptadas,
+ * marca las originales REVERSED y (por default) regresa sus solicitudes a la cola de pendientes.
+ * La fecha de la reversa respeta los periodos contables (se recorre o se bloquea).
+ * @param {bigint|number|string} organizationId
+ * @param {number} batchId
+ * @param {{ reason: string, postingDate?: string, requeue?: boolean }} params
+ * @param {BatchActor} [actor]
+ * @returns {Promise<{ batch: object, reversed: object, polizas: Array<Object> }>}
+ * @throws {{ status: number, message: string }} 400 | 404 | 409 (también periodo contable cerrado)
+ */
+export async function reverseBatch(organizationId, batchId, { reason, postingDate, requeue = true } = {}, actor) {
+  const orgId = BigInt(organizationId);
+  const why = String(reason ?? "").trim();
+  if (why.length < 3) {
+    throw { status: 400, message: "reason es requerido (mínimo 3 caracteres)" };
+  }
+  const date = postingDate ? new Date(String(postingDate)) : new Date();
+  if (Number.isNaN(date.getTime())) {
+    throw { status: 400, message: "postingDate debe ser una fecha válida (YYYY-MM-DD)" };
+  }
+  const pstngDate = date.toISOString().slice(0, 10);
+
+  return prisma.$transaction(async (tx) => {
+    const original = await findBatchOrThrow(orgId, batchId, tx);
+    if (original.kind !== "EXPORT") {
+      throw { status: 409, message: "Solo se pueden reversar lotes de exportación" };
+    }
+    if (original.status === "REVERSED") {
+      throw { status: 409, message: `El lote ${original.batchNumber} ya fue reversado` };
+    }
+    const rows = await tx.accountingPoliza.findMany({
+      where: { organizationId: orgId, exportBatchId: original.id, status: { in: REVERSIBLE_STATUSES } },
+      orderBy: [{ requestId: "asc" }, { polizaIndex: "asc" }],
+      select: { id: true, requestId: true, polizaIndex: true, docType: true, payload: true },
+    });
+    if (rows.length === 0) {
+      throw { status: 409, message: `El lote ${original.batchNumber} no tiene pólizas enviadas o aceptadas que reversar` };
+    }
+
+    const reversal = await openBatchTx(tx, {
+      organizationId: orgId,
+      kind: "REVERSAL",
+      format: original.format,
+      periodFrom: original.periodFrom,
+      periodTo: original.periodTo,
+      reversesBatchId: original.id,
+      actor,
+      detail: { reversesBatchNumber: original.batchNumber, reason: why },
+    });
+    const polizas = await AccountingExportService.applyPeriodLocks(
+      orgId,
+      rows.map((r) => reversalPoliza(r.payload, original.batchNumber, pstngDate)),
+      { client: tx }
+    );
+    await tx.accountingPoliza.createMany({
+      data: rows.map((r, i) => ({
+        organizationId: orgId,
+        requestId: r.requestId,
+        polizaIndex: r.polizaIndex,
+        docType: r.docType,
+        payload: polizas[i],
+        status: "EXPORTED",
+        exportBatchId: reversal.id,
+        reversalOfId: r.id,
+      })),
+    });
+    await tx.accountingPoliza.updateMany({
+      where: { id: { in: rows.map((r) => r.id) } },
+      data: { status: "REVERSED" },
+    });
+    const reversedAt = new Date();
+    const reversed = await tx.exportBatch.update({
+      where: { id: original.id },
+      data: { status: "REVERSED", reversedAt },
+    });
+
+    const requestIds = [...new Set(rows.map((r) => r.requestId))];
+    if (requeue) {
+      await tx.request.updateMany({
+        where: { requestId: { in: requestIds } },
+        data: { isExported: false, exportedAt: null },
+      });
+    }
+    await tx.exportBatchEvent.create({
+      data: {
+        organizationId: orgId,
+        batchId: original.id,
+        action: "REVERSED",
+        ...actorColumns(actor),
+        detail: {
+          reason: why,
+          reversalBatchId: reversal.id,
+          reversalBatchNumber: reversal.batchNumber,
+          polizas: rows.map(polizaRef),
+          requeuedRequests: requeue ? requestIds : [],
+        },
+      },
+    });
+
+    return { batch: batchToJson(reversal), reversed: batchToJson(reversed), polizas };
+  });
+}
+
+export default {
+  exportRangeAsBatch,
+  listBatches,
+  getBatch,
+  getBatchPolizas,
+  acknowledgeBatch,
+  reverseBatch,
+};
@@ -0,0 +1,472 @@
+/**
+ * @module flightBookingService
+ * @description Ciclo de vida de la reserva de vuelo sobre la oferta elegida por la agencia
+ * (`Request.selectedFlightOffer`): apartado con precio garantizado (HELD), re-cotización y emisión
+ * (TICKETING mientras se paga, luego TICKETED), cancelación y vencimiento de apartados. Cada tramo (`router_index`) tiene a lo más
+ * una reserva vigente. Los pasajeros se prellenan desde el perfil de viajero. Cuando todos los tramos quedan emitidos, la solicitud avanza con la
+ * transición `attend_agency` de la máquina de estados.
+ */
+import prisma from "../database/config/prisma.js";
+import TravelAgent from "../models/travelAgentModel.js";
+import { withRls } from "../database/config/rlsConnection.js";
+import { withTenantContext } from "../middleware/tenantContext.js";
+import { getFlightProviderByName, flightProviderNameForOffer } from "./flightProvider.js";
+import { attendTravelRequest } from "./travelAgentService.js";
+import { REQUEST_STATUS } from "./requestStateMachine.js";
+import { emitRequestUpdated, emitSafe } from "./requestEventService.js";
+import { createNotification } from "./notificationService.js";
+import { prefillPassengersForRequest } from "./travelerProfileService.js";
+
+const ACTIVE_STATUSES = ["HELD", "TICKETING", "TICKETED"];
+/** Diferencia mínima (en la moneda de la reserva) que se considera cambio de precio. */
+const PRICE_EPSILON = 0.005;
+const MAX_EXPIRY_BATCH = 200;
+
+/**
+ * @param {object} row - Fila de flight_bookings
+ * @returns {object} JSON serializable
+ */
+export function bookingToJson(row) {
+  return {
+    id: row.id.toString(),
+    requestId: row.requestId,
+    routerIndex: row.routerIndex,
+    provider: row.provider,
+    offerId: row.offerId,
+    providerOrderId: row.providerOrderId,
+    pnr: row.pnr ?? null,
+    status: row.status,
+    totalAmount: Number(row.totalAmount),
+    totalCurrency: row.totalCurrency,
+    priceLockExpiresAt: row.priceLockExpiresAt ?? null,
+    paymentRequiredBy: row.paymentRequiredBy ?? null,
+    passengers: row.passengers,
+    ticketNumbers: row.ticketNumbers ?? [],
+    lastError: row.lastError ?? null,
+    createdById: row.createdById ?? null,
+    createdAt: row.createdAt,
+    ticketedAt: row.ticketedAt ?? null,
+    cancelledAt: row.cancelledAt ?? null,
+  };
+}
+
+/**
+ * @param {string|null|undefined} iso
+ * @returns {Date|null}
+ */
+function toDateOrNull(iso) {
+  if (!iso) return null;
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Reserva de la organización del actor; la de otra organización responde 404 igual que una inexistente.
+ * @param {number|string} bookingId
+ * @param {bigint|number|string|null|undefined} organizationId
+ * @returns {Promise<object>}
+ */
+async function findBookingOr404(bookingId, organizationId) {
+  const id = /^\d+$/.test(String(bookingId)) ? BigInt(bookingId) : null;
+  const orgId = organizationId === null || organizationId === undefined ? null : BigInt(organizationId);
+  const booking = id && orgId !== null
+    ? await prisma.booking.findFirst({ where: { id, organizationId: orgId } })
+    : null;
+  if (!booking) throw { status: 404, message: "Reserva no encontrada" };
+  return booking;
+}
+
+/**
+ * @param {object} booking
+ * @returns {import("./mockFlightProvider.js").MockFlightProvider|import("./duffelFlightProvider.js").DuffelFlightProvider}
+ */
+function providerFor(booking) {
+  return getFlightProviderByName(booking.provider);
+}
+
+/**
+ * Reservas de la solicitud (vigentes e históricas), por tramo y más recientes primero.
+ * @param {number|string} requestId
+ * @returns {Promise<object[]>}
+ */
+export async function listRequestBookings(requestId) {
+  if (!(await TravelAgent.requestExists(requestId))) {
+    throw { status: 404, message: "Travel request not found" };
+  }
+  const rows = await prisma.booking.findMany({
+    where: { requestId: Number(requestId) },
+    orderBy: [{ routerIndex: "asc" }, { createdAt: "desc" }],
+  });
+  return rows.map(bookingToJson);
+}
+
+/**
+ * Reserva vigente (HELD/TICKETED) de un tramo, si existe.
+ * @param {number|string} requestId
+ * @param {number} routerIndex
+ * @returns {Promise<object|null>}
+ */
+export async function findActiveBooking(requestId, routerIndex) {
+  return prisma.booking.findFirst({
+    where: { requestId: Number(requestId), routerIndex: Number(routerIndex), status: { in: ACTIVE_STATUSES } },
+  });
+}
+
+/**
+ * Cancela en el proveedor un apartado que no quedó guardado. Si falla solo se registra: el apartado
+ * vence solo en el proveedor al pasar su plazo de pago.
+ * @param {string} providerName
+ * @param {import("./flightProvider.js").ProviderBooking} held
+ * @returns {Promise<void>}
+ */
+async function releaseProviderHold(providerName, held) {
+  try {
+    await getFlightProviderByName(providerName).cancel({ provider: providerName, ...held });
+  } catch (err) {
+    console.error(`[flightBooking] apartado ${held.providerOrderId} sin liberar en el proveedor:`, err?.message || err);
+  }
+}
+
+/**
+ * Aparta el tramo seleccionado en el proveedor y guarda la reserva HELD. Sin `passengers` se
+ * prellena al solicitante desde su perfil de viajero y se devuelven los avisos de pasaporte.
+ * @param {number|string} requestId
+ * @param {{ routerIndex?: number, passengers?: import("./flightProvider.js").BookingPassenger[] }} input
+ * @param {{ actorUserId?: number|null }} [actor]
+ * @returns {Promise<{ booking: object, warnings: Array<{ code: string, message: string }> }>}
+ */
+export async function holdFlight(requestId, { routerIndex = 0, passengers }, { actorUserId = null } = {}) {
+  const ctx = await TravelAgent.getFlightBookingContext(requestId);
+  if (!ctx) throw { status: 404, message: "Travel request not found" };
+  if (ctx.requestStatusId !== REQUEST_STATUS.ATENCION_AGENCIA) {
+    throw { status: 409, code: "REQUEST_NOT_IN_AGENCY", message: "Solo se reservan vuelos de solicitudes en Atención Agencia" };
+  }
+  const segment = ctx.segments.find((s) => Number(s.router_index) === Number(routerIndex));
+  if (!segment) {
+    throw { status: 409, code: "NO_SELECTED_OFFER", message: `No hay oferta de vuelo seleccionada para el tramo ${routerIndex}` };
+  }
+  const offer = segment.offer;
+  const offerExpiresAt = toDateOrNull(offer.expiresAt);
+  if (offerExpiresAt && offerExpiresAt <= new Date()) {
+    throw { status: 409, code: "OFFER_EXPIRED", message: "La oferta seleccionada expiró; vuelve a buscar vuelos." };
+  }
+  if (await findActiveBooking(requestId, routerIndex)) {
+    throw { status: 409, code: "BOOKING_EXISTS", message: `El tramo ${routerIndex} ya tiene una reserva vigente` };
+  }
+
+  let warnings = [];
+  if (!passengers?.length) {
+    const prefill = await prefillPassengersForRequest(requestId);
+    const incomplete = prefill.missing.filter((f) => f === "legal_given_name" || f === "legal_family_name");
+    if (incomplete.length) {
+      throw {
+        status: 400,
+        code: "PROFILE_INCOMPLETE",
+        message: `Captura los pasajeros o completa el perfil de viajero del solicitante (${incomplete.join(", ")}).`,
+      };
+    }
+    passengers = prefill.passengers;
+    warnings = prefill.warnings;
+  }
+
+  const providerName = flightProviderNameForOffer(offer);
+  const held = await getFlightProviderByName(providerName).createHold(offer, passengers);
+
+  let row;
+  try {
+    row = await prisma.booking.create({
+      data: {
+        organizationId: ctx.organizationId,
+        requestId: ctx.requestId,
+        routerIndex: Number(routerIndex),
+        provider: providerName,
+        offerId: String(offer.rawOfferId || offer.id),
+        providerOrderId: held.providerOrderId,
+        pnr: held.pnr,
+        status: "HELD",
+        totalAmount: held.totalAmount,
+        totalCurrency: held.totalCurrency,
+        priceLockExpiresAt: toDateOrNull(held.priceLockExpiresAt),
+        paymentRequiredBy: toDateOrNull(held.paymentRequiredBy),
+        passengers,
+        offerSnapshot: offer,
+        createdById: actorUserId,
+      },
+    });
+  } catch (err) {
+    // Sin fila nadie daría seguimiento al apartado: se libera en el proveedor.
+    await releaseProviderHold(providerName, held);
+    // Índice parcial único por tramo: otra petición apartó el mismo tramo en paralelo.
+    if (err?.code === "P2002") {
+      throw { status: 409, code: "BOOKING_EXISTS", message: `El tramo ${routerIndex} ya tiene una reserva vigente` };
+    }
+    throw err;
+  }
+
+  await emitSafe(() => emitRequestUpdated(ctx.requestId, { actorUserId }));
+  return { booking: bookingToJson(row), warnings };
+}
+
+/**
+ * Consulta el proveedor y alinea estado, localizador y precio de la reserva guardada.
+ * @param {object} booking - Fila de flight_bookings
+ * @returns {Promise<{ booking: object, current: import("./flightProvider.js").ProviderBooking }>}
+ */
+async function syncWithProvider(booking) {
+  const current = await providerFor(booking).getBooking(booking);
+  const data = {};
+  if (current.status !== booking.status) {
+    data.status = current.status;
+    if (current.status === "CANCELLED") data.cancelledAt = new Date();
+    if (current.status === "TICKETED") data.ticketedAt = new Date();
+  }
+  if (current.pnr && current.pnr !== booking.pnr) data.pnr = current.pnr;
+  if (current.ticketNumbers?.length) data.ticketNumbers = current.ticketNumbers;
+  const lock = toDateOrNull(current.priceLockExpiresAt);
+  if (lock && lock.getTime() !== booking.priceLockExpiresAt?.getTime()) data.priceLockExpiresAt = lock;
+
+  if (!Object.keys(data).length) return { booking, current };
+  const updated = await prisma.booking.update({ where: { id: booking.id }, data });
+  return { booking: updated, current };
+}
+
+/**
+ * Re-consulta la reserva en el proveedor.
+ * @param {number|string} bookingId
+ * @param {{ organizationId?: bigint|number|string|null }} [actor]
+ * @returns {Promise<object>}
+ */
+export async function refreshBooking(bookingId, { organizationId = null } = {}) {
+  const { booking } = await syncWithProvider(await findBookingOr404(bookingId, organizationId));
+  return bookingToJson(booking);
+}
+
+/**
+ * Avanza la solicitud si sigue en Atención Agencia y todos sus tramos de vuelo están emitidos.
+ * Un rechazo de la máquina de estados no revierte la emisión: se informa en la respuesta.
+ * @param {number} requestId
+ * @param {{ actorUserId?: number|null, permissionSet?: Set<string> }} actor
+ * @returns {Promise<{ advanced: boolean, newStatus?: number, pendingRouterIndexes?: number[], reason?: string }>}
+ */
+async function advanceRequestIfTicketed(requestId, actor) {
+  const ctx = await TravelAgent.getFlightBookingContext(requestId);
+  if (!ctx || ctx.requestStatusId !== REQUEST_STATUS.ATENCION_AGENCIA) return { advanced: false };
+
+  const ticketed = await prisma.booking.findMany({
+    where: { requestId: ctx.requestId, status: "TICKETED" },
+    select: { routerIndex: true },
+  });
+  const done = new Set(ticketed.map((b) => b.routerIndex));
+  const pending = ctx.segments.map((s) => Number(s.router_index)).filter((i) => !done.has(i));
+  if (pending.length) return { advanced: false, pendingRouterIndexes: pending };
+
+  try {
+    const { newStatus } = await attendTravelRequest(ctx.requestId, actor);
+    return { advanced: true, newStatus };
+  } catch (err) {
+    console.warn(`[flightBooking] solicitud ${ctx.requestId} emitida sin avanzar:`, err?.message || err);
+    return { advanced: false, reason: err?.message || "Transición no permitida" };
+  }
+}
+
+/**
+ * La emisión falló o quedó sin confirmar: guarda el error y alinea la reserva con el proveedor
+ * (vuelve a HELD si no se pagó, TICKETED si sí). Si el proveedor no responde se queda en
+ * TICKETING hasta que `refreshBooking` la alinee; así no se puede volver a pagar a ciegas.
+ * @param {object} booking - Fila en TICKETING
+ * @param {*} err
+ * @returns {Promise<void>}
+ */
+async function settleFailedTicketing(booking, err) {
+  const withError = await prisma.booking.update({
+    where: { id: booking.id },
+    data: { lastError: String(err?.message || err).slice(0, 1000) },
+  });
+  try {
+    await syncWithProvider(withError);
+  } catch (syncErr) {
+    console.warn(`[flightBooking] reserva ${booking.id} queda en TICKETING:`, syncErr?.message || syncErr);
+  }
+}
+
+/**
+ * Re-cotiza el apartado y emite los boletos. Si el precio cambió respecto al apartado se
+ * responde 409 PRICE_CHANGED con ambos montos, salvo que la agencia lo acepte explícitamente.
+ * Antes de pagar la reserva pasa de HELD a TICKETING con un update condicional: una segunda
+ * petición simultánea recibe 409 en lugar de pagar otra vez.
+ * @param {number|string} bookingId
+ * @param {{ acceptPriceChange?: boolean }} options
+ * @param {{ actorUserId?: number|null, permissionSet?: Set<string>, organizationId?: bigint|number|string|null }} [actor]
+ * @returns {Promise<{ booking: object, priceChanged: boolean, request: object }>}
+ */
+export async function ticketBooking(bookingId, { acceptPriceChange = false } = {}, actor = {}) {
+  const stored = await findBookingOr404(bookingId, actor.organizationId);
+  if (stored.status !== "HELD") {
+    throw { status: 409, code: "BOOKING_NOT_HELD", message: `La reserva está en estado ${stored.status}` };
+  }
+
+  const { booking, current } = await syncWithProvider(stored);
+  if (booking.status !== "HELD") {
+    throw { status: 409, code: `BOOKING_${booking.status}`, message: `La reserva está en estado ${booking.status}` };
+  }
+
+  const priceChanged = current.totalCurrency !== booking.totalCurrency
+    || Math.abs(current.totalAmount - Number(booking.totalAmount)) > PRICE_EPSILON;
+  if (priceChanged && !acceptPriceChange) {
+    throw {
+      status: 409,
+      code: "PRICE_CHANGED",
+      message: "El precio cambió desde el apartado; confirma con acceptPriceChange para emitir.",
+      details: {
+        held: { totalAmount: Number(booking.totalAmount), totalCurrency: booking.totalCurrency },
+        current: { totalAmount: current.totalAmount, totalCurrency: current.totalCurrency },
+      },
+    };
+  }
+
+  // Reclama el apartado: solo una petición pasa de HELD a TICKETING y llega a pagar.
+  const { count } = await prisma.booking.updateMany({
+    where: { id: booking.id, status: "HELD" },
+    data: { status: "TICKETING", lastError: null },
+  });
+  if (count === 0) {
+    throw { status: 409, code: "BOOKING_NOT_HELD", message: "La reserva ya se está emitiendo o cambió de estado" };
+  }
+  const claimed = { ...booking, status: "TICKETING" };
+
+  let ticketed;
+  try {
+    ticketed = await providerFor(booking).confirmBooking(booking, {
+      totalAmount: current.totalAmount,
+      totalCurrency: current.totalCurrency,
+    });
+  } catch (err) {
+    await settleFailedTicketing(claimed, err);
+    throw err;
+  }
+  if (ticketed.status !== "TICKETED") {
+    await settleFailedTicketing(claimed, "El proveedor no confirmó la emisión de boletos");
+    throw { status: 502, code: "TICKETING_PENDING", message: "El proveedor no confirmó la emisión de boletos" };
+  }
+
+  const updated = await prisma.booking.update({
+    where: { id: booking.id },
+    data: {
+      status: "TICKETED",
+      pnr: ticketed.pnr ?? booking.pnr,
+      ticketNumbers: ticketed.ticketNumbers ?? [],
+      totalAmount: ticketed.totalAmount,
+      totalCurrency: ticketed.totalCurrency,
+      ticketedAt: new Date(),
+      lastError: null,
+    },
+  });
+
+  const request = await advanceRequestIfTicketed(booking.requestId, actor);
+  if (!request.advanced) {
+    await emitSafe(() => emitRequestUpdated(booking.requestId, { actorUserId: actor.actorUserId ?? null }));
+  }
+  return { booking: bookingToJson(updated), priceChanged, request };
+}
+
+/**
+ * Cancela un apartado o boleto en el proveedor. No regresa la solicitud de estatus.
+ * @param {number|string} bookingId
+ * @param {{ actorUserId?: number|null, organizationId?: bigint|number|string|null }} [actor]
+ * @returns {Promise<object>}
+ */
+export async function cancelBooking(bookingId, { actorUserId = null, organizationId = null } = {}) {
+  const booking = await findBookingOr404(bookingId, organizationId);
+  if (!ACTIVE_STATUSES.includes(booking.status)) {
+    throw { status: 409, code: "BOOKING_NOT_ACTIVE", message: `La reserva está en estado ${booking.status}` };
+  }
+  if (booking.status === "TICKETING") {
+    throw { status: 409, code: "BOOKING_TICKETING", message: "La reserva se está emitiendo; consulta su estado antes de cancelar" };
+  }
+  const result = await providerFor(booking).cancel(booking);
+  const updated = await prisma.booking.update({
+    where: { id: booking.id },
+    data: {
+      status: result.status === "EXPIRED" ? "EXPIRED" : "CANCELLED",
+      cancelledAt: new Date(),
+      lastError: null,
+    },
+  });
+  await emitSafe(() => emitRequestUpdated(booking.requestId, { actorUserId }));
+  return bookingToJson(updated);
+}
+
+/**
+ * Job: revisa los apartados cuyo plazo de pago ya venció, los alinea con el proveedor, cancela en
+ * el proveedor los que siguen apartados y avisa a quien apartó. Si el proveedor no responde o no
+ * cancela, la reserva sigue HELD (con `lastError`) y la siguiente corrida lo reintenta.
+ * @param {Date} [now]
+ * @returns {Promise<{ scanned: number, expired: number, changed: number, failed: number }>}
+ */
+export async function expireStaleHolds(now = new Date()) {
+  const stale = await withRls(0, { bypass: true }, (tx) =>
+    tx.booking.findMany({
+      where: { status: "HELD", paymentRequiredBy: { lte: now } },
+      orderBy: { paymentRequiredBy: "asc" },
+      take: MAX_EXPIRY_BATCH,
+    })
+  );
+  const totals = { scanned: stale.length, expired: 0, changed: 0, failed: 0 };
+  for (const row of stale) {
+    try {
+      const updated = await withTenantContext({ organizationId: row.organizationId }, async () => {
+        let booking;
+        try {
+          ({ booking } = await syncWithProvider(row));
+        } catch (err) {
+          console.warn(`[flightBooking] reserva ${row.id}: proveedor sin respuesta:`, err?.message || err);
+          booking = row;
+        }
+        if (booking.status === "HELD") {
+          try {
+            await providerFor(booking).cancel(booking);
+          } catch (err) {
+            await prisma.booking.update({
+              where: { id: row.id },
+              data: { lastError: `Cancelación por vencimiento: ${err?.message || err}`.slice(0, 1000) },
+            });
+            throw err;
+          }
+          booking = await prisma.booking.update({
+            where: { id: row.id },
+            data: { status: "EXPIRED", cancelledAt: new Date(), lastError: null },
+          });
+        }
+        return booking;
+      });
+      if (updated.status !== row.status) totals.changed++;
+      if (updated.status === "EXPIRED") {
+        totals.expired++;
+        if (row.createdById) {
+          try {
+            await createNotification(
+              row.createdById,
+              `El apartado de vuelo ${row.pnr ?? row.providerOrderId} de la solicitud ${row.requestId} venció sin emitirse.`,
+            );
+          } catch (err) {
+            console.warn("[flightBooking] aviso no enviado:", err?.message || err);
+          }
+        }
+      }
+    } catch (err) {
+      totals.failed++;
+      console.error(`[flightBooking] reserva ${row.id}:`, err?.message || err);
+    }
+  }
+  return totals;
+}
+
+export default {
+  listRequestBookings,
+  findActiveBooking,
+  holdFlight,
+  refreshBooking,
+  ticketBooking,
+  cancelBooking,
+  expireStaleHolds,
+};
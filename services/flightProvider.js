@@ -1,5 +1,13 @@
 /**
  * Proveedor de vuelos: contrato común + selector por FLIGHT_PROVIDER (TF-010).
+ *
+ * Contrato:
+ *   searchOffers(params)                 → NormalizedFlightOffer[]
+ *   createHold(offer, passengers)        → ProviderBooking (HELD; aparta sin pagar)
+ *   confirmBooking(booking, price)       → ProviderBooking (TICKETED; paga el monto re-cotizado)
+ *   cancel(booking)                      → ProviderBooking (CANCELLED)
+ *   getBooking(booking)                  → ProviderBooking (estado y precio vigentes en el proveedor)
+ * Los errores de negocio salen como `{ status, message, code }` para que el servicio los propague.
  */
 
 import { MockFlightProvider } from "./mockFlightProvider.js";
@@ -26,6 +34,32 @@ import { DuffelFlightProvider } from "./duffelFlightProvider.js";
  * @property {number} totalAmount
  * @property {string} totalCurrency
  * @property {string} [rawOfferId] - id proveedor (Duffel offer id)
+ * @property {string} [expiresAt] - ISO; la oferta deja de poder apartarse después de esta fecha
+ */
+
+/**
+ * @typedef {Object} BookingPassenger
+ * @property {string} givenName
+ * @property {string} familyName
+ * @property {string} email
+ * @property {string} [bornOn] - YYYY-MM-DD (Duffel lo exige)
+ * @property {"m"|"f"} [gender]
+ * @property {string} [title] - mr | ms | mrs | miss | dr
+ * @property {string} [phoneNumber] - E.164
+ * @property {{ type: "passport", uniqueIdentifier: string, issuingCountryCode: string, expiresOn: string }} [identityDocument]
+ * @property {Array<{ airlineIataCode: string, accountNumber: string }>} [loyaltyProgrammeAccounts]
+ */
+
+/**
+ * @typedef {Object} ProviderBooking
+ * @property {string} providerOrderId
+ * @property {string|null} pnr - Localizador de la aerolínea (booking_reference)
+ * @property {"HELD"|"TICKETED"|"CANCELLED"|"EXPIRED"} status
+ * @property {number} totalAmount
+ * @property {string} totalCurrency
+ * @property {string|null} [priceLockExpiresAt] - ISO; hasta cuándo se respeta el precio del apartado
+ * @property {string|null} [paymentRequiredBy] - ISO; después se libera el apartado
+ * @property {string[]} [ticketNumbers]
  */
 
 /**
@@ -38,3 +72,23 @@ export function getFlightProvider() {
   }
   return new MockFlightProvider();
 }
+
+/**
+ * Proveedor que creó una reserva o una oferta. Las ofertas mock (id `mock-…`) pueden venir del
+ * fallback de búsqueda aunque FLIGHT_PROVIDER=duffel, así que siempre se apartan en el mock.
+ * @param {"mock"|"duffel"|string} name
+ * @returns {MockFlightProvider|DuffelFlightProvider}
+ */
+export function getFlightProviderByName(name) {
+  return name === "duffel" ? new DuffelFlightProvider() : new MockFlightProvider();
+}
+
+/**
+ * @param {import("./flightProvider.js").NormalizedFlightOffer} offer
+ * @returns {"mock"|"duffel"}
+ */
+export function flightProviderNameForOffer(offer) {
+  const id = String(offer?.rawOfferId || offer?.id || "");
+  if (id.startsWith("mock-")) return "mock";
+  return String(process.env.FLIGHT_PROVIDER || "mock").toLowerCase() === "duffel" ? "duffel" : "mock";
+}
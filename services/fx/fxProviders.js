@@ -0,0 +1,68 @@
+/**
+ * @module fx/fxProviders
+ * @description Adaptadores de proveedores de tipo de cambio que usa fxRateService. Cada proveedor
+ * expone `supports(base, quote)` y `fetchRange(base, quote, startYmd, endYmd)` →
+ * `[{ date: "YYYY-MM-DD", rate }]` ascendente; `rate` es cuántas unidades de `quote` vale una de `base`.
+ *   - banxico_fix: FIX USD/MXN (SF43718), histórico por rango.
+ *   - frankfurter: referencia BCE, cualquier par publicado, histórico por rango.
+ *   - wise: tasa de mercado en vivo; solo responde si el rango incluye hoy.
+ */
+import { fetchBanxicoUsdMxnFixingRange } from "../banxicoService.js";
+import { fetchFrankfurterRange } from "../fxPublicService.js";
+import exchangeRateService from "../exchangeRateService.js";
+
+/**
+ * @typedef {Object} FxProvider
+ * @property {string} name
+ * @property {boolean} historical - true si puede devolver fechas pasadas
+ * @property {(base: string, quote: string) => boolean} supports
+ * @property {(base: string, quote: string, startYmd: string, endYmd: string) => Promise<Array<{ date: string, rate: number }>>} fetchRange
+ */
+
+const todayYmd = () => new Date().toISOString().slice(0, 10);
+
+/** @type {FxProvider} */
+const banxicoFix = {
+  name: "banxico_fix",
+  historical: true,
+  supports: (base, quote) => base === "USD" && quote === "MXN",
+  fetchRange: (_base, _quote, startYmd, endYmd) => fetchBanxicoUsdMxnFixingRange(startYmd, endYmd),
+};
+
+/** @type {FxProvider} */
+const frankfurter = {
+  name: "frankfurter",
+  historical: true,
+  supports: () => true,
+  fetchRange: (base, quote, startYmd, endYmd) => fetchFrankfurterRange(base, quote, startYmd, endYmd),
+};
+
+/** @type {FxProvider} */
+const wise = {
+  name: "wise",
+  historical: false,
+  supports: () => Boolean(process.env.WISE_CLIENT_ID && process.env.WISE_CLIENT_SECRET),
+  fetchRange: async (base, quote, startYmd, endYmd) => {
+    const today = todayYmd();
+    if (today < startYmd || today > endYmd) return [];
+    const { rate } = await exchangeRateService.getWiseRate(base, quote);
+    const n = Number(rate);
+    return Number.isFinite(n) && n > 0 ? [{ date: today, rate: n }] : [];
+  },
+};
+
+const PROVIDERS = Object.freeze({
+  [banxicoFix.name]: banxicoFix,
+  [frankfurter.name]: frankfurter,
+  [wise.name]: wise,
+});
+
+/**
+ * @param {string} name
+ * @returns {FxProvider|null}
+ */
+export function getFxProvider(name) {
+  return PROVIDERS[name] ?? null;
+}
+
+export default { getFxProvider };
@@ -0,0 +1,328 @@
+/**
+ * @module fx/fxRateService
+ * @description Tipo de cambio único para toda la plataforma: /api/fx/convert, /api/exchange-rate,
+ * comprobantes internacionales, pólizas y cotización de viajes resuelven aquí.
+ *   - El tipo (FIX, SPOT, RECEIPT_DATE) elige la cadena de proveedores; cada organización puede
+ *     definir la suya en OrganizationFxSettings y, si no, aplica DEFAULT_FX_CHAINS.
+ *   - Cada publicación se guarda en `fx_rates` (global, por proveedor y fecha), así que la misma
+ *     fecha y tipo devuelven siempre la misma tasa aunque el proveedor cambie después.
+ *   - Toda conversión devuelve su procedencia (`provenance`) para guardarla junto al monto.
+ */
+import prisma from "../../database/config/prisma.js";
+import { getFxProvider } from "./fxProviders.js";
+import {
+  FX_RATE_TYPES,
+  FX_PROVIDERS,
+  DEFAULT_FX_CHAINS,
+  DEFAULT_FX_MAX_STALE_DAYS,
+} from "../../config/fxRates.js";
+
+/** Una fecha que el proveedor aún no publicaba se le vuelve a pedir como máximo cada hora. */
+const MISSING_RETRY_MS = 60 * 60 * 1000;
+const MAX_BACKFILL_DAYS = 366;
+
+/**
+ * @typedef {Object} FxProvenance
+ * @property {string} rateType - FIX | SPOT | RECEIPT_DATE
+ * @property {string} provider - proveedor de services/fx, "identity" (misma moneda) o "cfdi"
+ * @property {string} base
+ * @property {string} quote
+ * @property {number} rate - 1 `base` = rate `quote`
+ * @property {string} rateDate - fecha de publicación usada (YYYY-MM-DD)
+ * @property {string} requestedDate - fecha pedida (YYYY-MM-DD)
+ * @property {string|null} fetchedAt - ISO; cuándo se obtuvo del proveedor
+ * @property {boolean} fromCache
+ * @property {boolean} inverted - true si se derivó del par inverso
+ */
+
+/**
+ * @param {Date} [d]
+ * @returns {string}
+ */
+const toYmd = (d = new Date()) => d.toISOString().slice(0, 10);
+
+/**
+ * @param {string} ymd
+ * @param {number} days
+ * @returns {string}
+ */
+const addDays = (ymd, days) => {
+  const d = new Date(`${ymd}T00:00:00.000Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return toYmd(d);
+};
+
+/**
+ * @param {*} code
+ * @returns {string}
+ */
+function normalizeCurrency(code) {
+  const c = String(code || "").toUpperCase().trim();
+  if (!/^[A-Z]{3}$/.test(c)) {
+    throw { status: 400, code: "FX_INVALID_CURRENCY", message: `Moneda inválida: ${code}` };
+  }
+  return c;
+}
+
+/**
+ * @param {*} rateType
+ * @returns {string}
+ */
+function normalizeRateType(rateType) {
+  const t = String(rateType || "SPOT").toUpperCase();
+  if (!FX_RATE_TYPES.includes(t)) {
+    throw { status: 400, code: "FX_INVALID_RATE_TYPE", message: `rate_type debe ser uno de ${FX_RATE_TYPES.join(", ")}` };
+  }
+  return t;
+}
+
+/**
+ * @param {*} date - Date, ISO o YYYY-MM-DD; vacío = hoy
+ * @returns {string}
+ */
+function normalizeDate(date) {
+  if (date === undefined || date === null || date === "") return toYmd();
+  const ymd = date instanceof Date ? toYmd(date) : String(date).slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(ymd) || Number.isNaN(Date.parse(ymd))) {
+    throw { status: 400, code: "FX_INVALID_DATE", message: `Fecha inválida: ${date}` };
+  }
+  const today = toYmd();
+  return ymd > today ? today : ymd;
+}
+
+/**
+ * Cadena efectiva de la organización (o defaults) con sus días de tolerancia.
+ * @param {bigint|number|string|null|undefined} organizationId
+ * @returns {Promise<{ FIX: string[], SPOT: string[], RECEIPT_DATE: string[], maxStaleDays: number, custom: boolean }>}
+ */
+export async function getFxSettings(organizationId) {
+  const row = organizationId === null || organizationId === undefined
+    ? null
+    : await prisma.organizationFxSettings.findUnique({ where: { organizationId: BigInt(organizationId) } });
+  const pick = (list, type) => (list?.length ? [...list] : [...DEFAULT_FX_CHAINS[type]]);
+  return {
+    FIX: pick(row?.fixProviders, "FIX"),
+    SPOT: pick(row?.spotProviders, "SPOT"),
+    RECEIPT_DATE: pick(row?.receiptDateProviders, "RECEIPT_DATE"),
+    maxStaleDays: row?.maxStaleDays ?? DEFAULT_FX_MAX_STALE_DAYS,
+    custom: Boolean(row),
+  };
+}
+
+/**
+ * Guarda la cadena de la organización. Una lista vacía vuelve al default de ese tipo.
+ * @param {bigint|number|string} organizationId
+ * @param {{ FIX?: string[], SPOT?: string[], RECEIPT_DATE?: string[], maxStaleDays?: number }} input
+ * @returns {Promise<ReturnType<typeof getFxSettings>>}
+ */
+export async function upsertFxSettings(organizationId, input) {
+  const check = (list) => {
+    if (list === undefined) return undefined;
+    const unknown = list.filter((p) => !FX_PROVIDERS.includes(p));
+    if (unknown.length) {
+      throw { status: 400, code: "FX_UNKNOWN_PROVIDER", message: `Proveedores desconocidos: ${unknown.join(", ")}` };
+    }
+    return [...new Set(list)];
+  };
+  const data = {
+    fixProviders: check(input.FIX),
+    spotProviders: check(input.SPOT),
+    receiptDateProviders: check(input.RECEIPT_DATE),
+    maxStaleDays: input.maxStaleDays,
+  };
+  const orgId = BigInt(organizationId);
+  await prisma.organizationFxSettings.upsert({
+    where: { organizationId: orgId },
+    create: { organizationId: orgId, ...data },
+    update: data,
+  });
+  return getFxSettings(orgId);
+}
+
+/**
+ * Guarda las publicaciones que aún no existen. Una tasa guardada no se reescribe: las
+ * conversiones ya registradas con ella deben poder reproducirse.
+ * @param {Array<{ date: string, rate: number }>} rows
+ * @param {string} base
+ * @param {string} quote
+ * @param {string} provider
+ * @returns {Promise<number>} publicaciones nuevas
+ */
+async function storeRates(rows, base, quote, provider) {
+  const fetchedAt = new Date();
+  const { count } = await prisma.fxRate.createMany({
+    data: rows.map((row) => ({ base, quote, provider, rateDate: row.date, rate: row.rate, fetchedAt })),
+    skipDuplicates: true,
+  });
+  return count;
+}
+
+/**
+ * Una tasa guardada se usa sin consultar al proveedor si es de la fecha pedida, si se obtuvo
+ * después de esa fecha (ya no habrá publicación más nueva) o si la fecha aún no tenía publicación
+ * hace menos de una hora. Como una publicación guardada no se reescribe (`storeRates`), el SPOT del
+ * día queda fijo desde su primera consulta: todas las conversiones del día usan la misma tasa.
+ * @param {{ rateDate: string, fetchedAt: Date }} row
+ * @param {string} date
+ * @returns {boolean}
+ */
+function isSettled(row, date) {
+  return row.rateDate === date
+    || toYmd(row.fetchedAt) > date
+    || Date.now() - row.fetchedAt.getTime() < MISSING_RETRY_MS;
+}
+
+/**
+ * Última publicación de un proveedor en [date - maxStaleDays, date] para el par tal como lo
+ * publica el proveedor.
+ * @param {import("./fxProviders.js").FxProvider} provider
+ * @param {string} base
+ * @param {string} quote
+ * @param {string} date
+ * @param {number} maxStaleDays
+ * @returns {Promise<{ rate: number, rateDate: string, fetchedAt: Date, fromCache: boolean }|null>}
+ */
+async function resolveFromProvider(provider, base, quote, date, maxStaleDays) {
+  const since = addDays(date, -maxStaleDays);
+  const where = { base, quote, provider: provider.name, rateDate: { gte: since, lte: date } };
+  const cached = await prisma.fxRate.findFirst({ where, orderBy: { rateDate: "desc" } });
+  if (cached && isSettled(cached, date)) {
+    return { rate: Number(cached.rate), rateDate: cached.rateDate, fetchedAt: cached.fetchedAt, fromCache: true };
+  }
+  if (!provider.historical && date !== toYmd()) {
+    return cached
+      ? { rate: Number(cached.rate), rateDate: cached.rateDate, fetchedAt: cached.fetchedAt, fromCache: true }
+      : null;
+  }
+
+  try {
+    const rows = await provider.fetchRange(base, quote, since, date);
+    if (rows.length) {
+      await storeRates(rows, base, quote, provider.name);
+      const latest = rows[rows.length - 1];
+      // Si la fecha ya estaba guardada manda la tasa guardada, no la que el proveedor publica ahora.
+      const stored = await prisma.fxRate.findUnique({
+        where: { base_quote_provider_rateDate: { base, quote, provider: provider.name, rateDate: latest.date } },
+      });
+      return {
+        rate: stored ? Number(stored.rate) : latest.rate,
+        rateDate: latest.date,
+        fetchedAt: stored?.fetchedAt ?? new Date(),
+        fromCache: false,
+      };
+    }
+  } catch (e) {
+    console.warn(`fxRateService: ${provider.name} ${base}/${quote} no disponible:`, e?.message || e);
+  }
+  return cached
+    ? { rate: Number(cached.rate), rateDate: cached.rateDate, fetchedAt: cached.fetchedAt, fromCache: true }
+    : null;
+}
+
+/**
+ * Tipo de cambio `base` → `quote` del tipo pedido, recorriendo la cadena de la organización.
+ * @param {{ organizationId?: bigint|number|string|null, base: string, quote: string, rateType?: string, date?: Date|string|null }} params
+ * @returns {Promise<FxProvenance>}
+ * @throws {{ status: 503, code: "FX_RATE_UNAVAILABLE" }} si ningún proveedor de la cadena responde
+ */
+export async function getRate({ organizationId = null, base, quote, rateType = "SPOT", date = null }) {
+  const b = normalizeCurrency(base);
+  const q = normalizeCurrency(quote);
+  const type = normalizeRateType(rateType);
+  const requestedDate = normalizeDate(date);
+  if (b === q) {
+    return {
+      rateType: type, provider: "identity", base: b, quote: q, rate: 1,
+      rateDate: requestedDate, requestedDate, fetchedAt: null, fromCache: false, inverted: false,
+    };
+  }
+
+  const settings = await getFxSettings(organizationId);
+  for (const name of settings[type]) {
+    const provider = getFxProvider(name);
+    if (!provider) continue;
+    let inverted = false;
+    if (!provider.supports(b, q)) {
+      if (!provider.supports(q, b)) continue;
+      inverted = true;
+    }
+    const [pb, pq] = inverted ? [q, b] : [b, q];
+    const hit = await resolveFromProvider(provider, pb, pq, requestedDate, settings.maxStaleDays);
+    if (!hit) continue;
+    return {
+      rateType: type,
+      provider: name,
+      base: b,
+      quote: q,
+      rate: inverted ? 1 / hit.rate : hit.rate,
+      rateDate: hit.rateDate,
+      requestedDate,
+      fetchedAt: hit.fetchedAt.toISOString(),
+      fromCache: hit.fromCache,
+      inverted,
+    };
+  }
+
+  throw {
+    status: 503,
+    code: "FX_RATE_UNAVAILABLE",
+    message: `Tipo de cambio ${type} ${b}/${q} no disponible para ${requestedDate}`,
+    details: { rateType: type, base: b, quote: q, date: requestedDate, providers: settings[type] },
+  };
+}
+
+/**
+ * @param {{ organizationId?: bigint|number|string|null, amount: number, from: string, to: string, rateType?: string, date?: Date|string|null }} params
+ * @returns {Promise<{ from: string, to: string, amount: number, rate: number, converted: number, rateDate: string, fromCache: boolean, provenance: FxProvenance }>}
+ */
+export async function convert({ organizationId = null, amount, from, to, rateType = "SPOT", date = null }) {
+  const amt = Number(amount);
+  if (!Number.isFinite(amt) || amt < 0) {
+    throw { status: 400, code: "FX_INVALID_AMOUNT", message: "amount must be a non-negative number" };
+  }
+  const provenance = await getRate({ organizationId, base: from, quote: to, rateType, date });
+  return {
+    from: provenance.base,
+    to: provenance.quote,
+    amount: amt,
+    rate: provenance.rate,
+    converted: amt * provenance.rate,
+    rateDate: provenance.rateDate,
+    fromCache: provenance.fromCache,
+    provenance,
+  };
+}
+
+/**
+ * Descarga y guarda publicaciones históricas de un proveedor; las fechas ya guardadas no cambian.
+ * @param {{ base?: string, quote?: string, provider?: string, startDate: string, endDate?: string }} params
+ * @returns {Promise<{ provider: string, base: string, quote: string, startDate: string, endDate: string, stored: number }>}
+ */
+export async function backfillRates({ base = "USD", quote = "MXN", provider = "banxico_fix", startDate, endDate }) {
+  const b = normalizeCurrency(base);
+  const q = normalizeCurrency(quote);
+  const adapter = getFxProvider(provider);
+  if (!adapter) {
+    throw { status: 400, code: "FX_UNKNOWN_PROVIDER", message: `Proveedor desconocido: ${provider}` };
+  }
+  if (!adapter.historical) {
+    throw { status: 400, code: "FX_PROVIDER_NOT_HISTORICAL", message: `${provider} no publica histórico` };
+  }
+  if (!adapter.supports(b, q)) {
+    throw { status: 400, code: "FX_PAIR_NOT_SUPPORTED", message: `${provider} no publica ${b}/${q}` };
+  }
+  const start = normalizeDate(startDate);
+  const end = normalizeDate(endDate);
+  if (start > end) {
+    throw { status: 400, code: "FX_INVALID_DATE", message: "start_date debe ser anterior o igual a end_date" };
+  }
+  if (addDays(start, MAX_BACKFILL_DAYS) < end) {
+    throw { status: 400, code: "FX_RANGE_TOO_LARGE", message: `El rango no puede exceder ${MAX_BACKFILL_DAYS} días` };
+  }
+
+  const rows = await adapter.fetchRange(b, q, start, end);
+  const stored = await storeRates(rows, b, q, adapter.name);
+  return { provider: adapter.name, base: b, quote: q, startDate: start, endDate: end, stored };
+}
+
+export default { getRate, convert, backfillRates, getFxSettings, upsertFxSettings };
@@ -1,6 +1,7 @@
 /**
  * Conversión pública a MXN vía Frankfurter (ECB, sin API key).
- * Cache en memoria por día y par (from, to).
+ * Cache en memoria por día y par (from, to). También es el proveedor `frankfurter` de services/fx
+ * (histórico por rango de fechas).
  */
 /* global fetch */
 const cache = new Map();
@@ -73,3 +74,32 @@ export async function convertAmount(from, to, amount) {
     fromCache: had,
   };
 }
+
+/**
+ * Tasas de referencia del BCE publicadas entre dos fechas (días hábiles).
+ * @param {string} from - ISO 4217
+ * @param {string} to - ISO 4217
+ * @param {string} startYmd - YYYY-MM-DD
+ * @param {string} endYmd - YYYY-MM-DD
+ * @returns {Promise<Array<{ date: string, rate: number }>>} Ordenadas por fecha ascendente
+ */
+export async function fetchFrankfurterRange(from, to, startYmd, endYmd) {
+  const f = String(from || "").toUpperCase().trim();
+  const t = String(to || "").toUpperCase().trim();
+  if (!/^[A-Z]{3}$/.test(f) || !/^[A-Z]{3}$/.test(t)) {
+    throw new Error("Invalid currency codes");
+  }
+  const start = String(startYmd).slice(0, 10);
+  const end = String(endYmd).slice(0, 10);
+  const url = `https://api.frankfurter.app/${start}..${end}?from=${encodeURIComponent(f)}&to=${encodeURIComponent(t)}`;
+  const res = await fetch(url, { method: "GET" });
+  if (!res.ok) {
+    const text = await res.text().catch(() => "");
+    throw new Error(`FX provider error ${res.status}: ${text.slice(0, 200)}`);
+  }
+  const data = await res.json();
+  return Object.entries(data?.rates || {})
+    .map(([date, rates]) => ({ date, rate: Number(rates?.[t]) }))
+    .filter((row) => row.date >= start && row.date <= end && Number.isFinite(row.rate) && row.rate > 0)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
@@ -1,7 +1,7 @@
 /**
  * @module integrationResolver
  * @description Resuelve la configuración efectiva de una integración (SMTP, Wise, SAT,
- * Banxico, VAPID) para una org. Si la org tiene override en `organization_integrations`,
+ * Banxico, VAPID, almacenamiento, layout de export contable, roster de RH) para una org. Si la org tiene override en `organization_integrations`,
  * lo devuelve; si no, fallback a env vars (default Ditta-managed).
  *
  * El config en BD viaja encriptado con AES_SECRET_KEY usando el mismo helper que
@@ -19,7 +19,7 @@ const cache = new Map(); // key: `${organizationId}:${provider}` → { value, ex
 
 /**
  * @param {bigint|number|string} organizationId
- * @param {'SMTP'|'WISE'|'SAT'|'BANXICO'|'VAPID'} provider
+ * @param {'SMTP'|'WISE'|'SAT'|'BANXICO'|'VAPID'|'STORAGE'|'ERP_EXPORT'|'HR_SYNC'} provider
  * @returns {Promise<object>} Config descifrada (objeto JS).
  */
 export async function resolveIntegration(organizationId, provider) {
@@ -95,6 +95,20 @@ function getFallbackConfig(provider) {
         privateKey: process.env.VAPID_PRIVATE_KEY || null,
         mailto: process.env.VAPID_MAILTO || null,
       };
+    case "STORAGE":
+      return {
+        driver: process.env.STORAGE_DRIVER || "s3",
+      };
+    case "ERP_EXPORT":
+      return {
+        format: process.env.ERP_EXPORT_FORMAT || "json",
+      };
+    case "HR_SYNC":
+      // Sin fila por org no hay roster que leer: el job solo corre para orgs con integración activa.
+      return {
+        prefix: process.env.HR_SYNC_PREFIX || "hr-roster/",
+        maxDeactivationPct: Number(process.env.HR_SYNC_MAX_DEACTIVATION_PCT) || 10,
+      };
     default:
       return {};
   }
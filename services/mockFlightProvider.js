@@ -1,6 +1,23 @@
 /**
  * Tres vuelos estáticos (fallback demo / FLIGHT_PROVIDER=mock).
+ * Las reservas no guardan estado propio: se derivan de la fila `flight_bookings` que recibe cada método.
  */
+import crypto from "node:crypto";
+
+/** Minutos que la oferta mock puede apartarse después de la búsqueda. */
+const MOCK_OFFER_TTL_MIN = 30;
+/** Minutos de precio garantizado y horas para pagar un apartado mock. */
+const MOCK_PRICE_LOCK_MIN = 20;
+const MOCK_PAYMENT_WINDOW_H = 24;
+
+/**
+ * Localizador de 6 caracteres al estilo de las aerolíneas (sin 0/O ni 1/I).
+ * @returns {string}
+ */
+function mockPnr() {
+  const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  return Array.from(crypto.randomBytes(6), (b) => alphabet[b % alphabet.length]).join("");
+}
 
 /**
  *
@@ -17,6 +34,7 @@ export class MockFlightProvider {
     const returnDate = params.returnDate ? String(params.returnDate) : "";
     const pax = Math.max(1, Math.min(9, Number(params.passengers) || 1));
     const roundTrip = returnDate && returnDate > date;
+    const expiresAt = new Date(Date.now() + MOCK_OFFER_TTL_MIN * 60000).toISOString();
 
     const offers = [
       {
@@ -58,6 +76,7 @@ export class MockFlightProvider {
     ].map((o) => ({
       ...o,
       id: `${o.id}-${origin}-${dest}${roundTrip ? "-rt" : ""}`,
+      expiresAt,
       ...(roundTrip
         ? {
             durationLabel: `${o.durationLabel} (ida y vuelta)`,
@@ -68,4 +87,68 @@ export class MockFlightProvider {
 
     return offers;
   }
+
+  /**
+   * @param {import("./flightProvider.js").NormalizedFlightOffer} offer
+   * @param {import("./flightProvider.js").BookingPassenger[]} _passengers
+   * @returns {Promise<import("./flightProvider.js").ProviderBooking>}
+   */
+  async createHold(offer, _passengers) {
+    const now = Date.now();
+    return {
+      providerOrderId: `mock-ord-${crypto.randomUUID()}`,
+      pnr: mockPnr(),
+      status: "HELD",
+      totalAmount: Number(offer.totalAmount),
+      totalCurrency: offer.totalCurrency || "MXN",
+      priceLockExpiresAt: new Date(now + MOCK_PRICE_LOCK_MIN * 60000).toISOString(),
+      paymentRequiredBy: new Date(now + MOCK_PAYMENT_WINDOW_H * 3600000).toISOString(),
+      ticketNumbers: [],
+    };
+  }
+
+  /**
+   * El precio mock no cambia; el apartado vence al pasar `paymentRequiredBy`.
+   * @param {object} booking - Fila de flight_bookings
+   * @returns {Promise<import("./flightProvider.js").ProviderBooking>}
+   */
+  async getBooking(booking) {
+    const expired = booking.status === "HELD"
+      && booking.paymentRequiredBy
+      && new Date(booking.paymentRequiredBy) <= new Date();
+    return {
+      providerOrderId: booking.providerOrderId,
+      pnr: booking.pnr ?? null,
+      status: expired ? "EXPIRED" : booking.status,
+      totalAmount: Number(booking.totalAmount),
+      totalCurrency: booking.totalCurrency,
+      priceLockExpiresAt: booking.priceLockExpiresAt ? new Date(booking.priceLockExpiresAt).toISOString() : null,
+      paymentRequiredBy: booking.paymentRequiredBy ? new Date(booking.paymentRequiredBy).toISOString() : null,
+      ticketNumbers: booking.ticketNumbers ?? [],
+    };
+  }
+
+  /**
+   * @param {object} booking - Fila de flight_bookings
+   * @param {{ totalAmount: number, totalCurrency: string }} price
+   * @returns {Promise<import("./flightProvider.js").ProviderBooking>}
+   */
+  async confirmBooking(booking, price) {
+    const pax = Math.max(1, Array.isArray(booking.passengers) ? booking.passengers.length : 1);
+    return {
+      ...(await this.getBooking(booking)),
+      status: "TICKETED",
+      totalAmount: Number(price.totalAmount),
+      totalCurrency: price.totalCurrency,
+      ticketNumbers: Array.from({ length: pax }, () => `999${crypto.randomInt(1e9, 1e10)}`),
+    };
+  }
+
+  /**
+   * @param {object} booking - Fila de flight_bookings
+   * @returns {Promise<import("./flightProvider.js").ProviderBooking>}
+   */
+  async cancel(booking) {
+    return { ...(await this.getBooking(booking)), status: "CANCELLED" };
+  }
 }
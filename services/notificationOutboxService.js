@@ -0,0 +1,625 @@
+/**
+ * @module notificationOutboxService
+ * @description Outbox transaccional de notificaciones. Los cambios de estatus escriben el evento
+ * (`notification_outbox`) en su misma transacción; el worker (scheduler/notificationOutboxJob) lo
+ * expande en entregas por canal (`notification_deliveries`: correo, web push, in-app) y las envía
+ * con backoff exponencial. Cada entrega guarda intentos, último error, código de respuesta e id
+ * del proveedor; las suscripciones push que responden 404/410 se eliminan.
+ *
+ * Los registros se reclaman con `updateMany` sobre el estatus leído (y un lease en `lockedUntil`),
+ * así que varias réplicas pueden drenar el outbox sin enviar dos veces; un reclamo vencido (worker
+ * caído) se retoma en la siguiente pasada.
+ */
+import prisma from "../database/config/prisma.js";
+import { withRls } from "../database/config/rlsConnection.js";
+import { withTenantContext } from "../middleware/tenantContext.js";
+import { decrypt } from "../middleware/decryption.js";
+import { sendMail } from "./email/mail.cjs";
+import { sendPushNotification, isPushConfigured } from "./webPushService.js";
+import { emitNotificationCreated, emitSafe } from "./requestEventService.js";
+
+const CLAIM_BATCH = 50;
+const CLAIM_LEASE_MS = 5 * 60 * 1000;
+const BACKOFF_BASE_MS = Number(process.env.NOTIFICATION_BACKOFF_BASE_MS) || 60 * 1000;
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+const INAPP_MAX_LENGTH = 255;
+const MAX_PAGE = 200;
+
+/** Intentos por evento y por entrega antes de quedar FAILED. */
+export const MAX_ATTEMPTS = Number(process.env.NOTIFICATION_MAX_ATTEMPTS) || 6;
+
+/** Acción del historial → evento del outbox (VOTO y REASIGNADO no notifican). */
+const WORKFLOW_EVENTS = {
+  APROBADO: "request.approved",
+  ESCALADO: "request.escalated",
+  RECHAZADO: "request.rejected",
+};
+
+/** Respuestas del servicio push que no tiene caso reintentar (además de 404/410). */
+const PUSH_PERMANENT_STATUS = new Set([400, 401, 403, 413]);
+
+/**
+ * @param {number} attempts - Intentos ya hechos (≥ 1)
+ * @returns {number} Espera antes del siguiente: 1 min, 2, 4, 8… hasta 6 h
+ */
+export function backoffDelayMs(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_MS);
+}
+
+/**
+ * @param {string} message
+ * @param {{ permanent?: boolean, gone?: boolean, statusCode?: number|null }} [flags]
+ * @returns {Error & { permanent: boolean, gone: boolean, statusCode: number|null }}
+ */
+function deliveryError(message, { permanent = false, gone = false, statusCode = null } = {}) {
+  return Object.assign(new Error(message), { permanent, gone, statusCode });
+}
+
+// ── Escritura (dentro de la transacción del cambio de estatus) ────────────────
+
+/**
+ * Registra un evento en el outbox. Debe recibir el cliente de la transacción que hace el cambio
+ * de estatus para que ambos se confirmen (o se descarten) juntos.
+ * @param {import("@prisma/client").Prisma.TransactionClient} tx
+ * @param {{ organizationId: bigint|number|string, eventCode: string, requestId?: number|null, payload?: object }} event
+ * @returns {Promise<Object>} Fila de notification_outbox
+ */
+export async function enqueueOutboxEvent(tx, { organizationId, eventCode, requestId = null, payload = {} }) {
+  return tx.notificationOutbox.create({
+    data: {
+      organizationId: BigInt(organizationId),
+      eventCode,
+      requestId: requestId === null ? null : Number(requestId),
+      payload,
+    },
+  });
+}
+
+/**
+ * Evento de workflow según la acción que se registró en solicitud_historial.
+ * @param {import("@prisma/client").Prisma.TransactionClient} tx
+ * @param {{ organizationId: bigint|number|string, requestId: number, accion: string, actorUserId: number, comentario?: string|null }} action
+ * @returns {Promise<Object|null>} null si la acción no notifica
+ */
+export async function enqueueWorkflowEvent(tx, { organizationId, requestId, accion, actorUserId, comentario = null }) {
+  const eventCode = WORKFLOW_EVENTS[accion];
+  if (!eventCode) return null;
+  let payload = {};
+  if (accion === "APROBADO") payload = { approverUserId: Number(actorUserId) };
+  if (accion === "RECHAZADO") payload = { reason: comentario ?? null };
+  return enqueueOutboxEvent(tx, { organizationId, eventCode, requestId, payload });
+}
+
+/**
+ * Una entrega PUSH por suscripción registrada del usuario.
+ * @param {{ organizationId: bigint|number|string, userId: number, body: string, templateCode?: string|null }} message
+ * @returns {Promise<Object[]>} Borradores de notification_deliveries
+ */
+export async function pushDeliveryDrafts({ organizationId, userId, body, templateCode = null }) {
+  const subscriptions = await prisma.pushSubscription.findMany({
+    where: { userId: Number(userId) },
+    select: { id: true },
+  });
+  return subscriptions.map((sub) => ({
+    organizationId: BigInt(organizationId),
+    userId: Number(userId),
+    channel: "PUSH",
+    templateCode,
+    body,
+    pushSubscriptionId: sub.id,
+    maxAttempts: MAX_ATTEMPTS,
+  }));
+}
+
+/**
+ * Encola el push de un aviso directo (fuera de un evento del outbox).
+ * @param {{ organizationId: bigint|number|string, userId: number, body: string, templateCode?: string|null }} message
+ * @returns {Promise<number>} Entregas creadas
+ */
+export async function enqueuePushDeliveries(message) {
+  const drafts = await pushDeliveryDrafts(message);
+  if (!drafts.length) return 0;
+  const { count } = await prisma.notificationDelivery.createMany({ data: drafts });
+  kickNotificationOutbox();
+  return count;
+}
+
+// ── Drenado inmediato ─────────────────────────────────────────────────────────
+
+let drainRunner = null;
+let draining = null;
+let drainAgain = false;
+
+/**
+ * El worker se registra al cargar (scheduler/notificationOutboxJob) para que los servicios puedan
+ * pedir un drenado sin importar el job.
+ * @param {() => Promise<unknown>} runner
+ */
+export function registerOutboxDrain(runner) {
+  drainRunner = runner;
+}
+
+/**
+ * Drena el outbox en segundo plano tras confirmar una escritura, sin esperar al cron. Si ya hay
+ * un drenado en curso se repite al terminar. Los errores solo se registran; el cron reintenta.
+ */
+export function kickNotificationOutbox() {
+  if (!drainRunner) return;
+  if (draining) {
+    drainAgain = true;
+    return;
+  }
+  draining = Promise.resolve()
+    .then(() => drainRunner())
+    .catch((err) => console.error("notificationOutbox:", err?.message || err))
+    .finally(() => {
+      draining = null;
+      if (drainAgain) {
+        drainAgain = false;
+        kickNotificationOutbox();
+      }
+    });
+}
+
+// ── Worker ────────────────────────────────────────────────────────────────────
+
+/**
+ * Reclama hasta `limit` filas vencidas: PENDING con `nextAttemptAt` cumplido o en proceso con el
+ * lease vencido. Cada reclamo suma un intento.
+ * @param {"notificationOutbox"|"notificationDelivery"} delegate
+ * @param {{ pending: string, inFlight: string }} statuses
+ * @param {Date} now
+ * @param {number} limit
+ * @param {Object} [include]
+ * @returns {Promise<Object[]>}
+ */
+async function claimDue(delegate, { pending, inFlight }, now, limit, include = undefined) {
+  return withRls(0, { bypass: true }, async (tx) => {
+    const due = await tx[delegate].findMany({
+      where: {
+        OR: [
+          { status: pending, nextAttemptAt: { lte: now } },
+          { status: inFlight, lockedUntil: { lt: now } },
+        ],
+      },
+      orderBy: { nextAttemptAt: "asc" },
+      take: limit,
+      ...(include ? { include } : {}),
+    });
+    const claimed = [];
+    for (const row of due) {
+      const { count } = await tx[delegate].updateMany({
+        where: { id: row.id, status: row.status, lockedUntil: row.lockedUntil },
+        data: {
+          status: inFlight,
+          lockedUntil: new Date(now.getTime() + CLAIM_LEASE_MS),
+          attempts: { increment: 1 },
+        },
+      });
+      if (count === 1) claimed.push({ ...row, status: inFlight, attempts: row.attempts + 1 });
+    }
+    return claimed;
+  });
+}
+
+/**
+ * Expande un evento reclamado (dentro del contexto de su organización) y registra el resultado.
+ * @param {Object} event
+ * @param {Record<string, (event: Object) => Promise<Object[]>>} handlers
+ * @param {Date} now
+ * @returns {Promise<{ outcome: "dispatched"|"retried"|"failed", deliveries: number }>}
+ */
+async function dispatchEvent(event, handlers, now) {
+  try {
+    const handler = Object.hasOwn(handlers, event.eventCode) ? handlers[event.eventCode] : null;
+    if (!handler) throw deliveryError(`Evento sin handler: ${event.eventCode}`, { permanent: true });
+    const drafts = await handler(event);
+    await prisma.$transaction(async (tx) => {
+      if (drafts.length) {
+        await tx.notificationDelivery.createMany({
+          data: drafts.map((d) => ({ maxAttempts: MAX_ATTEMPTS, ...d, outboxId: event.id })),
+        });
+      }
+      await tx.notificationOutbox.update({
+        where: { id: event.id },
+        data: { status: "DISPATCHED", dispatchedAt: new Date(), lockedUntil: null, lastError: null },
+      });
+    });
+    return { outcome: "dispatched", deliveries: drafts.length };
+  } catch (err) {
+    const failed = err?.permanent || event.attempts >= MAX_ATTEMPTS;
+    await prisma.notificationOutbox.update({
+      where: { id: event.id },
+      data: {
+        status: failed ? "FAILED" : "PENDING",
+        lockedUntil: null,
+        nextAttemptAt: new Date(now.getTime() + backoffDelayMs(event.attempts)),
+        lastError: String(err?.message ?? err).slice(0, 2000),
+      },
+    });
+    console.warn(`[notificationOutbox] evento ${event.id} (${event.eventCode}):`, err?.message || err);
+    return { outcome: failed ? "failed" : "retried", deliveries: 0 };
+  }
+}
+
+/**
+ * Expande los eventos vencidos en entregas. `handlers[eventCode]` regresa los borradores de
+ * entrega; se guardan junto con el cambio a DISPATCHED en una transacción, así un reintento del
+ * evento no duplica entregas.
+ * @param {Record<string, (event: Object) => Promise<Object[]>>} handlers
+ * @param {{ now?: Date, limit?: number }} [options]
+ * @returns {Promise<{ events: number, dispatched: number, deliveries: number, retried: number, failed: number }>}
+ */
+export async function dispatchDueEvents(handlers, { now = new Date(), limit = CLAIM_BATCH } = {}) {
+  const events = await claimDue("notificationOutbox", { pending: "PENDING", inFlight: "PROCESSING" }, now, limit);
+  const totals = { events: events.length, dispatched: 0, deliveries: 0, retried: 0, failed: 0 };
+
+  for (const event of events) {
+    try {
+      const { outcome, deliveries } = await withTenantContext({ organizationId: event.organizationId }, () =>
+        dispatchEvent(event, handlers, now));
+      totals[outcome] += 1;
+      totals.deliveries += deliveries;
+    } catch (err) {
+      // Falló hasta el registro del error: el lease vence y la siguiente pasada lo retoma.
+      console.error(`[notificationOutbox] evento ${event.id}:`, err?.message || err);
+    }
+  }
+  return totals;
+}
+
+/**
+ * @param {Object} delivery - Fila de notification_deliveries
+ * @returns {Promise<{ providerMessageId: string|null, statusCode: number|null }>}
+ */
+async function sendEmail(delivery) {
+  const user = await prisma.user.findUnique({ where: { userId: delivery.userId }, select: { email: true } });
+  if (!user?.email) throw deliveryError("El usuario ya no existe o no tiene correo", { permanent: true });
+  let to;
+  try {
+    to = decrypt(user.email);
+  } catch {
+    throw deliveryError("No se pudo desencriptar el correo del usuario", { permanent: true });
+  }
+  try {
+    const { messageId } = await sendMail({
+      to,
+      subject: delivery.subject ?? "Notificación de viáticos",
+      html: delivery.html ?? delivery.body,
+    });
+    return { providerMessageId: messageId, statusCode: 250 };
+  } catch (err) {
+    const statusCode = Number(err?.responseCode) || null;
+    // 5xx SMTP = buzón inexistente o rechazo de política; sin credenciales tampoco tiene caso reintentar.
+    const permanent = err?.code === "MAIL_NOT_CONFIGURED" || (statusCode !== null && statusCode >= 500);
+    throw deliveryError(err?.message ?? "Error SMTP", { permanent, statusCode });
+  }
+}
+
+/**
+ * @param {Object} delivery - Fila con `pushSubscription` incluida
+ * @returns {Promise<{ providerMessageId: string|null, statusCode: number|null }>}
+ */
+async function sendPush(delivery) {
+  if (!delivery.pushSubscription) {
+    throw deliveryError("La suscripción push ya no existe", { gone: true });
+  }
+  if (!isPushConfigured()) throw deliveryError("VAPID_PUBLIC_KEY/VAPID_PRIVATE_KEY no configuradas", { permanent: true });
+  try {
+    const { statusCode, messageId } = await sendPushNotification(delivery.pushSubscription, delivery.body);
+    return { providerMessageId: messageId, statusCode };
+  } catch (err) {
+    const statusCode = Number(err?.statusCode) || null;
+    if (statusCode === 404 || statusCode === 410) {
+      throw deliveryError(`El servicio push respondió ${statusCode}: suscripción vencida`, { gone: true, statusCode });
+    }
+    throw deliveryError(err?.body || err?.message || "Error de web push", {
+      permanent: PUSH_PERMANENT_STATUS.has(statusCode),
+      statusCode,
+    });
+  }
+}
+
+/**
+ * La notificación in-app y el SENT de la entrega se escriben juntos: un reintento no duplica la
+ * campana.
+ * @param {Object} delivery
+ * @returns {Promise<Object>} Notification creada
+ */
+async function sendInApp(delivery) {
+  const notification = await prisma.$transaction(async (tx) => {
+    const created = await tx.notification.create({
+      data: {
+        userId: delivery.userId,
+        organizationId: delivery.organizationId,
+        message: delivery.body.slice(0, INAPP_MAX_LENGTH),
+      },
+    });
+    await tx.notificationDelivery.update({
+      where: { id: delivery.id },
+      data: {
+        status: "SENT",
+        sentAt: new Date(),
+        lockedUntil: null,
+        lastError: null,
+        providerMessageId: String(created.notificationId),
+      },
+    });
+    return created;
+  });
+  await emitSafe(() => emitNotificationCreated(notification));
+  return notification;
+}
+
+/**
+ * Envía una entrega reclamada por su canal y registra el resultado. Un 404/410 del servicio push
+ * elimina la suscripción y cancela la entrega.
+ * @param {Object} delivery
+ * @param {Date} now
+ * @returns {Promise<"sent"|"retried"|"failed"|"cancelled">}
+ */
+async function deliverOne(delivery, now) {
+  try {
+    if (delivery.channel === "INAPP") {
+      await sendInApp(delivery);
+      return "sent";
+    }
+    const { providerMessageId, statusCode } = delivery.channel === "EMAIL"
+      ? await sendEmail(delivery)
+      : await sendPush(delivery);
+    await prisma.notificationDelivery.update({
+      where: { id: delivery.id },
+      data: {
+        status: "SENT",
+        sentAt: new Date(),
+        lockedUntil: null,
+        lastError: null,
+        providerMessageId: providerMessageId ? String(providerMessageId).slice(0, 255) : null,
+        lastStatusCode: statusCode,
+      },
+    });
+    return "sent";
+  } catch (err) {
+    let status = "PENDING";
+    if (err?.gone) status = "CANCELLED";
+    else if (err?.permanent || delivery.attempts >= delivery.maxAttempts) status = "FAILED";
+
+    if (err?.gone && delivery.pushSubscriptionId) {
+      await prisma.pushSubscription.deleteMany({ where: { id: delivery.pushSubscriptionId } });
+    }
+    await prisma.notificationDelivery.update({
+      where: { id: delivery.id },
+      data: {
+        status,
+        lockedUntil: null,
+        nextAttemptAt: new Date(now.getTime() + backoffDelayMs(delivery.attempts)),
+        lastStatusCode: err?.statusCode ?? null,
+        lastError: String(err?.message ?? err).slice(0, 2000),
+      },
+    });
+    if (status === "CANCELLED") return "cancelled";
+    console.warn(`[notificationOutbox] entrega ${delivery.id} (${delivery.channel}):`, err?.message || err);
+    return status === "FAILED" ? "failed" : "retried";
+  }
+}
+
+/**
+ * Envía las entregas vencidas.
+ * @param {{ now?: Date, limit?: number }} [options]
+ * @returns {Promise<{ deliveries: number, sent: number, retried: number, failed: number, cancelled: number, pruned: number }>}
+ */
+export async function deliverDue({ now = new Date(), limit = CLAIM_BATCH } = {}) {
+  const deliveries = await claimDue(
+    "notificationDelivery",
+    { pending: "PENDING", inFlight: "SENDING" },
+    now,
+    limit,
+    { pushSubscription: true },
+  );
+  const totals = { deliveries: deliveries.length, sent: 0, retried: 0, failed: 0, cancelled: 0, pruned: 0 };
+
+  for (const delivery of deliveries) {
+    try {
+      const outcome = await withTenantContext({ organizationId: delivery.organizationId }, () =>
+        deliverOne(delivery, now));
+      totals[outcome] += 1;
+      if (outcome === "cancelled" && delivery.pushSubscriptionId) totals.pruned += 1;
+    } catch (err) {
+      console.error(`[notificationOutbox] entrega ${delivery.id}:`, err?.message || err);
+    }
+  }
+  return totals;
+}
+
+// ── Admin ─────────────────────────────────────────────────────────────────────
+
+/**
+ * @param {Object} row - NotificationOutbox (con `_count.deliveries` opcional)
+ * @returns {Object}
+ */
+export function serializeEvent(row) {
+  return {
+    id: row.id.toString(),
+    eventCode: row.eventCode,
+    requestId: row.requestId ?? null,
+    payload: row.payload ?? {},
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.nextAttemptAt,
+    lastError: row.lastError ?? null,
+    dispatchedAt: row.dispatchedAt ?? null,
+    createdAt: row.createdAt,
+    ...(row._count ? { deliveryCount: row._count.deliveries } : {}),
+  };
+}
+
+/**
+ * @param {Object} row - NotificationDelivery
+ * @param {boolean} [withContent] - Incluye el HTML del correo
+ * @returns {Object}
+ */
+export function serializeDelivery(row, withContent = false) {
+  return {
+    id: row.id.toString(),
+    outboxId: row.outboxId?.toString() ?? null,
+    userId: row.userId,
+    channel: row.channel,
+    status: row.status,
+    templateCode: row.templateCode ?? null,
+    subject: row.subject ?? null,
+    body: row.body,
+    ...(withContent ? { html: row.html ?? null } : {}),
+    pushSubscriptionId: row.pushSubscriptionId ?? null,
+    attempts: row.attempts,
+    maxAttempts: row.maxAttempts,
+    nextAttemptAt: row.nextAttemptAt,
+    providerMessageId: row.providerMessageId ?? null,
+    lastStatusCode: row.lastStatusCode ?? null,
+    lastError: row.lastError ?? null,
+    sentAt: row.sentAt ?? null,
+    createdAt: row.createdAt,
+  };
+}
+
+/**
+ * @param {unknown} limit
+ * @returns {number}
+ */
+const pageSize = (limit) => Math.min(Math.max(Number(limit) || 50, 1), MAX_PAGE);
+
+/**
+ * @param {bigint|number|string} organizationId
+ * @param {{ status?: string|null, eventCode?: string|null, requestId?: number|null, limit?: number }} [filters]
+ * @returns {Promise<Object[]>} Más recientes primero
+ */
+export async function listEvents(organizationId, { status = null, eventCode = null, requestId = null, limit = 50 } = {}) {
+  const rows = await prisma.notificationOutbox.findMany({
+    where: {
+      organizationId: BigInt(organizationId),
+      ...(status ? { status } : {}),
+      ...(eventCode ? { eventCode } : {}),
+      ...(requestId ? { requestId: Number(requestId) } : {}),
+    },
+    include: { _count: { select: { deliveries: true } } },
+    orderBy: { createdAt: "desc" },
+    take: pageSize(limit),
+  });
+  return rows.map((row) => serializeEvent(row));
+}
+
+/**
+ * @param {bigint|number|string} organizationId
+ * @param {{ status?: string|null, channel?: string|null, userId?: number|null, requestId?: number|null, outboxId?: string|number|null, limit?: number }} [filters]
+ * @returns {Promise<Object[]>} Más recientes primero
+ */
+export async function listDeliveries(
+  organizationId,
+  { status = null, channel = null, userId = null, requestId = null, outboxId = null, limit = 50 } = {},
+) {
+  const rows = await prisma.notificationDelivery.findMany({
+    where: {
+      organizationId: BigInt(organizationId),
+      ...(status ? { status } : {}),
+      ...(channel ? { channel } : {}),
+      ...(userId ? { userId: Number(userId) } : {}),
+      ...(outboxId ? { outboxId: BigInt(outboxId) } : {}),
+      ...(requestId ? { outbox: { requestId: Number(requestId) } } : {}),
+    },
+    orderBy: { createdAt: "desc" },
+    take: pageSize(limit),
+  });
+  return rows.map((row) => serializeDelivery(row));
+}
+
+/**
+ * @param {bigint|number|string} organizationId
+ * @param {string|number} deliveryId
+ * @returns {Promise<Object>}
+ * @throws {{ status: 404, message: string }}
+ */
+async function findDelivery(organizationId, deliveryId) {
+  const row = await prisma.notificationDelivery.findFirst({
+    where: { id: BigInt(deliveryId), organizationId: BigInt(organizationId) },
+    include: { outbox: true },
+  });
+  if (!row) throw { status: 404, message: "Entrega no encontrada" };
+  return row;
+}
+
+/**
+ * @param {bigint|number|string} organizationId
+ * @param {string|number} deliveryId
+ * @returns {Promise<Object>} Entrega con el HTML y el evento que la originó
+ */
+export async function getDelivery(organizationId, deliveryId) {
+  const row = await findDelivery(organizationId, deliveryId);
+  return { ...serializeDelivery(row, true), event: row.outbox ? serializeEvent(row.outbox) : null };
+}
+
+/**
+ * Vuelve a poner en cola una entrega FAILED con sus intentos en cero.
+ * @param {bigint|number|string} organizationId
+ * @param {string|number} deliveryId
+ * @returns {Promise<Object>}
+ * @throws {{ status: number, message: string }} 404, 409 si no está FAILED o su suscripción push ya no existe
+ */
+export async function retryDelivery(organizationId, deliveryId) {
+  const row = await findDelivery(organizationId, deliveryId);
+  if (row.status !== "FAILED") {
+    throw { status: 409, message: `Solo se reintentan entregas FAILED (esta está ${row.status})` };
+  }
+  if (row.channel === "PUSH" && row.pushSubscriptionId === null) {
+    throw { status: 409, message: "La suscripción push de esta entrega ya no existe" };
+  }
+  const { count } = await prisma.notificationDelivery.updateMany({
+    where: { id: row.id, status: "FAILED" },
+    data: { status: "PENDING", attempts: 0, nextAttemptAt: new Date(), lockedUntil: null },
+  });
+  if (count === 0) throw { status: 409, message: "La entrega cambió mientras se reintentaba" };
+  kickNotificationOutbox();
+  return serializeDelivery({ ...row, status: "PENDING", attempts: 0, nextAttemptAt: new Date() });
+}
+
+/**
+ * Vuelve a poner en cola un evento FAILED (p. ej. la solicitud no se pudo leer).
+ * @param {bigint|number|string} organizationId
+ * @param {string|number} eventId
+ * @returns {Promise<Object>}
+ * @throws {{ status: number, message: string }} 404, 409 si no está FAILED
+ */
+export async function retryEvent(organizationId, eventId) {
+  const row = await prisma.notificationOutbox.findFirst({
+    where: { id: BigInt(eventId), organizationId: BigInt(organizationId) },
+  });
+  if (!row) throw { status: 404, message: "Evento no encontrado" };
+  if (row.status !== "FAILED") {
+    throw { status: 409, message: `Solo se reintentan eventos FAILED (este está ${row.status})` };
+  }
+  const { count } = await prisma.notificationOutbox.updateMany({
+    where: { id: row.id, status: "FAILED" },
+    data: { status: "PENDING", attempts: 0, nextAttemptAt: new Date(), lockedUntil: null },
+  });
+  if (count === 0) throw { status: 409, message: "El evento cambió mientras se reintentaba" };
+  kickNotificationOutbox();
+  return serializeEvent({ ...row, status: "PENDING", attempts: 0, nextAttemptAt: new Date() });
+}
+
+export default {
+  MAX_ATTEMPTS,
+  backoffDelayMs,
+  enqueueOutboxEvent,
+  enqueueWorkflowEvent,
+  pushDeliveryDrafts,
+  enqueuePushDeliveries,
+  registerOutboxDrain,
+  kickNotificationOutbox,
+  dispatchDueEvents,
+  deliverDue,
+  serializeEvent,
+  serializeDelivery,
+  listEvents,
+  listDeliveries,
+  getDelivery,
+  retryDelivery,
+  retryEvent,
+};
@@ -4,11 +4,13 @@
  * Provides CRUD for notifications and preference upsert/read.
  */
 import prisma from "../database/config/prisma.js";
-import { sendPushToUser } from "./webPushService.js";
+import { enqueuePushDeliveries } from "./notificationOutboxService.js";
+import { emitNotificationCreated, emitSafe } from "./requestEventService.js";
 
 /**
  * Creates an in-app notification for a user.
- * Respects `appNotif` and `browserNotif` preferences when available.
+ * Respects `appNotif` and `browserNotif` preferences when available; the web push copy
+ * is queued in the notification outbox and delivered with retries.
  *
  * @param {number} userId - Target user ID
  * @param {string} message - Notification message text
@@ -27,13 +29,20 @@ export async function createNotification(userId, message) {
     notification = await prisma.notification.create({
       data: { userId, message },
     });
+    await emitSafe(() => emitNotificationCreated(notification));
   }
 
   if (browserEnabled) {
     try {
-      await sendPushToUser(userId, message);
+      const organizationId = notification?.organizationId ?? (await prisma.user.findUnique({
+        where: { userId },
+        select: { organizationId: true },
+      }))?.organizationId;
+      if (organizationId) {
+        await enqueuePushDeliveries({ organizationId, userId, body: message });
+      }
     } catch (err) {
-      console.error("Web push failed for user", userId, err);
+      console.error("Web push enqueue failed for user", userId, err);
     }
   }
 
@@ -88,7 +97,7 @@ export async function getUnreadCount(userId) {
  */
 export async function getPreferences(userId) {
   const pref = await prisma.userPreference.findUnique({ where: { userId } });
-  return pref || { userId, emailNotif: true, appNotif: true, browserNotif: true };
+  return pref || { userId, emailNotif: true, appNotif: true, browserNotif: true, locale: null };
 }
 
 /**
@@ -99,6 +108,7 @@ export async function getPreferences(userId) {
  * @param {boolean} [data.emailNotif] - Email notification toggle
  * @param {boolean} [data.appNotif] - In-app notification toggle
  * @param {boolean} [data.browserNotif] - Browser push notification toggle
+ * @param {string|null} [data.locale] - Notification locale (es-MX, en…); null follows the organization default
  * @returns {Promise<Object>} Upserted UserPreference record
  */
 export async function upsertPreferences(userId, data) {
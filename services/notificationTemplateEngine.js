@@ -0,0 +1,418 @@
+/**
+ * @module notificationTemplateEngine
+ * @description Lenguaje de plantillas de notificación. Solo lee variables del contexto: no evalúa
+ * código, no llama métodos y no sale de las propiedades propias de los objetos.
+ *
+ *   {{ request.requestedFee | currency }}      variable con filtros (escapada en modo html)
+ *   {{#if reason}} … {{else}} … {{/if}}        también `{{#unless x}}` y comparaciones
+ *   {{#if status == "Rechazado"}} … {{/if}}      (==, !=, >, <, >=, <=) contra literal o variable
+ *   {{#each routes as route}} {{loop.index}}. {{route.destination}} {{else}} sin tramos {{/each}}
+ *   {{! comentario }}
+ *
+ * Filtros: currency[:moneda], number[:decimales], date[:"short"|"long"], upper, lower,
+ * default:"texto", truncate:n. La moneda por defecto es `currency` del contexto o MXN; los
+ * formatos usan el locale de la plantilla.
+ */
+
+const MAX_TEMPLATE_LENGTH = 20000;
+const MAX_DEPTH = 8;
+const MAX_LOOP_ITEMS = 100;
+const MAX_OUTPUT_LENGTH = 200000;
+const BLOCKED_SEGMENTS = new Set(["__proto__", "prototype", "constructor"]);
+const COMPARATORS = ["==", "!=", ">=", "<=", ">", "<"];
+
+/** Texto HTML ya renderizado que no se vuelve a escapar (p. ej. `content` en el layout). */
+export class SafeHtml {
+  /** @param {string} html */
+  constructor(html) {
+    this.html = String(html ?? "");
+  }
+
+  /** @returns {string} */
+  toString() {
+    return this.html;
+  }
+}
+
+/**
+ * @param {string} message
+ * @returns {{ status: 400, code: "TEMPLATE_SYNTAX", message: string }}
+ */
+const syntaxError = (message) => ({ status: 400, code: "TEMPLATE_SYNTAX", message });
+
+/**
+ * @param {unknown} value
+ * @returns {string}
+ */
+export const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// ── Expresiones ────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {{ type: "literal", value: string|number|boolean|null } | { type: "path", segments: string[] }} Operand
+ * @typedef {{ name: string, args: Operand[] }} FilterCall
+ * @typedef {{ operand: Operand, filters: FilterCall[] }} Expression
+ * @typedef {{ left: Expression, op?: string, right?: Expression }} Condition
+ */
+
+const TOKEN_RE = /\s*(?:("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(-?\d+(?:\.\d+)?)|(==|!=|>=|<=|>|<|\||:|,)|([A-Za-z_][\w.]*))/y;
+
+/**
+ * @param {string} source
+ * @returns {Array<{ kind: "string"|"number"|"op"|"ident", text: string }>}
+ */
+function tokenizeExpression(source) {
+  const tokens = [];
+  let rest = source.trim();
+  while (rest.length) {
+    TOKEN_RE.lastIndex = 0;
+    const m = TOKEN_RE.exec(rest);
+    if (!m) throw syntaxError(`Expresión inválida cerca de '${rest.slice(0, 20)}'`);
+    if (m[1] !== undefined) tokens.push({ kind: "string", text: m[1].slice(1, -1).replace(/\\(.)/g, "$1") });
+    else if (m[2] !== undefined) tokens.push({ kind: "number", text: m[2] });
+    else if (m[3] !== undefined) tokens.push({ kind: "op", text: m[3] });
+    else tokens.push({ kind: "ident", text: m[4] });
+    rest = rest.slice(m[0].length).trimStart();
+  }
+  return tokens;
+}
+
+/**
+ * @param {{ kind: string, text: string }} token
+ * @returns {Operand}
+ */
+function toOperand(token) {
+  if (!token) throw syntaxError("Falta un valor en la expresión");
+  if (token.kind === "string") return { type: "literal", value: token.text };
+  if (token.kind === "number") return { type: "literal", value: Number(token.text) };
+  if (token.kind !== "ident") throw syntaxError(`Se esperaba un valor y llegó '${token.text}'`);
+  if (token.text === "true" || token.text === "false") return { type: "literal", value: token.text === "true" };
+  if (token.text === "null") return { type: "literal", value: null };
+  const segments = token.text.split(".");
+  if (segments.some((s) => !s || BLOCKED_SEGMENTS.has(s))) {
+    throw syntaxError(`Variable no permitida: ${token.text}`);
+  }
+  return { type: "path", segments };
+}
+
+/**
+ * Lee `valor | filtro:arg,arg | …` desde `tokens[start]` hasta un comparador o el final.
+ * @param {Array<{ kind: string, text: string }>} tokens
+ * @param {number} start
+ * @returns {{ expression: Expression, next: number }}
+ */
+function readExpression(tokens, start) {
+  let i = start;
+  const operand = toOperand(tokens[i++]);
+  const filters = [];
+  while (tokens[i]?.text === "|") {
+    const name = tokens[i + 1];
+    if (name?.kind !== "ident" || !FILTERS[name.text]) {
+      throw syntaxError(`Filtro desconocido: ${name?.text ?? "(vacío)"}`);
+    }
+    i += 2;
+    const args = [];
+    if (tokens[i]?.text === ":") {
+      i += 1;
+      args.push(toOperand(tokens[i++]));
+      while (tokens[i]?.text === ",") {
+        i += 1;
+        args.push(toOperand(tokens[i++]));
+      }
+    }
+    filters.push({ name: name.text, args });
+  }
+  return { expression: { operand, filters }, next: i };
+}
+
+/**
+ * @param {string} source
+ * @returns {Expression}
+ */
+function parseExpression(source) {
+  const tokens = tokenizeExpression(source);
+  const { expression, next } = readExpression(tokens, 0);
+  if (next !== tokens.length) throw syntaxError(`Sobra texto en la expresión '${source.trim()}'`);
+  return expression;
+}
+
+/**
+ * @param {string} source
+ * @returns {Condition}
+ */
+function parseCondition(source) {
+  const tokens = tokenizeExpression(source);
+  const { expression: left, next } = readExpression(tokens, 0);
+  if (next === tokens.length) return { left };
+  const op = tokens[next]?.text;
+  if (!COMPARATORS.includes(op)) throw syntaxError(`Comparador inválido en '${source.trim()}'`);
+  const { expression: right, next: end } = readExpression(tokens, next + 1);
+  if (end !== tokens.length) throw syntaxError(`Sobra texto en la condición '${source.trim()}'`);
+  return { left, op, right };
+}
+
+// ── Filtros ───────────────────────────────────────────────────────────────────
+
+/**
+ * @param {unknown} value
+ * @returns {number|null}
+ */
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+/**
+ * @param {unknown} value
+ * @returns {Date|null}
+ */
+const toDate = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const d = value instanceof Date ? value : new Date(String(value));
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+
+const DATE_STYLES = { short: "short", long: "long" };
+
+/** @type {Record<string, (value: unknown, args: unknown[], ctx: { locale: string, currency: string }) => unknown>} */
+const FILTERS = {
+  currency: (value, [code], ctx) => {
+    const n = toNumber(value);
+    if (n === null) return "";
+    const currency = String(code || ctx.currency || "MXN").toUpperCase();
+    try {
+      return new Intl.NumberFormat(ctx.locale, { style: "currency", currency }).format(n);
+    } catch {
+      return `${n.toFixed(2)} ${currency}`;
+    }
+  },
+  number: (value, [decimals], ctx) => {
+    const n = toNumber(value);
+    if (n === null) return "";
+    const d = Math.min(Math.max(Number(decimals ?? 2) || 0, 0), 6);
+    return new Intl.NumberFormat(ctx.locale, { minimumFractionDigits: d, maximumFractionDigits: d }).format(n);
+  },
+  // Las fechas de viaje son @db.Date (medianoche UTC): se formatean en UTC para no correr el día.
+  date: (value, [style], ctx) => {
+    const d = toDate(value);
+    if (!d) return "";
+    return new Intl.DateTimeFormat(ctx.locale, { dateStyle: DATE_STYLES[style] ?? "medium", timeZone: "UTC" }).format(d);
+  },
+  upper: (value) => String(value ?? "").toUpperCase(),
+  lower: (value) => String(value ?? "").toLowerCase(),
+  default: (value, [fallback]) =>
+    value === null || value === undefined || value === "" || (Array.isArray(value) && value.length === 0) ? fallback : value,
+  truncate: (value, [length]) => {
+    const text = String(value ?? "");
+    const max = Math.max(Number(length) || 0, 1);
+    return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+  },
+};
+
+export const FILTER_NAMES = Object.keys(FILTERS);
+
+// ── Plantilla ─────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {{ type: "text", text: string }
+ *   | { type: "output", expression: Expression }
+ *   | { type: "if", condition: Condition, negate: boolean, then: Node[], otherwise: Node[] }
+ *   | { type: "each", expression: Expression, alias: string, body: Node[], otherwise: Node[] }} Node
+ */
+
+const TAG_RE = /\{\{([\s\S]*?)\}\}/g;
+
+/**
+ * Compila la plantilla; lanza error 400 con el detalle si la sintaxis no es válida.
+ * @param {string} source
+ * @returns {Node[]}
+ * @throws {{ status: 400, code: "TEMPLATE_SYNTAX", message: string }}
+ */
+export function compileTemplate(source) {
+  const text = String(source ?? "");
+  if (text.length > MAX_TEMPLATE_LENGTH) {
+    throw syntaxError(`La plantilla excede ${MAX_TEMPLATE_LENGTH} caracteres`);
+  }
+
+  const root = { type: "root", children: [] };
+  /** @type {Array<{ node: any, branch: Node[], kind: string }>} */
+  const stack = [{ node: root, branch: root.children, kind: "root" }];
+  const top = () => stack[stack.length - 1];
+
+  let last = 0;
+  for (const match of text.matchAll(TAG_RE)) {
+    if (match.index > last) top().branch.push({ type: "text", text: text.slice(last, match.index) });
+    last = match.index + match[0].length;
+    const tag = match[1].trim();
+
+    if (tag.startsWith("!")) continue;
+
+    const open = /^#(if|unless|each)\s+([\s\S]+)$/.exec(tag);
+    if (open) {
+      if (stack.length > MAX_DEPTH) throw syntaxError(`Más de ${MAX_DEPTH} bloques anidados`);
+      let node;
+      if (open[1] === "each") {
+        const each = /^([\s\S]+?)\s+as\s+([A-Za-z_]\w*)$/.exec(open[2].trim());
+        if (!each) throw syntaxError("Usa {{#each lista as elemento}}");
+        if (BLOCKED_SEGMENTS.has(each[2]) || each[2] === "loop") throw syntaxError(`Alias no permitido: ${each[2]}`);
+        node = { type: "each", expression: parseExpression(each[1]), alias: each[2], body: [], otherwise: [] };
+        top().branch.push(node);
+        stack.push({ node, branch: node.body, kind: "each" });
+      } else {
+        node = { type: "if", condition: parseCondition(open[2]), negate: open[1] === "unless", then: [], otherwise: [] };
+        top().branch.push(node);
+        stack.push({ node, branch: node.then, kind: open[1] });
+      }
+      continue;
+    }
+
+    if (tag === "else") {
+      const frame = top();
+      if (frame.kind === "root") throw syntaxError("{{else}} fuera de un bloque");
+      if (frame.branch === frame.node.otherwise) throw syntaxError("{{else}} repetido");
+      frame.branch = frame.node.otherwise;
+      continue;
+    }
+
+    const close = /^\/(if|unless|each)$/.exec(tag);
+    if (close) {
+      if (top().kind !== close[1]) throw syntaxError(`{{/${close[1]}}} no corresponde al bloque abierto`);
+      stack.pop();
+      continue;
+    }
+
+    if (/^[#/]/.test(tag)) throw syntaxError(`Bloque desconocido: {{${tag}}}`);
+    top().branch.push({ type: "output", expression: parseExpression(tag) });
+  }
+  if (last < text.length) top().branch.push({ type: "text", text: text.slice(last) });
+  if (stack.length > 1) throw syntaxError(`Falta cerrar {{#${top().kind}}}`);
+  return root.children;
+}
+
+/**
+ * @param {Array<Record<string, unknown>>} scopes
+ * @param {string[]} segments
+ * @returns {unknown}
+ */
+function lookup(scopes, segments) {
+  const [head, ...rest] = segments;
+  const scope = [...scopes].reverse().find((s) => s && Object.hasOwn(s, head));
+  let value = scope ? scope[head] : undefined;
+  for (const segment of rest) {
+    if (value === null || value === undefined) return undefined;
+    if (Array.isArray(value)) {
+      value = segment === "length" ? value.length : /^\d+$/.test(segment) ? value[Number(segment)] : undefined;
+    } else if (typeof value === "object" && !(value instanceof Date) && Object.hasOwn(value, segment)) {
+      value = value[segment];
+    } else {
+      return undefined;
+    }
+  }
+  return typeof value === "function" ? undefined : value;
+}
+
+/**
+ * @param {Expression} expression
+ * @param {Array<Record<string, unknown>>} scopes
+ * @param {{ locale: string, currency: string }} ctx
+ * @returns {unknown}
+ */
+function evaluate(expression, scopes, ctx) {
+  const resolve = (operand) => (operand.type === "literal" ? operand.value : lookup(scopes, operand.segments));
+  return expression.filters.reduce(
+    (value, f) => FILTERS[f.name](value, f.args.map(resolve), ctx),
+    resolve(expression.operand),
+  );
+}
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+const truthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+/**
+ * @param {Condition} condition
+ * @param {Array<Record<string, unknown>>} scopes
+ * @param {{ locale: string, currency: string }} ctx
+ * @returns {boolean}
+ */
+function checkCondition(condition, scopes, ctx) {
+  const left = evaluate(condition.left, scopes, ctx);
+  if (!condition.op) return truthy(left);
+  const right = evaluate(condition.right, scopes, ctx);
+  const [a, b] = toNumber(left) !== null && toNumber(right) !== null ? [Number(left), Number(right)] : [String(left ?? ""), String(right ?? "")];
+  switch (condition.op) {
+    case "==": return a === b;
+    case "!=": return a !== b;
+    case ">": return a > b;
+    case "<": return a < b;
+    case ">=": return a >= b;
+    default: return a <= b;
+  }
+}
+
+/**
+ * @param {unknown} value
+ * @param {boolean} html
+ * @returns {string}
+ */
+function stringify(value, html) {
+  if (value instanceof SafeHtml) return html ? value.html : value.html.replace(/<[^>]*>/g, "");
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === "object") return "";
+  return html ? escapeHtml(value) : String(value);
+}
+
+/**
+ * Renderiza una plantilla (texto o ya compilada) contra `vars`.
+ * @param {string|Node[]} template
+ * @param {Record<string, unknown>} vars
+ * @param {{ mode?: "text"|"html", locale?: string, currency?: string }} [options]
+ * @returns {string}
+ * @throws {{ status: 400, code: "TEMPLATE_SYNTAX", message: string }} Sintaxis inválida o salida demasiado grande
+ */
+export function renderTemplate(template, vars, { mode = "text", locale = "es-MX", currency } = {}) {
+  const nodes = typeof template === "string" ? compileTemplate(template) : template;
+  const html = mode === "html";
+  const ctx = { locale, currency: currency ?? (typeof vars?.currency === "string" ? vars.currency : "MXN") };
+  const out = [];
+  let size = 0;
+  const emit = (chunk) => {
+    size += chunk.length;
+    if (size > MAX_OUTPUT_LENGTH) throw syntaxError("La plantilla genera demasiado texto");
+    out.push(chunk);
+  };
+
+  const walk = (list, scopes) => {
+    for (const node of list) {
+      if (node.type === "text") emit(node.text);
+      else if (node.type === "output") emit(stringify(evaluate(node.expression, scopes, ctx), html));
+      else if (node.type === "if") {
+        const pass = checkCondition(node.condition, scopes, ctx) !== node.negate;
+        walk(pass ? node.then : node.otherwise, scopes);
+      } else {
+        const value = evaluate(node.expression, scopes, ctx);
+        const items = Array.isArray(value) ? value.slice(0, MAX_LOOP_ITEMS) : [];
+        if (!items.length) walk(node.otherwise, scopes);
+        items.forEach((item, i) => {
+          const loop = { index: i + 1, first: i === 0, last: i === items.length - 1 };
+          walk(node.body, [...scopes, { [node.alias]: item, loop }]);
+        });
+      }
+    }
+  };
+
+  walk(nodes, [vars ?? {}]);
+  return out.join("");
+}
+
+export default { compileTemplate, renderTemplate, escapeHtml, SafeHtml, FILTER_NAMES };
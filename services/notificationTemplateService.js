@@ -0,0 +1,597 @@
+/**
+ * @module notificationTemplateService
+ * @description Plantillas de notificación por organización. Resuelve la plantilla por la cadena de
+ * locales del destinatario (p. ej. es-MX → es → en), la renderiza con notificationTemplateEngine y
+ * envuelve los correos en el layout HTML de la organización (logo de `Organization.logoUrl`).
+ * También expone el CRUD del admin, el layout y la vista previa contra una solicitud real.
+ */
+import prisma from "../database/config/prisma.js";
+import { compileTemplate, renderTemplate, SafeHtml, FILTER_NAMES } from "./notificationTemplateEngine.js";
+
+export const DEFAULT_LOCALE = "es-MX";
+const LAST_RESORT_LOCALE = "en";
+export const CHANNELS = ["EMAIL", "INAPP"];
+
+/** Mensajes por defecto si la org aún no tiene plantilla INAPP/EMAIL en BD (en es-MX). */
+export const FALLBACK_TEMPLATES = {
+  "request.submitted": {
+    INAPP: "Tu solicitud #{{requestId}} fue enviada para revisión.",
+    EMAIL: {
+      subject: "Tu solicitud de viáticos fue enviada",
+      body: "Hola {{userName}}, tu solicitud #{{requestId}} fue enviada para revisión.",
+    },
+  },
+  "request.approved": {
+    INAPP: "Tu solicitud #{{requestId}} fue aprobada por {{approverName}}.",
+    EMAIL: {
+      subject: "Tu solicitud fue aprobada",
+      body: "Tu solicitud #{{requestId}} fue aprobada por {{approverName}}.",
+    },
+  },
+  "request.rejected": {
+    INAPP: "Tu solicitud #{{requestId}} fue rechazada. Motivo: {{reason}}.",
+    EMAIL: {
+      subject: "Tu solicitud fue rechazada",
+      body: "Tu solicitud #{{requestId}} fue rechazada. Motivo: {{reason}}.",
+    },
+  },
+  "request.escalated": {
+    INAPP: "La solicitud #{{requestId}} de {{userName}} requiere tu aprobación (N2).",
+    EMAIL: {
+      subject: "Solicitud escalada — requiere tu aprobación",
+      body:
+        "Hola {{approverName}}, la solicitud #{{requestId}} de {{userName}} fue escalada y requiere tu revisión.",
+    },
+  },
+  "request.awaiting_approval": {
+    INAPP: "Nueva solicitud #{{requestId}} de {{userName}} pendiente de tu aprobación.",
+    EMAIL: {
+      subject: "Nueva solicitud de viáticos pendiente de aprobación",
+      body:
+        "Hola {{approverName}}, tienes una nueva solicitud #{{requestId}} de {{userName}} pendiente de revisión.",
+    },
+  },
+  "reimbursement.paid": {
+    INAPP: "Se depositó tu reembolso de {{amount | currency:currency}} del viaje #{{requestId}} (rastreo {{trackingKey}}).",
+    EMAIL: {
+      subject: "Tu reembolso de viáticos fue depositado",
+      body:
+        "Depositamos {{amount | currency:currency}} por SPEI a tu cuenta con terminación {{clabeLast4}} " +
+        "como reembolso del viaje #{{requestId}}. Clave de rastreo: {{trackingKey}}.",
+    },
+  },
+};
+
+/**
+ * Variables propias de cada código (además de las de la solicitud) con el valor de ejemplo que usa
+ * la vista previa.
+ */
+const CODE_VARIABLES = {
+  "request.submitted": {},
+  "request.approved": { approverName: "Nombre del aprobador" },
+  "request.rejected": { reason: "Motivo del rechazo" },
+  "request.escalated": { approverName: "Nombre del aprobador" },
+  "request.awaiting_approval": { approverName: "Nombre del aprobador" },
+  "reimbursement.paid": { amount: 1250.5, clabeLast4: "1234", trackingKey: "SPEI0000000001" },
+  "receipt.expired": {},
+};
+
+/** Variables que toda notificación de solicitud recibe (ver `requestTemplateVars`). */
+const REQUEST_VARIABLES = [
+  "requestId", "userName", "status", "currency", "organization.name",
+  "request.tripName", "request.requestedFee", "request.imposedFee", "request.tripEndDate", "request.creationDate",
+  "routes[].origin", "routes[].destination", "routes[].originCity", "routes[].originCountry",
+  "routes[].destinationCity", "routes[].destinationCountry", "routes[].beginningDate", "routes[].endingDate",
+  "routes[].planeNeeded", "routes[].hotelNeeded",
+];
+
+/**
+ * Layout por defecto. `content` llega ya renderizado; el resto se escapa.
+ */
+export const DEFAULT_EMAIL_LAYOUT = `<div style="font-family:Arial,Helvetica,sans-serif;max-width:600px;margin:0 auto;color:#1f2937">
+  {{#if organization.logoUrl}}<p><img src="{{organization.logoUrl}}" alt="{{organization.name}}" style="max-height:48px"/></p>{{/if}}
+  <p>Hola <strong>{{userName}}</strong>,</p>
+  {{content}}
+  <p>Puedes ingresar al portal para revisar los detalles.</p>
+  {{#if organization.name}}<p style="color:#6b7280;font-size:12px">{{organization.name}} · {{year}}</p>{{/if}}
+</div>`;
+
+/** Campos de la solicitud que necesitan las variables de plantilla. */
+export const REQUEST_CONTEXT_SELECT = {
+  requestId: true,
+  organizationId: true,
+  userId: true,
+  workflowPreSnapshot: true,
+  requestStatusId: true,
+  tripName: true,
+  requestedFee: true,
+  imposedFee: true,
+  tripEndDate: true,
+  creationDate: true,
+  requestStatus: { select: { status: true } },
+  user: { select: { userName: true } },
+  organization: { select: { nombre: true, baseCurrency: true } },
+  routeRequests: {
+    select: {
+      route: {
+        select: {
+          routerIndex: true,
+          beginningDate: true,
+          endingDate: true,
+          planeNeeded: true,
+          hotelNeeded: true,
+          originCity: { select: { cityName: true } },
+          originCountry: { select: { countryName: true } },
+          destinationCity: { select: { cityName: true } },
+          destinationCountry: { select: { countryName: true } },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * @param {string|null|undefined} city
+ * @param {string|null|undefined} country
+ * @returns {string}
+ */
+const place = (city, country) => [city, country].filter(Boolean).join(", ");
+
+/**
+ * Variables comunes de una solicitud cargada con REQUEST_CONTEXT_SELECT.
+ * @param {Object} ctx
+ * @returns {Record<string, unknown>}
+ */
+export function requestTemplateVars(ctx) {
+  const routes = (ctx.routeRequests || [])
+    .map((rr) => rr.route)
+    .filter(Boolean)
+    .sort((a, b) => (a.routerIndex ?? 0) - (b.routerIndex ?? 0))
+    .map((r, i) => ({
+      index: i + 1,
+      originCity: r.originCity?.cityName ?? null,
+      originCountry: r.originCountry?.countryName ?? null,
+      origin: place(r.originCity?.cityName, r.originCountry?.countryName),
+      destinationCity: r.destinationCity?.cityName ?? null,
+      destinationCountry: r.destinationCountry?.countryName ?? null,
+      destination: place(r.destinationCity?.cityName, r.destinationCountry?.countryName),
+      beginningDate: r.beginningDate ?? null,
+      endingDate: r.endingDate ?? null,
+      planeNeeded: Boolean(r.planeNeeded),
+      hotelNeeded: Boolean(r.hotelNeeded),
+    }));
+  return {
+    requestId: ctx.requestId,
+    userName: ctx.user?.userName ?? "Solicitante",
+    status: ctx.requestStatus?.status ?? "",
+    currency: ctx.organization?.baseCurrency ?? "MXN",
+    organization: { name: ctx.organization?.nombre ?? "" },
+    request: {
+      id: ctx.requestId,
+      tripName: ctx.tripName ?? null,
+      requestedFee: ctx.requestedFee ?? null,
+      imposedFee: ctx.imposedFee ?? null,
+      tripEndDate: ctx.tripEndDate ?? null,
+      creationDate: ctx.creationDate ?? null,
+      status: ctx.requestStatus?.status ?? "",
+    },
+    routes,
+  };
+}
+
+/**
+ * @param {unknown} locale
+ * @returns {string|null} "es-mx" → "es-MX"; null si no es un locale válido
+ */
+export function normalizeLocale(locale) {
+  const m = /^([a-z]{2})(?:[-_]([a-z]{2}))?$/i.exec(String(locale ?? "").trim());
+  if (!m) return null;
+  return m[2] ? `${m[1].toLowerCase()}-${m[2].toUpperCase()}` : m[1].toLowerCase();
+}
+
+/**
+ * Cadena de búsqueda: locale pedido, su idioma base, el de la organización (es-MX → es) y en.
+ * @param {string|null} [locale]
+ * @returns {string[]}
+ */
+export function localeChain(locale = null) {
+  const chain = [];
+  for (const l of [normalizeLocale(locale), DEFAULT_LOCALE, LAST_RESORT_LOCALE]) {
+    if (!l) continue;
+    for (const candidate of [l, l.split("-")[0]]) {
+      if (!chain.includes(candidate)) chain.push(candidate);
+    }
+  }
+  return chain;
+}
+
+/**
+ * Plantilla activa de la org para el primer locale de la cadena que tenga una.
+ * @param {bigint|number|string} organizationId
+ * @param {string} code
+ * @param {"EMAIL"|"INAPP"} channel
+ * @param {string|null} [locale]
+ * @returns {Promise<{ subject: string|null, body: string, locale: string }|null>}
+ */
+export async function findTemplate(organizationId, code, channel, locale = null) {
+  const chain = localeChain(locale);
+  const rows = await prisma.notificationTemplate.findMany({
+    where: { organizationId: BigInt(organizationId), code, channel, active: true, locale: { in: chain } },
+    select: { subject: true, body: true, locale: true },
+  });
+  return chain.map((l) => rows.find((r) => r.locale === l && r.body)).find(Boolean) ?? null;
+}
+
+/**
+ * Renderiza subject/body. Si la plantilla de la org falla al renderizar, usa la de respaldo.
+ * @param {string} code
+ * @param {"EMAIL"|"INAPP"} channel
+ * @param {Record<string, unknown>} vars
+ * @param {{ organizationId?: bigint|number|string|null, locale?: string|null }} [options]
+ * @returns {Promise<{ subject: string|null, body: string, locale: string }>}
+ */
+export async function resolveMessage(code, channel, vars, { organizationId = null, locale = null } = {}) {
+  const fromDb = organizationId !== null && organizationId !== undefined ? await findTemplate(organizationId, code, channel, locale) : null;
+  const fallback = FALLBACK_TEMPLATES[code]?.[channel];
+  const fallbackTpl = typeof fallback === "string" ? { subject: null, body: fallback } : fallback ?? null;
+
+  const render = (tpl, tplLocale) => {
+    const options = { locale: tplLocale, currency: typeof vars.currency === "string" ? vars.currency : undefined };
+    if (channel === "EMAIL") {
+      return {
+        subject: renderTemplate(tpl?.subject ?? "Notificación de viáticos", vars, options),
+        body: renderTemplate(tpl?.body ?? "", vars, { ...options, mode: "html" }),
+        locale: tplLocale,
+      };
+    }
+    return { subject: null, body: renderTemplate(tpl?.body ?? `Notificación: ${code}`, vars, options), locale: tplLocale };
+  };
+
+  if (fromDb) {
+    try {
+      return render(fromDb, fromDb.locale);
+    } catch (err) {
+      console.warn(`notificationTemplate: ${code}/${channel} (${fromDb.locale}) no se pudo renderizar:`, err?.message || err);
+    }
+  }
+  return render(fallbackTpl, DEFAULT_LOCALE);
+}
+
+/**
+ * @param {string|null|undefined} url
+ * @returns {string|null} Solo URLs http(s) llegan al layout
+ */
+const safeUrl = (url) => (url && /^https?:\/\//i.test(url) ? url : null);
+
+/**
+ * Cuerpo de texto plano → párrafos HTML; si ya trae etiquetas se deja igual.
+ * @param {string} body
+ * @returns {string}
+ */
+const bodyToHtml = (body) => (/<[a-z][\s\S]*>/i.test(body) ? body : `<p>${body.replace(/\n/g, "<br/>")}</p>`);
+
+/**
+ * Envuelve el cuerpo del correo en el layout de la organización (o el de defecto).
+ * @param {bigint|number|string|null} organizationId
+ * @param {{ userName: string, subject?: string|null, body: string, locale?: string|null, layout?: string|null }} message
+ *   `layout` permite previsualizar un layout sin guardarlo
+ * @returns {Promise<string>}
+ */
+export async function renderEmailHtml(organizationId, { userName, subject = null, body, locale = null, layout = null }) {
+  const org = organizationId !== null && organizationId !== undefined
+    ? await prisma.organization.findUnique({
+      where: { id: BigInt(organizationId) },
+      select: { nombre: true, logoUrl: true, notificationLayout: { select: { html: true } } },
+    })
+    : null;
+  const vars = {
+    userName,
+    subject,
+    content: new SafeHtml(bodyToHtml(body)),
+    organization: { name: org?.nombre ?? "", logoUrl: safeUrl(org?.logoUrl) },
+    year: new Date().getFullYear(),
+  };
+  const options = { mode: "html", locale: normalizeLocale(locale) ?? DEFAULT_LOCALE };
+  try {
+    return renderTemplate(layout ?? org?.notificationLayout?.html ?? DEFAULT_EMAIL_LAYOUT, vars, options);
+  } catch (err) {
+    if (layout) throw err;
+    console.warn("notificationTemplate: layout de la organización inválido:", err?.message || err);
+    return renderTemplate(DEFAULT_EMAIL_LAYOUT, vars, options);
+  }
+}
+
+// ── Admin ─────────────────────────────────────────────────────────────────────
+
+/**
+ * @param {Object} row NotificationTemplate
+ * @returns {Object}
+ */
+const serializeTemplate = (row) => ({
+  templateId: row.templateId,
+  code: row.code,
+  channel: row.channel,
+  locale: row.locale,
+  subject: row.subject ?? null,
+  body: row.body,
+  isSystem: row.isSystem,
+  active: row.active,
+  updatedAt: row.updatedAt,
+});
+
+/**
+ * @param {{ channel?: string, subject?: string|null, body?: string }} data
+ * @throws {{ status: 400, message: string }} Sintaxis inválida (code TEMPLATE_SYNTAX) o falta subject en EMAIL
+ */
+function validateTemplateContent({ channel, subject, body }) {
+  if (body !== undefined) compileTemplate(body);
+  if (subject) compileTemplate(subject);
+  if (channel === "EMAIL" && subject !== undefined && !String(subject ?? "").trim()) {
+    throw { status: 400, message: "Las plantillas EMAIL requieren subject" };
+  }
+}
+
+/**
+ * @param {bigint|number|string} organizationId
+ * @param {number|string} templateId
+ * @returns {Promise<Object>}
+ * @throws {{ status: 404, message: string }}
+ */
+async function findOwnTemplate(organizationId, templateId) {
+  const row = await prisma.notificationTemplate.findFirst({
+    where: { templateId: BigInt(templateId), organizationId: BigInt(organizationId) },
+  });
+  if (!row) throw { status: 404, message: "Plantilla no encontrada" };
+  return row;
+}
+
+/**
+ * @param {bigint|number|string} organizationId
+ * @param {{ code?: string|null, channel?: string|null, locale?: string|null }} [filters]
+ * @returns {Promise<Object[]>}
+ */
+export async function listTemplates(organizationId, { code = null, channel = null, locale = null } = {}) {
+  const rows = await prisma.notificationTemplate.findMany({
+    where: {
+      organizationId: BigInt(organizationId),
+      ...(code ? { code } : {}),
+      ...(channel ? { channel } : {}),
+      ...(locale ? { locale: normalizeLocale(locale) ?? locale } : {}),
+    },
+    orderBy: [{ code: "asc" }, { channel: "asc" }, { locale: "asc" }],
+  });
+  return rows.map(serializeTemplate);
+}
+
+/**
+ * @param {bigint|number|string} organizationId
+ * @param {number|string} templateId
+ * @returns {Promise<Object>}
+ */
+export async function getTemplate(organizationId, templateId) {
+  return serializeTemplate(await findOwnTemplate(organizationId, templateId));
+}
+
+/**
+ * @param {bigint|number|string} organizationId
+ * @param {{ code: string, channel: "EMAIL"|"INAPP", locale?: string, subject?: string|null, body: string, active?: boolean }} data
+ * @returns {Promise<Object>}
+ * @throws {{ status: number, message: string }} 400 contenido inválido, 409 ya existe para code/channel/locale
+ */
+export async function createTemplate(organizationId, { code, channel, locale = DEFAULT_LOCALE, subject = null, body, active = true }) {
+  const normalized = normalizeLocale(locale);
+  if (!normalized) throw { status: 400, message: "locale inválido (usa es-MX, es, en…)" };
+  validateTemplateContent({ channel, subject: channel === "EMAIL" ? subject ?? "" : subject, body });
+  try {
+    const row = await prisma.notificationTemplate.create({
+      data: {
+        organizationId: BigInt(organizationId),
+        code,
+        channel,
+        locale: normalized,
+        subject: channel === "EMAIL" ? subject : null,
+        body,
+        active,
+        isSystem: false,
+      },
+    });
+    return serializeTemplate(row);
+  } catch (err) {
+    if (err?.code === "P2002") {
+      throw { status: 409, message: `Ya existe una plantilla ${code}/${channel} en ${normalized}` };
+    }
+    throw err;
+  }
+}
+
+/**
+ * Solo cambia contenido y estado; code/channel/locale identifican la plantilla.
+ * @param {bigint|number|string} organizationId
+ * @param {number|string} templateId
+ * @param {{ subject?: string|null, body?: string, active?: boolean }} patch
+ * @returns {Promise<Object>}
+ */
+export async function updateTemplate(organizationId, templateId, { subject, body, active }) {
+  const current = await findOwnTemplate(organizationId, templateId);
+  validateTemplateContent({ channel: current.channel, subject, body });
+  const row = await prisma.notificationTemplate.update({
+    where: { templateId: current.templateId },
+    data: {
+      ...(subject !== undefined && current.channel === "EMAIL" ? { subject } : {}),
+      ...(body !== undefined ? { body } : {}),
+      ...(active !== undefined ? { active: Boolean(active) } : {}),
+    },
+  });
+  return serializeTemplate(row);
+}
+
+/**
+ * @param {bigint|number|string} organizationId
+ * @param {number|string} templateId
+ * @throws {{ status: number, message: string }} 404, 409 plantilla del sistema
+ */
+export async function deleteTemplate(organizationId, templateId) {
+  const current = await findOwnTemplate(organizationId, templateId);
+  if (current.isSystem) {
+    throw { status: 409, message: "Las plantillas del sistema no se eliminan; edítalas o desactívalas" };
+  }
+  await prisma.notificationTemplate.delete({ where: { templateId: current.templateId } });
+}
+
+/**
+ * @param {bigint|number|string} organizationId
+ * @returns {Promise<{ html: string, isDefault: boolean, updatedAt: Date|null }>}
+ */
+export async function getLayout(organizationId) {
+  const row = await prisma.notificationLayout.findUnique({ where: { organizationId: BigInt(organizationId) } });
+  return { html: row?.html ?? DEFAULT_EMAIL_LAYOUT, isDefault: !row, updatedAt: row?.updatedAt ?? null };
+}
+
+/**
+ * @param {string} html
+ * @throws {{ status: 400, message: string }}
+ */
+function validateLayout(html) {
+  compileTemplate(html);
+  if (!/\{\{\s*content\s*\}\}/.test(html)) {
+    throw { status: 400, message: "El layout debe incluir {{content}} donde va el cuerpo del correo" };
+  }
+}
+
+/**
+ * @param {bigint|number|string} organizationId
+ * @param {string} html
+ * @param {{ actorUserId?: number|null }} [context]
+ * @returns {Promise<{ html: string, isDefault: boolean, updatedAt: Date|null }>}
+ */
+export async function saveLayout(organizationId, html, { actorUserId = null } = {}) {
+  validateLayout(html);
+  const orgId = BigInt(organizationId);
+  const row = await prisma.notificationLayout.upsert({
+    where: { organizationId: orgId },
+    create: { organizationId: orgId, html, updatedById: actorUserId },
+    update: { html, updatedById: actorUserId },
+  });
+  return { html: row.html, isDefault: false, updatedAt: row.updatedAt };
+}
+
+/**
+ * Vuelve al layout por defecto.
+ * @param {bigint|number|string} organizationId
+ * @returns {Promise<{ html: string, isDefault: boolean, updatedAt: null }>}
+ */
+export async function resetLayout(organizationId) {
+  await prisma.notificationLayout.deleteMany({ where: { organizationId: BigInt(organizationId) } });
+  return { html: DEFAULT_EMAIL_LAYOUT, isDefault: true, updatedAt: null };
+}
+
+/**
+ * Códigos conocidos, canales, variables disponibles y filtros del motor.
+ * @returns {Object}
+ */
+export function getCatalog() {
+  return {
+    locales: localeChain(DEFAULT_LOCALE),
+    filters: FILTER_NAMES,
+    requestVariables: REQUEST_VARIABLES,
+    codes: Object.entries(CODE_VARIABLES).map(([code, sample]) => ({
+      code,
+      channels: FALLBACK_TEMPLATES[code] ? Object.keys(FALLBACK_TEMPLATES[code]) : ["INAPP"],
+      variables: Object.keys(sample),
+      fallback: FALLBACK_TEMPLATES[code] ?? null,
+    })),
+  };
+}
+
+/**
+ * Renderiza una plantilla (guardada, la vigente para el código o enviada en el body) contra una
+ * solicitud real de la organización. Las variables propias del código usan valores de ejemplo
+ * salvo que lleguen en `vars`.
+ * @param {bigint|number|string} organizationId
+ * @param {Object} params
+ * @param {number} params.requestId
+ * @param {number|null} [params.templateId]
+ * @param {string|null} [params.code]
+ * @param {"EMAIL"|"INAPP"|null} [params.channel]
+ * @param {string|null} [params.locale]
+ * @param {string|null} [params.subject] - Contenido sin guardar (con `body`)
+ * @param {string|null} [params.body]
+ * @param {string|null} [params.layout] - Layout sin guardar
+ * @param {Record<string, string|number|boolean>} [params.vars]
+ * @returns {Promise<{ code: string|null, channel: string, locale: string, source: string, subject: string|null, body: string, html: string|null }>}
+ * @throws {{ status: number, message: string }} 400 parámetros/sintaxis, 404 solicitud o plantilla
+ */
+export async function previewTemplate(organizationId, params) {
+  const { requestId, templateId = null, locale = null, subject = null, body = null, layout = null, vars = {} } = params;
+  let { code = null, channel = null } = params;
+  let template;
+  let source;
+
+  if (body !== null && body !== undefined) {
+    if (!CHANNELS.includes(channel)) throw { status: 400, message: "channel es obligatorio al previsualizar contenido sin guardar" };
+    validateTemplateContent({ channel, subject, body });
+    template = { subject, body, locale: normalizeLocale(locale) ?? DEFAULT_LOCALE };
+    source = "inline";
+  } else if (templateId) {
+    const row = await findOwnTemplate(organizationId, templateId);
+    ({ code, channel } = row);
+    template = row;
+    source = "template";
+  } else {
+    if (!code || !CHANNELS.includes(channel)) throw { status: 400, message: "Indica template_id, code + channel o body" };
+    template = await findTemplate(organizationId, code, channel, locale);
+    source = template ? "organization" : "fallback";
+    if (!template) {
+      const fallback = FALLBACK_TEMPLATES[code]?.[channel];
+      if (!fallback) throw { status: 404, message: `No hay plantilla ${code}/${channel}` };
+      template = typeof fallback === "string" ? { subject: null, body: fallback, locale: DEFAULT_LOCALE } : { ...fallback, locale: DEFAULT_LOCALE };
+    }
+  }
+  if (layout) validateLayout(layout);
+
+  const ctx = await prisma.request.findFirst({
+    where: { requestId: Number(requestId), organizationId: BigInt(organizationId) },
+    select: REQUEST_CONTEXT_SELECT,
+  });
+  if (!ctx) throw { status: 404, message: "Solicitud no encontrada en la organización" };
+
+  const allVars = { ...requestTemplateVars(ctx), ...(CODE_VARIABLES[code] ?? {}), ...vars };
+  const options = { locale: template.locale, currency: typeof allVars.currency === "string" ? allVars.currency : undefined };
+  const renderedSubject = channel === "EMAIL" ? renderTemplate(template.subject ?? "", allVars, options) : null;
+  const renderedBody = renderTemplate(template.body, allVars, channel === "EMAIL" ? { ...options, mode: "html" } : options);
+  const html = channel === "EMAIL"
+    ? await renderEmailHtml(organizationId, {
+      userName: allVars.userName,
+      subject: renderedSubject,
+      body: renderedBody,
+      locale: template.locale,
+      layout,
+    })
+    : null;
+
+  return { code, channel, locale: template.locale, source, subject: renderedSubject, body: renderedBody, html };
+}
+
+export default {
+  DEFAULT_LOCALE,
+  CHANNELS,
+  FALLBACK_TEMPLATES,
+  DEFAULT_EMAIL_LAYOUT,
+  REQUEST_CONTEXT_SELECT,
+  requestTemplateVars,
+  normalizeLocale,
+  localeChain,
+  findTemplate,
+  resolveMessage,
+  renderEmailHtml,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  getLayout,
+  saveLayout,
+  resetLayout,
+  getCatalog,
+  previewTemplate,
+};
@@ -0,0 +1,386 @@
+/**
+ * @module offerPolicyService
+ * @description Evaluación de ofertas de vuelo y hotel contra la política de viajes (M2-006).
+ *   - Vuelo: cap `per_trip` del tipo de comprobante "Vuelo" en PolicyExpenseCap, por viajero.
+ *   - Hotel: cap `per_night` de "Hospedaje"; si la política no lo define, ViaticosPolicy.maxHotel.
+ *   La política sale de Request.policyEvaluationSnapshot cuando la solicitud ya lo congeló (RF-46);
+ *   si no, se resuelve en vivo como en policyAlertService. Elegir una oferta fuera de política
+ *   exige justificación y genera una PolicyException PENDING.
+ */
+import prisma from "../database/config/prisma.js";
+import ViaticasPolicy from "../models/viaticasPolicyModel.js";
+import { findApplicablePolicy } from "./refundRuleEngine.js";
+import { createException, notifyExceptionApprovers } from "./policyExceptionService.js";
+import { getRate } from "./fx/fxRateService.js";
+
+const FLIGHT_RECEIPT_TYPE = "Vuelo";
+const HOTEL_RECEIPT_TYPE = "Hospedaje";
+
+/** Horas alrededor de la salida de cada vuelo para buscar la tarifa lógica más baja (LLF). */
+const DEFAULT_LLF_WINDOW_HOURS = 2;
+
+/** Una solicitud viaja a su solicitante (ver prefillPassengersForRequest): un viajero. */
+const REQUEST_TRAVELERS = 1;
+
+/** Mínimo de la justificación; el mismo que exige policyExceptionService. */
+const MIN_JUSTIFICATION_LEN = 10;
+
+/**
+ * @typedef {Object} OfferCap
+ * @property {number|null} capId - null cuando viene de ViaticosPolicy
+ * @property {"per_trip"|"per_night"} capUnit
+ * @property {number} capAmount
+ * @property {string} currency
+ * @property {"travel_policy"|"viaticos_policy"} source
+ */
+
+/**
+ * @typedef {Object} OfferPolicyContext
+ * @property {number|null} requestId
+ * @property {bigint|null} organizationId - define la cadena SPOT para convertir moneda
+ * @property {number|null} policyId
+ * @property {string|null} policyName
+ * @property {number|null} travelers - viajeros de la solicitud; null al evaluar solo por organización
+ * @property {OfferCap|null} flightCap
+ * @property {OfferCap|null} hotelCap
+ */
+
+/**
+ * @typedef {Object} OfferPolicyAnnotation
+ * @property {boolean|null} inPolicy - null si no hay cap o no se pudo convertir la moneda
+ * @property {number|null} policyId
+ * @property {OfferCap|null} cap
+ * @property {number|null} unitAmount - monto por viajero (vuelo) o por noche (hotel), en la moneda del cap
+ * @property {number} excess - exceso unitario sobre el cap
+ * @property {number} [travelers] - solo vuelos
+ * @property {number} [nights] - solo hoteles
+ * @property {string} [reason]
+ */
+
+/**
+ * @returns {number}
+ */
+function llfWindowHours() {
+  const hours = Number(process.env.FLIGHT_LLF_WINDOW_HOURS);
+  return Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_LLF_WINDOW_HOURS;
+}
+
+/**
+ * @param {*} value - Decimal | number | string
+ * @returns {number}
+ */
+const num = (value) => (value && typeof value.toNumber === "function" ? value.toNumber() : Number(value));
+
+/**
+ * Heurística de destino igual que policyAlertService: alguna ruta entre países distintos → internacional.
+ * @param {{ routeRequests?: Array<{ route: { idOriginCountry?: number|null, idDestinationCountry?: number|null }|null }> }} request
+ * @returns {"nacional"|"internacional"}
+ */
+function inferDestinationScope(request) {
+  const isInternational = (request.routeRequests || []).some((rr) => {
+    const r = rr.route;
+    if (!r || r.idOriginCountry === null || r.idDestinationCountry === null) return false;
+    return Number(r.idOriginCountry) !== Number(r.idDestinationCountry);
+  });
+  return isInternational ? "internacional" : "nacional";
+}
+
+/**
+ * Política y caps aplicables: snapshot congelado de la solicitud o, sin él, búsqueda en vivo.
+ * @param {bigint} organizationId
+ * @param {object|null} request
+ * @returns {Promise<{ policy: { policyId: number, name: string }|null, caps: Array<{ capId: number, receiptTypeId: number, capAmount: *, capUnit: string, currency: string }> }>}
+ */
+async function loadPolicyAndCaps(organizationId, request) {
+  const snapshot = request?.policyEvaluationSnapshot;
+  if (snapshot && snapshot.policyId) {
+    return { policy: { policyId: snapshot.policyId, name: snapshot.name }, caps: snapshot.caps || [] };
+  }
+  const policies = await prisma.travelPolicy.findMany({
+    where: { organizationId, active: true },
+    include: { expenseCaps: true },
+  });
+  const policy = findApplicablePolicy(policies, {
+    categoryId: null,
+    destinationScope: request ? inferDestinationScope(request) : "any",
+    costsCenter: request?.user?.department?.costsCenter ?? null,
+    evaluationDate: new Date(),
+  });
+  return { policy, caps: policy ? policy.expenseCaps : [] };
+}
+
+/**
+ * @param {Array<{ capId: number, receiptTypeId: number, capAmount: *, capUnit: string, currency: string }>} caps
+ * @param {number|undefined} receiptTypeId
+ * @param {"per_trip"|"per_night"} capUnit
+ * @returns {OfferCap|null}
+ */
+function pickCap(caps, receiptTypeId, capUnit) {
+  if (receiptTypeId === undefined) return null;
+  const cap = caps.find((c) => Number(c.receiptTypeId) === receiptTypeId && c.capUnit === capUnit);
+  if (!cap) return null;
+  return {
+    capId: cap.capId,
+    capUnit,
+    capAmount: num(cap.capAmount),
+    currency: String(cap.currency || "MXN").toUpperCase(),
+    source: "travel_policy",
+  };
+}
+
+/**
+ * Resuelve los caps de vuelo y hotel para una solicitud o, sin ella, para la organización.
+ * @param {{ requestId?: number|string|null, organizationId?: bigint|number|string|null }} scope
+ * @returns {Promise<OfferPolicyContext>}
+ * @throws {{ status: number, message: string }} 404 si la solicitud no existe
+ */
+export async function resolveOfferPolicy({ requestId = null, organizationId = null } = {}) {
+  let request = null;
+  if (requestId) {
+    request = await prisma.request.findUnique({
+      where: { requestId: Number(requestId) },
+      select: {
+        requestId: true,
+        organizationId: true,
+        policyEvaluationSnapshot: true,
+        user: { select: { department: { select: { costsCenter: true } } } },
+        routeRequests: { select: { route: { select: { idOriginCountry: true, idDestinationCountry: true } } } },
+      },
+    });
+    if (!request) throw { status: 404, message: "Travel request not found" };
+  }
+  const orgId = request?.organizationId ?? (organizationId !== null && organizationId !== undefined ? BigInt(organizationId) : null);
+  const empty = {
+    requestId: request?.requestId ?? null,
+    organizationId: orgId,
+    policyId: null,
+    policyName: null,
+    travelers: request ? REQUEST_TRAVELERS : null,
+    flightCap: null,
+    hotelCap: null,
+  };
+  if (orgId === null) return empty;
+
+  const [{ policy, caps }, receiptTypes, viaticos] = await Promise.all([
+    loadPolicyAndCaps(orgId, request),
+    prisma.receiptType.findMany({
+      where: { organizationId: orgId, receiptTypeName: { in: [FLIGHT_RECEIPT_TYPE, HOTEL_RECEIPT_TYPE] } },
+      select: { receiptTypeId: true, receiptTypeName: true },
+    }),
+    ViaticasPolicy.getByOrg(orgId),
+  ]);
+  const typeId = Object.fromEntries(receiptTypes.map((t) => [t.receiptTypeName, t.receiptTypeId]));
+
+  let hotelCap = pickCap(caps, typeId[HOTEL_RECEIPT_TYPE], "per_night");
+  if (!hotelCap && viaticos?.active) {
+    hotelCap = {
+      capId: null,
+      capUnit: "per_night",
+      capAmount: viaticos.max_hotel,
+      currency: String(viaticos.currency || "MXN").toUpperCase(),
+      source: "viaticos_policy",
+    };
+  }
+
+  return {
+    ...empty,
+    policyId: policy?.policyId ?? null,
+    policyName: policy?.name ?? null,
+    flightCap: pickCap(caps, typeId[FLIGHT_RECEIPT_TYPE], "per_trip"),
+    hotelCap,
+  };
+}
+
+/**
+ * Convierte con tipo SPOT de la organización y caché por llamada; null si la cadena no responde.
+ * @param {bigint|null} organizationId
+ * @returns {(amount: number, from: string, to: string) => Promise<number|null>}
+ */
+function makeConverter(organizationId) {
+  const rates = new Map();
+  return async (amount, from, to) => {
+    const f = String(from || "").toUpperCase();
+    const t = String(to || "").toUpperCase();
+    if (f === t) return amount;
+    const key = `${f}|${t}`;
+    if (!rates.has(key)) {
+      rates.set(key, await getRate({ organizationId, base: f, quote: t, rateType: "SPOT" }).then((fx) => fx.rate, (e) => {
+        console.warn(`offerPolicyService: sin tipo de cambio ${f}→${t}:`, e?.message || e);
+        return null;
+      }));
+    }
+    const rate = rates.get(key);
+    return rate === null ? null : amount * rate;
+  };
+}
+
+/**
+ * @param {number} amount - monto unitario en la moneda de la oferta
+ * @param {string} currency
+ * @param {OfferCap|null} cap
+ * @param {number|null} policyId
+ * @param {(amount: number, from: string, to: string) => Promise<number|null>} convert
+ * @returns {Promise<OfferPolicyAnnotation>}
+ */
+async function evaluateUnitAmount(amount, currency, cap, policyId, convert) {
+  if (!cap) {
+    return { inPolicy: null, policyId, cap: null, unitAmount: null, excess: 0, reason: "NO_CAP" };
+  }
+  const unitAmount = await convert(amount, currency, cap.currency);
+  if (unitAmount === null || !Number.isFinite(unitAmount)) {
+    return { inPolicy: null, policyId, cap, unitAmount: null, excess: 0, reason: "FX_UNAVAILABLE" };
+  }
+  const rounded = Math.round(unitAmount * 100) / 100;
+  const excess = Math.max(0, Math.round((rounded - cap.capAmount) * 100) / 100);
+  return { inPolicy: excess === 0, policyId, cap, unitAmount: rounded, excess };
+}
+
+/**
+ * Marca cada vuelo dentro/fuera de política y le adjunta la tarifa lógica más baja: la más barata
+ * (misma moneda) entre los vuelos que salen a ±ventana horas del suyo.
+ * @param {import("./flightProvider.js").NormalizedFlightOffer[]} offers
+ * @param {OfferPolicyContext} ctx
+ * @param {{ passengers?: number, windowHours?: number }} [options]
+ * @returns {Promise<Array<import("./flightProvider.js").NormalizedFlightOffer & { policy: OfferPolicyAnnotation, lowestLogicalFare: { offerId: string, totalAmount: number, totalCurrency: string }|null, isLowestLogicalFare: boolean }>>}
+ */
+export async function annotateFlightOffers(offers, ctx, { passengers = 1, windowHours = llfWindowHours() } = {}) {
+  const convert = makeConverter(ctx.organizationId ?? null);
+  const travelers = Math.max(1, Number(passengers) || 1);
+  const windowMs = windowHours * 3600000;
+  const departures = offers.map((o) => new Date(o.departureAt).getTime());
+
+  return Promise.all(offers.map(async (offer, i) => {
+    let llf = null;
+    offers.forEach((other, j) => {
+      if (other.totalCurrency !== offer.totalCurrency) return;
+      if (Number.isNaN(departures[i]) || Math.abs(departures[j] - departures[i]) > windowMs) return;
+      if (!llf || Number(other.totalAmount) < Number(llf.totalAmount)) llf = other;
+    });
+    const policy = await evaluateUnitAmount(
+      Number(offer.totalAmount) / travelers, offer.totalCurrency, ctx.flightCap, ctx.policyId, convert,
+    );
+    return {
+      ...offer,
+      policy: { ...policy, travelers },
+      lowestLogicalFare: llf
+        ? { offerId: llf.id, totalAmount: Number(llf.totalAmount), totalCurrency: llf.totalCurrency }
+        : null,
+      isLowestLogicalFare: Boolean(llf && Number(offer.totalAmount) <= Number(llf.totalAmount)),
+    };
+  }));
+}
+
+/**
+ * Marca cada hotel dentro/fuera de política comparando la tarifa por noche con el cap.
+ * @param {Array<{ totalAmount: number, totalCurrency: string, nights?: number }>} offers
+ * @param {OfferPolicyContext} ctx
+ * @returns {Promise<Array<object & { policy: OfferPolicyAnnotation }>>}
+ */
+export async function annotateHotelOffers(offers, ctx) {
+  const convert = makeConverter(ctx.organizationId ?? null);
+  return Promise.all(offers.map(async (offer) => {
+    const nights = Math.max(1, Number(offer.nights) || 1);
+    const policy = await evaluateUnitAmount(
+      Number(offer.totalAmount) / nights, offer.totalCurrency, ctx.hotelCap, ctx.policyId, convert,
+    );
+    return { ...offer, policy: { ...policy, nights } };
+  }));
+}
+
+/**
+ * Orden "política primero": dentro de política, sin cap/sin tipo de cambio, fuera de política;
+ * en cada grupo, del monto unitario más bajo al más alto.
+ * @template {{ policy: OfferPolicyAnnotation, totalAmount: number }} T
+ * @param {T[]} offers
+ * @returns {T[]}
+ */
+export function sortByPolicy(offers) {
+  const rank = (o) => (o.policy?.inPolicy === true ? 0 : o.policy?.inPolicy === false ? 2 : 1);
+  const amount = (o) => o.policy?.unitAmount ?? Number(o.totalAmount);
+  return [...offers].sort((a, b) => rank(a) - rank(b) || amount(a) - amount(b));
+}
+
+/**
+ * Re-evalúa en el servidor la oferta que la agencia elige para la solicitud. Fuera de política sin
+ * justificación → 422 OUT_OF_POLICY; con ella, el caller guarda la oferta con saveOfferSelection.
+ * Los viajeros salen de la solicitud guardada, no de la oferta que manda el cliente.
+ * @param {"flight"|"hotel"} kind
+ * @param {number|string} requestId
+ * @param {object} offer - Oferta normalizada
+ * @param {string|null|undefined} justification
+ * @returns {Promise<OfferPolicyAnnotation & { offerAmount: number }>}
+ * @throws {{ status: number, message: string, code?: string, details?: object }}
+ */
+export async function checkOfferSelection(kind, requestId, offer, justification) {
+  const ctx = await resolveOfferPolicy({ requestId });
+  const [annotated] = kind === "flight"
+    ? await annotateFlightOffers([offer], ctx, { passengers: ctx.travelers })
+    : await annotateHotelOffers([offer], ctx);
+  const evaluation = { ...annotated.policy, offerAmount: Number(offer.totalAmount) };
+  if (evaluation.inPolicy !== false) return evaluation;
+
+  if (!justification || String(justification).trim().length < MIN_JUSTIFICATION_LEN) {
+    throw {
+      status: 422,
+      code: "OUT_OF_POLICY",
+      message: `La oferta excede la política (${evaluation.cap.capAmount} ${evaluation.cap.currency} ${evaluation.cap.capUnit}); ` +
+        `envía una justificación de al menos ${MIN_JUSTIFICATION_LEN} caracteres.`,
+      details: evaluation,
+    };
+  }
+  return evaluation;
+}
+
+/**
+ * PolicyException PENDING por elegir una oferta fuera de política (montos en la moneda del cap,
+ * proyectados a viajeros o noches).
+ * @param {number|string} requestId
+ * @param {OfferPolicyAnnotation} evaluation - Resultado de checkOfferSelection con inPolicy=false
+ * @param {string} justification
+ * @param {number} requestedById
+ * @param {{ client?: object, notify?: boolean }} [options] - ver createException
+ * @returns {Promise<object>}
+ */
+export async function recordSelectionException(requestId, evaluation, justification, requestedById, options = {}) {
+  const units = evaluation.travelers ?? evaluation.nights ?? 1;
+  return createException({
+    requestId: Number(requestId),
+    policyId: evaluation.cap.source === "travel_policy" ? evaluation.policyId : undefined,
+    capId: evaluation.cap.capId ?? undefined,
+    amountClaimed: evaluation.unitAmount * units,
+    amountAllowed: evaluation.cap.capAmount * units,
+    excessAmount: evaluation.excess * units,
+    justification,
+    requestedById,
+  }, { client: prisma, notify: true, ...options });
+}
+
+/**
+ * Guarda la oferta elegida y, si quedó fuera de política, su PolicyException en la misma
+ * transacción; los aprobadores se notifican después del commit.
+ * @param {number|string} requestId
+ * @param {OfferPolicyAnnotation} evaluation - Resultado de checkOfferSelection
+ * @param {(tx: object) => Promise<unknown>} saveOffer - Persiste la oferta con el cliente recibido
+ * @param {{ justification?: string|null, requestedById?: number|null }} [actor]
+ * @returns {Promise<object|null>} La excepción creada, o null dentro de política
+ */
+export async function saveOfferSelection(requestId, evaluation, saveOffer, { justification = null, requestedById = null } = {}) {
+  const exception = await prisma.$transaction(async (tx) => {
+    await saveOffer(tx);
+    return evaluation.inPolicy === false
+      ? recordSelectionException(requestId, evaluation, justification, requestedById, { client: tx, notify: false })
+      : null;
+  });
+  if (exception) await notifyExceptionApprovers(exception);
+  return exception;
+}
+
+export default {
+  resolveOfferPolicy,
+  annotateFlightOffers,
+  annotateHotelOffers,
+  sortByPolicy,
+  checkOfferSelection,
+  recordSelectionException,
+  saveOfferSelection,
+};
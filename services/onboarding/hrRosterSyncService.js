@@ -0,0 +1,743 @@
+/**
+ * @file services/onboarding/hrRosterSyncService.js
+ * @description Sincronización del roster completo de RH contra User / Empleado.
+ *
+ * RH deja cada noche el roster (CSV, JSON o XLSX con el layout del import de onboarding y `noEmpleado`
+ * obligatorio) bajo `{organizationId}/{prefix}` del almacenamiento de la org; el prefijo, el rol de
+ * las altas y los umbrales salen de su integración HR_SYNC. Cada corrida toma el archivo más
+ * reciente, lo compara con los usuarios ligados a un Empleado y aplica:
+ *   - altas: User + Empleado con `defaultRoleName` (Solicitante) y una contraseña aleatoria que el
+ *     admin reemplaza desde update-user;
+ *   - vínculos: usuario existente sin noEmpleado con el mismo userName que una fila del roster;
+ *   - bajas (`active=false`, Empleado status I): fila con status I o empleado ausente del roster;
+ *   - reingresos, cambios de jefe y cambios de departamento. Un cambio de jefe que cerraría un ciclo
+ *     en la jerarquía no se aplica y queda en `conflicts` del reporte.
+ * Los usuarios sin noEmpleado que no aparecen en el roster (admins, cuentas de servicio) no se tocan.
+ *
+ * Umbrales: porcentaje de cambios sobre los empleados activos ligados (null = sin límite).
+ * Si alguno se excede la corrida queda ABORTED sin aplicar nada; un admin revisa el reporte y puede
+ * forzarla. Toda corrida deja su reporte en `hr_sync_runs`; un archivo ya aplicado (misma clave y
+ * checksum) no se vuelve a procesar. Un índice único parcial admite una sola corrida RUNNING por org.
+ */
+import crypto from "crypto";
+import bcrypt from "bcrypt";
+import prisma from "../../database/config/prisma.js";
+import { withRls } from "../../database/config/rlsConnection.js";
+import { withTenantContext } from "../../middleware/tenantContext.js";
+import { resolveIntegration } from "../integrationResolver.js";
+import { wouldCreateManagerCycle } from "../employeeHierarchyService.js";
+import { listObjects, getObjectStream } from "../storageService.js";
+import { ensureTenantApplicantUserPermissions } from "../tenantApplicantUserGrants.js";
+import { resolveImportStrategy } from "./importStrategyResolver.js";
+import { isValidImportDate } from "./onboardingImportValidationService.js";
+import { buildEmpleadoNombre, fallbackProveedorFromUserId } from "./onboardingImportService.js";
+
+const SALT_ROUNDS = 10;
+const ACTOR = "hr_sync";
+const DEFAULT_ROLE_NAME = "Solicitante";
+const ROSTER_EXTENSIONS = new Set(["csv", "json", "txt", "xlsx"]);
+/** Tope de elementos por lista en el reporte guardado. */
+const MAX_REPORT_ITEMS = 1000;
+/** Una corrida RUNNING más vieja que esto se da por muerta (proceso caído) y la siguiente la cierra como FAILED. */
+const STALE_RUN_MS = 60 * 60 * 1000;
+const MAX_RUNS_PAGE = 200;
+
+/** Umbral → lista de cambios que limita. */
+const THRESHOLD_KINDS = Object.freeze({
+  maxDeactivationPct: "terminations",
+  maxHirePct: "hires",
+  maxManagerChangePct: "managerChanges",
+  maxDepartmentMovePct: "departmentMoves",
+});
+
+const DEFAULT_THRESHOLDS = Object.freeze({
+  maxDeactivationPct: 10,
+  maxHirePct: null,
+  maxManagerChangePct: null,
+  maxDepartmentMovePct: null,
+});
+
+const CHANGE_KINDS = ["hires", "links", "terminations", "reactivations", "managerChanges", "departmentMoves"];
+
+/**
+ * @param {string} message
+ * @param {number} status
+ * @returns {Error & { status: number }}
+ */
+function httpError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Umbrales efectivos de la config HR_SYNC. Un valor inválido cae al default, nunca desactiva el límite.
+ * @param {object} [config]
+ * @returns {Record<string, ?number>}
+ */
+export function resolveThresholds(config = {}) {
+  const out = {};
+  for (const key of Object.keys(THRESHOLD_KINDS)) {
+    const raw = config?.[key];
+    if (raw === null) {
+      out[key] = null;
+    } else if (raw === undefined || raw === "" || !Number.isFinite(Number(raw)) || Number(raw) < 0) {
+      out[key] = DEFAULT_THRESHOLDS[key];
+    } else {
+      out[key] = Number(raw);
+    }
+  }
+  return out;
+}
+
+/**
+ * @param {{ sapStatus?: string }} row
+ * @returns {boolean}
+ */
+const isInactive = (row) => String(row.sapStatus ?? "A").trim().toUpperCase() === "I";
+
+/**
+ * @typedef {Object} RosterSnapshot
+ * @property {Array<{ userId: number, userName: string, email: string, active: boolean, departmentId: ?number, managerUserId: ?number, noEmpleado: ?string }>} users
+ * @property {Array<{ departmentId: number, departmentName: string, costsCenter: ?string }>} departments
+ */
+
+/**
+ * @typedef {Object} RosterDiff
+ * @property {object[]} hires
+ * @property {object[]} links
+ * @property {object[]} terminations
+ * @property {object[]} reactivations
+ * @property {object[]} managerChanges
+ * @property {object[]} departmentMoves
+ * @property {Array<{ row: ?number, noEmpleado?: string, message: string }>} errors
+ * @property {number} base        Empleados activos ligados antes de la corrida
+ * @property {number} rosterSize  Filas válidas del roster
+ */
+
+/**
+ * Compara el roster con el estado actual de la org. Función pura: no toca la BD.
+ * @param {import('./strategies/BaseImportStrategy.js').ImportUserDTO[]} rows
+ * @param {RosterSnapshot} snapshot
+ * @returns {RosterDiff}
+ */
+export function diffRoster(rows, { users, departments }) {
+  const diff = {
+    hires: [], links: [], terminations: [], reactivations: [], managerChanges: [], departmentMoves: [],
+    errors: [], base: 0, rosterSize: 0,
+  };
+
+  const byNo = new Map();
+  const byId = new Map();
+  const byName = new Map();
+  const emails = new Set();
+  for (const u of users) {
+    byId.set(u.userId, u);
+    byName.set(String(u.userName).toLowerCase(), u);
+    emails.add(String(u.email).toLowerCase());
+    if (u.noEmpleado) byNo.set(String(u.noEmpleado), u);
+  }
+  const deptById = new Map(departments.map((d) => [d.departmentId, d]));
+  const deptByCeco = new Map(departments.filter((d) => d.costsCenter).map((d) => [String(d.costsCenter), d]));
+  const deptByName = new Map(departments.map((d) => [d.departmentName.toLowerCase(), d]));
+  const deptName = (id) => (id === null || id === undefined ? null : deptById.get(id)?.departmentName ?? String(id));
+
+  const roster = new Map();
+  for (const [i, row] of rows.entries()) {
+    const line = row._row ?? i + 1;
+    const noEmpleado = String(row.noEmpleado ?? "").trim().slice(0, 10);
+    if (!noEmpleado) {
+      diff.errors.push({ row: line, message: "Falta noEmpleado." });
+    } else if (roster.has(noEmpleado)) {
+      diff.errors.push({ row: line, noEmpleado, message: "noEmpleado duplicado en el roster." });
+    } else {
+      roster.set(noEmpleado, { ...row, noEmpleado, line });
+    }
+  }
+  diff.rosterSize = roster.size;
+  const rosterByName = new Map(
+    [...roster.values()].filter((r) => r.userName).map((r) => [r.userName.toLowerCase(), r.noEmpleado])
+  );
+
+  /**
+   * Jefe pedido por la fila: null si no trae columna de jefe.
+   * @param {object} row
+   * @returns {?{ noEmpleado?: string, error?: string }}
+   */
+  const managerOf = (row) => {
+    const raw = row.managerNoEmpleado ? String(row.managerNoEmpleado).trim().slice(0, 10) : null;
+    const login = row.managerUserName ? String(row.managerUserName).trim().toLowerCase() : null;
+    if (!raw && !login) return null;
+    const noEmpleado = raw ?? rosterByName.get(login) ?? byName.get(login)?.noEmpleado ?? null;
+    const managerRow = noEmpleado ? roster.get(noEmpleado) : null;
+    if (!managerRow || isInactive(managerRow)) {
+      return { error: `El jefe ${raw ?? row.managerUserName} no está activo en el roster.` };
+    }
+    if (noEmpleado === row.noEmpleado) return { error: "El empleado no puede ser su propio jefe." };
+    return { noEmpleado };
+  };
+
+  /**
+   * Departamento pedido por la fila (por CeCo o nombre): null si no trae departamento.
+   * @param {object} row
+   * @returns {?{ departmentId?: number, error?: string }}
+   */
+  const departmentOf = (row) => {
+    if (!row.department) return null;
+    const d = deptByCeco.get(String(row.department)) ?? deptByName.get(String(row.department).toLowerCase());
+    return d ? { departmentId: d.departmentId } : { error: `El departamento "${row.department}" no existe en la organización.` };
+  };
+
+  const hiredNames = new Set();
+  const hiredEmails = new Set();
+  for (const row of roster.values()) {
+    const { noEmpleado, line } = row;
+    let user = byNo.get(noEmpleado);
+    if (!user && row.userName) {
+      const candidate = byName.get(row.userName.toLowerCase());
+      if (candidate && !candidate.noEmpleado) {
+        user = candidate;
+        diff.links.push({ noEmpleado, userId: user.userId, userName: user.userName, row: line });
+      }
+    }
+
+    if (isInactive(row)) {
+      if (user?.active) {
+        diff.terminations.push({ noEmpleado, userId: user.userId, userName: user.userName, reason: "BAJA" });
+      }
+      continue;
+    }
+
+    const dept = departmentOf(row);
+    const manager = managerOf(row);
+    for (const message of [dept?.error, manager?.error].filter(Boolean)) {
+      diff.errors.push({ row: line, noEmpleado, message });
+    }
+
+    if (!user) {
+      const userName = String(row.userName ?? "").trim();
+      const email = String(row.email ?? "").trim().toLowerCase();
+      let problem = null;
+      if (!userName || !email) problem = "Un alta requiere userName y email.";
+      else if (byName.has(userName.toLowerCase()) || hiredNames.has(userName.toLowerCase())) problem = `userName ${userName} ya existe.`;
+      else if (emails.has(email) || hiredEmails.has(email)) problem = `email ${email} ya existe.`;
+      else if (row.fechaAlta && !isValidImportDate(String(row.fechaAlta))) problem = `fechaAlta inválida: ${row.fechaAlta}.`;
+      if (problem) {
+        diff.errors.push({ row: line, noEmpleado, message: problem });
+        continue;
+      }
+      hiredNames.add(userName.toLowerCase());
+      hiredEmails.add(email);
+      diff.hires.push({
+        noEmpleado,
+        userName,
+        email,
+        firstName: row.firstName,
+        lastName: row.lastName,
+        department: row.department ?? null,
+        departmentId: dept?.departmentId ?? null,
+        managerNoEmpleado: manager?.noEmpleado ?? null,
+        sapProveedor: row.sapProveedor ?? null,
+        sapCeco: row.sapCeco ?? null,
+        fechaAlta: row.fechaAlta ?? null,
+        row: line,
+      });
+      continue;
+    }
+
+    if (!user.active) diff.reactivations.push({ noEmpleado, userId: user.userId, userName: user.userName });
+    if (dept?.departmentId !== undefined && dept.departmentId !== user.departmentId) {
+      diff.departmentMoves.push({
+        noEmpleado, userId: user.userId, userName: user.userName,
+        departmentId: dept.departmentId, from: deptName(user.departmentId), to: deptName(dept.departmentId),
+      });
+    }
+    if (manager?.noEmpleado) {
+      const current = user.managerUserId ? byId.get(user.managerUserId)?.noEmpleado ?? null : null;
+      if (current !== manager.noEmpleado) {
+        diff.managerChanges.push({ noEmpleado, userId: user.userId, userName: user.userName, from: current, to: manager.noEmpleado });
+      }
+    }
+  }
+
+  for (const user of byNo.values()) {
+    if (!user.active) continue;
+    diff.base++;
+    if (!roster.has(String(user.noEmpleado))) {
+      diff.terminations.push({ noEmpleado: user.noEmpleado, userId: user.userId, userName: user.userName, reason: "AUSENTE" });
+    }
+  }
+  return diff;
+}
+
+/**
+ * Umbrales excedidos por el diff. Sin empleados ligados (primera carga) no hay base y no se evalúan.
+ * @param {RosterDiff} diff
+ * @param {Record<string, ?number>} thresholds
+ * @returns {Array<{ threshold: string, count: number, base: number, pct: number, limit: number }>}
+ */
+export function exceededThresholds(diff, thresholds) {
+  if (diff.base === 0) return [];
+  const exceeded = [];
+  for (const [threshold, kind] of Object.entries(THRESHOLD_KINDS)) {
+    const limit = thresholds[threshold];
+    if (limit === null || limit === undefined) continue;
+    const count = diff[kind].length;
+    const pct = Math.round((count / diff.base) * 10000) / 100;
+    if (pct > limit) exceeded.push({ threshold, count, base: diff.base, pct, limit });
+  }
+  return exceeded;
+}
+
+/**
+ * @param {RosterDiff} diff
+ * @returns {Record<string, number>}
+ */
+function summarize(diff) {
+  const summary = Object.fromEntries(CHANGE_KINDS.map((kind) => [kind, diff[kind].length]));
+  summary.errors = diff.errors.length;
+  return summary;
+}
+
+/**
+ * @param {RosterDiff} diff
+ * @param {object} extra
+ * @returns {object}
+ */
+function buildReport(diff, extra) {
+  const report = { base: diff.base, truncated: false, ...extra };
+  for (const kind of [...CHANGE_KINDS, "errors"]) {
+    report[kind] = diff[kind].slice(0, MAX_REPORT_ITEMS);
+    if (diff[kind].length > MAX_REPORT_ITEMS) report.truncated = true;
+  }
+  return report;
+}
+
+/**
+ * @param {bigint} organizationId
+ * @returns {Promise<RosterSnapshot>}
+ */
+async function loadSnapshot(organizationId) {
+  const [users, departments] = await Promise.all([
+    prisma.user.findMany({
+      where: { organizationId },
+      select: {
+        userId: true, userName: true, email: true, active: true,
+        departmentId: true, managerUserId: true, noEmpleado: true,
+      },
+    }),
+    prisma.department.findMany({
+      where: { organizationId },
+      select: { departmentId: true, departmentName: true, costsCenter: true },
+    }),
+  ]);
+  return { users, departments };
+}
+
+/**
+ * Archivo a procesar: `key` explícito (debe ser de la org) o el más reciente bajo el prefijo.
+ * @param {bigint} organizationId
+ * @param {string} prefix
+ * @param {?string} key
+ * @returns {Promise<?{ key: string }>}
+ */
+async function pickRosterFile(organizationId, prefix, key) {
+  if (key) return { key };
+  const objects = await listObjects(organizationId, prefix);
+  const candidates = objects
+    .filter((o) => ROSTER_EXTENSIONS.has(o.key.split(".").pop()?.toLowerCase() ?? ""))
+    .sort((a, b) => (b.lastModified?.getTime() ?? 0) - (a.lastModified?.getTime() ?? 0) || b.key.localeCompare(a.key));
+  return candidates[0] ?? null;
+}
+
+/**
+ * @param {string} key
+ * @returns {Promise<Buffer>}
+ */
+async function readObject(key) {
+  const { body } = await getObjectStream(key);
+  const chunks = [];
+  for await (const chunk of body) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks);
+}
+
+/**
+ * @param {bigint} organizationId
+ * @param {object} hire
+ * @param {number} roleId
+ */
+async function hireEmployee(organizationId, hire, roleId) {
+  const password = await bcrypt.hash(crypto.randomBytes(24).toString("base64url"), SALT_ROUNDS);
+  const user = await prisma.$transaction(async (tx) => {
+    const created = await tx.user.create({
+      data: {
+        organizationId,
+        roleId,
+        userName: hire.userName,
+        password,
+        email: hire.email,
+        workstation: String(hire.department ?? ACTOR).slice(0, 20),
+        departmentId: hire.departmentId,
+        active: true,
+      },
+      select: { userId: true },
+    });
+    const empleado = {
+      nombre: buildEmpleadoNombre(hire).slice(0, 100),
+      email: hire.email.slice(0, 100),
+      jefeInmediato: hire.managerNoEmpleado,
+      proveedor: String(hire.sapProveedor || fallbackProveedorFromUserId(created.userId)).slice(0, 11),
+      ceco: String(hire.sapCeco || hire.department || "000").slice(0, 10),
+      departmentId: hire.departmentId,
+      status: "A",
+      usuarioUltimaModificacion: ACTOR,
+    };
+    await tx.empleado.upsert({
+      where: { organizationId_noEmpleado: { organizationId, noEmpleado: hire.noEmpleado } },
+      create: {
+        organizationId,
+        noEmpleado: hire.noEmpleado,
+        ...empleado,
+        fechaAlta: hire.fechaAlta ? new Date(hire.fechaAlta) : new Date(),
+      },
+      update: empleado,
+    });
+    await tx.user.update({ where: { userId: created.userId, organizationId }, data: { noEmpleado: hire.noEmpleado } });
+    return created;
+  });
+  await ensureTenantApplicantUserPermissions(organizationId, user.userId);
+}
+
+/**
+ * Liga un usuario existente a su Empleado (lo crea si RH no lo había sincronizado).
+ * @param {bigint} organizationId
+ * @param {object} link
+ * @param {Map<string, object>} rosterByNo
+ */
+async function linkEmployee(organizationId, link, rosterByNo) {
+  const row = rosterByNo.get(link.noEmpleado) ?? {};
+  await prisma.$transaction(async (tx) => {
+    await tx.empleado.upsert({
+      where: { organizationId_noEmpleado: { organizationId, noEmpleado: link.noEmpleado } },
+      create: {
+        organizationId,
+        noEmpleado: link.noEmpleado,
+        nombre: buildEmpleadoNombre({ ...row, userName: link.userName }).slice(0, 100),
+        email: row.email ? String(row.email).slice(0, 100) : null,
+        proveedor: String(row.sapProveedor || fallbackProveedorFromUserId(link.userId)).slice(0, 11),
+        ceco: String(row.sapCeco || row.department || "000").slice(0, 10),
+        status: isInactive(row) ? "I" : "A",
+        fechaAlta: new Date(),
+        usuarioUltimaModificacion: ACTOR,
+      },
+      update: { usuarioUltimaModificacion: ACTOR },
+    });
+    await tx.user.update({ where: { userId: link.userId, organizationId }, data: { noEmpleado: link.noEmpleado } });
+  });
+}
+
+/**
+ * @param {bigint} organizationId
+ * @param {{ userId: number, noEmpleado: string }} item
+ * @param {boolean} active
+ */
+async function setEmployeeActive(organizationId, item, active) {
+  await prisma.$transaction(async (tx) => {
+    await tx.user.update({ where: { userId: item.userId, organizationId }, data: { active } });
+    await tx.empleado.updateMany({
+      where: { organizationId, noEmpleado: item.noEmpleado },
+      data: { status: active ? "A" : "I", usuarioUltimaModificacion: ACTOR },
+    });
+  });
+}
+
+/**
+ * @param {bigint} organizationId
+ * @param {{ userId: number, noEmpleado: string, departmentId: number }} move
+ */
+async function moveDepartment(organizationId, move) {
+  await prisma.$transaction(async (tx) => {
+    await tx.user.update({ where: { userId: move.userId, organizationId }, data: { departmentId: move.departmentId } });
+    await tx.empleado.updateMany({
+      where: { organizationId, noEmpleado: move.noEmpleado },
+      data: { departmentId: move.departmentId, usuarioUltimaModificacion: ACTOR },
+    });
+  });
+}
+
+/**
+ * @param {bigint} organizationId
+ * @param {{ noEmpleado: string, to: string }} link
+ * @param {Map<string, number>} userIdByNo
+ * @throws {Error & { conflict?: boolean }} `conflict` si el jefe cerraría un ciclo en la jerarquía
+ */
+async function assignManager(organizationId, link, userIdByNo) {
+  const userId = userIdByNo.get(link.noEmpleado);
+  const managerUserId = userIdByNo.get(link.to);
+  if (!userId || !managerUserId) throw new Error(`El jefe ${link.to} no tiene usuario en la organización.`);
+  if (await wouldCreateManagerCycle(userId, managerUserId)) {
+    throw Object.assign(new Error(`El jefe ${link.to} crearía un ciclo en la jerarquía; se conserva el jefe actual.`), {
+      conflict: true,
+    });
+  }
+  await prisma.$transaction(async (tx) => {
+    await tx.user.update({ where: { userId, organizationId }, data: { managerUserId } });
+    await tx.empleado.updateMany({
+      where: { organizationId, noEmpleado: link.noEmpleado },
+      data: { jefeInmediato: link.to, usuarioUltimaModificacion: ACTOR },
+    });
+  });
+}
+
+/**
+ * Aplica el diff empleado por empleado; un error en uno queda en el reporte y no detiene al resto.
+ * Los jefes se resuelven al final para que apunten también a las altas de esta corrida.
+ * @param {bigint} organizationId
+ * @param {RosterDiff} diff
+ * @param {{ roleId: ?number, rosterByNo: Map<string, object> }} ctx
+ * @returns {Promise<{ failures: Array<{ action: string, noEmpleado: string, message: string }>, conflicts: Array<{ action: string, noEmpleado: string, message: string }> }>}
+ */
+async function applyDiff(organizationId, diff, { roleId, rosterByNo }) {
+  const failures = [];
+  const conflicts = [];
+  const attempt = async (action, item, fn) => {
+    try {
+      await fn();
+    } catch (e) {
+      const message = e?.code === "P2002" ? "userName o email ya existe." : String(e?.message ?? e).slice(0, 300);
+      (e?.conflict ? conflicts : failures).push({ action, noEmpleado: item.noEmpleado, message });
+    }
+  };
+
+  for (const hire of diff.hires) await attempt("hire", hire, () => hireEmployee(organizationId, hire, roleId));
+  for (const link of diff.links) await attempt("link", link, () => linkEmployee(organizationId, link, rosterByNo));
+  for (const item of diff.reactivations) await attempt("reactivation", item, () => setEmployeeActive(organizationId, item, true));
+  for (const item of diff.terminations) await attempt("termination", item, () => setEmployeeActive(organizationId, item, false));
+  for (const move of diff.departmentMoves) await attempt("departmentMove", move, () => moveDepartment(organizationId, move));
+
+  const managerLinks = [
+    ...diff.managerChanges,
+    ...diff.hires.filter((h) => h.managerNoEmpleado).map((h) => ({ noEmpleado: h.noEmpleado, to: h.managerNoEmpleado })),
+  ];
+  if (managerLinks.length > 0) {
+    const linked = await prisma.user.findMany({
+      where: { organizationId, noEmpleado: { in: [...new Set(managerLinks.flatMap((l) => [l.noEmpleado, l.to]))] } },
+      select: { userId: true, noEmpleado: true },
+    });
+    const userIdByNo = new Map(linked.map((u) => [String(u.noEmpleado), u.userId]));
+    for (const link of managerLinks) {
+      await attempt("managerChange", link, () => assignManager(organizationId, link, userIdByNo));
+    }
+  }
+  return { failures, conflicts };
+}
+
+/**
+ * @param {bigint} organizationId
+ * @param {string} [roleName]
+ * @returns {Promise<number>}
+ * @throws {Error} Si el rol no existe en la org
+ */
+async function resolveHireRoleId(organizationId, roleName = DEFAULT_ROLE_NAME) {
+  const role = await prisma.role.findFirst({
+    where: { organizationId, roleName: { equals: roleName, mode: "insensitive" } },
+    select: { roleId: true },
+  });
+  if (!role) throw new Error(`El rol "${roleName}" para las altas no existe en la organización.`);
+  return role.roleId;
+}
+
+/**
+ * @param {object} row - Fila de hr_sync_runs
+ * @param {{ withReport?: boolean }} [opts]
+ * @returns {object} JSON serializable (ids BigInt como string)
+ */
+export function runToJson(row, { withReport = true } = {}) {
+  return {
+    id: row.id.toString(),
+    organizationId: row.organizationId.toString(),
+    trigger: row.trigger,
+    dryRun: row.dryRun,
+    status: row.status,
+    fileKey: row.fileKey ?? null,
+    fileChecksum: row.fileChecksum ?? null,
+    rosterSize: row.rosterSize ?? null,
+    summary: row.summary ?? null,
+    thresholds: row.thresholds ?? null,
+    ...(withReport ? { report: row.report ?? null } : {}),
+    error: row.error ?? null,
+    startedAt: row.startedAt,
+    finishedAt: row.finishedAt ?? null,
+    triggeredById: row.triggeredById ?? null,
+  };
+}
+
+/**
+ * Corre la sincronización del roster de una org y guarda su reporte.
+ * @param {bigint|number|string} organizationId
+ * @param {object} [opts]
+ * @param {'cron'|'manual'} [opts.trigger]
+ * @param {boolean} [opts.dryRun] - Solo calcula el diff y el reporte
+ * @param {boolean} [opts.force] - Aplica aunque se excedan los umbrales (solo manual)
+ * @param {?string} [opts.key] - Archivo explícito; por defecto el más reciente bajo el prefijo
+ * @param {?number} [opts.triggeredById]
+ * @returns {Promise<object>} Corrida (runToJson) APPLIED | DRY_RUN | ABORTED | SKIPPED | FAILED
+ * @throws {Error & { status: number }} 400 si `key` no es de la org; 409 si ya hay una corrida en curso
+ */
+export async function runRosterSync(organizationId, { trigger = "cron", dryRun = false, force = false, key = null, triggeredById = null } = {}) {
+  const orgId = BigInt(organizationId);
+  if (key && !String(key).startsWith(`${orgId}/`)) {
+    throw httpError(`El archivo debe estar bajo ${orgId}/.`, 400);
+  }
+  const config = await resolveIntegration(orgId, "HR_SYNC");
+  const thresholds = resolveThresholds(config);
+
+  // El índice único parcial (una RUNNING por org) es el candado; una corrida muerta se cierra antes.
+  await prisma.hrSyncRun.updateMany({
+    where: { organizationId: orgId, status: "RUNNING", startedAt: { lte: new Date(Date.now() - STALE_RUN_MS) } },
+    data: { status: "FAILED", finishedAt: new Date(), error: "La corrida no terminó (proceso caído); se cerró para liberar la sincronización." },
+  });
+  let run;
+  try {
+    run = await prisma.hrSyncRun.create({
+      data: { organizationId: orgId, trigger, dryRun, thresholds, triggeredById },
+    });
+  } catch (err) {
+    if (err?.code !== "P2002") throw err;
+    const running = await prisma.hrSyncRun.findFirst({
+      where: { organizationId: orgId, status: "RUNNING" },
+      select: { id: true },
+    });
+    throw httpError(`Ya hay una sincronización en curso${running ? ` (corrida ${running.id})` : ""}.`, 409);
+  }
+  const finish = async (status, data) => runToJson(await prisma.hrSyncRun.update({
+    where: { id: run.id },
+    data: { status, finishedAt: new Date(), ...data },
+  }));
+
+  try {
+    const file = await pickRosterFile(orgId, config?.prefix ?? "hr-roster/", key);
+    if (!file) {
+      return await finish("SKIPPED", { report: { reason: `No hay roster bajo ${orgId}/${config?.prefix ?? "hr-roster/"}.` } });
+    }
+    const buffer = await readObject(file.key);
+    const fileData = { fileKey: file.key, fileChecksum: crypto.createHash("sha256").update(buffer).digest("hex") };
+
+    if (!key && !dryRun) {
+      const applied = await prisma.hrSyncRun.findFirst({
+        where: { organizationId: orgId, status: "APPLIED", ...fileData },
+        select: { id: true },
+      });
+      if (applied) {
+        return await finish("SKIPPED", { ...fileData, report: { reason: `El archivo ya se aplicó en la corrida ${applied.id}.` } });
+      }
+    }
+
+    const { rows } = await resolveImportStrategy("application/octet-stream", file.key).parse(buffer);
+    const diff = diffRoster(rows, await loadSnapshot(orgId));
+    const summary = summarize(diff);
+    const exceeded = exceededThresholds(diff, thresholds);
+    const base = { ...fileData, rosterSize: diff.rosterSize, summary };
+
+    if (exceeded.length > 0 && !force) {
+      return await finish("ABORTED", { ...base, report: buildReport(diff, { exceeded }) });
+    }
+    if (dryRun) {
+      return await finish("DRY_RUN", { ...base, report: buildReport(diff, { exceeded }) });
+    }
+
+    const roleId = diff.hires.length > 0 ? await resolveHireRoleId(orgId, config?.defaultRoleName || undefined) : null;
+    const rosterByNo = new Map(rows.map((r) => [String(r.noEmpleado ?? "").trim().slice(0, 10), r]));
+    const { failures, conflicts } = await applyDiff(orgId, diff, { roleId, rosterByNo });
+    return await finish("APPLIED", {
+      ...base,
+      summary: { ...summary, failures: failures.length, conflicts: conflicts.length },
+      report: buildReport(diff, {
+        exceeded,
+        forced: exceeded.length > 0,
+        failures: failures.slice(0, MAX_REPORT_ITEMS),
+        conflicts: conflicts.slice(0, MAX_REPORT_ITEMS),
+      }),
+    });
+  } catch (err) {
+    return finish("FAILED", { error: String(err?.message ?? err).slice(0, 2000) });
+  }
+}
+
+/**
+ * Corridas de la org, más nuevas primero (sin el reporte detallado).
+ * @param {bigint|number|string} organizationId
+ * @param {{ status?: string, limit?: number }} [filters]
+ * @returns {Promise<object[]>}
+ */
+export async function listRosterSyncRuns(organizationId, { status, limit = 50 } = {}) {
+  const take = Math.min(Math.max(Number(limit) || 50, 1), MAX_RUNS_PAGE);
+  const rows = await prisma.hrSyncRun.findMany({
+    where: { organizationId: BigInt(organizationId), ...(status ? { status } : {}) },
+    orderBy: { startedAt: "desc" },
+    take,
+  });
+  return rows.map((row) => runToJson(row, { withReport: false }));
+}
+
+/**
+ * @param {bigint|number|string} organizationId
+ * @param {number|string} runId
+ * @returns {Promise<object>}
+ * @throws {Error & { status: number }} 404
+ */
+export async function getRosterSyncRun(organizationId, runId) {
+  const row = await prisma.hrSyncRun.findFirst({
+    where: { id: BigInt(runId), organizationId: BigInt(organizationId) },
+  });
+  if (!row) throw httpError(`Corrida ${runId} no encontrada.`, 404);
+  return runToJson(row);
+}
+
+/**
+ * Job nocturno: sincroniza cada org con integración HR_SYNC activa, cada una en su tenant context.
+ * @returns {Promise<{ scanned: number, applied: number, aborted: number, skipped: number, failed: number, changed: number }>}
+ */
+export async function runScheduledRosterSyncs() {
+  const integrations = await withRls(0, { bypass: true }, (tx) =>
+    tx.organizationIntegration.findMany({
+      where: { provider: "HR_SYNC", active: true },
+      select: { organizationId: true },
+    })
+  );
+  const totals = { scanned: integrations.length, applied: 0, aborted: 0, skipped: 0, failed: 0, changed: 0 };
+  for (const { organizationId } of integrations) {
+    try {
+      const run = await withTenantContext({ organizationId }, () => runRosterSync(organizationId, { trigger: "cron" }));
+      if (run.status === "APPLIED") {
+        totals.applied++;
+        totals.changed += CHANGE_KINDS.reduce((sum, kind) => sum + (run.summary?.[kind] ?? 0), 0);
+      } else if (run.status === "ABORTED") {
+        totals.aborted++;
+        console.warn(`[hrRosterSync] org ${organizationId}: corrida ${run.id} abortada por umbrales`);
+      } else if (run.status === "FAILED") {
+        totals.failed++;
+      } else {
+        totals.skipped++;
+      }
+    } catch (err) {
+      if (err?.status === 409) {
+        totals.skipped++;
+      } else {
+        totals.failed++;
+        console.error(`[hrRosterSync] org ${organizationId}:`, err?.message || err);
+      }
+    }
+  }
+  return totals;
+}
+
+export default {
+  resolveThresholds,
+  diffRoster,
+  exceededThresholds,
+  runRosterSync,
+  listRosterSyncRuns,
+  getRosterSyncRun,
+  runScheduledRosterSyncs,
+};
@@ -9,11 +9,13 @@
  */
 import { JsonImportStrategy } from "./strategies/JsonImportStrategy.js";
 import { CsvImportStrategy }  from "./strategies/CsvImportStrategy.js";
+import { XlsxImportStrategy } from "./strategies/XlsxImportStrategy.js";
 
 /** Estrategias registradas en orden de prioridad. */
 const STRATEGIES = [
   new JsonImportStrategy(),
   new CsvImportStrategy(),
+  new XlsxImportStrategy(),
 ];
 
 /**
@@ -32,6 +34,7 @@ export function resolveImportStrategy(mimetype, originalname = "") {
     json: "application/json",
     csv:  "text/csv",
     txt:  "text/csv",
+    xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
   };
   const resolvedMime = (mimetype === "application/octet-stream" && extMimeMap[ext])
     ? extMimeMap[ext]
@@ -12,9 +12,13 @@
  *
  * JSON raíz opcional: { "roleMappings": { "Approver": "Solicitante" }, "users": [...] }
  *
+ * La vista previa vive en `onboarding_import_previews` (10 min), así que sobrevive reinicios y
+ * cualquier réplica puede aplicarla; el token se consume con un DELETE para que solo un apply gane.
+ *
  * Seguridad:
  *   - El previewToken se genera con crypto.randomBytes y queda atado a (organizationId, actingUserId).
- *   - El cache NUNCA guarda contraseñas en claro (las del archivo, si vinieran, se descartan).
+ *     En BD solo se guarda su SHA-256.
+ *   - La vista previa NUNCA guarda contraseñas en claro (las del archivo, si vinieran, se descartan).
  *     En `apply` deben suministrarse vía passwordGlobal o passwordOverrides[userName].
  *   - Las colisiones de email se evalúan globalmente (email único en todo el sistema).
  *     userName es único por (organization_id, user_name): el mismo login puede repetirse
@@ -42,7 +46,6 @@ function generateBootstrapAdminPassword() {
   return crypto.randomBytes(16).toString("base64url");
 }
 
-const previewCache = new Map();
 const PREVIEW_TTL_MS = 10 * 60 * 1000;
 
 /**
@@ -187,6 +190,45 @@ function generatePreviewToken() {
   return `prev_${crypto.randomBytes(32).toString("hex")}`;
 }
 
+/**
+ * @param {string} previewToken
+ * @returns {string} SHA-256 hex
+ */
+function hashPreviewToken(previewToken) {
+  return crypto.createHash("sha256").update(String(previewToken)).digest("hex");
+}
+
+/**
+ * Carga la vista previa del token; las vencidas se borran y cuentan como inexistentes.
+ * @param {string} previewToken
+ * @returns {Promise<object|null>} Entrada con organizationId, actingUserId y el payload desempacado
+ * @throws {Error} Si el token expiró
+ */
+async function loadPreview(previewToken) {
+  const tokenHash = hashPreviewToken(previewToken);
+  const row = await prisma.onboardingImportPreview.findUnique({ where: { tokenHash } });
+  if (!row) return null;
+  if (row.expiresAt.getTime() < Date.now()) {
+    await prisma.onboardingImportPreview.deleteMany({ where: { tokenHash } });
+    throw new Error("Token de previsualización expirado. Vuelve a subir el archivo.");
+  }
+  return { ...row.payload, organizationId: row.organizationId, actingUserId: row.actingUserId };
+}
+
+/**
+ * Consume el token. Si otra petición (u otra réplica) ya lo aplicó, el DELETE no encuentra la fila.
+ * @param {string} previewToken
+ * @throws {Error} Si el token ya fue usado
+ */
+async function consumePreview(previewToken) {
+  const { count } = await prisma.onboardingImportPreview.deleteMany({
+    where: { tokenHash: hashPreviewToken(previewToken) },
+  });
+  if (count === 0) {
+    throw new Error("El token de previsualización ya fue utilizado. Vuelve a subir el archivo.");
+  }
+}
+
 /**
  * @param {bigint|number|string} a
  * @param {bigint|number|string} b
@@ -351,10 +393,11 @@ function resolvePlainPassword(userName, perUser, globalTrim) {
 }
 
 /**
- *
- * @param row
+ * Nombre del catálogo Empleado: "nombre apellido" o, sin ellos, el login.
+ * @param {{ firstName?: string, lastName?: string, userName?: string }} row
+ * @returns {string}
  */
-function buildEmpleadoNombre(row) {
+export function buildEmpleadoNombre(row) {
   const fn = String(row.firstName ?? "").trim();
   const ln = String(row.lastName ?? "").trim();
   const full = `${fn} ${ln}`.trim();
@@ -362,10 +405,11 @@ function buildEmpleadoNombre(row) {
 }
 
 /**
- *
- * @param userId
+ * Proveedor SAP provisional (11 dígitos) cuando el archivo no trae uno.
+ * @param {number} userId
+ * @returns {string}
  */
-function fallbackProveedorFromUserId(userId) {
+export function fallbackProveedorFromUserId(userId) {
   const base = 20000000000n + BigInt(Number(userId));
   return base.toString().padStart(11, "0").slice(-11);
 }
@@ -387,7 +431,8 @@ function validateImportOrganizationSpec(spec) {
  * @param {string} originalname
  * @param {bigint|number|string} organizationId
  * @param {bigint|number|string} actingUserId
- * @param {{ createNewOrganization?: boolean, actorHasOrganizationCreate?: boolean }} [options]
+ * @param {{ createNewOrganization?: boolean, actorHasOrganizationCreate?: boolean, sheet?: string, columnHints?: Record<string, string> }} [options]
+ *   `sheet` / `columnHints` solo aplican a XLSX (hoja a leer y encabezado → campo del DTO).
  * @returns {Promise<object>}
  */
 export async function previewImport(
@@ -408,7 +453,7 @@ export async function previewImport(
   const actingUserIdBig = BigInt(actingUserId);
 
   const strategy = resolveImportStrategy(mimetype, originalname);
-  const parsed = await strategy.parse(buffer);
+  const parsed = await strategy.parse(buffer, { sheet: options.sheet, columnHints: options.columnHints });
   const rows = parsed.rows;
   const embeddedRoleMappings = parsed.embeddedRoleMappings ?? {};
   const organizationSpec = parsed.organizationSpec ?? null;
@@ -498,23 +543,26 @@ export async function previewImport(
     .map(({ password: _ignored, ...rest }) => rest);
 
   const previewToken = generatePreviewToken();
-  previewCache.set(previewToken, {
-    rows: applyable,
-    societies,
-    departments,
-    organizationId: orgIdBig,
-    actingUserId: actingUserIdBig,
-    orgRoles,
-    validRoleNames,
-    expiresAt: Date.now() + PREVIEW_TTL_MS,
-    createNewOrganization,
-    newOrgSpec: createNewOrganization ? organizationSpec : undefined,
+  await prisma.onboardingImportPreview.create({
+    data: {
+      tokenHash: hashPreviewToken(previewToken),
+      organizationId: orgIdBig,
+      actingUserId: actingUserIdBig,
+      payload: {
+        rows: applyable,
+        societies,
+        departments,
+        orgRoles,
+        validRoleNames,
+        createNewOrganization,
+        newOrgSpec: createNewOrganization ? organizationSpec : null,
+      },
+      expiresAt: new Date(Date.now() + PREVIEW_TTL_MS),
+    },
   });
 
   // GC oportunista de tokens vencidos.
-  for (const [token, entry] of previewCache.entries()) {
-    if (entry.expiresAt < Date.now()) previewCache.delete(token);
-  }
+  await prisma.onboardingImportPreview.deleteMany({ where: { expiresAt: { lt: new Date() } } });
 
   const roleNameToId = new Map(orgRoles.map((r) => [r.roleName.toLowerCase(), r.roleId]));
 
@@ -626,14 +674,10 @@ export async function applyImport(
   applyOptions = {},
   customImportRolesByUser = {}
 ) {
-  const entry = previewCache.get(previewToken);
+  const entry = await loadPreview(previewToken);
   if (!entry) {
     throw new Error("Token de previsualización inválido o expirado. Vuelve a subir el archivo.");
   }
-  if (entry.expiresAt < Date.now()) {
-    previewCache.delete(previewToken);
-    throw new Error("Token de previsualización expirado. Vuelve a subir el archivo.");
-  }
   if (!sameBigInt(entry.organizationId, organizationId)) {
     throw new Error("El token no corresponde a esta organización.");
   }
@@ -649,7 +693,7 @@ export async function applyImport(
   }
 
   // Consumir el token solo después de validar el contexto.
-  previewCache.delete(previewToken);
+  await consumePreview(previewToken);
 
   const perUserPwd =
     passwordOptions.perUser &&
@@ -913,7 +957,7 @@ export async function applyImport(
           departmentId,
           societyId: defaultSocietyId,
           status,
-          fechaAlta: new Date(),
+          fechaAlta: row.fechaAlta ? new Date(row.fechaAlta) : new Date(),
           usuarioUltimaModificacion: actor,
         },
         update: {
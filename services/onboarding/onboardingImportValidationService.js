@@ -13,6 +13,18 @@ const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 const USERNAME_RE = /^[a-z0-9._-]{3,64}$/;
 // Mínimo 8 caracteres, al menos una mayúscula, una minúscula y un número
 const PASSWORD_RE = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).{8,}$/;
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * ¿"YYYY-MM-DD" es una fecha de calendario real? (rechaza 2026-02-30).
+ * @param {string} s
+ * @returns {boolean}
+ */
+export function isValidImportDate(s) {
+  if (!ISO_DATE_RE.test(s)) return false;
+  const d = new Date(`${s}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === s;
+}
 
 /**
  * @param {string} s
@@ -78,6 +90,15 @@ export function validateImportRows(rows, validRoleNames) {
       });
     }
 
+    // Fecha de alta (opcional; XLSX): las estrategias la normalizan a YYYY-MM-DD
+    if (row.fechaAlta !== undefined && !isValidImportDate(String(row.fechaAlta))) {
+      rowErrors.push({
+        row: rowNum,
+        field: "fechaAlta",
+        message: `Fecha inválida: "${row.fechaAlta}" (usa AAAA-MM-DD o dd/mm/aaaa).`,
+      });
+    }
+
     // Rol: ya resuelto contra la org (mappedRoleName) o etiqueta externa pendiente (externalRoleLabel)
     if (!row.mappedRoleName && !row.externalRoleLabel) {
       rowErrors.push({
@@ -26,6 +26,7 @@ const RESOURCE_LABELS_ES = {
   audit: "Auditoría",
   accounting: "Contabilidad (Accounting)",
   accounts_payable: "Cuentas por pagar",
+  treasury: "Tesorería",
   travel_agent: "Agencia de viajes",
 };
 
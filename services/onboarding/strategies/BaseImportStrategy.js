@@ -25,6 +25,7 @@
  * @property {string}  [sapCeco]
  * @property {string}  [sapProveedor]
  * @property {"A"|"I"|string} [sapStatus]
+ * @property {string}  [fechaAlta]  - fecha de ingreso YYYY-MM-DD (XLSX); sin ella, Empleado.fechaAlta = hoy
  * @property {number}  [_row]       - número de fila en el archivo origen (1-indexed)
  */
 export class BaseImportStrategy {
@@ -5,7 +5,8 @@
  * Columnas esperadas (header en primera fila, case-insensitive, separador coma o punto y coma):
  *   Modo estándar:
  *     userName, email, password (opcional), roleName (o profile/perfil), department, firstName, lastName,
- *     manager (opcional: userName del jefe → managerUserId en apply)
+ *     manager (opcional: userName del jefe → managerUserId en apply);
+ *     no_empleado, jefe_inmediato, status, ceco y proveedor son opcionales, igual que en JSON
  *   Modo SAP (catálogo empleado):
  *     no_empleado, nombre, email, jefe_inmediato, proveedor, ceco, status
  *     (roleName es opcional; si no existe se usa "Solicitante")
@@ -188,6 +189,11 @@ export class CsvImportStrategy extends BaseImportStrategy {
     const rows = sectionEmpleados.slice(1).map((cols, i) => {
       if (!isSapLike) {
         const mgr = get(cols, "managerusername");
+        const noEmpleado = get(cols, "noempleado");
+        const jefe = get(cols, "jefeinmediato");
+        const status = get(cols, "status").toUpperCase();
+        const ceco = get(cols, "ceco");
+        const proveedor = get(cols, "proveedor");
         return {
           userName:   get(cols, "username"),
           email:      get(cols, "email").toLowerCase(),
@@ -197,6 +203,11 @@ export class CsvImportStrategy extends BaseImportStrategy {
           firstName:  get(cols, "firstname")  || undefined,
           lastName:   get(cols, "lastname")   || undefined,
           ...(mgr ? { managerUserName: mgr } : {}),
+          ...(noEmpleado ? { noEmpleado } : {}),
+          ...(jefe ? { managerNoEmpleado: jefe } : {}),
+          ...(status === "A" || status === "I" ? { sapStatus: status } : {}),
+          ...(ceco ? { sapCeco: ceco } : {}),
+          ...(proveedor ? { sapProveedor: proveedor } : {}),
           _row:       i + 2,
         };
       }
@@ -0,0 +1,390 @@
+/**
+ * @file services/onboarding/strategies/XlsxImportStrategy.js
+ * @description Strategy para importar usuarios desde libros de Excel (.xlsx) tal como los exporta RH.
+ *
+ * A diferencia del CSV, el layout no es fijo:
+ *   - Hoja: `options.sheet` (nombre o índice 1-based); si no llega, se elige la hoja visible
+ *     cuyo encabezado reconoce más columnas.
+ *   - Encabezado: se busca en las primeras 20 filas (títulos, logos y filas en blanco arriba
+ *     son comunes). Soporta encabezados de dos niveles con celdas combinadas
+ *     ("Jefe Inmediato" sobre "No. Empleado" | "Nombre").
+ *   - Columnas: aliases en español e inglés, sin distinguir acentos, mayúsculas ni puntuación
+ *     ("No. Empleado", "Núm. de empleado", "Employee ID", "Jefe Inmediato", "CeCo", "Centro de Costos"…).
+ *     `options.columnHints` ({ "Clave SAP": "noEmpleado" }) tiene prioridad sobre los aliases.
+ *   - Fechas: celdas con formato de fecha, seriales de Excel y texto dd/mm/aaaa → "YYYY-MM-DD".
+ *
+ * Con columna de usuario se comporta como el modo estándar del CSV; sin ella, como el modo SAP
+ * (userName derivado de no. de empleado / nombre, email de respaldo @sap.local, rol "Solicitante").
+ * Hojas opcionales "Sociedades" y "CeCo" alimentan los catálogos igual que las secciones del CSV.
+ */
+import { BaseImportStrategy } from "./BaseImportStrategy.js";
+import { openWorkbook, excelSerialToDate } from "./xlsxWorkbook.js";
+
+/** Aliases por campo del DTO, ya normalizados (ver normalizeHeader). */
+const FIELD_ALIASES = {
+  userName:          ["username", "user name", "usuario", "login", "user"],
+  email:             ["email", "e mail", "correo", "correo electronico", "mail"],
+  password:          ["password", "contrasena"],
+  roleName:          ["rolename", "role name", "role", "rol", "perfil", "profile"],
+  department:        ["department", "dept", "departamento", "area"],
+  firstName:         ["firstname", "first name", "nombres", "nombre s"],
+  lastName:          ["lastname", "last name", "apellidos", "apellido"],
+  fullName:          ["nombre", "nombre completo", "nombre del empleado", "name", "full name", "employee name"],
+  managerUserName:   ["manager", "manager username", "reports to", "jefe usuario", "usuario jefe"],
+  noEmpleado:        [
+    "no empleado", "noempleado", "no de empleado", "num empleado", "num de empleado", "numero empleado",
+    "numero de empleado", "clave empleado", "id empleado", "employee id", "employee number", "emp id",
+  ],
+  managerNoEmpleado: [
+    "jefe inmediato", "jefeinmediato", "no jefe", "no jefe inmediato", "no empleado jefe",
+    "jefe inmediato no empleado", "manager id", "manager employee id",
+  ],
+  sapCeco:           ["ceco", "centro costo", "centro de costo", "centro de costos", "cost center"],
+  sapProveedor:      ["proveedor", "no proveedor", "vendor", "vendor no", "vendor number"],
+  sapStatus:         ["status", "estatus", "estado"],
+  fechaAlta:         ["fecha alta", "fecha de alta", "fecha ingreso", "fecha de ingreso", "hire date", "start date"],
+};
+
+/** Campos válidos como destino de `columnHints`. */
+export const XLSX_HINT_FIELDS = Object.freeze(Object.keys(FIELD_ALIASES));
+
+const ALIAS_TO_FIELD = new Map(
+  Object.entries(FIELD_ALIASES).flatMap(([field, aliases]) => aliases.map((a) => [a, field]))
+);
+
+const HEADER_SCAN_ROWS = 20;
+const SOCIETY_SHEETS = ["sociedades", "catalogo sociedades", "catalogo de sociedades"];
+const CECO_SHEETS = ["ceco", "cecos", "catalogo de ceco", "centros de costo", "centros de costos"];
+
+/**
+ * "No. Empleado" → "no empleado"; "Núm. de Empleado" → "num de empleado".
+ * @param {*} value
+ * @returns {string}
+ */
+function normalizeHeader(value) {
+  return String(value ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * @param {Date} d
+ * @returns {string}
+ */
+function isoDate(d) {
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Valor de celda → texto para el DTO. Los números enteros no arrastran ".0" y las fechas salen ISO.
+ * @param {import('./xlsxWorkbook.js').XlsxCellValue} value
+ * @returns {string}
+ */
+function cellText(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return isoDate(value);
+  if (typeof value === "boolean") return value ? "TRUE" : "FALSE";
+  return String(value).trim();
+}
+
+/**
+ * Normaliza una fecha de alta a "YYYY-MM-DD". Acepta celdas de fecha, seriales de Excel
+ * (columna sin formato de fecha), ISO y dd/mm/aaaa (o dd-mm-aaaa). Lo irreconocible se
+ * devuelve tal cual para que la validación lo reporte con su fila.
+ * @param {import('./xlsxWorkbook.js').XlsxCellValue} value
+ * @param {boolean} date1904
+ * @returns {string}
+ */
+function cellDate(value, date1904) {
+  if (value instanceof Date) return isoDate(value);
+  if (typeof value === "number") {
+    const d = excelSerialToDate(value, date1904);
+    return d ? isoDate(d) : String(value);
+  }
+  const text = cellText(value);
+  const dmy = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(text);
+  if (dmy) {
+    return `${dmy[3]}-${dmy[2].padStart(2, "0")}-${dmy[1].padStart(2, "0")}`;
+  }
+  const ymd = /^(\d{4})-(\d{2})-(\d{2})/.exec(text);
+  return ymd ? ymd.slice(1).join("-") : text;
+}
+
+/**
+ * Mapea las celdas de una fila candidata a encabezado → { campo: índice de columna }.
+ * Primero prueba la etiqueta combinada con la fila de arriba (encabezados de dos niveles)
+ * y después la celda sola; un campo ya asignado no se reasigna.
+ *
+ * @param {Array<*>} row
+ * @param {Array<*>|undefined} above
+ * @param {Map<string, string>} hints - encabezado normalizado → campo
+ * @returns {Record<string, number>}
+ */
+function mapHeaderRow(row, above, hints) {
+  /** @type {Record<string, number>} */
+  const columns = {};
+  row.forEach((cell, idx) => {
+    const label = normalizeHeader(cell);
+    if (!label) return;
+    const group = normalizeHeader(above?.[idx]);
+    const candidates = group && group !== label ? [`${group} ${label}`, label] : [label];
+    for (const candidate of candidates) {
+      const field = hints.get(candidate) ?? ALIAS_TO_FIELD.get(candidate);
+      if (field && columns[field] === undefined) {
+        columns[field] = idx;
+        return;
+      }
+    }
+  });
+  return columns;
+}
+
+/**
+ * Busca la fila de encabezado con más columnas reconocidas (mínimo 2, incluyendo un identificador).
+ * @param {import('./xlsxWorkbook.js').XlsxSheet} sheet
+ * @param {Map<string, string>} hints
+ * @returns {{ index: number, columns: Record<string, number> }|null}
+ */
+function detectHeader(sheet, hints) {
+  let best = null;
+  const limit = Math.min(sheet.rowCount, HEADER_SCAN_ROWS);
+  for (let i = 0; i < limit; i++) {
+    const columns = mapHeaderRow(sheet.row(i), i > 0 ? sheet.row(i - 1) : undefined, hints);
+    const score = Object.keys(columns).length;
+    const hasId = ["userName", "email", "noEmpleado", "fullName"].some((f) => columns[f] !== undefined);
+    if (score >= 2 && hasId && score > (best?.score ?? 0)) {
+      best = { index: i, columns, score };
+    }
+  }
+  return best && { index: best.index, columns: best.columns };
+}
+
+/**
+ * @param {string} fullName
+ * @returns {{ firstName: string, lastName: string }}
+ */
+function splitName(fullName) {
+  const parts = String(fullName || "").trim().split(/\s+/).filter(Boolean);
+  if (parts.length <= 1) return { firstName: parts[0] ?? "", lastName: "" };
+  return { firstName: parts.slice(0, -1).join(" "), lastName: parts.at(-1) || "" };
+}
+
+/**
+ * @param {string} noEmpleado
+ * @param {string} fallbackName
+ * @returns {string}
+ */
+function toUserNameFromSap(noEmpleado, fallbackName) {
+  return String(noEmpleado || fallbackName || "")
+    .trim()
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/\s+/g, ".")
+    .replace(/[^a-z0-9._-]/g, "");
+}
+
+/**
+ * Lee una hoja catálogo de dos columnas (código, nombre) con encabezado en la primera fila no vacía.
+ * @param {import('./xlsxWorkbook.js').XlsxSheet|undefined} sheet
+ * @returns {Array<[string, string]>}
+ */
+function readCatalogSheet(sheet) {
+  if (!sheet) return [];
+  const filled = Array.from({ length: sheet.rowCount }, (_, i) => sheet.row(i))
+    .filter((r) => r.some((c) => cellText(c)));
+  return filled
+    .slice(1)
+    .map((r) => [cellText(r[0]), cellText(r[1])])
+    .filter(([code, name]) => code && name);
+}
+
+/**
+ *
+ */
+export class XlsxImportStrategy extends BaseImportStrategy {
+  /** Tope defensivo de tamaño del archivo comprimido (5 MB), igual que el CSV. */
+  static MAX_XLSX_BYTES = 5 * 1024 * 1024;
+
+  /**
+   *
+   */
+  get mimeTypes() {
+    return ["application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"];
+  }
+
+  /**
+   *
+   */
+  get label() {
+    return "XLSX";
+  }
+
+  /**
+   * @param {Buffer} buffer
+   * @param {{ sheet?: string|number, columnHints?: Record<string, string> }} [options]
+   * @returns {Promise<{ rows: import('./BaseImportStrategy.js').ImportUserDTO[], embeddedRoleMappings: Record<string, string> }>}
+   */
+  async parse(buffer, options = {}) {
+    if (!Buffer.isBuffer(buffer)) {
+      throw new Error("Archivo XLSX inválido.");
+    }
+    if (buffer.length > XlsxImportStrategy.MAX_XLSX_BYTES) {
+      throw new Error("El archivo XLSX excede el tamaño máximo permitido (5 MB).");
+    }
+
+    const hints = new Map();
+    for (const [header, field] of Object.entries(options.columnHints ?? {})) {
+      if (!XLSX_HINT_FIELDS.includes(field)) {
+        throw new Error(`columnHints: campo desconocido "${field}" para la columna "${header}".`);
+      }
+      hints.set(normalizeHeader(header), field);
+    }
+
+    const workbook = openWorkbook(buffer);
+    const { date1904 } = workbook;
+    if (!workbook.sheets.length) {
+      throw new Error("El libro XLSX no contiene hojas.");
+    }
+
+    const { sheet, index: sheetIndex, header } = this.#selectSheet(workbook, options.sheet, hints);
+    const { columns } = header;
+    const has = (field) => columns[field] !== undefined;
+    const isSapLike = !has("userName");
+
+    if (!isSapLike && !has("email")) {
+      throw new Error(`Hoja "${sheet.name}": columna requerida no encontrada: "email / correo".`);
+    }
+    if (isSapLike && !has("noEmpleado") && !has("fullName")) {
+      throw new Error(
+        `Hoja "${sheet.name}": se requiere una columna "usuario", "No. Empleado" o "Nombre" en el encabezado.`,
+      );
+    }
+
+    const rows = [];
+    for (let i = header.index + 1; i < sheet.rowCount; i++) {
+      const cols = sheet.row(i);
+      const get = (field) => (has(field) ? cellText(cols[columns[field]]) : "");
+      if (!Object.keys(columns).some((field) => get(field))) continue;
+
+      const noEmpleado = get("noEmpleado");
+      const fullName = get("fullName");
+      const ceco = get("sapCeco");
+      const proveedor = get("sapProveedor");
+      const jefe = get("managerNoEmpleado");
+      const fechaAlta = has("fechaAlta") ? cellDate(cols[columns.fechaAlta], date1904) : "";
+      const split = splitName(fullName);
+      const firstName = get("firstName") || split.firstName;
+      const lastName = get("lastName") || (get("firstName") ? "" : split.lastName);
+      const _row = i + 1;
+
+      if (!isSapLike) {
+        const mgr = get("managerUserName");
+        const status = get("sapStatus").toUpperCase();
+        rows.push({
+          userName:   get("userName"),
+          email:      get("email").toLowerCase(),
+          password:   get("password") || undefined,
+          roleName:   get("roleName"),
+          department: get("department") || undefined,
+          firstName:  firstName || undefined,
+          lastName:   lastName || undefined,
+          ...(mgr ? { managerUserName: mgr } : {}),
+          ...(noEmpleado ? { noEmpleado } : {}),
+          ...(jefe ? { managerNoEmpleado: jefe } : {}),
+          ...(status === "A" || status === "I" ? { sapStatus: status } : {}),
+          ...(ceco ? { sapCeco: ceco } : {}),
+          ...(proveedor ? { sapProveedor: proveedor } : {}),
+          ...(fechaAlta ? { fechaAlta } : {}),
+          _row,
+        });
+        continue;
+      }
+
+      const userName = toUserNameFromSap(noEmpleado, fullName || `${firstName} ${lastName}`);
+      let email = get("email").toLowerCase();
+      if (!email) {
+        const providerTag = proveedor ? proveedor.replace(/\D+/g, "") : "sap";
+        email = `${userName}.${providerTag}@sap.local`;
+      }
+
+      rows.push({
+        userName,
+        email,
+        password: undefined,
+        roleName: get("roleName") || "Solicitante",
+        department: get("department") || ceco || undefined,
+        sapCeco: ceco || undefined,
+        sapProveedor: proveedor || undefined,
+        firstName: firstName || undefined,
+        lastName: lastName || undefined,
+        noEmpleado: noEmpleado || undefined,
+        managerNoEmpleado: jefe || undefined,
+        sapStatus: (get("sapStatus") || "A").toUpperCase(),
+        ...(fechaAlta ? { fechaAlta } : {}),
+        _row,
+      });
+    }
+
+    if (!rows.length) {
+      throw new Error(`Hoja "${sheet.name}": no hay filas de datos debajo del encabezado.`);
+    }
+
+    const byName = (names) => {
+      const index = workbook.sheets.findIndex((s, i) => i !== sheetIndex && names.includes(normalizeHeader(s.name)));
+      return index === -1 ? undefined : workbook.sheet(index);
+    };
+    const societies = readCatalogSheet(byName(SOCIETY_SHEETS)).map(([code, name]) => ({ code, name }));
+    const departments = readCatalogSheet(byName(CECO_SHEETS))
+      .map(([costsCenter, departmentName]) => ({ costsCenter, departmentName }));
+
+    return { rows, societies, departments, embeddedRoleMappings: {}, organizationSpec: null };
+  }
+
+  /**
+   * Resuelve la hoja pedida (nombre o índice 1-based) o elige la visible con mejor encabezado.
+   * Con hoja explícita solo se parsea esa.
+   * @param {import('./xlsxWorkbook.js').XlsxWorkbook} workbook
+   * @param {string|number|undefined} requested
+   * @param {Map<string, string>} hints
+   * @returns {{ sheet: import('./xlsxWorkbook.js').XlsxSheet, index: number, header: { index: number, columns: Record<string, number> } }}
+   */
+  #selectSheet(workbook, requested, hints) {
+    const { sheets } = workbook;
+    const names = sheets.map((s) => `"${s.name}"`).join(", ");
+
+    if (requested !== undefined && requested !== null && String(requested).trim() !== "") {
+      const wanted = String(requested).trim();
+      let index = sheets.findIndex((s) => s.name.toLowerCase() === wanted.toLowerCase());
+      if (index === -1 && /^\d+$/.test(wanted) && Number(wanted) >= 1 && Number(wanted) <= sheets.length) {
+        index = Number(wanted) - 1;
+      }
+      if (index === -1) {
+        throw new Error(`La hoja "${wanted}" no existe en el libro. Hojas disponibles: ${names}.`);
+      }
+      const sheet = workbook.sheet(index);
+      const header = detectHeader(sheet, hints);
+      if (!header) {
+        throw new Error(`Hoja "${sheet.name}": no se encontró una fila de encabezado reconocible en las primeras ${HEADER_SCAN_ROWS} filas.`);
+      }
+      return { sheet, index, header };
+    }
+
+    let best = null;
+    for (let index = 0; index < sheets.length; index++) {
+      if (sheets[index].hidden) continue;
+      const sheet = workbook.sheet(index);
+      const header = detectHeader(sheet, hints);
+      if (header && Object.keys(header.columns).length > (best ? Object.keys(best.header.columns).length : 0)) {
+        best = { sheet, index, header };
+      }
+    }
+    if (!best) {
+      throw new Error(`No se encontró una hoja con encabezado de empleados reconocible. Hojas disponibles: ${names}.`);
+    }
+    return best;
+  }
+}
@@ -0,0 +1,376 @@
+/**
+ * @file services/onboarding/strategies/xlsxWorkbook.js
+ * @description Lector mínimo de libros XLSX (Office Open XML) para la importación de onboarding.
+ *
+ * Un .xlsx es un ZIP con partes XML. Solo se lee lo necesario para extraer valores de celda:
+ *   xl/workbook.xml (+ rels)  → hojas, visibilidad y sistema de fechas 1900/1904
+ *   xl/sharedStrings.xml      → tabla de cadenas compartidas
+ *   xl/styles.xml             → formatos numéricos (para distinguir fechas de números)
+ *   xl/worksheets/sheetN.xml  → celdas y rangos combinados
+ *
+ * Las hojas se parsean hasta que se piden (`workbook.sheet(i)`), una vez por parte aunque varias
+ * hojas apunten a la misma. Los rangos combinados no se copian celda por celda: se guardan como
+ * rangos y se resuelven al leer cada fila. Topes por libro de bytes descomprimidos, celdas y área
+ * combinada para que un archivo pequeño no se convierta en cientos de MB en memoria.
+ *
+ * No evalúa fórmulas: usa el último valor calculado que guardó Excel (`<v>`).
+ * No soporta ZIP64 ni archivos cifrados (ambos fuera de lo que produce una plantilla de RH).
+ */
+import zlib from "node:zlib";
+import { XMLParser } from "fast-xml-parser";
+
+/** Tope por parte descomprimida; un XLSX de 2 MB no debería acercarse (protege de zip bombs). */
+const MAX_ENTRY_BYTES = 50 * 1024 * 1024;
+/** Tope de bytes descomprimidos sumando todas las partes que se leen del libro. */
+const MAX_WORKBOOK_BYTES = 64 * 1024 * 1024;
+/** Límites de la cuadrícula por hoja. */
+const MAX_ROWS = 50_000;
+const MAX_COLS = 256;
+/** Celdas `<c>` parseadas en todo el libro. */
+const MAX_CELLS = 2_000_000;
+/** Suma del área de los rangos combinados (ya recortados a MAX_ROWS × MAX_COLS) en todo el libro. */
+const MAX_MERGED_CELLS = 100_000;
+
+const SIG_EOCD = 0x06054b50;
+const SIG_CENTRAL = 0x02014b50;
+const SIG_LOCAL = 0x04034b50;
+
+/** Formatos numéricos integrados de Excel que representan fecha/hora. */
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+const ARRAY_TAGS = new Set(["sheet", "Relationship", "si", "r", "row", "c", "mergeCell", "xf", "numFmt"]);
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "",
+  removeNSPrefix: true,
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: false,
+  isArray: (tagName) => ARRAY_TAGS.has(tagName),
+});
+
+/**
+ * Lee el directorio central del ZIP y devuelve las entradas por nombre.
+ * @param {Buffer} buffer
+ * @returns {Map<string, { method: number, compressedSize: number, size: number, offset: number }>}
+ */
+function readZipEntries(buffer) {
+  let eocd = -1;
+  const stop = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let i = buffer.length - 22; i >= stop; i--) {
+    if (buffer.readUInt32LE(i) === SIG_EOCD) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error("El archivo no es un XLSX válido (ZIP sin directorio central).");
+  }
+
+  const total = buffer.readUInt16LE(eocd + 10);
+  let pos = buffer.readUInt32LE(eocd + 16);
+  if (total === 0xffff || pos === 0xffffffff) {
+    throw new Error("XLSX en formato ZIP64 no soportado.");
+  }
+
+  const entries = new Map();
+  for (let n = 0; n < total; n++) {
+    if (pos + 46 > buffer.length || buffer.readUInt32LE(pos) !== SIG_CENTRAL) {
+      throw new Error("El archivo XLSX está dañado (directorio central inválido).");
+    }
+    const flags = buffer.readUInt16LE(pos + 8);
+    const nameLen = buffer.readUInt16LE(pos + 28);
+    const extraLen = buffer.readUInt16LE(pos + 30);
+    const commentLen = buffer.readUInt16LE(pos + 32);
+    const name = buffer.toString("utf8", pos + 46, pos + 46 + nameLen);
+    if (flags & 0x1) {
+      throw new Error("XLSX protegido con contraseña no soportado.");
+    }
+    entries.set(name, {
+      method: buffer.readUInt16LE(pos + 10),
+      compressedSize: buffer.readUInt32LE(pos + 20),
+      size: buffer.readUInt32LE(pos + 24),
+      offset: buffer.readUInt32LE(pos + 42),
+    });
+    pos += 46 + nameLen + extraLen + commentLen;
+  }
+  return entries;
+}
+
+/**
+ * Descomprime una entrada del ZIP como texto UTF-8.
+ * @param {Buffer} buffer
+ * @param {{ method: number, compressedSize: number, size: number, offset: number }} entry
+ * @param {string} name
+ * @returns {string}
+ */
+function readZipText(buffer, entry, name) {
+  const { offset } = entry;
+  if (offset + 30 > buffer.length || buffer.readUInt32LE(offset) !== SIG_LOCAL) {
+    throw new Error(`El archivo XLSX está dañado (${name}).`);
+  }
+  const start = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+  const data = buffer.subarray(start, start + entry.compressedSize);
+
+  if (entry.size > MAX_ENTRY_BYTES) {
+    throw new Error(`El archivo XLSX es demasiado grande (${name}).`);
+  }
+  if (entry.method === 0) return data.toString("utf8");
+  if (entry.method !== 8) {
+    throw new Error(`Compresión no soportada en el XLSX (${name}).`);
+  }
+  try {
+    return zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_BYTES }).toString("utf8");
+  } catch {
+    throw new Error(`El archivo XLSX está dañado (${name}).`);
+  }
+}
+
+/**
+ * Texto de un nodo XML ya parseado (`<t>`, `<v>`), con o sin atributos.
+ * @param {*} node
+ * @returns {string}
+ */
+function textOf(node) {
+  if (node === undefined || node === null) return "";
+  if (typeof node === "object") return String(node["#text"] ?? "");
+  return String(node);
+}
+
+/**
+ * Texto de un `<si>` / `<is>`: cadena simple o runs de texto enriquecido.
+ * @param {*} node
+ * @returns {string}
+ */
+function richText(node) {
+  if (!node || typeof node !== "object") return textOf(node);
+  if (node.t !== undefined) return textOf(node.t);
+  return (node.r ?? []).map((run) => textOf(run?.t)).join("");
+}
+
+/**
+ * ¿El código de formato numérico personalizado es de fecha? Ignora literales y
+ * bloques `[...]` (moneda, color, locale) antes de buscar tokens d/m/y.
+ * @param {string} code
+ * @returns {boolean}
+ */
+function isDateFormatCode(code) {
+  const cleaned = String(code)
+    .replace(/"[^"]*"/g, "")
+    .replace(/\\./g, "")
+    .replace(/\[[^\]]*\]/g, "");
+  return /[dmy]/i.test(cleaned) && !/^general$/i.test(cleaned.trim());
+}
+
+/**
+ * "AB12" → { row: 11, col: 27 } (fila 0-indexed, columna 0-indexed).
+ * @param {string} ref
+ * @returns {{ row: number, col: number }|null}
+ */
+function parseCellRef(ref) {
+  const m = /^([A-Z]+)(\d+)$/i.exec(String(ref ?? ""));
+  if (!m) return null;
+  let col = 0;
+  for (const ch of m[1].toUpperCase()) col = col * 26 + (ch.charCodeAt(0) - 64);
+  return { row: Number(m[2]) - 1, col: col - 1 };
+}
+
+/**
+ * Convierte un serial de fecha de Excel a Date (UTC, sin hora).
+ * Sistema 1900: epoch 1899-12-30 (absorbe el 29/feb/1900 ficticio de Lotus); sistema 1904: 1904-01-01.
+ * @param {number} serial
+ * @param {boolean} [date1904]
+ * @returns {Date|null}
+ */
+export function excelSerialToDate(serial, date1904 = false) {
+  if (!Number.isFinite(serial) || serial < 1 || serial > 2958465) return null;
+  const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+  return new Date(epoch + Math.floor(serial) * 86_400_000);
+}
+
+/**
+ * @typedef {string|number|boolean|Date|null} XlsxCellValue
+ *
+ * @typedef {object} XlsxSheetInfo
+ * @property {string}  name
+ * @property {boolean} hidden
+ *
+ * @typedef {object} XlsxSheet
+ * @property {string}  name
+ * @property {boolean} hidden
+ * @property {number}  rowCount - filas hasta la última con celdas o dentro de un rango combinado
+ * @property {(index: number) => XlsxCellValue[]} row - fila 0-indexed (`row(i)` es la fila i+1 de
+ *   Excel) con los combinados resueltos; solo llega hasta su última celda con valor
+ *
+ * @typedef {object} XlsxWorkbook
+ * @property {boolean}         date1904
+ * @property {XlsxSheetInfo[]} sheets - nombre y visibilidad, sin parsear
+ * @property {(index: number) => XlsxSheet} sheet - parsea la hoja `index` (0-based) al pedirla
+ */
+
+/**
+ * Abre un libro XLSX: lee el índice de hojas, cadenas compartidas y estilos; cada hoja se
+ * parsea hasta que se pide. Las celdas de un rango combinado reciben el valor de su esquina
+ * superior izquierda, de modo que encabezados agrupados ("Jefe Inmediato" sobre dos columnas)
+ * se ven en todas.
+ *
+ * @param {Buffer} buffer
+ * @returns {XlsxWorkbook}
+ * @throws {Error} Archivo inválido o que excede los topes de tamaño, celdas o área combinada
+ */
+export function openWorkbook(buffer) {
+  const entries = readZipEntries(buffer);
+  const budget = { bytes: MAX_WORKBOOK_BYTES, cells: MAX_CELLS, merged: MAX_MERGED_CELLS };
+  const read = (name) => {
+    const entry = entries.get(name);
+    if (!entry) return null;
+    const text = readZipText(buffer, entry, name);
+    budget.bytes -= Buffer.byteLength(text);
+    if (budget.bytes < 0) {
+      throw new Error("El archivo XLSX es demasiado grande una vez descomprimido.");
+    }
+    return parser.parse(text);
+  };
+
+  const workbook = read("xl/workbook.xml")?.workbook;
+  if (!workbook) {
+    throw new Error("El archivo no es un libro de Excel (.xlsx) válido.");
+  }
+  const date1904 = ["1", "true"].includes(String(workbook.workbookPr?.date1904 ?? "").toLowerCase());
+
+  const rels = new Map();
+  for (const rel of read("xl/_rels/workbook.xml.rels")?.Relationships?.Relationship ?? []) {
+    const target = String(rel.Target ?? "");
+    rels.set(rel.Id, target.startsWith("/") ? target.slice(1) : `xl/${target}`);
+  }
+
+  const sharedStrings = (read("xl/sharedStrings.xml")?.sst?.si ?? []).map(richText);
+
+  const styles = read("xl/styles.xml")?.styleSheet;
+  const customFormats = new Map(
+    (styles?.numFmts?.numFmt ?? []).map((f) => [Number(f.numFmtId), String(f.formatCode ?? "")])
+  );
+  const dateStyles = (styles?.cellXfs?.xf ?? []).map((xf) => {
+    const id = Number(xf.numFmtId ?? 0);
+    return BUILTIN_DATE_FORMATS.has(id) || (customFormats.has(id) && isDateFormatCode(customFormats.get(id)));
+  });
+
+  /**
+   * @param {*} c - nodo `<c>` parseado
+   * @returns {XlsxCellValue}
+   */
+  const cellValue = (c) => {
+    const raw = textOf(c.v);
+    switch (c.t) {
+      case "s":
+        return sharedStrings[Number(raw)] ?? null;
+      case "inlineStr":
+        return richText(c.is);
+      case "str":
+        return raw;
+      case "b":
+        return raw === "1";
+      case "e":
+        return null;
+      case "d": {
+        const d = new Date(raw);
+        return Number.isNaN(d.getTime()) ? raw : d;
+      }
+      default: {
+        if (raw === "") return null;
+        const n = Number(raw);
+        if (!Number.isFinite(n)) return raw;
+        return dateStyles[Number(c.s ?? 0)] ? (excelSerialToDate(n, date1904) ?? n) : n;
+      }
+    }
+  };
+
+  /**
+   * Celdas de una parte de hoja (filas dispersas) y sus rangos combinados indexados por fila.
+   * @param {string|undefined} path
+   * @param {string} sheetName - solo para mensajes
+   * @returns {{ rows: XlsxCellValue[][], merges: Map<number, Array<{ from: number, to: number, value: XlsxCellValue }>>, rowCount: number }}
+   */
+  const parseSheetPart = (path, sheetName) => {
+    const ws = path ? read(path)?.worksheet : null;
+    /** @type {XlsxCellValue[][]} */
+    const rows = [];
+    let nextRow = 0;
+
+    for (const row of ws?.sheetData?.row ?? []) {
+      let fallbackCol = 0;
+      const rowIndex = row.r ? Number(row.r) - 1 : nextRow;
+      if (!(rowIndex >= 0)) continue;
+      if (rowIndex >= MAX_ROWS) {
+        throw new Error(`La hoja "${sheetName}" excede el máximo de ${MAX_ROWS} filas.`);
+      }
+      budget.cells -= row.c?.length ?? 0;
+      if (budget.cells < 0) {
+        throw new Error(`El libro excede el máximo de ${MAX_CELLS} celdas.`);
+      }
+      const cells = [];
+      for (const c of row.c ?? []) {
+        const col = parseCellRef(c.r)?.col ?? fallbackCol;
+        fallbackCol = col + 1;
+        if (col >= MAX_COLS) continue;
+        cells[col] = cellValue(c);
+      }
+      rows[rowIndex] = cells;
+      nextRow = rowIndex + 1;
+    }
+
+    const merges = new Map();
+    let rowCount = rows.length;
+    for (const merge of ws?.mergeCells?.mergeCell ?? []) {
+      const [from, to] = String(merge.ref ?? "").split(":").map(parseCellRef);
+      if (!from || !to || from.row > to.row || from.col > to.col || from.row >= MAX_ROWS || from.col >= MAX_COLS) continue;
+      const lastRow = Math.min(to.row, MAX_ROWS - 1);
+      const lastCol = Math.min(to.col, MAX_COLS - 1);
+      budget.merged -= (lastRow - from.row + 1) * (lastCol - from.col + 1);
+      if (budget.merged < 0) {
+        throw new Error(`El libro excede el máximo de ${MAX_MERGED_CELLS} celdas combinadas.`);
+      }
+      const range = { from: from.col, to: lastCol, value: rows[from.row]?.[from.col] ?? null };
+      for (let r = from.row; r <= lastRow; r++) {
+        if (!merges.has(r)) merges.set(r, []);
+        merges.get(r).push(range);
+      }
+      rowCount = Math.max(rowCount, lastRow + 1);
+    }
+
+    return { rows, merges, rowCount };
+  };
+
+  const sheets = (workbook.sheets?.sheet ?? []).map((sheet) => ({
+    name: String(sheet.name ?? ""),
+    hidden: sheet.state === "hidden" || sheet.state === "veryHidden",
+    path: rels.get(sheet.id),
+  }));
+  /** Partes ya parseadas: varias hojas pueden apuntar a la misma. */
+  const parsed = new Map();
+
+  return {
+    date1904,
+    sheets: sheets.map(({ name, hidden }) => ({ name, hidden })),
+    sheet(index) {
+      const info = sheets[index];
+      if (!info) throw new Error(`La hoja ${index + 1} no existe en el libro.`);
+      const key = info.path ?? `#${index}`;
+      if (!parsed.has(key)) parsed.set(key, parseSheetPart(info.path, info.name));
+      const { rows, merges, rowCount } = parsed.get(key);
+      return {
+        name: info.name,
+        hidden: info.hidden,
+        rowCount,
+        row(i) {
+          const cells = [...(rows[i] ?? [])];
+          for (const range of merges.get(i) ?? []) {
+            for (let col = range.from; col <= range.to; col++) cells[col] = range.value;
+          }
+          return Array.from(cells, (v) => v ?? null);
+        },
+      };
+    },
+  };
+}
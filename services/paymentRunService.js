@@ -0,0 +1,402 @@
+/**
+ * @module paymentRunService
+ * @description Corridas de pago SPEI de reembolsos. Junta las liquidaciones COMPANY_OWES en MXN que
+ * siguen PENDING y no están en otra corrida abierta, genera el archivo del banco con la CLABE del
+ * empleado (services/payments) y guarda una línea por liquidación. La confirmación del banco marca
+ * cada línea PAID o REJECTED; las pagadas liquidan la AdvanceSettlement (y con ella pueden finalizar
+ * la solicitud) y el aviso al empleado queda en el outbox de notificaciones. Una línea rechazada o cancelada libera la liquidación para
+ * una corrida posterior.
+ */
+import { Prisma } from "@prisma/client";
+import prisma from "../database/config/prisma.js";
+import AccountsPayableService from "./accountsPayableService.js";
+import { enqueueOutboxEvent, kickNotificationOutbox } from "./notificationOutboxService.js";
+import { getBankLayout } from "./payments/bankLayouts.js";
+import { BANK_NAMES, isValidClabe, revealClabe } from "./payments/clabe.js";
+
+const { Decimal } = Prisma;
+
+/** Una liquidación con línea en alguno de estos estados no entra a otra corrida. */
+const BLOCKING_LINE_STATUSES = ["PENDING", "PAID"];
+
+const SETTLEMENT_SELECT = {
+  id: true,
+  requestId: true,
+  amount: true,
+  request: {
+    select: {
+      userId: true,
+      user: {
+        select: {
+          userName: true,
+          empleado: { select: { noEmpleado: true, nombre: true, clabeEncrypted: true, clabeLast4: true, bankCode: true } },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * @param {Object} line PaymentRunLine
+ * @returns {Object}
+ */
+const serializeLine = (line) => ({
+  id: line.id,
+  settlementId: line.settlementId,
+  requestId: line.requestId,
+  userId: line.userId,
+  beneficiaryName: line.beneficiaryName,
+  clabeLast4: line.clabeLast4,
+  bankCode: line.bankCode,
+  bankName: BANK_NAMES[line.bankCode] ?? null,
+  amount: new Decimal(line.amount).toNumber(),
+  reference: line.reference,
+  status: line.status,
+  trackingKey: line.trackingKey ?? null,
+  bankMessage: line.bankMessage ?? null,
+  paidAt: line.paidAt ?? null,
+});
+
+/**
+ * Forma de respuesta; el contenido del archivo solo sale por `getRunFile`.
+ * @param {Object} run PaymentRun (con `lines` opcional)
+ * @returns {Object}
+ */
+export const serializeRun = (run) => ({
+  id: run.id,
+  layout: run.layout,
+  status: run.status,
+  sourceAccount: run.sourceAccount ?? null,
+  valueDate: run.valueDate instanceof Date ? run.valueDate.toISOString().slice(0, 10) : run.valueDate,
+  totalAmount: new Decimal(run.totalAmount).toNumber(),
+  lineCount: run.lineCount,
+  fileName: run.fileName,
+  createdById: run.createdById ?? null,
+  confirmedAt: run.confirmedAt ?? null,
+  createdAt: run.createdAt,
+  ...(run.lines ? { lines: run.lines.map(serializeLine) } : {}),
+});
+
+/**
+ * @param {bigint|number|string} organizationId
+ * @param {number} runId
+ * @param {boolean} [withLines]
+ * @returns {Promise<Object>}
+ * @throws {{ status: 404, message: string }}
+ */
+async function findRun(organizationId, runId, withLines = true) {
+  const run = await prisma.paymentRun.findFirst({
+    where: { id: Number(runId), organizationId: BigInt(organizationId) },
+    ...(withLines ? { include: { lines: { orderBy: { reference: "asc" } } } } : {}),
+  });
+  if (!run) throw { status: 404, message: "Corrida de pago no encontrada" };
+  return run;
+}
+
+/**
+ * @param {bigint|number|string} organizationId
+ * @returns {Promise<Object[]>}
+ */
+export async function listRuns(organizationId) {
+  const runs = await prisma.paymentRun.findMany({
+    where: { organizationId: BigInt(organizationId) },
+    orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+  });
+  return runs.map(serializeRun);
+}
+
+/**
+ * @param {bigint|number|string} organizationId
+ * @param {number} runId
+ * @returns {Promise<Object>}
+ */
+export async function getRun(organizationId, runId) {
+  return serializeRun(await findRun(organizationId, runId));
+}
+
+/**
+ * @param {bigint|number|string} organizationId
+ * @param {number} runId
+ * @returns {Promise<{ fileName: string, contentType: string, content: string }>}
+ */
+export async function getRunFile(organizationId, runId) {
+  const run = await findRun(organizationId, runId, false);
+  return {
+    fileName: run.fileName,
+    contentType: run.fileName.endsWith(".csv") ? "text/csv; charset=utf-8" : "text/plain; charset=utf-8",
+    content: run.fileContent,
+  };
+}
+
+/**
+ * Genera la corrida y su archivo bancario. Las liquidaciones se reclaman con `FOR UPDATE` en la
+ * misma transacción que crea las líneas, así que dos corridas simultáneas no comparten ninguna;
+ * el índice parcial `payment_run_lines_open_settlement_key` es la red si algo se cuela.
+ * @param {bigint|number|string} organizationId
+ * @param {Object} params
+ * @param {"SPEI_CSV"|"BBVA_H2H"|"BANORTE_H2H"} params.layout
+ * @param {string|null} [params.sourceAccount] - Cuenta de cargo; obligatoria en layouts H2H
+ * @param {string|null} [params.valueDate]     - YYYY-MM-DD; default hoy
+ * @param {number[]|null} [params.settlementIds] - Limita la corrida a estas liquidaciones
+ * @param {number|null} [params.actorUserId]
+ * @returns {Promise<{ run: Object, skipped: Array<{ settlementId: number, requestId: number|null, reason: string }> }>}
+ * @throws {{ status: 400|409, message: string }} Layout/cuenta inválidos o nada que pagar; 409 si otra corrida tomó una liquidación
+ */
+export async function createRun(organizationId, { layout, sourceAccount = null, valueDate = null, settlementIds = null, actorUserId = null }) {
+  const orgId = BigInt(organizationId);
+  const bankLayout = getBankLayout(layout);
+  const account = sourceAccount ? String(sourceAccount).trim() : null;
+  if (bankLayout.sourceAccount && !bankLayout.sourceAccount.test(account ?? "")) {
+    throw { status: 400, message: `source_account inválida para el layout ${layout}` };
+  }
+  const applyDate = valueDate ?? new Date().toISOString().slice(0, 10);
+  const ids = Array.isArray(settlementIds) && settlementIds.length ? settlementIds.map(Number) : null;
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      // Bloquea las candidatas: otra corrida espera aquí y, al seguir, ya ve nuestras líneas.
+      await tx.$queryRaw`
+        SELECT id FROM "advance_settlements"
+        WHERE organization_id = ${orgId} AND status = 'PENDING'
+          AND direction = 'COMPANY_OWES' AND currency = 'MXN'
+          ${ids ? Prisma.sql`AND id IN (${Prisma.join(ids)})` : Prisma.empty}
+        ORDER BY id
+        FOR UPDATE`;
+
+      const settlements = await tx.advanceSettlement.findMany({
+        where: {
+          organizationId: orgId,
+          status: "PENDING",
+          direction: "COMPANY_OWES",
+          currency: "MXN",
+          ...(ids ? { id: { in: ids } } : {}),
+          paymentRunLines: { none: { status: { in: BLOCKING_LINE_STATUSES } } },
+        },
+        select: SETTLEMENT_SELECT,
+        orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+      });
+
+      const skipped = [];
+      if (ids) {
+        const found = new Set(settlements.map((s) => s.id));
+        for (const id of ids.filter((i) => !found.has(i))) {
+          skipped.push({ settlementId: id, requestId: null, reason: "No es un reembolso MXN pendiente o ya está en una corrida" });
+        }
+      }
+
+      const payable = [];
+      for (const s of settlements) {
+        const empleado = s.request?.user?.empleado;
+        const clabe = empleado?.clabeEncrypted ? revealClabe(empleado.clabeEncrypted) : null;
+        if (!clabe || !isValidClabe(clabe)) {
+          skipped.push({ settlementId: s.id, requestId: s.requestId, reason: "El empleado no tiene CLABE válida registrada" });
+          continue;
+        }
+        payable.push({
+          settlementId: s.id,
+          requestId: s.requestId,
+          userId: s.request.userId,
+          reference: String(payable.length + 1).padStart(7, "0"),
+          clabe,
+          bankCode: clabe.slice(0, 3),
+          clabeLast4: clabe.slice(-4),
+          beneficiaryName: String(empleado.nombre || s.request.user.userName).slice(0, 100),
+          employeeKey: empleado.noEmpleado,
+          amount: new Decimal(s.amount).toNumber(),
+          concept: `REEMBOLSO VIAJE ${s.requestId}`,
+        });
+      }
+      if (!payable.length) {
+        throw { status: 400, message: "No hay reembolsos listos para pagar", details: { skipped } };
+      }
+
+      const organization = await tx.organization.findUnique({ where: { id: orgId }, select: { rfc: true } });
+      const content = bankLayout.render(payable, { sourceAccount: account, valueDate: applyDate, payerRfc: organization?.rfc ?? null });
+      const totalAmount = payable.reduce((acc, p) => acc.plus(p.amount), new Decimal(0));
+
+      const created = await tx.paymentRun.create({
+        data: {
+          organizationId: orgId,
+          layout,
+          sourceAccount: account,
+          valueDate: new Date(applyDate),
+          totalAmount,
+          lineCount: payable.length,
+          fileName: `${layout.toLowerCase()}.${bankLayout.extension}`,
+          fileContent: content,
+          createdById: actorUserId,
+        },
+      });
+      await tx.paymentRunLine.createMany({
+        data: payable.map((p) => ({
+          paymentRunId: created.id,
+          organizationId: orgId,
+          settlementId: p.settlementId,
+          requestId: p.requestId,
+          userId: p.userId,
+          beneficiaryName: p.beneficiaryName,
+          clabeLast4: p.clabeLast4,
+          bankCode: p.bankCode,
+          amount: p.amount,
+          reference: p.reference,
+        })),
+      });
+      const run = await tx.paymentRun.update({
+        where: { id: created.id },
+        data: { fileName: `${layout.toLowerCase()}_${created.id}_${applyDate.replaceAll("-", "")}.${bankLayout.extension}` },
+        include: { lines: { orderBy: { reference: "asc" } } },
+      });
+      return { run: serializeRun(run), skipped };
+    });
+  } catch (err) {
+    if (err?.code === "P2002") {
+      throw { status: 409, message: "Una de las liquidaciones ya está en otra corrida abierta; vuelve a generar la corrida" };
+    }
+    throw err;
+  }
+}
+
+/**
+ * Aplica el archivo de confirmación del banco. Cada línea se reclama con `updateMany` sobre
+ * PENDING en la misma transacción que encola el aviso de pago, así que reenviar el mismo archivo
+ * no paga ni notifica dos veces.
+ * @param {bigint|number|string} organizationId
+ * @param {number} runId
+ * @param {string} content - Texto del archivo de respuesta
+ * @param {{ actorUserId?: number|null }} [context]
+ * @returns {Promise<{ run: Object, summary: { paid: number, rejected: number, ignored: number, unmatched: string[], unsettled: string[] } }>}
+ *   `unsettled`: referencias pagadas por el banco cuya liquidación no se pudo registrar.
+ * @throws {{ status: number, message: string }} 404 corrida, 409 cerrada, 400 archivo sin registros
+ */
+export async function confirmRun(organizationId, runId, content, { actorUserId = null } = {}) {
+  const run = await findRun(organizationId, runId);
+  if (run.status === "COMPLETED" || run.status === "CANCELLED") {
+    throw { status: 409, message: `La corrida ya está ${run.status === "COMPLETED" ? "confirmada" : "cancelada"}` };
+  }
+  const confirmations = getBankLayout(run.layout).parseConfirmation(content);
+  if (!confirmations.length) {
+    throw { status: 400, message: "El archivo de confirmación no trae registros reconocibles" };
+  }
+
+  const byReference = new Map(run.lines.map((l) => [l.reference, l]));
+  const summary = { paid: 0, rejected: 0, ignored: 0, unmatched: [], unsettled: [] };
+
+  for (const c of confirmations) {
+    const line = byReference.get(c.reference);
+    if (!line) {
+      summary.unmatched.push(c.reference);
+      continue;
+    }
+    const trackingKey = c.trackingKey ? c.trackingKey.slice(0, 30) : null;
+    const count = await prisma.$transaction(async (tx) => {
+      const claimed = await tx.paymentRunLine.updateMany({
+        where: { id: line.id, status: "PENDING" },
+        data: c.paid
+          ? { status: "PAID", trackingKey, bankMessage: c.message?.slice(0, 120) ?? null, paidAt: new Date() }
+          : { status: "REJECTED", trackingKey, bankMessage: (c.message ?? "Rechazado por el banco").slice(0, 120) },
+      });
+      if (claimed.count === 1 && c.paid) {
+        await enqueueOutboxEvent(tx, {
+          organizationId: run.organizationId,
+          eventCode: "reimbursement.paid",
+          requestId: line.requestId,
+          payload: {
+            amount: new Decimal(line.amount).toNumber(),
+            clabeLast4: line.clabeLast4,
+            trackingKey,
+          },
+        });
+      }
+      return claimed.count;
+    });
+    if (count === 0) {
+      summary.ignored += 1;
+      continue;
+    }
+    if (!c.paid) {
+      summary.rejected += 1;
+      continue;
+    }
+
+    summary.paid += 1;
+    if (line.settlementId) {
+      try {
+        await AccountsPayableService.completeSettlement(line.settlementId, {
+          organizationId: run.organizationId,
+          actorUserId,
+          reference: trackingKey ?? `RUN-${run.id}-${line.reference}`,
+        });
+      } catch (err) {
+        // settle rechaza liquidaciones con línea abierta, así que aquí no hay pago manual previo
+        // que dar por bueno: cualquier fallo deja el pago bancario sin liquidar y tesorería lo revisa.
+        summary.unsettled.push(line.reference);
+        console.error("paymentRun: pago bancario sin liquidación registrada:", err?.message || err);
+      }
+    }
+  }
+  if (summary.paid > 0) kickNotificationOutbox();
+
+  const remaining = await prisma.paymentRunLine.count({ where: { paymentRunId: run.id, status: "PENDING" } });
+  const updated = await prisma.paymentRun.update({
+    where: { id: run.id },
+    data: { status: remaining > 0 ? "PARTIAL" : "COMPLETED", confirmedAt: new Date() },
+    include: { lines: { orderBy: { reference: "asc" } } },
+  });
+  return { run: serializeRun(updated), summary };
+}
+
+/**
+ * Cancela las líneas sin respuesta para que sus liquidaciones puedan ir en otra corrida. Si el
+ * archivo ya se subió, el banco pudo haberlas pagado sin confirmarlo todavía: liberar una línea
+ * así paga dos veces al empleado, por eso con líneas PENDING se exige `confirmUnpaid` (tesorería
+ * verificó en el portal del banco que no se aplicaron) y queda registrado quién lo confirmó.
+ * @param {bigint|number|string} organizationId
+ * @param {number} runId
+ * @param {{ confirmUnpaid?: boolean, actorUserId?: number|null }} [options]
+ * @returns {Promise<Object>}
+ * @throws {{ status: number, message: string, details?: Object }} 404 corrida, 409 ya cerrada o
+ *   con líneas pendientes sin `confirmUnpaid`
+ */
+export async function cancelRun(organizationId, runId, { confirmUnpaid = false, actorUserId = null } = {}) {
+  const run = await findRun(organizationId, runId, false);
+  if (run.status === "COMPLETED" || run.status === "CANCELLED") {
+    throw { status: 409, message: "La corrida ya está cerrada" };
+  }
+  if (!confirmUnpaid) {
+    const pending = await prisma.paymentRunLine.findMany({
+      where: { paymentRunId: run.id, status: "PENDING" },
+      select: { reference: true },
+      orderBy: { reference: "asc" },
+    });
+    if (pending.length) {
+      throw {
+        status: 409,
+        message: "La corrida tiene líneas sin respuesta del banco; verifica que no se pagaron y confirma con confirm_unpaid",
+        details: { pending: pending.map((l) => l.reference) },
+      };
+    }
+  }
+  await prisma.paymentRunLine.updateMany({
+    where: { paymentRunId: run.id, status: "PENDING" },
+    data: {
+      status: "CANCELLED",
+      bankMessage: `Cancelada: tesorería confirmó que no se pagó${actorUserId ? ` (usuario ${actorUserId})` : ""}`,
+    },
+  });
+  const updated = await prisma.paymentRun.update({
+    where: { id: run.id },
+    data: { status: "CANCELLED" },
+    include: { lines: { orderBy: { reference: "asc" } } },
+  });
+  return serializeRun(updated);
+}
+
+export default {
+  serializeRun,
+  listRuns,
+  getRun,
+  getRunFile,
+  createRun,
+  confirmRun,
+  cancelRun,
+};
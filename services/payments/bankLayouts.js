@@ -0,0 +1,286 @@
+/**
+ * @module payments/bankLayouts
+ * @description Layouts de archivo de pago SPEI que usa paymentRunService. Cada layout expone
+ * `render(lines, context)` → contenido del archivo y `parseConfirmation(content)` → respuesta del
+ * banco por referencia numérica.
+ *   - SPEI_CSV: CSV genérico para carga en portal; la confirmación es un CSV con encabezados
+ *     `referencia, estatus, clave_rastreo, motivo`.
+ *   - BBVA_H2H / BANORTE_H2H: ancho fijo para Host to Host. El archivo de respuesta repite cada
+ *     registro y le agrega código (2, "00" = aplicado), clave de rastreo (30) y descripción.
+ * Los textos van en mayúsculas sin acentos: los bancos rechazan caracteres fuera de A-Z, 0-9.
+ */
+
+/**
+ * @typedef {Object} PaymentFileLine
+ * @property {string} reference       - Referencia numérica, 7 dígitos
+ * @property {string} clabe
+ * @property {string} bankCode
+ * @property {string} beneficiaryName
+ * @property {string} employeeKey     - noEmpleado
+ * @property {number} amount
+ * @property {string} concept
+ */
+
+/**
+ * @typedef {Object} PaymentFileContext
+ * @property {string|null} sourceAccount
+ * @property {string} valueDate       - YYYY-MM-DD
+ * @property {string|null} payerRfc
+ */
+
+/**
+ * @typedef {Object} BankConfirmation
+ * @property {string} reference
+ * @property {boolean} paid
+ * @property {string|null} trackingKey
+ * @property {string|null} message
+ */
+
+/**
+ * @typedef {Object} BankLayout
+ * @property {string} extension
+ * @property {RegExp|null} sourceAccount - Formato exigido de la cuenta de cargo (null = opcional)
+ * @property {(lines: PaymentFileLine[], context: PaymentFileContext) => string} render
+ * @property {(content: string) => BankConfirmation[]} parseConfirmation
+ */
+
+/**
+ * @typedef {Object} FixedField
+ * @property {string} key
+ * @property {number} width
+ * @property {"left"|"right"} [align] - Default left
+ * @property {string} [pad]           - Default " "
+ */
+
+const EOL = "\r\n";
+const PAID_CODE = "00";
+const CSV_PAID_STATUSES = new Set(["LIQUIDADA", "LIQUIDADO", "APLICADA", "APLICADO", "PAGADA", "PAGADO", "OK"]);
+
+/**
+ * @param {unknown} value
+ * @returns {string} Mayúsculas, sin acentos ni caracteres fuera de A-Z, 0-9 y espacio
+ */
+export const bankText = (value) =>
+  String(value ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9 ]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * @param {string} reference
+ * @returns {string} Referencia a 7 dígitos (los bancos pueden devolverla con otro relleno)
+ */
+export const normalizeReference = (reference) => {
+  const digits = String(reference ?? "").replace(/\D/g, "");
+  return digits ? String(Number(digits)).padStart(7, "0") : "";
+};
+
+/**
+ * @param {string} text
+ * @param {FixedField} field
+ * @returns {string}
+ * @throws {{ status: 400, message: string }} Si un campo alineado a la derecha no cabe
+ */
+const fixedField = (text, field) => {
+  const pad = field.pad ?? " ";
+  if (text.length > field.width) {
+    if (field.align === "right") {
+      throw { status: 400, message: `El valor '${text}' no cabe en ${field.width} posiciones (${field.key})` };
+    }
+    return text.slice(0, field.width);
+  }
+  return field.align === "right" ? text.padStart(field.width, pad) : text.padEnd(field.width, pad);
+};
+
+/**
+ * @param {FixedField[]} fields
+ * @returns {number}
+ */
+const recordLength = (fields) => fields.reduce((acc, f) => acc + f.width, 0);
+
+/**
+ * @param {FixedField[]} fields
+ * @param {string} key
+ * @returns {{ start: number, end: number }}
+ */
+const fieldRange = (fields, key) => {
+  let start = 0;
+  for (const f of fields) {
+    if (f.key === key) return { start, end: start + f.width };
+    start += f.width;
+  }
+  throw new Error(`Campo ${key} inexistente en el layout`);
+};
+
+/**
+ * Layout de ancho fijo: un registro por línea y respuesta H2H con el registro original como prefijo.
+ * @param {Object} spec
+ * @param {FixedField[]} spec.fields
+ * @param {RegExp} spec.sourceAccount
+ * @param {(line: PaymentFileLine, context: PaymentFileContext) => Record<string, string>} spec.values
+ * @returns {BankLayout}
+ */
+const fixedWidthLayout = ({ fields, sourceAccount, values }) => {
+  const length = recordLength(fields);
+  const ref = fieldRange(fields, "reference");
+  return {
+    extension: "txt",
+    sourceAccount,
+    render: (lines, context) =>
+      lines
+        .map((line) => {
+          const row = values(line, context);
+          return fields.map((f) => fixedField(String(row[f.key] ?? ""), f)).join("") + EOL;
+        })
+        .join(""),
+    parseConfirmation: (content) =>
+      String(content)
+        .split(/\r?\n/)
+        .filter((raw) => raw.length >= length + PAID_CODE.length)
+        .map((raw) => ({
+          reference: normalizeReference(raw.slice(ref.start, ref.end)),
+          paid: raw.slice(length, length + 2) === PAID_CODE,
+          trackingKey: raw.slice(length + 2, length + 32).trim() || null,
+          message: raw.slice(length + 32).trim() || null,
+        })),
+  };
+};
+
+/**
+ * @param {number} amount
+ * @returns {string} "1250.00"
+ */
+const amountText = (amount) => Number(amount).toFixed(2);
+
+/** @type {BankLayout} */
+const speiCsv = {
+  extension: "csv",
+  sourceAccount: null,
+  render: (lines, context) => {
+    const header = "referencia,clabe_beneficiario,banco,beneficiario,monto,concepto,cuenta_ordenante,fecha_aplicacion";
+    const rows = lines.map((l) =>
+      [
+        l.reference,
+        l.clabe,
+        l.bankCode,
+        bankText(l.beneficiaryName).slice(0, 40),
+        amountText(l.amount),
+        bankText(l.concept).slice(0, 40),
+        context.sourceAccount ?? "",
+        context.valueDate,
+      ].join(","),
+    );
+    return [header, ...rows].map((r) => r + EOL).join("");
+  },
+  parseConfirmation: (content) => {
+    const [headerLine, ...rows] = String(content).replace(/^\uFEFF/, "").split(/\r?\n/).filter((r) => r.trim());
+    if (!headerLine) return [];
+    const delimiter = headerLine.includes(";") ? ";" : ",";
+    const columns = headerLine.split(delimiter).map((c) => c.trim().toLowerCase());
+    const idx = (...names) => columns.findIndex((c) => names.includes(c));
+    const refIdx = idx("referencia", "referencia_numerica");
+    const statusIdx = idx("estatus", "status");
+    if (refIdx < 0 || statusIdx < 0) {
+      throw { status: 400, message: "La confirmación debe traer las columnas referencia y estatus" };
+    }
+    const trackingIdx = idx("clave_rastreo", "rastreo");
+    const messageIdx = idx("motivo", "mensaje", "descripcion");
+    return rows.map((r) => {
+      const cells = r.split(delimiter).map((c) => c.trim());
+      return {
+        reference: normalizeReference(cells[refIdx]),
+        paid: CSV_PAID_STATUSES.has(bankText(cells[statusIdx])),
+        trackingKey: (trackingIdx >= 0 && cells[trackingIdx]) || null,
+        message: (messageIdx >= 0 && cells[messageIdx]) || null,
+      };
+    });
+  },
+};
+
+/** BBVA Net Cash H2H — SPEI a cuentas de terceros (tipo de cuenta 40 = CLABE). */
+const bbvaH2h = fixedWidthLayout({
+  sourceAccount: /^(\d{10}|\d{18})$/,
+  fields: [
+    { key: "clabe", width: 18 },
+    { key: "sourceAccount", width: 18, align: "right", pad: "0" },
+    { key: "currency", width: 3 },
+    { key: "amount", width: 16, align: "right", pad: "0" },
+    { key: "beneficiary", width: 30 },
+    { key: "accountType", width: 2 },
+    { key: "bankCode", width: 3 },
+    { key: "concept", width: 30 },
+    { key: "reference", width: 7, align: "right", pad: "0" },
+    { key: "availability", width: 1 },
+  ],
+  values: (line, context) => ({
+    clabe: line.clabe,
+    sourceAccount: context.sourceAccount,
+    currency: "MXP",
+    amount: amountText(line.amount),
+    beneficiary: bankText(line.beneficiaryName),
+    accountType: "40",
+    bankCode: line.bankCode,
+    concept: bankText(line.concept),
+    reference: line.reference,
+    availability: "H",
+  }),
+});
+
+/** Banorte H2H — operación 04 (SPEI); importe sin punto decimal, fecha DDMMAAAA. */
+const banorteH2h = fixedWidthLayout({
+  sourceAccount: /^\d{10}$/,
+  fields: [
+    { key: "operation", width: 2 },
+    { key: "employeeKey", width: 13 },
+    { key: "sourceAccount", width: 10, align: "right", pad: "0" },
+    { key: "clabe", width: 18 },
+    { key: "amount", width: 14, align: "right", pad: "0" },
+    { key: "reference", width: 10, align: "right", pad: "0" },
+    { key: "concept", width: 30 },
+    { key: "beneficiary", width: 40 },
+    { key: "payerRfc", width: 13 },
+    { key: "vat", width: 14, align: "right", pad: "0" },
+    { key: "valueDate", width: 8 },
+  ],
+  values: (line, context) => {
+    const [y, m, d] = context.valueDate.split("-");
+    return {
+      operation: "04",
+      employeeKey: bankText(line.employeeKey),
+      sourceAccount: context.sourceAccount,
+      clabe: line.clabe,
+      amount: amountText(line.amount).replace(".", ""),
+      reference: line.reference,
+      concept: bankText(line.concept),
+      beneficiary: bankText(line.beneficiaryName),
+      payerRfc: bankText(context.payerRfc),
+      vat: "0",
+      valueDate: `${d}${m}${y}`,
+    };
+  },
+});
+
+/** @type {Record<"SPEI_CSV"|"BBVA_H2H"|"BANORTE_H2H", BankLayout>} */
+export const BANK_LAYOUTS = {
+  SPEI_CSV: speiCsv,
+  BBVA_H2H: bbvaH2h,
+  BANORTE_H2H: banorteH2h,
+};
+
+/**
+ * @param {string} layout
+ * @returns {BankLayout}
+ * @throws {{ status: 400, message: string }} Layout no soportado
+ */
+export function getBankLayout(layout) {
+  const found = BANK_LAYOUTS[layout];
+  if (!found) {
+    throw { status: 400, message: `Layout no soportado: ${layout}. Usa ${Object.keys(BANK_LAYOUTS).join(", ")}` };
+  }
+  return found;
+}
+
+export default { BANK_LAYOUTS, getBankLayout, bankText, normalizeReference };
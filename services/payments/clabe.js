@@ -0,0 +1,75 @@
+/**
+ * @module payments/clabe
+ * @description CLABE interbancaria (18 dígitos): banco (3) + plaza (3) + cuenta (11) + dígito
+ * verificador. El verificador pondera los 17 primeros dígitos con 3, 7, 1 (módulo 10).
+ * La CLABE se guarda cifrada en `empleado.clabe_encrypted`; solo se expone la terminación.
+ */
+import { encrypt, decrypt } from "../../middleware/decryption.js";
+
+const WEIGHTS = [3, 7, 1];
+
+/** Claves de banco más comunes (catálogo SPEI de Banxico) para mostrar el destino. */
+export const BANK_NAMES = {
+  "002": "BANAMEX",
+  "012": "BBVA MEXICO",
+  "014": "SANTANDER",
+  "021": "HSBC",
+  "030": "BAJIO",
+  "036": "INBURSA",
+  "044": "SCOTIABANK",
+  "058": "BANREGIO",
+  "072": "BANORTE",
+  "127": "AZTECA",
+  "137": "BANCOPPEL",
+  "638": "NU MEXICO",
+  "646": "STP",
+};
+
+/**
+ * @param {string} first17
+ * @returns {number}
+ */
+export function clabeCheckDigit(first17) {
+  const sum = [...first17].reduce((acc, d, i) => acc + ((Number(d) * WEIGHTS[i % 3]) % 10), 0);
+  return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string} CLABE sin espacios ni guiones
+ */
+export const normalizeClabe = (value) => String(value ?? "").replace(/[\s-]/g, "");
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+export function isValidClabe(value) {
+  const clabe = normalizeClabe(value);
+  return /^\d{18}$/.test(clabe) && clabeCheckDigit(clabe.slice(0, 17)) === Number(clabe[17]);
+}
+
+/**
+ * Campos de `empleado` para guardar la CLABE; `null` la borra.
+ * @param {string|null} value
+ * @returns {{ clabeEncrypted: string|null, clabeLast4: string|null, bankCode: string|null }}
+ * @throws {{ status: 400, message: string }} CLABE inválida
+ */
+export function clabeStorageFields(value) {
+  if (value === null || value === "") {
+    return { clabeEncrypted: null, clabeLast4: null, bankCode: null };
+  }
+  const clabe = normalizeClabe(value);
+  if (!isValidClabe(clabe)) {
+    throw { status: 400, message: "CLABE inválida: deben ser 18 dígitos con dígito verificador correcto" };
+  }
+  return { clabeEncrypted: encrypt(clabe), clabeLast4: clabe.slice(-4), bankCode: clabe.slice(0, 3) };
+}
+
+/**
+ * @param {string} clabeEncrypted
+ * @returns {string}
+ */
+export const revealClabe = (clabeEncrypted) => decrypt(clabeEncrypted);
+
+export default { BANK_NAMES, clabeCheckDigit, normalizeClabe, isValidClabe, clabeStorageFields, revealClabe };
@@ -7,19 +7,16 @@
  */
 import prisma from "../database/config/prisma.js";
 import { createNotification } from "./notificationService.js";
+import { approverIdsFromSnapshot } from "./workflowRulesEngine.js";
 
 const MIN_JUSTIFICATION_LEN = 10;
 
 /**
- *
+ * Aprobadores designados en cualquier paso de la cadena (N1, N2, Director, CFO…).
  * @param snapshot
  */
 function authorizerIdsFromSnapshot(snapshot) {
-  if (!snapshot || typeof snapshot !== "object") return [];
-  const ids = [];
-  if (snapshot.n1UserId) ids.push(Number(snapshot.n1UserId));
-  if (snapshot.n2UserId) ids.push(Number(snapshot.n2UserId));
-  return ids;
+  return approverIdsFromSnapshot(snapshot);
 }
 
 /**
@@ -35,9 +32,11 @@ function authorizerIdsFromSnapshot(snapshot) {
  *   justification: string,
  *   requestedById: number
  * }} payload
+ * @param {{ client?: object, notify?: boolean }} [options] - `client` para crearla dentro de una
+ *   transacción; con `notify: false` el caller llama a notifyExceptionApprovers tras el commit.
  * @returns {Promise<Object>}
  */
-export async function createException(payload) {
+export async function createException(payload, { client = prisma, notify = true } = {}) {
   if (!payload.justification || String(payload.justification).trim().length < MIN_JUSTIFICATION_LEN) {
     const err = new Error(`Justificación requerida (mínimo ${MIN_JUSTIFICATION_LEN} caracteres).`);
     err.status = 400;
@@ -49,7 +48,7 @@ export async function createException(payload) {
     throw err;
   }
 
-  const request = await prisma.request.findUnique({
+  const request = await client.request.findUnique({
     where: { requestId: Number(payload.requestId) },
     select: { requestId: true, workflowPreSnapshot: true, userId: true, organizationId: true },
   });
@@ -59,7 +58,7 @@ export async function createException(payload) {
     throw err;
   }
 
-  const created = await prisma.policyException.create({
+  const created = await client.policyException.create({
     data: {
       organizationId: request.organizationId,
       requestId: Number(payload.requestId),
@@ -75,15 +74,37 @@ export async function createException(payload) {
     },
   });
 
+  if (notify) await notifyApprovers(request, payload.excessAmount);
+
+  return created;
+}
+
+/**
+ * @param {{ requestId: number, workflowPreSnapshot: unknown }} request
+ * @param {number|string} excessAmount
+ * @returns {Promise<void>}
+ */
+async function notifyApprovers(request, excessAmount) {
   const approvers = authorizerIdsFromSnapshot(request.workflowPreSnapshot);
   for (const userId of approvers) {
     await createNotification(
       userId,
-      `Nueva excepción de política para solicitud #${request.requestId}: $${Number(payload.excessAmount).toFixed(2)} sobre el tope.`
+      `Nueva excepción de política para solicitud #${request.requestId}: $${Number(excessAmount).toFixed(2)} sobre el tope.`
     ).catch(() => null); // notificación no debe romper el flujo
   }
+}
 
-  return created;
+/**
+ * Avisa a los aprobadores de una excepción creada con `notify: false`.
+ * @param {{ requestId: number, excessAmount: number|string }} exception
+ * @returns {Promise<void>}
+ */
+export async function notifyExceptionApprovers(exception) {
+  const request = await prisma.request.findUnique({
+    where: { requestId: Number(exception.requestId) },
+    select: { requestId: true, workflowPreSnapshot: true },
+  });
+  if (request) await notifyApprovers(request, exception.excessAmount);
 }
 
 /**
@@ -0,0 +1,47 @@
+/**
+ * @module rateLimit/memoryStore
+ * @description Contadores de ventana fija en memoria del proceso. Default: suficiente con una
+ * sola réplica; con varias cada una cuenta por separado (usar el store de Postgres).
+ */
+
+const SWEEP_EVERY = 1000;
+
+/**
+ * @returns {import("../rateLimitService.js").RateLimitStore}
+ */
+export function createMemoryStore() {
+  /** @type {Map<string, { count: number, resetAt: number }>} */
+  const buckets = new Map();
+  let calls = 0;
+
+  /**
+   * @param {number} now
+   */
+  function sweep(now) {
+    for (const [key, bucket] of buckets) {
+      if (bucket.resetAt <= now) buckets.delete(key);
+    }
+  }
+
+  return {
+    name: "memory",
+
+    async hit(key, windowMs) {
+      const now = Date.now();
+      calls += 1;
+      if (calls % SWEEP_EVERY === 0) sweep(now);
+
+      let bucket = buckets.get(key);
+      if (!bucket || bucket.resetAt <= now) {
+        bucket = { count: 0, resetAt: now + windowMs };
+        buckets.set(key, bucket);
+      }
+      bucket.count += 1;
+      return { count: bucket.count, resetAt: new Date(bucket.resetAt) };
+    },
+
+    async reset() {
+      buckets.clear();
+    },
+  };
+}
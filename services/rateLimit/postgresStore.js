@@ -0,0 +1,49 @@
+/**
+ * @module rateLimit/postgresStore
+ * @description Contadores de ventana fija en `rate_limit_buckets`, compartidos entre réplicas.
+ * Cada petición es un solo upsert atómico; los buckets vencidos se purgan de vez en cuando.
+ */
+import prisma from "../../database/config/prisma.js";
+
+const SWEEP_EVERY = 1000;
+
+/**
+ * @returns {import("../rateLimitService.js").RateLimitStore}
+ */
+export function createPostgresStore() {
+  let calls = 0;
+
+  return {
+    name: "postgres",
+
+    async hit(key, windowMs) {
+      calls += 1;
+      if (calls % SWEEP_EVERY === 0) {
+        void prisma.$executeRaw`
+          DELETE FROM "rate_limit_buckets"
+          WHERE "window_start" <= now() - ${windowMs}::int * interval '1 millisecond'
+        `.catch((err) => console.error("rateLimit: purge de buckets falló:", err));
+      }
+
+      // En ON CONFLICT ambos CASE leen la fila previa, así que reinician juntos.
+      const [row] = await prisma.$queryRaw`
+        INSERT INTO "rate_limit_buckets" AS b ("bucket_key", "window_start", "hits")
+        VALUES (${key}, now(), 1)
+        ON CONFLICT ("bucket_key") DO UPDATE SET
+          "hits" = CASE WHEN b."window_start" <= now() - ${windowMs}::int * interval '1 millisecond'
+            THEN 1 ELSE b."hits" + 1 END,
+          "window_start" = CASE WHEN b."window_start" <= now() - ${windowMs}::int * interval '1 millisecond'
+            THEN now() ELSE b."window_start" END
+        RETURNING "hits", "window_start"
+      `;
+      return {
+        count: Number(row.hits),
+        resetAt: new Date(new Date(row.window_start).getTime() + windowMs),
+      };
+    },
+
+    async reset() {
+      await prisma.$executeRaw`DELETE FROM "rate_limit_buckets"`;
+    },
+  };
+}
@@ -0,0 +1,204 @@
+/**
+ * @module rateLimitService
+ * @description Cuotas y contadores del rate limiter (middleware/rateLimiters.js).
+ *
+ * Buckets por ventana fija de RATE_LIMIT_WINDOW_MS:
+ *   user:<id>   RATE_LIMIT_USER_MAX     (o RateLimitQuota.userMax de su organización)
+ *   org:<id>    RATE_LIMIT_ORG_MAX      (o RateLimitQuota.orgMax), suma de usuarios y API keys
+ *   key:<id>    RATE_LIMIT_API_KEY_MAX  (o RateLimitQuota.apiKeyMax)
+ *   ip:<ip>     RATE_LIMIT_IP_MAX       peticiones sin sesión
+ *   login:<ip>  RATE_LIMIT_LOGIN_MAX
+ *
+ * Store: RATE_LIMIT_STORE=memory (default) | postgres.
+ */
+import prisma from "../database/config/prisma.js";
+import { createMemoryStore } from "./rateLimit/memoryStore.js";
+import { createPostgresStore } from "./rateLimit/postgresStore.js";
+
+/**
+ * @typedef {Object} RateLimitStore
+ * @property {'memory'|'postgres'} name
+ * @property {(key: string, windowMs: number) => Promise<{ count: number, resetAt: Date }>} hit
+ * @property {() => Promise<void>} reset
+ */
+
+/**
+ * @typedef {Object} RateLimitBucket
+ * @property {string} key
+ * @property {number} limit
+ */
+
+/**
+ * @typedef {Object} OrgQuotas
+ * @property {number} userMax
+ * @property {number} orgMax
+ * @property {number} apiKeyMax
+ * @property {'default'|'organization'} source
+ */
+
+const QUOTA_CACHE_TTL_MS = 60_000;
+const QUOTA_FIELDS = ["userMax", "orgMax", "apiKeyMax"];
+
+/** @type {RateLimitStore|null} */
+let store = null;
+/** @type {Map<string, { value: OrgQuotas, expiresAt: number }>} */
+const quotaCache = new Map();
+
+/**
+ * @param {string} name
+ * @param {number} fallback
+ * @returns {number}
+ */
+function envInt(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Ventana y límites por defecto, leídos del entorno en cada llamada.
+ * @returns {{ windowMs: number, userMax: number, orgMax: number, apiKeyMax: number, ipMax: number, loginMax: number }}
+ */
+export function rateLimitDefaults() {
+  return {
+    windowMs: envInt("RATE_LIMIT_WINDOW_MS", 60_000),
+    userMax: envInt("RATE_LIMIT_USER_MAX", 600),
+    orgMax: envInt("RATE_LIMIT_ORG_MAX", 6000),
+    apiKeyMax: envInt("RATE_LIMIT_API_KEY_MAX", 300),
+    ipMax: envInt("RATE_LIMIT_IP_MAX", 300),
+    loginMax: envInt("RATE_LIMIT_LOGIN_MAX", 20),
+  };
+}
+
+/**
+ * @returns {RateLimitStore}
+ */
+export function getRateLimitStore() {
+  if (!store) {
+    store = process.env.RATE_LIMIT_STORE === "postgres" ? createPostgresStore() : createMemoryStore();
+  }
+  return store;
+}
+
+/**
+ * Reemplaza el store (pruebas).
+ * @param {RateLimitStore|null} next
+ */
+export function setRateLimitStore(next) {
+  store = next;
+}
+
+/**
+ * @param {{ userMax?: number|null, orgMax?: number|null, apiKeyMax?: number|null } | null} row
+ * @returns {OrgQuotas}
+ */
+function mergeQuotas(row) {
+  const defaults = rateLimitDefaults();
+  return {
+    userMax: row?.userMax ?? defaults.userMax,
+    orgMax: row?.orgMax ?? defaults.orgMax,
+    apiKeyMax: row?.apiKeyMax ?? defaults.apiKeyMax,
+    source: row ? "organization" : "default",
+  };
+}
+
+/**
+ * Cuotas vigentes de la organización (cache de 60 s por proceso). Si la lectura falla se
+ * usan los defaults para no tumbar el tráfico por el limiter.
+ * @param {bigint|number|string} organizationId
+ * @returns {Promise<OrgQuotas>}
+ */
+export async function getOrgQuotas(organizationId) {
+  const cacheKey = String(organizationId);
+  const cached = quotaCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+  let value;
+  try {
+    const row = await prisma.rateLimitQuota.findUnique({ where: { organizationId: BigInt(organizationId) } });
+    value = mergeQuotas(row);
+  } catch (err) {
+    console.error("rateLimit: no se pudieron leer las cuotas de la organización:", err?.message ?? err);
+    value = mergeQuotas(null);
+  }
+  quotaCache.set(cacheKey, { value, expiresAt: Date.now() + QUOTA_CACHE_TTL_MS });
+  return value;
+}
+
+/**
+ * Cuotas de una organización tal como están guardadas y las vigentes.
+ * @param {bigint|number|string} organizationId
+ * @returns {Promise<{ organizationId: string, windowMs: number, configured: object|null, effective: OrgQuotas }>}
+ */
+export async function describeOrgQuotas(organizationId) {
+  const orgId = BigInt(organizationId);
+  const row = await prisma.rateLimitQuota.findUnique({ where: { organizationId: orgId } });
+  return {
+    organizationId: orgId.toString(),
+    windowMs: rateLimitDefaults().windowMs,
+    configured: row
+      ? { userMax: row.userMax, orgMax: row.orgMax, apiKeyMax: row.apiKeyMax, updatedAt: row.updatedAt }
+      : null,
+    effective: mergeQuotas(row),
+  };
+}
+
+/**
+ * Fija las cuotas de una organización. Un campo en null vuelve al default del entorno.
+ * @param {bigint|number|string} organizationId
+ * @param {{ userMax?: number|null, orgMax?: number|null, apiKeyMax?: number|null }} payload
+ * @param {number|null} [updatedById]
+ */
+export async function setOrgQuotas(organizationId, payload, updatedById = null) {
+  const data = { updatedById };
+  for (const field of QUOTA_FIELDS) {
+    if (payload[field] === undefined) continue;
+    const value = payload[field] === null ? null : Number(payload[field]);
+    if (value !== null && (!Number.isInteger(value) || value < 1)) {
+      throw { status: 400, message: `${field} debe ser un entero mayor a 0 o null` };
+    }
+    data[field] = value;
+  }
+
+  const orgId = BigInt(organizationId);
+  const org = await prisma.organization.findUnique({ where: { id: orgId }, select: { id: true } });
+  if (!org) {
+    throw { status: 404, message: "Organización no encontrada" };
+  }
+  await prisma.rateLimitQuota.upsert({
+    where: { organizationId: orgId },
+    update: data,
+    create: { organizationId: orgId, ...data },
+  });
+  quotaCache.delete(orgId.toString());
+  return describeOrgQuotas(orgId);
+}
+
+/**
+ * Cuenta la petición en cada bucket y devuelve el más restrictivo.
+ * @param {RateLimitBucket[]} buckets
+ * @returns {Promise<{ limited: boolean, limit: number, remaining: number, resetAt: Date, key: string } | null>}
+ */
+export async function consumeBuckets(buckets) {
+  if (!buckets.length) return null;
+  const { windowMs } = rateLimitDefaults();
+  const results = await Promise.all(buckets.map(async (bucket) => {
+    const { count, resetAt } = await getRateLimitStore().hit(bucket.key, windowMs);
+    return { key: bucket.key, limit: bucket.limit, remaining: bucket.limit - count, resetAt };
+  }));
+  const tightest = results.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+  return {
+    ...tightest,
+    limited: tightest.remaining < 0,
+    remaining: Math.max(0, tightest.remaining),
+  };
+}
+
+export default {
+  rateLimitDefaults,
+  getRateLimitStore,
+  setRateLimitStore,
+  getOrgQuotas,
+  describeOrgQuotas,
+  setOrgQuotas,
+  consumeBuckets,
+};
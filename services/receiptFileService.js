@@ -1,16 +1,83 @@
 /**
  * @module receiptFileService
  * @description Handles receipt file operations: uploading, retrieving, and deleting
- * PDF and XML files in AWS S3 (SSE-S3), with metadata stored in PostgreSQL via Prisma.
+ * PDF and XML files through storageService (AWS S3 with SSE-S3, or local disk), with metadata stored in PostgreSQL via Prisma.
  * Validates and parses CFDI XML before storage; UUID duplicado se valida contra cfdi_comprobantes.
+ * Cada adjunto pasa antes por attachmentPipeline (tipo real, contenido activo, EXIF, antivirus); los
+ * rechazados se guardan en cuarentena y el motivo queda en Receipt.quarantine_reason.
  */
 import { upload, getObjectStream, deleteObject } from "./storageService.js";
 import prisma from "../database/config/prisma.js";
 import { parseCFDI, buildComprobanteRegistroBodyFromXml, CfdiParseError } from "./cfdiParserService.js";
 import CfdiModel from "../models/cfdiModel.js";
 import { assertRequestAllowsReceiptUpload } from "./requestReceiptUploadPolicy.js";
+import { inspectAttachment, AttachmentRejectedError } from "./attachmentPipeline.js";
 
-export { CfdiParseError };
+export { CfdiParseError, AttachmentRejectedError };
+
+/** Limpia la cuarentena cuando un adjunto posterior sí pasa la revisión. */
+const CLEAR_QUARANTINE = { quarantineReason: null, quarantinedAt: null, quarantineFileKey: null };
+
+/**
+ * Guarda el archivo rechazado fuera de la ruta del viaje y registra el motivo en el Receipt.
+ * Si la copia falla, el motivo se registra igual (sin clave).
+ * @param {number} receiptId
+ * @param {{ organizationId: bigint, requestId: number }} receiptRow
+ * @param {Express.Multer.File} file
+ * @param {AttachmentRejectedError} rejection
+ */
+async function quarantineAttachment(receiptId, receiptRow, file, rejection) {
+  let quarantineFileKey = null;
+  try {
+    const stored = await upload({
+      body: file.buffer,
+      organizationId: receiptRow.organizationId,
+      viajeId: "quarantine",
+      fileName: file.originalname,
+      contentType: "application/octet-stream",
+      receiptId,
+    });
+    quarantineFileKey = stored.key;
+  } catch (error) {
+    console.error("Error storing quarantined attachment:", error);
+  }
+
+  await prisma.receipt.update({
+    where: { receiptId: Number(receiptId) },
+    data: {
+      quarantineReason: `${rejection.reason}: ${rejection.message}`.slice(0, 255),
+      quarantinedAt: new Date(),
+      quarantineFileKey,
+    },
+  });
+  rejection.quarantined = true;
+  console.warn(JSON.stringify({
+    event: "RECEIPT_ATTACHMENT_QUARANTINED",
+    receiptId,
+    reason: rejection.reason,
+    fileName: file.originalname,
+    timestamp: new Date().toISOString(),
+  }));
+}
+
+/**
+ * Pasa un adjunto por el pipeline; si se rechaza lo pone en cuarentena y relanza el error.
+ * @param {number} receiptId
+ * @param {{ organizationId: bigint, requestId: number }} receiptRow
+ * @param {Express.Multer.File} file
+ * @param {Array<'pdf'|'xml'|'jpeg'|'png'>} allowedKinds
+ * @returns {Promise<{ buffer: Buffer, kind: string, contentType: string }>}
+ */
+async function screenAttachment(receiptId, receiptRow, file, allowedKinds) {
+  try {
+    return await inspectAttachment(file.buffer, allowedKinds);
+  } catch (error) {
+    if (error instanceof AttachmentRejectedError) {
+      await quarantineAttachment(receiptId, receiptRow, file, error);
+    }
+    throw error;
+  }
+}
 
 /**
  * Uploads a PDF and XML file pair for a receipt to AWS S3.
@@ -27,6 +94,7 @@ export { CfdiParseError };
  * }>}
  * @throws {CfdiParseError} If the XML does not comply with SAT CFDI structure
  * @throws {Error} With code 'DUPLICATE_UUID' if the UUID already exists in the database
+ * @throws {AttachmentRejectedError} If either file fails the attachment pipeline (quarantined)
  */
 export async function uploadReceiptFiles(receiptId, pdfFile, xmlFile) {
   const receiptRow = await prisma.receipt.findUnique({
@@ -40,7 +108,10 @@ export async function uploadReceiptFiles(receiptId, pdfFile, xmlFile) {
   }
   await assertRequestAllowsReceiptUpload(receiptRow.requestId);
 
-  const xmlContent = xmlFile.buffer.toString("utf-8");
+  const pdf = await screenAttachment(receiptId, receiptRow, pdfFile, ["pdf"]);
+  const xml = await screenAttachment(receiptId, receiptRow, xmlFile, ["xml"]);
+
+  const xmlContent = xml.buffer.toString("utf-8");
   const cfdiData = parseCFDI(xmlContent);
 
   let registroSugerido = null;
@@ -62,20 +133,20 @@ export async function uploadReceiptFiles(receiptId, pdfFile, xmlFile) {
 
   try {
     const pdfResult = await upload({
-      body: pdfFile.buffer,
+      body: pdf.buffer,
       organizationId: receiptRow.organizationId,
       viajeId: receiptRow.requestId,
       fileName: pdfFile.originalname,
-      contentType: pdfFile.mimetype,
+      contentType: pdf.contentType,
       receiptId,
     });
 
     const xmlResult = await upload({
-      body: xmlFile.buffer,
+      body: xml.buffer,
       organizationId: receiptRow.organizationId,
       viajeId: receiptRow.requestId,
       fileName: xmlFile.originalname,
-      contentType: xmlFile.mimetype,
+      contentType: xml.contentType,
       receiptId,
     });
 
@@ -86,6 +157,7 @@ export async function uploadReceiptFiles(receiptId, pdfFile, xmlFile) {
         pdfFileName: pdfFile.originalname,
         xmlFileKey: xmlResult.key,
         xmlFileName: xmlFile.originalname,
+        ...CLEAR_QUARANTINE,
       },
     });
 
@@ -105,11 +177,12 @@ export async function uploadReceiptFiles(receiptId, pdfFile, xmlFile) {
 
 /**
  * Sube imagen JPG/PNG como comprobante internacional (sin XML ni CFDI).
- * Guarda el binario en S3 y actualiza Receipt (pdf_* como archivo principal).
+ * Guarda el binario sin EXIF/GPS en S3 y actualiza Receipt (pdf_* como archivo principal).
  *
  * @param {number} receiptId
  * @param {Express.Multer.File} imageFile
  * @returns {Promise<{ image: { fileId: string, fileName: string } }>}
+ * @throws {AttachmentRejectedError} If the image fails the attachment pipeline (quarantined)
  */
 export async function uploadInternationalReceiptImage(receiptId, imageFile) {
   const receiptRow = await prisma.receipt.findUnique({
@@ -123,12 +196,14 @@ export async function uploadInternationalReceiptImage(receiptId, imageFile) {
   }
   await assertRequestAllowsReceiptUpload(receiptRow.requestId);
 
+  const image = await screenAttachment(receiptId, receiptRow, imageFile, ["jpeg", "png"]);
+
   const imageResult = await upload({
-    body: imageFile.buffer,
+    body: image.buffer,
     organizationId: receiptRow.organizationId,
     viajeId: receiptRow.requestId,
     fileName: imageFile.originalname,
-    contentType: imageFile.mimetype,
+    contentType: image.contentType,
     receiptId,
   });
 
@@ -139,6 +214,7 @@ export async function uploadInternationalReceiptImage(receiptId, imageFile) {
       pdfFileName: imageFile.originalname,
       xmlFileKey: null,
       xmlFileName: null,
+      ...CLEAR_QUARANTINE,
     },
   });
 
@@ -160,9 +236,10 @@ export async function getReceiptFile(key) {
 }
 
 /**
- * Retrieves S3 keys and names for both PDF and XML files of a receipt.
+ * Retrieves S3 keys and names for both PDF and XML files of a receipt, plus the last quarantine (if any).
  * @param {number} receiptId - ID of the receipt to look up
- * @returns {Promise<{pdf: {fileId: string, fileName: string}, xml: {fileId: string, fileName: string}}>}
+ * @returns {Promise<{pdf: {fileId: string, fileName: string}, xml: {fileId: string, fileName: string},
+ *   quarantine: {reason: string, at: Date}|null}>}
  */
 export async function getReceiptFilesMetadata(receiptId) {
   const receipt = await prisma.receipt.findUnique({
@@ -172,6 +249,8 @@ export async function getReceiptFilesMetadata(receiptId) {
       pdfFileName: true,
       xmlFileKey: true,
       xmlFileName: true,
+      quarantineReason: true,
+      quarantinedAt: true,
     },
   });
 
@@ -182,18 +261,21 @@ export async function getReceiptFilesMetadata(receiptId) {
   return {
     pdf: { fileId: receipt.pdfFileKey, fileName: receipt.pdfFileName },
     xml: { fileId: receipt.xmlFileKey, fileName: receipt.xmlFileName },
+    quarantine: receipt.quarantineReason
+      ? { reason: receipt.quarantineReason, at: receipt.quarantinedAt }
+      : null,
   };
 }
 
 /**
- * Deletes both PDF and XML files from AWS S3 for a given receipt.
+ * Deletes the PDF, XML and quarantined files from storage for a given receipt.
  * @param {number} receiptId - ID of the receipt whose files should be deleted
  * @returns {Promise<boolean>}
  */
 export async function deleteReceiptFiles(receiptId) {
   const receipt = await prisma.receipt.findUnique({
     where: { receiptId: Number(receiptId) },
-    select: { pdfFileKey: true, xmlFileKey: true },
+    select: { pdfFileKey: true, xmlFileKey: true, quarantineFileKey: true },
   });
 
   if (!receipt) {
@@ -216,5 +298,13 @@ export async function deleteReceiptFiles(receiptId) {
     }
   }
 
+  if (receipt.quarantineFileKey) {
+    try {
+      await deleteObject(receipt.quarantineFileKey);
+    } catch (error) {
+      console.error(`Error deleting quarantined file ${receipt.quarantineFileKey}:`, error);
+    }
+  }
+
   return true;
 }
@@ -3,26 +3,36 @@
  * @description Plazo configurable de comprobación de gastos (M2-006 RF-37, RF-39).
  *   Default 14 días desde Request.tripEndDate. blockOnExpiry controla si
  *   `assertCanSubmitReceipts` y el cron `refundDeadlineJob` bloquean al vencer.
+ *   Con useBusinessDays los días se cuentan en el calendario SLA de la organización.
  */
 import prisma from "../database/config/prisma.js";
+import {
+  IllegalTransitionError,
+  REQUEST_ACTIONS,
+  REQUEST_STATUS,
+  TERMINAL_STATUS_IDS,
+  resolveTransition,
+} from "./requestStateMachine.js";
+import { endOfBusinessDay } from "./businessCalendar.js";
+import { loadBusinessCalendar } from "./slaCalendarService.js";
 
 const DEFAULT_DAYS_AFTER_TRIP = 14;
 const DEFAULT_GRACE_DAYS = 0;
 const DEFAULT_BLOCK_ON_EXPIRY = true;
-
-const TERMINAL_STATUS_IDS = [8, 9, 10]; // Finalizado, Cancelado, Rechazado
+const DEFAULT_USE_BUSINESS_DAYS = false;
 
 /**
  * Returns the default time-limit row shape when a row does not exist for an org.
  * Does NOT include organizationId because BigInt is not JSON-serializable by default
  * and the controller does not need it back.
- * @returns {{ daysAfterTrip: number, graceDays: number, blockOnExpiry: boolean, active: boolean }}
+ * @returns {{ daysAfterTrip: number, graceDays: number, blockOnExpiry: boolean, useBusinessDays: boolean, active: boolean }}
  */
 function defaultLimit() {
   return {
     daysAfterTrip: DEFAULT_DAYS_AFTER_TRIP,
     graceDays: DEFAULT_GRACE_DAYS,
     blockOnExpiry: DEFAULT_BLOCK_ON_EXPIRY,
+    useBusinessDays: DEFAULT_USE_BUSINESS_DAYS,
     active: true,
   };
 }
@@ -31,7 +41,7 @@ function defaultLimit() {
  * Reads the time-limit configuration for an organization.
  * Returns defaults (14d / 0 grace / blockOnExpiry=true) when no row exists.
  * @param {bigint | number} organizationId
- * @returns {Promise<{ daysAfterTrip: number, graceDays: number, blockOnExpiry: boolean, active: boolean }>}
+ * @returns {Promise<{ daysAfterTrip: number, graceDays: number, blockOnExpiry: boolean, useBusinessDays: boolean, active: boolean }>}
  */
 export async function getOrgTimeLimit(organizationId) {
   const row = await prisma.reimbursementTimeLimit.findUnique({ where: { organizationId } });
@@ -40,6 +50,7 @@ export async function getOrgTimeLimit(organizationId) {
     daysAfterTrip: row.daysAfterTrip,
     graceDays: row.graceDays,
     blockOnExpiry: row.blockOnExpiry,
+    useBusinessDays: row.useBusinessDays ?? DEFAULT_USE_BUSINESS_DAYS,
     active: row.active,
   };
 }
@@ -47,7 +58,7 @@ export async function getOrgTimeLimit(organizationId) {
 /**
  * Upserts the time-limit configuration. Idempotent.
  * @param {bigint | number} organizationId
- * @param {{ daysAfterTrip?: number, graceDays?: number, blockOnExpiry?: boolean, active?: boolean }} payload
+ * @param {{ daysAfterTrip?: number, graceDays?: number, blockOnExpiry?: boolean, useBusinessDays?: boolean, active?: boolean }} payload
  * @param {number | null} [updatedById]
  */
 export async function setOrgTimeLimit(organizationId, payload, updatedById = null) {
@@ -55,6 +66,7 @@ export async function setOrgTimeLimit(organizationId, payload, updatedById = nul
     daysAfterTrip: payload.daysAfterTrip ?? DEFAULT_DAYS_AFTER_TRIP,
     graceDays: payload.graceDays ?? DEFAULT_GRACE_DAYS,
     blockOnExpiry: payload.blockOnExpiry ?? DEFAULT_BLOCK_ON_EXPIRY,
+    useBusinessDays: payload.useBusinessDays ?? DEFAULT_USE_BUSINESS_DAYS,
     active: payload.active ?? true,
     updatedById,
   };
@@ -67,14 +79,27 @@ export async function setOrgTimeLimit(organizationId, payload, updatedById = nul
 
 /**
  * Returns the deadline (Date) computed from a tripEndDate using the org config.
+ * With useBusinessDays both windows count working days of the org SLA calendar and
+ * end at 23:59:59.999 in the org timezone; otherwise calendar days ending 23:59:59.999 UTC.
  * @param {Date | string} tripEndDate
  * @param {bigint | number} organizationId
- * @returns {Promise<{ deadline: Date, gracePeriodEnd: Date, daysAfterTrip: number, graceDays: number }>}
+ * @returns {Promise<{ deadline: Date, gracePeriodEnd: Date, daysAfterTrip: number, graceDays: number, useBusinessDays: boolean }>}
  */
 export async function computeDeadline(tripEndDate, organizationId) {
   const limit = await getOrgTimeLimit(organizationId);
   const base = tripEndDate instanceof Date ? new Date(tripEndDate) : new Date(tripEndDate);
 
+  if (limit.useBusinessDays) {
+    const calendar = await loadBusinessCalendar(organizationId);
+    return {
+      deadline: endOfBusinessDay(base, limit.daysAfterTrip, calendar),
+      gracePeriodEnd: endOfBusinessDay(base, limit.daysAfterTrip + Math.max(0, limit.graceDays), calendar),
+      daysAfterTrip: limit.daysAfterTrip,
+      graceDays: limit.graceDays,
+      useBusinessDays: true,
+    };
+  }
+
   const deadline = new Date(base);
   deadline.setUTCDate(deadline.getUTCDate() + limit.daysAfterTrip);
   deadline.setUTCHours(23, 59, 59, 999);
@@ -84,7 +109,13 @@ export async function computeDeadline(tripEndDate, organizationId) {
     gracePeriodEnd.setUTCDate(gracePeriodEnd.getUTCDate() + limit.graceDays);
   }
 
-  return { deadline, gracePeriodEnd, daysAfterTrip: limit.daysAfterTrip, graceDays: limit.graceDays };
+  return {
+    deadline,
+    gracePeriodEnd,
+    daysAfterTrip: limit.daysAfterTrip,
+    graceDays: limit.graceDays,
+    useBusinessDays: false,
+  };
 }
 
 /**
@@ -143,7 +174,7 @@ export async function lockExpiredRequests() {
   const candidates = await prisma.request.findMany({
     where: {
       tripEndDate: { not: null },
-      requestStatusId: { notIn: TERMINAL_STATUS_IDS },
+      requestStatusId: { notIn: [...TERMINAL_STATUS_IDS] },
     },
     select: {
       requestId: true,
@@ -163,10 +194,23 @@ export async function lockExpiredRequests() {
     const { gracePeriodEnd, daysAfterTrip } = await computeDeadline(req.tripEndDate, req.user.organizationId);
     if (new Date() <= gracePeriodEnd) continue;
 
+    let transition;
+    try {
+      transition = await resolveTransition({
+        organizationId: req.user.organizationId,
+        fromStatusId: req.requestStatusId,
+        action: REQUEST_ACTIONS.EXPIRE,
+        preferredTo: REQUEST_STATUS.FINALIZADO,
+      });
+    } catch (err) {
+      if (err instanceof IllegalTransitionError) continue;
+      throw err;
+    }
+
     await prisma.$transaction(async (tx) => {
       await tx.request.update({
         where: { requestId: req.requestId },
-        data: { requestStatusId: 8 }, // Finalizado
+        data: { requestStatusId: transition.toStatusId },
       });
       await tx.solicitudHistorial.create({
         data: {
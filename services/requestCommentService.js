@@ -8,6 +8,7 @@ import prisma from "../database/config/prisma.js";
 import { withRls } from "../database/config/rlsConnection.js";
 import { Prisma } from "@prisma/client";
 import { Logger } from "../utils/log/logger.js";
+import { publishRequestEvent, REQUEST_EVENT_TYPES } from "./requestEventBus.js";
 
 
 let CHAT_CURSOR_SECRET = process.env.CHAT_CURSOR_SECRET;
@@ -40,6 +41,9 @@ const MESSAGE_SECRET = Buffer.from(CHAT_MESSAGE_SECRET, "hex");
 
 const logger = Logger("Request Comment Service");
 
+// Upper bound of comments replayed to a stream resuming from Last-Event-ID.
+const RESUME_MAX_COMMENTS = 200;
+
 
 const partialSelect = {
     id: true,
@@ -72,7 +76,7 @@ export async function createComment(userId, requestId, content) {
         const [request, user] = await Promise.all([
             prisma.request.findUnique({
                 where: { requestId },
-                select: { organizationId: true },
+                select: { organizationId: true, userId: true },
             }),
             prisma.user.findUnique({
                 where: { userId },
@@ -90,15 +94,27 @@ export async function createComment(userId, requestId, content) {
             return { success: false, error: "Invalid user id" };
         }
 
-        await withRls(request.organizationId, {}, async (tx) => {
-            await tx.requestComment.create({
-                data: {
-                    content: encrypt(content, MESSAGE_SECRET),
-                    userId,
-                    requestId,
-                },
+        const comment = await withRls(request.organizationId, {}, async (tx) => tx.requestComment.create({
+            data: {
+                content: encrypt(content, MESSAGE_SECRET),
+                userId,
+                requestId,
+            },
+            select: { id: true },
+        }));
+
+        // The comment is already stored; a bus failure only delays open streams until they reconnect.
+        try {
+            await publishRequestEvent({
+                type: REQUEST_EVENT_TYPES.COMMENT_CREATED,
+                requestId,
+                organizationId: request.organizationId,
+                ownerUserId: request.userId,
+                data: { commentId: comment.id },
             });
-        });
+        } catch (err) {
+            logger.warn({ requestId, err }, "[requestCommentService] createComment — event publish failed");
+        }
     } catch (err) {
         if (err instanceof Prisma.PrismaClientKnownRequestError && err.code === "P2003") {
             logger.warn({ userId, requestId }, "[requestCommentService] createComment — FK violation (P2003)");
@@ -117,9 +133,10 @@ export async function createComment(userId, requestId, content) {
  * @param {number} requestId - Request ID to fetch comments for
  * @param {number} userId - Current user ID (for filtering own messages)
  * @param {number} limit - Max results per page
- * @param {string} [cursor] - Encrypted cursor for pagination
- * @param {boolean} suscribe
- * @returns {Promise<{success: boolean, data?: Object, next?: string, error?: string}>}
+ * @param {Object} options
+ * @param {string} [options.cursor] - Encrypted cursor for pagination
+ * @param {boolean} [options.suscribe] - Stream snapshot: quieter logs and adds `eventId` (newest comment)
+ * @returns {Promise<{success: boolean, data?: Object, next?: string, eventId?: string, error?: string}>}
  */
 export async function readComments(requestId, userId, limit, {cursor, suscribe = false}) {
     logger[(suscribe? "trace" : "info")]({ requestId, userId, limit, hasCursor: !!cursor },
@@ -187,8 +204,77 @@ export async function readComments(requestId, userId, limit, {cursor, suscribe =
         }
     }
 
+    if (suscribe && page.length > 0 && !cursor) {
+        result.eventId = encodeID(page[0].id);
+    }
+
+    const { users, messages } = toMessages(page, userId);
+
+    logger[(suscribe? "trace" : "info")]({ messagesLength: messages.length, requestId, next: !!result.next },
+        "[requestCommentService] readComments"
+    );
+
+    result.data = { users, messages };
+
+    return result;
+}
+
+/**
+ * Reads the comments posted after a stream event id (oldest first). Used by the SSE stream to emit
+ * deltas and to resume from `Last-Event-ID`.
+ * @param {number} requestId - Request ID to fetch comments for
+ * @param {number} userId - Current user ID (for filtering own messages)
+ * @param {string|null} eventId - Event id previously sent by the stream (encrypted comment id); null reads from the start
+ * @returns {Promise<{success: boolean, data?: Object, eventId?: string, error?: string}>}
+ */
+export async function readCommentsSince(requestId, userId, eventId) {
+    logger.trace({ requestId, userId }, "[requestCommentService] readCommentsSince");
+
+    // Any unreadable event id (tampered, truncated, not base64url) is reported as a tampered cursor
+    // so the stream falls back to a snapshot instead of failing.
+    let sinceId = 0;
+    try {
+        if (eventId) sinceId = decodeID(eventId);
+    } catch {
+        sinceId = NaN;
+    }
+    if (!Number.isInteger(sinceId)) {
+        logger.warn({ requestId, userId }, "[requestCommentService] readCommentsSince — tampered event id rejected");
+        return { success: false, error: "tampered cursor" };
+    }
+
+    const request = await prisma.request.findUnique({
+        where: { requestId },
+        select: { organizationId: true },
+    });
+    if (!request) {
+        logger.warn({ requestId }, "[requestCommentService] readCommentsSince — unknown request id");
+        return { success: false, error: "Invalid request id" };
+    }
+
+    const page = await withRls(request.organizationId, {}, async (tx) => tx.requestComment.findMany({
+        where: { requestId, id: { gt: sinceId } },
+        orderBy: { id: "asc" },
+        take: RESUME_MAX_COMMENTS,
+        select: partialSelect,
+    }));
+
+    return {
+        success: true,
+        data: toMessages(page, userId),
+        eventId: page.length > 0 ? encodeID(page.at(-1).id) : eventId,
+    };
+}
+
+/**
+ * Maps comment rows to the public message shape, masking other users behind encrypted keys.
+ * @param {Array<Object>} page - Rows selected with `partialSelect`
+ * @param {number} userId - Current user ID
+ * @returns {{ users: Object, messages: Array<Object> }}
+ */
+function toMessages(page, userId) {
     const users = new Map();
-    const messages = page.map(({ id, at, user, content, ...rest }, index) => {
+    const messages = page.map(({ id: _id, at, user, content, ...rest }, index) => {
         const safeAt = new Date(at);
         safeAt.setSeconds(0, 0);
         const userMessage = user.userId === userId;
@@ -210,16 +296,10 @@ export async function readComments(requestId, userId, limit, {cursor, suscribe =
         };
     });
 
-    logger[(suscribe? "trace" : "info")]({ messagesLength: messages.length, requestId, next: !!result.next },
-        "[requestCommentService] readComments"
-    );
-
-    result.data = {
+    return {
         users: Object.fromEntries(Array.from(users.values()).map(({ key, ...rest }) => [key, rest])),
         messages,
     };
-
-    return result;
 }
 
 /**
@@ -262,16 +342,17 @@ function encrypt(text, key) {
  * @param errMessage
  */
 function decrypt(value, key, errMessage = "Tampered tag") {
-    const buf = Buffer.from(value, "base64url");
+    // A truncated or non-base64url value makes setAuthTag throw too; every failure is a tampered value.
+    try {
+        const buf = Buffer.from(String(value), "base64url");
 
-    const iv = buf.subarray(0, 12);
-    const tag = buf.subarray(12, 28);
-    const encrypted = buf.subarray(28);
+        const iv = buf.subarray(0, 12);
+        const tag = buf.subarray(12, 28);
+        const encrypted = buf.subarray(28);
 
-    const decipher = createDecipheriv("aes-256-gcm", key, iv);
-    decipher.setAuthTag(tag);
+        const decipher = createDecipheriv("aes-256-gcm", key, iv);
+        decipher.setAuthTag(tag);
 
-    try {
         const decrypted = Buffer.concat([decipher.update(encrypted), decipher.final()]);
         return decrypted.toString("utf8");
     } catch (err) {
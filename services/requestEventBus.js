@@ -0,0 +1,300 @@
+/**
+ * @module requestEventBus
+ * @description Push-based event bus for request events (comments, status transitions, historial,
+ * receipt validations) and per-user events (notifications).
+ * Default driver is in-process (EventEmitter). With `REQUEST_EVENT_BUS_DRIVER=postgres` events are
+ * published through `pg_notify` and every instance LISTENs on the same channel, so SSE connections
+ * held by another instance still receive them. Postgres payloads are capped at 8000 bytes, so events
+ * carry references (ids), never full content. If the LISTEN connection drops, it reconnects with
+ * exponential backoff and, until it is back, events are also delivered to local subscribers.
+ *
+ * Each event is delivered on up to three local channels: `request:<id>`, `org:<id>` and `user:<id>`,
+ * depending on which of `requestId`, `organizationId` and `userId` it carries.
+ */
+
+import { EventEmitter } from "events";
+import prisma from "../database/config/prisma.js";
+import { Logger } from "../utils/log/logger.js";
+
+const logger = Logger("Request Event Bus");
+
+export const REQUEST_EVENT_TYPES = Object.freeze({
+    COMMENT_CREATED: "comment.created",
+    STATUS_CHANGED: "request.status_changed",
+    HISTORIAL_CREATED: "request.historial_created",
+    OFFER_SELECTED: "request.offer_selected",
+    RECEIPT_VALIDATION_CHANGED: "receipt.validation_changed",
+    NOTIFICATION_CREATED: "notification.created",
+});
+
+const PG_CHANNEL = process.env.REQUEST_EVENT_BUS_CHANNEL || "request_events";
+
+// LISTEN takes an identifier, not a bind parameter: only plain lowercase names are accepted.
+if (!/^[a-z_][a-z0-9_]{0,62}$/.test(PG_CHANNEL)) {
+    throw new Error("REQUEST_EVENT_BUS_CHANNEL must be a lowercase identifier (a-z, 0-9, _; max 63 chars)");
+}
+
+const emitter = new EventEmitter();
+// One listener per open SSE connection; the default cap (10) would warn on busy requests.
+emitter.setMaxListeners(0);
+
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30_000;
+
+let driver = null;
+let pgModule = null;
+let pgClient = null;
+let initPromise = null;
+let reconnectTimer = null;
+let reconnectAttempt = 0;
+
+/**
+ * Channel name for a single request on the in-process emitter.
+ * @param {number} requestId - Request ID
+ * @returns {string}
+ */
+function requestChannel(requestId) {
+    return `request:${requestId}`;
+}
+
+/**
+ * Channel name for every event of an organization.
+ * @param {bigint|number|string} organizationId - Organization ID
+ * @returns {string}
+ */
+function organizationChannel(organizationId) {
+    return `org:${organizationId}`;
+}
+
+/**
+ * Channel name for events addressed to a single user.
+ * @param {number} userId - User ID
+ * @returns {string}
+ */
+function userChannel(userId) {
+    return `user:${userId}`;
+}
+
+/**
+ * Delivers an event to the local subscribers of every channel it belongs to.
+ * @param {Object} event - Event as published
+ */
+function dispatch(event) {
+    if (event.requestId) emitter.emit(requestChannel(event.requestId), event);
+    if (event.organizationId) emitter.emit(organizationChannel(event.organizationId), event);
+    if (event.userId) emitter.emit(userChannel(event.userId), event);
+}
+
+/**
+ * Opens a LISTEN connection and makes it the active one. A connection that fails half-way is closed.
+ * @returns {Promise<void>}
+ */
+async function connectListener() {
+    const client = new pgModule.Client({ connectionString: process.env.DATABASE_URL });
+    client.on("notification", (msg) => {
+        if (msg.channel !== PG_CHANNEL || !msg.payload) return;
+        try {
+            dispatch(JSON.parse(msg.payload));
+        } catch (err) {
+            logger.warn({ err }, "[requestEventBus] discarded malformed notification");
+        }
+    });
+    client.on("error", (err) => handleDisconnect(client, err));
+    client.on("end", () => handleDisconnect(client, null));
+    try {
+        await client.connect();
+        await client.query(`LISTEN "${PG_CHANNEL}"`);
+    } catch (err) {
+        client.end().catch(() => {});
+        throw err;
+    }
+    pgClient = client;
+    reconnectAttempt = 0;
+}
+
+/**
+ * Drops the active LISTEN connection after an error or an unexpected end and schedules a
+ * reconnect. Events from a connection that is no longer the active one are ignored.
+ * @param {Object} client - pg.Client that failed
+ * @param {Error|null} err
+ */
+function handleDisconnect(client, err) {
+    if (client !== pgClient) return;
+    pgClient = null;
+    logger.error({ err }, "[requestEventBus] LISTEN connection lost — delivering locally until it reconnects");
+    client.end().catch(() => {});
+    scheduleReconnect();
+}
+
+/**
+ * Retries the LISTEN connection with exponential backoff (1 s, 2 s, 4 s … up to 30 s).
+ */
+function scheduleReconnect() {
+    if (reconnectTimer || driver !== "postgres") return;
+    const delay = Math.min(RECONNECT_BASE_MS * 2 ** reconnectAttempt, RECONNECT_MAX_MS);
+    reconnectAttempt += 1;
+    reconnectTimer = setTimeout(async () => {
+        reconnectTimer = null;
+        try {
+            await connectListener();
+            if (driver !== "postgres") {
+                // The bus was closed while this attempt was connecting.
+                const client = pgClient;
+                pgClient = null;
+                await client.end().catch(() => {});
+                return;
+            }
+            logger.info("[requestEventBus] LISTEN connection restored");
+        } catch (err) {
+            logger.warn({ err, attempt: reconnectAttempt }, "[requestEventBus] LISTEN reconnect failed");
+            scheduleReconnect();
+        }
+    }, delay);
+    // A pending retry must not keep the process alive on shutdown.
+    reconnectTimer.unref?.();
+}
+
+/**
+ * Opens the dedicated LISTEN connection. Prisma cannot LISTEN, so this uses the `pg` package;
+ * when the first connection fails the bus stays in-process.
+ * @returns {Promise<string>} Driver actually in use
+ */
+async function startPostgresDriver() {
+    try {
+        pgModule = (await import("pg")).default;
+    } catch {
+        logger.warn("[requestEventBus] postgres driver requested but `pg` is not installed — using in-process bus");
+        return "memory";
+    }
+
+    try {
+        await connectListener();
+        return "postgres";
+    } catch (err) {
+        logger.error({ err }, "[requestEventBus] could not LISTEN on postgres — using in-process bus");
+        return "memory";
+    }
+}
+
+/**
+ * Resolves the driver once. Safe to call repeatedly.
+ * @returns {Promise<string>} `"memory"` or `"postgres"`
+ */
+export async function initRequestEventBus() {
+    if (driver) return driver;
+    if (!initPromise) {
+        initPromise = (process.env.REQUEST_EVENT_BUS_DRIVER === "postgres"
+            ? startPostgresDriver()
+            : Promise.resolve("memory")
+        ).then((resolved) => {
+            driver = resolved;
+            return driver;
+        });
+    }
+    return initPromise;
+}
+
+/**
+ * Publishes an event to the request, organization and user channels it names.
+ * @param {Object} event - Event to publish
+ * @param {string} event.type - One of REQUEST_EVENT_TYPES
+ * @param {number} [event.requestId] - Request the event belongs to
+ * @param {number|bigint} [event.organizationId] - Owning organization (tenant scope)
+ * @param {number} [event.userId] - Addressee, for events that belong to a single user
+ * @param {number} [event.ownerUserId] - Request owner, used to filter org-wide subscribers
+ * @param {Object} [event.data] - Small JSON payload (ids, not content)
+ * @returns {Promise<void>}
+ */
+export async function publishRequestEvent({ type, requestId, organizationId, userId, ownerUserId, data = {} }) {
+    const event = {
+        type,
+        requestId: requestId ?? null,
+        organizationId: organizationId ? organizationId.toString() : null,
+        userId: userId ?? null,
+        ownerUserId: ownerUserId ?? null,
+        data,
+        at: new Date().toISOString(),
+    };
+
+    if (await initRequestEventBus() === "postgres") {
+        // Local subscribers receive it back through LISTEN, like every other instance. While LISTEN
+        // is reconnecting that echo never arrives, so they get it here.
+        if (!pgClient) dispatch(event);
+        await prisma.$executeRaw`SELECT pg_notify(${PG_CHANNEL}, ${JSON.stringify(event)})`;
+        return;
+    }
+
+    dispatch(event);
+}
+
+/**
+ * Adds a listener to a local channel.
+ * @param {string} channel - Channel name
+ * @param {(event: Object) => void} listener - Called once per event
+ * @returns {() => void} Unsubscribe function
+ */
+function subscribe(channel, listener) {
+    initRequestEventBus().catch((err) => {
+        logger.error({ err }, "[requestEventBus] init failed");
+    });
+
+    emitter.on(channel, listener);
+    return () => emitter.off(channel, listener);
+}
+
+/**
+ * Subscribes to the events of a single request.
+ * @param {number} requestId - Request ID
+ * @param {(event: Object) => void} listener - Called once per event
+ * @returns {() => void} Unsubscribe function
+ */
+export function subscribeToRequest(requestId, listener) {
+    return subscribe(requestChannel(requestId), listener);
+}
+
+/**
+ * Subscribes to every event of an organization. Callers must filter by permission.
+ * @param {bigint|number|string} organizationId - Organization ID
+ * @param {(event: Object) => void} listener - Called once per event
+ * @returns {() => void} Unsubscribe function
+ */
+export function subscribeToOrganization(organizationId, listener) {
+    return subscribe(organizationChannel(organizationId), listener);
+}
+
+/**
+ * Subscribes to the events addressed to a single user.
+ * @param {number} userId - User ID
+ * @param {(event: Object) => void} listener - Called once per event
+ * @returns {() => void} Unsubscribe function
+ */
+export function subscribeToUser(userId, listener) {
+    return subscribe(userChannel(userId), listener);
+}
+
+/**
+ * Number of local subscribers for a request. Useful for diagnostics and tests.
+ * @param {number} requestId - Request ID
+ * @returns {number}
+ */
+export function subscriberCount(requestId) {
+    return emitter.listenerCount(requestChannel(requestId));
+}
+
+/**
+ * Drops all subscribers and closes the LISTEN connection. Useful for tests and graceful shutdown.
+ * @returns {Promise<void>}
+ */
+export async function closeRequestEventBus() {
+    emitter.removeAllListeners();
+    driver = null;
+    initPromise = null;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    reconnectAttempt = 0;
+    if (pgClient) {
+        const client = pgClient;
+        pgClient = null;
+        try { await client.end(); } catch { /* ignore */ }
+    }
+}
@@ -0,0 +1,165 @@
+/**
+ * @module requestEventService
+ * @description Emisores de eventos en tiempo real para solicitudes (cambios de estado, historial,
+ * selección de agencia, validación de comprobantes) y notificaciones in-app. Publican sobre
+ * `requestEventBus` solo después de que la escritura terminó; los eventos llevan ids y el cliente
+ * recarga el detalle por REST.
+ */
+import prisma from "../database/config/prisma.js";
+import { publishRequestEvent, REQUEST_EVENT_TYPES } from "./requestEventBus.js";
+
+/**
+ * Permisos que permiten recibir eventos de solicitudes ajenas en el mismo tenant
+ * (mismo criterio que GET /api/solicitudes/:id/historial).
+ */
+export const REQUEST_BROAD_VIEW_PERMISSIONS = [
+  "travel_request:view_any",
+  "travel_request:authorize",
+  "travel_agent:attend",
+  "accounts_payable:attend",
+];
+
+/**
+ * @param {Set<string>|undefined} permissionSet
+ * @returns {boolean}
+ */
+export function canViewAnyRequest(permissionSet) {
+  if (!(permissionSet instanceof Set)) return false;
+  return REQUEST_BROAD_VIEW_PERMISSIONS.some((code) => permissionSet.has(code));
+}
+
+/**
+ * Carga el contexto mínimo de una solicitud para scoping de eventos.
+ * @param {number} requestId
+ */
+async function loadRequestScope(requestId) {
+  return prisma.request.findUnique({
+    where: { requestId: Number(requestId) },
+    select: {
+      requestId: true,
+      organizationId: true,
+      userId: true,
+      requestStatusId: true,
+      requestStatus: { select: { status: true } },
+    },
+  });
+}
+
+/**
+ * Publica el estado actual de la solicitud y, si se pide, la última entrada de SolicitudHistorial.
+ * @param {number} requestId
+ * @param {{ actorUserId?: number|null, outcome?: string|null, withHistorial?: boolean }} [opts]
+ * @returns {Promise<void>}
+ */
+export async function emitRequestUpdated(requestId, { actorUserId = null, outcome = null, withHistorial = false } = {}) {
+  const request = await loadRequestScope(requestId);
+  if (!request) return;
+
+  const scope = {
+    requestId: request.requestId,
+    organizationId: request.organizationId,
+    ownerUserId: request.userId,
+  };
+
+  await publishRequestEvent({
+    ...scope,
+    type: REQUEST_EVENT_TYPES.STATUS_CHANGED,
+    data: {
+      statusId: request.requestStatusId,
+      status: request.requestStatus?.status ?? null,
+      outcome,
+      actorUserId,
+    },
+  });
+
+  if (!withHistorial) return;
+
+  const historial = await prisma.solicitudHistorial.findFirst({
+    where: { requestId: request.requestId },
+    orderBy: { createdAt: "desc" },
+    select: { historialId: true, accion: true, userId: true, createdAt: true },
+  });
+  if (!historial) return;
+
+  await publishRequestEvent({
+    ...scope,
+    type: REQUEST_EVENT_TYPES.HISTORIAL_CREATED,
+    data: {
+      historialId: historial.historialId,
+      accion: historial.accion,
+      userId: historial.userId,
+      createdAt: historial.createdAt,
+    },
+  });
+}
+
+/**
+ * Publica que la agencia guardó una oferta (vuelo u hospedaje) para la solicitud.
+ * @param {number} requestId
+ * @param {"flight"|"hotel"} kind
+ * @returns {Promise<void>}
+ */
+export async function emitOfferSelected(requestId, kind) {
+  const request = await loadRequestScope(requestId);
+  if (!request) return;
+
+  await publishRequestEvent({
+    type: REQUEST_EVENT_TYPES.OFFER_SELECTED,
+    requestId: request.requestId,
+    organizationId: request.organizationId,
+    ownerUserId: request.userId,
+    data: { kind },
+  });
+}
+
+/**
+ * Publica el cambio de validación de un comprobante.
+ * @param {number} requestId
+ * @param {number} receiptId
+ * @param {string} validation - "Aprobado" | "Rechazado" | "Pendiente"
+ * @returns {Promise<void>}
+ */
+export async function emitReceiptValidationChanged(requestId, receiptId, validation) {
+  const request = await loadRequestScope(requestId);
+  if (!request) return;
+
+  await publishRequestEvent({
+    type: REQUEST_EVENT_TYPES.RECEIPT_VALIDATION_CHANGED,
+    requestId: request.requestId,
+    organizationId: request.organizationId,
+    ownerUserId: request.userId,
+    data: { receiptId: Number(receiptId), validation },
+  });
+}
+
+/**
+ * Publica una notificación in-app recién creada. Solo va al canal del destinatario
+ * (sin organizationId para que no llegue a suscriptores de la organización).
+ * @param {{ notificationId: number, userId: number, message: string, createdAt?: Date }} notification
+ * @returns {Promise<void>}
+ */
+export async function emitNotificationCreated(notification) {
+  await publishRequestEvent({
+    type: REQUEST_EVENT_TYPES.NOTIFICATION_CREATED,
+    userId: notification.userId,
+    data: {
+      notificationId: notification.notificationId,
+      message: notification.message,
+      createdAt: notification.createdAt ?? null,
+    },
+  });
+}
+
+/**
+ * Ejecuta un emisor sin propagar errores: el evento en tiempo real nunca debe tumbar la
+ * operación que ya se guardó.
+ * @param {() => Promise<void>} fn
+ * @returns {Promise<void>}
+ */
+export async function emitSafe(fn) {
+  try {
+    await fn();
+  } catch (err) {
+    console.warn("requestEvent:", err?.message || err);
+  }
+}
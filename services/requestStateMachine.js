@@ -0,0 +1,411 @@
+/**
+ * @module requestStateMachine
+ * @description Máquina de estados de solicitudes de viaje. Declara las transiciones permitidas
+ * entre los estatus del catálogo global `Request_status`, el permiso que las protege y los
+ * efectos secundarios que disparan. Cada organización puede sobrescribir el catálogo por defecto
+ * con filas en `request_status_transitions`: las filas de un mismo (from_status_id, action)
+ * reemplazan a las transiciones por defecto de ese par (con `active = false` se deshabilita).
+ * Así una organización puede saltarse la agencia (4 → 6) o intercalar un estatus propio
+ * (p. ej. "Tesorería") sin cambios de código.
+ *
+ * Todo código que cambie `requestStatusId` debe resolver antes su transición aquí.
+ */
+import prisma from "../database/config/prisma.js";
+import { loadEffectivePermissions } from "./permissionService.js";
+import anticipoPolizaLifecycleService from "./anticipoPolizaLifecycleService.js";
+import { REQUEST_STATUS, REQUEST_STATUS_LABELS } from "../config/requestStatus.js";
+
+export { REQUEST_STATUS, REQUEST_STATUS_LABELS, TERMINAL_STATUS_IDS } from "../config/requestStatus.js";
+
+/**
+ * Acciones con endpoint propio. Las organizaciones pueden redirigir su destino, pero solo se
+ * ejecutan desde su flujo (reglas de aprobador, comprobantes, etc.), nunca desde la transición genérica.
+ */
+export const REQUEST_ACTIONS = Object.freeze({
+  SUBMIT: "submit",
+  APPROVE: "approve",
+  ESCALATE: "escalate",
+  REJECT: "reject",
+  REASSIGN: "reassign",
+  CANCEL: "cancel",
+  ATTEND_CXP: "attend_cxp",
+  ATTEND_AGENCY: "attend_agency",
+  SUBMIT_RECEIPTS: "submit_receipts",
+  APPROVE_RECEIPTS: "approve_receipts",
+  REJECT_RECEIPTS: "reject_receipts",
+  EXPIRE: "expire",
+});
+
+const CORE_ACTIONS = new Set(Object.values(REQUEST_ACTIONS));
+
+/** Acciones que solo ejecutan los jobs; nunca se ofrecen ni se permiten a un usuario. */
+const SYSTEM_ONLY_ACTIONS = new Set([REQUEST_ACTIONS.EXPIRE]);
+
+/**
+ * @param {string} action
+ * @returns {boolean}
+ */
+export function isCoreAction(action) {
+  return CORE_ACTIONS.has(action);
+}
+
+/**
+ * Efectos secundarios que una transición puede declarar por nombre. Se ejecutan después de
+ * persistir el cambio de estatus y nunca revierten la transición.
+ * @type {Readonly<Record<string, (requestId: number) => Promise<unknown>>>}
+ */
+export const TRANSITION_SIDE_EFFECTS = Object.freeze({
+  anticipo_poliza: (requestId) => anticipoPolizaLifecycleService.onTravelRequestFullyApproved(requestId),
+  expenses_verified: (requestId) => anticipoPolizaLifecycleService.onExpensesVerified(requestId),
+});
+
+const S = REQUEST_STATUS;
+const A = REQUEST_ACTIONS;
+
+/**
+ * @typedef {object} RequestTransition
+ * @property {number} fromStatusId
+ * @property {number} toStatusId
+ * @property {string} action
+ * @property {string|null} permission - Permiso requerido al actor (null = sin guarda adicional)
+ * @property {string[]} sideEffects - Claves de TRANSITION_SIDE_EFFECTS
+ * @property {number} priority - Menor primero cuando hay varios destinos
+ */
+
+/**
+ * @param {number[]} from
+ * @param {number} to
+ * @param {string} action
+ * @param {string|null} permission
+ * @param {string[]} [sideEffects]
+ * @returns {RequestTransition[]}
+ */
+function rule(from, to, action, permission, sideEffects = []) {
+  return from.map((fromStatusId) => ({
+    fromStatusId,
+    toStatusId: to,
+    action,
+    permission,
+    sideEffects,
+    priority: 0,
+  }));
+}
+
+/** Flujo estándar: Borrador → N1 → N2 → CxP → Agencia → Comprobación → Validación → Finalizado. */
+export const DEFAULT_REQUEST_TRANSITIONS = Object.freeze([
+  // Alta directa y confirmación de borrador: la ruta ya exige travel_request:create / :submit.
+  ...rule([S.BORRADOR], S.PRIMERA_REVISION, A.SUBMIT, null),
+  ...rule([S.BORRADOR], S.SEGUNDA_REVISION, A.SUBMIT, null),
+  ...rule([S.BORRADOR], S.COTIZACION_VIAJE, A.SUBMIT, null),
+  ...rule([S.PRIMERA_REVISION], S.SEGUNDA_REVISION, A.APPROVE, "travel_request:authorize"),
+  ...rule([S.PRIMERA_REVISION, S.SEGUNDA_REVISION], S.COTIZACION_VIAJE, A.APPROVE, "travel_request:authorize", ["anticipo_poliza"]),
+  // Cadenas de más de dos pasos: Director, CFO… avanzan dentro de Segunda Revisión.
+  ...rule([S.SEGUNDA_REVISION], S.SEGUNDA_REVISION, A.APPROVE, "travel_request:authorize"),
+  ...rule([S.PRIMERA_REVISION], S.SEGUNDA_REVISION, A.ESCALATE, "travel_request:authorize"),
+  ...rule([S.SEGUNDA_REVISION], S.SEGUNDA_REVISION, A.ESCALATE, "travel_request:authorize"),
+  ...rule([S.PRIMERA_REVISION, S.SEGUNDA_REVISION], S.RECHAZADO, A.REJECT, "travel_request:authorize"),
+  ...rule([S.PRIMERA_REVISION], S.PRIMERA_REVISION, A.REASSIGN, "travel_request:authorize"),
+  ...rule([S.SEGUNDA_REVISION], S.SEGUNDA_REVISION, A.REASSIGN, "travel_request:authorize"),
+  ...rule(
+    [S.BORRADOR, S.PRIMERA_REVISION, S.SEGUNDA_REVISION, S.COTIZACION_VIAJE, S.ATENCION_AGENCIA],
+    S.CANCELADO,
+    A.CANCEL,
+    "travel_request:cancel",
+  ),
+  ...rule([S.COTIZACION_VIAJE], S.ATENCION_AGENCIA, A.ATTEND_CXP, "accounts_payable:attend"),
+  ...rule([S.COTIZACION_VIAJE], S.COMPROBACION_GASTOS, A.ATTEND_CXP, "accounts_payable:attend"),
+  ...rule([S.ATENCION_AGENCIA], S.COMPROBACION_GASTOS, A.ATTEND_AGENCY, "travel_agent:attend"),
+  ...rule([S.COMPROBACION_GASTOS], S.VALIDACION_COMPROBANTES, A.SUBMIT_RECEIPTS, "expense:submit"),
+  ...rule([S.VALIDACION_COMPROBANTES], S.FINALIZADO, A.APPROVE_RECEIPTS, "receipt:validate", ["expenses_verified"]),
+  ...rule([S.VALIDACION_COMPROBANTES], S.COMPROBACION_GASTOS, A.REJECT_RECEIPTS, "receipt:validate"),
+  ...rule(
+    [
+      S.BORRADOR, S.PRIMERA_REVISION, S.SEGUNDA_REVISION, S.COTIZACION_VIAJE,
+      S.ATENCION_AGENCIA, S.COMPROBACION_GASTOS, S.VALIDACION_COMPROBANTES,
+    ],
+    S.FINALIZADO,
+    A.EXPIRE,
+    null,
+  ),
+]);
+
+/**
+ * Transición rechazada por la máquina de estados (no declarada, deshabilitada o sin permiso).
+ * Lleva `status` para que los controladores existentes la respondan como cualquier error de servicio.
+ */
+export class IllegalTransitionError extends Error {
+  /**
+   * @param {object} params
+   * @param {number|null} params.fromStatusId
+   * @param {number|null} [params.toStatusId]
+   * @param {string} params.action
+   * @param {string} [params.message]
+   * @param {number} [params.status]
+   */
+  constructor({ fromStatusId, toStatusId = null, action, message, status = 409 }) {
+    super(
+      message ??
+        `La solicitud en estatus "${REQUEST_STATUS_LABELS[fromStatusId] ?? fromStatusId}" no admite la acción "${action}"`,
+    );
+    this.name = "IllegalTransitionError";
+    this.status = status;
+    this.code = "ILLEGAL_TRANSITION";
+    this.fromStatusId = fromStatusId;
+    this.toStatusId = toStatusId;
+    this.action = action;
+  }
+}
+
+/**
+ * @param {object} row - Fila de prisma.requestStatusTransition
+ * @returns {RequestTransition & { active: boolean }}
+ */
+function fromRow(row) {
+  return {
+    fromStatusId: row.fromStatusId,
+    toStatusId: row.toStatusId,
+    action: row.action,
+    permission: row.permission ?? null,
+    sideEffects: Array.isArray(row.sideEffects) ? row.sideEffects.map(String) : [],
+    priority: row.priority ?? 0,
+    active: row.active !== false,
+  };
+}
+
+/**
+ * Tabla efectiva de una organización: por defecto + sobrescrituras.
+ * @param {bigint|number|string|null|undefined} organizationId
+ * @returns {Promise<RequestTransition[]>}
+ */
+export async function getTransitionTable(organizationId) {
+  if (organizationId === null || organizationId === undefined) {
+    return [...DEFAULT_REQUEST_TRANSITIONS];
+  }
+
+  const rows = await prisma.requestStatusTransition.findMany({
+    where: { organizationId: BigInt(organizationId) },
+    orderBy: [{ priority: "asc" }, { id: "asc" }],
+  });
+  if (!rows.length) return [...DEFAULT_REQUEST_TRANSITIONS];
+
+  const overrides = rows.map(fromRow);
+  const overridden = new Set(overrides.map((t) => `${t.fromStatusId}:${t.action}`));
+
+  return [
+    ...DEFAULT_REQUEST_TRANSITIONS.filter((t) => !overridden.has(`${t.fromStatusId}:${t.action}`)),
+    ...overrides.filter((t) => t.active).map(({ active: _active, ...t }) => t),
+  ];
+}
+
+/**
+ * @param {RequestTransition} transition
+ * @param {{ actorUserId?: number|null, permissionSet?: Set<string> }} actor
+ * @param {{ permissions?: Set<string> }} cache - Evita cargar permisos más de una vez
+ * @returns {Promise<boolean>}
+ */
+async function actorMayRun(transition, { actorUserId, permissionSet }, cache) {
+  // Sin actor = acción del sistema (jobs); la guarda aplica solo a usuarios.
+  if (permissionSet === undefined && (actorUserId === null || actorUserId === undefined)) return true;
+  if (SYSTEM_ONLY_ACTIONS.has(transition.action)) return false;
+  if (!transition.permission) return true;
+
+  if (!cache.permissions) {
+    cache.permissions = permissionSet instanceof Set
+      ? permissionSet
+      : new Set(await loadEffectivePermissions(Number(actorUserId)));
+  }
+  return cache.permissions.has(transition.permission);
+}
+
+/**
+ * Resuelve el destino de una acción desde el estatus actual.
+ * Si `preferredTo` está permitido se usa; si no, el primer destino permitido por prioridad
+ * (p. ej. CxP prefiere 5 pero la organización solo permite 4 → 6).
+ *
+ * @param {object} params
+ * @param {bigint|number|string|null} params.organizationId
+ * @param {number} params.fromStatusId
+ * @param {string} params.action - Una de REQUEST_ACTIONS o una acción propia de la organización
+ * @param {number} [params.preferredTo]
+ * @param {number|null} [params.actorUserId] - null/omitido = sistema
+ * @param {Set<string>} [params.permissionSet] - Permisos ya cargados (req.user.permissionSet)
+ * @returns {Promise<RequestTransition>}
+ * @throws {IllegalTransitionError}
+ */
+export async function resolveTransition({
+  organizationId,
+  fromStatusId,
+  action,
+  preferredTo,
+  actorUserId = null,
+  permissionSet,
+}) {
+  const from = Number(fromStatusId);
+  const table = await getTransitionTable(organizationId);
+  const candidates = table
+    .filter((t) => t.fromStatusId === from && t.action === action)
+    .sort((a, b) => a.priority - b.priority);
+
+  if (!candidates.length) {
+    throw new IllegalTransitionError({ fromStatusId: from, toStatusId: preferredTo ?? null, action });
+  }
+
+  const cache = {};
+  const allowed = [];
+  for (const t of candidates) {
+    if (await actorMayRun(t, { actorUserId, permissionSet }, cache)) allowed.push(t);
+  }
+  if (!allowed.length) {
+    throw new IllegalTransitionError({
+      fromStatusId: from,
+      toStatusId: preferredTo ?? null,
+      action,
+      status: 403,
+      message: `No tiene permiso para ejecutar "${action}" en esta solicitud`,
+    });
+  }
+
+  const preferred = preferredTo === undefined || preferredTo === null
+    ? null
+    : allowed.find((t) => t.toStatusId === Number(preferredTo));
+  return preferred ?? allowed[0];
+}
+
+/**
+ * Transiciones que el actor puede ejecutar desde un estatus.
+ * @param {object} params
+ * @param {bigint|number|string|null} params.organizationId
+ * @param {number} params.fromStatusId
+ * @param {number|null} [params.actorUserId]
+ * @param {Set<string>} [params.permissionSet]
+ * @returns {Promise<RequestTransition[]>}
+ */
+export async function listAvailableTransitions({ organizationId, fromStatusId, actorUserId = null, permissionSet }) {
+  const table = await getTransitionTable(organizationId);
+  const cache = {};
+  const available = [];
+  for (const t of table) {
+    if (t.fromStatusId !== Number(fromStatusId)) continue;
+    if (await actorMayRun(t, { actorUserId, permissionSet }, cache)) available.push(t);
+  }
+  return available;
+}
+
+/**
+ * Ejecuta los efectos secundarios declarados por la transición. Un efecto fallido se registra
+ * y no revierte el cambio de estatus ya persistido.
+ * @param {number} requestId
+ * @param {RequestTransition} transition
+ * @returns {Promise<void>}
+ */
+export async function runTransitionSideEffects(requestId, transition) {
+  for (const name of transition?.sideEffects ?? []) {
+    const effect = TRANSITION_SIDE_EFFECTS[name];
+    if (!effect) {
+      console.warn(`requestStateMachine: efecto secundario desconocido "${name}"`);
+      continue;
+    }
+    try {
+      await effect(Number(requestId));
+    } catch (err) {
+      console.error(`requestStateMachine: efecto "${name}" falló:`, err?.message || err);
+    }
+  }
+}
+
+/** Orden del flujo estándar; volver a un estatus anterior es una devolución. */
+const FLOW_ORDER = [
+  S.BORRADOR,
+  S.PRIMERA_REVISION,
+  S.SEGUNDA_REVISION,
+  S.COTIZACION_VIAJE,
+  S.ATENCION_AGENCIA,
+  S.COMPROBACION_GASTOS,
+  S.VALIDACION_COMPROBANTES,
+  S.FINALIZADO,
+];
+
+/**
+ * Acción de historial de una transición propia: rechazar, cancelar o devolver a un estatus
+ * anterior del flujo es RECHAZADO; quedarse en el mismo estatus es REASIGNADO; avanzar (o mover
+ * a un estatus propio de la organización) es APROBADO.
+ * @param {Pick<RequestTransition, "fromStatusId" | "toStatusId">} transition
+ * @returns {"APROBADO" | "RECHAZADO" | "REASIGNADO"}
+ */
+export function historialAccionFor({ fromStatusId, toStatusId }) {
+  if (toStatusId === S.RECHAZADO || toStatusId === S.CANCELADO) return "RECHAZADO";
+  if (toStatusId === fromStatusId) return "REASIGNADO";
+  const from = FLOW_ORDER.indexOf(fromStatusId);
+  const to = FLOW_ORDER.indexOf(toStatusId);
+  if (from !== -1 && to !== -1 && to < from) return "RECHAZADO";
+  return "APROBADO";
+}
+
+/**
+ * Ejecuta una acción propia de la organización (no core) sobre la solicitud: valida la transición,
+ * actualiza el estatus, registra el historial y corre los efectos secundarios.
+ *
+ * @param {number} requestId
+ * @param {string} action
+ * @param {{ actorUserId: number, permissionSet?: Set<string>, toStatusId?: number, comentario?: string|null }} opts
+ * @returns {Promise<{ request_id: number, action: string, from_status_id: number, new_status_id: number }>}
+ */
+export async function applyCustomTransition(requestId, action, { actorUserId, permissionSet, toStatusId, comentario = null }) {
+  if (isCoreAction(action)) {
+    throw {
+      status: 400,
+      message: `La acción "${action}" se ejecuta desde su propio endpoint`,
+    };
+  }
+
+  const rid = Number(requestId);
+  const request = await prisma.request.findUnique({
+    where: { requestId: rid },
+    select: { requestStatusId: true, organizationId: true },
+  });
+  if (!request) {
+    throw { status: 404, message: "Solicitud no encontrada" };
+  }
+
+  const transition = await resolveTransition({
+    organizationId: request.organizationId,
+    fromStatusId: request.requestStatusId,
+    action,
+    preferredTo: toStatusId,
+    actorUserId,
+    permissionSet,
+  });
+
+  await prisma.$transaction(async (tx) => {
+    const { count } = await tx.request.updateMany({
+      where: { requestId: rid, requestStatusId: transition.fromStatusId },
+      data: { requestStatusId: transition.toStatusId },
+    });
+    if (count === 0) {
+      // Otro actor movió la solicitud entre la lectura y la escritura.
+      throw new IllegalTransitionError({
+        fromStatusId: transition.fromStatusId,
+        toStatusId: transition.toStatusId,
+        action,
+        message: "La solicitud cambió de estatus; recargue e intente de nuevo",
+      });
+    }
+    await tx.solicitudHistorial.create({
+      data: {
+        requestId: rid,
+        userId: Number(actorUserId),
+        accion: historialAccionFor(transition),
+        comentario: comentario ? `[${action}] ${comentario}` : `[${action}]`,
+      },
+    });
+  });
+
+  await runTransitionSideEffects(rid, transition);
+
+  return {
+    request_id: rid,
+    action,
+    from_status_id: transition.fromStatusId,
+    new_status_id: transition.toStatusId,
+  };
+}
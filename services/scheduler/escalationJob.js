@@ -1,63 +1,240 @@
 /**
  * @module scheduler/escalationJob
- * @description Cron job de escalamiento N1→N2 a las 48h sin acción (M2-006 RF-35 absorbido).
- *   Idempotente: solicitudes ya escaladas (status=3) o terminales son ignoradas.
+ * @description Cron de SLA de solicitudes (M2-006 RF-35 absorbido). El tiempo en cada estatus se mide
+ *   desde `lastModDate` en horas hábiles del calendario de la organización (slaCalendarService).
+ *   Antes del vencimiento recuerda a quien debe actuar; al vencer escala al siguiente paso de
+ *   aprobación si el plazo lo indica, o avisa del vencimiento.
+ *   Idempotente: cada aviso queda en sla_notices por etapa y escalar inicia una etapa nueva. Si la
+ *   organización deshabilitó la acción `escalate` en su máquina de estados, solo se avisa.
  */
 import prisma from "../../database/config/prisma.js";
 import { createNotification } from "../notificationService.js";
+import { findAlertMessageIdForRequestStatus } from "../alertMessageResolver.js";
+import {
+  IllegalTransitionError,
+  REQUEST_ACTIONS,
+  REQUEST_STATUS,
+  REQUEST_STATUS_LABELS,
+  resolveTransition,
+} from "../requestStateMachine.js";
+import {
+  advanceSnapshot,
+  approvalStepsFromSnapshot,
+  currentStepIndex,
+  pendingApproversForStep,
+  statusForStep,
+} from "../workflowRulesEngine.js";
+import {
+  DEFAULT_SLA_POLICIES,
+  listSlaPolicies,
+  loadBusinessCalendar,
+  slaWindow,
+} from "../slaCalendarService.js";
 
-const HOURS_48_MS = 48 * 60 * 60 * 1000;
+const MS_PER_HOUR = 60 * 60 * 1000;
+const APPROVAL_STATUS_IDS = new Set([REQUEST_STATUS.PRIMERA_REVISION, REQUEST_STATUS.SEGUNDA_REVISION]);
 
 /**
- * Recorre Requests en status=2 con lastModDate > 48h y escala a status=3.
- * @returns {Promise<{ scanned: number, escalated: number }>}
+ * Estatus con algún plazo activo y la menor antelación con la que puede tocar un aviso. Una hora
+ * hábil nunca dura menos que una de reloj, así que nada más reciente que eso puede requerirlo.
+ * @returns {Promise<{ statusIds: number[], minLeadHours: number }>}
  */
-export async function runEscalationJob() {
-  const cutoff = new Date(Date.now() - HOURS_48_MS);
+async function slaScope() {
+  const rows = await prisma.slaPolicy.findMany({
+    where: { active: true },
+    select: { requestStatusId: true, durationHours: true, reminderHours: true },
+  });
+  const all = [...DEFAULT_SLA_POLICIES, ...rows];
+  return {
+    statusIds: [...new Set(all.map((p) => p.requestStatusId))],
+    minLeadHours: Math.min(...all.map((p) => p.durationHours - (p.reminderHours ?? 0))),
+  };
+}
+
+/**
+ * Calendario y plazos activos de la organización, cargados una vez por corrida.
+ * @param {Map<string, Promise<object>>} cache
+ * @param {bigint} organizationId
+ * @returns {Promise<{ calendar: import("../businessCalendar.js").BusinessCalendar, policies: Map<number, object> }>}
+ */
+function orgSla(cache, organizationId) {
+  const key = String(organizationId);
+  if (!cache.has(key)) {
+    cache.set(key, Promise.all([
+      loadBusinessCalendar(organizationId),
+      listSlaPolicies(organizationId),
+    ]).then(([calendar, policies]) => ({
+      calendar,
+      policies: new Map(policies.filter((p) => p.active).map((p) => [p.requestStatusId, p])),
+    })));
+  }
+  return cache.get(key);
+}
+
+/**
+ * Registra el aviso de la etapa; false si ya se había enviado.
+ * @param {object} req
+ * @param {'reminder'|'breach'} kind
+ * @returns {Promise<boolean>}
+ */
+async function claimNotice(req, kind) {
+  try {
+    await prisma.slaNotice.create({
+      data: {
+        organizationId: req.organizationId,
+        requestId: req.requestId,
+        requestStatusId: req.requestStatusId,
+        stageStartedAt: req.lastModDate,
+        kind,
+      },
+    });
+    return true;
+  } catch (err) {
+    if (err?.code === "P2002") return false;
+    throw err;
+  }
+}
+
+/**
+ * Avisa a quien debe actuar: los aprobadores pendientes en revisión, el solicitante en comprobación
+ * y, en el resto de estatus, el rol responsable mediante una alerta.
+ * @param {object} req
+ * @param {string} message
+ */
+async function notifyResponsible(req, message) {
+  const statusId = Number(req.requestStatusId);
+  if (APPROVAL_STATUS_IDS.has(statusId)) {
+    const steps = approvalStepsFromSnapshot(req.workflowPreSnapshot);
+    const step = steps[currentStepIndex(req.workflowPreSnapshot, statusId)];
+    for (const userId of pendingApproversForStep(step)) {
+      await createNotification(userId, message).catch(() => null);
+    }
+    return;
+  }
+  if (statusId === REQUEST_STATUS.COMPROBACION_GASTOS && req.userId) {
+    await createNotification(req.userId, message).catch(() => null);
+    return;
+  }
+  const messageId = await findAlertMessageIdForRequestStatus(prisma, req.organizationId, statusId);
+  if (messageId) {
+    await prisma.alert.create({
+      data: { requestId: req.requestId, messageId, organizationId: req.organizationId },
+    });
+  }
+}
+
+/**
+ * Escala al siguiente paso de aprobación.
+ * @param {object} req
+ * @param {{ durationHours: number }} policy
+ * @returns {Promise<boolean>} false si no hay paso superior o la organización no permite escalar
+ */
+async function escalate(req, policy) {
+  const statusId = Number(req.requestStatusId);
+  const snap = req.workflowPreSnapshot;
+  const steps = approvalStepsFromSnapshot(snap);
+  const index = currentStepIndex(snap, statusId);
+  if (index < 0 || index + 1 >= steps.length) return false; // sin paso superior, no se puede escalar
+
+  const nextApprovers = pendingApproversForStep(steps[index + 1]);
+  const n2UserId = nextApprovers[0] ?? null;
+  const advanced = advanceSnapshot(snap, index + 1);
+
+  let transition;
+  try {
+    transition = await resolveTransition({
+      organizationId: req.organizationId ?? null,
+      fromStatusId: statusId,
+      action: REQUEST_ACTIONS.ESCALATE,
+      preferredTo: statusForStep(steps, index + 1),
+    });
+  } catch (err) {
+    if (err instanceof IllegalTransitionError) return false;
+    throw err;
+  }
+
+  await prisma.$transaction(async (tx) => {
+    await tx.request.update({
+      where: { requestId: req.requestId },
+      data: {
+        requestStatusId: transition.toStatusId,
+        ...(advanced ? { workflowPreSnapshot: advanced } : {}),
+      },
+    });
+    await tx.solicitudHistorial.create({
+      data: {
+        requestId: req.requestId,
+        userId: n2UserId ?? req.userId ?? 0,
+        accion: "ESCALADO",
+        comentario: `Escalamiento automático: venció el SLA de ${policy.durationHours} horas hábiles sin acción del aprobador.`,
+      },
+    });
+  });
+
+  for (const approverId of nextApprovers) {
+    await createNotification(
+      approverId,
+      `Solicitud #${req.requestId} escalada automáticamente a tu nivel por vencimiento del SLA.`
+    ).catch(() => null);
+  }
+  return true;
+}
+
+/**
+ * Recorre las solicitudes en estatus con SLA: recuerda antes del vencimiento y escala o avisa al vencer.
+ * @param {Date} [now]
+ * @returns {Promise<{ scanned: number, escalated: number, reminded: number, breached: number }>}
+ */
+export async function runEscalationJob(now = new Date()) {
+  const { statusIds, minLeadHours } = await slaScope();
   const candidates = await prisma.request.findMany({
     where: {
-      requestStatusId: 2,
-      lastModDate: { lt: cutoff },
+      requestStatusId: { in: statusIds },
+      lastModDate: { lt: new Date(now.getTime() - Math.max(0, minLeadHours) * MS_PER_HOUR) },
     },
     select: {
       requestId: true,
+      requestStatusId: true,
+      organizationId: true,
       workflowPreSnapshot: true,
       userId: true,
+      lastModDate: true,
     },
   });
 
-  let escalated = 0;
+  const cache = new Map();
+  const result = { scanned: candidates.length, escalated: 0, reminded: 0, breached: 0 };
   for (const req of candidates) {
-    const snap = req.workflowPreSnapshot;
-    const levels = snap && Array.isArray(snap.levels) ? snap.levels : [1, 2];
-    if (!levels.includes(2)) continue; // sin N2 configurado, no se puede escalar
+    const { calendar, policies } = await orgSla(cache, req.organizationId);
+    const policy = policies.get(Number(req.requestStatusId));
+    if (!policy) continue;
 
-    const n2UserId = snap?.n2UserId ?? null;
+    const label = REQUEST_STATUS_LABELS[req.requestStatusId] ?? "la etapa actual";
+    const { dueAt, remindAt } = slaWindow(new Date(req.lastModDate), policy, calendar);
 
-    await prisma.$transaction(async (tx) => {
-      await tx.request.update({
-        where: { requestId: req.requestId },
-        data: { requestStatusId: 3 },
-      });
-      await tx.solicitudHistorial.create({
-        data: {
-          requestId: req.requestId,
-          userId: n2UserId ?? req.userId ?? 0,
-          accion: "ESCALADO",
-          comentario: "Escalamiento automático por 48h sin acción del aprobador N1.",
-        },
-      });
-    });
-
-    if (n2UserId) {
-      await createNotification(
-        n2UserId,
-        `Solicitud #${req.requestId} escalada automáticamente a tu nivel por timeout de 48h.`
-      ).catch(() => null);
+    if (now >= dueAt) {
+      if (policy.escalateOnBreach && await escalate(req, policy)) {
+        result.escalated += 1;
+      } else if (await claimNotice(req, "breach")) {
+        await notifyResponsible(
+          req,
+          `Solicitud #${req.requestId}: venció el plazo de ${label} (${policy.durationHours} horas hábiles).`,
+        );
+        result.breached += 1;
+      }
+      continue;
     }
 
-    escalated += 1;
+    if (remindAt && now >= remindAt && await claimNotice(req, "reminder")) {
+      const due = dueAt.toLocaleString("es-MX", {
+        timeZone: calendar.timezone,
+        dateStyle: "medium",
+        timeStyle: "short",
+      });
+      await notifyResponsible(req, `Solicitud #${req.requestId}: el plazo de ${label} vence el ${due}.`);
+      result.reminded += 1;
+    }
   }
 
-  return { scanned: candidates.length, escalated };
+  return result;
 }
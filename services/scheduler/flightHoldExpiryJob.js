@@ -0,0 +1,13 @@
+/**
+ * @module scheduler/flightHoldExpiryJob
+ * @description Cron job que marca como vencidos los apartados de vuelo cuyo plazo de pago pasó
+ *   sin emitirse. Delega en flightBookingService.expireStaleHolds.
+ */
+import { expireStaleHolds } from "../flightBookingService.js";
+
+/**
+ * @returns {Promise<{ scanned: number, expired: number, changed: number, failed: number }>}
+ */
+export async function runFlightHoldExpiryJob() {
+  return expireStaleHolds(new Date());
+}
@@ -0,0 +1,24 @@
+/**
+ * @module scheduler/fxRateBackfillJob
+ * @description Cron job que guarda en fx_rates el FIX USD/MXN de Banxico de los últimos días, para
+ *   que las pólizas y los reembolsos no dependan de que Banxico responda al momento de generarlos.
+ *   Delega en fx/fxRateService.backfillRates.
+ */
+import { backfillRates } from "../fx/fxRateService.js";
+
+const LOOKBACK_DAYS = Number(process.env.FX_BACKFILL_LOOKBACK_DAYS) || 7;
+
+/**
+ * @returns {Promise<{ provider: string, base: string, quote: string, startDate: string, endDate: string, stored: number }>}
+ */
+export async function runFxRateBackfillJob() {
+  const end = new Date();
+  const start = new Date(end.getTime() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  return backfillRates({
+    provider: "banxico_fix",
+    base: "USD",
+    quote: "MXN",
+    startDate: start.toISOString().slice(0, 10),
+    endDate: end.toISOString().slice(0, 10),
+  });
+}
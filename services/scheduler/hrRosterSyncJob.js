@@ -0,0 +1,13 @@
+/**
+ * @module scheduler/hrRosterSyncJob
+ * @description Cron job que sincroniza el roster nocturno de RH de cada org con integración HR_SYNC.
+ *   Delega en hrRosterSyncService.runScheduledRosterSyncs; cada org deja su reporte en hr_sync_runs.
+ */
+import { runScheduledRosterSyncs } from "../onboarding/hrRosterSyncService.js";
+
+/**
+ * @returns {Promise<{ scanned: number, applied: number, aborted: number, skipped: number, failed: number, changed: number }>}
+ */
+export async function runHrRosterSyncJob() {
+  return runScheduledRosterSyncs();
+}
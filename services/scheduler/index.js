@@ -1,24 +1,49 @@
 /**
  * @module scheduler
  * @description Registro de jobs cron del backend (M2-006).
- *   Activación controlada por `SCHEDULER_ENABLED=true` en .env. Para deployments
- *   multi-instancia, activar en una sola instancia o agregar pg_advisory_lock
- *   (deuda futura documentada en plan §12).
+ *   Activación controlada por `SCHEDULER_ENABLED=true` en .env. Puede activarse en todas las
+ *   réplicas: cada corrida pasa por jobRunner, que toma un advisory lock por job en Postgres y
+ *   la registra en scheduler_job_run.
  *
  *   Schedules:
- *     - escalationJob:   "0 * * * *"       cada hora (RF-35 absorbido)
+ *     - escalationJob:   "0 * * * *"       cada hora: SLA en horas hábiles (RF-35 absorbido)
  *     - refundDeadlineJob: "0 3 * * *"     diario a las 03:00 (RF-39)
+ *     - hrRosterSyncJob: "30 2 * * *"      diario a las 02:30: roster de RH (orgs con HR_SYNC)
+ *     - flightHoldExpiryJob: "0,10,20,30,40,50 * * * *"  cada 10 min: apartados de vuelo vencidos
+ *     - fxRateBackfillJob: "15 13,18 * * 1-5"  días hábiles 13:15 y 18:15: FIX Banxico USD/MXN
+ *     - notificationOutboxJob: "* * * * *"  cada minuto: eventos y reintentos del outbox de notificaciones
  */
 import cron from "node-cron";
-import { runEscalationJob } from "./escalationJob.js";
-import { runRefundDeadlineJob } from "./refundDeadlineJob.js";
+import { runScheduledJob } from "./jobRunner.js";
 
 const ESCALATION_SCHEDULE = process.env.SCHEDULER_ESCALATION_CRON || "0 * * * *";
 const REFUND_DEADLINE_SCHEDULE = process.env.SCHEDULER_REFUND_DEADLINE_CRON || "0 3 * * *";
+const HR_SYNC_SCHEDULE = process.env.SCHEDULER_HR_SYNC_CRON || "30 2 * * *";
+const FLIGHT_HOLD_EXPIRY_SCHEDULE = process.env.SCHEDULER_FLIGHT_HOLD_CRON || "0,10,20,30,40,50 * * * *";
+const FX_BACKFILL_SCHEDULE = process.env.SCHEDULER_FX_BACKFILL_CRON || "15 13,18 * * 1-5";
+const NOTIFICATION_OUTBOX_SCHEDULE = process.env.SCHEDULER_NOTIFICATION_OUTBOX_CRON || "* * * * *";
 
 let started = false;
 const tasks = [];
 
+/**
+ * Programa un job del registro de jobRunner.
+ * @param {string} name
+ * @param {string} expression
+ */
+function scheduleJob(name, expression) {
+  const task = cron.schedule(expression, async () => {
+    try {
+      const run = await runScheduledJob(name);
+      console.warn(`[scheduler.${name}] ${run.status} scanned=${run.scanned} changed=${run.changed}`);
+      if (run.error) console.error(`[scheduler.${name}] error:`, run.error);
+    } catch (e) {
+      console.error(`[scheduler.${name}] error:`, e?.message || e);
+    }
+  });
+  tasks.push({ name, task });
+}
+
 /**
  * Starts cron jobs if SCHEDULER_ENABLED=true. Idempotent: subsequent calls are no-ops.
  * @returns {{ enabled: boolean, jobs: string[] }}
@@ -30,28 +55,17 @@ export function startScheduler() {
     return { enabled: false, jobs: [] };
   }
 
-  const escalation = cron.schedule(ESCALATION_SCHEDULE, async () => {
-    try {
-      const r = await runEscalationJob();
-      console.warn(`[scheduler.escalation] scanned=${r.scanned} escalated=${r.escalated}`);
-    } catch (e) {
-      console.error("[scheduler.escalation] error:", e?.message || e);
-    }
-  });
-  tasks.push({ name: "escalationJob", task: escalation });
-
-  const deadline = cron.schedule(REFUND_DEADLINE_SCHEDULE, async () => {
-    try {
-      const r = await runRefundDeadlineJob();
-      console.warn(`[scheduler.refundDeadline] scanned=${r.scanned} locked=${r.locked}`);
-    } catch (e) {
-      console.error("[scheduler.refundDeadline] error:", e?.message || e);
-    }
-  });
-  tasks.push({ name: "refundDeadlineJob", task: deadline });
+  scheduleJob("escalationJob", ESCALATION_SCHEDULE);
+  scheduleJob("refundDeadlineJob", REFUND_DEADLINE_SCHEDULE);
+  scheduleJob("hrRosterSyncJob", HR_SYNC_SCHEDULE);
+  scheduleJob("flightHoldExpiryJob", FLIGHT_HOLD_EXPIRY_SCHEDULE);
+  scheduleJob("fxRateBackfillJob", FX_BACKFILL_SCHEDULE);
+  scheduleJob("notificationOutboxJob", NOTIFICATION_OUTBOX_SCHEDULE);
 
   started = true;
-  console.warn(`Scheduler started — escalation:"${ESCALATION_SCHEDULE}" deadline:"${REFUND_DEADLINE_SCHEDULE}"`);
+  console.warn(
+    `Scheduler started — escalation:"${ESCALATION_SCHEDULE}" deadline:"${REFUND_DEADLINE_SCHEDULE}" hrSync:"${HR_SYNC_SCHEDULE}" flightHolds:"${FLIGHT_HOLD_EXPIRY_SCHEDULE}" fxBackfill:"${FX_BACKFILL_SCHEDULE}" notificationOutbox:"${NOTIFICATION_OUTBOX_SCHEDULE}"`
+  );
   return { enabled: true, jobs: tasks.map((t) => t.name) };
 }
 
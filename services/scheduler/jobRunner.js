@@ -0,0 +1,148 @@
+/**
+ * @module scheduler/jobRunner
+ * @description Ejecución coordinada de los jobs cron entre réplicas. Cada corrida abre una
+ *   transacción que toma `pg_try_advisory_xact_lock` del job: la réplica que lo obtiene ejecuta
+ *   y la otra registra la corrida como `skipped`. El lock se libera al cerrar la transacción,
+ *   aunque el proceso muera. Toda corrida queda en scheduler_job_run (inicio, fin, conteos, error).
+ */
+import os from "node:os";
+import prisma from "../../database/config/prisma.js";
+import { runEscalationJob } from "./escalationJob.js";
+import { runRefundDeadlineJob } from "./refundDeadlineJob.js";
+import { runHrRosterSyncJob } from "./hrRosterSyncJob.js";
+import { runFlightHoldExpiryJob } from "./flightHoldExpiryJob.js";
+import { runFxRateBackfillJob } from "./fxRateBackfillJob.js";
+import { runNotificationOutboxJob } from "./notificationOutboxJob.js";
+import { processStaleApprovals } from "../approvalSubstituteService.js";
+
+/** Primer entero del lock de dos llaves; el segundo es hashtext(jobName). */
+const LOCK_NAMESPACE = 501;
+const JOB_TIMEOUT_MS = Number(process.env.SCHEDULER_JOB_TIMEOUT_MS) || 15 * 60 * 1000;
+const HOST = `${os.hostname()}:${process.pid}`.slice(0, 120);
+const MAX_RUNS_PAGE = 200;
+
+/**
+ * @typedef {Object} SchedulerJob
+ * @property {() => Promise<object>} run
+ * @property {(result: object) => number} changed - Registros modificados por la corrida
+ */
+
+/** @type {Readonly<Record<string, SchedulerJob>>} */
+export const SCHEDULER_JOBS = Object.freeze({
+  escalationJob: {
+    run: () => runEscalationJob(),
+    changed: (r) => r.escalated + r.reminded + r.breached,
+  },
+  refundDeadlineJob: {
+    run: () => runRefundDeadlineJob(),
+    changed: (r) => r.locked,
+  },
+  hrRosterSyncJob: {
+    run: () => runHrRosterSyncJob(),
+    changed: (r) => r.changed,
+  },
+  flightHoldExpiryJob: {
+    run: () => runFlightHoldExpiryJob(),
+    changed: (r) => r.changed,
+  },
+  fxRateBackfillJob: {
+    run: () => runFxRateBackfillJob(),
+    changed: (r) => r.stored,
+  },
+  notificationOutboxJob: {
+    run: () => runNotificationOutboxJob(),
+    changed: (r) => r.changed,
+  },
+  approvalSubstituteCron: {
+    run: () => processStaleApprovals(new Date()),
+    changed: (r) => r.reassigned + r.escalated,
+  },
+});
+
+/**
+ * @param {object} row - Fila de scheduler_job_run
+ * @returns {object} JSON serializable (id BigInt como string)
+ */
+export function runToJson(row) {
+  return {
+    id: row.id.toString(),
+    jobName: row.jobName,
+    trigger: row.trigger,
+    status: row.status,
+    startedAt: row.startedAt,
+    finishedAt: row.finishedAt ?? null,
+    scanned: row.scanned ?? null,
+    changed: row.changed ?? null,
+    result: row.result ?? null,
+    error: row.error ?? null,
+    host: row.host ?? null,
+    triggeredById: row.triggeredById ?? null,
+  };
+}
+
+/**
+ * Ejecuta un job bajo su advisory lock y registra la corrida.
+ * @param {string} jobName - Llave de SCHEDULER_JOBS
+ * @param {{ trigger?: 'cron'|'manual', triggeredById?: number|null }} [opts]
+ * @returns {Promise<object>} Corrida (runToJson) con status succeeded | failed | skipped
+ * @throws {{ status: number, message: string }} 404 si el job no existe
+ */
+export async function runScheduledJob(jobName, { trigger = "cron", triggeredById = null } = {}) {
+  const job = SCHEDULER_JOBS[jobName];
+  if (!job) {
+    throw { status: 404, message: `Job desconocido: ${jobName}` };
+  }
+
+  const base = { jobName, trigger, host: HOST, triggeredById };
+  let run = null;
+  try {
+    const row = await prisma.$transaction(async (tx) => {
+      const [{ locked }] = await tx.$queryRaw`
+        SELECT pg_try_advisory_xact_lock(${LOCK_NAMESPACE}::int, hashtext(${jobName})) AS locked
+      `;
+      if (!locked) {
+        return prisma.schedulerJobRun.create({ data: { ...base, status: "skipped", finishedAt: new Date() } });
+      }
+
+      // Fuera de `tx`: la fila `running` es visible mientras el job corre.
+      run = await prisma.schedulerJobRun.create({ data: base });
+      const result = await job.run();
+      return prisma.schedulerJobRun.update({
+        where: { id: run.id },
+        data: {
+          status: "succeeded",
+          finishedAt: new Date(),
+          scanned: Number.isFinite(result?.scanned) ? result.scanned : null,
+          changed: job.changed(result),
+          result,
+        },
+      });
+    }, { maxWait: 10_000, timeout: JOB_TIMEOUT_MS });
+    return runToJson(row);
+  } catch (err) {
+    if (!run) throw err;
+    const failed = await prisma.schedulerJobRun.update({
+      where: { id: run.id },
+      data: { status: "failed", finishedAt: new Date(), error: String(err?.message ?? err).slice(0, 2000) },
+    });
+    return runToJson(failed);
+  }
+}
+
+/**
+ * Corridas recientes, más nuevas primero.
+ * @param {{ jobName?: string, status?: string, limit?: number }} [filters]
+ * @returns {Promise<object[]>}
+ */
+export async function listJobRuns({ jobName, status, limit = 50 } = {}) {
+  const take = Math.min(Math.max(Number(limit) || 50, 1), MAX_RUNS_PAGE);
+  const rows = await prisma.schedulerJobRun.findMany({
+    where: {
+      ...(jobName ? { jobName } : {}),
+      ...(status ? { status } : {}),
+    },
+    orderBy: { startedAt: "desc" },
+    take,
+  });
+  return rows.map(runToJson);
+}
@@ -0,0 +1,44 @@
+/**
+ * @module scheduler/notificationOutboxJob
+ * @description Cron job del outbox de notificaciones: expande los eventos pendientes en entregas
+ *   (workflowNotificationService arma el contenido con plantillas y preferencias) y envía las
+ *   entregas vencidas. Al cargarse se registra como drenado inmediato del outbox, así los cambios
+ *   de estatus no esperan al siguiente minuto; el cron cubre reintentos y réplicas caídas.
+ */
+import {
+  dispatchDueEvents,
+  deliverDue,
+  registerOutboxDrain,
+} from "../notificationOutboxService.js";
+import {
+  notifyRequestSubmitted,
+  notifyRequestApproved,
+  notifyRequestRejected,
+  notifyRequestEscalated,
+  notifyReimbursementPaid,
+} from "../workflowNotificationService.js";
+
+/** eventCode → borradores de entrega del evento. */
+const EVENT_HANDLERS = {
+  "request.submitted": (e) => notifyRequestSubmitted(e.requestId),
+  "request.approved": (e) => notifyRequestApproved(e.requestId, e.payload?.approverUserId),
+  "request.rejected": (e) => notifyRequestRejected(e.requestId, e.payload?.reason),
+  "request.escalated": (e) => notifyRequestEscalated(e.requestId),
+  "reimbursement.paid": (e) => notifyReimbursementPaid(e.requestId, e.payload ?? {}),
+};
+
+/**
+ * @returns {Promise<{ scanned: number, events: Object, deliveries: Object, changed: number }>}
+ */
+export async function runNotificationOutboxJob() {
+  const events = await dispatchDueEvents(EVENT_HANDLERS);
+  const deliveries = await deliverDue();
+  return {
+    scanned: events.events + deliveries.deliveries,
+    events,
+    deliveries,
+    changed: events.dispatched + deliveries.sent,
+  };
+}
+
+registerOutboxDrain(runNotificationOutboxJob);
@@ -0,0 +1,139 @@
+/**
+ * @file services/scim/scimCore.js
+ * @description Piezas compartidas del endpoint SCIM 2.0 (RFC 7643 / 7644): URNs de esquemas,
+ * error SCIM, paginación de listados y los documentos de descubrimiento
+ * (ServiceProviderConfig, ResourceTypes).
+ */
+
+export const SCIM_CONTENT_TYPE = "application/scim+json";
+
+export const SCHEMA_USER = "urn:ietf:params:scim:schemas:core:2.0:User";
+export const SCHEMA_ENTERPRISE_USER = "urn:ietf:params:scim:schemas:extension:enterprise:2.0:User";
+export const SCHEMA_GROUP = "urn:ietf:params:scim:schemas:core:2.0:Group";
+export const SCHEMA_LIST = "urn:ietf:params:scim:api:messages:2.0:ListResponse";
+export const SCHEMA_PATCH = "urn:ietf:params:scim:api:messages:2.0:PatchOp";
+export const SCHEMA_ERROR = "urn:ietf:params:scim:api:messages:2.0:Error";
+
+const DEFAULT_PAGE = 100;
+const MAX_PAGE = 200;
+
+/**
+ * Error con la forma de respuesta SCIM (`status` HTTP + `scimType` opcional del RFC 7644 §3.12).
+ */
+export class ScimError extends Error {
+  /**
+   * @param {number} status
+   * @param {string} detail
+   * @param {string} [scimType] - invalidFilter, invalidValue, uniqueness, mutability, noTarget, invalidPath, invalidSyntax…
+   */
+  constructor(status, detail, scimType) {
+    super(detail);
+    this.name = "ScimError";
+    this.status = status;
+    this.scimType = scimType;
+  }
+
+  /** @returns {object} */
+  toJSON() {
+    return {
+      schemas: [SCHEMA_ERROR],
+      status: String(this.status),
+      ...(this.scimType ? { scimType: this.scimType } : {}),
+      detail: this.message,
+    };
+  }
+}
+
+/**
+ * startIndex (1-based) y count de la query; valores inválidos caen a los defaults del RFC.
+ * @param {{ startIndex?: string|number, count?: string|number }} query
+ * @returns {{ skip: number, take: number, startIndex: number }}
+ */
+export function parsePaging(query = {}) {
+  const start = Math.max(1, Number.parseInt(String(query.startIndex ?? 1), 10) || 1);
+  const rawCount = Number.parseInt(String(query.count ?? DEFAULT_PAGE), 10);
+  const take = Number.isFinite(rawCount) ? Math.min(Math.max(rawCount, 0), MAX_PAGE) : DEFAULT_PAGE;
+  return { skip: start - 1, take, startIndex: start };
+}
+
+/**
+ * @param {object[]} resources
+ * @param {number} totalResults
+ * @param {number} startIndex
+ * @returns {object}
+ */
+export function listResponse(resources, totalResults, startIndex) {
+  return {
+    schemas: [SCHEMA_LIST],
+    totalResults,
+    startIndex,
+    itemsPerPage: resources.length,
+    Resources: resources,
+  };
+}
+
+/**
+ * @param {string} baseUrl - p. ej. https://api.cliente.mx/scim/v2
+ * @returns {object}
+ */
+export function serviceProviderConfig(baseUrl) {
+  return {
+    schemas: ["urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig"],
+    documentationUri: `${baseUrl.replace(/\/scim\/v2$/, "")}/api-docs`,
+    patch: { supported: true },
+    bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+    filter: { supported: true, maxResults: MAX_PAGE },
+    changePassword: { supported: false },
+    sort: { supported: false },
+    etag: { supported: false },
+    authenticationSchemes: [
+      {
+        type: "oauthbearertoken",
+        name: "API key",
+        description: "Clave API de la organización con permiso scim:provision (Authorization: Bearer o X-API-Key).",
+        primary: true,
+      },
+    ],
+    meta: { resourceType: "ServiceProviderConfig", location: `${baseUrl}/ServiceProviderConfig` },
+  };
+}
+
+/**
+ * @param {string} baseUrl
+ * @returns {object[]}
+ */
+export function resourceTypes(baseUrl) {
+  return [
+    {
+      schemas: ["urn:ietf:params:scim:schemas:core:2.0:ResourceType"],
+      id: "User",
+      name: "User",
+      endpoint: "/Users",
+      schema: SCHEMA_USER,
+      schemaExtensions: [{ schema: SCHEMA_ENTERPRISE_USER, required: false }],
+      meta: { resourceType: "ResourceType", location: `${baseUrl}/ResourceTypes/User` },
+    },
+    {
+      schemas: ["urn:ietf:params:scim:schemas:core:2.0:ResourceType"],
+      id: "Group",
+      name: "Group",
+      endpoint: "/Groups",
+      schema: SCHEMA_GROUP,
+      meta: { resourceType: "ResourceType", location: `${baseUrl}/ResourceTypes/Group` },
+    },
+  ];
+}
+
+/**
+ * Booleano SCIM tolerante: Azure AD envía "True"/"False" como texto en PATCH.
+ * @param {*} value
+ * @param {string} attr
+ * @returns {boolean}
+ */
+export function toScimBoolean(value, attr) {
+  if (typeof value === "boolean") return value;
+  const s = String(value ?? "").trim().toLowerCase();
+  if (s === "true") return true;
+  if (s === "false") return false;
+  throw new ScimError(400, `${attr} debe ser booleano.`, "invalidValue");
+}
@@ -0,0 +1,349 @@
+/**
+ * @file services/scim/scimFilter.js
+ * @description Filtros SCIM (RFC 7644 §3.4.2.2): parser a AST, traducción a `where` de Prisma
+ * para los listados y evaluación en memoria para los value filters de PATCH
+ * (`emails[type eq "work"].value`, `members[value eq "12"]`).
+ *
+ * Soporta eq, ne, co, sw, ew, gt, ge, lt, le, pr, and, or, not(...), paréntesis y value paths.
+ * Los atributos se comparan sin distinguir mayúsculas; el prefijo del esquema core es opcional.
+ */
+import { ScimError, SCHEMA_USER, SCHEMA_GROUP } from "./scimCore.js";
+
+const COMPARE_OPS = new Set(["eq", "ne", "co", "sw", "ew", "gt", "ge", "lt", "le"]);
+const CORE_PREFIXES = [SCHEMA_USER, SCHEMA_GROUP].map((s) => `${s.toLowerCase()}:`);
+
+/**
+ * @typedef {{ type: "and"|"or", left: ScimFilterNode, right: ScimFilterNode }
+ *   | { type: "not", expr: ScimFilterNode }
+ *   | { type: "compare", attr: string, op: string, value: * }
+ *   | { type: "present", attr: string }
+ *   | { type: "valuePath", attr: string, filter: ScimFilterNode }} ScimFilterNode
+ */
+
+/**
+ * Nombre de atributo canónico: minúsculas y sin el URN del esquema core.
+ * @param {string} attr
+ * @returns {string}
+ */
+export function normalizeAttr(attr) {
+  const lower = String(attr).toLowerCase();
+  const prefix = CORE_PREFIXES.find((p) => lower.startsWith(p));
+  return prefix ? lower.slice(prefix.length) : lower;
+}
+
+/**
+ * @param {string} input
+ * @returns {Array<{ kind: "(" | ")" | "[" | "]" | "str" | "word", value: * }>}
+ */
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+  while (i < input.length) {
+    const ch = input[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if ("()[]".includes(ch)) {
+      tokens.push({ kind: ch, value: ch });
+      i++;
+    } else if (ch === "\"") {
+      let j = i + 1;
+      while (j < input.length && input[j] !== "\"") j += input[j] === "\\" ? 2 : 1;
+      if (j >= input.length) throw new ScimError(400, "Filtro inválido: cadena sin cerrar.", "invalidFilter");
+      try {
+        tokens.push({ kind: "str", value: JSON.parse(input.slice(i, j + 1)) });
+      } catch {
+        throw new ScimError(400, "Filtro inválido: cadena mal escapada.", "invalidFilter");
+      }
+      i = j + 1;
+    } else {
+      const m = /^[^\s()[\]"]+/.exec(input.slice(i));
+      tokens.push({ kind: "word", value: m[0] });
+      i += m[0].length;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parsea un filtro SCIM a AST.
+ * @param {string} input
+ * @returns {ScimFilterNode}
+ * @throws {ScimError} 400 invalidFilter
+ */
+export function parseFilter(input) {
+  const tokens = tokenize(String(input ?? ""));
+  let pos = 0;
+  const peekWord = () => (tokens[pos]?.kind === "word" ? tokens[pos].value.toLowerCase() : null);
+  const fail = (msg) => {
+    throw new ScimError(400, `Filtro inválido: ${msg}.`, "invalidFilter");
+  };
+  const expect = (kind) => {
+    if (tokens[pos]?.kind !== kind) fail(`se esperaba "${kind}"`);
+    pos++;
+  };
+
+  const parseValue = () => {
+    const tok = tokens[pos++];
+    if (!tok) fail("falta el valor a comparar");
+    if (tok.kind === "str") return tok.value;
+    if (tok.kind !== "word") fail(`valor inesperado "${tok.value}"`);
+    const w = tok.value.toLowerCase();
+    if (w === "true") return true;
+    if (w === "false") return false;
+    if (w === "null") return null;
+    if (/^-?\d+(\.\d+)?$/.test(w)) return Number(w);
+    return fail(`valor "${tok.value}" debe ir entre comillas`);
+  };
+
+  /** @returns {ScimFilterNode} */
+  const parseAtom = () => {
+    const tok = tokens[pos];
+    if (!tok) fail("expresión incompleta");
+    if (tok.kind === "(") {
+      pos++;
+      const inner = parseOr();
+      expect(")");
+      return inner;
+    }
+    if (tok.kind !== "word") fail(`token inesperado "${tok.value}"`);
+    if (tok.value.toLowerCase() === "not") {
+      pos++;
+      expect("(");
+      const inner = parseOr();
+      expect(")");
+      return { type: "not", expr: inner };
+    }
+    pos++;
+    const attr = normalizeAttr(tok.value);
+    if (tokens[pos]?.kind === "[") {
+      pos++;
+      const inner = parseOr();
+      expect("]");
+      return { type: "valuePath", attr, filter: inner };
+    }
+    const op = peekWord();
+    if (op === "pr") {
+      pos++;
+      return { type: "present", attr };
+    }
+    if (!op || !COMPARE_OPS.has(op)) fail(`operador desconocido después de "${tok.value}"`);
+    pos++;
+    return { type: "compare", attr, op, value: parseValue() };
+  };
+
+  const parseAnd = () => {
+    let left = parseAtom();
+    while (peekWord() === "and") {
+      pos++;
+      left = { type: "and", left, right: parseAtom() };
+    }
+    return left;
+  };
+
+  /** @returns {ScimFilterNode} */
+  function parseOr() {
+    let left = parseAnd();
+    while (peekWord() === "or") {
+      pos++;
+      left = { type: "or", left, right: parseAnd() };
+    }
+    return left;
+  }
+
+  if (!tokens.length) fail("vacío");
+  const ast = parseOr();
+  if (pos !== tokens.length) fail(`token inesperado "${tokens[pos].value}"`);
+  return ast;
+}
+
+/**
+ * `["department", "departmentName"]` + cond → `{ department: { departmentName: cond } }`.
+ * @param {string[]} path
+ * @param {*} cond
+ * @returns {object}
+ */
+function nest(path, cond) {
+  return path.reduceRight((acc, key) => ({ [key]: acc }), cond);
+}
+
+/**
+ * @typedef {(op: string, value: *) => object} ScimAttrCompiler - devuelve el `where` de Prisma
+ */
+
+/**
+ * Atributo de texto (sin distinguir mayúsculas, como `caseExact: false` del RFC).
+ * @param {string[]} path
+ * @returns {ScimAttrCompiler}
+ */
+export function stringAttr(path) {
+  return (op, value) => {
+    if (op === "pr") return nest(path, { not: null });
+    if (value === null) return op === "ne" ? nest(path, { not: null }) : nest(path, null);
+    const v = String(value);
+    const cond = {
+      eq: { equals: v, mode: "insensitive" },
+      ne: { not: { equals: v, mode: "insensitive" } },
+      co: { contains: v, mode: "insensitive" },
+      sw: { startsWith: v, mode: "insensitive" },
+      ew: { endsWith: v, mode: "insensitive" },
+      gt: { gt: v },
+      ge: { gte: v },
+      lt: { lt: v },
+      le: { lte: v },
+    }[op];
+    return nest(path, cond);
+  };
+}
+
+/**
+ * @param {string[]} path
+ * @returns {ScimAttrCompiler}
+ */
+export function booleanAttr(path) {
+  return (op, value) => {
+    if (op === "pr") return {};
+    if (typeof value !== "boolean" || (op !== "eq" && op !== "ne")) {
+      throw new ScimError(400, `Filtro inválido: ${path.join(".")} solo admite eq/ne con true/false.`, "invalidFilter");
+    }
+    return nest(path, op === "eq" ? value : !value);
+  };
+}
+
+/**
+ * Id numérico expuesto como texto; un id no numérico no coincide con nada.
+ * @param {string[]} path
+ * @returns {ScimAttrCompiler}
+ */
+export function idAttr(path) {
+  return (op, value) => {
+    if (op === "pr") return {};
+    if (op !== "eq" && op !== "ne") {
+      throw new ScimError(400, "Filtro inválido: id solo admite eq/ne.", "invalidFilter");
+    }
+    const n = /^\d+$/.test(String(value ?? "")) ? Number(value) : null;
+    if (n === null) return op === "eq" ? nest(path, { in: [] }) : {};
+    return nest(path, op === "eq" ? n : { not: n });
+  };
+}
+
+/**
+ * @param {string[]} path
+ * @returns {ScimAttrCompiler}
+ */
+export function dateAttr(path) {
+  return (op, value) => {
+    if (op === "pr") return {};
+    const d = new Date(String(value));
+    if (Number.isNaN(d.getTime())) {
+      throw new ScimError(400, "Filtro inválido: fecha no reconocida.", "invalidFilter");
+    }
+    const cond = { eq: d, ne: { not: d }, gt: { gt: d }, ge: { gte: d }, lt: { lt: d }, le: { lte: d } }[op];
+    if (!cond) throw new ScimError(400, `Filtro inválido: operador ${op} no aplica a fechas.`, "invalidFilter");
+    return nest(path, cond);
+  };
+}
+
+/**
+ * Atributo sin columna con un valor fijo (p. ej. `emails.type` siempre "work"): el filtro
+ * no restringe nada si coincide y excluye todo si no.
+ * @param {*} actual
+ * @returns {ScimAttrCompiler}
+ */
+export function constantAttr(actual) {
+  return (op, value) => {
+    const node = op === "pr" ? { type: "present", attr: "v" } : { type: "compare", attr: "v", op, value };
+    return matchesFilter(node, { v: actual }) ? {} : { OR: [] };
+  };
+}
+
+/**
+ * Traduce el AST a un `where` de Prisma.
+ *
+ * @param {ScimFilterNode} node
+ * @param {Record<string, ScimAttrCompiler>} attributes - atributo normalizado → compilador
+ * @param {Record<string, (inner: ScimFilterNode) => object>} [valuePaths] - p. ej. members[value eq "…"]
+ * @returns {object}
+ * @throws {ScimError} 400 invalidFilter si el atributo no es filtrable
+ */
+export function filterToWhere(node, attributes, valuePaths = {}) {
+  switch (node.type) {
+    case "and":
+      return { AND: [filterToWhere(node.left, attributes, valuePaths), filterToWhere(node.right, attributes, valuePaths)] };
+    case "or":
+      return { OR: [filterToWhere(node.left, attributes, valuePaths), filterToWhere(node.right, attributes, valuePaths)] };
+    case "not":
+      return { NOT: filterToWhere(node.expr, attributes, valuePaths) };
+    case "valuePath": {
+      const compile = valuePaths[node.attr];
+      if (!compile) throw new ScimError(400, `Filtro inválido: ${node.attr}[…] no es filtrable.`, "invalidFilter");
+      return compile(node.filter);
+    }
+    default: {
+      const compile = attributes[node.attr];
+      if (!compile) throw new ScimError(400, `Filtro inválido: atributo "${node.attr}" no es filtrable.`, "invalidFilter");
+      return compile(node.type === "present" ? "pr" : node.op, node.value);
+    }
+  }
+}
+
+/**
+ * Valor de un atributo (o sub-atributo con punto) en un objeto, sin distinguir mayúsculas.
+ * @param {object} obj
+ * @param {string} attr - normalizado
+ * @returns {*}
+ */
+function readAttr(obj, attr) {
+  let current = obj;
+  for (const part of attr.split(".")) {
+    if (current === null || typeof current !== "object") return undefined;
+    const key = Object.keys(current).find((k) => k.toLowerCase() === part);
+    current = key === undefined ? undefined : current[key];
+  }
+  return current;
+}
+
+/**
+ * Evalúa el filtro contra un objeto en memoria (elementos de atributos multivalor en PATCH).
+ * @param {ScimFilterNode} node
+ * @param {object} obj
+ * @returns {boolean}
+ */
+export function matchesFilter(node, obj) {
+  switch (node.type) {
+    case "and":
+      return matchesFilter(node.left, obj) && matchesFilter(node.right, obj);
+    case "or":
+      return matchesFilter(node.left, obj) || matchesFilter(node.right, obj);
+    case "not":
+      return !matchesFilter(node.expr, obj);
+    case "present": {
+      const v = readAttr(obj, node.attr);
+      return v !== undefined && v !== null && v !== "";
+    }
+    case "valuePath": {
+      const list = readAttr(obj, node.attr);
+      return Array.isArray(list) && list.some((item) => matchesFilter(node.filter, item));
+    }
+    default: {
+      const actual = readAttr(obj, node.attr);
+      if (node.value === null || typeof node.value === "boolean" || typeof node.value === "number") {
+        const equal = actual === node.value || String(actual).toLowerCase() === String(node.value).toLowerCase();
+        return node.op === "ne" ? !equal : node.op === "eq" && equal;
+      }
+      const a = String(actual ?? "").toLowerCase();
+      const b = String(node.value).toLowerCase();
+      switch (node.op) {
+        case "eq": return actual !== undefined && a === b;
+        case "ne": return a !== b;
+        case "co": return a.includes(b);
+        case "sw": return a.startsWith(b);
+        case "ew": return a.endsWith(b);
+        case "gt": return a > b;
+        case "ge": return a >= b;
+        case "lt": return a < b;
+        case "le": return a <= b;
+        default: return false;
+      }
+    }
+  }
+}
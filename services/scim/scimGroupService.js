@@ -0,0 +1,331 @@
+/**
+ * @file services/scim/scimGroupService.js
+ * @description Recurso SCIM `Group` ↔ `PermissionGroup` de la organización de la API key.
+ *
+ * La membresía se guarda en `User_Permission_Group`, así que pertenecer a un grupo del IdP otorga
+ * los permisos que el admin de la org haya asignado a ese grupo en el panel. Un grupo creado por
+ * SCIM nace sin permisos. Los grupos de sistema y los que otorgan permisos administrativos se
+ * listan pero no se modifican desde SCIM, y la membresía de cuentas de administradores tampoco
+ * (ver scimPrivilege). DELETE desactiva el grupo y vacía sus miembros.
+ */
+import prisma from "../../database/config/prisma.js";
+import {
+  ScimError,
+  SCHEMA_GROUP,
+  parsePaging,
+  listResponse,
+} from "./scimCore.js";
+import { parseFilter, filterToWhere, stringAttr, idAttr, dateAttr } from "./scimFilter.js";
+import { applyPatchOperations } from "./scimPatch.js";
+import { assertManageableGroup, findProtectedUserIds } from "./scimPrivilege.js";
+
+const MEMBERS_INCLUDE = {
+  userGroups: { select: { user: { select: { userId: true, userName: true } } }, orderBy: { userId: "asc" } },
+};
+
+/** Atributos filtrables (normalizados). */
+const GROUP_FILTER_ATTRIBUTES = {
+  id: idAttr(["groupId"]),
+  displayname: stringAttr(["groupName"]),
+  "members.value": (op, value) => ({ userGroups: { some: idAttr(["userId"])(op, value) } }),
+  "meta.created": dateAttr(["creationDate"]),
+  "meta.lastmodified": dateAttr(["lastModDate"]),
+};
+
+const GROUP_FILTER_VALUE_PATHS = {
+  members: (inner) => ({
+    userGroups: { some: filterToWhere(inner, { value: idAttr(["userId"]), display: stringAttr(["user", "userName"]) }) },
+  }),
+};
+
+/**
+ * ¿La query excluye `members`? (Azure AD la manda para no paginar membresías grandes).
+ * @param {{ excludedAttributes?: string, attributes?: string }} query
+ * @returns {boolean}
+ */
+function wantsMembers(query = {}) {
+  const excluded = String(query.excludedAttributes ?? "").toLowerCase().split(",").map((s) => s.trim());
+  return !excluded.includes("members");
+}
+
+/**
+ * @param {object} group - PermissionGroup (con MEMBERS_INCLUDE si `withMembers`)
+ * @param {string} baseUrl
+ * @returns {object}
+ */
+export function toScimGroup(group, baseUrl) {
+  const id = String(group.groupId);
+  return {
+    schemas: [SCHEMA_GROUP],
+    id,
+    displayName: group.groupName,
+    ...(group.userGroups
+      ? {
+        members: group.userGroups.map(({ user }) => ({
+          value: String(user.userId),
+          display: user.userName,
+          $ref: `${baseUrl}/Users/${user.userId}`,
+        })),
+      }
+      : {}),
+    meta: {
+      resourceType: "Group",
+      created: group.creationDate,
+      lastModified: group.lastModDate,
+      location: `${baseUrl}/Groups/${id}`,
+    },
+  };
+}
+
+/**
+ * @param {bigint} organizationId
+ * @param {number|string} id
+ * @param {boolean} [withMembers]
+ * @returns {Promise<object>}
+ */
+async function findGroupOr404(organizationId, id, withMembers = true) {
+  const groupId = /^\d+$/.test(String(id)) ? Number(id) : null;
+  const group = groupId
+    ? await prisma.permissionGroup.findFirst({
+      where: { groupId, organizationId, active: true },
+      ...(withMembers ? { include: MEMBERS_INCLUDE } : {}),
+    })
+    : null;
+  if (!group) throw new ScimError(404, `Group ${id} no encontrado.`);
+  return group;
+}
+
+/**
+ * Lee `displayName` y `members` del cuerpo. `members` undefined = sin cambio.
+ * @param {*} body
+ * @returns {{ displayName: string|undefined, memberIds: number[]|undefined }}
+ */
+function readGroupResource(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new ScimError(400, "El cuerpo debe ser un recurso Group.", "invalidSyntax");
+  }
+  const key = (name) => Object.keys(body).find((k) => k.toLowerCase() === name.toLowerCase());
+  const rawName = key("displayName") ? body[key("displayName")] : undefined;
+  const rawMembers = key("members") ? body[key("members")] : undefined;
+
+  let memberIds;
+  if (rawMembers !== undefined) {
+    if (rawMembers !== null && !Array.isArray(rawMembers)) {
+      throw new ScimError(400, "members debe ser un arreglo.", "invalidValue");
+    }
+    memberIds = [...new Set((rawMembers ?? []).map((m) => {
+      const v = String(m && typeof m === "object" ? m.value : m ?? "").trim();
+      if (!/^\d+$/.test(v)) throw new ScimError(400, `members: id de usuario inválido "${v}".`, "invalidValue");
+      return Number(v);
+    }))];
+  }
+
+  return {
+    displayName: rawName === undefined ? undefined : String(rawName ?? "").trim(),
+    memberIds,
+  };
+}
+
+/**
+ * @param {string} displayName
+ */
+function assertDisplayName(displayName) {
+  if (!displayName) throw new ScimError(400, "displayName es requerido.", "invalidValue");
+  if (displayName.length > 60) throw new ScimError(400, "displayName admite máximo 60 caracteres.", "invalidValue");
+}
+
+/**
+ * Reemplaza la membresía del grupo. Los miembros deben ser usuarios de la misma org y ni las altas
+ * ni las bajas pueden tocar cuentas de administradores.
+ * @param {object} tx
+ * @param {bigint} organizationId
+ * @param {number} groupId
+ * @param {number[]} memberIds
+ */
+async function setMembers(tx, organizationId, groupId, memberIds) {
+  if (memberIds.length) {
+    const found = await tx.user.findMany({
+      where: { organizationId, userId: { in: memberIds } },
+      select: { userId: true },
+    });
+    const known = new Set(found.map((u) => u.userId));
+    const missing = memberIds.filter((id) => !known.has(id));
+    if (missing.length) {
+      throw new ScimError(400, `members: usuarios inexistentes en la organización: ${missing.join(", ")}.`, "invalidValue");
+    }
+  }
+  const current = await tx.userPermissionGroup.findMany({ where: { organizationId, groupId }, select: { userId: true } });
+  const currentIds = new Set(current.map((m) => m.userId));
+  const wanted = new Set(memberIds);
+  const changed = [
+    ...memberIds.filter((id) => !currentIds.has(id)),
+    ...[...currentIds].filter((id) => !wanted.has(id)),
+  ];
+  const locked = await findProtectedUserIds(tx, organizationId, changed);
+  if (locked.length) {
+    throw new ScimError(403, `members: la membresía de administradores no se gestiona por SCIM (${locked.join(", ")}).`);
+  }
+  await tx.userPermissionGroup.deleteMany({
+    where: { organizationId, groupId, ...(memberIds.length ? { userId: { notIn: memberIds } } : {}) },
+  });
+  if (memberIds.length) {
+    await tx.userPermissionGroup.createMany({
+      data: memberIds.map((userId) => ({ userId, groupId, organizationId })),
+      skipDuplicates: true,
+    });
+  }
+}
+
+/**
+ * Aplica nombre y membresía sobre un grupo existente.
+ * @param {bigint} organizationId
+ * @param {object} current
+ * @param {{ displayName: string|undefined, memberIds: number[]|undefined }} input
+ */
+async function saveGroup(organizationId, current, input) {
+  await assertManageableGroup(prisma, current);
+  const rename = input.displayName !== undefined && input.displayName !== current.groupName;
+  if (rename) {
+    assertDisplayName(input.displayName);
+    const taken = await prisma.permissionGroup.findFirst({
+      where: { organizationId, groupName: input.displayName, NOT: { groupId: current.groupId } },
+      select: { groupId: true },
+    });
+    if (taken) throw new ScimError(409, `Ya existe un grupo "${input.displayName}".`, "uniqueness");
+  }
+  await prisma.$transaction(async (tx) => {
+    if (rename) {
+      await tx.permissionGroup.update({ where: { groupId: current.groupId }, data: { groupName: input.displayName } });
+    }
+    if (input.memberIds !== undefined) {
+      await setMembers(tx, organizationId, current.groupId, input.memberIds);
+    }
+  });
+}
+
+/**
+ * GET /Groups
+ * @param {bigint} organizationId
+ * @param {{ filter?: string, startIndex?: string, count?: string, excludedAttributes?: string }} query
+ * @param {string} baseUrl
+ * @returns {Promise<object>} ListResponse
+ */
+export async function listScimGroups(organizationId, query, baseUrl) {
+  const { skip, take, startIndex } = parsePaging(query);
+  const where = {
+    organizationId,
+    active: true,
+    ...(query.filter ? filterToWhere(parseFilter(query.filter), GROUP_FILTER_ATTRIBUTES, GROUP_FILTER_VALUE_PATHS) : {}),
+  };
+  const [total, groups] = await Promise.all([
+    prisma.permissionGroup.count({ where }),
+    take > 0
+      ? prisma.permissionGroup.findMany({
+        where,
+        ...(wantsMembers(query) ? { include: MEMBERS_INCLUDE } : {}),
+        orderBy: { groupId: "asc" },
+        skip,
+        take,
+      })
+      : [],
+  ]);
+  return listResponse(groups.map((g) => toScimGroup(g, baseUrl)), total, startIndex);
+}
+
+/**
+ * @param {bigint} organizationId
+ * @param {string} id
+ * @param {object} query
+ * @param {string} baseUrl
+ * @returns {Promise<object>}
+ */
+export async function getScimGroup(organizationId, id, query, baseUrl) {
+  return toScimGroup(await findGroupOr404(organizationId, id, wantsMembers(query)), baseUrl);
+}
+
+/**
+ * POST /Groups — un grupo inactivo con el mismo nombre se reactiva en vez de duplicarse.
+ * @param {bigint} organizationId
+ * @param {object} body
+ * @param {string} baseUrl
+ * @returns {Promise<object>}
+ */
+export async function createScimGroup(organizationId, body, baseUrl) {
+  const input = readGroupResource(body);
+  assertDisplayName(input.displayName);
+
+  const existing = await prisma.permissionGroup.findFirst({
+    where: { organizationId, groupName: input.displayName },
+    select: { groupId: true, groupName: true, active: true, isSystem: true },
+  });
+  if (existing?.active) throw new ScimError(409, `Ya existe un grupo "${input.displayName}".`, "uniqueness");
+  if (existing) await assertManageableGroup(prisma, existing);
+
+  const groupId = await prisma.$transaction(async (tx) => {
+    const group = existing
+      ? await tx.permissionGroup.update({ where: { groupId: existing.groupId }, data: { active: true } })
+      : await tx.permissionGroup.create({
+        data: { organizationId, groupName: input.displayName, description: "Provisionado por SCIM" },
+      });
+    await setMembers(tx, organizationId, group.groupId, input.memberIds ?? []);
+    return group.groupId;
+  });
+  return getScimGroup(organizationId, groupId, {}, baseUrl);
+}
+
+/**
+ * PUT /Groups/:id
+ * @param {bigint} organizationId
+ * @param {string} id
+ * @param {object} body
+ * @param {string} baseUrl
+ * @returns {Promise<object>}
+ */
+export async function replaceScimGroup(organizationId, id, body, baseUrl) {
+  const current = await findGroupOr404(organizationId, id, false);
+  const input = readGroupResource(body);
+  await saveGroup(organizationId, current, { ...input, memberIds: input.memberIds ?? [] });
+  return getScimGroup(organizationId, current.groupId, {}, baseUrl);
+}
+
+/**
+ * PATCH /Groups/:id
+ * @param {bigint} organizationId
+ * @param {string} id
+ * @param {object} body - PatchOp
+ * @param {string} baseUrl
+ * @returns {Promise<object>}
+ */
+export async function patchScimGroup(organizationId, id, body, baseUrl) {
+  const current = await findGroupOr404(organizationId, id, true);
+  const patched = applyPatchOperations(toScimGroup(current, baseUrl), body);
+  await saveGroup(organizationId, current, readGroupResource(patched));
+  return getScimGroup(organizationId, current.groupId, {}, baseUrl);
+}
+
+/**
+ * DELETE /Groups/:id
+ * @param {bigint} organizationId
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deleteScimGroup(organizationId, id) {
+  const current = await findGroupOr404(organizationId, id, false);
+  if (current.isSystem) {
+    throw new ScimError(400, `El grupo de sistema "${current.groupName}" no se puede eliminar.`, "mutability");
+  }
+  await assertManageableGroup(prisma, current);
+  await prisma.$transaction(async (tx) => {
+    await tx.userPermissionGroup.deleteMany({ where: { organizationId, groupId: current.groupId } });
+    await tx.permissionGroup.update({ where: { groupId: current.groupId }, data: { active: false } });
+  });
+}
+
+export default {
+  listScimGroups,
+  getScimGroup,
+  createScimGroup,
+  replaceScimGroup,
+  patchScimGroup,
+  deleteScimGroup,
+};
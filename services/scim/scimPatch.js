@@ -0,0 +1,195 @@
+/**
+ * @file services/scim/scimPatch.js
+ * @description PATCH SCIM (RFC 7644 §3.5.2) aplicado sobre la representación JSON del recurso.
+ *
+ * El servicio de cada recurso arma su JSON SCIM actual, aplica aquí las operaciones y vuelve a
+ * leer el resultado como si fuera un PUT. Así PATCH y PUT comparten validaciones y escritura.
+ * Quitar un atributo simple lo deja en `null` (no `undefined`) para que el lector distinga
+ * "borrar" de "no enviado".
+ *
+ * Compatibilidad con IdPs: `op` sin distinguir mayúsculas ("Replace" en Azure AD), `remove` de
+ * `members` con lista de valores y creación del elemento al hacer `replace` sobre
+ * `emails[type eq "work"].value` cuando aún no existe.
+ */
+import { ScimError } from "./scimCore.js";
+import { parseFilter, matchesFilter } from "./scimFilter.js";
+
+const PATH_RE = /^([^.[\]]+)(?:\[(.+)\])?(?:\.([^.[\]]+))?$/;
+
+/**
+ * @param {*} v
+ * @returns {boolean}
+ */
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+/**
+ * Llave existente que coincide sin distinguir mayúsculas; si no hay, el nombre tal cual.
+ * @param {object} obj
+ * @param {string} name
+ * @returns {string}
+ */
+function keyIn(obj, name) {
+  const lower = name.toLowerCase();
+  return Object.keys(obj).find((k) => k.toLowerCase() === lower) ?? name;
+}
+
+/**
+ * Agrega elementos a un atributo multivalor sin duplicar por `value`.
+ * @param {Array<*>} list
+ * @param {*} value
+ * @returns {Array<*>}
+ */
+function appendUnique(list, value) {
+  const out = [...list];
+  for (const item of Array.isArray(value) ? value : [value]) {
+    const v = isPlainObject(item) ? item.value : item;
+    const exists = v !== undefined && out.some((o) => String(isPlainObject(o) ? o.value : o) === String(v));
+    if (!exists) out.push(item);
+  }
+  return out;
+}
+
+/**
+ * @param {object} container
+ * @param {string} op
+ * @param {*} value
+ * @param {string[]} extensions
+ */
+function applyWithoutPath(container, op, value, extensions) {
+  if (op === "remove") {
+    throw new ScimError(400, "remove requiere path.", "noTarget");
+  }
+  if (!isPlainObject(value)) {
+    throw new ScimError(400, "Sin path, value debe ser un objeto.", "invalidValue");
+  }
+  for (const [rawKey, v] of Object.entries(value)) {
+    const ext = extensions.find((u) => u.toLowerCase() === rawKey.toLowerCase());
+    if (ext && isPlainObject(v)) {
+      const target = (container[ext] ??= {});
+      for (const [k, sub] of Object.entries(v)) target[keyIn(target, k)] = sub;
+      continue;
+    }
+    if (ext) {
+      throw new ScimError(400, `${rawKey} debe ser un objeto.`, "invalidValue");
+    }
+    const key = keyIn(container, rawKey);
+    if (op === "add" && Array.isArray(container[key])) {
+      container[key] = appendUnique(container[key], v);
+    } else {
+      container[key] = v;
+    }
+  }
+}
+
+/**
+ * @param {object} resource
+ * @param {{ op: string, path: string, value: * }} operation
+ * @param {string[]} extensions
+ */
+function applyWithPath(resource, { op, path, value }, extensions) {
+  let container = resource;
+  let rest = path.trim();
+
+  const ext = extensions.find((u) => rest.toLowerCase().startsWith(`${u.toLowerCase()}:`));
+  if (ext) {
+    container = resource[ext] ??= {};
+    rest = rest.slice(ext.length + 1);
+  } else if (extensions.some((u) => u.toLowerCase() === rest.toLowerCase())) {
+    applyWithoutPath(resource, op, { [rest]: value }, extensions);
+    return;
+  }
+
+  const m = PATH_RE.exec(rest);
+  if (!m) throw new ScimError(400, `path inválido: ${path}`, "invalidPath");
+  const [, attr, filterText, sub] = m;
+  const key = keyIn(container, attr);
+
+  if (filterText) {
+    const filter = parseFilter(filterText);
+    const list = Array.isArray(container[key]) ? container[key] : [];
+    const matched = list.filter((item) => isPlainObject(item) && matchesFilter(filter, item));
+
+    if (op === "remove") {
+      if (sub) {
+        for (const item of matched) item[keyIn(item, sub)] = null;
+      } else {
+        container[key] = list.filter((item) => !matched.includes(item));
+      }
+      return;
+    }
+
+    if (!matched.length) {
+      if (filter.type !== "compare" || filter.op !== "eq") {
+        throw new ScimError(400, `Ningún elemento coincide con ${path}.`, "noTarget");
+      }
+      const created = { [filter.attr]: filter.value };
+      list.push(created);
+      matched.push(created);
+      container[key] = list;
+    }
+    for (const item of matched) {
+      if (sub) item[keyIn(item, sub)] = value;
+      else if (isPlainObject(value)) Object.assign(item, value);
+      else throw new ScimError(400, `value para ${path} debe ser un objeto.`, "invalidValue");
+    }
+    return;
+  }
+
+  if (sub) {
+    if (!isPlainObject(container[key])) container[key] = {};
+    container[key][keyIn(container[key], sub)] = op === "remove" ? null : value;
+    return;
+  }
+
+  const current = container[key];
+  if (op === "remove") {
+    if (Array.isArray(current) && value !== undefined) {
+      const drop = new Set((Array.isArray(value) ? value : [value]).map((v) => String(isPlainObject(v) ? v.value : v)));
+      container[key] = current.filter((item) => !drop.has(String(isPlainObject(item) ? item.value : item)));
+    } else {
+      container[key] = Array.isArray(current) ? [] : null;
+    }
+    return;
+  }
+  if (op === "add" && Array.isArray(current)) {
+    container[key] = appendUnique(current, value);
+  } else if (isPlainObject(current) && isPlainObject(value)) {
+    container[key] = { ...current, ...value };
+  } else {
+    container[key] = value;
+  }
+}
+
+/**
+ * Aplica un PatchOp sobre una copia del recurso.
+ *
+ * @param {object} resource - representación SCIM actual
+ * @param {*} body - `{ schemas, Operations: [{ op, path?, value? }] }`
+ * @param {{ extensions?: string[] }} [options] - URNs de extensiones admitidas como prefijo de path
+ * @returns {object} recurso resultante
+ * @throws {ScimError} 400 invalidSyntax / invalidPath / noTarget / invalidValue
+ */
+export function applyPatchOperations(resource, body, { extensions = [] } = {}) {
+  const operations = body?.Operations ?? body?.operations;
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw new ScimError(400, "Operations debe ser un arreglo no vacío.", "invalidSyntax");
+  }
+  const out = JSON.parse(JSON.stringify(resource));
+  for (const raw of operations) {
+    const op = String(raw?.op ?? "").toLowerCase();
+    if (!["add", "replace", "remove"].includes(op)) {
+      throw new ScimError(400, `op no soportada: "${raw?.op}".`, "invalidSyntax");
+    }
+    if (op !== "remove" && raw.value === undefined) {
+      throw new ScimError(400, `${op} requiere value.`, "invalidValue");
+    }
+    if (raw.path === undefined || raw.path === null || raw.path === "") {
+      applyWithoutPath(out, op, raw.value, extensions);
+    } else {
+      applyWithPath(out, { op, path: String(raw.path), value: raw.value }, extensions);
+    }
+  }
+  return out;
+}
@@ -0,0 +1,120 @@
+/**
+ * @file services/scim/scimPrivilege.js
+ * @description Límites de lo que una API key `scim:provision` puede tocar.
+ *
+ * El IdP solo asigna roles de la lista permitida (`SCIM_ASSIGNABLE_ROLES`, por defecto los roles
+ * base sin administración) y solo si el rol no otorga permisos administrativos, directos o vía
+ * grupo. Las cuentas con rol fuera de la lista o con algún permiso administrativo (rol, grant
+ * directo o grupo) son cuentas protegidas: SCIM no las edita, desactiva ni cambia su membresía.
+ * Tampoco gestiona grupos de sistema ni grupos con permisos administrativos.
+ */
+import prisma from "../../database/config/prisma.js";
+import { ScimError } from "./scimCore.js";
+
+/** Roles base de una org CLIENT que no administran nada (ver bootstrapOrganization). */
+const DEFAULT_ASSIGNABLE_ROLES = ["Solicitante", "N1", "N2", "Agencia de viajes", "Cuentas por pagar", "Observador"];
+
+/** Permisos que convierten a un rol, grupo o usuario en administrador. */
+export const PRIVILEGED_PERMISSION_CODES = [
+  "user:create", "user:edit", "user:manage_permissions",
+  "permission:write", "permission_group:manage", "role:manage_permissions",
+  "api_key:manage",
+  "integration:write",
+  "onboarding:import",
+  "organization:update", "organization:create", "organization:activate", "organization:suspend",
+  "organization:impersonate", "organization:manage_any",
+];
+
+const PRIVILEGED_PERMISSION = { code: { in: PRIVILEGED_PERMISSION_CODES }, active: true };
+const PRIVILEGED_GROUP = { active: true, items: { some: { permission: PRIVILEGED_PERMISSION } } };
+const PRIVILEGED_ROLE = {
+  OR: [
+    { rolePermissions: { some: { permission: PRIVILEGED_PERMISSION } } },
+    { rolePermissionGroups: { some: { group: PRIVILEGED_GROUP } } },
+  ],
+};
+const PRIVILEGED_USER = {
+  OR: [
+    { role: PRIVILEGED_ROLE },
+    { userPermissions: { some: { permission: PRIVILEGED_PERMISSION } } },
+    { userPermissionGroups: { some: { group: PRIVILEGED_GROUP } } },
+  ],
+};
+
+/**
+ * Roles que SCIM puede asignar (`SCIM_ASSIGNABLE_ROLES` separado por comas, o los default).
+ * @returns {string[]} nombres en minúsculas
+ */
+export function assignableRoleNames() {
+  const raw = String(process.env.SCIM_ASSIGNABLE_ROLES ?? "").trim();
+  const names = raw ? raw.split(",") : DEFAULT_ASSIGNABLE_ROLES;
+  return names.map((n) => n.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * @param {string|null|undefined} roleName
+ * @returns {boolean}
+ */
+function isAssignableRoleName(roleName) {
+  return assignableRoleNames().includes(String(roleName ?? "").trim().toLowerCase());
+}
+
+/**
+ * El rol debe estar en la lista permitida y no otorgar permisos administrativos.
+ * @param {{ roleId: number, roleName: string }} role
+ * @returns {Promise<void>}
+ */
+export async function assertAssignableRole(role) {
+  const privileged = isAssignableRoleName(role.roleName)
+    ? await prisma.role.count({ where: { roleId: role.roleId, ...PRIVILEGED_ROLE } })
+    : 1;
+  if (privileged) {
+    throw new ScimError(403, `El rol "${role.roleName}" no se puede asignar por SCIM.`);
+  }
+}
+
+/**
+ * Ids de cuentas protegidas entre `userIds` (rol fuera de la lista o con permisos administrativos).
+ * @param {object} client - prisma o tx
+ * @param {bigint} organizationId
+ * @param {number[]} userIds
+ * @returns {Promise<number[]>}
+ */
+export async function findProtectedUserIds(client, organizationId, userIds) {
+  if (!userIds.length) return [];
+  const where = { organizationId, userId: { in: userIds } };
+  const [users, privileged] = await Promise.all([
+    client.user.findMany({ where, select: { userId: true, role: { select: { roleName: true } } } }),
+    client.user.findMany({ where: { ...where, ...PRIVILEGED_USER }, select: { userId: true } }),
+  ]);
+  const ids = new Set(privileged.map((u) => u.userId));
+  for (const u of users) {
+    if (u.role && !isAssignableRoleName(u.role.roleName)) ids.add(u.userId);
+  }
+  return userIds.filter((id) => ids.has(id));
+}
+
+/**
+ * @param {bigint} organizationId
+ * @param {{ userId: number, userName: string }} user
+ * @returns {Promise<void>}
+ */
+export async function assertUnprotectedUser(organizationId, user) {
+  if ((await findProtectedUserIds(prisma, organizationId, [user.userId])).length) {
+    throw new ScimError(403, `El usuario ${user.userName} es administrador y no se gestiona por SCIM.`);
+  }
+}
+
+/**
+ * Grupos de sistema o con permisos administrativos quedan fuera de SCIM.
+ * @param {object} client - prisma o tx
+ * @param {{ groupId: number, groupName: string, isSystem?: boolean }} group
+ * @returns {Promise<void>}
+ */
+export async function assertManageableGroup(client, group) {
+  const locked = group.isSystem
+    || await client.permissionGroup.count({ where: { groupId: group.groupId, ...PRIVILEGED_GROUP } });
+  if (locked) {
+    throw new ScimError(403, `El grupo "${group.groupName}" otorga permisos administrativos y no se gestiona por SCIM.`);
+  }
+}
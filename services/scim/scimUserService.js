@@ -0,0 +1,486 @@
+/**
+ * @file services/scim/scimUserService.js
+ * @description Recurso SCIM `User` ↔ `User` de la organización de la API key.
+ *
+ * Mapeo:
+ *   userName                      → User.userName (se normaliza a minúsculas)
+ *   emails[primary]               → User.email
+ *   phoneNumbers[primary]         → User.phoneNumber
+ *   active                        → User.active (DELETE = desactivación, no borrado)
+ *   roles[primary]                → Role (por nombre; sin rol en el alta → "Solicitante")
+ *   groups (solo lectura)         → PermissionGroup vía User_Permission_Group (se gestiona en /Groups)
+ *   enterprise:employeeNumber     → User.noEmpleado + catálogo Empleado
+ *   enterprise:department / costCenter → Department (por nombre o centro de costos)
+ *   enterprise:manager.value      → User.managerUserId (id SCIM del jefe; se rechazan ciclos)
+ *   name / displayName            → Empleado.nombre (solo si hay employeeNumber)
+ *
+ * Se aplican las mismas reglas que la importación de onboarding (`validateImportRows`):
+ * formato de userName/email y rol existente en la org. En PUT, un atributo no enviado conserva
+ * su valor; `null` lo borra. Solo se asignan roles sin administración y las cuentas de
+ * administradores no se editan ni desactivan por SCIM (ver scimPrivilege).
+ */
+import bcrypt from "bcrypt";
+import crypto from "crypto";
+import prisma from "../../database/config/prisma.js";
+import { validateImportRows } from "../onboarding/onboardingImportValidationService.js";
+import { buildEmpleadoNombre, fallbackProveedorFromUserId } from "../onboarding/onboardingImportService.js";
+import { wouldCreateManagerCycle } from "../employeeHierarchyService.js";
+import { ensureTenantApplicantUserPermissions } from "../tenantApplicantUserGrants.js";
+import {
+  ScimError,
+  SCHEMA_USER,
+  SCHEMA_ENTERPRISE_USER,
+  parsePaging,
+  listResponse,
+  toScimBoolean,
+} from "./scimCore.js";
+import {
+  parseFilter,
+  filterToWhere,
+  stringAttr,
+  booleanAttr,
+  idAttr,
+  dateAttr,
+  constantAttr,
+} from "./scimFilter.js";
+import { applyPatchOperations } from "./scimPatch.js";
+import { assertAssignableRole, assertUnprotectedUser } from "./scimPrivilege.js";
+
+const ACTOR = "scim";
+const DEFAULT_ROLE = "Solicitante";
+const SALT_ROUNDS = 10;
+
+const USER_INCLUDE = {
+  role: { select: { roleName: true } },
+  department: { select: { departmentName: true, costsCenter: true } },
+  manager: { select: { userId: true, userName: true, noEmpleado: true } },
+  empleado: { select: { nombre: true } },
+  userPermissionGroups: { select: { group: { select: { groupId: true, groupName: true, active: true } } } },
+};
+
+const ENT = SCHEMA_ENTERPRISE_USER.toLowerCase();
+
+/** Atributos filtrables (normalizados, ver scimFilter.normalizeAttr). */
+const USER_FILTER_ATTRIBUTES = {
+  id: idAttr(["userId"]),
+  username: stringAttr(["userName"]),
+  emails: stringAttr(["email"]),
+  "emails.value": stringAttr(["email"]),
+  active: booleanAttr(["active"]),
+  displayname: stringAttr(["empleado", "nombre"]),
+  "roles.value": stringAttr(["role", "roleName"]),
+  "meta.created": dateAttr(["creationDate"]),
+  "meta.lastmodified": dateAttr(["lastModDate"]),
+  [`${ENT}:employeenumber`]: stringAttr(["noEmpleado"]),
+  [`${ENT}:department`]: stringAttr(["department", "departmentName"]),
+  [`${ENT}:costcenter`]: stringAttr(["department", "costsCenter"]),
+  [`${ENT}:manager.value`]: idAttr(["managerUserId"]),
+};
+
+const USER_FILTER_VALUE_PATHS = {
+  emails: (inner) => filterToWhere(inner, {
+    value: stringAttr(["email"]),
+    type: constantAttr("work"),
+    primary: constantAttr(true),
+  }),
+  groups: (inner) => ({
+    userPermissionGroups: { some: filterToWhere(inner, { value: idAttr(["groupId"]), display: stringAttr(["group", "groupName"]) }) },
+  }),
+};
+
+/**
+ * @param {object} obj
+ * @param {string} name
+ * @returns {*} valor de la llave que coincide sin distinguir mayúsculas
+ */
+function pick(obj, name) {
+  if (!obj || typeof obj !== "object") return undefined;
+  const key = Object.keys(obj).find((k) => k.toLowerCase() === name.toLowerCase());
+  return key === undefined ? undefined : obj[key];
+}
+
+/**
+ * Elemento primario de un atributo multivalor (o el primero).
+ * @param {*} list
+ * @returns {object|undefined}
+ */
+function primaryOf(list) {
+  if (!Array.isArray(list) || !list.length) return undefined;
+  return list.find((item) => String(pick(item, "primary")).toLowerCase() === "true") ?? list[0];
+}
+
+/**
+ * @param {*} v
+ * @returns {string|null}
+ */
+function textOrNull(v) {
+  if (v === null || v === undefined) return null;
+  const s = String(v).trim();
+  return s || null;
+}
+
+/**
+ * @param {object} user - User con USER_INCLUDE
+ * @param {string} baseUrl
+ * @returns {object}
+ */
+export function toScimUser(user, baseUrl) {
+  const id = String(user.userId);
+  const nombre = user.empleado?.nombre ?? null;
+  return {
+    schemas: [SCHEMA_USER, SCHEMA_ENTERPRISE_USER],
+    id,
+    userName: user.userName,
+    ...(nombre ? { name: { formatted: nombre } } : {}),
+    displayName: nombre ?? user.userName,
+    emails: [{ value: user.email, type: "work", primary: true }],
+    ...(user.phoneNumber ? { phoneNumbers: [{ value: user.phoneNumber, type: "work", primary: true }] } : {}),
+    active: user.active,
+    roles: user.role ? [{ value: user.role.roleName, display: user.role.roleName, primary: true }] : [],
+    groups: (user.userPermissionGroups ?? [])
+      .filter((upg) => upg.group.active)
+      .map((upg) => ({
+        value: String(upg.group.groupId),
+        display: upg.group.groupName,
+        $ref: `${baseUrl}/Groups/${upg.group.groupId}`,
+      })),
+    [SCHEMA_ENTERPRISE_USER]: {
+      employeeNumber: user.noEmpleado ?? null,
+      department: user.department?.departmentName ?? null,
+      costCenter: user.department?.costsCenter ?? null,
+      manager: user.manager
+        ? { value: String(user.manager.userId), displayName: user.manager.userName, $ref: `${baseUrl}/Users/${user.manager.userId}` }
+        : null,
+    },
+    meta: {
+      resourceType: "User",
+      created: user.creationDate,
+      lastModified: user.lastModDate,
+      location: `${baseUrl}/Users/${id}`,
+    },
+  };
+}
+
+/**
+ * Lee un recurso SCIM User a cambios deseados. `undefined` = no enviado (se conserva), `null` = borrar.
+ * @param {*} body
+ * @returns {object}
+ */
+export function readUserResource(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new ScimError(400, "El cuerpo debe ser un recurso User.", "invalidSyntax");
+  }
+  const ent = pick(body, SCHEMA_ENTERPRISE_USER) ?? {};
+  const name = pick(body, "name") ?? {};
+
+  const userName = pick(body, "userName");
+  const emails = pick(body, "emails");
+  const phones = pick(body, "phoneNumbers");
+  const roles = pick(body, "roles");
+  const active = pick(body, "active");
+  const manager = pick(ent, "manager");
+  const employeeNumber = pick(ent, "employeeNumber");
+
+  return {
+    userName: userName === undefined ? undefined : String(userName ?? "").trim().toLowerCase(),
+    email: emails === undefined ? undefined : (textOrNull(pick(primaryOf(emails), "value"))?.toLowerCase() ?? null),
+    phoneNumber: phones === undefined ? undefined : textOrNull(pick(primaryOf(phones), "value")),
+    roleName: textOrNull(pick(primaryOf(roles), "value") ?? pick(primaryOf(roles), "display")) ?? undefined,
+    active: active === undefined || active === null ? undefined : toScimBoolean(active, "active"),
+    firstName: textOrNull(pick(name, "givenName")) ?? undefined,
+    lastName: textOrNull(pick(name, "familyName")) ?? undefined,
+    formatted: textOrNull(pick(name, "formatted") ?? pick(body, "displayName")) ?? undefined,
+    noEmpleado: employeeNumber === undefined ? undefined : textOrNull(employeeNumber),
+    department: pick(ent, "department") === undefined ? undefined : textOrNull(pick(ent, "department")),
+    costCenter: pick(ent, "costCenter") === undefined ? undefined : textOrNull(pick(ent, "costCenter")),
+    managerId: manager === undefined
+      ? undefined
+      : textOrNull(manager && typeof manager === "object" ? pick(manager, "value") : manager),
+  };
+}
+
+/**
+ * @param {bigint} organizationId
+ * @param {number|string} id
+ * @returns {Promise<object>}
+ */
+async function findUserOr404(organizationId, id) {
+  const userId = /^\d+$/.test(String(id)) ? Number(id) : null;
+  const user = userId
+    ? await prisma.user.findFirst({ where: { userId, organizationId }, include: USER_INCLUDE })
+    : null;
+  if (!user) throw new ScimError(404, `User ${id} no encontrado.`);
+  return user;
+}
+
+/**
+ * Departamento destino: por nombre si cambió, si no por centro de costos. `undefined` = sin cambio.
+ * @param {bigint} organizationId
+ * @param {object} input
+ * @param {object|null} current
+ * @returns {Promise<{ departmentId: number, departmentName: string, costsCenter: string|null }|null|undefined>}
+ */
+async function resolveDepartment(organizationId, input, current) {
+  let where;
+  if (input.department !== undefined && input.department !== (current?.department?.departmentName ?? null)) {
+    if (input.department === null) return null;
+    where = { departmentName: { equals: input.department, mode: "insensitive" } };
+  } else if (input.costCenter !== undefined && input.costCenter !== (current?.department?.costsCenter ?? null)) {
+    if (input.costCenter === null) return null;
+    where = { costsCenter: input.costCenter };
+  } else {
+    return undefined;
+  }
+  const dept = await prisma.department.findFirst({
+    where: { organizationId, active: true, ...where },
+    select: { departmentId: true, departmentName: true, costsCenter: true },
+  });
+  if (!dept) {
+    throw new ScimError(400, `Departamento "${input.department ?? input.costCenter}" no existe en la organización.`, "invalidValue");
+  }
+  return dept;
+}
+
+/**
+ * Alta o actualización con las reglas del import de onboarding.
+ * @param {bigint} organizationId
+ * @param {object|null} current - User con USER_INCLUDE (null = alta)
+ * @param {object} input - ver readUserResource
+ * @returns {Promise<number>} userId
+ */
+async function saveUser(organizationId, current, input) {
+  const userName = input.userName ?? current?.userName ?? null;
+  const email = input.email === undefined ? current?.email ?? null : input.email;
+  const requestedRole = input.roleName ?? current?.role?.roleName ?? DEFAULT_ROLE;
+
+  const roles = await prisma.role.findMany({ where: { organizationId }, select: { roleId: true, roleName: true } });
+  const role = roles.find((r) => r.roleName.toLowerCase() === requestedRole.toLowerCase());
+
+  const { errors } = validateImportRows(
+    [{ userName, email, mappedRoleName: role?.roleName ?? requestedRole, _row: 1 }],
+    roles.map((r) => r.roleName),
+  );
+  if (errors.length) {
+    throw new ScimError(400, errors.map((e) => `${e.field}: ${e.message}`).join(" "), "invalidValue");
+  }
+  await assertAssignableRole(role);
+
+  const notSelf = current ? { NOT: { userId: current.userId } } : {};
+  if (!current || userName !== current.userName) {
+    const taken = await prisma.user.findFirst({
+      where: { organizationId, userName: { equals: userName, mode: "insensitive" }, ...notSelf },
+      select: { userId: true },
+    });
+    if (taken) throw new ScimError(409, `userName ${userName} ya existe.`, "uniqueness");
+  }
+  if (!current || email !== current.email) {
+    const taken = await prisma.user.findFirst({
+      where: { email: { equals: email, mode: "insensitive" }, ...notSelf },
+      select: { userId: true },
+    });
+    if (taken) throw new ScimError(409, `email ${email} ya existe.`, "uniqueness");
+  }
+
+  const department = await resolveDepartment(organizationId, input, current);
+
+  let manager;
+  const currentManagerId = current?.managerUserId ? String(current.managerUserId) : null;
+  if (input.managerId !== undefined && input.managerId !== currentManagerId) {
+    if (input.managerId === null) {
+      manager = null;
+    } else {
+      const managerId = /^\d+$/.test(input.managerId) ? Number(input.managerId) : null;
+      manager = managerId
+        ? await prisma.user.findFirst({ where: { userId: managerId, organizationId }, select: { userId: true, noEmpleado: true } })
+        : null;
+      if (!manager) throw new ScimError(400, `manager ${input.managerId} no existe en la organización.`, "invalidValue");
+      if (current && await wouldCreateManagerCycle(current.userId, manager.userId)) {
+        throw new ScimError(400, "El jefe indicado crearía un ciclo en la jerarquía.", "invalidValue");
+      }
+    }
+  }
+
+  const noEmpleado = input.noEmpleado === undefined ? current?.noEmpleado ?? null : input.noEmpleado;
+  if (noEmpleado && noEmpleado.length > 10) {
+    throw new ScimError(400, "employeeNumber admite máximo 10 caracteres.", "invalidValue");
+  }
+  if (noEmpleado && noEmpleado !== current?.noEmpleado) {
+    const taken = await prisma.user.findFirst({ where: { organizationId, noEmpleado, ...notSelf }, select: { userId: true } });
+    if (taken) throw new ScimError(409, `employeeNumber ${noEmpleado} ya está asignado.`, "uniqueness");
+  }
+
+  const active = input.active ?? current?.active ?? true;
+  const data = {
+    userName,
+    email,
+    roleId: role.roleId,
+    active,
+    ...(input.phoneNumber !== undefined ? { phoneNumber: input.phoneNumber } : {}),
+    ...(department !== undefined ? { departmentId: department?.departmentId ?? null } : {}),
+    ...(manager !== undefined ? { managerUserId: manager?.userId ?? null } : {}),
+  };
+
+  const userId = await prisma.$transaction(async (tx) => {
+    let id = current?.userId;
+    if (current) {
+      await tx.user.update({ where: { userId: id, organizationId }, data });
+    } else {
+      const password = await bcrypt.hash(crypto.randomBytes(24).toString("base64url"), SALT_ROUNDS);
+      const created = await tx.user.create({
+        data: {
+          organizationId,
+          password,
+          workstation: String(department?.departmentName ?? ACTOR).slice(0, 20),
+          ...data,
+        },
+        select: { userId: true },
+      });
+      id = created.userId;
+    }
+
+    if (noEmpleado) {
+      const nombre = input.firstName || input.lastName
+        ? buildEmpleadoNombre({ firstName: input.firstName, lastName: input.lastName, userName })
+        : input.formatted ?? current?.empleado?.nombre ?? userName;
+      const deptId = department === undefined ? current?.departmentId ?? null : department?.departmentId ?? null;
+      const ceco = department === undefined ? current?.department?.costsCenter : department?.costsCenter;
+      const jefe = manager === undefined ? current?.manager?.noEmpleado : manager?.noEmpleado;
+      const empleado = {
+        nombre: String(nombre).slice(0, 100),
+        email: email.slice(0, 100),
+        status: active ? "A" : "I",
+        usuarioUltimaModificacion: ACTOR,
+        ...(department !== undefined ? { departmentId: deptId, ceco: String(ceco || "000").slice(0, 10) } : {}),
+        ...(manager !== undefined ? { jefeInmediato: jefe ?? null } : {}),
+      };
+      await tx.empleado.upsert({
+        where: { organizationId_noEmpleado: { organizationId, noEmpleado } },
+        create: {
+          organizationId,
+          noEmpleado,
+          proveedor: fallbackProveedorFromUserId(id),
+          ceco: String(ceco || "000").slice(0, 10),
+          departmentId: deptId,
+          jefeInmediato: jefe ?? null,
+          fechaAlta: new Date(),
+          ...empleado,
+        },
+        update: empleado,
+      });
+    }
+    if (noEmpleado !== (current?.noEmpleado ?? null)) {
+      await tx.user.update({ where: { userId: id, organizationId }, data: { noEmpleado } });
+    }
+    return id;
+  });
+
+  if (!current) await ensureTenantApplicantUserPermissions(organizationId, userId);
+  return userId;
+}
+
+/**
+ * GET /Users
+ * @param {bigint} organizationId
+ * @param {{ filter?: string, startIndex?: string, count?: string }} query
+ * @param {string} baseUrl
+ * @returns {Promise<object>} ListResponse
+ */
+export async function listScimUsers(organizationId, query, baseUrl) {
+  const { skip, take, startIndex } = parsePaging(query);
+  const where = {
+    organizationId,
+    ...(query.filter ? filterToWhere(parseFilter(query.filter), USER_FILTER_ATTRIBUTES, USER_FILTER_VALUE_PATHS) : {}),
+  };
+  const [total, users] = await Promise.all([
+    prisma.user.count({ where }),
+    take > 0
+      ? prisma.user.findMany({ where, include: USER_INCLUDE, orderBy: { userId: "asc" }, skip, take })
+      : [],
+  ]);
+  return listResponse(users.map((u) => toScimUser(u, baseUrl)), total, startIndex);
+}
+
+/**
+ * @param {bigint} organizationId
+ * @param {string} id
+ * @param {string} baseUrl
+ * @returns {Promise<object>}
+ */
+export async function getScimUser(organizationId, id, baseUrl) {
+  return toScimUser(await findUserOr404(organizationId, id), baseUrl);
+}
+
+/**
+ * POST /Users
+ * @param {bigint} organizationId
+ * @param {object} body
+ * @param {string} baseUrl
+ * @returns {Promise<object>}
+ */
+export async function createScimUser(organizationId, body, baseUrl) {
+  const input = readUserResource(body);
+  if (!input.userName) throw new ScimError(400, "userName es requerido.", "invalidValue");
+  if (!input.email) throw new ScimError(400, "emails es requerido.", "invalidValue");
+  const userId = await saveUser(organizationId, null, input);
+  return getScimUser(organizationId, userId, baseUrl);
+}
+
+/**
+ * PUT /Users/:id
+ * @param {bigint} organizationId
+ * @param {string} id
+ * @param {object} body
+ * @param {string} baseUrl
+ * @returns {Promise<object>}
+ */
+export async function replaceScimUser(organizationId, id, body, baseUrl) {
+  const current = await findUserOr404(organizationId, id);
+  await assertUnprotectedUser(organizationId, current);
+  await saveUser(organizationId, current, readUserResource(body));
+  return getScimUser(organizationId, current.userId, baseUrl);
+}
+
+/**
+ * PATCH /Users/:id
+ * @param {bigint} organizationId
+ * @param {string} id
+ * @param {object} body - PatchOp
+ * @param {string} baseUrl
+ * @returns {Promise<object>}
+ */
+export async function patchScimUser(organizationId, id, body, baseUrl) {
+  const current = await findUserOr404(organizationId, id);
+  await assertUnprotectedUser(organizationId, current);
+  const patched = applyPatchOperations(toScimUser(current, baseUrl), body, { extensions: [SCHEMA_ENTERPRISE_USER] });
+  await saveUser(organizationId, current, readUserResource(patched));
+  return getScimUser(organizationId, current.userId, baseUrl);
+}
+
+/**
+ * DELETE /Users/:id — desactiva (el historial de solicitudes y pólizas conserva al usuario).
+ * @param {bigint} organizationId
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deactivateScimUser(organizationId, id) {
+  const current = await findUserOr404(organizationId, id);
+  await assertUnprotectedUser(organizationId, current);
+  await prisma.$transaction(async (tx) => {
+    await tx.user.update({ where: { userId: current.userId, organizationId }, data: { active: false } });
+    if (current.noEmpleado) {
+      await tx.empleado.updateMany({
+        where: { organizationId, noEmpleado: current.noEmpleado },
+        data: { status: "I", usuarioUltimaModificacion: ACTOR },
+      });
+    }
+  });
+}
+
+export default {
+  listScimUsers,
+  getScimUser,
+  createScimUser,
+  replaceScimUser,
+  patchScimUser,
+  deactivateScimUser,
+};
@@ -0,0 +1,253 @@
+/**
+ * @module slaCalendarService
+ * @description Calendario laboral, cierres y plazos SLA por estatus de cada organización.
+ *   Los plazos se miden en horas hábiles (services/businessCalendar.js) en la zona horaria
+ *   de la organización. Sin configuración aplican lun–vie 09:00–18:00, feriados federales y
+ *   DEFAULT_SLA_POLICIES.
+ */
+import prisma from "../database/config/prisma.js";
+import { REQUEST_STATUS, TERMINAL_STATUS_IDS } from "../config/requestStatus.js";
+import {
+  DEFAULT_CALENDAR_CONFIG,
+  addBusinessMinutes,
+  parseTimeOfDay,
+  toBusinessCalendar,
+} from "./businessCalendar.js";
+
+/**
+ * @typedef {Object} SlaPolicy
+ * @property {number} requestStatusId
+ * @property {number} durationHours - Plazo en horas hábiles desde que la solicitud entra al estatus
+ * @property {number|null} reminderHours - Horas hábiles antes del vencimiento para recordar
+ * @property {boolean} escalateOnBreach - Al vencer, escala al siguiente paso de aprobación
+ * @property {boolean} active
+ * @property {'default'|'organization'} source
+ */
+
+/**
+ * Plazo por defecto: Primera Revisión vence a las 18 horas hábiles (dos jornadas de
+ * 09:00–18:00) con recordatorio 4 horas antes, y escala a Segunda Revisión.
+ * @type {ReadonlyArray<Omit<SlaPolicy, 'source'>>}
+ */
+export const DEFAULT_SLA_POLICIES = Object.freeze([
+  {
+    requestStatusId: REQUEST_STATUS.PRIMERA_REVISION,
+    durationHours: 18,
+    reminderHours: 4,
+    escalateOnBreach: true,
+    active: true,
+  },
+]);
+
+/** Estatus de aprobación: los únicos donde un vencimiento puede escalar. */
+const ESCALATABLE_STATUS_IDS = new Set([REQUEST_STATUS.PRIMERA_REVISION, REQUEST_STATUS.SEGUNDA_REVISION]);
+
+/**
+ * @param {Date} d
+ * @returns {string} YYYY-MM-DD
+ */
+function toDateKey(d) {
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Calendario configurado de la organización (o defaults) y sus cierres.
+ * @param {bigint | number} organizationId
+ * @returns {Promise<{ timezone: string, workingDays: number[], dayStart: string, dayEnd: string,
+ *   mexicanHolidays: boolean, closures: { id: number, date: string, reason: string|null }[] }>}
+ */
+export async function getOrgCalendar(organizationId) {
+  const orgId = BigInt(organizationId);
+  const [org, row, closures] = await Promise.all([
+    prisma.organization.findUnique({ where: { id: orgId }, select: { timezone: true } }),
+    prisma.slaCalendar.findUnique({ where: { organizationId: orgId } }),
+    prisma.slaClosure.findMany({ where: { organizationId: orgId }, orderBy: { closureDate: "asc" } }),
+  ]);
+  return {
+    timezone: org?.timezone || DEFAULT_CALENDAR_CONFIG.timezone,
+    workingDays: row?.workingDays ?? [...DEFAULT_CALENDAR_CONFIG.workingDays],
+    dayStart: row?.dayStart ?? DEFAULT_CALENDAR_CONFIG.dayStart,
+    dayEnd: row?.dayEnd ?? DEFAULT_CALENDAR_CONFIG.dayEnd,
+    mexicanHolidays: row?.mexicanHolidays ?? DEFAULT_CALENDAR_CONFIG.mexicanHolidays,
+    closures: closures.map((c) => ({ id: c.id, date: toDateKey(c.closureDate), reason: c.reason ?? null })),
+  };
+}
+
+/**
+ * Calendario listo para cálculos de tiempo hábil.
+ * @param {bigint | number} organizationId
+ * @returns {Promise<import("./businessCalendar.js").BusinessCalendar>}
+ */
+export async function loadBusinessCalendar(organizationId) {
+  const cfg = await getOrgCalendar(organizationId);
+  return toBusinessCalendar({ ...cfg, closures: cfg.closures.map((c) => c.date) });
+}
+
+/**
+ * Actualiza días y horario hábiles. La zona horaria se edita en la organización.
+ * @param {bigint | number} organizationId
+ * @param {{ workingDays?: number[], dayStart?: string, dayEnd?: string, mexicanHolidays?: boolean }} payload
+ * @param {number | null} [updatedById]
+ */
+export async function setOrgCalendar(organizationId, payload, updatedById = null) {
+  const orgId = BigInt(organizationId);
+  const current = await getOrgCalendar(orgId);
+  const next = {
+    workingDays: payload.workingDays ?? current.workingDays,
+    dayStart: payload.dayStart ?? current.dayStart,
+    dayEnd: payload.dayEnd ?? current.dayEnd,
+    mexicanHolidays: payload.mexicanHolidays ?? current.mexicanHolidays,
+  };
+
+  const days = [...new Set(next.workingDays.map(Number))].sort((a, b) => a - b);
+  if (!days.length || days.some((d) => !Number.isInteger(d) || d < 1 || d > 7)) {
+    throw { status: 400, message: "workingDays debe listar días ISO entre 1 (lunes) y 7 (domingo)" };
+  }
+  const start = parseTimeOfDay(next.dayStart);
+  const end = parseTimeOfDay(next.dayEnd);
+  if (Number.isNaN(start) || Number.isNaN(end) || end <= start) {
+    throw { status: 400, message: "dayStart y dayEnd deben ser HH:MM y dayEnd posterior a dayStart" };
+  }
+
+  const data = { ...next, workingDays: days, mexicanHolidays: Boolean(next.mexicanHolidays), updatedById };
+  await prisma.slaCalendar.upsert({
+    where: { organizationId: orgId },
+    update: data,
+    create: { organizationId: orgId, ...data },
+  });
+  return getOrgCalendar(orgId);
+}
+
+/**
+ * Registra un día inhábil propio.
+ * @param {bigint | number} organizationId
+ * @param {{ date: string, reason?: string|null }} payload - date en YYYY-MM-DD
+ */
+export async function addClosure(organizationId, { date, reason = null }) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date ?? "")) || Number.isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
+    throw { status: 400, message: "date debe tener formato YYYY-MM-DD" };
+  }
+  try {
+    const row = await prisma.slaClosure.create({
+      data: {
+        organizationId: BigInt(organizationId),
+        closureDate: new Date(`${date}T00:00:00Z`),
+        reason: reason ? String(reason).trim().slice(0, 120) : null,
+      },
+    });
+    return { id: row.id, date: toDateKey(row.closureDate), reason: row.reason ?? null };
+  } catch (err) {
+    if (err?.code === "P2002") {
+      throw { status: 409, message: "Ese día ya está registrado como inhábil" };
+    }
+    throw err;
+  }
+}
+
+/**
+ * @param {bigint | number} organizationId
+ * @param {number} closureId
+ * @returns {Promise<{ message: string }>}
+ */
+export async function deleteClosure(organizationId, closureId) {
+  const { count } = await prisma.slaClosure.deleteMany({
+    where: { id: Number(closureId), organizationId: BigInt(organizationId) },
+  });
+  if (!count) {
+    throw { status: 404, message: "Día inhábil no encontrado" };
+  }
+  return { message: "Día inhábil eliminado" };
+}
+
+/**
+ * Plazos vigentes por estatus: los de la organización reemplazan a los defaults del mismo estatus.
+ * @param {bigint | number} organizationId
+ * @returns {Promise<SlaPolicy[]>}
+ */
+export async function listSlaPolicies(organizationId) {
+  const rows = await prisma.slaPolicy.findMany({
+    where: { organizationId: BigInt(organizationId) },
+    orderBy: { requestStatusId: "asc" },
+  });
+  const byStatus = new Map(DEFAULT_SLA_POLICIES.map((p) => [p.requestStatusId, { ...p, source: "default" }]));
+  for (const r of rows) {
+    byStatus.set(r.requestStatusId, {
+      requestStatusId: r.requestStatusId,
+      durationHours: r.durationHours,
+      reminderHours: r.reminderHours ?? null,
+      escalateOnBreach: r.escalateOnBreach,
+      active: r.active,
+      source: "organization",
+    });
+  }
+  return [...byStatus.values()].sort((a, b) => a.requestStatusId - b.requestStatusId);
+}
+
+/**
+ * Crea o reemplaza el plazo de un estatus. `active: false` desactiva también el default.
+ * @param {bigint | number} organizationId
+ * @param {number} requestStatusId
+ * @param {{ durationHours: number, reminderHours?: number|null, escalateOnBreach?: boolean, active?: boolean }} payload
+ * @returns {Promise<SlaPolicy>}
+ */
+export async function setSlaPolicy(organizationId, requestStatusId, payload) {
+  const statusId = Number(requestStatusId);
+  if (statusId === REQUEST_STATUS.BORRADOR || TERMINAL_STATUS_IDS.includes(statusId) ||
+    !Object.values(REQUEST_STATUS).includes(statusId)) {
+    throw { status: 400, message: "Solo los estatus en curso (2 a 7) admiten SLA" };
+  }
+  const durationHours = Number(payload.durationHours);
+  if (!Number.isInteger(durationHours) || durationHours < 1) {
+    throw { status: 400, message: "durationHours debe ser un entero mayor a 0" };
+  }
+  const reminderHours = payload.reminderHours === null || payload.reminderHours === undefined ? null : Number(payload.reminderHours);
+  if (reminderHours !== null && (!Number.isInteger(reminderHours) || reminderHours < 1 || reminderHours >= durationHours)) {
+    throw { status: 400, message: "reminderHours debe ser un entero entre 1 y durationHours - 1" };
+  }
+  const escalateOnBreach = Boolean(payload.escalateOnBreach);
+  if (escalateOnBreach && !ESCALATABLE_STATUS_IDS.has(statusId)) {
+    throw { status: 400, message: "Solo Primera y Segunda Revisión pueden escalar al vencer" };
+  }
+
+  const data = { durationHours, reminderHours, escalateOnBreach, active: payload.active ?? true };
+  const orgId = BigInt(organizationId);
+  const row = await prisma.slaPolicy.upsert({
+    where: { organizationId_requestStatusId: { organizationId: orgId, requestStatusId: statusId } },
+    update: data,
+    create: { organizationId: orgId, requestStatusId: statusId, ...data },
+  });
+  return {
+    requestStatusId: row.requestStatusId,
+    durationHours: row.durationHours,
+    reminderHours: row.reminderHours ?? null,
+    escalateOnBreach: row.escalateOnBreach,
+    active: row.active,
+    source: "organization",
+  };
+}
+
+/**
+ * Vencimiento y momento del recordatorio de una etapa.
+ * @param {Date} stageStartedAt
+ * @param {Pick<SlaPolicy, 'durationHours' | 'reminderHours'>} policy
+ * @param {import("./businessCalendar.js").BusinessCalendar} calendar
+ * @returns {{ dueAt: Date, remindAt: Date | null }}
+ */
+export function slaWindow(stageStartedAt, policy, calendar) {
+  const dueAt = addBusinessMinutes(stageStartedAt, policy.durationHours * 60, calendar);
+  const remindAt = policy.reminderHours
+    ? addBusinessMinutes(stageStartedAt, (policy.durationHours - policy.reminderHours) * 60, calendar)
+    : null;
+  return { dueAt, remindAt };
+}
+
+export default {
+  getOrgCalendar,
+  loadBusinessCalendar,
+  setOrgCalendar,
+  addClosure,
+  deleteClosure,
+  listSlaPolicies,
+  setSlaPolicy,
+  slaWindow,
+};
@@ -3,6 +3,12 @@
  * @description Construye el recorrido completo de una solicitud (pasos completados,
  *              actual y pendientes) para la línea de tiempo / stepper horizontal.
  */
+import {
+  currentStepIndex,
+  isGroupStep,
+  statusForStep,
+  stepVoteProgress,
+} from "./workflowRulesEngine.js";
 
 /** @typedef {'completed'|'current'|'pending'|'skipped'|'failed'|'cancelled'} StepState */
 
@@ -22,14 +28,31 @@
  * @property {string|null} [timestamp]
  * @property {string|null} [actor]
  * @property {string|null} [note]
+ * @property {ApprovalProgress[]} [approvals] - Pasos del snapshot atendidos en esta etapa (N1/N2)
  */
 
 /**
+ * @typedef {Object} ApprovalProgress
+ * @property {number} level
+ * @property {string|null} roleName
+ * @property {'single'|'all'|'quorum'} mode
+ * @property {StepState} state
+ * @property {{ cast: number, required: number, rejected: number, eligible: number }} [votes] - Pasos de grupo
+ */
+
+/**
+ * Etapas de revisión (1 = Primera, 2 = Segunda) que recorre la solicitud. Con `steps`, todos los
+ * pasos posteriores al primero (N2, Director, CFO…) se atienden en Segunda revisión.
  * @param {unknown} snapshot
  * @returns {number[]}
  */
 export function approvalLevelsFromSnapshot(snapshot) {
   if (!snapshot || typeof snapshot !== "object") return [1, 2];
+  const steps = /** @type {{ steps?: unknown }} */ (snapshot).steps;
+  if (Array.isArray(steps) && steps.length) {
+    const stages = steps.map((_, i) => (statusForStep(steps, i) === 2 ? 1 : 2));
+    return [...new Set(stages)].sort((a, b) => a - b);
+  }
   const levels = /** @type {{ levels?: unknown }} */ (snapshot).levels;
   if (!Array.isArray(levels) || levels.length === 0) return [1, 2];
   const parsed = [...new Set(levels.map(Number).filter((n) => n === 1 || n === 2))];
@@ -184,7 +207,7 @@ function annotateStepsFromHistorial(stepDefs, historial, creationDate) {
   }
 
   for (const row of historial) {
-    if (row.accion === "ESCALADO" || row.accion === "REASIGNADO") {
+    if (row.accion === "ESCALADO" || row.accion === "REASIGNADO" || row.accion === "VOTO") {
       const note = row.comentario
         ? `${row.accion}: ${row.comentario}`
         : row.accion;
@@ -202,6 +225,47 @@ function annotateStepsFromHistorial(stepDefs, historial, creationDate) {
   return meta;
 }
 
+/**
+ * Progreso de cada paso de aprobación del snapshot, agrupado por etapa (n1/n2). Los pasos
+ * paralelos o por quórum incluyen sus votos, así una etapa en curso muestra el avance parcial.
+ * @param {unknown} snapshot
+ * @param {number} currentStatusId
+ * @returns {Map<string, ApprovalProgress[]>} Vacío si el snapshot no trae `steps`
+ */
+function approvalProgressByStage(snapshot, currentStatusId) {
+  /** @type {Map<string, ApprovalProgress[]>} */
+  const byStage = new Map();
+  const snap = /** @type {{ steps?: any[], currentStep?: number }} */ (snapshot ?? {});
+  if (!Array.isArray(snap.steps) || !snap.steps.length) return byStage;
+
+  const steps = snap.steps;
+  const awaiting = currentStatusId === 2 || currentStatusId === 3;
+  const cursor = awaiting
+    ? currentStepIndex(snap, currentStatusId)
+    : (Number.isInteger(snap.currentStep) ? snap.currentStep : 0);
+
+  steps.forEach((step, i) => {
+    /** @type {StepState} */
+    let state;
+    if (currentStatusId < 2) state = "pending";
+    else if (currentStatusId === 10) state = i < cursor ? "completed" : i === cursor ? "failed" : "cancelled";
+    else if (currentStatusId === 9) state = i < cursor ? "completed" : "cancelled";
+    else if (!awaiting) state = "completed";
+    else state = i < cursor ? "completed" : i === cursor ? "current" : "pending";
+
+    const key = statusForStep(steps, i) === 2 ? "n1" : "n2";
+    const group = isGroupStep(step);
+    byStage.set(key, [...(byStage.get(key) ?? []), {
+      level: step.level,
+      roleName: step.roleName ?? null,
+      mode: group ? step.mode : "single",
+      state,
+      ...(group ? { votes: stepVoteProgress(step) } : {}),
+    }]);
+  });
+  return byStage;
+}
+
 /**
  * @param {object} input
  * @param {number} input.currentStatusId
@@ -228,9 +292,12 @@ export function buildSolicitudJourney(input) {
     input.creationDate,
   );
 
+  const progress = approvalProgressByStage(input.workflowPreSnapshot, currentStatusId);
+
   /** @type {JourneyStep[]} */
   const steps = stepDefs.map((def) => {
     const meta = metaMap.get(def.key);
+    const approvals = progress.get(def.key);
     return {
       key: def.key,
       statusId: def.statusId,
@@ -239,6 +306,7 @@ export function buildSolicitudJourney(input) {
       timestamp: meta?.timestamp ?? null,
       actor: meta?.actor ?? null,
       note: meta?.note ?? null,
+      ...(approvals ? { approvals } : {}),
     };
   });
 
@@ -0,0 +1,170 @@
+/**
+ * @module storage/localDriver
+ * @description Driver de almacenamiento en disco local para desarrollo, pruebas y despliegues sin nube.
+ * Los objetos viven bajo STORAGE_LOCAL_DIR (default `./storage`) con la misma clave que en S3; el
+ * Content-Type se guarda aparte en `.meta/<clave>.json`. Las descargas se sirven por
+ * GET /api/files/local/<clave>?expires=&signature= con una firma HMAC-SHA256 que vence igual que
+ * una URL pre-firmada de S3.
+ */
+import { createHmac, timingSafeEqual } from "node:crypto";
+import { createReadStream } from "node:fs";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { StorageObjectNotFoundError, StorageSignatureError } from "./storageErrors.js";
+
+const META_DIR = ".meta";
+const DOWNLOAD_PATH = "/api/files/local";
+
+/**
+ * Secreto de las URLs firmadas. Si no se define STORAGE_SIGNING_SECRET cae a JWT_SECRET.
+ * @returns {string}
+ */
+function signingSecret() {
+  const secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error("STORAGE_SIGNING_SECRET (o JWT_SECRET) is required for local storage URLs");
+  }
+  return secret;
+}
+
+/**
+ * @param {string} key
+ * @param {number} expires - Epoch en segundos
+ * @returns {string} Firma base64url
+ */
+function sign(key, expires) {
+  return createHmac("sha256", signingSecret()).update(`${key}\n${expires}`).digest("base64url");
+}
+
+/**
+ * Valida una URL de descarga local.
+ * @param {string} key
+ * @param {string|number} expires
+ * @param {string} signature
+ * @param {Date} [now]
+ * @throws {StorageSignatureError} Si la firma no coincide o ya venció
+ */
+export function verifyLocalSignature(key, expires, signature, now = new Date()) {
+  const exp = Number(expires);
+  if (!Number.isInteger(exp) || !signature) {
+    throw new StorageSignatureError("Missing or malformed download signature");
+  }
+  if (exp * 1000 < now.getTime()) {
+    throw new StorageSignatureError("Download URL expired");
+  }
+  const expected = Buffer.from(sign(key, exp));
+  const given = Buffer.from(String(signature));
+  if (expected.length !== given.length || !timingSafeEqual(expected, given)) {
+    throw new StorageSignatureError("Invalid download signature");
+  }
+}
+
+/**
+ * Crea el driver de disco.
+ * @param {{ rootDir?: string|null, publicBaseUrl?: string|null }} [config]
+ * @returns {import("../storageService.js").StorageDriver}
+ */
+export function createLocalDriver(config = {}) {
+  const rootDir = path.resolve(config.rootDir || process.env.STORAGE_LOCAL_DIR || "storage");
+  const publicBaseUrl = (config.publicBaseUrl ?? process.env.STORAGE_LOCAL_PUBLIC_URL ?? "").replace(/\/+$/, "");
+
+  /**
+   * Ruta absoluta de una clave; rechaza segmentos vacíos, `.` y `..`.
+   * @param {string} base
+   * @param {string} key
+   * @returns {string}
+   */
+  const resolveUnder = (base, key) => {
+    const segments = String(key).split("/");
+    if (!key || segments.some((s) => !s || s === "." || s === ".." || s.includes("\\"))) {
+      throw new StorageSignatureError(`Unsafe object key: ${key}`);
+    }
+    const full = path.resolve(base, ...segments);
+    if (!full.startsWith(base + path.sep)) {
+      throw new StorageSignatureError(`Unsafe object key: ${key}`);
+    }
+    return full;
+  };
+  const filePath = (key) => {
+    if (String(key).split("/")[0] === META_DIR) {
+      throw new StorageSignatureError(`Unsafe object key: ${key}`);
+    }
+    return resolveUnder(rootDir, key);
+  };
+  const metaPath = (key) => `${resolveUnder(path.join(rootDir, META_DIR), key)}.json`;
+
+  /**
+   * @param {string} key
+   * @returns {Promise<{ contentType: string|undefined, contentLength: number, lastModified: Date }>}
+   */
+  const stat = async (key) => {
+    let info;
+    try {
+      info = await fs.stat(filePath(key));
+    } catch (error) {
+      if (error?.code === "ENOENT") throw new StorageObjectNotFoundError(key);
+      throw error;
+    }
+    const meta = await fs.readFile(metaPath(key), "utf8").then(JSON.parse).catch(() => ({}));
+    return { contentType: meta.contentType, contentLength: info.size, lastModified: info.mtime };
+  };
+
+  return {
+    name: "local",
+    location: rootDir,
+
+    async put({ key, body, contentType }) {
+      const target = filePath(key);
+      const meta = metaPath(key);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.mkdir(path.dirname(meta), { recursive: true });
+      await fs.writeFile(target, body);
+      await fs.writeFile(meta, JSON.stringify({ contentType: contentType || "application/octet-stream" }));
+    },
+
+    async getStream(key) {
+      const { contentType, contentLength } = await stat(key);
+      return { body: createReadStream(filePath(key)), contentType, contentLength };
+    },
+
+    head: stat,
+
+    async presign(key, ttlSeconds) {
+      filePath(key);
+      const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+      const encoded = key.split("/").map(encodeURIComponent).join("/");
+      return `${publicBaseUrl}${DOWNLOAD_PATH}/${encoded}?expires=${expires}&signature=${sign(key, expires)}`;
+    },
+
+    async delete(key) {
+      await fs.rm(filePath(key), { force: true });
+      await fs.rm(metaPath(key), { force: true });
+    },
+
+    async list(prefix) {
+      const dirKey = String(prefix).slice(0, String(prefix).lastIndexOf("/"));
+      const objects = [];
+      const walk = async (relDir) => {
+        let entries;
+        try {
+          entries = await fs.readdir(relDir ? filePath(relDir) : rootDir, { withFileTypes: true });
+        } catch (error) {
+          if (error?.code === "ENOENT") return;
+          throw error;
+        }
+        for (const entry of entries) {
+          const key = relDir ? `${relDir}/${entry.name}` : entry.name;
+          if (key === META_DIR) continue;
+          if (entry.isDirectory()) {
+            await walk(key);
+          } else if (key.startsWith(prefix)) {
+            const { contentLength, lastModified } = await stat(key);
+            objects.push({ key, contentLength, lastModified });
+          }
+        }
+      };
+      await walk(dirKey);
+      return objects;
+    },
+  };
+}
@@ -0,0 +1,124 @@
+/**
+ * @module storage/s3Driver
+ * @description Driver de almacenamiento en AWS S3 (SSE-S3, AES-256). Con `endpoint` (p. ej. LocalStack
+ * en dev) usa credenciales explícitas y path-style.
+ */
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { StorageObjectNotFoundError } from "./storageErrors.js";
+
+/**
+ * @param {*} error
+ * @returns {boolean}
+ */
+function isNotFound(error) {
+  return (
+    error?.name === "NoSuchKey" ||
+    error?.name === "NotFound" ||
+    error?.Code === "NoSuchKey" ||
+    error?.$metadata?.httpStatusCode === 404
+  );
+}
+
+/**
+ * Crea el driver S3. Lo no indicado en `config` sale de AWS_REGION, AWS_S3_BUCKET y AWS_S3_ENDPOINT.
+ * @param {{ region?: string|null, bucket?: string|null, endpoint?: string|null }} [config]
+ * @returns {import("../storageService.js").StorageDriver}
+ */
+export function createS3Driver(config = {}) {
+  const region = config.region || process.env.AWS_REGION;
+  const bucket = config.bucket || process.env.AWS_S3_BUCKET;
+  const endpoint = (config.endpoint || process.env.AWS_S3_ENDPOINT)?.trim();
+  let client = null;
+
+  const getClient = () => {
+    if (!region) {
+      throw new Error("AWS_REGION is required for S3");
+    }
+    if (!bucket) {
+      throw new Error("AWS_S3_BUCKET is required for S3");
+    }
+    if (!client) {
+      client = endpoint
+        ? new S3Client({
+          region,
+          endpoint,
+          forcePathStyle: process.env.AWS_S3_FORCE_PATH_STYLE !== "false",
+          credentials: {
+            accessKeyId: process.env.AWS_ACCESS_KEY_ID || "test",
+            secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || "test",
+          },
+        })
+        : new S3Client({ region });
+    }
+    return client;
+  };
+
+  return {
+    name: "s3",
+    location: bucket,
+
+    async put({ key, body, contentType }) {
+      await getClient().send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: body,
+          ContentType: contentType || "application/octet-stream",
+          ServerSideEncryption: "AES256",
+        })
+      );
+    },
+
+    async getStream(key) {
+      try {
+        const res = await getClient().send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return { body: res.Body, contentType: res.ContentType, contentLength: res.ContentLength };
+      } catch (error) {
+        if (isNotFound(error)) throw new StorageObjectNotFoundError(key);
+        throw error;
+      }
+    },
+
+    async head(key) {
+      try {
+        const res = await getClient().send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return { contentType: res.ContentType, contentLength: res.ContentLength, lastModified: res.LastModified };
+      } catch (error) {
+        if (isNotFound(error)) throw new StorageObjectNotFoundError(key);
+        throw error;
+      }
+    },
+
+    async presign(key, ttlSeconds) {
+      const command = new GetObjectCommand({ Bucket: bucket, Key: key });
+      return getSignedUrl(getClient(), command, { expiresIn: ttlSeconds });
+    },
+
+    async delete(key) {
+      await getClient().send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    async list(prefix) {
+      const objects = [];
+      let token;
+      do {
+        const res = await getClient().send(
+          new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken: token })
+        );
+        for (const obj of res.Contents ?? []) {
+          objects.push({ key: obj.Key, contentLength: obj.Size, lastModified: obj.LastModified });
+        }
+        token = res.IsTruncated ? res.NextContinuationToken : undefined;
+      } while (token);
+      return objects;
+    },
+  };
+}
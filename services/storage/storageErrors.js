@@ -0,0 +1,29 @@
+/**
+ * @module storage/storageErrors
+ * @description Errores comunes a los drivers de almacenamiento (S3 y disco local).
+ */
+
+/**
+ * Error thrown when an object key does not exist in the bucket.
+ */
+export class StorageObjectNotFoundError extends Error {
+  /** @param {string} key */
+  constructor(key) {
+    super(`Object not found: ${key}`);
+    this.name = "StorageObjectNotFoundError";
+    this.code = "STORAGE_NOT_FOUND";
+    this.key = key;
+  }
+}
+
+/**
+ * Error thrown when a local download URL is expired, tampered with or the key is unsafe.
+ */
+export class StorageSignatureError extends Error {
+  /** @param {string} message */
+  constructor(message) {
+    super(message);
+    this.name = "StorageSignatureError";
+    this.code = "STORAGE_SIGNATURE_INVALID";
+  }
+}
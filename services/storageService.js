@@ -1,13 +1,20 @@
 /**
  * @module storageService
- * @description AWS S3 storage for trip files: upload with SSE-S3 (AES-256), pre-signed GET URLs (15 min), and delete.
+ * @description Storage for trip files behind a driver interface: AWS S3 (SSE-S3, AES-256) or local disk.
+ * The driver comes from the org's `STORAGE` integration (`organization_integrations`) or, by default,
+ * from `STORAGE_DRIVER` (s3 | local; default s3). Downloads use pre-signed URLs (15 min): S3 signs them
+ * itself, the local driver signs URLs served by GET /api/files/local/*.
  * Object keys: `{organizationId}/{viajeId}/[{receiptId}/]{uuid}/{filename}` cuando `receiptId` se envía en el body del upload.
+ * Reads and deletes resolve the org from the first key segment, so switching an org's driver
+ * requires copying its objects to the new backend.
  */
-import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from "@aws-sdk/client-s3";
-import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
 import { randomUUID } from "node:crypto";
 import path from "node:path";
 import dotenv from "dotenv";
+import { resolveIntegration } from "./integrationResolver.js";
+import { createS3Driver } from "./storage/s3Driver.js";
+import { createLocalDriver, verifyLocalSignature } from "./storage/localDriver.js";
+import { StorageObjectNotFoundError, StorageSignatureError } from "./storage/storageErrors.js";
 
 dotenv.config();
 
@@ -15,43 +22,63 @@ dotenv.config();
 const PRESIGNED_TTL_SECONDS = 15 * 60;
 
 /**
- * Cliente S3: AWS real por defecto; con `AWS_S3_ENDPOINT` (p. ej. LocalStack en dev)
- * se usa endpoint + credenciales explícitas y path-style.
- * @returns {S3Client}
+ * @typedef {Object} StorageDriver
+ * @property {'s3'|'local'} name
+ * @property {string|undefined} location - Bucket (S3) or root directory (local)
+ * @property {(obj: { key: string, body: Buffer|Uint8Array|string, contentType?: string }) => Promise<void>} put
+ * @property {(key: string) => Promise<{ body: import('stream').Readable, contentType: string|undefined, contentLength: number|undefined }>} getStream
+ * @property {(key: string) => Promise<{ contentType: string|undefined, contentLength: number|undefined, lastModified: Date|undefined }>} head
+ * @property {(key: string, ttlSeconds: number) => Promise<string>} presign
+ * @property {(key: string) => Promise<void>} delete
+ * @property {(prefix: string) => Promise<Array<{ key: string, contentLength: number|undefined, lastModified: Date|undefined }>>} list
  */
-function createS3Client() {
-  const region = process.env.AWS_REGION;
-  if (!region) {
-    throw new Error("AWS_REGION is required for S3");
-  }
-  const endpoint = process.env.AWS_S3_ENDPOINT?.trim();
-  if (endpoint) {
-    return new S3Client({
-      region,
-      endpoint,
-      forcePathStyle: process.env.AWS_S3_FORCE_PATH_STYLE !== "false",
-      credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID || "test",
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || "test",
-      },
-    });
+
+/** @type {Record<string, (config: object) => StorageDriver>} */
+const DRIVER_FACTORIES = {
+  s3: createS3Driver,
+  local: createLocalDriver,
+};
+
+const drivers = new Map(); // key: JSON config → StorageDriver
+
+/**
+ * @param {{ driver?: string }} config
+ * @returns {StorageDriver}
+ */
+function driverFromConfig(config) {
+  const name = String(config?.driver || "s3").toLowerCase();
+  const factory = DRIVER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown storage driver: ${name}`);
   }
-  return new S3Client({ region });
+  const cacheKey = JSON.stringify({ ...config, driver: name });
+  if (!drivers.has(cacheKey)) drivers.set(cacheKey, factory(config));
+  return drivers.get(cacheKey);
 }
 
 /**
- * @returns {string}
+ * Driver for an organization: its `STORAGE` integration or the env default.
+ * @param {string|number|bigint|null} [organizationId]
+ * @returns {Promise<StorageDriver>}
  */
-function getBucketName() {
-  const bucket = process.env.AWS_S3_BUCKET;
-  if (!bucket) {
-    throw new Error("AWS_S3_BUCKET is required for S3");
+async function getStorageDriver(organizationId) {
+  if (organizationId === null || organizationId === undefined || !/^\d+$/.test(String(organizationId))) {
+    return driverFromConfig({ driver: process.env.STORAGE_DRIVER });
   }
-  return bucket;
+  return driverFromConfig(await resolveIntegration(organizationId, "STORAGE"));
+}
+
+/**
+ * Driver that owns a key (org = first key segment).
+ * @param {string} key
+ * @returns {Promise<StorageDriver>}
+ */
+function driverForKey(key) {
+  return getStorageDriver(String(key).split("/")[0]);
 }
 
 /**
- * Builds a safe S3 key: org/viaje/uuid/filename (no path traversal).
+ * Builds a safe object key: org/viaje/uuid/filename (no path traversal).
  * @param {string|number} organizationId
  * @param {string|number} viajeId
  * @param {string} fileName
@@ -61,7 +88,7 @@ function getBucketName() {
 function buildObjectKey(organizationId, viajeId, fileName, receiptId) {
   const safeOrg = String(organizationId).replace(/[^a-zA-Z0-9-_]/g, "");
   const safeViaje = String(viajeId).replace(/[^a-zA-Z0-9-_]/g, "");
-  const base = path.basename(String(fileName) || "file").replace(/[^a-zA-Z0-9._-]/g, "_");
+  const base = path.basename(String(fileName) || "file").replace(/[^a-zA-Z0-9._-]/g, "_").replace(/^\.+$/, "_");
   const id = randomUUID();
   const receiptRaw =
     receiptId !== null && receiptId !== undefined && String(receiptId).trim() !== ""
@@ -73,102 +100,108 @@ function buildObjectKey(organizationId, viajeId, fileName, receiptId) {
 }
 
 /**
- * Uploads a file to S3 with server-side encryption (SSE-S3, AES-256).
+ * Uploads a file with the organization's driver (S3 uploads use SSE-S3, AES-256).
  * @param {object} params
  * @param {Buffer|Uint8Array|string} params.body - File contents
  * @param {string|number} params.organizationId - Organization identifier
  * @param {string|number} params.viajeId - Trip identifier
  * @param {string} params.fileName - Original file name (basename is used)
  * @param {string} [params.contentType] - MIME type; defaults to application/octet-stream
- * @param {string|number} [params.receiptId] - Opcional: segmento de clave S3 alineado con comprobantes
- * @returns {Promise<{ key: string, bucket: string }>}
+ * @param {string|number} [params.receiptId] - Opcional: segmento de clave alineado con comprobantes
+ * @returns {Promise<{ key: string, bucket: string|undefined, driver: 's3'|'local' }>}
  */
 async function upload({ body, organizationId, viajeId, fileName, contentType, receiptId }) {
-  const client = createS3Client();
-  const bucket = getBucketName();
+  const driver = await getStorageDriver(organizationId);
   const key = buildObjectKey(organizationId, viajeId, fileName, receiptId);
-  await client.send(
-    new PutObjectCommand({
-      Bucket: bucket,
-      Key: key,
-      Body: body,
-      ContentType: contentType || "application/octet-stream",
-      ServerSideEncryption: "AES256"
-    })
-  );
-  return { key, bucket };
+  await driver.put({ key, body, contentType });
+  return { key, bucket: driver.location, driver: driver.name };
 }
 
 /**
  * Returns a pre-signed GET URL for downloading the object (15-minute TTL).
- * @param {string} key - Full S3 object key returned from upload
+ * @param {string} key - Full object key returned from upload
  * @returns {Promise<string>}
  */
 async function getPresignedUrl(key) {
-  const client = createS3Client();
-  const bucket = getBucketName();
-  const command = new GetObjectCommand({ Bucket: bucket, Key: key });
-  return getSignedUrl(client, command, { expiresIn: PRESIGNED_TTL_SECONDS });
+  const driver = await driverForKey(key);
+  return driver.presign(key, PRESIGNED_TTL_SECONDS);
 }
 
 /**
- * Deletes an object from the bucket.
- * @param {string} key - Full S3 object key
+ * Deletes an object.
+ * @param {string} key - Full object key
  * @returns {Promise<void>}
  */
 async function deleteObject(key) {
-  const client = createS3Client();
-  const bucket = getBucketName();
-  await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+  const driver = await driverForKey(key);
+  await driver.delete(key);
 }
 
 /**
- * Error thrown when an object key does not exist in the bucket.
+ * Object metadata without downloading it.
+ * @param {string} key - Full object key
+ * @returns {Promise<{ contentType: string|undefined, contentLength: number|undefined, lastModified: Date|undefined }>}
+ * @throws {StorageObjectNotFoundError} If the key does not exist
  */
-class StorageObjectNotFoundError extends Error {
-  /** @param {string} key */
-  constructor(key) {
-    super(`Object not found: ${key}`);
-    this.name = "StorageObjectNotFoundError";
-    this.code = "STORAGE_NOT_FOUND";
-    this.key = key;
-  }
+async function headObject(key) {
+  const driver = await driverForKey(key);
+  return driver.head(key);
 }
 
 /**
  * Returns a readable stream + metadata for an object so the backend can pipe the
  * raw bytes back to the client (preserves the byte-streaming download contract).
- * @param {string} key - Full S3 object key
+ * @param {string} key - Full object key
  * @returns {Promise<{ body: import('stream').Readable, contentType: string|undefined, contentLength: number|undefined }>}
  * @throws {StorageObjectNotFoundError} If the key does not exist
  */
 async function getObjectStream(key) {
-  const client = createS3Client();
-  const bucket = getBucketName();
-  try {
-    const res = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
-    return {
-      body: res.Body,
-      contentType: res.ContentType,
-      contentLength: res.ContentLength,
-    };
-  } catch (error) {
-    if (
-      error?.name === "NoSuchKey" ||
-      error?.Code === "NoSuchKey" ||
-      error?.$metadata?.httpStatusCode === 404
-    ) {
-      throw new StorageObjectNotFoundError(key);
-    }
-    throw error;
+  const driver = await driverForKey(key);
+  return driver.getStream(key);
+}
+
+/**
+ * Lists an organization's objects under a prefix relative to its key space (`{organizationId}/{prefix}`).
+ * @param {string|number|bigint} organizationId
+ * @param {string} prefix - e.g. `hr-roster/`
+ * @returns {Promise<Array<{ key: string, contentLength: number|undefined, lastModified: Date|undefined }>>}
+ */
+async function listObjects(organizationId, prefix) {
+  const safeOrg = String(organizationId).replace(/[^a-zA-Z0-9-_]/g, "");
+  const safePrefix = String(prefix ?? "").replace(/^\/+/, "").split("/").filter((s) => s !== "..").join("/");
+  const driver = await getStorageDriver(organizationId);
+  return driver.list(`${safeOrg}/${safePrefix}`);
+}
+
+/**
+ * Opens an object from a signed local download URL. Only objects stored by the local driver
+ * are reachable this way.
+ * @param {string} key
+ * @param {string|number} expires
+ * @param {string} signature
+ * @returns {Promise<{ body: import('stream').Readable, contentType: string|undefined, contentLength: number|undefined }>}
+ * @throws {StorageSignatureError} If the URL is expired or tampered with
+ * @throws {StorageObjectNotFoundError} If the key does not exist
+ */
+async function openSignedLocalDownload(key, expires, signature) {
+  verifyLocalSignature(key, expires, signature);
+  const driver = await driverForKey(key);
+  if (driver.name !== "local") {
+    throw new StorageObjectNotFoundError(key);
   }
+  return driver.getStream(key);
 }
 
 export {
   upload,
   getPresignedUrl,
   getObjectStream,
+  headObject,
   deleteObject,
+  listObjects,
+  openSignedLocalDownload,
+  getStorageDriver,
   StorageObjectNotFoundError,
+  StorageSignatureError,
   PRESIGNED_TTL_SECONDS,
 };
@@ -0,0 +1,61 @@
+/**
+ * @module travelAgentService
+ * @description Atención de la agencia de viajes: avanza la solicitud de "Atención Agencia" al
+ * siguiente estatus por la máquina de estados. La usan el endpoint manual y la emisión de boletos.
+ */
+import TravelAgent from "../models/travelAgentModel.js";
+import { Mail } from "./email/mail.cjs";
+import mailData from "./email/mailData.js";
+import { emitRequestUpdated, emitSafe } from "./requestEventService.js";
+import {
+  REQUEST_ACTIONS,
+  resolveTransition,
+  runTransitionSideEffects,
+} from "./requestStateMachine.js";
+
+/**
+ * Resuelve y aplica la transición `attend_agency`, corre sus efectos, avisa por correo al
+ * solicitante y publica el cambio.
+ * @param {number|string} requestId
+ * @param {{ actorUserId?: number|null, permissionSet?: Set<string> }} actor
+ * @returns {Promise<{ requestId: number, newStatus: number }>}
+ * @throws {{ status: number, message: string }} 404 si no existe; IllegalTransitionError si no aplica
+ */
+export async function attendTravelRequest(requestId, { actorUserId = null, permissionSet } = {}) {
+  const request = await TravelAgent.getRequestWorkflowState(requestId);
+  if (!request) {
+    throw { status: 404, message: "Travel request not found" };
+  }
+
+  const transition = await resolveTransition({
+    organizationId: request.organizationId,
+    fromStatusId: request.requestStatusId,
+    action: REQUEST_ACTIONS.ATTEND_AGENCY,
+    actorUserId,
+    permissionSet,
+  });
+
+  const updated = await TravelAgent.attendTravelRequest(requestId, transition.toStatusId);
+  if (!updated) {
+    throw { status: 400, message: "Failed to update travel request status" };
+  }
+  await runTransitionSideEffects(requestId, transition);
+
+  try {
+    const { user_email, user_name, request_id, status } = await mailData(requestId);
+    await Mail(user_email, user_name, request_id, status);
+  } catch (mailErr) {
+    console.warn(
+      "[attendTravelRequest / travel-agent] Estado actualizado; correo no enviado:",
+      mailErr?.message || mailErr
+    );
+  }
+
+  await emitSafe(() => emitRequestUpdated(requestId, { actorUserId }));
+
+  return { requestId: Number(requestId), newStatus: transition.toStatusId };
+}
+
+export default {
+  attendTravelRequest,
+};
@@ -0,0 +1,274 @@
+/**
+ * @module travelerProfileService
+ * @description Perfil de viajero por usuario: nombre legal como en la identificación, fecha de
+ * nacimiento, pasaporte, números de viajero conocido, programas de lealtad de aerolínea y hotel, y
+ * preferencias de asiento y comida. Los datos de identidad se guardan cifrados con el mismo AES
+ * que el email y teléfono del usuario (middleware/decryption.js). La búsqueda y la reserva de
+ * vuelos prellenan pasajeros desde aquí y avisan si el pasaporte vence cerca del viaje.
+ */
+import prisma from "../database/config/prisma.js";
+import { encrypt, decrypt } from "../middleware/decryption.js";
+import { PASSPORT_VALIDITY_MONTHS } from "../config/travelerProfile.js";
+
+/** Campos de identidad que Duffel exige para apartar. */
+const REQUIRED_FOR_BOOKING = ["legal_given_name", "legal_family_name", "date_of_birth", "gender", "title", "phone_number"];
+
+/**
+ * @typedef {Object} TravelerProfile
+ * @property {string|null} legal_given_name
+ * @property {string|null} legal_family_name
+ * @property {string|null} date_of_birth - YYYY-MM-DD
+ * @property {"m"|"f"|null} gender
+ * @property {string|null} title - mr | ms | mrs | miss | dr
+ * @property {string|null} phone_number - E.164
+ * @property {{ number: string, issuing_country: string, nationality?: string|null, expires_on: string }|null} passport
+ * @property {Array<{ country: string, number: string }>} known_traveler_numbers
+ * @property {Array<{ airline_iata: string, number: string }>} airline_loyalty
+ * @property {Array<{ chain: string, number: string }>} hotel_loyalty
+ * @property {string|null} seat_preference
+ * @property {string|null} meal_preference
+ * @property {Date|null} [updated_at]
+ */
+
+/**
+ * @param {*} value
+ * @returns {string|null}
+ */
+function textOrNull(value) {
+  const text = value === undefined || value === null ? "" : String(value).trim();
+  return text || null;
+}
+
+/**
+ * Normaliza el cuerpo de PUT (ya validado por validateTravelerProfile) a la forma almacenada.
+ * @param {object} input
+ * @returns {Omit<TravelerProfile, "seat_preference"|"meal_preference"|"updated_at">}
+ */
+function normalizeIdentity(input) {
+  const passport = input.passport && textOrNull(input.passport.number)
+    ? {
+      number: String(input.passport.number).trim().toUpperCase(),
+      issuing_country: String(input.passport.issuing_country).trim().toUpperCase(),
+      nationality: textOrNull(input.passport.nationality)?.toUpperCase() ?? null,
+      expires_on: String(input.passport.expires_on).slice(0, 10),
+    }
+    : null;
+  return {
+    legal_given_name: textOrNull(input.legal_given_name),
+    legal_family_name: textOrNull(input.legal_family_name),
+    date_of_birth: textOrNull(input.date_of_birth)?.slice(0, 10) ?? null,
+    gender: textOrNull(input.gender),
+    title: textOrNull(input.title),
+    phone_number: textOrNull(input.phone_number),
+    passport,
+    known_traveler_numbers: (input.known_traveler_numbers ?? []).map((k) => ({
+      country: String(k.country).trim().toUpperCase(),
+      number: String(k.number).trim(),
+    })),
+    airline_loyalty: (input.airline_loyalty ?? []).map((l) => ({
+      airline_iata: String(l.airline_iata).trim().toUpperCase(),
+      number: String(l.number).trim(),
+    })),
+    hotel_loyalty: (input.hotel_loyalty ?? []).map((l) => ({
+      chain: String(l.chain).trim(),
+      number: String(l.number).trim(),
+    })),
+  };
+}
+
+/**
+ * @param {object|null} row - Fila de traveler_profiles
+ * @returns {TravelerProfile|null}
+ */
+function rowToProfile(row) {
+  if (!row) return null;
+  let identity;
+  try {
+    identity = JSON.parse(decrypt(row.encryptedData));
+  } catch (err) {
+    console.error(`travelerProfileService: no se pudo descifrar el perfil del usuario ${row.userId}:`, err.message);
+    throw { status: 500, message: "No se pudo leer el perfil de viajero" };
+  }
+  return {
+    ...identity,
+    seat_preference: row.seatPreference ?? null,
+    meal_preference: row.mealPreference ?? null,
+    updated_at: row.updatedAt ?? null,
+  };
+}
+
+/**
+ * @param {number} userId
+ * @returns {Promise<TravelerProfile|null>}
+ */
+export async function getTravelerProfile(userId) {
+  const row = await prisma.travelerProfile.findUnique({ where: { userId: Number(userId) } });
+  return rowToProfile(row);
+}
+
+/**
+ * Reemplaza el perfil completo del usuario (PUT).
+ * @param {number} userId
+ * @param {bigint|number|string} organizationId
+ * @param {object} input - Cuerpo validado por validateTravelerProfile
+ * @returns {Promise<TravelerProfile>}
+ */
+export async function upsertTravelerProfile(userId, organizationId, input) {
+  const encryptedData = encrypt(JSON.stringify(normalizeIdentity(input)));
+  const data = {
+    encryptedData,
+    seatPreference: textOrNull(input.seat_preference),
+    mealPreference: textOrNull(input.meal_preference)?.toUpperCase() ?? null,
+  };
+  const row = await prisma.travelerProfile.upsert({
+    where: { userId: Number(userId) },
+    create: { userId: Number(userId), organizationId: BigInt(organizationId), ...data },
+    update: data,
+  });
+  return rowToProfile(row);
+}
+
+/**
+ * @param {Date} date
+ * @param {number} months
+ * @returns {Date}
+ */
+function addMonths(date, months) {
+  const d = new Date(date.getTime());
+  d.setUTCMonth(d.getUTCMonth() + months);
+  return d;
+}
+
+/**
+ * Avisos de pasaporte frente a la fecha de viaje (la de regreso si existe).
+ * @param {TravelerProfile|null} profile
+ * @param {Date|string|null} travelDate
+ * @returns {Array<{ code: string, message: string }>}
+ */
+export function passportWarnings(profile, travelDate) {
+  const expiresOn = profile?.passport?.expires_on;
+  if (!expiresOn || !travelDate) return [];
+  const expires = new Date(`${expiresOn}T00:00:00Z`);
+  const travel = new Date(travelDate);
+  if (Number.isNaN(expires.getTime()) || Number.isNaN(travel.getTime())) return [];
+
+  if (expires < travel) {
+    return [{ code: "PASSPORT_EXPIRED", message: `El pasaporte vence el ${expiresOn}, antes del viaje.` }];
+  }
+  if (expires < addMonths(travel, PASSPORT_VALIDITY_MONTHS)) {
+    return [{
+      code: "PASSPORT_EXPIRES_SOON",
+      message: `El pasaporte vence el ${expiresOn}, a menos de ${PASSPORT_VALIDITY_MONTHS} meses del viaje; varios destinos lo rechazan.`,
+    }];
+  }
+  return [];
+}
+
+/**
+ * Pasajero para el proveedor de vuelos a partir del usuario y su perfil.
+ * @param {{ userName: string, email: string, phoneNumber?: string|null }} user - email/teléfono ya descifrados
+ * @param {TravelerProfile|null} profile
+ * @returns {{ passenger: import("./flightProvider.js").BookingPassenger, missing: string[] }}
+ */
+export function buildBookingPassenger(user, profile) {
+  const userPhone = textOrNull(user.phoneNumber);
+  const phone = profile?.phone_number ?? (userPhone?.startsWith("+") ? userPhone : null);
+  const passenger = {
+    givenName: profile?.legal_given_name ?? null,
+    familyName: profile?.legal_family_name ?? null,
+    email: user.email,
+    ...(profile?.date_of_birth ? { bornOn: profile.date_of_birth } : {}),
+    ...(profile?.gender ? { gender: profile.gender } : {}),
+    ...(profile?.title ? { title: profile.title } : {}),
+    ...(phone ? { phoneNumber: phone } : {}),
+    ...(profile?.passport
+      ? {
+        identityDocument: {
+          type: "passport",
+          uniqueIdentifier: profile.passport.number,
+          issuingCountryCode: profile.passport.issuing_country,
+          expiresOn: profile.passport.expires_on,
+        },
+      }
+      : {}),
+    ...(profile?.airline_loyalty?.length
+      ? {
+        loyaltyProgrammeAccounts: profile.airline_loyalty.map((l) => ({
+          airlineIataCode: l.airline_iata,
+          accountNumber: l.number,
+        })),
+      }
+      : {}),
+  };
+  const missing = REQUIRED_FOR_BOOKING.filter((field) => {
+    if (field === "phone_number") return !phone;
+    return !profile?.[field];
+  });
+  return { passenger, missing };
+}
+
+/**
+ * Fecha de viaje de la solicitud para validar el pasaporte: fin del viaje o última fecha de tramo.
+ * @param {{ tripEndDate?: Date|null, routeRequests?: Array<{ route: { beginningDate?: Date|null, endingDate?: Date|null }|null }> }} request
+ * @returns {Date|null}
+ */
+function requestTravelDate(request) {
+  if (request.tripEndDate) return request.tripEndDate;
+  const dates = (request.routeRequests ?? [])
+    .flatMap((rr) => [rr.route?.endingDate, rr.route?.beginningDate])
+    .filter(Boolean)
+    .map((d) => new Date(d).getTime());
+  return dates.length ? new Date(Math.max(...dates)) : null;
+}
+
+/**
+ * Prellenado del pasajero de una solicitud (su solicitante) para buscar y apartar vuelos.
+ * @param {number|string} requestId
+ * @param {{ travelDate?: Date|string|null }} [options] - Sobrescribe la fecha de viaje de la solicitud
+ * @returns {Promise<{ userId: number, passengers: import("./flightProvider.js").BookingPassenger[], preferences: { seat: string|null, meal: string|null, hotelLoyalty: Array<{ chain: string, number: string }> }, warnings: Array<{ code: string, message: string }>, missing: string[], hasProfile: boolean }>}
+ */
+export async function prefillPassengersForRequest(requestId, { travelDate } = {}) {
+  const request = await prisma.request.findUnique({
+    where: { requestId: Number(requestId) },
+    select: {
+      tripEndDate: true,
+      user: { select: { userId: true, userName: true, email: true, phoneNumber: true } },
+      routeRequests: { select: { route: { select: { beginningDate: true, endingDate: true } } } },
+    },
+  });
+  if (!request) throw { status: 404, message: "Travel request not found" };
+  if (!request.user) throw { status: 409, message: "La solicitud no tiene solicitante" };
+
+  const user = {
+    ...request.user,
+    email: decrypt(request.user.email),
+    phoneNumber: decrypt(request.user.phoneNumber),
+  };
+  const profile = await getTravelerProfile(user.userId);
+  const { passenger, missing } = buildBookingPassenger(user, profile);
+  const warnings = passportWarnings(profile, travelDate ?? requestTravelDate(request));
+  if (!profile) {
+    warnings.push({ code: "PROFILE_MISSING", message: "El solicitante no tiene perfil de viajero." });
+  }
+
+  return {
+    userId: user.userId,
+    passengers: [passenger],
+    preferences: {
+      seat: profile?.seat_preference ?? null,
+      meal: profile?.meal_preference ?? null,
+      hotelLoyalty: profile?.hotel_loyalty ?? [],
+    },
+    warnings,
+    missing,
+    hasProfile: Boolean(profile),
+  };
+}
+
+export default {
+  getTravelerProfile,
+  upsertTravelerProfile,
+  passportWarnings,
+  buildBookingPassenger,
+  prefillPassengersForRequest,
+};
@@ -0,0 +1,590 @@
+/**
+ * @module walletLedgerService
+ * @description Monedero del empleado en partida doble. Cada movimiento (WalletEntry) tiene líneas
+ * que suman cero por moneda; el saldo sale de las líneas en ADVANCE y PAYABLE:
+ *   saldo del empleado = −(ADVANCE + PAYABLE)   (> 0: la empresa le debe; < 0: debe comprobar o devolver)
+ *
+ * Movimientos automáticos:
+ *   - ADVANCE_DISBURSED: al aprobarse la solicitud (póliza AV, requested_fee).   ADVANCE + / CASH −
+ *   - EXPENSE_PROVEN: al aprobar un comprobante reembolsable (póliza GV).        EXPENSE + / ADVANCE −
+ *   - ADVANCE_APPLIED: anticipo MXN aplicado a comprobantes en otra moneda, con el neteo y el tipo de
+ *     cambio de la liquidación.                                                  ADVANCE ∓ / CASH ± por moneda
+ *   - REIMBURSEMENT_OWED: al finalizar, si lo comprobado supera el anticipo.    ADVANCE + / PAYABLE −
+ * Liquidación (advanceSettlementService): REIMBURSEMENT_PAID (PAYABLE + / CASH −) o ADVANCE_REFUND.
+ * Manuales (tesorería): ADVANCE_REFUND (devolución de anticipo no gastado, CASH + / ADVANCE −) y
+ * ADJUSTMENT (ADJUSTMENT ∓ / PAYABLE ±).
+ */
+import { randomUUID } from "node:crypto";
+import { Prisma } from "@prisma/client";
+import prisma from "../database/config/prisma.js";
+
+const { Decimal } = Prisma;
+
+const MXN = "MXN";
+/** Cuentas que forman el saldo del empleado. */
+const BALANCE_ACCOUNTS = ["ADVANCE", "PAYABLE"];
+export const MANUAL_ENTRY_TYPES = Object.freeze(["ADVANCE_REFUND", "ADJUSTMENT"]);
+
+/**
+ * @typedef {Object} WalletLineInput
+ * @property {"ADVANCE"|"PAYABLE"|"CASH"|"EXPENSE"|"ADJUSTMENT"} account
+ * @property {import("@prisma/client").Prisma.Decimal|number|string} amount - positivo = cargo, negativo = abono
+ */
+
+/**
+ * @typedef {Object} WalletBalance
+ * @property {string} currency
+ * @property {import("@prisma/client").Prisma.Decimal} advance - anticipo pendiente de comprobar (deudor)
+ * @property {import("@prisma/client").Prisma.Decimal} payable - reembolso por pagar (acreedor, negativo)
+ * @property {import("@prisma/client").Prisma.Decimal} balance - saldo del empleado
+ */
+
+/**
+ * @param {*} value
+ * @returns {import("@prisma/client").Prisma.Decimal}
+ */
+const dec = (value) => new Decimal(value ?? 0).toDecimalPlaces(2);
+
+/**
+ * @param {*} err
+ * @returns {boolean}
+ */
+const isUniqueViolation = (err) =>
+  err instanceof Prisma.PrismaClientKnownRequestError && err.code === "P2002";
+
+/**
+ * Registra un movimiento. Idempotente por `sourceKey`: si ya existe devuelve el existente.
+ * @param {Object} input
+ * @param {bigint|number|string} input.organizationId
+ * @param {number} input.userId
+ * @param {number|null} [input.requestId]
+ * @param {"ADVANCE_DISBURSED"|"EXPENSE_PROVEN"|"ADVANCE_APPLIED"|"REIMBURSEMENT_OWED"|"REIMBURSEMENT_PAID"|"ADVANCE_REFUND"|"ADJUSTMENT"} input.entryType
+ * @param {"AV"|"GV"|null} [input.polizaDocType]
+ * @param {number|null} [input.anticipoSnapshotId]
+ * @param {number|null} [input.receiptId]
+ * @param {string} input.sourceKey
+ * @param {string|null} [input.memo]
+ * @param {number|null} [input.createdById]
+ * @param {string} [input.currency]
+ * @param {WalletLineInput[]} input.lines
+ * @returns {Promise<Object>} WalletEntry con `lines`
+ * @throws {{ status: 400, message: string }} Si las líneas no cuadran
+ */
+export async function postEntry({
+  organizationId,
+  userId,
+  requestId = null,
+  entryType,
+  polizaDocType = null,
+  anticipoSnapshotId = null,
+  receiptId = null,
+  sourceKey,
+  memo = null,
+  createdById = null,
+  currency = MXN,
+  lines,
+}) {
+  const cur = String(currency || MXN).toUpperCase();
+  const normalized = lines
+    .map((l) => ({ account: l.account, amount: dec(l.amount) }))
+    .filter((l) => !l.amount.isZero());
+  const total = normalized.reduce((acc, l) => acc.plus(l.amount), new Decimal(0));
+  if (normalized.length < 2 || !total.isZero()) {
+    throw { status: 400, message: "El movimiento del monedero debe tener al menos dos líneas que sumen cero" };
+  }
+
+  const orgId = BigInt(organizationId);
+  try {
+    return await prisma.walletEntry.create({
+      data: {
+        organizationId: orgId,
+        userId: Number(userId),
+        requestId: requestId === null ? null : Number(requestId),
+        entryType,
+        polizaDocType,
+        anticipoSnapshotId,
+        receiptId,
+        sourceKey,
+        memo: memo ? String(memo).slice(0, 255) : null,
+        createdById,
+        lines: {
+          create: normalized.map((l) => ({
+            organizationId: orgId,
+            userId: Number(userId),
+            account: l.account,
+            amount: l.amount,
+            currency: cur,
+          })),
+        },
+      },
+      include: { lines: true },
+    });
+  } catch (err) {
+    if (isUniqueViolation(err)) {
+      return prisma.walletEntry.findUnique({ where: { sourceKey }, include: { lines: true } });
+    }
+    throw err;
+  }
+}
+
+/**
+ * Anticipo entregado al aprobarse la solicitud (requested_fee, póliza AV).
+ * @param {number} requestId
+ * @param {{ anticipoSnapshotId?: number|null }} [ref]
+ * @returns {Promise<Object|null>} null si la solicitud no tiene anticipo
+ */
+export async function recordAdvanceDisbursed(requestId, { anticipoSnapshotId = null } = {}) {
+  const request = await prisma.request.findUnique({
+    where: { requestId: Number(requestId) },
+    select: { requestId: true, organizationId: true, userId: true, requestedFee: true },
+  });
+  const amount = dec(request?.requestedFee);
+  if (!request?.userId || amount.lte(0)) return null;
+
+  return postEntry({
+    organizationId: request.organizationId,
+    userId: request.userId,
+    requestId: request.requestId,
+    entryType: "ADVANCE_DISBURSED",
+    polizaDocType: "AV",
+    anticipoSnapshotId,
+    sourceKey: `advance:${request.requestId}`,
+    memo: `Anticipo solicitud #${request.requestId}`,
+    lines: [
+      { account: "ADVANCE", amount },
+      { account: "CASH", amount: amount.neg() },
+    ],
+  });
+}
+
+/**
+ * Gasto comprobado: comprobante aprobado que pagó el empleado (`refund = true`). Se registra en la
+ * moneda del CFDI; los pagados por la empresa no tocan el monedero.
+ * @param {number} receiptId
+ * @returns {Promise<Object|null>} null si el comprobante no aplica
+ */
+export async function recordExpenseProven(receiptId) {
+  const receipt = await prisma.receipt.findUnique({
+    where: { receiptId: Number(receiptId) },
+    select: {
+      receiptId: true,
+      requestId: true,
+      organizationId: true,
+      amount: true,
+      refund: true,
+      validation: true,
+      cfdiComprobante: { select: { moneda: true } },
+      request: { select: { userId: true } },
+    },
+  });
+  if (!receipt || receipt.validation !== "Aprobado" || !receipt.refund) return null;
+  const userId = receipt.request?.userId;
+  const amount = dec(receipt.amount);
+  if (!userId || amount.lte(0)) return null;
+
+  return postEntry({
+    organizationId: receipt.organizationId,
+    userId,
+    requestId: receipt.requestId,
+    entryType: "EXPENSE_PROVEN",
+    polizaDocType: "GV",
+    receiptId: receipt.receiptId,
+    sourceKey: `receipt:${receipt.receiptId}`,
+    memo: `Comprobante #${receipt.receiptId}`,
+    currency: receipt.cfdiComprobante?.moneda || MXN,
+    lines: [
+      { account: "EXPENSE", amount },
+      { account: "ADVANCE", amount: amount.neg() },
+    ],
+  });
+}
+
+/**
+ * Traslada el anticipo MXN a las monedas de los comprobantes tal como lo neteó la liquidación
+ * (advanceSettlementService): por cada liquidación en otra moneda sale `advanceBaseAmount` de
+ * ADVANCE en MXN y entra `advanceAmount` a ADVANCE en la moneda. Así el saldo de cada moneda es el
+ * neto de su liquidación. Idempotente por liquidación.
+ * @param {number} requestId
+ * @returns {Promise<Object[]>} Movimientos ADVANCE_APPLIED registrados
+ */
+export async function recordAdvanceApplied(requestId) {
+  const settlements = await prisma.advanceSettlement.findMany({
+    where: { requestId: Number(requestId), currency: { not: MXN } },
+    include: { request: { select: { userId: true } } },
+    orderBy: { currency: "asc" },
+  });
+  const posted = [];
+  for (const s of settlements) {
+    const applied = dec(s.advanceAmount);
+    const base = dec(s.advanceBaseAmount);
+    if (!s.request?.userId || applied.lte(0) || base.lte(0)) continue;
+    const entry = {
+      organizationId: s.organizationId,
+      userId: s.request.userId,
+      requestId: s.requestId,
+      entryType: "ADVANCE_APPLIED",
+      polizaDocType: "GV",
+      memo: `Anticipo aplicado a ${s.currency} solicitud #${s.requestId}`,
+    };
+    posted.push(await postEntry({
+      ...entry,
+      sourceKey: `advance-applied:${s.id}:${MXN}`,
+      currency: MXN,
+      lines: [
+        { account: "CASH", amount: base },
+        { account: "ADVANCE", amount: base.neg() },
+      ],
+    }));
+    posted.push(await postEntry({
+      ...entry,
+      sourceKey: `advance-applied:${s.id}`,
+      currency: s.currency,
+      lines: [
+        { account: "ADVANCE", amount: applied },
+        { account: "CASH", amount: applied.neg() },
+      ],
+    }));
+  }
+  return posted;
+}
+
+/**
+ * Al finalizar la comprobación: registra los comprobantes aprobados que falten y el anticipo
+ * aplicado a otras monedas y, por moneda, pasa a reembolso por pagar lo comprobado por encima del
+ * anticipo. El anticipo no gastado queda en ADVANCE hasta que tesorería registre la devolución.
+ * @param {number} requestId
+ * @returns {Promise<Object[]>} Movimientos REIMBURSEMENT_OWED registrados
+ */
+export async function recordReimbursementOwed(requestId) {
+  const request = await prisma.request.findUnique({
+    where: { requestId: Number(requestId) },
+    select: {
+      requestId: true,
+      organizationId: true,
+      userId: true,
+      receipts: { where: { validation: "Aprobado", refund: true }, select: { receiptId: true } },
+    },
+  });
+  if (!request?.userId) return [];
+  for (const r of request.receipts) {
+    await recordExpenseProven(r.receiptId);
+  }
+  await recordAdvanceApplied(request.requestId);
+
+  const sums = await prisma.walletLedgerLine.groupBy({
+    by: ["currency"],
+    where: { account: "ADVANCE", entry: { requestId: request.requestId } },
+    _sum: { amount: true },
+  });
+  const posted = [];
+  for (const row of sums) {
+    const advance = dec(row._sum.amount);
+    if (advance.gte(0)) continue;
+    const owed = advance.neg();
+    posted.push(await postEntry({
+      organizationId: request.organizationId,
+      userId: request.userId,
+      requestId: request.requestId,
+      entryType: "REIMBURSEMENT_OWED",
+      polizaDocType: "GV",
+      sourceKey: `reimbursement:${request.requestId}:${row.currency}`,
+      memo: `Reembolso solicitud #${request.requestId}`,
+      currency: row.currency,
+      lines: [
+        { account: "ADVANCE", amount: owed },
+        { account: "PAYABLE", amount: owed.neg() },
+      ],
+    }));
+  }
+  return posted;
+}
+
+/**
+ * Liquidación marcada por tesorería: reembolso pagado o anticipo cobrado, idempotente por liquidación.
+ * Antes registra el anticipo aplicado a otras monedas y, en un pago, el reembolso por pagar de la
+ * solicitud para que PAYABLE no quede deudor.
+ * @param {{ id: number, organizationId: bigint, requestId: number, currency: string, direction: string, amount: * }} settlement
+ * @param {{ userId: number, createdById?: number|null, reference?: string|null }} context
+ * @returns {Promise<Object|null>} null si la liquidación no mueve dinero (BALANCED)
+ */
+export async function recordSettlement(settlement, { userId, createdById = null, reference = null }) {
+  const amount = dec(settlement.amount);
+  if (amount.lte(0) || settlement.direction === "BALANCED") return null;
+  const companyOwes = settlement.direction === "COMPANY_OWES";
+  if (companyOwes) await recordReimbursementOwed(settlement.requestId);
+  else await recordAdvanceApplied(settlement.requestId);
+
+  return postEntry({
+    organizationId: settlement.organizationId,
+    userId,
+    requestId: settlement.requestId,
+    entryType: companyOwes ? "REIMBURSEMENT_PAID" : "ADVANCE_REFUND",
+    polizaDocType: "GV",
+    sourceKey: `settlement:${settlement.id}`,
+    memo: `${companyOwes ? "Reembolso pagado" : "Anticipo devuelto"} solicitud #${settlement.requestId}` +
+      (reference ? ` (${reference})` : ""),
+    createdById,
+    currency: settlement.currency,
+    lines: companyOwes
+      ? [{ account: "PAYABLE", amount }, { account: "CASH", amount: amount.neg() }]
+      : [{ account: "CASH", amount }, { account: "ADVANCE", amount: amount.neg() }],
+  });
+}
+
+/**
+ * Movimiento manual de tesorería.
+ *   - ADVANCE_REFUND: el empleado devolvió anticipo no gastado (`amount` > 0).
+ *   - ADJUSTMENT: `amount` > 0 abona al empleado (la empresa le debe más); < 0 le carga.
+ * @param {Object} input
+ * @param {bigint|number|string} input.organizationId
+ * @param {number} input.userId
+ * @param {"ADVANCE_REFUND"|"ADJUSTMENT"} input.entryType
+ * @param {number|string} input.amount
+ * @param {string} [input.currency]
+ * @param {number|null} [input.requestId]
+ * @param {string} input.memo
+ * @param {number|null} [input.createdById]
+ * @returns {Promise<Object>}
+ * @throws {{ status: number, message: string }} 400 monto inválido, 404 empleado o solicitud ajenos
+ */
+export async function recordManualEntry({
+  organizationId,
+  userId,
+  entryType,
+  amount,
+  currency = MXN,
+  requestId = null,
+  memo,
+  createdById = null,
+}) {
+  if (!MANUAL_ENTRY_TYPES.includes(entryType)) {
+    throw { status: 400, message: `type debe ser uno de ${MANUAL_ENTRY_TYPES.join(", ")}` };
+  }
+  const value = dec(amount);
+  if (value.isZero() || (entryType === "ADVANCE_REFUND" && value.lt(0))) {
+    throw { status: 400, message: "amount inválido para el movimiento" };
+  }
+
+  const orgId = BigInt(organizationId);
+  const user = await prisma.user.findFirst({
+    where: { userId: Number(userId), organizationId: orgId },
+    select: { userId: true },
+  });
+  if (!user) throw { status: 404, message: "Empleado no encontrado en la organización" };
+  if (requestId !== null) {
+    const request = await prisma.request.findFirst({
+      where: { requestId: Number(requestId), userId: user.userId, organizationId: orgId },
+      select: { requestId: true },
+    });
+    if (!request) throw { status: 404, message: "La solicitud no pertenece al empleado" };
+  }
+
+  const lines = entryType === "ADVANCE_REFUND"
+    ? [{ account: "CASH", amount: value }, { account: "ADVANCE", amount: value.neg() }]
+    : [{ account: "ADJUSTMENT", amount: value }, { account: "PAYABLE", amount: value.neg() }];
+
+  return postEntry({
+    organizationId: orgId,
+    userId: user.userId,
+    requestId,
+    entryType,
+    polizaDocType: entryType === "ADVANCE_REFUND" ? "AV" : null,
+    sourceKey: `manual:${randomUUID()}`,
+    memo,
+    createdById,
+    currency,
+    lines,
+  });
+}
+
+/**
+ * @param {Array<{ currency: string, account: string, _sum: { amount: * } }>} rows
+ * @returns {WalletBalance[]}
+ */
+function toBalances(rows) {
+  const byCurrency = new Map();
+  for (const row of rows) {
+    const b = byCurrency.get(row.currency)
+      ?? { currency: row.currency, advance: new Decimal(0), payable: new Decimal(0) };
+    if (row.account === "ADVANCE") b.advance = b.advance.plus(dec(row._sum.amount));
+    if (row.account === "PAYABLE") b.payable = b.payable.plus(dec(row._sum.amount));
+    byCurrency.set(row.currency, b);
+  }
+  return [...byCurrency.values()]
+    .map((b) => ({ ...b, balance: new Decimal(0).minus(b.advance).minus(b.payable) }))
+    .sort((a, b) => a.currency.localeCompare(b.currency));
+}
+
+/**
+ * Montos como número para las respuestas JSON (Decimal(14,2) cabe sin pérdida en un double).
+ * @param {WalletBalance} b
+ * @returns {{ currency: string, advance: number, payable: number, balance: number }}
+ */
+const plainBalance = (b) => ({
+  currency: b.currency,
+  advance: b.advance.toNumber(),
+  payable: b.payable.toNumber(),
+  balance: b.balance.toNumber(),
+});
+
+/**
+ * Saldo del empleado por moneda.
+ * @param {number} userId
+ * @returns {Promise<WalletBalance[]>}
+ */
+export async function getUserBalances(userId) {
+  const rows = await prisma.walletLedgerLine.groupBy({
+    by: ["currency", "account"],
+    where: { userId: Number(userId), account: { in: BALANCE_ACCOUNTS } },
+    _sum: { amount: true },
+  });
+  return toBalances(rows);
+}
+
+/**
+ * Resumen numérico para las vistas que antes leían `User.wallet`: saldo MXN (0 sin movimientos) y
+ * saldo por moneda.
+ * @param {number} userId
+ * @returns {Promise<{ balance: number, balances: Array<{ currency: string, balance: number }> }>}
+ */
+export async function getUserWalletSummary(userId) {
+  const balances = await getUserBalances(userId);
+  const mxn = balances.find((b) => b.currency === MXN);
+  return {
+    balance: mxn ? mxn.balance.toNumber() : 0,
+    balances: balances.map((b) => ({ currency: b.currency, balance: b.balance.toNumber() })),
+  };
+}
+
+/**
+ * @param {{ from?: string|Date|null, to?: string|Date|null }} range
+ * @returns {Object|undefined}
+ */
+function createdAtFilter({ from = null, to = null }) {
+  if (!from && !to) return undefined;
+  return {
+    ...(from ? { gte: new Date(from) } : {}),
+    ...(to ? { lte: new Date(to) } : {}),
+  };
+}
+
+/**
+ * Estado de cuenta del empleado: movimientos con su efecto en el saldo y saldo acumulado por moneda.
+ * El saldo inicial considera los movimientos anteriores a `from`.
+ * @param {number} userId
+ * @param {{ from?: string|Date|null, to?: string|Date|null, requestId?: number|null }} [filters]
+ * @returns {Promise<{ userId: number, openingBalances: Object[], entries: Object[], balances: Object[] }>}
+ */
+export async function getUserStatement(userId, { from = null, to = null, requestId = null } = {}) {
+  const uid = Number(userId);
+  const openingRows = from && requestId === null
+    ? await prisma.walletLedgerLine.groupBy({
+      by: ["currency", "account"],
+      where: { userId: uid, account: { in: BALANCE_ACCOUNTS }, entry: { createdAt: { lt: new Date(from) } } },
+      _sum: { amount: true },
+    })
+    : [];
+  const openingBalances = toBalances(openingRows);
+
+  const entries = await prisma.walletEntry.findMany({
+    where: {
+      userId: uid,
+      ...(requestId !== null ? { requestId: Number(requestId) } : {}),
+      ...(createdAtFilter({ from, to }) ? { createdAt: createdAtFilter({ from, to }) } : {}),
+    },
+    include: { lines: true },
+    orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+  });
+
+  const running = new Map(openingBalances.map((b) => [b.currency, b.balance]));
+  const rows = entries.map((e) => {
+    const currency = e.lines[0]?.currency ?? MXN;
+    const effect = e.lines
+      .filter((l) => BALANCE_ACCOUNTS.includes(l.account))
+      .reduce((acc, l) => acc.minus(dec(l.amount)), new Decimal(0));
+    const balance = (running.get(currency) ?? new Decimal(0)).plus(effect);
+    running.set(currency, balance);
+    return {
+      entryId: e.id.toString(),
+      date: e.createdAt,
+      type: e.entryType,
+      requestId: e.requestId,
+      receiptId: e.receiptId,
+      poliza: e.polizaDocType ? { docType: e.polizaDocType, anticipoSnapshotId: e.anticipoSnapshotId } : null,
+      memo: e.memo,
+      currency,
+      amount: effect.toNumber(),
+      balance: balance.toNumber(),
+      lines: e.lines.map((l) => ({ account: l.account, amount: dec(l.amount).toNumber() })),
+    };
+  });
+
+  return {
+    userId: uid,
+    openingBalances: openingBalances.map(plainBalance),
+    entries: rows,
+    balances: [...running.entries()]
+      .map(([currency, balance]) => ({ currency, balance: balance.toNumber() }))
+      .sort((a, b) => a.currency.localeCompare(b.currency)),
+  };
+}
+
+/**
+ * Estado de cuenta de la organización: saldo por empleado y moneda, y totales (anticipos por
+ * comprobar y reembolsos por pagar).
+ * @param {bigint|number|string} organizationId
+ * @param {{ to?: string|Date|null }} [filters] - corte (default: ahora)
+ * @returns {Promise<{ organizationId: string, employees: Object[], totals: Object[] }>}
+ */
+export async function getOrganizationStatement(organizationId, { to = null } = {}) {
+  const orgId = BigInt(organizationId);
+  const rows = await prisma.walletLedgerLine.groupBy({
+    by: ["userId", "currency", "account"],
+    where: {
+      organizationId: orgId,
+      account: { in: BALANCE_ACCOUNTS },
+      ...(to ? { entry: { createdAt: { lte: new Date(to) } } } : {}),
+    },
+    _sum: { amount: true },
+  });
+
+  const byUser = new Map();
+  for (const row of rows) {
+    const list = byUser.get(row.userId) ?? [];
+    list.push(row);
+    byUser.set(row.userId, list);
+  }
+  const users = byUser.size
+    ? await prisma.user.findMany({
+      where: { userId: { in: [...byUser.keys()] } },
+      select: { userId: true, userName: true, noEmpleado: true },
+    })
+    : [];
+  const names = new Map(users.map((u) => [u.userId, u]));
+
+  const employees = [...byUser.entries()]
+    .map(([userId, list]) => ({
+      userId,
+      userName: names.get(userId)?.userName ?? null,
+      noEmpleado: names.get(userId)?.noEmpleado ?? null,
+      balances: toBalances(list).map(plainBalance),
+    }))
+    .sort((a, b) => a.userId - b.userId);
+
+  return { organizationId: orgId.toString(), employees, totals: toBalances(rows).map(plainBalance) };
+}
+
+export default {
+  postEntry,
+  recordAdvanceDisbursed,
+  recordExpenseProven,
+  recordAdvanceApplied,
+  recordReimbursementOwed,
+  recordSettlement,
+  recordManualEntry,
+  getUserBalances,
+  getUserWalletSummary,
+  getUserStatement,
+  getOrganizationStatement,
+  MANUAL_ENTRY_TYPES,
+};
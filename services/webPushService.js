@@ -2,9 +2,9 @@
  * @module webPushService
  * @description Web Push notification sender using the web-push library (M3-006).
  * Uses VAPID keys from environment variables. No third-party service required.
+ * Deliveries go through the notification outbox (retries, status and pruning of dead endpoints).
  */
 import webpush from "web-push";
-import prisma from "../database/config/prisma.js";
 
 const VAPID_PUBLIC = process.env.VAPID_PUBLIC_KEY || "";
 const VAPID_PRIVATE = process.env.VAPID_PRIVATE_KEY || "";
@@ -15,51 +15,37 @@ if (VAPID_PUBLIC && VAPID_PRIVATE) {
 }
 
 /**
- * Sends a push notification to all registered browser subscriptions for a user.
+ * Whether VAPID keys are configured (without them no push can be delivered).
  *
- * @param {number} userId - Target user ID
- * @param {string} message - Notification body text
- * @returns {Promise<void>}
+ * @returns {boolean}
  */
-export async function sendPushToUser(userId, message) {
-  if (!VAPID_PUBLIC || !VAPID_PRIVATE) {
-    console.warn("VAPID keys not configured — skipping web push");
-    return;
-  }
-
-  const subscriptions = await prisma.pushSubscription.findMany({
-    where: { userId },
-  });
+export function isPushConfigured() {
+  return Boolean(VAPID_PUBLIC && VAPID_PRIVATE);
+}
 
+/**
+ * Sends one push notification to one browser subscription. Failures from the push service are
+ * rethrown as-is (`statusCode` 404/410 means the subscription no longer exists) so the
+ * notification outbox can decide whether to retry or prune it.
+ *
+ * @param {{ endpoint: string, p256dh: string, auth: string }} subscription - PushSubscription record
+ * @param {string} message - Notification body text
+ * @returns {Promise<{ statusCode: number, messageId: string|null }>} messageId is the push service Location header
+ */
+export async function sendPushNotification(subscription, message) {
   const payload = JSON.stringify({
     title: "CocoAPI — Nueva notificación",
     body: message,
     icon: "/Logo.svg",
   });
-
-  const results = await Promise.allSettled(
-    subscriptions.map((sub) =>
-      webpush.sendNotification(
-        {
-          endpoint: sub.endpoint,
-          keys: { p256dh: sub.p256dh, auth: sub.auth },
-        },
-        payload
-      )
-    )
+  const result = await webpush.sendNotification(
+    {
+      endpoint: subscription.endpoint,
+      keys: { p256dh: subscription.p256dh, auth: subscription.auth },
+    },
+    payload
   );
-
-  // Clean up expired/invalid subscriptions (410 Gone)
-  for (let i = 0; i < results.length; i++) {
-    if (results[i].status === "rejected") {
-      const err = results[i].reason;
-      if (err?.statusCode === 410 || err?.statusCode === 404) {
-        await prisma.pushSubscription.delete({
-          where: { id: subscriptions[i].id },
-        }).catch(() => {});
-      }
-    }
-  }
+  return { statusCode: result?.statusCode ?? 201, messageId: result?.headers?.location ?? null };
 }
 
 /**
@@ -1,168 +1,50 @@
 /**
  * @module workflowNotificationService
- * @description Notificaciones de workflow (US-20): in-app (campana) + email según plantillas y preferencias.
+ * @description Notificaciones de workflow (US-20): arma, según plantillas y preferencias, las
+ * entregas in-app, web push y correo de cada evento. No envía nada: el worker del outbox
+ * (notificationOutboxService) guarda lo que regresan estas funciones y lo entrega con reintentos.
+ * Las plantillas, la cadena de locales y el layout HTML viven en notificationTemplateService.
  */
 import prisma from "../database/config/prisma.js";
-import { decrypt } from "../middleware/decryption.js";
-import { createNotification } from "./notificationService.js";
-import { Mail } from "./email/mail.cjs";
-
-const DEFAULT_LOCALE = "es-MX";
-
-/** Mensajes por defecto si la org aún no tiene plantilla INAPP/EMAIL en BD. */
-const FALLBACK_TEMPLATES = {
-  "request.submitted": {
-    INAPP: "Tu solicitud #{{requestId}} fue enviada para revisión.",
-    EMAIL: {
-      subject: "Tu solicitud de viáticos fue enviada",
-      body: "Hola {{userName}}, tu solicitud #{{requestId}} fue enviada para revisión.",
-    },
-  },
-  "request.approved": {
-    INAPP: "Tu solicitud #{{requestId}} fue aprobada por {{approverName}}.",
-    EMAIL: {
-      subject: "Tu solicitud fue aprobada",
-      body: "Tu solicitud #{{requestId}} fue aprobada por {{approverName}}.",
-    },
-  },
-  "request.rejected": {
-    INAPP: "Tu solicitud #{{requestId}} fue rechazada. Motivo: {{reason}}.",
-    EMAIL: {
-      subject: "Tu solicitud fue rechazada",
-      body: "Tu solicitud #{{requestId}} fue rechazada. Motivo: {{reason}}.",
-    },
-  },
-  "request.escalated": {
-    INAPP: "La solicitud #{{requestId}} de {{userName}} requiere tu aprobación (N2).",
-    EMAIL: {
-      subject: "Solicitud escalada — requiere tu aprobación",
-      body:
-        "Hola {{approverName}}, la solicitud #{{requestId}} de {{userName}} fue escalada y requiere tu revisión.",
-    },
-  },
-  "request.awaiting_approval": {
-    INAPP: "Nueva solicitud #{{requestId}} de {{userName}} pendiente de tu aprobación.",
-    EMAIL: {
-      subject: "Nueva solicitud de viáticos pendiente de aprobación",
-      body:
-        "Hola {{approverName}}, tienes una nueva solicitud #{{requestId}} de {{userName}} pendiente de revisión.",
-    },
-  },
-};
-
-/**
- * @param {string} template
- * @param {Record<string, string|number>} vars
- * @returns {string}
- */
-function renderTemplate(template, vars) {
-  let out = template;
-  for (const [key, value] of Object.entries(vars)) {
-    out = out.replaceAll(`{{${key}}}`, String(value ?? ""));
-  }
-  return out;
-}
-
-/**
- * @param {bigint|number} organizationId
- * @param {string} code
- * @param {"EMAIL"|"INAPP"} channel
- * @returns {Promise<{ subject: string|null, body: string }|null>}
- */
-async function loadOrgTemplate(organizationId, code, channel) {
-  const row = await prisma.notificationTemplate.findFirst({
-    where: {
-      organizationId: BigInt(organizationId),
-      code,
-      channel,
-      locale: DEFAULT_LOCALE,
-    },
-    select: { subject: true, body: true },
-  });
-  if (!row?.body) return null;
-  return { subject: row.subject ?? null, body: row.body };
-}
-
-/**
- * @param {string} code
- * @param {"EMAIL"|"INAPP"} channel
- * @param {Record<string, string|number>} vars
- * @param {bigint|number|null} organizationId
- * @returns {{ subject: string|null, body: string }}
- */
-async function resolveMessage(code, channel, vars, organizationId) {
-  const fromDb =
-    organizationId != null
-      ? await loadOrgTemplate(organizationId, code, channel)
-      : null;
-  const fallback = FALLBACK_TEMPLATES[code]?.[channel];
-
-  if (channel === "EMAIL") {
-    const tpl = fromDb ?? fallback;
-    return {
-      subject: renderTemplate(tpl?.subject ?? "Notificación de viáticos", vars),
-      body: renderTemplate(tpl?.body ?? "", vars),
-    };
-  }
-
-  const bodyTpl =
-    fromDb?.body ??
-    (typeof fallback === "string" ? fallback : fallback?.body) ??
-    `Notificación: ${code}`;
-  return { subject: null, body: renderTemplate(bodyTpl, vars) };
-}
+import { REQUEST_STATUS } from "../config/requestStatus.js";
+import { resolveMessage, renderEmailHtml, REQUEST_CONTEXT_SELECT, requestTemplateVars } from "./notificationTemplateService.js";
+import { pushDeliveryDrafts } from "./notificationOutboxService.js";
 
 /**
+ * Borradores de entrega para un usuario (uno por canal habilitado; push, uno por suscripción).
  * @param {number} userId
  * @param {string} code
- * @param {Record<string, string|number>} vars
+ * @param {Record<string, unknown>} vars
  * @param {bigint|number|null} [organizationId]
+ * @returns {Promise<Object[]>} Filas para notification_deliveries (sin outboxId)
  */
-async function dispatchToUser(userId, code, vars, organizationId = null) {
+async function draftsForUser(userId, code, vars, organizationId = null) {
   const user = await prisma.user.findUnique({
     where: { userId: Number(userId) },
     include: { preference: true },
   });
-  if (!user) return;
+  if (!user) return [];
 
   const orgId = organizationId ?? user.organizationId;
+  const locale = user.preference?.locale ?? null;
   const emailEnabled = user.preference ? user.preference.emailNotif !== false : true;
   const appEnabled = user.preference ? user.preference.appNotif !== false : true;
-
-  if (appEnabled) {
-    const { body } = await resolveMessage(code, "INAPP", vars, orgId);
-    await createNotification(Number(userId), body);
+  const browserEnabled = user.preference ? user.preference.browserNotif !== false : true;
+  const base = { organizationId: BigInt(orgId), userId: Number(userId), templateCode: code };
+  const drafts = [];
+
+  if (appEnabled || browserEnabled) {
+    const { body } = await resolveMessage(code, "INAPP", vars, { organizationId: orgId, locale });
+    if (appEnabled) drafts.push({ ...base, channel: "INAPP", body });
+    if (browserEnabled) drafts.push(...await pushDeliveryDrafts({ ...base, body }));
   }
 
   if (emailEnabled) {
-    const { subject, body } = await resolveMessage(code, "EMAIL", vars, orgId);
-    let userEmail;
-    try {
-      userEmail = decrypt(user.email);
-    } catch {
-      console.warn(`workflowNotification: no se pudo desencriptar email userId=${userId}`);
-      return;
-    }
-    await Mail(userEmail, user.userName, vars.requestId ?? "", vars.status ?? "", {
-      userId: Number(userId),
-      customSubject: subject,
-      customHtml: wrapEmailHtml(user.userName, body),
-    });
+    const { subject, body, locale: templateLocale } = await resolveMessage(code, "EMAIL", vars, { organizationId: orgId, locale });
+    const html = await renderEmailHtml(orgId, { userName: user.userName, subject, body, locale: templateLocale });
+    drafts.push({ ...base, channel: "EMAIL", subject: subject ? subject.slice(0, 255) : null, body, html });
   }
-}
-
-/**
- * @param {string} userName
- * @param {string} bodyText
- * @returns {string}
- */
-function wrapEmailHtml(userName, bodyText) {
-  const safeBody = bodyText.replace(/\n/g, "<br/>");
-  return `
-    <p>Hola <strong>${userName}</strong>,</p>
-    <p>${safeBody}</p>
-    <p>Puedes ingresar al portal para revisar los detalles.</p>
-  `;
+  return drafts;
 }
 
 /**
@@ -178,44 +60,52 @@ function approverFromSnapshot(snapshot, tier) {
 }
 
 /**
- * Carga contexto mínimo de una solicitud para notificaciones.
+ * Aprobadores que esperan actuar: los pendientes del paso (varios en pasos paralelos o por
+ * quórum) o, en snapshots previos, el N1/N2 designado.
+ * @param {object|null} snapshot
+ * @param {1|2} tier
+ * @returns {number[]}
+ */
+function awaitingApprovers(snapshot, tier) {
+  if (Array.isArray(snapshot?.pendingApproverIds)) {
+    return snapshot.pendingApproverIds.map(Number);
+  }
+  const id = approverFromSnapshot(snapshot, tier);
+  return id ? [id] : [];
+}
+
+/**
+ * Carga la solicitud con lo que usan las plantillas (ruta, montos, organización).
  * @param {number} requestId
  */
 async function loadRequestContext(requestId) {
   return prisma.request.findUnique({
     where: { requestId: Number(requestId) },
-    select: {
-      requestId: true,
-      organizationId: true,
-      userId: true,
-      workflowPreSnapshot: true,
-      requestStatus: { select: { status: true } },
-      user: { select: { userName: true } },
-    },
+    select: REQUEST_CONTEXT_SELECT,
   });
 }
 
 /**
- * Notifica al aprobador N1 cuando se envía una solicitud.
+ * Aviso al aprobador N1 (o a los del paso) y al solicitante cuando se envía una solicitud.
  * @param {number} requestId
+ * @returns {Promise<Object[]>} Borradores de entrega
  */
 export async function notifyRequestSubmitted(requestId) {
   const ctx = await loadRequestContext(requestId);
-  if (!ctx) return;
+  if (!ctx) return [];
 
   const vars = {
-    requestId: ctx.requestId,
-    userName: ctx.user?.userName ?? "Solicitante",
+    ...requestTemplateVars(ctx),
     status: ctx.requestStatus?.status ?? "Primera revisión",
   };
+  const drafts = [];
 
-  const n1Id = approverFromSnapshot(ctx.workflowPreSnapshot, 1);
-  if (n1Id) {
+  for (const n1Id of awaitingApprovers(ctx.workflowPreSnapshot, 1)) {
     const approver = await prisma.user.findUnique({
       where: { userId: n1Id },
       select: { userName: true },
     });
-    await dispatchToUser(
+    drafts.push(...await draftsForUser(
       n1Id,
       "request.awaiting_approval",
       {
@@ -223,72 +113,114 @@ export async function notifyRequestSubmitted(requestId) {
         approverName: approver?.userName ?? "Aprobador",
       },
       ctx.organizationId,
-    );
+    ));
   }
 
-  await dispatchToUser(ctx.userId, "request.submitted", vars, ctx.organizationId);
+  drafts.push(...await draftsForUser(ctx.userId, "request.submitted", vars, ctx.organizationId));
+  return drafts;
 }
 
 /**
- * Notifica al solicitante tras aprobación.
+ * Aviso al solicitante tras aprobación y, si la cadena sigue, al siguiente aprobador.
  * @param {number} requestId
  * @param {number} approverUserId
+ * @returns {Promise<Object[]>} Borradores de entrega
  */
 export async function notifyRequestApproved(requestId, approverUserId) {
   const ctx = await loadRequestContext(requestId);
-  if (!ctx) return;
+  if (!ctx) return [];
 
   const approver = await prisma.user.findUnique({
     where: { userId: Number(approverUserId) },
     select: { userName: true },
   });
 
-  await dispatchToUser(ctx.userId, "request.approved", {
-    requestId: ctx.requestId,
+  const drafts = await draftsForUser(ctx.userId, "request.approved", {
+    ...requestTemplateVars(ctx),
     approverName: approver?.userName ?? "Aprobador",
     status: ctx.requestStatus?.status ?? "Actualizado",
   }, ctx.organizationId);
+
+  // Cadenas de varios pasos: avisar al siguiente aprobador de Segunda Revisión (N2, Director, CFO…).
+  const nextIds = ctx.requestStatusId === REQUEST_STATUS.SEGUNDA_REVISION
+    ? awaitingApprovers(ctx.workflowPreSnapshot, 2)
+    : [];
+  for (const nextId of nextIds) {
+    if (nextId === Number(approverUserId)) continue;
+    const next = await prisma.user.findUnique({
+      where: { userId: nextId },
+      select: { userName: true },
+    });
+    drafts.push(...await draftsForUser(nextId, "request.awaiting_approval", {
+      ...requestTemplateVars(ctx),
+      approverName: next?.userName ?? "Aprobador",
+      status: ctx.requestStatus?.status ?? "Segunda revisión",
+    }, ctx.organizationId));
+  }
+  return drafts;
 }
 
 /**
- * Notifica al solicitante tras rechazo.
+ * Aviso al solicitante tras rechazo.
  * @param {number} requestId
  * @param {string} reason
+ * @returns {Promise<Object[]>} Borradores de entrega
  */
 export async function notifyRequestRejected(requestId, reason) {
   const ctx = await loadRequestContext(requestId);
-  if (!ctx) return;
+  if (!ctx) return [];
 
   const trimmedReason = String(reason ?? "").trim() || "Sin comentario";
 
-  await dispatchToUser(ctx.userId, "request.rejected", {
-    requestId: ctx.requestId,
+  return draftsForUser(ctx.userId, "request.rejected", {
+    ...requestTemplateVars(ctx),
     reason: trimmedReason,
     status: "Rechazado",
   }, ctx.organizationId);
 }
 
 /**
- * Notifica al aprobador N2 cuando N1 escala la solicitud.
+ * Aviso al aprobador N2 cuando N1 escala la solicitud.
  * @param {number} requestId
+ * @returns {Promise<Object[]>} Borradores de entrega
  */
 export async function notifyRequestEscalated(requestId) {
   const ctx = await loadRequestContext(requestId);
-  if (!ctx) return;
+  if (!ctx) return [];
 
-  const n2Id = approverFromSnapshot(ctx.workflowPreSnapshot, 2);
-  if (!n2Id) return;
+  const drafts = [];
+  for (const n2Id of awaitingApprovers(ctx.workflowPreSnapshot, 2)) {
+    const approver = await prisma.user.findUnique({
+      where: { userId: n2Id },
+      select: { userName: true },
+    });
 
-  const approver = await prisma.user.findUnique({
-    where: { userId: n2Id },
-    select: { userName: true },
-  });
+    drafts.push(...await draftsForUser(n2Id, "request.escalated", {
+      ...requestTemplateVars(ctx),
+      approverName: approver?.userName ?? "Aprobador",
+      status: "Segunda revisión",
+    }, ctx.organizationId));
+  }
+  return drafts;
+}
 
-  await dispatchToUser(n2Id, "request.escalated", {
-    requestId: ctx.requestId,
-    userName: ctx.user?.userName ?? "Solicitante",
-    approverName: approver?.userName ?? "Aprobador",
-    status: "Segunda revisión",
+/**
+ * Aviso al empleado de que tesorería le depositó el reembolso (confirmación bancaria de la corrida).
+ * @param {number} requestId
+ * @param {{ amount: number, currency?: string, clabeLast4?: string|null, trackingKey?: string|null }} payment
+ * @returns {Promise<Object[]>} Borradores de entrega
+ */
+export async function notifyReimbursementPaid(requestId, { amount, currency = "MXN", clabeLast4 = null, trackingKey = null }) {
+  const ctx = await loadRequestContext(requestId);
+  if (!ctx) return [];
+
+  return draftsForUser(ctx.userId, "reimbursement.paid", {
+    ...requestTemplateVars(ctx),
+    amount: Number(amount),
+    currency,
+    clabeLast4: clabeLast4 ?? "",
+    trackingKey: trackingKey ?? "sin clave",
+    status: ctx.requestStatus?.status ?? "Finalizado",
   }, ctx.organizationId);
 }
 
@@ -53,6 +53,8 @@ function toEngineRule(row) {
     departmentId: row.departmentId,
     managerSteps: row.managerSteps,
     targetRole: row.targetRole,
+    approvalMode: row.approvalMode ?? "single",
+    quorum: row.quorum ?? null,
   };
 }
 
@@ -76,6 +78,8 @@ function draftToEngineRule(draft, organizationId) {
     departmentId: draft.departmentId != null ? Number(draft.departmentId) : null,
     managerSteps: draft.managerSteps != null ? Number(draft.managerSteps) : null,
     targetRole: draft.targetRole ?? null,
+    approvalMode: draft.approvalMode ?? "single",
+    quorum: draft.quorum !== null && draft.quorum !== undefined ? Number(draft.quorum) : null,
   };
 }
 
@@ -153,10 +157,23 @@ function buildSpanishSummary(snap, ctx, amount, matchedBand, scopedRules, draftR
     hints.push(`Pasos de jefe: se requieren hasta ${maxSteps} nivel(es) en la cadena.`);
   }
 
-  if (snap.targetRole) {
+  const roleSteps = (snap.steps || []).filter((step) => step.kind === "role");
+  if (roleSteps.length > 0) {
+    const chain = roleSteps.map((step) => `${step.roleName} (nivel ${step.level})`).join(" → ");
+    hints.push(`Pasos por rol después de la cadena de jefes: ${chain}.`);
+  } else if (snap.targetRole) {
     hints.push(`Rol destino configurado: ${snap.targetRole} (referencia; no altera los niveles numéricos).`);
   }
 
+  // La vista previa no resuelve usuarios: los pasos de grupo se describen desde las reglas.
+  for (const r of scopedRules.filter((rule) => rule.targetRole && rule.approvalMode === "quorum")) {
+    hints.push(`Paso por quórum en nivel ${r.approvalLevel}: ${r.quorum ?? 1} aprobación(es) de titulares de ${r.targetRole}.`);
+  }
+  const allRoles = scopedRules.filter((rule) => rule.targetRole && rule.approvalMode === "all");
+  if (allRoles.length > 0) {
+    hints.push(`Aprobación paralela: se requiere a ${allRoles.map((r) => r.targetRole).join(", ")} en su nivel.`);
+  }
+
   if (draftRule?.paramValue != null && String(draftRule.paramValue).trim() !== "") {
     const pv = String(draftRule.paramValue).trim();
     switch (focusType) {
@@ -461,6 +478,7 @@ export async function previewWorkflowRules(organizationId, input) {
     hints,
     matchedImportBand,
     targetRole: snap.targetRole,
+    steps: snap.steps.map(({ level, kind, roleName }) => ({ level, kind, roleName })),
     amountEvaluated: amount,
     currencyEvaluated: ctx.currency,
   };
@@ -2,6 +2,7 @@
  * @module workflowRulesEngine
  * @description Evalúa workflow_rules (M2-004) y produce snapshots pre/post para solicitudes nuevas.
  */
+import { REQUEST_STATUS } from "../config/requestStatus.js";
 
 /** @typedef {'pre' | 'post'} RuleType */
 /** @typedef {'importe' | 'nivel' | 'gasto' | 'destino' | 'moneda'} ParamType */
@@ -29,12 +30,40 @@
  * @property {number | null} [orgLevel] - Nivel organizacional del solicitante (1–n)
  */
 
+/**
+ * @typedef {Object} ApprovalStep
+ * @property {number} level - Nivel de aprobación (1=N1, 2=N2, 3+=niveles superiores)
+ * @property {'manager' | 'role' | 'amount'} kind - Origen del paso: cadena de jefes, `target_role` o banda de monto
+ * @property {number | null} userId - Aprobador designado
+ * @property {string | null} roleName - Rol que puede actuar si no hay aprobador designado
+ * @property {'single' | 'all' | 'quorum'} [mode] - Pasos de grupo: todos los aprobadores o `quorum` de ellos
+ * @property {number[]} [approverIds] - Aprobadores elegibles de un paso de grupo
+ * @property {number} [quorum] - Votos a favor requeridos (en `all` = approverIds.length)
+ * @property {number[]} [votes] - Aprobadores que ya votaron a favor
+ * @property {number[]} [rejections] - Aprobadores que votaron en contra (solo `quorum`)
+ */
+
+/**
+ * @typedef {Object} ApproverResolution
+ * @property {number | null} n1UserId
+ * @property {number | null} n2UserId
+ * @property {(number|null)[]} [approverIds] - Cadena de jefes (jefe directo primero)
+ * @property {Record<string, number | null>} [roleApprovers] - Usuario por `target_role`
+ * @property {Record<string, number[]>} [roleMembers] - Todos los titulares por `target_role` (pasos por quórum)
+ * @property {Record<string, number | null>} [approvalLimits] - Role.maxApprovalAmount por usuario (null = sin tope)
+ * @property {{ roleName: string, maxApprovalAmount: number, userId: number | null }[]} [amountBands] -
+ *   Roles cuyo tope cubre el importe, de menor a mayor tope
+ */
+
 /**
  * @typedef {Object} WorkflowSnapshot
  * @property {'pre' | 'post'} ruleType
  * @property {number[]} levels - Niveles requeridos en orden (1=N1, 2=N2)
- * @property {number | null} n1UserId
- * @property {number | null} n2UserId
+ * @property {ApprovalStep[]} steps - Pasos de aprobación en orden
+ * @property {number} currentStep - Índice del paso pendiente en `steps`
+ * @property {number | null} n1UserId - Aprobador en Primera Revisión
+ * @property {number | null} n2UserId - Aprobador pendiente en Segunda Revisión (se mueve con `currentStep`)
+ * @property {number[]} pendingApproverIds - Quienes aún pueden actuar en el paso pendiente
  * @property {boolean} skipApplied
  * @property {number} amountEvaluated
  * @property {string} currencyEvaluated
@@ -44,6 +73,9 @@
 
 const num = (v) => (v === null || v === undefined ? NaN : Number(v));
 
+/** Modos de aprobación de una regla con `target_role`. */
+export const APPROVAL_MODES = Object.freeze(["single", "all", "quorum"]);
+
 /**
  * @param {WorkflowRuleRow} rule
  * @param {EvaluationContext} ctx
@@ -77,6 +109,7 @@ function ruleMatches(rule, ctx) {
 
 /**
  * Mejor banda de importe: menor threshold tal que amount <= threshold.
+ * Varias reglas con el mismo threshold forman una sola banda (se toma el nivel más alto).
  * @param {number} amount
  * @param {WorkflowRuleRow[]} importeRules
  * @returns {number} approval_level de esa banda o 2 por defecto
@@ -86,7 +119,8 @@ function maxLevelFromImporteBands(amount, importeRules) {
     .filter((r) => r.threshold !== null && amount <= num(r.threshold))
     .sort((a, b) => num(a.threshold) - num(b.threshold));
   if (candidates.length === 0) return 2;
-  return candidates[0].approvalLevel;
+  const band = num(candidates[0].threshold);
+  return Math.max(...candidates.filter((r) => num(r.threshold) === band).map((r) => r.approvalLevel));
 }
 
 /**
@@ -107,6 +141,7 @@ function computeLevelsFromRules(rules, ctx, ruleType) {
       maxLevel = Math.max(maxLevel, r.approvalLevel);
     }
   }
+  const requiredLevel = maxLevel;
 
   let maxManagerSteps = 0;
   for (const r of scoped) {
@@ -140,26 +175,158 @@ function computeLevelsFromRules(rules, ctx, ruleType) {
     if (r.targetRole) targetRole = r.targetRole;
   }
 
-  return { maxLevel, minTier, skipApplied, levels, targetRole };
+  // Pasos por rol: reglas con target_role dentro del nivel requerido (las de importe por banda,
+  // el resto solo si coinciden). Ej. bandas ≤1e9 → nivel 4 con Director (3) y CFO (4).
+  const roleSteps = [];
+  const roleRules = scoped
+    .filter((r) => r.targetRole && r.approvalLevel >= minTier && r.approvalLevel <= Math.max(requiredLevel, maxLevel))
+    .filter((r) => r.paramType === "importe" || ruleMatches(r, ctx))
+    .sort((a, b) => a.approvalLevel - b.approvalLevel || (b.priority ?? 0) - (a.priority ?? 0));
+  for (const r of roleRules) {
+    if (!roleSteps.some((step) => step.roleName === r.targetRole)) {
+      roleSteps.push({
+        level: r.approvalLevel,
+        roleName: r.targetRole,
+        mode: APPROVAL_MODES.includes(r.approvalMode) ? r.approvalMode : "single",
+        quorum: r.quorum ?? null,
+      });
+    }
+  }
+
+  return { maxLevel, minTier, skipApplied, levels, targetRole, roleSteps };
+}
+
+/**
+ * Aprobador del paso de cadena para un nivel (1=N1, 2=N2, 3+=jefe del jefe…).
+ * @param {number} level
+ * @param {ApproverResolution} approvers
+ * @returns {number | null}
+ */
+function managerForLevel(level, approvers) {
+  const chain = approvers.approverIds || [];
+  if (level === 1) return approvers.n1UserId || chain[0] || null;
+  if (level === 2) return approvers.n2UserId || chain[1] || null;
+  return chain[level - 1] || null;
+}
+
+/**
+ * @param {ApprovalStep | null | undefined} step
+ * @returns {boolean} true si el paso requiere varios votos (`all` o `quorum`)
+ */
+export function isGroupStep(step) {
+  return Boolean(step) && (step.mode === "all" || step.mode === "quorum") && Array.isArray(step.approverIds);
+}
+
+/**
+ * Paso de grupo para las reglas `all`/`quorum` de un nivel. En `all` vota un titular por rol
+ * (ej. dueño del presupuesto y líder del proyecto); en `quorum`, cualquier titular de los roles.
+ * @param {number} level
+ * @param {{ roleName: string, mode: string, quorum: number | null }[]} rules
+ * @param {ApproverResolution} approvers
+ * @returns {ApprovalStep | null} null si ningún rol tiene titulares
+ */
+function buildGroupStep(level, rules, approvers) {
+  const mode = rules.some((r) => r.mode === "quorum") ? "quorum" : "all";
+  const ids = mode === "all"
+    ? rules.map((r) => approvers.roleApprovers?.[r.roleName])
+    : rules.flatMap((r) => approvers.roleMembers?.[r.roleName] ?? [approvers.roleApprovers?.[r.roleName]]);
+  const approverIds = [...new Set(ids.filter(Boolean).map(Number))];
+  if (!approverIds.length) return null;
+  const wanted = mode === "all" ? approverIds.length : Math.max(1, ...rules.map((r) => r.quorum ?? 1));
+  return {
+    level,
+    kind: "role",
+    mode,
+    userId: null,
+    roleName: rules.map((r) => r.roleName).join(", "),
+    approverIds,
+    quorum: Math.min(wanted, approverIds.length),
+    votes: [],
+    rejections: [],
+  };
+}
+
+/**
+ * Pasos ordenados: niveles de la cadena de jefes, luego los roles configurados por encima de
+ * ellos (Director, CFO…) y, si el último aprobador no cubre el importe, el rol de la banda de monto
+ * que sí lo cubre. Los `target_role` en niveles ya cubiertos por la cadena quedan como referencia,
+ * salvo los de modo `all`/`quorum`: esos forman un paso de grupo que sustituye al de su nivel.
+ * @param {number[]} levels
+ * @param {{ level: number, roleName: string, mode?: string, quorum?: number | null }[]} roleSteps
+ * @param {ApproverResolution} approvers
+ * @param {number} amount
+ * @returns {ApprovalStep[]}
+ */
+function buildApprovalSteps(levels, roleSteps, approvers, amount) {
+  /** @type {ApprovalStep[]} */
+  let steps = levels.map((level) => ({
+    level,
+    kind: "manager",
+    userId: managerForLevel(level, approvers),
+    roleName: level === 1 ? "N1" : "N2",
+  }));
+
+  const chainTop = levels.length ? Math.max(...levels) : 0;
+  const groups = new Map();
+  for (const r of roleSteps) {
+    if (r.mode === "all" || r.mode === "quorum") {
+      groups.set(r.level, [...(groups.get(r.level) || []), r]);
+      continue;
+    }
+    if (r.level <= chainTop) continue;
+    steps.push({
+      level: r.level,
+      kind: "role",
+      userId: approvers.roleApprovers?.[r.roleName] ?? null,
+      roleName: r.roleName,
+    });
+  }
+
+  for (const [level, rules] of groups) {
+    const group = buildGroupStep(level, rules, approvers);
+    if (!group) continue;
+    steps = [...steps.filter((step) => step.level !== level), group].sort((a, b) => a.level - b.level);
+  }
+
+  const last = steps[steps.length - 1];
+  const lastLimit = last && last.userId !== null && last.userId !== undefined
+    ? approvers.approvalLimits?.[last.userId]
+    : undefined;
+  if (last && typeof lastLimit === "number" && amount > lastLimit) {
+    const band = (approvers.amountBands || []).find((b) => !steps.some(
+      (step) => step.roleName === b.roleName || (b.userId !== null && b.userId !== undefined && step.userId === b.userId),
+    ));
+    if (band) {
+      steps.push({ level: last.level + 1, kind: "amount", userId: band.userId, roleName: band.roleName });
+    }
+  }
+
+  return steps;
 }
 
 /**
  * @param {WorkflowRuleRow[]} rules
  * @param {EvaluationContext} ctx
  * @param {RuleType} ruleType
- * @param {{ n1UserId: number | null, n2UserId: number | null, approverIds: (number|null)[] }} approvers
+ * @param {ApproverResolution} approvers
  * @returns {WorkflowSnapshot}
  */
 export function buildSnapshot(rules, ctx, ruleType, approvers) {
-  const { maxLevel, minTier, skipApplied, levels, targetRole } = computeLevelsFromRules(rules, ctx, ruleType);
+  const { maxLevel, minTier, skipApplied, levels, targetRole, roleSteps } = computeLevelsFromRules(rules, ctx, ruleType);
   const currency = (ctx.currency || "MXN").trim().toUpperCase();
+  const steps = buildApprovalSteps(levels, roleSteps, approvers, ctx.amount);
+  const firstUpper = steps.find((step, i) => statusForStep(steps, i) === REQUEST_STATUS.SEGUNDA_REVISION);
+  const firstIsN1 = statusForStep(steps, 0) === REQUEST_STATUS.PRIMERA_REVISION && !isGroupStep(steps[0]);
 
   return {
     ruleType,
     levels,
     approvers: levels.map(l => (approvers.approverIds && approvers.approverIds[l - 1]) || null),
-    n1UserId: levels.includes(1) ? (approvers.n1UserId || (approvers.approverIds && approvers.approverIds[0]) || null) : null,
-    n2UserId: levels.includes(2) ? (approvers.n2UserId || (approvers.approverIds && approvers.approverIds[1]) || null) : null,
+    steps,
+    currentStep: 0,
+    n1UserId: firstIsN1 ? (approvers.n1UserId || (approvers.approverIds && approvers.approverIds[0]) || null) : null,
+    n2UserId: firstUpper ? firstUpper.userId : null,
+    pendingApproverIds: pendingApproversForStep(steps[0]),
     skipApplied,
     amountEvaluated: ctx.amount,
     currencyEvaluated: currency,
@@ -170,33 +337,192 @@ export function buildSnapshot(rules, ctx, ruleType, approvers) {
 }
 
 /**
- * Estado inicial de solicitud según niveles (mapa ids seed.js: 2=Primera Revisión, 3=Segunda).
+ * Estado inicial de solicitud según niveles: nivel 1 en Primera Revisión, nivel 2 en Segunda.
  * @param {number[]} levels
  * @returns {number} requestStatusId
  */
 export function initialStatusFromLevels(levels) {
-  if (!levels.length) return 2;
+  if (!levels.length) return REQUEST_STATUS.PRIMERA_REVISION;
   const head = Math.min(...levels);
-  if (head === 1) return 2;
-  if (head === 2) return 3;
-  return 2;
+  if (head === 1) return REQUEST_STATUS.PRIMERA_REVISION;
+  if (head === 2) return REQUEST_STATUS.SEGUNDA_REVISION;
+  return REQUEST_STATUS.PRIMERA_REVISION;
 }
 
 /**
- * Tras aprobación en Primera Revisión (status 2).
+ * Tras aprobación en Primera Revisión.
  * @param {number[]} levels
  * @returns {number} siguiente requestStatusId
  */
 export function statusAfterN1Approval(levels) {
-  return levels.includes(2) ? 3 : 4;
+  return levels.includes(2) ? REQUEST_STATUS.SEGUNDA_REVISION : REQUEST_STATUS.COTIZACION_VIAJE;
 }
 
 /**
- * Tras aprobación en Segunda Revisión (status 3) — siempre a cotización.
+ * Tras aprobación en Segunda Revisión — siempre a cotización.
  * @returns {number}
  */
 export function statusAfterN2Approval() {
-  return 4;
+  return REQUEST_STATUS.COTIZACION_VIAJE;
+}
+
+/**
+ * Estatus en el que se atiende un paso: el primero de nivel 1 en Primera Revisión,
+ * los demás en Segunda Revisión.
+ * @param {ApprovalStep[]} steps
+ * @param {number} index
+ * @returns {number} requestStatusId
+ */
+export function statusForStep(steps, index) {
+  return index === 0 && steps[0]?.level === 1 ? REQUEST_STATUS.PRIMERA_REVISION : REQUEST_STATUS.SEGUNDA_REVISION;
+}
+
+/**
+ * Pasos del snapshot. Los snapshots previos a `steps` se leen como N1/N2 según `levels`.
+ * @param {object | null | undefined} snapshot
+ * @returns {ApprovalStep[]}
+ */
+export function approvalStepsFromSnapshot(snapshot) {
+  const snap = snapshot && typeof snapshot === "object" ? snapshot : {};
+  if (Array.isArray(snap.steps) && snap.steps.length) return snap.steps;
+  const levels = Array.isArray(snap.levels) && snap.levels.length ? snap.levels : [1, 2];
+  return levels
+    .filter((level) => level === 1 || level === 2)
+    .map((level) => ({
+      level,
+      kind: "manager",
+      userId: (level === 1 ? snap.n1UserId : snap.n2UserId) ?? null,
+      roleName: level === 1 ? "N1" : "N2",
+    }));
+}
+
+/**
+ * Índice del paso pendiente. Usa `currentStep` si corresponde al estatus actual; si no (snapshot
+ * previo o estatus movido por un job), el primer paso que se atiende en ese estatus.
+ * @param {object | null | undefined} snapshot
+ * @param {number} requestStatusId
+ * @returns {number} -1 si la solicitud no espera aprobación
+ */
+export function currentStepIndex(snapshot, requestStatusId) {
+  const steps = approvalStepsFromSnapshot(snapshot);
+  const stored = snapshot && typeof snapshot === "object" ? snapshot.currentStep : undefined;
+  if (Number.isInteger(stored) && stored >= 0 && stored < steps.length &&
+    statusForStep(steps, stored) === Number(requestStatusId)) {
+    return stored;
+  }
+  return steps.findIndex((_, i) => statusForStep(steps, i) === Number(requestStatusId));
+}
+
+/**
+ * Snapshot con el cursor movido a `index` (y `n2UserId` apuntando a su aprobador).
+ * Los snapshots previos a `steps` no guardan cursor: devuelve null y el avance es solo por estatus.
+ * @param {object | null | undefined} snapshot
+ * @param {number} index
+ * @returns {object | null}
+ */
+export function advanceSnapshot(snapshot, index) {
+  if (!snapshot || typeof snapshot !== "object" || !Array.isArray(snapshot.steps) || !snapshot.steps.length) {
+    return null;
+  }
+  const step = snapshot.steps[index];
+  const next = { ...snapshot, currentStep: index, pendingApproverIds: pendingApproversForStep(step) };
+  if (step && statusForStep(snapshot.steps, index) === REQUEST_STATUS.SEGUNDA_REVISION) next.n2UserId = step.userId ?? null;
+  return next;
+}
+
+/**
+ * Quienes aún pueden actuar en un paso: su aprobador designado o, en pasos de grupo,
+ * los elegibles que no han votado.
+ * @param {ApprovalStep | null | undefined} step
+ * @returns {number[]}
+ */
+export function pendingApproversForStep(step) {
+  if (!step) return [];
+  if (isGroupStep(step)) {
+    const voted = new Set([...(step.votes || []), ...(step.rejections || [])].map(Number));
+    return step.approverIds.map(Number).filter((id) => !voted.has(id));
+  }
+  return step.userId ? [Number(step.userId)] : [];
+}
+
+/**
+ * Progreso de un paso de grupo.
+ * @param {ApprovalStep} step
+ * @returns {{ cast: number, required: number, rejected: number, eligible: number }}
+ */
+export function stepVoteProgress(step) {
+  return {
+    cast: (step.votes || []).length,
+    required: step.quorum ?? (step.approverIds || []).length,
+    rejected: (step.rejections || []).length,
+    eligible: (step.approverIds || []).length,
+  };
+}
+
+/**
+ * Registra un voto en el paso de grupo `index`. `satisfied` indica que el paso se cumplió;
+ * `defeated`, que ya no puede cumplirse (en `all` basta un voto en contra; en `quorum`, cuando
+ * los votos posibles restantes no alcanzan).
+ * @param {object} snapshot
+ * @param {number} index
+ * @param {number} userId
+ * @param {boolean} approve
+ * @returns {{ snapshot: object, step: ApprovalStep, satisfied: boolean, defeated: boolean }}
+ */
+export function recordStepVote(snapshot, index, userId, approve) {
+  const current = snapshot.steps[index];
+  const field = approve ? "votes" : "rejections";
+  const step = { ...current, [field]: [...(current[field] || []), Number(userId)] };
+  const { cast, required, rejected, eligible } = stepVoteProgress(step);
+  const next = {
+    ...snapshot,
+    steps: snapshot.steps.map((s, i) => (i === index ? step : s)),
+    currentStep: index,
+    pendingApproverIds: pendingApproversForStep(step),
+  };
+  return {
+    snapshot: next,
+    step,
+    satisfied: cast >= required,
+    defeated: rejected > 0 && (step.mode === "all" || eligible - rejected < required),
+  };
+}
+
+/**
+ * Snapshot con otro aprobador en el paso pendiente (reasignación manual o por sustituto).
+ * @param {object | null | undefined} snapshot
+ * @param {number} requestStatusId
+ * @param {number} userId
+ * @returns {object}
+ */
+export function reassignCurrentStep(snapshot, requestStatusId, userId) {
+  const snap = snapshot && typeof snapshot === "object" ? { ...snapshot } : {};
+  const index = currentStepIndex(snap, requestStatusId);
+  if (Array.isArray(snap.steps) && snap.steps.length && index >= 0) {
+    snap.steps = snap.steps.map((step, i) => (i === index ? { ...step, userId } : step));
+    snap.currentStep = index;
+    snap.pendingApproverIds = [userId];
+  }
+  if (Number(requestStatusId) === REQUEST_STATUS.PRIMERA_REVISION) snap.n1UserId = userId;
+  if (Number(requestStatusId) === REQUEST_STATUS.SEGUNDA_REVISION) snap.n2UserId = userId;
+  return snap;
+}
+
+/**
+ * Todos los aprobadores designados en el snapshot (cualquier paso).
+ * @param {object | null | undefined} snapshot
+ * @returns {number[]}
+ */
+export function approverIdsFromSnapshot(snapshot) {
+  if (!snapshot || typeof snapshot !== "object") return [];
+  const ids = new Set();
+  if (snapshot.n1UserId) ids.add(Number(snapshot.n1UserId));
+  if (snapshot.n2UserId) ids.add(Number(snapshot.n2UserId));
+  for (const step of approvalStepsFromSnapshot(snapshot)) {
+    if (step.userId) ids.add(Number(step.userId));
+    for (const id of step.approverIds || []) ids.add(Number(id));
+  }
+  return [...ids];
 }
 
-export { ruleMatches, computeLevelsFromRules, maxLevelFromImporteBands };
+export { ruleMatches, computeLevelsFromRules, maxLevelFromImporteBands, buildApprovalSteps };
@@ -167,6 +167,27 @@ describe("exportByRange", () => {
         expect(res.send).toHaveBeenCalledWith("<Polizas/>");
     });
 
+    test("layout ERP (?format=csv) se descarga como adjunto", async () => {
+        serviceMocks.getPolizasInRange.mockResolvedValue([
+            { header: { ID_VIAJE: "9", DOC_TYPE: "AV" }, detalle: [{ ITEMNO_ACC: 1, SHKZG: "S", GL_ACCOUNT: "1001", AMT_DOCCUR: 5 }] },
+        ]);
+        const req = { query: { from: "2026-01-01", to: "2026-01-31", format: "csv" }, headers: {} };
+        const res = mockRes();
+        res.attachment = jest.fn().mockReturnValue(res);
+        await AccountingExportController.exportByRange(req, res);
+        expect(res.type).toHaveBeenCalledWith("text/csv; charset=utf-8");
+        expect(res.attachment).toHaveBeenCalledWith(expect.stringMatching(/^polizas-csv-\d{8}\.csv$/));
+        expect(res.send.mock.calls[0][0]).toContain("9,AV,");
+    });
+
+    test("formato desconocido es 400 sin generar polizas", async () => {
+        const req = { query: { from: "2026-01-01", to: "2026-01-31", format: "idoc" }, headers: {} };
+        const res = mockRes();
+        await AccountingExportController.exportByRange(req, res);
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(serviceMocks.getPolizasInRange).not.toHaveBeenCalled();
+    });
+
     test("400 si service retorna ValidationError en rango", async () => {
         serviceMocks.getPolizasInRange.mockRejectedValue(new ValidationErrorStub("COSTCENTER missing"));
         const req = { query: { from: "2026-01-01", to: "2026-12-31" }, headers: {} };
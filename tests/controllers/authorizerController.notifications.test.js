@@ -3,6 +3,8 @@
  * @description Regresión: aprobar/rechazar vía /authorizer debe generar la
  * notificación in-app de workflow (US-20). Antes el controller solo mandaba
  * email y la campana nunca recibía la notificación al cambiar de estado.
+ * El evento se escribe en el outbox junto con la transición (authorizerModel);
+ * el controller solo pide el drenado inmediato tras el cambio.
  */
 import { jest, describe, test, expect, beforeEach } from "@jest/globals";
 
@@ -11,9 +13,7 @@ process.env.NODE_ENV ??= "test";
 const mockAuthorizeRequest = jest.fn();
 const mockDeclineRequest = jest.fn();
 
-const mockNotifyApproved = jest.fn().mockResolvedValue(undefined);
-const mockNotifyRejected = jest.fn().mockResolvedValue(undefined);
-const mockNotifyEscalated = jest.fn().mockResolvedValue(undefined);
+const mockKickOutbox = jest.fn();
 
 await jest.unstable_mockModule("../../models/authorizerModel.js", () => ({
   default: { getAlertsForAuthorizer: jest.fn() },
@@ -27,14 +27,8 @@ await jest.unstable_mockModule("../../services/authorizerService.js", () => ({
 }));
 
 await jest.unstable_mockModule(
-  "../../services/workflowNotificationService.js",
-  () => ({
-    notifyRequestApproved: mockNotifyApproved,
-    notifyRequestRejected: mockNotifyRejected,
-    notifyRequestEscalated: mockNotifyEscalated,
-    // notifySafe ejecuta la fn directo para poder observar la llamada interna.
-    notifySafe: (fn) => fn(),
-  }),
+  "../../services/notificationOutboxService.js",
+  () => ({ kickNotificationOutbox: mockKickOutbox }),
 );
 
 const { default: authorizerController } = await import(
@@ -61,7 +55,7 @@ describe("authorizerController notifications (regresión campana)", () => {
     jest.clearAllMocks();
   });
 
-  test("authorizeTravelRequest aprobado notifica al solicitante", async () => {
+  test("authorizeTravelRequest aprobado drena el outbox tras la transición", async () => {
     mockAuthorizeRequest.mockResolvedValue({
       new_status: 4,
       outcome: "APROBADO",
@@ -76,11 +70,13 @@ describe("authorizerController notifications (regresión campana)", () => {
     await authorizerController.authorizeTravelRequest(req, res);
 
     expect(res.statusCode).toBe(200);
-    expect(mockNotifyApproved).toHaveBeenCalledWith(7, 10);
-    expect(mockNotifyEscalated).not.toHaveBeenCalled();
+    expect(mockAuthorizeRequest).toHaveBeenCalledWith(7, 10, { permissionSet: undefined });
+    expect(mockKickOutbox).toHaveBeenCalledTimes(1);
+    expect(mockKickOutbox.mock.invocationCallOrder[0])
+      .toBeGreaterThan(mockAuthorizeRequest.mock.invocationCallOrder[0]);
   });
 
-  test("authorizeTravelRequest escalado notifica al N2 (no al solicitante)", async () => {
+  test("authorizeTravelRequest escalado también drena el outbox", async () => {
     mockAuthorizeRequest.mockResolvedValue({
       new_status: 3,
       outcome: "ESCALADO",
@@ -95,11 +91,11 @@ describe("authorizerController notifications (regresión campana)", () => {
     await authorizerController.authorizeTravelRequest(req, res);
 
     expect(res.statusCode).toBe(200);
-    expect(mockNotifyEscalated).toHaveBeenCalledWith(8);
-    expect(mockNotifyApproved).not.toHaveBeenCalled();
+    expect(res.body.outcome).toBe("ESCALADO");
+    expect(mockKickOutbox).toHaveBeenCalledTimes(1);
   });
 
-  test("declineTravelRequest notifica el rechazo con el motivo", async () => {
+  test("declineTravelRequest pasa el motivo y drena el outbox", async () => {
     mockDeclineRequest.mockResolvedValue({ message: "rechazada" });
     const req = {
       params: { request_id: "9", user_id: "10" },
@@ -111,10 +107,13 @@ describe("authorizerController notifications (regresión campana)", () => {
     await authorizerController.declineTravelRequest(req, res);
 
     expect(res.statusCode).toBe(200);
-    expect(mockNotifyRejected).toHaveBeenCalledWith(
+    expect(mockDeclineRequest).toHaveBeenCalledWith(
       9,
+      10,
       "Documentación incompleta",
+      { permissionSet: undefined },
     );
+    expect(mockKickOutbox).toHaveBeenCalledTimes(1);
   });
 
   test("no notifica si el actor no coincide con el usuario del token (403)", async () => {
@@ -129,7 +128,6 @@ describe("authorizerController notifications (regresión campana)", () => {
 
     expect(res.statusCode).toBe(403);
     expect(mockAuthorizeRequest).not.toHaveBeenCalled();
-    expect(mockNotifyApproved).not.toHaveBeenCalled();
-    expect(mockNotifyEscalated).not.toHaveBeenCalled();
+    expect(mockKickOutbox).not.toHaveBeenCalled();
   });
 });
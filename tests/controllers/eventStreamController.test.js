@@ -0,0 +1,139 @@
+/**
+ * @file tests/controllers/eventStreamController.test.js
+ * @description GET /api/events: scoping por tenant, por permisos y por solicitud.
+ */
+import { jest, describe, test, expect, afterEach } from "@jest/globals";
+import { EventEmitter } from "events";
+
+process.env.NODE_ENV ??= "test";
+
+const mockPrisma = {
+  request: { findUnique: jest.fn() },
+  $executeRaw: jest.fn(),
+};
+
+await jest.unstable_mockModule("../../database/config/prisma.js", () => ({ default: mockPrisma }));
+
+const { streamEvents } = await import("../../controllers/eventStreamController.js");
+const { publishRequestEvent, closeRequestEventBus, REQUEST_EVENT_TYPES } = await import(
+  "../../services/requestEventBus.js"
+);
+
+function makeReq({ userId = 5, orgId = "1", permissions = [], query = {} } = {}) {
+  return {
+    user: { user_id: userId, organization_id: orgId, permissionSet: new Set(permissions) },
+    tenant: { organizationId: BigInt(orgId) },
+    query,
+  };
+}
+
+function makeRes() {
+  const res = new EventEmitter();
+  res.chunks = [];
+  res.statusCode = null;
+  res.body = null;
+  res.set = jest.fn();
+  res.flushHeaders = jest.fn();
+  res.write = jest.fn((chunk) => { res.chunks.push(chunk); });
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.json = jest.fn((payload) => { res.body = payload; return res; });
+  res.events = () => res.chunks
+    .filter((c) => c.startsWith("event: "))
+    .map((c) => JSON.parse(c.split("\ndata: ")[1]));
+  return res;
+}
+
+afterEach(async () => {
+  jest.clearAllMocks();
+  await closeRequestEventBus();
+});
+
+describe("streamEvents", () => {
+  test("sin permisos amplios solo recibe eventos de sus solicitudes y sus notificaciones", async () => {
+    const res = makeRes();
+    await streamEvents(makeReq({ permissions: ["travel_request:view_own"] }), res);
+
+    await publishRequestEvent({
+      type: REQUEST_EVENT_TYPES.STATUS_CHANGED, requestId: 1, organizationId: 1n, ownerUserId: 5, data: { statusId: 3 },
+    });
+    await publishRequestEvent({
+      type: REQUEST_EVENT_TYPES.STATUS_CHANGED, requestId: 2, organizationId: 1n, ownerUserId: 9, data: { statusId: 3 },
+    });
+    await publishRequestEvent({
+      type: REQUEST_EVENT_TYPES.NOTIFICATION_CREATED, userId: 5, data: { notificationId: 77 },
+    });
+    await publishRequestEvent({
+      type: REQUEST_EVENT_TYPES.NOTIFICATION_CREATED, userId: 6, data: { notificationId: 78 },
+    });
+
+    const events = res.events();
+    expect(events.map((e) => e.type)).toEqual(["request.status_changed", "notification.created"]);
+    expect(events[0].requestId).toBe(1);
+    expect(events[1].data).toEqual({ notificationId: 77 });
+    expect(events[0]).not.toHaveProperty("ownerUserId");
+    res.emit("close");
+  });
+
+  test("con permisos amplios recibe toda la organización, nunca otras organizaciones", async () => {
+    const res = makeRes();
+    await streamEvents(makeReq({ permissions: ["travel_request:authorize"] }), res);
+
+    await publishRequestEvent({
+      type: REQUEST_EVENT_TYPES.HISTORIAL_CREATED, requestId: 2, organizationId: 1n, ownerUserId: 9,
+    });
+    await publishRequestEvent({
+      type: REQUEST_EVENT_TYPES.HISTORIAL_CREATED, requestId: 3, organizationId: 2n, ownerUserId: 9,
+    });
+
+    expect(res.events().map((e) => e.requestId)).toEqual([2]);
+    res.emit("close");
+  });
+
+  test("filtra por types", async () => {
+    const res = makeRes();
+    await streamEvents(makeReq({
+      permissions: ["travel_request:view_any"],
+      query: { types: "receipt.validation_changed" },
+    }), res);
+
+    await publishRequestEvent({ type: REQUEST_EVENT_TYPES.STATUS_CHANGED, requestId: 1, organizationId: 1n });
+    await publishRequestEvent({ type: REQUEST_EVENT_TYPES.RECEIPT_VALIDATION_CHANGED, requestId: 1, organizationId: 1n });
+
+    expect(res.events().map((e) => e.type)).toEqual(["receipt.validation_changed"]);
+    res.emit("close");
+  });
+
+  test("request_id de otro usuario sin permisos amplios → 403", async () => {
+    mockPrisma.request.findUnique.mockResolvedValue({ userId: 9, organizationId: 1n });
+    const res = makeRes();
+    await streamEvents(makeReq({ query: { request_id: 4 } }), res);
+    expect(res.statusCode).toBe(403);
+    expect(res.flushHeaders).not.toHaveBeenCalled();
+  });
+
+  test("request_id de otra organización → 403; inexistente → 404", async () => {
+    mockPrisma.request.findUnique.mockResolvedValueOnce({ userId: 5, organizationId: 2n });
+    const foreign = makeRes();
+    await streamEvents(makeReq({ query: { request_id: 4 } }), foreign);
+    expect(foreign.statusCode).toBe(403);
+
+    mockPrisma.request.findUnique.mockResolvedValueOnce(null);
+    const missing = makeRes();
+    await streamEvents(makeReq({ query: { request_id: 4 } }), missing);
+    expect(missing.statusCode).toBe(404);
+  });
+
+  test("request_id propio recibe solo los eventos de esa solicitud y libera la suscripción al cerrar", async () => {
+    mockPrisma.request.findUnique.mockResolvedValue({ userId: 5, organizationId: 1n });
+    const res = makeRes();
+    await streamEvents(makeReq({ query: { request_id: 4 } }), res);
+
+    await publishRequestEvent({ type: REQUEST_EVENT_TYPES.COMMENT_CREATED, requestId: 4, organizationId: 1n, ownerUserId: 5 });
+    await publishRequestEvent({ type: REQUEST_EVENT_TYPES.COMMENT_CREATED, requestId: 8, organizationId: 1n, ownerUserId: 5 });
+    expect(res.events().map((e) => e.requestId)).toEqual([4]);
+
+    res.emit("close");
+    await publishRequestEvent({ type: REQUEST_EVENT_TYPES.COMMENT_CREATED, requestId: 4, organizationId: 1n, ownerUserId: 5 });
+    expect(res.events()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * @file tests/controllers/requestCommentController.stream.test.js
+ * @description SSE de comentarios: un comentario publicado mientras se lee el snapshot no se pierde.
+ */
+import { jest, describe, test, expect, afterEach } from "@jest/globals";
+import { EventEmitter } from "events";
+import jwt from "jsonwebtoken";
+
+process.env.NODE_ENV ??= "test";
+process.env.JWT_SECRET ??= "comment-stream-test-secret";
+
+const mockPrisma = { $executeRaw: jest.fn() };
+await jest.unstable_mockModule("../../database/config/prisma.js", () => ({ default: mockPrisma }));
+
+const mockReadComments = jest.fn();
+const mockReadCommentsSince = jest.fn();
+await jest.unstable_mockModule("../../services/requestCommentService.js", () => ({
+  readComments: mockReadComments,
+  readCommentsSince: mockReadCommentsSince,
+  createComment: jest.fn(),
+}));
+
+const { streamComments } = await import("../../controllers/requestCommentController.js");
+const { publishRequestEvent, closeRequestEventBus, subscriberCount, REQUEST_EVENT_TYPES } = await import(
+  "../../services/requestEventBus.js"
+);
+
+function makeReq(headers = {}) {
+  const token = jwt.sign({ user_id: 5 }, process.env.JWT_SECRET);
+  const all = { authorization: `Bearer ${token}`, ...headers };
+  return {
+    params: { id: "7" },
+    query: { user_id: "5", limit: "20" },
+    headers: all,
+    get: (name) => all[name.toLowerCase()],
+  };
+}
+
+function makeRes() {
+  const res = new EventEmitter();
+  res.chunks = [];
+  res.set = jest.fn();
+  res.flushHeaders = jest.fn();
+  res.write = jest.fn((chunk) => { res.chunks.push(chunk); });
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+const comment = (content) => ({ users: {}, messages: [{ pageIndex: 1, user_key: 5, content }] });
+
+afterEach(async () => {
+  jest.clearAllMocks();
+  await closeRequestEventBus();
+});
+
+describe("streamComments", () => {
+  test("entrega el comentario publicado mientras se leía el snapshot", async () => {
+    mockReadComments.mockImplementation(async () => {
+      await publishRequestEvent({ type: REQUEST_EVENT_TYPES.COMMENT_CREATED, requestId: 7 });
+      return { success: true, data: comment("antes"), eventId: "e1" };
+    });
+    mockReadCommentsSince.mockResolvedValue({ success: true, data: comment("durante"), eventId: "e2" });
+
+    const res = makeRes();
+    await streamComments(makeReq(), res);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(mockReadCommentsSince).toHaveBeenCalledWith(7, 5, "e1");
+    expect(res.chunks).toEqual(expect.arrayContaining(["event: comment.created\n", "id: e2\n"]));
+    res.emit("close");
+    expect(subscriberCount(7)).toBe(0);
+  });
+
+  test("un Last-Event-ID ilegible cae al snapshot", async () => {
+    mockReadCommentsSince.mockResolvedValue({ success: false, error: "tampered cursor" });
+    mockReadComments.mockResolvedValue({ success: true, data: comment("hola"), eventId: "e1" });
+
+    const res = makeRes();
+    await streamComments(makeReq({ "last-event-id": "AAAA" }), res);
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.chunks[0]).toBe("id: e1\n");
+    res.emit("close");
+  });
+
+  test("una solicitud inexistente responde 404 y suelta la suscripción", async () => {
+    mockReadComments.mockResolvedValue({ success: false, error: "Invalid request id" });
+
+    const res = makeRes();
+    await streamComments(makeReq(), res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(subscriberCount(7)).toBe(0);
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * @file tests/middleware/rateLimiters.test.js
+ * @description Buckets por usuario, organización, IP y API key, cuotas por organización y
+ * X-Forwarded-For solo desde proxies de confianza.
+ */
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import express from "express";
+import jwt from "jsonwebtoken";
+import request from "supertest";
+
+process.env.NODE_ENV ??= "test";
+process.env.JWT_SECRET = "rate-limit-test-secret";
+process.env.TRUSTED_PROXIES = "127.0.0.1/8,::1,10.0.0.0/8";
+process.env.RATE_LIMIT_IP_MAX = "2";
+process.env.RATE_LIMIT_LOGIN_MAX = "1";
+
+const mockPrisma = {
+  rateLimitQuota: { findUnique: jest.fn() },
+  apiKey: { findUnique: jest.fn() },
+};
+await jest.unstable_mockModule("../../database/config/prisma.js", () => ({ default: mockPrisma }));
+
+const { generalRateLimiter, loginRateLimiter, apiKeyRateLimiter, clientIp } =
+  await import("../../middleware/rateLimiters.js");
+const { setRateLimitStore } = await import("../../services/rateLimitService.js");
+const { createMemoryStore } = await import("../../services/rateLimit/memoryStore.js");
+
+const app = express();
+app.get("/ping", generalRateLimiter, (req, res) => res.json({ ok: true }));
+app.post("/login", loginRateLimiter, (req, res) => res.json({ ok: true }));
+app.get(
+  "/external",
+  (req, res, next) => {
+    req.apiKey = { id: Number(req.headers["x-test-key"]), organizationId: 77n };
+    next();
+  },
+  (req, res, next) => {
+    res.on("finish", () => { req.app.locals.lastThrottled = res.locals.rateLimited === true; });
+    next();
+  },
+  apiKeyRateLimiter,
+  (req, res) => res.json({ ok: true }),
+);
+
+/**
+ * @param {number} userId
+ * @param {number} orgId
+ * @returns {string}
+ */
+function bearer(userId, orgId) {
+  return `Bearer ${jwt.sign({ user_id: userId, organization_id: String(orgId) }, process.env.JWT_SECRET)}`;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  setRateLimitStore(createMemoryStore());
+  mockPrisma.rateLimitQuota.findUnique.mockResolvedValue(null);
+  mockPrisma.apiKey.findUnique.mockResolvedValue(null);
+});
+
+describe("generalRateLimiter", () => {
+  test("cuenta por usuario con la cuota de su organización y responde RateLimit-*", async () => {
+    mockPrisma.rateLimitQuota.findUnique.mockResolvedValue({ userMax: 2, orgMax: null, apiKeyMax: null });
+
+    const first = await request(app).get("/ping").set("Authorization", bearer(1, 10));
+    expect(first.status).toBe(200);
+    expect(first.headers["ratelimit-limit"]).toBe("2");
+    expect(first.headers["ratelimit-remaining"]).toBe("1");
+    expect(first.headers["ratelimit-policy"]).toBe("2;w=60");
+
+    await request(app).get("/ping").set("Authorization", bearer(1, 10));
+    const blocked = await request(app).get("/ping").set("Authorization", bearer(1, 10));
+    expect(blocked.status).toBe(429);
+    expect(Number(blocked.headers["retry-after"])).toBeGreaterThan(0);
+    expect(blocked.body.error).toMatch(/Too many requests/);
+
+    const colleague = await request(app).get("/ping").set("Authorization", bearer(2, 10));
+    expect(colleague.status).toBe(200);
+  });
+
+  test("la cuota de la organización suma a todos sus usuarios", async () => {
+    mockPrisma.rateLimitQuota.findUnique.mockResolvedValue({ userMax: null, orgMax: 2, apiKeyMax: null });
+
+    expect((await request(app).get("/ping").set("Authorization", bearer(1, 11))).status).toBe(200);
+    expect((await request(app).get("/ping").set("Authorization", bearer(2, 11))).status).toBe(200);
+    expect((await request(app).get("/ping").set("Authorization", bearer(3, 11))).status).toBe(429);
+    expect((await request(app).get("/ping").set("Authorization", bearer(1, 12))).status).toBe(200);
+  });
+
+  test("sin sesión cuenta por la IP del cliente detrás de proxies de confianza", async () => {
+    const from = (xff) => request(app).get("/ping").set("X-Forwarded-For", xff);
+
+    expect((await from("203.0.113.7, 10.0.0.5")).status).toBe(200);
+    expect((await from("198.51.100.1, 203.0.113.7")).status).toBe(200);
+    expect((await from("203.0.113.7")).status).toBe(429);
+    expect((await from("203.0.113.8")).status).toBe(200);
+  });
+
+  test("un JWT inválido cuenta como anónimo y una API key se deja a apiKeyRateLimiter", async () => {
+    await request(app).get("/ping").set("Authorization", "Bearer not-a-jwt").set("X-Forwarded-For", "192.0.2.1");
+    await request(app).get("/ping").set("Authorization", "Bearer not-a-jwt").set("X-Forwarded-For", "192.0.2.1");
+    const anonymous = await request(app).get("/ping").set("X-Forwarded-For", "192.0.2.1");
+    expect(anonymous.status).toBe(429);
+
+    mockPrisma.apiKey.findUnique.mockResolvedValue({
+      id: 4, organizationId: 77n, revokedAt: null, expiresAt: new Date(Date.now() + 3600000),
+    });
+    const integration = await request(app).get("/ping").set("X-API-Key", "cck_abc").set("X-Forwarded-For", "192.0.2.1");
+    expect(integration.status).toBe(200);
+    expect(integration.headers["ratelimit-limit"]).toBeUndefined();
+  });
+
+  test("una API key inventada o revocada no evita el bucket por IP", async () => {
+    const withKey = (key) => request(app).get("/ping").set("X-API-Key", key).set("X-Forwarded-For", "192.0.2.9");
+
+    expect((await withKey("cck_made-up-1")).status).toBe(200);
+    mockPrisma.apiKey.findUnique.mockResolvedValue({
+      id: 5, organizationId: 77n, revokedAt: new Date(), expiresAt: new Date(Date.now() + 3600000),
+    });
+    const revoked = await withKey("cck_revoked");
+    expect(revoked.status).toBe(200);
+    expect(revoked.headers["ratelimit-remaining"]).toBe("0");
+    expect((await withKey("cck_made-up-2")).status).toBe(429);
+  });
+
+  test("si el store falla deja pasar la petición", async () => {
+    const spy = jest.spyOn(console, "error").mockImplementation(() => {});
+    setRateLimitStore({ name: "memory", hit: async () => { throw new Error("down"); }, reset: async () => {} });
+    expect((await request(app).get("/ping")).status).toBe(200);
+    spy.mockRestore();
+  });
+});
+
+describe("loginRateLimiter", () => {
+  test("limita intentos de login por IP", async () => {
+    expect((await request(app).post("/login").set("X-Forwarded-For", "192.0.2.50")).status).toBe(200);
+    const blocked = await request(app).post("/login").set("X-Forwarded-For", "192.0.2.50");
+    expect(blocked.status).toBe(429);
+    expect(blocked.body.error).toMatch(/login attempts/);
+  });
+});
+
+describe("apiKeyRateLimiter", () => {
+  test("cuenta por ApiKey.id y marca el rechazo para api_key_logs", async () => {
+    mockPrisma.rateLimitQuota.findUnique.mockResolvedValue({ userMax: null, orgMax: null, apiKeyMax: 1 });
+
+    expect((await request(app).get("/external").set("X-Test-Key", "5")).status).toBe(200);
+    expect(app.locals.lastThrottled).toBe(false);
+
+    const blocked = await request(app).get("/external").set("X-Test-Key", "5");
+    expect(blocked.status).toBe(429);
+    expect(app.locals.lastThrottled).toBe(true);
+
+    expect((await request(app).get("/external").set("X-Test-Key", "6")).status).toBe(200);
+  });
+});
+
+describe("clientIp", () => {
+  test("ignora X-Forwarded-For si la conexión no viene de un proxy de confianza", () => {
+    const req = { socket: { remoteAddress: "::ffff:198.51.100.9" }, headers: { "x-forwarded-for": "1.2.3.4" } };
+    expect(clientIp(req)).toBe("198.51.100.9");
+  });
+
+  test("si todos los saltos son de confianza usa el primero", () => {
+    const req = { socket: { remoteAddress: "127.0.0.1" }, headers: { "x-forwarded-for": "10.1.1.1, 10.2.2.2" } };
+    expect(clientIp(req)).toBe("10.1.1.1");
+  });
+});
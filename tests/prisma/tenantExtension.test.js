@@ -23,6 +23,19 @@ describe("TENANT_SCOPED_MODELS", () => {
     expect(TENANT_SCOPED_MODELS.has("travelPolicy")).toBe(true);
     expect(TENANT_SCOPED_MODELS.has("permissionGroup")).toBe(true);
     expect(TENANT_SCOPED_MODELS.has("role")).toBe(true);
+    expect(TENANT_SCOPED_MODELS.has("onboardingImportPreview")).toBe(true);
+    expect(TENANT_SCOPED_MODELS.has("booking")).toBe(true);
+    expect(TENANT_SCOPED_MODELS.has("rateLimitQuota")).toBe(true);
+    expect(TENANT_SCOPED_MODELS.has("travelerProfile")).toBe(true);
+    expect(TENANT_SCOPED_MODELS.has("organizationFxSettings")).toBe(true);
+    expect(TENANT_SCOPED_MODELS.has("walletEntry")).toBe(true);
+    expect(TENANT_SCOPED_MODELS.has("walletLedgerLine")).toBe(true);
+    expect(TENANT_SCOPED_MODELS.has("advanceSettlement")).toBe(true);
+    expect(TENANT_SCOPED_MODELS.has("paymentRun")).toBe(true);
+    expect(TENANT_SCOPED_MODELS.has("paymentRunLine")).toBe(true);
+    expect(TENANT_SCOPED_MODELS.has("notificationLayout")).toBe(true);
+    expect(TENANT_SCOPED_MODELS.has("notificationOutbox")).toBe(true);
+    expect(TENANT_SCOPED_MODELS.has("notificationDelivery")).toBe(true);
   });
 
   test("modelos globales NO están en la lista tenant-scoped", () => {
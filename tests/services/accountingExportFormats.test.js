@@ -0,0 +1,181 @@
+/**
+ * @file tests/services/accountingExportFormats.test.js
+ * @description Registro de layouts ERP para pólizas: resolución por organización, CSV / ancho fijo,
+ * SAT Pólizas del Periodo 1.3 y plantilla JSON.
+ */
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+
+process.env.NODE_ENV ??= "test";
+
+const mockResolveIntegration = jest.fn();
+await jest.unstable_mockModule("../../services/integrationResolver.js", () => ({
+    resolveIntegration: mockResolveIntegration,
+}));
+
+const prismaMock = {
+    organization: { findUnique: jest.fn() },
+    chartOfAccount: { findMany: jest.fn() },
+};
+await jest.unstable_mockModule("../../database/config/prisma.js", () => ({ default: prismaMock }));
+
+const { default: AccountingExportService } = await import("../../services/accountingExportService.js");
+const formats = await import("../../services/accountingExportFormatService.js");
+
+const gv = () => ({
+    header: {
+        ID_VIAJE: "222",
+        DOC_TYPE: "GV",
+        HEADER_TXT: "Comprobacion Viaje # 222",
+        COMP_CODE: "1000",
+        PSTNG_DATE: "2026-03-15",
+        CURRENCY: "USD",
+        EXCH_RATE: 17.5,
+    },
+    detalle: [
+        { ITEMNO_ACC: 1, SHKZG: "S", GL_ACCOUNT: "6010101", COSTCENTER: "CC1", ITEM_TEXT: "Hotel, \"centro\"", AMT_DOCCUR: 100 },
+        { ITEMNO_ACC: 2, SHKZG: "H", GL_ACCOUNT: "1150101", VENDOR_NO: "E5", ITEM_TEXT: "Comprobacion", AMT_DOCCUR: 100 },
+    ],
+    comprobantes: [
+        { ITEMNO_ACC: 1, UUID: "ab7c1f2e-0000-4000-8000-000000000001", RFC: "HOT010101AAA", MONTO_TOTAL: 100, MONEDA: "USD", TIPO_CAMBIO: 17.5 },
+    ],
+});
+
+/**
+ * @param {Object} params
+ * @returns {Promise<{ body: string|Object, contentType: string, fileName: string }>}
+ */
+const exportWith = async (params, polizas = [gv()]) =>
+    formats.serializePolizas(await formats.prepareExport({ organizationId: 7n, ...params }), polizas);
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    mockResolveIntegration.mockResolvedValue({ format: "json" });
+    prismaMock.organization.findUnique.mockResolvedValue({ rfc: "ACM010101AB1" });
+    prismaMock.chartOfAccount.findMany.mockResolvedValue([{ accountCode: "6010101", accountName: "Gastos de viaje" }]);
+});
+
+describe("resolución del formato", () => {
+    test("?format= gana; sin él manda Accept xml y luego la integración ERP_EXPORT de la org", async () => {
+        mockResolveIntegration.mockResolvedValue({ format: "netsuite" });
+
+        expect((await formats.prepareExport({ organizationId: 7n, format: "CSV" })).serializer.name).toBe("csv");
+        expect((await formats.prepareExport({ organizationId: 7n, accept: "application/xml" })).serializer.name).toBe("xml");
+        expect((await formats.prepareExport({ organizationId: 7n })).serializer.name).toBe("netsuite");
+        expect(mockResolveIntegration).toHaveBeenCalledWith(7n, "ERP_EXPORT");
+        await expect(formats.defaultExportFormat(7n)).resolves.toBe("netsuite");
+    });
+
+    test("formato desconocido o layout mal configurado es ValidationError antes de generar", async () => {
+        await expect(formats.prepareExport({ organizationId: 7n, format: "sap-idoc" }))
+            .rejects.toBeInstanceOf(AccountingExportService.ValidationError);
+        await expect(formats.prepareExport({ organizationId: 7n, format: "json-template" }))
+            .rejects.toThrow("requires a template object");
+        await expect(formats.prepareExport({ organizationId: 7n, format: "fixed-width" }))
+            .rejects.toThrow("requires a lineRecord layout");
+    });
+
+    test("json y xml conservan la forma SAP original", async () => {
+        const json = await exportWith({});
+        expect(json.body.polizas[0].detalles).toHaveLength(2);
+        const xml = await exportWith({ format: "xml" });
+        expect(xml.body).toContain("<Cabecera>");
+        expect(xml.contentType).toBe("application/xml");
+    });
+});
+
+describe("layouts delimitados y de ancho fijo", () => {
+    test("aspel-coi: BOM, cargo/abono y escape CSV", async () => {
+        const { body, fileName } = await exportWith({ format: "aspel-coi" });
+        const [head, first, second] = body.replace(/^\uFEFF/, "").split("\r\n");
+        expect(body.startsWith("\uFEFF")).toBe(true);
+        expect(head).toBe("TIPO_POLIZA,NUM_POLIZA,FECHA,CONCEPTO_POLIZA,CUENTA,DEPTO,CONCEPTO,TIPO_CAMBIO,CARGO,ABONO");
+        expect(first).toBe('Dr,1,15/03/2026,Comprobacion Viaje # 222,6010101,CC1,"Hotel, ""centro""",17.5000,100.00,0.00');
+        expect(second).toContain(",0.00,100.00");
+        expect(fileName).toMatch(/^polizas-aspel-coi-\d{8}\.csv$/);
+    });
+
+    test("las opciones de la integración reemplazan el layout del preset", async () => {
+        mockResolveIntegration.mockResolvedValue({
+            format: "csv",
+            options: { csv: { delimiter: ";", includeHeader: false, columns: [{ field: "POLIZA_ID" }, { field: "AMT_LOCAL", format: "amount:2" }] } },
+        });
+        const { body } = await exportWith({});
+        expect(body).toBe("GV-222;1750.00\r\nGV-222;1750.00\r\n");
+    });
+
+    test("contpaqi: registro P por póliza y M1 por partida en MXN", async () => {
+        const { body, contentType } = await exportWith({ format: "contpaqi" });
+        const [p, m1] = body.split("\r\n");
+        expect(contentType).toMatch(/^text\/plain/);
+        expect(p.startsWith("P  20260315    3         1 1          0 Comprobacion Viaje # 222")).toBe(true);
+        expect(m1.slice(0, 3)).toBe("M1 ");
+        expect(m1.slice(3, 33).trim()).toBe("6010101");
+        expect(m1.slice(55, 56)).toBe("0");
+        expect(m1.slice(57, 77)).toBe("1750.00".padStart(20));
+        expect(m1.slice(89, 109)).toBe("100.00".padStart(20));
+    });
+});
+
+describe("SAT Pólizas del Periodo 1.3", () => {
+    test("exige tipo de solicitud con su número de orden o trámite", async () => {
+        await expect(formats.prepareExport({ organizationId: 7n, format: "sat-plz" }))
+            .rejects.toThrow("tipo_solicitud must be one of");
+        await expect(formats.prepareExport({ organizationId: 7n, format: "sat-plz", query: { tipo_solicitud: "AF" } }))
+            .rejects.toThrow("requires num_orden");
+        await expect(formats.prepareExport({
+            organizationId: 7n,
+            format: "sat-plz",
+            query: { tipo_solicitud: "DE", num_tramite: "AB123456789012" },
+            period: { from: new Date("2026-03-01"), to: new Date("2026-04-02") },
+        })).rejects.toThrow("single month");
+    });
+
+    test("genera PLZ con importes en MXN, DesCta del catálogo y CompNal", async () => {
+        const { body } = await exportWith({
+            format: "sat-plz",
+            query: { tipo_solicitud: "AF", num_orden: "ABC6912345/01" },
+            period: { from: new Date("2026-03-01"), to: new Date("2026-03-31") },
+        });
+        expect(body).toContain('xmlns:PLZ="http://www.sat.gob.mx/esquemas/ContabilidadE/1_3/PolizasPeriodo"');
+        expect(body).toContain('RFC="ACM010101AB1" Mes="03" Anio="2026" TipoSolicitud="AF" NumOrden="ABC6912345/01"');
+        expect(body).toContain('NumUnIdenPol="GV-222" Fecha="2026-03-15"');
+        expect(body).toContain('NumCta="6010101" DesCta="Gastos de viaje" Concepto="Hotel, &quot;centro&quot;" Debe="1750.00" Haber="0.00"');
+        expect(body).toContain('<PLZ:CompNal UUID_CFDI="AB7C1F2E-0000-4000-8000-000000000001" RFC="HOT010101AAA" MontoTotal="100.00" Moneda="USD" TipCamb="17.50000"');
+        expect(prismaMock.chartOfAccount.findMany).toHaveBeenCalledWith(
+            expect.objectContaining({ where: { organizationId: 7n, active: true } })
+        );
+    });
+});
+
+describe("plantilla JSON", () => {
+    test("mapea cabecera, partidas y comprobantes según la integración", async () => {
+        mockResolveIntegration.mockResolvedValue({
+            format: "json-template",
+            options: {
+                "json-template": {
+                    envelope: "journalEntries",
+                    template: {
+                        externalId: "header.POLIZA_ID",
+                        date: { field: "header.PSTNG_DATE", format: "date:DD/MM/YYYY" },
+                        source: { const: "coco" },
+                        lines: { each: "lines", map: { account: "GL_ACCOUNT", debit: { field: "DEBIT", format: "amount:2" }, currency: "parent.header.CURRENCY" } },
+                        invoices: { each: "comprobantes", map: { uuid: "UUID" } },
+                    },
+                },
+            },
+        });
+        const { body } = await exportWith({});
+        expect(body).toEqual({
+            journalEntries: [{
+                externalId: "GV-222",
+                date: "15/03/2026",
+                source: "coco",
+                lines: [
+                    { account: "6010101", debit: 100, currency: "USD" },
+                    { account: "1150101", debit: 0, currency: "USD" },
+                ],
+                invoices: [{ uuid: "ab7c1f2e-0000-4000-8000-000000000001" }],
+            }],
+        });
+    });
+});
@@ -30,14 +30,22 @@ await jest.unstable_mockModule("../../database/config/prisma.js", () => ({
         accountingPoliza: {
             createMany: jest.fn().mockResolvedValue(undefined),
         },
+        accountingPeriod: { findMany: jest.fn().mockResolvedValue([]) },
+        accountingSociety: { findMany: jest.fn().mockResolvedValue([]) },
     },
 }));
 
+const mockGetRate = jest.fn();
+await jest.unstable_mockModule("../../services/fx/fxRateService.js", () => ({
+    getRate: mockGetRate,
+}));
+
 const { default: AccountingExport } = await import("../../models/accountingExportModel.js");
 const { default: prisma } = await import("../../database/config/prisma.js");
 const {
     default: AccountingExportService,
     buildAnticipoPolizaForAdvance,
+    buildSettlementPoliza,
 } = await import("../../services/accountingExportService.js");
 
 // ──────────────────────────────────────────────────────────
@@ -93,6 +101,31 @@ describe("buildAnticipoPolizaForAdvance", () => {
     });
 });
 
+describe("buildSettlementPoliza", () => {
+    test("EMPLOYEE_OWES reclasifica de CxP a anticipo; BALANCED no genera póliza", () => {
+        const p = buildSettlementPoliza({ requestId: 9, userId: 2 }, { direction: "EMPLOYEE_OWES", amount: 350 });
+        expect(p.header).toMatchObject({ DOC_TYPE: "GV", HEADER_TXT: "Liquidacion Viaje # 9", CURRENCY: "MXN" });
+        expect(p.detalle.map((d) => [d.SHKZG, d.GL_ACCOUNT, d.AMT_DOCCUR])).toEqual([
+            ["S", "1001", 350],
+            ["H", "1000", 350],
+        ]);
+        expect(buildSettlementPoliza({ requestId: 9, userId: 2 }, { direction: "BALANCED", amount: 0 })).toBeNull();
+    });
+
+    test("las liquidaciones cerradas se exportan después de AV y GV", async () => {
+        const poliza = buildSettlementPoliza({ requestId: 222, userId: 5 }, { direction: "COMPANY_OWES", amount: 200 });
+        AccountingExport.getRequestForExport.mockResolvedValue(
+            makeRequest({ advanceSettlements: [{ status: "SETTLED", poliza }] })
+        );
+
+        const polizas = await AccountingExportService.getPolizasForRequest(222);
+
+        expect(polizas.map((p) => p.header.DOC_TYPE)).toEqual(["AV", "GV", "GV"]);
+        expect(polizas[2].header.HEADER_TXT).toBe("Liquidacion Viaje # 222");
+        expect(sumDebe(polizas[2])).toBe(sumHaber(polizas[2]));
+    });
+});
+
 // ──────────────────────────────────────────────────────────
 // Tests
 // ──────────────────────────────────────────────────────────
@@ -191,7 +224,25 @@ describe("AccountingExportService.getPolizasForRequest", () => {
         expect(sumHaber(gv)).toBeCloseTo(348, 4);
     });
 
+    test("GV enlaza cada CFDI con la primera partida que registra", async () => {
+        AccountingExport.getRequestForExport.mockResolvedValue(
+            makeRequest({
+                imposedFee: 0,
+                receipts: [
+                    makeReceipt({ receiptId: 1, cfdiComprobante: { uuid: "u-1", rfcEmisor: "AAA010101AAA", subtotal: 100, iva: 16, total: 116, moneda: "MXN", tipoCambio: 1 } }),
+                    makeReceipt({ receiptId: 2, cfdiComprobante: { uuid: "u-2", rfcEmisor: "BBB010101BBB", subtotal: 200, iva: 32, total: 232, moneda: "MXN", tipoCambio: 1 } }),
+                ],
+            })
+        );
+        const [gv] = await AccountingExportService.getPolizasForRequest(222);
+        expect(gv.comprobantes).toEqual([
+            { ITEMNO_ACC: 1, UUID: "u-1", RFC: "AAA010101AAA", MONTO_TOTAL: 116, MONEDA: "MXN", TIPO_CAMBIO: 1 },
+            { ITEMNO_ACC: 3, UUID: "u-2", RFC: "BBB010101BBB", MONTO_TOTAL: 232, MONEDA: "MXN", TIPO_CAMBIO: 1 },
+        ]);
+    });
+
     test("moneda distinta a MXN usa tipoCambio del CFDI", async () => {
+        mockGetRate.mockRejectedValueOnce({ status: 503, code: "FX_RATE_UNAVAILABLE" });
         AccountingExport.getRequestForExport.mockResolvedValue(
             makeRequest({
                 imposedFee: 0,
@@ -205,6 +256,32 @@ describe("AccountingExportService.getPolizasForRequest", () => {
         const [gv] = await AccountingExportService.getPolizasForRequest(222);
         expect(gv.header.CURRENCY).toBe("USD");
         expect(gv.header.EXCH_RATE).toBe(19);
+        expect(gv.fx).toMatchObject({ rateType: "FIX", provider: "cfdi", rate: 19 });
+    });
+
+    test("moneda distinta a MXN usa el FIX de la fecha contable y guarda su procedencia", async () => {
+        const fx = {
+            rateType: "FIX", provider: "banxico_fix", base: "USD", quote: "MXN", rate: 18.123456,
+            rateDate: "2026-04-30", requestedDate: "2026-04-30", fetchedAt: "2026-04-30T18:00:00.000Z",
+            fromCache: true, inverted: false,
+        };
+        mockGetRate.mockResolvedValueOnce(fx);
+        AccountingExport.getRequestForExport.mockResolvedValue(
+            makeRequest({
+                imposedFee: 0,
+                receipts: [
+                    makeReceipt({
+                        cfdiComprobante: { subtotal: 850, iva: 150, total: 1000, moneda: "USD", tipoCambio: 19 },
+                    }),
+                ],
+            })
+        );
+        const [gv] = await AccountingExportService.getPolizasForRequest(222);
+        expect(mockGetRate).toHaveBeenCalledWith({
+            organizationId: 1n, base: "USD", quote: "MXN", rateType: "FIX", date: "2026-04-30",
+        });
+        expect(gv.header.EXCH_RATE).toBe(18.1235);
+        expect(gv.fx).toEqual(fx);
     });
 
     test("COSTCENTER prioriza ceco de Empleado vinculado", async () => {
@@ -409,6 +486,52 @@ describe("AccountingExportService.getPolizasInRange", () => {
     });
 });
 
+describe("AccountingExportService — periodos contables", () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.accountingSociety.findMany.mockResolvedValue([{ societyId: 3n, code: "1000" }]);
+    });
+
+    test("periodo SOFT_CLOSED recorre PSTNG_DATE al primer dia del siguiente periodo abierto", async () => {
+        prisma.accountingPeriod.findMany.mockResolvedValueOnce([
+            { societyId: null, year: 2026, month: 4, status: "SOFT_CLOSED" },
+            { societyId: null, year: 2026, month: 5, status: "CLOSED" },
+        ]);
+        AccountingExport.getRequestForExport.mockResolvedValue(makeRequest({ imposedFee: 0 }));
+        const [gv] = await AccountingExportService.getPolizasForRequest(222);
+        expect(gv.header.PSTNG_DATE).toBe("2026-06-01");
+    });
+
+    test("periodo CLOSED bloquea la generacion con ConflictError; el rango la omite sin marcarla", async () => {
+        prisma.accountingPeriod.findMany.mockResolvedValue([{ societyId: null, year: 2026, month: 4, status: "CLOSED" }]);
+        AccountingExport.getRequestForExport.mockResolvedValue(makeRequest({ imposedFee: 0 }));
+        await expect(AccountingExportService.generatePolizasForRequest(222)).rejects.toMatchObject({
+            status: 409,
+            message: expect.stringContaining("2026-04 is CLOSED"),
+        });
+
+        AccountingExport.getFinalizedRequestsInRange.mockResolvedValue([makeRequest({ imposedFee: 0 })]);
+        const built = await AccountingExportService.buildPolizasInRange(new Date("2026-04-01"), new Date("2026-04-30"));
+        expect(built).toEqual([expect.objectContaining({ polizas: [], blocked: expect.stringContaining("CLOSED") })]);
+        await expect(AccountingExportService.getPolizasInRange(new Date("2026-04-01"), new Date("2026-04-30")))
+            .resolves.toEqual([]);
+        expect(prisma.$transaction).not.toHaveBeenCalled();
+        prisma.accountingPeriod.findMany.mockResolvedValue([]);
+    });
+
+    test("el periodo de la sociedad (COMP_CODE) tiene precedencia sobre el de la organizacion", async () => {
+        prisma.accountingPeriod.findMany.mockResolvedValueOnce([
+            { societyId: null, year: 2026, month: 4, status: "CLOSED" },
+            { societyId: 3n, year: 2026, month: 4, status: "OPEN" },
+        ]);
+        AccountingExport.getRequestForExport.mockResolvedValue(
+            makeRequest({ imposedFee: 0, organization: { accountingSocieties: [{ code: "1000" }] } })
+        );
+        const [gv] = await AccountingExportService.getPolizasForRequest(222);
+        expect(gv.header).toMatchObject({ COMP_CODE: "1000", PSTNG_DATE: "2026-04-30" });
+    });
+});
+
 describe("AccountingExportService.getPolizasForRequest — marca como exportado", () => {
     beforeEach(() => {
         jest.clearAllMocks();
@@ -0,0 +1,102 @@
+/**
+ * @file tests/services/accountingPeriodService.test.js
+ * @description Apertura / cierre de periodos contables y resolución de la fecha de contabilización.
+ */
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+
+process.env.NODE_ENV ??= "test";
+
+const prismaMock = {
+  accountingPeriod: { findFirst: jest.fn(), findMany: jest.fn(), create: jest.fn(), update: jest.fn() },
+  accountingSociety: { findFirst: jest.fn(), findMany: jest.fn() },
+  $transaction: jest.fn(),
+};
+await jest.unstable_mockModule("../../database/config/prisma.js", () => ({ default: prismaMock }));
+
+const svc = await import("../../services/accountingPeriodService.js");
+
+const row = (over = {}) => ({
+  id: 1, organizationId: 7n, societyId: null, year: 2026, month: 3, status: "OPEN",
+  reason: null, changedById: 5, changedAt: new Date(), ...over,
+});
+
+/** Filas de accounting_periods que ve findMany; el mock aplica el `where` como Prisma. */
+let periodRows = [];
+
+/**
+ * @param {Object} r
+ * @param {Object} where - igualdad, `{ not }` y `OR`
+ * @returns {boolean}
+ */
+const matchesWhere = (r, where = {}) => Object.entries(where).every(([key, cond]) => {
+  if (key === "OR") return cond.some((w) => matchesWhere(r, w));
+  if (cond !== null && typeof cond === "object" && "not" in cond) return r[key] !== cond.not;
+  return r[key] === cond;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  periodRows = [];
+  prismaMock.accountingPeriod.findMany.mockImplementation(async ({ where }) => periodRows.filter((r) => matchesWhere(r, where)));
+  prismaMock.$transaction.mockImplementation(async (fn) => fn(prismaMock));
+  prismaMock.accountingPeriod.create.mockImplementation(async ({ data }) => row(data));
+  prismaMock.accountingPeriod.update.mockImplementation(async ({ data }) => row(data));
+  prismaMock.accountingSociety.findMany.mockResolvedValue([{ societyId: 3n, code: "1000" }]);
+});
+
+describe("setPeriodStatus", () => {
+  test("crea el periodo de la sociedad al cerrarlo", async () => {
+    prismaMock.accountingSociety.findFirst.mockResolvedValue({ societyId: 3n });
+    prismaMock.accountingPeriod.findFirst.mockResolvedValue(null);
+
+    const period = await svc.setPeriodStatus(7n, "2026-03", "SOFT_CLOSED", { societyId: "3", userId: 5 });
+
+    expect(period).toMatchObject({ period: "2026-03", societyId: "3", status: "SOFT_CLOSED" });
+    expect(prismaMock.accountingPeriod.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ organizationId: 7n, societyId: 3n, year: 2026, month: 3, changedById: 5 }),
+    });
+  });
+
+  test("valida el periodo, la sociedad y el motivo para reabrir un periodo cerrado", async () => {
+    await expect(svc.setPeriodStatus(7n, "2026-13", "CLOSED")).rejects.toMatchObject({ status: 400 });
+    prismaMock.accountingSociety.findFirst.mockResolvedValue(null);
+    await expect(svc.setPeriodStatus(7n, "2026-03", "CLOSED", { societyId: 99 })).rejects.toMatchObject({ status: 400 });
+
+    prismaMock.accountingPeriod.findFirst.mockResolvedValue(row({ status: "CLOSED" }));
+    await expect(svc.setPeriodStatus(7n, "2026-03", "OPEN")).rejects.toThrow("requiere un motivo");
+    await svc.setPeriodStatus(7n, "2026-03", "OPEN", { reason: "Ajuste de auditoría" });
+    expect(prismaMock.accountingPeriod.update).toHaveBeenCalledWith({
+      where: { id: 1 },
+      data: expect.objectContaining({ status: "OPEN", reason: "Ajuste de auditoría" }),
+    });
+  });
+});
+
+describe("postingDateResolver", () => {
+  test("recorre cierres suaves (incluso sobre el cambio de año) y bloquea cierres definitivos", async () => {
+    periodRows = [
+      row({ societyId: null, year: 2025, month: 12, status: "SOFT_CLOSED" }),
+      row({ societyId: null, year: 2026, month: 2, status: "CLOSED" }),
+      row({ societyId: 3n, year: 2026, month: 2, status: "SOFT_CLOSED" }),
+    ];
+    const resolve = await svc.postingDateResolver(7n);
+
+    expect(resolve("2025-12-20", "0001")).toEqual({ postingDate: "2026-01-01", redirectedFrom: "2025-12", blocked: null });
+    expect(resolve("2026-02-10", "0001").blocked).toEqual({ period: "2026-02", status: "CLOSED" });
+    expect(resolve("2026-02-10", "1000").postingDate).toBe("2026-03-01");
+    expect(resolve("2026-03-10", "1000")).toEqual({ postingDate: "2026-03-10", redirectedFrom: null, blocked: null });
+  });
+
+  test("una sociedad que se deja OPEN contabiliza aunque la organización ya cerró el mes", async () => {
+    periodRows = [
+      row({ societyId: null, year: 2026, month: 4, status: "CLOSED" }),
+      row({ societyId: 3n, year: 2026, month: 4, status: "OPEN" }),
+      row({ organizationId: 8n, societyId: 3n, year: 2026, month: 5, status: "CLOSED" }),
+    ];
+    const resolve = await svc.postingDateResolver(7n);
+
+    expect(resolve("2026-04-15", "1000")).toEqual({ postingDate: "2026-04-15", redirectedFrom: null, blocked: null });
+    expect(resolve("2026-04-15", "0001").blocked).toEqual({ period: "2026-04", status: "CLOSED" });
+    expect(resolve("2026-05-15", "1000").blocked).toBeNull();
+  });
+});
@@ -0,0 +1,264 @@
+/**
+ * @file tests/services/advanceSettlementService.test.js
+ * @description Liquidación del anticipo: neto entre monedas con tipo de cambio, póliza GV de reclasificación, bloqueo de
+ * Finalizado mientras haya pendientes y registro del pago/cobro por tesorería.
+ */
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+
+process.env.NODE_ENV ??= "test";
+
+const prismaMock = {
+  request: { findUnique: jest.fn() },
+  advanceSettlement: {
+    upsert: jest.fn(),
+    findMany: jest.fn(),
+    findFirst: jest.fn(),
+    findUnique: jest.fn(),
+    updateMany: jest.fn(),
+    deleteMany: jest.fn(),
+    count: jest.fn(),
+  },
+  paymentRunLine: { findFirst: jest.fn(), count: jest.fn() },
+  $queryRaw: jest.fn(),
+  $transaction: jest.fn(async (fn) => fn(prismaMock)),
+};
+await jest.unstable_mockModule("../../database/config/prisma.js", () => ({ default: prismaMock }));
+
+const mockGetRate = jest.fn();
+await jest.unstable_mockModule("../../services/fx/fxRateService.js", () => ({ getRate: mockGetRate }));
+
+const mockWalletLedger = { recordSettlement: jest.fn() };
+await jest.unstable_mockModule("../../services/walletLedgerService.js", () => ({ default: mockWalletLedger }));
+
+const svc = await import("../../services/advanceSettlementService.js");
+
+const ORG = 2n;
+
+/**
+ * @param {Object} [overrides]
+ * @returns {Object} Request con lo que incluye SETTLEMENT_INCLUDE
+ */
+const makeRequest = (overrides = {}) => ({
+  requestId: 30,
+  organizationId: ORG,
+  userId: 4,
+  requestedFee: 5000,
+  user: { empleado: { proveedor: "0000000004" }, department: null },
+  organization: { chartOfAccounts: [], accountingSocieties: [] },
+  receipts: [],
+  advanceSettlements: [],
+  ...overrides,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prismaMock.advanceSettlement.upsert.mockResolvedValue({});
+  prismaMock.advanceSettlement.findMany.mockResolvedValue([]);
+  prismaMock.paymentRunLine.count.mockResolvedValue(0);
+});
+
+describe("computeSettlementLines", () => {
+  test("neta el anticipo MXN y separa los comprobantes en otra moneda", () => {
+    const lines = svc.computeSettlementLines({
+      requestedFee: 5000,
+      receipts: [
+        { amount: 3200.5, cfdiComprobante: { moneda: "MXN" } },
+        { amount: 800, cfdiComprobante: null },
+        { amount: 120, cfdiComprobante: { moneda: "USD" } },
+      ],
+    });
+
+    expect(lines.map((l) => ({
+      ...l,
+      advanceAmount: l.advanceAmount.toNumber(),
+      advanceBaseAmount: l.advanceBaseAmount.toNumber(),
+      provenAmount: l.provenAmount.toNumber(),
+      amount: l.amount.toNumber(),
+    })))
+      .toEqual([
+        { currency: "MXN", advanceAmount: 5000, advanceBaseAmount: 5000, provenAmount: 4000.5, direction: "EMPLOYEE_OWES", amount: 999.5 },
+        { currency: "USD", advanceAmount: 0, advanceBaseAmount: 0, provenAmount: 120, direction: "COMPANY_OWES", amount: 120 },
+      ]);
+  });
+
+  test("el anticipo MXN cubre los comprobantes en otra moneda al tipo de cambio", () => {
+    const plain = (lines) => lines.map((l) => ({
+      currency: l.currency, advanceAmount: l.advanceAmount.toNumber(), advanceBaseAmount: l.advanceBaseAmount.toNumber(),
+      provenAmount: l.provenAmount.toNumber(), direction: l.direction, amount: l.amount.toNumber(),
+    }));
+    const receipts = [
+      { amount: 2000, cfdiComprobante: { moneda: "MXN" } },
+      { amount: 300, cfdiComprobante: { moneda: "USD" } },
+    ];
+
+    expect(plain(svc.computeSettlementLines({ requestedFee: 10000, receipts }, { USD: 18 }))).toEqual([
+      { currency: "MXN", advanceAmount: 4600, advanceBaseAmount: 4600, provenAmount: 2000, direction: "EMPLOYEE_OWES", amount: 2600 },
+      { currency: "USD", advanceAmount: 300, advanceBaseAmount: 5400, provenAmount: 300, direction: "BALANCED", amount: 0 },
+    ]);
+    expect(plain(svc.computeSettlementLines({ requestedFee: 3000, receipts }, { USD: 18 }))).toEqual([
+      { currency: "MXN", advanceAmount: 2000, advanceBaseAmount: 2000, provenAmount: 2000, direction: "BALANCED", amount: 0 },
+      { currency: "USD", advanceAmount: 55.56, advanceBaseAmount: 1000, provenAmount: 300, direction: "COMPANY_OWES", amount: 244.44 },
+    ]);
+  });
+
+  test("sin anticipo ni comprobantes reembolsables no hay líneas; montos iguales quedan BALANCED", () => {
+    expect(svc.computeSettlementLines({ requestedFee: 0, receipts: [] })).toEqual([]);
+    const [line] = svc.computeSettlementLines({ requestedFee: 100, receipts: [{ amount: 100 }] });
+    expect(line.direction).toBe("BALANCED");
+    expect(line.amount.isZero()).toBe(true);
+  });
+});
+
+describe("prepareSettlement", () => {
+  test("un reembolso pendiente lleva la póliza GV anticipo → CxP y bloquea", async () => {
+    prismaMock.request.findUnique.mockResolvedValue(makeRequest({
+      receipts: [{ receiptId: 1, amount: 6250, cfdiComprobante: { moneda: "MXN", tipoCambio: 1 } }],
+    }));
+    prismaMock.advanceSettlement.findMany.mockResolvedValue([
+      { id: 9, requestId: 30, currency: "MXN", advanceAmount: "5000", provenAmount: "6250", direction: "COMPANY_OWES", amount: "1250", status: "PENDING" },
+    ]);
+
+    const result = await svc.prepareSettlement(30);
+
+    const { create } = prismaMock.advanceSettlement.upsert.mock.calls[0][0];
+    expect(create).toMatchObject({ requestId: 30, currency: "MXN", direction: "COMPANY_OWES", status: "PENDING", settledAt: null });
+    expect(create.amount.toNumber()).toBe(1250);
+    expect(create.poliza.header).toMatchObject({ DOC_TYPE: "GV", CURRENCY: "MXN", EXCH_RATE: 1 });
+    expect(create.poliza.detalle.map((d) => [d.SHKZG, d.GL_ACCOUNT, d.AMT_DOCCUR])).toEqual([
+      ["S", "1000", 1250],
+      ["H", "1001", 1250],
+    ]);
+    expect(result.pending).toBe(true);
+    expect(result.settlements[0]).toMatchObject({ id: 9, amount: 1250, direction: "COMPANY_OWES" });
+  });
+
+  test("neta con el FIX de la organización y lo usa en la póliza de la moneda extranjera", async () => {
+    prismaMock.request.findUnique.mockResolvedValue(makeRequest({
+      requestedFee: 1000,
+      receipts: [{ receiptId: 1, amount: 100, cfdiComprobante: { moneda: "USD", tipoCambio: 17 } }],
+    }));
+    mockGetRate.mockResolvedValue({ rate: 18 });
+
+    await svc.prepareSettlement(30);
+
+    expect(mockGetRate).toHaveBeenCalledWith(expect.objectContaining({ base: "USD", quote: "MXN", rateType: "FIX" }));
+    const creates = prismaMock.advanceSettlement.upsert.mock.calls.map(([a]) => a.create);
+    expect(creates.map((c) => [c.currency, c.direction, c.amount.toNumber()])).toEqual([
+      ["USD", "COMPANY_OWES", 44.44],
+    ]);
+    expect(creates[0].advanceAmount.toNumber()).toBe(55.56);
+    expect(creates[0].advanceBaseAmount.toNumber()).toBe(1000);
+    expect(creates[0].poliza.header).toMatchObject({ CURRENCY: "USD", EXCH_RATE: 18 });
+  });
+
+  test("BALANCED nace liquidada y se eliminan las monedas que ya no aplican", async () => {
+    const existing = [
+      { id: 3, currency: "MXN", status: "PENDING", direction: "COMPANY_OWES" },
+      { id: 4, currency: "EUR", status: "PENDING", direction: "COMPANY_OWES" },
+    ];
+    prismaMock.request.findUnique.mockResolvedValue(makeRequest({
+      receipts: [{ receiptId: 1, amount: 5000, cfdiComprobante: { moneda: "MXN" } }],
+      advanceSettlements: existing,
+    }));
+    prismaMock.advanceSettlement.findMany.mockResolvedValueOnce(existing);
+
+    await svc.prepareSettlement(30);
+
+    expect(prismaMock.advanceSettlement.upsert).toHaveBeenCalledTimes(1);
+    expect(prismaMock.advanceSettlement.upsert.mock.calls[0][0].update).toMatchObject({
+      direction: "BALANCED", status: "SETTLED",
+    });
+    expect(prismaMock.advanceSettlement.deleteMany).toHaveBeenCalledWith({ where: { id: { in: [4] } } });
+  });
+
+  test("si tesorería ya pagó o cobró alguna, el neteo queda fijo", async () => {
+    prismaMock.request.findUnique.mockResolvedValue(makeRequest({
+      receipts: [
+        { receiptId: 1, amount: 5000, cfdiComprobante: { moneda: "MXN" } },
+        { receiptId: 2, amount: 40, cfdiComprobante: { moneda: "USD", tipoCambio: 18 } },
+      ],
+      advanceSettlements: [
+        { id: 3, currency: "USD", status: "SETTLED", direction: "COMPANY_OWES" },
+        { id: 4, currency: "EUR", status: "PENDING", direction: "COMPANY_OWES" },
+      ],
+    }));
+
+    await svc.prepareSettlement(30);
+
+    expect(mockGetRate).not.toHaveBeenCalled();
+    expect(prismaMock.advanceSettlement.upsert).not.toHaveBeenCalled();
+    expect(prismaMock.advanceSettlement.deleteMany).not.toHaveBeenCalled();
+    expect(prismaMock.advanceSettlement.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { requestId: 30 } }));
+  });
+
+  test("toma el candado de las corridas y no toca el neteo si alguna está en una corrida abierta", async () => {
+    const existing = [{ id: 9, currency: "MXN", status: "PENDING", direction: "COMPANY_OWES" }];
+    prismaMock.request.findUnique.mockResolvedValue(makeRequest({
+      receipts: [{ receiptId: 1, amount: 7000, cfdiComprobante: { moneda: "MXN" } }],
+      advanceSettlements: existing,
+    }));
+    prismaMock.advanceSettlement.findMany.mockResolvedValueOnce(existing);
+    prismaMock.paymentRunLine.count.mockResolvedValue(1);
+
+    await svc.prepareSettlement(30);
+
+    expect(prismaMock.$queryRaw.mock.calls[0][0].join("?")).toContain("FOR UPDATE");
+    expect(prismaMock.$queryRaw.mock.invocationCallOrder[0])
+      .toBeLessThan(prismaMock.paymentRunLine.count.mock.invocationCallOrder[0]);
+    expect(prismaMock.paymentRunLine.count).toHaveBeenCalledWith({
+      where: { settlement: { requestId: 30 }, status: { in: ["PENDING", "PAID"] } },
+    });
+    expect(prismaMock.advanceSettlement.upsert).not.toHaveBeenCalled();
+    expect(prismaMock.advanceSettlement.deleteMany).not.toHaveBeenCalled();
+  });
+});
+
+describe("settle", () => {
+  test("marca la liquidación, registra el monedero e informa si quedan pendientes", async () => {
+    prismaMock.advanceSettlement.findFirst.mockResolvedValue({ id: 9, requestId: 30, request: { userId: 4 } });
+    prismaMock.advanceSettlement.updateMany.mockResolvedValue({ count: 1 });
+    const row = { id: 9, organizationId: ORG, requestId: 30, currency: "MXN", advanceAmount: "5000", provenAmount: "6250", direction: "COMPANY_OWES", amount: "1250", status: "SETTLED" };
+    prismaMock.advanceSettlement.findUnique.mockResolvedValue(row);
+    prismaMock.advanceSettlement.count.mockResolvedValue(0);
+
+    const result = await svc.settle(9, { organizationId: ORG, actorUserId: 7, reference: "SPEI-123" });
+
+    expect(prismaMock.advanceSettlement.updateMany).toHaveBeenCalledWith({
+      where: { id: 9, status: "PENDING" },
+      data: expect.objectContaining({ status: "SETTLED", settledById: 7, treasuryReference: "SPEI-123" }),
+    });
+    expect(mockWalletLedger.recordSettlement).toHaveBeenCalledWith(row, { userId: 4, createdById: 7, reference: "SPEI-123" });
+    expect(result).toMatchObject({ requestId: 30, pending: false, settlement: { id: 9, amount: 1250, status: "SETTLED" } });
+  });
+
+  test("si el monedero falla la liquidación no se registra y el error sube", async () => {
+    prismaMock.advanceSettlement.findFirst.mockResolvedValue({ id: 9, requestId: 30, request: { userId: 4 } });
+    prismaMock.advanceSettlement.updateMany.mockResolvedValue({ count: 1 });
+    prismaMock.advanceSettlement.findUnique.mockResolvedValue({ id: 9, status: "SETTLED" });
+    mockWalletLedger.recordSettlement.mockRejectedValueOnce(new Error("ledger down"));
+
+    await expect(svc.settle(9, { organizationId: ORG, actorUserId: 7 })).rejects.toThrow("ledger down");
+    expect(prismaMock.$transaction).toHaveBeenCalledWith(expect.any(Function), { timeout: 20_000 });
+    expect(prismaMock.advanceSettlement.count).not.toHaveBeenCalled();
+  });
+
+  test("404 fuera de la organización y 409 si ya estaba liquidada", async () => {
+    prismaMock.advanceSettlement.findFirst.mockResolvedValueOnce(null);
+    await expect(svc.settle(9, { organizationId: ORG })).rejects.toMatchObject({ status: 404 });
+
+    prismaMock.advanceSettlement.findFirst.mockResolvedValueOnce({ id: 9, requestId: 30, request: { userId: 4 } });
+    prismaMock.advanceSettlement.updateMany.mockResolvedValueOnce({ count: 0 });
+    await expect(svc.settle(9, { organizationId: ORG })).rejects.toMatchObject({ status: 409 });
+    expect(mockWalletLedger.recordSettlement).not.toHaveBeenCalled();
+  });
+
+  test("409 mientras la liquidación espera respuesta del banco en una corrida SPEI", async () => {
+    prismaMock.advanceSettlement.findFirst.mockResolvedValue({ id: 9, requestId: 30, request: { userId: 4 } });
+    prismaMock.paymentRunLine.findFirst.mockResolvedValueOnce({ paymentRunId: 12 });
+
+    await expect(svc.settle(9, { organizationId: ORG })).rejects.toMatchObject({ status: 409, message: expect.stringContaining("12") });
+    expect(prismaMock.$queryRaw.mock.calls[0][0].join("?")).toContain("FOR UPDATE");
+    expect(prismaMock.paymentRunLine.findFirst.mock.calls[0][0].where).toEqual({ settlementId: 9, status: "PENDING" });
+    expect(prismaMock.advanceSettlement.updateMany).not.toHaveBeenCalled();
+  });
+});
@@ -18,6 +18,14 @@ await jest.unstable_mockModule("../../database/config/prisma.js", () => ({
     default: mockPrisma,
 }));
 
+const mockWalletLedger = {
+    recordAdvanceDisbursed: jest.fn(),
+    recordReimbursementOwed: jest.fn(),
+};
+await jest.unstable_mockModule("../../services/walletLedgerService.js", () => ({
+    default: mockWalletLedger,
+}));
+
 const {
     onTravelRequestFullyApproved,
     onExpensesVerified,
@@ -35,9 +43,11 @@ describe("anticipoPolizaLifecycleService", () => {
         mockPrisma.request.findUnique.mockResolvedValue({ requestedFee: 0 });
         await onTravelRequestFullyApproved(10);
         expect(mockPrisma.anticipoPolizaSnapshot.create).not.toHaveBeenCalled();
+        expect(mockWalletLedger.recordAdvanceDisbursed).not.toHaveBeenCalled();
     });
 
-    test("onTravelRequestFullyApproved persiste AV con requested_fee", async () => {
+    test("onTravelRequestFullyApproved persiste AV con requested_fee y registra el anticipo", async () => {
+        mockPrisma.anticipoPolizaSnapshot.create.mockResolvedValue({ id: 55 });
         mockPrisma.request.findUnique
             .mockResolvedValueOnce({ requestedFee: 7500 })
             .mockResolvedValueOnce({
@@ -55,13 +65,16 @@ describe("anticipoPolizaLifecycleService", () => {
                     header: expect.objectContaining({ DOC_TYPE: "AV" }),
                 }),
             }),
+            select: { id: true },
         });
+        expect(mockWalletLedger.recordAdvanceDisbursed).toHaveBeenCalledWith(10, { anticipoSnapshotId: 55 });
     });
 
-    test("onExpensesVerified no persiste si imposedFee ausente", async () => {
+    test("onExpensesVerified no persiste si imposedFee ausente, pero calcula el reembolso", async () => {
         mockPrisma.request.findUnique.mockResolvedValue({ imposedFee: null });
         await onExpensesVerified(10);
         expect(mockPrisma.anticipoPolizaSnapshot.create).not.toHaveBeenCalled();
+        expect(mockWalletLedger.recordReimbursementOwed).toHaveBeenCalledWith(10);
     });
 
     test("onExpensesVerified persiste AV con imposed_fee", async () => {
@@ -78,6 +91,7 @@ describe("anticipoPolizaLifecycleService", () => {
                 requestId: 11,
                 phase: ON_EXPENSES_VERIFIED,
             }),
+            select: { id: true },
         });
     });
 });
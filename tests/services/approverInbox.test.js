@@ -62,7 +62,7 @@ describe("User.getTravelRequestsForApprover", () => {
     expect(mockPrisma.request.findMany).not.toHaveBeenCalled();
   });
 
-  test("status 2 → filtra por workflow_pre_snapshot.n1UserId", async () => {
+  test("status 2 → filtra por workflow_pre_snapshot.n1UserId o pendingApproverIds", async () => {
     await User.getTravelRequestsForApprover(10, 2, { organizationId: 101 });
 
     expect(mockPrisma.request.findMany).toHaveBeenCalledTimes(1);
@@ -73,6 +73,9 @@ describe("User.getTravelRequestsForApprover", () => {
       {
         workflowPreSnapshot: { path: ["n1UserId"], equals: 10 },
       },
+      {
+        workflowPreSnapshot: { path: ["pendingApproverIds"], array_contains: [10] },
+      },
     ]);
   });
 
@@ -93,8 +96,8 @@ describe("User.getTravelRequestsForApprover", () => {
     await User.getTravelRequestsForApprover(10, 2);
 
     const args = mockPrisma.request.findMany.mock.calls[0][0];
-    expect(args.where.OR).toHaveLength(2);
-    expect(args.where.OR[1]).toEqual({
+    expect(args.where.OR).toHaveLength(3);
+    expect(args.where.OR[2]).toEqual({
       AND: [
         { workflowPreSnapshot: { equals: null } },
         { userId: { in: [42, 43] } },
@@ -111,7 +114,7 @@ describe("User.getTravelRequestsForApprover", () => {
     await User.getTravelRequestsForApprover(6, 3);
 
     const args = mockPrisma.request.findMany.mock.calls[0][0];
-    expect(args.where.OR[1].AND[1]).toEqual({ userId: { in: [100, 101] } });
+    expect(args.where.OR[2].AND[1]).toEqual({ userId: { in: [100, 101] } });
   });
 
   test("sin hierarchy mode no agrega fallback aunque haya subordinados", async () => {
@@ -120,7 +123,7 @@ describe("User.getTravelRequestsForApprover", () => {
     await User.getTravelRequestsForApprover(10, 2);
 
     const args = mockPrisma.request.findMany.mock.calls[0][0];
-    expect(args.where.OR).toHaveLength(1);
+    expect(args.where.OR).toHaveLength(2);
     expect(mockPrisma.user.findMany).not.toHaveBeenCalled();
   });
 
@@ -1,5 +1,5 @@
 import { describe, expect, test } from "@jest/globals";
-import { resolveN1N2Approvers } from "../../services/approverResolver.js";
+import { resolveN1N2Approvers, resolveStepApprovers } from "../../services/approverResolver.js";
 
 describe("resolveN1N2Approvers", () => {
   test("sin organizationId devuelve approverIds vacío", async () => {
@@ -7,4 +7,49 @@ describe("resolveN1N2Approvers", () => {
     const result = await resolveN1N2Approvers(db, null, 1, 99);
     expect(result).toEqual({ n1UserId: null, n2UserId: null, approverIds: [] });
   });
+
+  test("un ciclo en la jerarquía cae a los aprobadores por rol", async () => {
+    const managerOf = { 9: 7, 7: 9 };
+    const db = {
+      user: {
+        findUnique: async ({ where: { userId } }) => ({ managerUserId: managerOf[userId] ?? null }),
+        findFirst: async ({ where }) => (where.role.roleName === "N1" ? { userId: 3 } : { userId: 4 }),
+      },
+    };
+    const result = await resolveN1N2Approvers(db, 1n, null, 9);
+    expect(result).toEqual({ n1UserId: 3, n2UserId: 4, approverIds: [3, 4] });
+  });
+});
+
+describe("resolveStepApprovers", () => {
+  test("resuelve titulares de target_role, topes de aprobadores y bandas que cubren el importe", async () => {
+    const holders = { Director: 30, CFO: 40 };
+    const limits = { 10: 50000, 20: 100000, 30: 500000, 40: null };
+    const db = {
+      user: {
+        findFirst: async ({ where }) => (holders[where.role.roleName] ? { userId: holders[where.role.roleName] } : null),
+        findMany: async ({ where }) => where.userId.in.map((userId) => ({
+          userId,
+          role: { maxApprovalAmount: limits[userId] },
+        })),
+      },
+      role: {
+        findMany: async ({ where }) => [
+          { roleName: "Director", maxApprovalAmount: 500000 },
+          { roleName: "CFO", maxApprovalAmount: 5000000 },
+          { roleName: "Tesorería", maxApprovalAmount: 9000000 },
+        ].filter((r) => r.maxApprovalAmount >= where.maxApprovalAmount.gte),
+      },
+    };
+
+    const result = await resolveStepApprovers(db, 1n, null, {
+      roleNames: ["Director"],
+      approverIds: [10, 20],
+      amount: 800000,
+    });
+
+    expect(result.roleApprovers).toEqual({ Director: 30 });
+    expect(result.approvalLimits).toEqual({ 10: 50000, 20: 100000, 30: 500000 });
+    expect(result.amountBands).toEqual([{ roleName: "CFO", maxApprovalAmount: 5000000, userId: 40 }]);
+  });
 });
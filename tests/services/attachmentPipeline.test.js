@@ -0,0 +1,169 @@
+/**
+ * @file tests/services/attachmentPipeline.test.js
+ * @description Tipo por magic bytes, PDF activos, limpieza de EXIF, antivirus (stub) de adjuntos y
+ * selección del escáner (producción sin antivirus no acepta archivos).
+ */
+import { jest, describe, test, expect, beforeEach, afterEach } from "@jest/globals";
+import {
+  AttachmentRejectedError,
+  getAttachmentScanner,
+  inspectAttachment,
+  setAttachmentScanner,
+  sniffKind,
+} from "../../services/attachmentPipeline.js";
+import { createStubScanner } from "../../services/attachmentScan/stubScanner.js";
+
+const EICAR = "X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*";
+const PDF = Buffer.from("%PDF-1.7\n1 0 obj << /Type /Catalog >> endobj\n%%EOF\n");
+
+/**
+ * @param {number} marker
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+function jpegSegment(marker, payload) {
+  const header = Buffer.from([0xff, marker, 0, 0]);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * @param {string} type
+ * @param {Buffer} data
+ * @returns {Buffer}
+ */
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  return Buffer.concat([length, Buffer.from(type, "latin1"), data, Buffer.alloc(4)]);
+}
+
+/**
+ * @param {Promise<unknown>} promise
+ * @returns {Promise<AttachmentRejectedError>}
+ */
+async function rejection(promise) {
+  const error = await promise.then(() => null, (e) => e);
+  expect(error).toBeInstanceOf(AttachmentRejectedError);
+  return error;
+}
+
+beforeEach(() => {
+  setAttachmentScanner(createStubScanner());
+});
+
+describe("sniffKind", () => {
+  test("reconoce PDF, XML con BOM, JPG y PNG por contenido", () => {
+    expect(sniffKind(PDF)).toBe("pdf");
+    expect(sniffKind(Buffer.from("\uFEFF  <?xml version=\"1.0\"?><cfdi:Comprobante/>"))).toBe("xml");
+    expect(sniffKind(Buffer.from([0xff, 0xd8, 0xff, 0xe0]))).toBe("jpeg");
+    expect(sniffKind(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))).toBe("png");
+    expect(sniffKind(Buffer.from("MZ\x90\x00"))).toBeNull();
+  });
+});
+
+describe("inspectAttachment", () => {
+  test("rechaza un ejecutable declarado como PDF", async () => {
+    const error = await rejection(inspectAttachment(Buffer.from("MZ\x90\x00 not a pdf"), ["pdf"]));
+    expect(error.reason).toBe("TYPE_MISMATCH");
+  });
+
+  test("rechaza PDF con JavaScript aunque el nombre venga escapado", async () => {
+    const js = Buffer.from("%PDF-1.4\n1 0 obj << /OpenAction << /S /JavaScript /JS (app.alert(1)) >> >>");
+    expect((await rejection(inspectAttachment(js, ["pdf"]))).reason).toBe("PDF_ACTIVE_CONTENT");
+
+    const launch = Buffer.from("%PDF-1.4\n1 0 obj << /A << /S /L#61unch /F (cmd.exe) >> >>");
+    const error = await rejection(inspectAttachment(launch, ["pdf"]));
+    expect(error.message).toContain("/Launch");
+  });
+
+  test("un PDF limpio pasa sin cambios", async () => {
+    const result = await inspectAttachment(PDF, ["pdf"]);
+    expect(result).toEqual({ buffer: PDF, kind: "pdf", contentType: "application/pdf" });
+  });
+
+  test("quita EXIF/GPS de un JPG y conserva los datos de imagen", async () => {
+    const jfif = jpegSegment(0xe0, Buffer.from("JFIF\0\x01\x01"));
+    const exif = jpegSegment(0xe1, Buffer.from("Exif\0\0GPSLatitude 19.4326"));
+    const scan = Buffer.from([0xff, 0xda, 0x00, 0x02, 0x11, 0x22, 0xff, 0xd9]);
+    const image = Buffer.concat([Buffer.from([0xff, 0xd8]), jfif, exif, scan]);
+
+    const result = await inspectAttachment(image, ["jpeg", "png"]);
+    expect(result.contentType).toBe("image/jpeg");
+    expect(result.buffer.includes("GPSLatitude")).toBe(false);
+    expect(result.buffer).toEqual(Buffer.concat([Buffer.from([0xff, 0xd8]), jfif, scan]));
+  });
+
+  test("quita eXIf y chunks de texto de un PNG", async () => {
+    const signature = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    const ihdr = pngChunk("IHDR", Buffer.alloc(13));
+    const idat = pngChunk("IDAT", Buffer.from([1, 2, 3]));
+    const iend = pngChunk("IEND", Buffer.alloc(0));
+    const image = Buffer.concat([
+      signature, ihdr, pngChunk("eXIf", Buffer.from("GPS")), pngChunk("tEXt", Buffer.from("Author\0Ana")), idat, iend,
+    ]);
+
+    const result = await inspectAttachment(image, ["jpeg", "png"]);
+    expect(result.buffer).toEqual(Buffer.concat([signature, ihdr, idat, iend]));
+  });
+
+  test("el antivirus rechaza la firma EICAR", async () => {
+    const infected = Buffer.concat([PDF, Buffer.from(EICAR)]);
+    const error = await rejection(inspectAttachment(infected, ["pdf"]));
+    expect(error).toMatchObject({ code: "ATTACHMENT_REJECTED", reason: "MALWARE" });
+    expect(error.message).toContain("Eicar-Test-Signature");
+  });
+
+  test("si el antivirus no responde devuelve 503 sin poner en cuarentena", async () => {
+    setAttachmentScanner({ name: "down", scan: async () => { throw new Error("ECONNREFUSED"); } });
+    await expect(inspectAttachment(PDF, ["pdf"])).rejects.toEqual({
+      status: 503,
+      message: expect.stringContaining("No se pudo analizar"),
+    });
+  });
+});
+
+describe("selección del escáner", () => {
+  const ENV_KEYS = ["NODE_ENV", "ATTACHMENT_SCANNER", "CLAMD_SOCKET", "CLAMD_HOST"];
+  let saved;
+
+  beforeEach(() => {
+    saved = Object.fromEntries(ENV_KEYS.map((k) => [k, process.env[k]]));
+    for (const k of ENV_KEYS) delete process.env[k];
+    setAttachmentScanner(null);
+  });
+
+  afterEach(() => {
+    for (const k of ENV_KEYS) {
+      if (saved[k] === undefined) delete process.env[k];
+      else process.env[k] = saved[k];
+    }
+    setAttachmentScanner(createStubScanner());
+  });
+
+  test("en producción sin clamd ni opt-in rechaza con 503 en lugar de usar el stub", async () => {
+    process.env.NODE_ENV = "production";
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+
+    expect(() => getAttachmentScanner()).toThrow("sin antivirus en producción");
+    await expect(inspectAttachment(PDF, ["pdf"])).rejects.toMatchObject({ status: 503 });
+    error.mockRestore();
+  });
+
+  test("el stub solo corre en producción si se pide explícitamente; un nombre desconocido falla", () => {
+    process.env.NODE_ENV = "production";
+    process.env.ATTACHMENT_SCANNER = "stub";
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    expect(getAttachmentScanner().name).toBe("stub");
+    warn.mockRestore();
+
+    setAttachmentScanner(null);
+    process.env.ATTACHMENT_SCANNER = "clamav";
+    expect(() => getAttachmentScanner()).toThrow("ATTACHMENT_SCANNER desconocido");
+
+    setAttachmentScanner(null);
+    delete process.env.ATTACHMENT_SCANNER;
+    process.env.NODE_ENV = "development";
+    expect(getAttachmentScanner().name).toBe("stub");
+  });
+});
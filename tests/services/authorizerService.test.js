@@ -11,6 +11,7 @@ const ACC = {
   RECHAZADO: "RECHAZADO",
   ESCALADO: "ESCALADO",
   REASIGNADO: "REASIGNADO",
+  VOTO: "VOTO",
 };
 
 const mockModel = {
@@ -19,6 +20,7 @@ const mockModel = {
   getUserRoleName: jest.fn(),
   getUserMaxApprovalAmount: jest.fn(),
   applyWorkflowAction: jest.fn(),
+  recordApprovalVote: jest.fn(),
 };
 
 await jest.unstable_mockModule("../../models/authorizerModel.js", () => ({
@@ -48,6 +50,12 @@ await jest.unstable_mockModule("../../services/employeeHierarchyService.js", ()
   default: mockHierarchyService,
 }));
 
+// La máquina de estados verifica el permiso de cada transición contra los permisos del actor.
+const mockLoadEffectivePermissions = jest.fn();
+await jest.unstable_mockModule("../../services/permissionService.js", () => ({
+  loadEffectivePermissions: mockLoadEffectivePermissions,
+}));
+
 const { default: authorizerService } = await import(
   "../../services/authorizerService.js"
 );
@@ -58,6 +66,7 @@ beforeEach(() => {
   mockPolicyExceptionService.listPendingForRequest.mockResolvedValue([]);
   mockAnticipoLifecycle.onTravelRequestFullyApproved.mockResolvedValue(undefined);
   mockHierarchyService.getApprovalChain.mockResolvedValue([]);
+  mockLoadEffectivePermissions.mockResolvedValue(["travel_request:authorize"]);
   delete process.env.WORKFLOW_APPROVAL_MODE;
 });
 
@@ -211,3 +220,182 @@ describe("authorizeRequest — coexistencia con modo jerárquico", () => {
     });
   });
 });
+
+describe("authorizeRequest — cadenas de más de dos pasos", () => {
+  const steps = [
+    { level: 1, kind: "manager", userId: 10, roleName: "N1" },
+    { level: 2, kind: "manager", userId: 20, roleName: "N2" },
+    { level: 3, kind: "role", userId: 30, roleName: "Director" },
+  ];
+
+  test("N2 aprueba y la solicitud sigue en Segunda Revisión con el Director como pendiente", async () => {
+    mockModel.getRequestAuthorizationContext.mockResolvedValue({
+      requestStatusId: 3,
+      workflowPreSnapshot: { levels: [1, 2], n1UserId: 10, n2UserId: 20, steps, currentStep: 1 },
+      requestedFee: 800_000,
+      userId: 99,
+    });
+    mockModel.getUserRoleName.mockResolvedValue("N2");
+    mockModel.getUserMaxApprovalAmount.mockResolvedValue(null);
+
+    const result = await authorizerService.authorizeRequest(5, 20);
+
+    expect(result.outcome).toBe("APROBADO");
+    expect(mockModel.applyWorkflowAction).toHaveBeenCalledWith(
+      5,
+      {
+        statusId: 3,
+        workflowPreSnapshot: expect.objectContaining({ currentStep: 2, n2UserId: 30 }),
+      },
+      20,
+      ACC.APROBADO,
+      null,
+    );
+    expect(mockAnticipoLifecycle.onTravelRequestFullyApproved).not.toHaveBeenCalled();
+  });
+
+  test("el Director aprueba el último paso → Cotización del Viaje", async () => {
+    mockModel.getRequestAuthorizationContext.mockResolvedValue({
+      requestStatusId: 3,
+      workflowPreSnapshot: { levels: [1, 2], n1UserId: 10, n2UserId: 30, steps, currentStep: 2 },
+      requestedFee: 800_000,
+      userId: 99,
+    });
+    mockModel.getUserRoleName.mockResolvedValue("Director");
+    mockModel.getUserMaxApprovalAmount.mockResolvedValue(1_000_000);
+
+    const result = await authorizerService.authorizeRequest(5, 30);
+
+    expect(result.outcome).toBe("APROBADO");
+    expect(mockModel.applyWorkflowAction).toHaveBeenCalledWith(5, { statusId: 4 }, 30, ACC.APROBADO, null);
+    expect(mockAnticipoLifecycle.onTravelRequestFullyApproved).toHaveBeenCalledWith(5);
+  });
+
+  test("N2 ya no puede actuar cuando el paso pendiente es del Director", async () => {
+    mockModel.getRequestAuthorizationContext.mockResolvedValue({
+      requestStatusId: 3,
+      workflowPreSnapshot: { levels: [1, 2], n1UserId: 10, n2UserId: 30, steps, currentStep: 2 },
+      requestedFee: 800_000,
+      userId: 99,
+    });
+    mockModel.getUserRoleName.mockResolvedValue("N2");
+
+    await expect(authorizerService.authorizeRequest(5, 20)).rejects.toMatchObject({ status: 400 });
+    expect(mockModel.applyWorkflowAction).not.toHaveBeenCalled();
+  });
+
+  test("el Director puede rechazar en su paso", async () => {
+    mockModel.getRequestAuthorizationContext.mockResolvedValue({
+      requestStatusId: 3,
+      workflowPreSnapshot: { levels: [1, 2], steps, currentStep: 2 },
+      requestedFee: 800_000,
+      userId: 99,
+    });
+    mockModel.getUserRoleName.mockResolvedValue("Director");
+
+    const result = await authorizerService.declineRequest(5, 30, "Fuera de presupuesto");
+
+    expect(result.new_status).toBe("Rechazado");
+    expect(mockModel.applyWorkflowAction).toHaveBeenCalledWith(
+      5,
+      { statusId: 10 },
+      30,
+      ACC.RECHAZADO,
+      "Fuera de presupuesto",
+    );
+  });
+});
+
+describe("pasos paralelos y por quórum", () => {
+  const quorumStep = {
+    level: 2, kind: "role", mode: "quorum", userId: null, roleName: "Finanzas",
+    approverIds: [51, 52, 53], quorum: 2, votes: [], rejections: [],
+  };
+  const steps = [{ level: 1, kind: "manager", userId: 10, roleName: "N1" }, quorumStep];
+
+  /**
+   * Contexto en Segunda Revisión con el paso por quórum pendiente.
+   * @param {number[]} votes
+   * @param {number[]} [rejections]
+   */
+  function atQuorumStep(votes, rejections = []) {
+    const snapshot = {
+      levels: [1, 2],
+      currentStep: 1,
+      steps: [steps[0], { ...quorumStep, votes, rejections }],
+    };
+    mockModel.getRequestAuthorizationContext.mockResolvedValue({
+      requestStatusId: 3,
+      workflowPreSnapshot: snapshot,
+      requestedFee: 40_000,
+      userId: 99,
+    });
+    mockModel.getUserRoleName.mockResolvedValue("Finanzas");
+    // El modelo vuelve a leer estatus y snapshot con la fila bloqueada.
+    mockModel.recordApprovalVote.mockImplementation(async (_id, _actor, decide) =>
+      decide({ requestStatusId: 3, workflowPreSnapshot: snapshot }));
+  }
+
+  test("el primer voto queda como VOTO sin cambiar el estatus", async () => {
+    atQuorumStep([]);
+
+    const result = await authorizerService.authorizeRequest(5, 51);
+
+    expect(result).toEqual({
+      new_status: "Segunda Revisión",
+      outcome: "VOTO",
+      votes: { cast: 1, required: 2, rejected: 0 },
+    });
+    const decision = await mockModel.recordApprovalVote.mock.results[0].value;
+    expect(decision).toMatchObject({ statusId: 3, accion: ACC.VOTO, comentario: "Voto a favor 1 de 2 (paso 2)" });
+    expect(decision.workflowPreSnapshot.steps[1].votes).toEqual([51]);
+    expect(decision.workflowPreSnapshot.pendingApproverIds).toEqual([52, 53]);
+    expect(mockModel.applyWorkflowAction).not.toHaveBeenCalled();
+    expect(mockAnticipoLifecycle.onTravelRequestFullyApproved).not.toHaveBeenCalled();
+  });
+
+  test("el voto que reúne el quórum aprueba el paso → Cotización del Viaje", async () => {
+    atQuorumStep([51]);
+
+    const result = await authorizerService.authorizeRequest(5, 53);
+
+    expect(result.outcome).toBe("APROBADO");
+    expect(result.new_status).toBe("Cotización del Viaje");
+    const decision = await mockModel.recordApprovalVote.mock.results[0].value;
+    expect(decision).toMatchObject({ statusId: 4, accion: ACC.APROBADO });
+    expect(mockAnticipoLifecycle.onTravelRequestFullyApproved).toHaveBeenCalledWith(5);
+  });
+
+  test("409 si el aprobador ya votó; 400 si no es elegible", async () => {
+    atQuorumStep([51]);
+    await expect(authorizerService.authorizeRequest(5, 51)).rejects.toMatchObject({ status: 409 });
+    await expect(authorizerService.authorizeRequest(5, 20)).rejects.toMatchObject({ status: 400 });
+    expect(mockModel.recordApprovalVote).not.toHaveBeenCalled();
+  });
+
+  test("un voto en contra solo rechaza cuando el quórum ya no es alcanzable", async () => {
+    atQuorumStep([], []);
+    const partial = await authorizerService.declineRequest(5, 51, "No hay presupuesto");
+    expect(partial).toMatchObject({ outcome: "VOTO", votes: { cast: 0, required: 2, rejected: 1 } });
+
+    atQuorumStep([], [51]);
+    const final = await authorizerService.declineRequest(5, 52, "Coincido");
+    expect(final).toMatchObject({ outcome: "RECHAZADO", new_status: "Rechazado" });
+    const decision = await mockModel.recordApprovalVote.mock.results[1].value;
+    expect(decision).toMatchObject({ statusId: 10, accion: ACC.RECHAZADO, comentario: "Coincido" });
+  });
+
+  test("409 si otro voto movió la solicitud entre la lectura y el bloqueo", async () => {
+    atQuorumStep([]);
+    mockModel.recordApprovalVote.mockImplementation(async (_id, _actor, decide) =>
+      decide({ requestStatusId: 4, workflowPreSnapshot: { steps, currentStep: 1 } }));
+
+    await expect(authorizerService.authorizeRequest(5, 51)).rejects.toMatchObject({ status: 409 });
+  });
+
+  test("los pasos de grupo no se reasignan", async () => {
+    atQuorumStep([]);
+    await expect(authorizerService.reassignRequest(5, 51, 52, "Vacaciones"))
+      .rejects.toMatchObject({ status: 400 });
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, expect, test } from "@jest/globals";
+import {
+  addBusinessMinutes,
+  businessMinutesBetween,
+  endOfBusinessDay,
+  mexicanFederalHolidays,
+  toBusinessCalendar,
+} from "../../services/businessCalendar.js";
+
+const cdmx = toBusinessCalendar({ timezone: "America/Mexico_City" });
+
+describe("businessCalendar", () => {
+  test("feriados federales de la LFT con lunes móviles y transmisión del Ejecutivo", () => {
+    expect(mexicanFederalHolidays(2026)).toEqual([
+      "2026-01-01", "2026-02-02", "2026-03-16", "2026-05-01", "2026-09-16", "2026-11-16", "2026-12-25",
+    ]);
+    expect(mexicanFederalHolidays(2030)).toContain("2030-10-01");
+  });
+
+  test("addBusinessMinutes salta fin de semana y feriado y arranca en la siguiente apertura", () => {
+    // Viernes 13 nov 2026 16:00 CDMX + 18 h hábiles; el lunes 16 es feriado.
+    const due = addBusinessMinutes(new Date("2026-11-13T22:00:00Z"), 18 * 60, cdmx);
+    expect(due.toISOString()).toBe("2026-11-18T22:00:00.000Z");
+
+    // Sábado: el conteo empieza el lunes 09:00.
+    const fromWeekend = addBusinessMinutes(new Date("2026-10-17T18:00:00Z"), 60, cdmx);
+    expect(fromWeekend.toISOString()).toBe("2026-10-19T16:00:00.000Z");
+  });
+
+  test("businessMinutesBetween es el inverso de addBusinessMinutes", () => {
+    const start = new Date("2026-10-16T16:00:00Z");
+    const end = addBusinessMinutes(start, 18 * 60, cdmx);
+    expect(businessMinutesBetween(start, end, cdmx)).toBe(18 * 60);
+  });
+
+  test("horario, días laborales y cierres propios se respetan en otra zona horaria", () => {
+    const cal = toBusinessCalendar({
+      timezone: "America/Tijuana",
+      workingDays: [1, 2, 3, 4, 5, 6],
+      dayStart: "08:00",
+      dayEnd: "14:00",
+      mexicanHolidays: false,
+      closures: ["2026-10-19"],
+    });
+    // Sábado 17 oct 2026 08:00 PDT (UTC-7) + 7 h: 6 el sábado, el lunes es cierre, 1 el martes.
+    const due = addBusinessMinutes(new Date("2026-10-17T15:00:00Z"), 7 * 60, cal);
+    expect(due.toISOString()).toBe("2026-10-20T16:00:00.000Z");
+  });
+
+  test("endOfBusinessDay termina a las 23:59:59.999 locales del día hábil", () => {
+    expect(endOfBusinessDay(new Date("2026-10-16"), 0, cdmx).toISOString()).toBe("2026-10-17T05:59:59.999Z");
+    expect(endOfBusinessDay(new Date("2026-10-16"), 1, cdmx).toISOString()).toBe("2026-10-20T05:59:59.999Z");
+  });
+});
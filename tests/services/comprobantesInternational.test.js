@@ -1,16 +1,20 @@
 /**
  * @file tests/services/comprobantesInternational.test.js
- * @description insertarComprobanteInternacional persiste tipoCambio vía fxPublicService.
+ * @description insertarComprobanteInternacional persiste tipoCambio RECEIPT_DATE y su procedencia vía fxRateService.
  */
 import { jest, describe, test, expect, beforeEach } from "@jest/globals";
 
 process.env.NODE_ENV ??= "test";
 
-const mockGetFxRate = jest.fn().mockResolvedValue(17.25);
+const provenance = (rate) => ({
+  rateType: "RECEIPT_DATE", provider: "banxico_fix", base: "USD", quote: "MXN", rate,
+  rateDate: "2026-06-05", requestedDate: "2026-06-07", fetchedAt: "2026-06-07T18:00:00.000Z",
+  fromCache: true, inverted: false,
+});
+const mockGetFxRate = jest.fn().mockResolvedValue(provenance(17.25));
 
-await jest.unstable_mockModule("../../services/fxPublicService.js", () => ({
-  getFxRateToTarget: mockGetFxRate,
-  convertAmount: jest.fn(),
+await jest.unstable_mockModule("../../services/fx/fxRateService.js", () => ({
+  getRate: mockGetFxRate,
 }));
 
 await jest.unstable_mockModule("../../services/requestReceiptUploadPolicy.js", () => ({
@@ -40,7 +44,7 @@ const { insertarComprobanteInternacional } = await import("../../services/compro
 
 beforeEach(() => {
   jest.clearAllMocks();
-  mockGetFxRate.mockResolvedValue(17.25);
+  mockGetFxRate.mockResolvedValue(provenance(17.25));
   mockPrisma.cfdiComprobante.findUnique.mockResolvedValue(null);
   ComprobantesModel.findReceiptById.mockResolvedValue({
     receiptId: 99,
@@ -62,12 +66,19 @@ describe("insertarComprobanteInternacional", () => {
 
     const result = await insertarComprobanteInternacional(99, body);
 
-    expect(mockGetFxRate).toHaveBeenCalledWith("USD", "MXN");
+    expect(mockGetFxRate).toHaveBeenCalledWith({
+      organizationId: 101n,
+      base: "USD",
+      quote: "MXN",
+      rateType: "RECEIPT_DATE",
+      date: new Date("2026-06-07T12:00:00.000Z"),
+    });
     expect(txClient.cfdiComprobante.create).toHaveBeenCalledWith(
       expect.objectContaining({
         data: expect.objectContaining({
           moneda: "USD",
           tipoCambio: 17.25,
+          fxProvenance: expect.objectContaining({ provider: "banxico_fix", rateDate: "2026-06-05" }),
           tipoComprobante: "INTERNACIONAL",
           satEstado: "Internacional",
         }),
@@ -87,12 +98,12 @@ describe("insertarComprobanteInternacional", () => {
     expect(mockGetFxRate).not.toHaveBeenCalled();
     expect(txClient.cfdiComprobante.create).toHaveBeenCalledWith(
       expect.objectContaining({
-        data: expect.objectContaining({ tipoCambio: 1 }),
+        data: expect.objectContaining({ tipoCambio: 1, fxProvenance: null }),
       }),
     );
   });
 
-  test("503 si Frankfurter falla", async () => {
+  test("503 si ningún proveedor de la cadena responde", async () => {
     mockGetFxRate.mockRejectedValue(new Error("FX provider error"));
 
     await expect(
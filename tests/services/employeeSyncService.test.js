@@ -1,5 +1,7 @@
 import { jest, describe, test, expect, beforeEach } from "@jest/globals";
 
+process.env.AES_SECRET_KEY ??= "0123456789abcdef0123456789abcdef";
+
 const mockEmployeeModel = {
   findByNoEmpleado: jest.fn(),
   createEmpleado: jest.fn(),
@@ -51,6 +53,19 @@ describe("employeeSyncService.syncEmployee", () => {
     expect(res.accion_realizada).toBe("deactivated");
   });
 
+  test("CLABE opcional: se guarda cifrada con terminación y una inválida responde 400", async () => {
+    mockEmployeeModel.findByNoEmpleado.mockResolvedValue({ empleadoId: 1, status: "A" });
+    const withClabe = (clabe) => ({ ...basePayload, detalle: { ...basePayload.detalle, tipo: "Cambio", clabe } });
+
+    await syncEmployee(1n, withClabe("012180001234567899"), { user_id: 7 });
+    const data = mockEmployeeModel.updateEmpleado.mock.calls[0][2];
+    expect(data).toMatchObject({ clabeLast4: "7899", bankCode: "012" });
+    expect(data.clabeEncrypted).not.toContain("012180001234567899");
+
+    await expect(syncEmployee(1n, withClabe("012180001234567890"), { user_id: 7 })).rejects.toMatchObject({ status: 400 });
+    expect(mockEmployeeModel.updateEmpleado).toHaveBeenCalledTimes(1);
+  });
+
   test("Cambio actualiza campos sin forzar status", async () => {
     mockEmployeeModel.findByNoEmpleado.mockResolvedValue({ empleadoId: 1, status: "A" });
     const payload = { ...basePayload, detalle: { ...basePayload.detalle, tipo: "Cambio", nombre: "Nuevo Nombre" } };
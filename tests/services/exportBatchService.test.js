@@ -0,0 +1,226 @@
+/**
+ * @file tests/services/exportBatchService.test.js
+ * @description Lotes de export contable: numeración, acuse del ERP (cola de pendientes), reversa y
+ * reexportación de lo que la reversa regresó a la cola.
+ */
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+
+process.env.NODE_ENV ??= "test";
+
+const prismaMock = {
+  $executeRaw: jest.fn(),
+  exportBatch: {
+    aggregate: jest.fn(),
+    create: jest.fn(),
+    findFirst: jest.fn(),
+    update: jest.fn(),
+  },
+  exportBatchEvent: { create: jest.fn(), findMany: jest.fn() },
+  accountingPoliza: {
+    findMany: jest.fn(),
+    createMany: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  request: { updateMany: jest.fn() },
+  $transaction: jest.fn(),
+};
+await jest.unstable_mockModule("../../database/config/prisma.js", () => ({ default: prismaMock }));
+
+const mockExportService = {
+  buildPolizasInRange: jest.fn(),
+  persistPolizasTx: jest.fn(),
+  applyPeriodLocks: jest.fn(async (orgId, polizas) => polizas),
+};
+await jest.unstable_mockModule("../../services/accountingExportService.js", () => ({ default: mockExportService }));
+
+const svc = await import("../../services/exportBatchService.js");
+
+const poliza = (docType, requestId) => ({
+  header: { DOC_TYPE: docType, ID_VIAJE: String(requestId), HEADER_TXT: `Viaje # ${requestId}`, PSTNG_DATE: "2026-03-15" },
+  detalle: [
+    { ITEMNO_ACC: 1, SHKZG: "S", GL_ACCOUNT: "6010101", AMT_DOCCUR: 100 },
+    { ITEMNO_ACC: 2, SHKZG: "H", GL_ACCOUNT: "1150101", AMT_DOCCUR: 100 },
+  ],
+});
+
+const batchRow = (over = {}) => ({
+  id: 4, organizationId: 7n, batchNumber: 12, kind: "EXPORT", status: "PENDING_ACK", format: "csv",
+  periodFrom: null, periodTo: null, reversesBatchId: null, createdById: 5, apiKeyId: null,
+  createdAt: new Date("2026-03-31T00:00:00Z"), acknowledgedAt: null, reversedAt: null, ...over,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prismaMock.$transaction.mockImplementation(async (fn) => fn(prismaMock));
+  prismaMock.exportBatch.aggregate.mockResolvedValue({ _max: { batchNumber: 11 } });
+  prismaMock.exportBatch.create.mockImplementation(async ({ data }) => batchRow({ id: 40 + data.batchNumber, ...data }));
+  prismaMock.exportBatch.update.mockImplementation(async ({ data }) => batchRow(data));
+  prismaMock.exportBatchEvent.findMany.mockResolvedValue([]);
+});
+
+describe("exportRangeAsBatch", () => {
+  test("abre el siguiente lote de la org con las pólizas que no están enviadas ni aceptadas", async () => {
+    const r1 = { requestId: 222, organizationId: 7n };
+    const r2 = { requestId: 223, organizationId: 7n };
+    mockExportService.buildPolizasInRange.mockResolvedValue([
+      { request: r1, polizas: [poliza("AV", 222), poliza("GV", 222)] },
+      { request: r2, polizas: [poliza("GV", 223)] },
+      { request: { requestId: 900, organizationId: 8n }, polizas: [poliza("GV", 900)] },
+    ]);
+    // El AV de 222 ya fue aceptado; solo su GV (rechazado antes) vuelve a salir.
+    prismaMock.accountingPoliza.findMany.mockResolvedValue([{ requestId: 222, docType: "AV" }]);
+
+    const { batch, polizas } = await svc.exportRangeAsBatch({
+      organizationId: "7", from: new Date("2026-03-01"), to: new Date("2026-03-31"), format: "csv", actor: { userId: 5 },
+    });
+
+    expect(batch).toMatchObject({ batchNumber: 12, kind: "EXPORT", format: "csv" });
+    expect(polizas.map((p) => `${p.header.DOC_TYPE}-${p.header.ID_VIAJE}`)).toEqual(["GV-222", "GV-223"]);
+    expect(prismaMock.$executeRaw).toHaveBeenCalled();
+    expect(mockExportService.persistPolizasTx).toHaveBeenCalledWith(prismaMock, r1, [polizas[0]], true, { exportBatchId: 52 });
+    expect(prismaMock.request.updateMany).toHaveBeenCalledWith({
+      where: { requestId: { in: [222, 223] } },
+      data: { isExported: true, exportedAt: expect.any(Date) },
+    });
+    expect(prismaMock.exportBatchEvent.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ action: "CREATED", userId: 5, apiKeyId: null }),
+    });
+  });
+
+  test("sin pólizas pendientes no abre lote; las de periodo cerrado quedan pendientes", async () => {
+    mockExportService.buildPolizasInRange.mockResolvedValue([
+      { request: { requestId: 222, organizationId: 7n }, polizas: [], blocked: "accounting period 2026-02 is CLOSED." },
+    ]);
+    const result = await svc.exportRangeAsBatch({ organizationId: 7n, from: new Date(), to: new Date(), format: "json" });
+    expect(result).toEqual({
+      batch: null,
+      polizas: [],
+      skipped: [{ requestId: 222, reason: "accounting period 2026-02 is CLOSED." }],
+    });
+    expect(prismaMock.exportBatch.create).not.toHaveBeenCalled();
+    expect(prismaMock.request.updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe("reversa y reexportación", () => {
+  test("una solicitud reversada con requeue vuelve a salir completa en el siguiente lote", async () => {
+    // Tabla en memoria: los filtros de findMany se aplican de verdad.
+    const store = [
+      { id: "c1", organizationId: 7n, requestId: 222, polizaIndex: 0, docType: "GV", status: "POSTED", exportBatchId: 4, reversalOfId: null, payload: poliza("GV", 222) },
+    ];
+    const matches = (row, where) => Object.entries(where).every(([key, cond]) => {
+      if (key === "reversals") return !store.some((r) => r.reversalOfId === row.id);
+      if (cond && typeof cond === "object" && "in" in cond) return cond.in.includes(row[key]);
+      return row[key] === cond;
+    });
+    prismaMock.accountingPoliza.findMany.mockImplementation(async ({ where }) => store.filter((r) => matches(r, where)));
+    prismaMock.accountingPoliza.createMany.mockImplementation(async ({ data }) => {
+      data.forEach((d, i) => store.push({ id: `m${i}`, ...d }));
+    });
+    prismaMock.accountingPoliza.updateMany.mockImplementation(async ({ where, data }) => {
+      store.filter((r) => matches(r, where)).forEach((r) => Object.assign(r, data));
+    });
+    prismaMock.exportBatch.findFirst.mockResolvedValue(batchRow({ status: "ACKNOWLEDGED" }));
+
+    await svc.reverseBatch(7n, 4, { reason: "Tipo de cambio erróneo", requeue: true }, { userId: 9 });
+    expect(store.map((r) => [r.id, r.status, r.reversalOfId])).toEqual([["c1", "REVERSED", null], ["m0", "EXPORTED", "c1"]]);
+
+    const r222 = { requestId: 222, organizationId: 7n };
+    mockExportService.buildPolizasInRange.mockResolvedValue([{ request: r222, polizas: [poliza("GV", 222)] }]);
+    const { batch, polizas } = await svc.exportRangeAsBatch({
+      organizationId: 7n, from: new Date("2026-03-01"), to: new Date("2026-03-31"), format: "csv",
+    });
+
+    expect(batch).not.toBeNull();
+    expect(polizas.map((p) => `${p.header.DOC_TYPE}-${p.header.ID_VIAJE}`)).toEqual(["GV-222"]);
+    expect(mockExportService.persistPolizasTx).toHaveBeenCalledWith(prismaMock, r222, polizas, true, expect.any(Object));
+  });
+});
+
+describe("acknowledgeBatch", () => {
+  beforeEach(() => {
+    prismaMock.exportBatch.findFirst.mockResolvedValue(batchRow());
+    prismaMock.accountingPoliza.findMany.mockResolvedValue([
+      { id: "c1", requestId: 222, docType: "GV", status: "EXPORTED", erpDocumentNumber: null },
+      { id: "c2", requestId: 223, docType: "GV", status: "EXPORTED", erpDocumentNumber: null },
+    ]);
+  });
+
+  test("registra números de documento y regresa a la cola las rechazadas", async () => {
+    await svc.acknowledgeBatch(7n, 4, [
+      { poliza: "GV-222", status: "posted", documentNumber: "SAP-100045" },
+      { id: "c2", status: "FAILED", errors: [{ ITEMNO_ACC: 2, message: "Cuenta bloqueada" }] },
+    ], { apiKeyId: 3 });
+
+    expect(prismaMock.accountingPoliza.update).toHaveBeenCalledWith({
+      where: { id: "c1" },
+      data: { status: "POSTED", erpDocumentNumber: "SAP-100045", erpErrors: null },
+    });
+    expect(prismaMock.accountingPoliza.update).toHaveBeenCalledWith({
+      where: { id: "c2" },
+      data: { status: "FAILED", erpDocumentNumber: null, erpErrors: [{ ITEMNO_ACC: 2, message: "Cuenta bloqueada" }] },
+    });
+    expect(prismaMock.request.updateMany).toHaveBeenCalledWith({
+      where: { requestId: { in: [223] } },
+      data: { isExported: false, exportedAt: null },
+    });
+    expect(prismaMock.exportBatch.update).toHaveBeenCalledWith({
+      where: { id: 4 },
+      data: { status: "PARTIALLY_FAILED", acknowledgedAt: expect.any(Date) },
+    });
+    expect(prismaMock.exportBatchEvent.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ action: "ACKNOWLEDGED", apiKeyId: 3, detail: expect.objectContaining({ requeuedRequests: [223] }) }),
+    });
+  });
+
+  test("valida referencias y no permite cambiar un acuse previo", async () => {
+    await expect(svc.acknowledgeBatch(7n, 4, [{ poliza: "GV-999", status: "POSTED", documentNumber: "X" }]))
+      .rejects.toMatchObject({ status: 400 });
+    await expect(svc.acknowledgeBatch(7n, 4, [{ poliza: "GV-222", status: "POSTED" }]))
+      .rejects.toMatchObject({ status: 400 });
+
+    prismaMock.accountingPoliza.findMany.mockResolvedValue([
+      { id: "c1", requestId: 222, docType: "GV", status: "POSTED", erpDocumentNumber: "SAP-1" },
+    ]);
+    await svc.acknowledgeBatch(7n, 4, [{ poliza: "GV-222", status: "POSTED", documentNumber: "SAP-1" }]);
+    expect(prismaMock.accountingPoliza.update).not.toHaveBeenCalled();
+    await expect(svc.acknowledgeBatch(7n, 4, [{ poliza: "GV-222", status: "FAILED" }]))
+      .rejects.toMatchObject({ status: 409 });
+  });
+});
+
+describe("reverseBatch", () => {
+  test("crea un lote REVERSAL con pólizas espejo y regresa las solicitudes a la cola", async () => {
+    prismaMock.exportBatch.findFirst.mockResolvedValue(batchRow({ status: "ACKNOWLEDGED" }));
+    prismaMock.accountingPoliza.findMany.mockResolvedValue([
+      { id: "c1", requestId: 222, polizaIndex: 0, docType: "GV", payload: poliza("GV", 222) },
+    ]);
+
+    const result = await svc.reverseBatch(7n, 4, { reason: "Tipo de cambio erróneo", postingDate: "2026-04-02" }, { userId: 9 });
+
+    expect(result.batch).toMatchObject({ kind: "REVERSAL", reversesBatchId: 4, batchNumber: 12 });
+    expect(result.reversed.status).toBe("REVERSED");
+    expect(result.polizas[0].header).toMatchObject({ HEADER_TXT: "Reversa lote 12", PSTNG_DATE: "2026-04-02" });
+    expect(result.polizas[0].detalle.map((l) => l.SHKZG)).toEqual(["H", "S"]);
+    expect(prismaMock.accountingPoliza.createMany).toHaveBeenCalledWith({
+      data: [expect.objectContaining({ reversalOfId: "c1", status: "EXPORTED", exportBatchId: 52 })],
+    });
+    expect(prismaMock.accountingPoliza.updateMany).toHaveBeenCalledWith({
+      where: { id: { in: ["c1"] } },
+      data: { status: "REVERSED" },
+    });
+    expect(prismaMock.request.updateMany).toHaveBeenCalledWith({
+      where: { requestId: { in: [222] } },
+      data: { isExported: false, exportedAt: null },
+    });
+  });
+
+  test("exige motivo y rechaza lotes ya reversados", async () => {
+    await expect(svc.reverseBatch(7n, 4, {})).rejects.toMatchObject({ status: 400 });
+    prismaMock.exportBatch.findFirst.mockResolvedValue(batchRow({ status: "REVERSED" }));
+    await expect(svc.reverseBatch(7n, 4, { reason: "duplicado" })).rejects.toMatchObject({ status: 409 });
+    prismaMock.exportBatch.findFirst.mockResolvedValue(null);
+    await expect(svc.reverseBatch(7n, 4, { reason: "duplicado" })).rejects.toMatchObject({ status: 404 });
+  });
+});
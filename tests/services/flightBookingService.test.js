@@ -0,0 +1,285 @@
+/**
+ * @file tests/services/flightBookingService.test.js
+ * @description Reservas de vuelo: apartado, re-cotización y emisión (con reclamo HELD → TICKETING), avance de
+ * la solicitud y vencimiento de apartados con cancelación en el proveedor.
+ */
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+
+process.env.NODE_ENV ??= "test";
+delete process.env.FLIGHT_PROVIDER;
+
+const prismaMock = {
+  request: { findUnique: jest.fn() },
+  booking: {
+    findFirst: jest.fn(), findMany: jest.fn(), findUnique: jest.fn(), create: jest.fn(), update: jest.fn(), updateMany: jest.fn(),
+  },
+  $executeRawUnsafe: jest.fn(),
+  $transaction: jest.fn(),
+};
+await jest.unstable_mockModule("../../database/config/prisma.js", () => ({ default: prismaMock }));
+
+const mockAttend = jest.fn();
+await jest.unstable_mockModule("../../services/travelAgentService.js", () => ({
+  attendTravelRequest: mockAttend,
+  default: { attendTravelRequest: mockAttend },
+}));
+
+await jest.unstable_mockModule("../../services/requestEventService.js", () => ({
+  emitRequestUpdated: jest.fn(),
+  emitSafe: jest.fn(async (fn) => fn()),
+}));
+
+const mockNotify = jest.fn();
+await jest.unstable_mockModule("../../services/notificationService.js", () => ({
+  createNotification: mockNotify,
+}));
+
+const mockPrefill = jest.fn();
+await jest.unstable_mockModule("../../services/travelerProfileService.js", () => ({
+  prefillPassengersForRequest: mockPrefill,
+}));
+
+const svc = await import("../../services/flightBookingService.js");
+const { MockFlightProvider } = await import("../../services/mockFlightProvider.js");
+
+const ORG = 3n;
+const future = () => new Date(Date.now() + 15 * 60000).toISOString();
+
+const offer = (over = {}) => ({
+  id: "mock-zz-001-MEX-CUN",
+  rawOfferId: "mock-zz-001",
+  airlineName: "Duffel Airways (sandbox)",
+  totalAmount: 2450,
+  totalCurrency: "MXN",
+  expiresAt: future(),
+  ...over,
+});
+
+const requestRow = (segments, over = {}) => ({
+  requestId: 40,
+  organizationId: ORG,
+  requestStatusId: 5,
+  userId: 8,
+  selectedFlightOffer: { version: 2, segments },
+  ...over,
+});
+
+const heldRow = (over = {}) => ({
+  id: 11n,
+  organizationId: ORG,
+  requestId: 40,
+  routerIndex: 0,
+  provider: "mock",
+  offerId: "mock-zz-001",
+  providerOrderId: "mock-ord-1",
+  pnr: "ABC234",
+  status: "HELD",
+  totalAmount: 2450,
+  totalCurrency: "MXN",
+  priceLockExpiresAt: new Date(Date.now() + 10 * 60000),
+  paymentRequiredBy: new Date(Date.now() + 3600000),
+  passengers: [{ givenName: "Ana", familyName: "Ruiz", email: "ana@acme.mx" }],
+  ticketNumbers: [],
+  createdById: 2,
+  createdAt: new Date(),
+  ...over,
+});
+
+const passengers = [{ givenName: "Ana", familyName: "Ruiz", email: "ana@acme.mx" }];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+  prismaMock.$transaction.mockImplementation((fn) => fn(prismaMock));
+  prismaMock.booking.create.mockImplementation(async ({ data }) => ({ id: 11n, createdAt: new Date(), ...data }));
+  prismaMock.booking.update.mockImplementation(async ({ data }) => ({ ...heldRow(), ...data }));
+  prismaMock.booking.updateMany.mockResolvedValue({ count: 1 });
+});
+
+describe("holdFlight", () => {
+  test("aparta el tramo seleccionado en el proveedor mock y guarda la reserva HELD", async () => {
+    prismaMock.request.findUnique.mockResolvedValue(requestRow([{ router_index: 0, offer: offer() }]));
+    prismaMock.booking.findFirst.mockResolvedValue(null);
+
+    const { booking, warnings } = await svc.holdFlight(40, { routerIndex: 0, passengers }, { actorUserId: 2, organizationId: ORG });
+    expect(warnings).toEqual([]);
+
+    expect(booking).toMatchObject({ status: "HELD", provider: "mock", totalAmount: 2450, totalCurrency: "MXN" });
+    expect(booking.pnr).toMatch(/^[A-Z2-9]{6}$/);
+    expect(prismaMock.booking.create.mock.calls[0][0].data).toMatchObject({
+      organizationId: ORG, requestId: 40, routerIndex: 0, offerId: "mock-zz-001", createdById: 2,
+    });
+  });
+
+  test("sin pasajeros usa el perfil de viajero del solicitante y devuelve sus avisos", async () => {
+    prismaMock.request.findUnique.mockResolvedValue(requestRow([{ router_index: 0, offer: offer() }]));
+    prismaMock.booking.findFirst.mockResolvedValue(null);
+    const warning = { code: "PASSPORT_EXPIRES_SOON", message: "…" };
+    mockPrefill.mockResolvedValueOnce({ passengers, warnings: [warning], missing: ["date_of_birth"] });
+
+    const { booking, warnings } = await svc.holdFlight(40, {}, { actorUserId: 2, organizationId: ORG });
+    expect(booking.passengers).toEqual(passengers);
+    expect(warnings).toEqual([warning]);
+
+    mockPrefill.mockResolvedValueOnce({ passengers: [], warnings: [], missing: ["legal_given_name", "legal_family_name"] });
+    await expect(svc.holdFlight(40, {})).rejects.toMatchObject({ status: 400, code: "PROFILE_INCOMPLETE" });
+  });
+
+  test("rechaza ofertas expiradas, tramos ya reservados y solicitudes fuera de Atención Agencia", async () => {
+    prismaMock.request.findUnique.mockResolvedValueOnce(
+      requestRow([{ router_index: 0, offer: offer({ expiresAt: new Date(Date.now() - 1000).toISOString() }) }]),
+    );
+    await expect(svc.holdFlight(40, { passengers })).rejects.toMatchObject({ status: 409, code: "OFFER_EXPIRED" });
+
+    prismaMock.request.findUnique.mockResolvedValueOnce(requestRow([{ router_index: 0, offer: offer() }]));
+    prismaMock.booking.findFirst.mockResolvedValueOnce(heldRow());
+    await expect(svc.holdFlight(40, { passengers })).rejects.toMatchObject({ status: 409, code: "BOOKING_EXISTS" });
+
+    prismaMock.request.findUnique.mockResolvedValueOnce(requestRow([{ router_index: 0, offer: offer() }], { requestStatusId: 4 }));
+    await expect(svc.holdFlight(40, { passengers })).rejects.toMatchObject({ status: 409, code: "REQUEST_NOT_IN_AGENCY" });
+    expect(prismaMock.booking.create).not.toHaveBeenCalled();
+  });
+
+  test("si otra petición ganó el tramo, libera el apartado en el proveedor", async () => {
+    prismaMock.request.findUnique.mockResolvedValue(requestRow([{ router_index: 0, offer: offer() }]));
+    prismaMock.booking.findFirst.mockResolvedValue(null);
+    prismaMock.booking.create.mockRejectedValueOnce(Object.assign(new Error("Unique constraint"), { code: "P2002" }));
+    const cancel = jest.spyOn(MockFlightProvider.prototype, "cancel");
+
+    await expect(svc.holdFlight(40, { passengers })).rejects.toMatchObject({ status: 409, code: "BOOKING_EXISTS" });
+    expect(cancel).toHaveBeenCalledWith(expect.objectContaining({ provider: "mock", providerOrderId: expect.stringMatching(/^mock-ord-/) }));
+  });
+});
+
+describe("ticketBooking", () => {
+  test("precio re-cotizado distinto → 409 PRICE_CHANGED sin emitir", async () => {
+    prismaMock.booking.findFirst.mockResolvedValue(heldRow());
+    jest.spyOn(MockFlightProvider.prototype, "getBooking").mockResolvedValue({
+      providerOrderId: "mock-ord-1", pnr: "ABC234", status: "HELD", totalAmount: 2710, totalCurrency: "MXN",
+    });
+    const confirm = jest.spyOn(MockFlightProvider.prototype, "confirmBooking");
+
+    await expect(svc.ticketBooking("11", {}, { actorUserId: 2, organizationId: ORG })).rejects.toMatchObject({
+      status: 409,
+      code: "PRICE_CHANGED",
+      details: { held: { totalAmount: 2450 }, current: { totalAmount: 2710 } },
+    });
+    expect(confirm).not.toHaveBeenCalled();
+
+    prismaMock.request.findUnique.mockResolvedValue(requestRow([{ router_index: 0, offer: offer() }]));
+    prismaMock.booking.findMany.mockResolvedValue([{ routerIndex: 0 }]);
+    mockAttend.mockResolvedValue({ requestId: 40, newStatus: 6 });
+    const result = await svc.ticketBooking("11", { acceptPriceChange: true }, { actorUserId: 2, organizationId: ORG });
+    expect(confirm).toHaveBeenCalledWith(expect.anything(), { totalAmount: 2710, totalCurrency: "MXN" });
+    expect(result.priceChanged).toBe(true);
+    expect(result.booking.status).toBe("TICKETED");
+  });
+
+  test("emite y avanza la solicitud solo cuando todos los tramos tienen boleto", async () => {
+    prismaMock.booking.findFirst.mockResolvedValue(heldRow());
+    prismaMock.request.findUnique.mockResolvedValue(requestRow([
+      { router_index: 0, offer: offer() },
+      { router_index: 1, offer: offer({ id: "mock-zz-001-CUN-MEX" }) },
+    ]));
+    prismaMock.booking.findMany.mockResolvedValueOnce([{ routerIndex: 0 }]);
+
+    const partial = await svc.ticketBooking("11", {}, { actorUserId: 2, organizationId: ORG });
+    expect(partial.booking.ticketNumbers).toHaveLength(1);
+    expect(partial.request).toEqual({ advanced: false, pendingRouterIndexes: [1] });
+    expect(mockAttend).not.toHaveBeenCalled();
+
+    prismaMock.booking.findMany.mockResolvedValueOnce([{ routerIndex: 0 }, { routerIndex: 1 }]);
+    mockAttend.mockResolvedValue({ requestId: 40, newStatus: 6 });
+    const full = await svc.ticketBooking("11", {}, { actorUserId: 2, organizationId: ORG });
+    expect(full.request).toEqual({ advanced: true, newStatus: 6 });
+    expect(mockAttend).toHaveBeenCalledWith(40, { actorUserId: 2, organizationId: ORG });
+  });
+
+  test("pasa a TICKETING antes de pagar: una emisión simultánea recibe 409 sin pagar", async () => {
+    prismaMock.booking.findFirst.mockResolvedValue(heldRow());
+    prismaMock.booking.updateMany.mockResolvedValueOnce({ count: 0 });
+    const confirm = jest.spyOn(MockFlightProvider.prototype, "confirmBooking");
+
+    await expect(svc.ticketBooking("11", {}, { organizationId: ORG })).rejects.toMatchObject({ status: 409, code: "BOOKING_NOT_HELD" });
+    expect(prismaMock.booking.updateMany).toHaveBeenCalledWith({
+      where: { id: 11n, status: "HELD" },
+      data: { status: "TICKETING", lastError: null },
+    });
+    expect(confirm).not.toHaveBeenCalled();
+  });
+
+  test("si el pago falla la reserva se alinea con el proveedor en lugar de quedar libre para pagar otra vez", async () => {
+    prismaMock.booking.findFirst.mockResolvedValue(heldRow());
+    jest.spyOn(MockFlightProvider.prototype, "confirmBooking").mockRejectedValue({ status: 502, message: "timeout" });
+    const getBooking = jest.spyOn(MockFlightProvider.prototype, "getBooking");
+    getBooking.mockResolvedValueOnce({ providerOrderId: "mock-ord-1", pnr: "ABC234", status: "HELD", totalAmount: 2450, totalCurrency: "MXN" });
+    getBooking.mockRejectedValueOnce(new Error("ECONNRESET"));
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    await expect(svc.ticketBooking("11", {}, { organizationId: ORG })).rejects.toMatchObject({ status: 502 });
+    expect(prismaMock.booking.update).toHaveBeenCalledWith({ where: { id: 11n }, data: { lastError: "timeout" } });
+    expect(prismaMock.booking.update.mock.calls.some(([a]) => a.data.status === "HELD")).toBe(false);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining("queda en TICKETING"), "ECONNRESET");
+  });
+
+  test("la reserva de otra organización responde 404 sin tocar al proveedor", async () => {
+    prismaMock.booking.findFirst.mockResolvedValue(null);
+    const getBooking = jest.spyOn(MockFlightProvider.prototype, "getBooking");
+
+    await expect(svc.ticketBooking("11", {}, { organizationId: 9n })).rejects.toMatchObject({ status: 404 });
+    await expect(svc.refreshBooking("11", { organizationId: 9n })).rejects.toMatchObject({ status: 404 });
+    await expect(svc.cancelBooking("11", { organizationId: 9n })).rejects.toMatchObject({ status: 404 });
+    expect(prismaMock.booking.findFirst).toHaveBeenCalledWith({ where: { id: 11n, organizationId: 9n } });
+    expect(getBooking).not.toHaveBeenCalled();
+    expect(prismaMock.booking.update).not.toHaveBeenCalled();
+
+    prismaMock.booking.findFirst.mockClear();
+    await expect(svc.refreshBooking("11")).rejects.toMatchObject({ status: 404 });
+    expect(prismaMock.booking.findFirst).not.toHaveBeenCalled();
+  });
+
+  test("reserva ya emitida → 409", async () => {
+    prismaMock.booking.findFirst.mockResolvedValue(heldRow({ status: "TICKETED" }));
+    await expect(svc.ticketBooking("11", {}, { organizationId: ORG })).rejects.toMatchObject({ status: 409, code: "BOOKING_NOT_HELD" });
+  });
+});
+
+describe("expireStaleHolds", () => {
+  test("marca vencidos los apartados sin pagar y avisa a quien apartó", async () => {
+    const stale = heldRow({ paymentRequiredBy: new Date(Date.now() - 60000) });
+    prismaMock.booking.findMany.mockResolvedValue([stale]);
+    prismaMock.booking.update.mockImplementation(async ({ data }) => ({ ...stale, ...data }));
+
+    const totals = await svc.expireStaleHolds(new Date());
+
+    expect(totals).toEqual({ scanned: 1, expired: 1, changed: 1, failed: 0 });
+    expect(prismaMock.booking.update).toHaveBeenCalledWith(expect.objectContaining({ data: { status: "EXPIRED" } }));
+    expect(mockNotify).toHaveBeenCalledWith(2, expect.stringContaining("ABC234"));
+  });
+
+  test("cancela en el proveedor el apartado que sigue vigente; si no puede, lo deja HELD para reintentar", async () => {
+    const stale = heldRow({ paymentRequiredBy: new Date(Date.now() - 60000) });
+    prismaMock.booking.findMany.mockResolvedValue([stale]);
+    prismaMock.booking.update.mockImplementation(async ({ data }) => ({ ...stale, ...data }));
+    jest.spyOn(MockFlightProvider.prototype, "getBooking").mockResolvedValue({
+      providerOrderId: "mock-ord-1", pnr: "ABC234", status: "HELD", totalAmount: 2450, totalCurrency: "MXN",
+    });
+    const cancel = jest.spyOn(MockFlightProvider.prototype, "cancel");
+
+    expect(await svc.expireStaleHolds(new Date())).toMatchObject({ expired: 1, failed: 0 });
+    expect(cancel).toHaveBeenCalledWith(expect.objectContaining({ providerOrderId: "mock-ord-1" }));
+    expect(prismaMock.booking.update).toHaveBeenCalledWith(expect.objectContaining({
+      data: { status: "EXPIRED", cancelledAt: expect.any(Date), lastError: null },
+    }));
+
+    prismaMock.booking.update.mockClear();
+    cancel.mockRejectedValueOnce(new Error("provider down"));
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    expect(await svc.expireStaleHolds(new Date())).toMatchObject({ expired: 0, failed: 1 });
+    expect(prismaMock.booking.update.mock.calls.map(([a]) => a.data)).toEqual([
+      { lastError: "Cancelación por vencimiento: provider down" },
+    ]);
+    expect(mockNotify).toHaveBeenCalledTimes(1);
+    error.mockRestore();
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * @file tests/services/fxRateService.test.js
+ * @description Pipeline de tipo de cambio: cadena por tipo y organización, caché en fx_rates,
+ * par inverso, tolerancia de días sin publicación y procedencia.
+ */
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+
+process.env.NODE_ENV ??= "test";
+
+const prismaMock = {
+  fxRate: { findFirst: jest.fn(), findUnique: jest.fn(), createMany: jest.fn() },
+  organizationFxSettings: { findUnique: jest.fn(), upsert: jest.fn() },
+};
+await jest.unstable_mockModule("../../database/config/prisma.js", () => ({ default: prismaMock }));
+
+const mockBanxicoRange = jest.fn();
+await jest.unstable_mockModule("../../services/banxicoService.js", () => ({
+  fetchBanxicoUsdMxnFixingRange: mockBanxicoRange,
+}));
+
+const mockFrankfurterRange = jest.fn();
+await jest.unstable_mockModule("../../services/fxPublicService.js", () => ({
+  fetchFrankfurterRange: mockFrankfurterRange,
+}));
+
+await jest.unstable_mockModule("../../services/exchangeRateService.js", () => ({
+  default: { getWiseRate: jest.fn() },
+}));
+
+const svc = await import("../../services/fx/fxRateService.js");
+
+const ORG = 3n;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  delete process.env.WISE_CLIENT_ID;
+  delete process.env.WISE_CLIENT_SECRET;
+  prismaMock.fxRate.findFirst.mockResolvedValue(null);
+  prismaMock.fxRate.findUnique.mockResolvedValue(null);
+  prismaMock.fxRate.createMany.mockImplementation(async ({ data }) => ({ count: data.length }));
+  prismaMock.organizationFxSettings.findUnique.mockResolvedValue(null);
+  mockBanxicoRange.mockResolvedValue([]);
+  mockFrankfurterRange.mockResolvedValue([]);
+});
+
+describe("getRate", () => {
+  test("FIX usa Banxico, guarda las publicaciones y toma la última dentro de la tolerancia", async () => {
+    mockBanxicoRange.mockResolvedValue([
+      { date: "2026-04-29", rate: 18.1 },
+      { date: "2026-04-30", rate: 18.2 },
+    ]);
+
+    const fx = await svc.getRate({ organizationId: ORG, base: "usd", quote: "MXN", rateType: "FIX", date: "2026-05-03" });
+
+    expect(mockBanxicoRange).toHaveBeenCalledWith("2026-04-28", "2026-05-03");
+    expect(prismaMock.fxRate.createMany.mock.calls[0][0]).toMatchObject({
+      data: [{ rateDate: "2026-04-29", rate: 18.1 }, { rateDate: "2026-04-30", rate: 18.2 }],
+      skipDuplicates: true,
+    });
+    expect(fx).toMatchObject({
+      rateType: "FIX", provider: "banxico_fix", base: "USD", quote: "MXN", rate: 18.2,
+      rateDate: "2026-04-30", requestedDate: "2026-05-03", fromCache: false, inverted: false,
+    });
+  });
+
+  test("una tasa guardada de la fecha pedida no vuelve a consultar al proveedor", async () => {
+    prismaMock.fxRate.findFirst.mockResolvedValue({
+      rateDate: "2026-04-30", rate: "18.20000000", fetchedAt: new Date("2026-04-30T18:15:00Z"),
+    });
+
+    const fx = await svc.getRate({ base: "USD", quote: "MXN", rateType: "FIX", date: "2026-04-30" });
+
+    expect(mockBanxicoRange).not.toHaveBeenCalled();
+    expect(fx).toMatchObject({ rate: 18.2, fromCache: true, fetchedAt: "2026-04-30T18:15:00.000Z" });
+  });
+
+  test("el SPOT del día queda fijo desde su primera consulta", async () => {
+    const now = jest.spyOn(Date, "now").mockReturnValue(new Date("2026-05-04T20:00:00Z").getTime());
+    prismaMock.fxRate.findFirst.mockResolvedValue({
+      rateDate: "2026-05-04", rate: "18.05000000", fetchedAt: new Date("2026-05-04T08:00:00Z"),
+    });
+
+    const fx = await svc.getRate({ base: "USD", quote: "MXN", rateType: "SPOT", date: "2026-05-04" });
+    now.mockRestore();
+
+    expect(mockFrankfurterRange).not.toHaveBeenCalled();
+    expect(mockBanxicoRange).not.toHaveBeenCalled();
+    expect(fx).toMatchObject({ rateType: "SPOT", rate: 18.05, rateDate: "2026-05-04", fromCache: true });
+  });
+
+  test("una fecha ya guardada conserva su tasa aunque el proveedor la publique distinta", async () => {
+    prismaMock.fxRate.findFirst.mockResolvedValue({
+      rateDate: "2026-04-29", rate: "18.10000000", fetchedAt: new Date("2026-04-29T18:15:00Z"),
+    });
+    mockBanxicoRange.mockResolvedValue([{ date: "2026-04-30", rate: 18.35 }]);
+    prismaMock.fxRate.createMany.mockResolvedValue({ count: 0 });
+    prismaMock.fxRate.findUnique.mockResolvedValue({
+      rateDate: "2026-04-30", rate: "18.20000000", fetchedAt: new Date("2026-04-30T18:15:00Z"),
+    });
+
+    const fx = await svc.getRate({ base: "USD", quote: "MXN", rateType: "FIX", date: "2026-05-01" });
+
+    expect(fx).toMatchObject({ rate: 18.2, rateDate: "2026-04-30", fetchedAt: "2026-04-30T18:15:00.000Z" });
+  });
+
+  test("MXN→USD se deriva del par inverso del FIX", async () => {
+    mockBanxicoRange.mockResolvedValue([{ date: "2026-04-30", rate: 20 }]);
+
+    const fx = await svc.getRate({ base: "MXN", quote: "USD", rateType: "FIX", date: "2026-04-30" });
+
+    expect(fx).toMatchObject({ provider: "banxico_fix", base: "MXN", quote: "USD", rate: 0.05, inverted: true });
+  });
+
+  test("sigue la cadena de la organización cuando un proveedor falla", async () => {
+    prismaMock.organizationFxSettings.findUnique.mockResolvedValue({
+      fixProviders: [], spotProviders: [], receiptDateProviders: ["banxico_fix", "frankfurter"], maxStaleDays: 2,
+    });
+    mockBanxicoRange.mockRejectedValue(new Error("Banxico SIE 500"));
+    mockFrankfurterRange.mockResolvedValue([{ date: "2026-06-05", rate: 20.4 }]);
+
+    const fx = await svc.getRate({ organizationId: ORG, base: "USD", quote: "MXN", rateType: "RECEIPT_DATE", date: "2026-06-07" });
+
+    expect(mockBanxicoRange).toHaveBeenCalledWith("2026-06-05", "2026-06-07");
+    expect(mockFrankfurterRange).toHaveBeenCalledWith("USD", "MXN", "2026-06-05", "2026-06-07");
+    expect(fx).toMatchObject({ rateType: "RECEIPT_DATE", provider: "frankfurter", rate: 20.4 });
+  });
+
+  test("sin proveedor que responda → 503 FX_RATE_UNAVAILABLE; misma moneda → identidad", async () => {
+    await expect(svc.getRate({ base: "EUR", quote: "MXN", rateType: "FIX", date: "2026-06-07" }))
+      .rejects.toMatchObject({ status: 503, code: "FX_RATE_UNAVAILABLE", details: { providers: ["banxico_fix"] } });
+
+    const same = await svc.getRate({ base: "MXN", quote: "MXN", rateType: "FIX" });
+    expect(same).toMatchObject({ provider: "identity", rate: 1 });
+    await expect(svc.getRate({ base: "USD", quote: "MXN", rateType: "MID" })).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe("convert / settings / backfill", () => {
+  test("convert devuelve el monto convertido con su procedencia", async () => {
+    mockFrankfurterRange.mockResolvedValue([{ date: "2026-06-05", rate: 20 }]);
+
+    const result = await svc.convert({ amount: 45, from: "EUR", to: "MXN", rateType: "SPOT", date: "2026-06-05" });
+
+    expect(result).toMatchObject({ from: "EUR", to: "MXN", amount: 45, rate: 20, converted: 900, rateDate: "2026-06-05" });
+    expect(result.provenance.provider).toBe("frankfurter");
+  });
+
+  test("upsertFxSettings rechaza proveedores desconocidos", async () => {
+    await expect(svc.upsertFxSettings(ORG, { FIX: ["banxico_fix", "dof"] }))
+      .rejects.toMatchObject({ status: 400, code: "FX_UNKNOWN_PROVIDER" });
+    expect(prismaMock.organizationFxSettings.upsert).not.toHaveBeenCalled();
+  });
+
+  test("backfillRates guarda el rango y valida proveedor histórico", async () => {
+    mockBanxicoRange.mockResolvedValue([{ date: "2026-01-02", rate: 17.9 }, { date: "2026-01-05", rate: 17.8 }]);
+
+    const result = await svc.backfillRates({ startDate: "2026-01-01", endDate: "2026-01-07" });
+
+    expect(result).toEqual({
+      provider: "banxico_fix", base: "USD", quote: "MXN", startDate: "2026-01-01", endDate: "2026-01-07", stored: 2,
+    });
+    expect(prismaMock.fxRate.createMany.mock.calls[0][0].data[1]).toMatchObject({
+      base: "USD", quote: "MXN", provider: "banxico_fix", rateDate: "2026-01-05", rate: 17.8,
+    });
+    await expect(svc.backfillRates({ provider: "wise", startDate: "2026-01-01" }))
+      .rejects.toMatchObject({ status: 400, code: "FX_PROVIDER_NOT_HISTORICAL" });
+  });
+});
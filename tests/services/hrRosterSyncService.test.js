@@ -0,0 +1,210 @@
+/**
+ * @file tests/services/hrRosterSyncService.test.js
+ * @description Sincronización del roster de RH: diff contra User / Empleado, umbrales de seguridad y reporte.
+ */
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import { Readable } from "node:stream";
+
+process.env.NODE_ENV ??= "test";
+
+const prismaMock = {
+  user: { findMany: jest.fn(), create: jest.fn(), update: jest.fn() },
+  department: { findMany: jest.fn() },
+  empleado: { upsert: jest.fn(), updateMany: jest.fn() },
+  role: { findFirst: jest.fn() },
+  hrSyncRun: { findFirst: jest.fn(), create: jest.fn(), update: jest.fn(), updateMany: jest.fn(), findMany: jest.fn() },
+  $transaction: jest.fn(),
+};
+await jest.unstable_mockModule("../../database/config/prisma.js", () => ({ default: prismaMock }));
+
+const mockResolveIntegration = jest.fn();
+await jest.unstable_mockModule("../../services/integrationResolver.js", () => ({
+  resolveIntegration: mockResolveIntegration,
+  invalidateIntegrationCache: jest.fn(),
+}));
+
+const mockStorage = { listObjects: jest.fn(), getObjectStream: jest.fn() };
+await jest.unstable_mockModule("../../services/storageService.js", () => mockStorage);
+
+await jest.unstable_mockModule("../../services/tenantApplicantUserGrants.js", () => ({
+  ensureTenantApplicantUserPermissions: jest.fn(),
+}));
+
+const mockWouldCreateManagerCycle = jest.fn();
+await jest.unstable_mockModule("../../services/employeeHierarchyService.js", () => ({
+  wouldCreateManagerCycle: mockWouldCreateManagerCycle,
+}));
+
+const svc = await import("../../services/onboarding/hrRosterSyncService.js");
+
+const user = (over = {}) => ({
+  userId: 1, userName: "ana", email: "ana@acme.mx", active: true,
+  departmentId: 10, managerUserId: null, noEmpleado: "E1", ...over,
+});
+
+const departments = [
+  { departmentId: 10, departmentName: "Finanzas", costsCenter: "CC10" },
+  { departmentId: 20, departmentName: "Ventas", costsCenter: "CC20" },
+];
+
+const csv = (lines) => Buffer.from(["userName,email,roleName,department,no_empleado,jefe_inmediato,status", ...lines].join("\n"));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prismaMock.$transaction.mockImplementation(async (fn) => fn(prismaMock));
+  prismaMock.hrSyncRun.findFirst.mockResolvedValue(null);
+  prismaMock.hrSyncRun.updateMany.mockResolvedValue({ count: 0 });
+  prismaMock.hrSyncRun.create.mockResolvedValue({ id: 5n });
+  mockWouldCreateManagerCycle.mockResolvedValue(false);
+  prismaMock.hrSyncRun.update.mockImplementation(async ({ data }) => ({
+    id: 5n, organizationId: 7n, trigger: "cron", dryRun: false, startedAt: new Date(), ...data,
+  }));
+  prismaMock.department.findMany.mockResolvedValue(departments);
+  mockResolveIntegration.mockResolvedValue({ prefix: "hr-roster/" });
+  mockStorage.listObjects.mockResolvedValue([
+    { key: "7/hr-roster/2026-10-17.csv", lastModified: new Date("2026-10-17T02:00:00Z") },
+    { key: "7/hr-roster/2026-10-18.csv", lastModified: new Date("2026-10-18T02:00:00Z") },
+    { key: "7/hr-roster/notas.pdf", lastModified: new Date("2026-10-19T02:00:00Z") },
+  ]);
+});
+
+describe("diffRoster", () => {
+  test("detecta altas, vínculos, bajas, reingresos, cambios de jefe y de departamento", () => {
+    const users = [
+      user(),
+      user({ userId: 2, userName: "beto", email: "beto@acme.mx", noEmpleado: "E2", managerUserId: 1 }),
+      user({ userId: 3, userName: "caro", email: "caro@acme.mx", noEmpleado: "E3", active: false }),
+      user({ userId: 4, userName: "dani", email: "dani@acme.mx", noEmpleado: "E4" }),
+      user({ userId: 5, userName: "eli", email: "eli@acme.mx", noEmpleado: "E5" }),
+      user({ userId: 6, userName: "admin", email: "admin@acme.mx", noEmpleado: null }),
+      user({ userId: 7, userName: "fer", email: "fer@acme.mx", noEmpleado: null }),
+    ];
+    const rows = [
+      { userName: "ana", email: "ana@acme.mx", noEmpleado: "E1", department: "Finanzas" },
+      { userName: "beto", email: "beto@acme.mx", noEmpleado: "E2", department: "CC20", managerNoEmpleado: "E9" },
+      { userName: "caro", email: "caro@acme.mx", noEmpleado: "E3" },
+      { userName: "dani", email: "dani@acme.mx", noEmpleado: "E4", sapStatus: "I" },
+      { userName: "gaby", email: "gaby@acme.mx", noEmpleado: "E9", department: "Ventas", managerNoEmpleado: "E1" },
+      { userName: "fer", email: "fer@acme.mx", noEmpleado: "E8" },
+      { userName: "hugo", email: "admin@acme.mx", noEmpleado: "E10", _row: 8 },
+      { userName: "ivan", email: "ivan@acme.mx", noEmpleado: "E2", _row: 9 },
+      { userName: "juan", email: "juan@acme.mx", noEmpleado: "E11", department: "Legal", _row: 10 },
+    ];
+
+    const diff = svc.diffRoster(rows, { users, departments });
+
+    expect(diff.hires.map((h) => h.noEmpleado)).toEqual(["E9", "E11"]);
+    expect(diff.hires[0]).toMatchObject({ userName: "gaby", departmentId: 20, managerNoEmpleado: "E1" });
+    expect(diff.links).toEqual([expect.objectContaining({ noEmpleado: "E8", userId: 7 })]);
+    expect(diff.reactivations.map((r) => r.noEmpleado)).toEqual(["E3"]);
+    expect(diff.terminations).toEqual([
+      expect.objectContaining({ noEmpleado: "E4", reason: "BAJA" }),
+      expect.objectContaining({ noEmpleado: "E5", reason: "AUSENTE" }),
+    ]);
+    expect(diff.departmentMoves).toEqual([
+      expect.objectContaining({ noEmpleado: "E2", departmentId: 20, from: "Finanzas", to: "Ventas" }),
+    ]);
+    expect(diff.managerChanges).toEqual([expect.objectContaining({ noEmpleado: "E2", from: "E1", to: "E9" })]);
+    expect(diff.errors).toEqual([
+      { row: 9, noEmpleado: "E2", message: "noEmpleado duplicado en el roster." },
+      { row: 8, noEmpleado: "E10", message: "email admin@acme.mx ya existe." },
+      expect.objectContaining({ row: 10, message: expect.stringContaining("Legal") }),
+    ]);
+    // El usuario sin noEmpleado que no viene en el roster (admin) no se toca.
+    expect(diff.base).toBe(4);
+  });
+
+  test("umbrales: porcentaje sobre empleados activos ligados; inválidos caen al default", () => {
+    const thresholds = svc.resolveThresholds({ maxDeactivationPct: "abc", maxHirePct: 50, maxManagerChangePct: null });
+    expect(thresholds).toEqual({ maxDeactivationPct: 10, maxHirePct: 50, maxManagerChangePct: null, maxDepartmentMovePct: null });
+
+    const diff = { base: 20, terminations: [1, 2, 3], hires: [1], managerChanges: [], departmentMoves: [] };
+    expect(svc.exceededThresholds(diff, thresholds)).toEqual([
+      { threshold: "maxDeactivationPct", count: 3, base: 20, pct: 15, limit: 10 },
+    ]);
+    expect(svc.exceededThresholds({ ...diff, base: 0 }, thresholds)).toEqual([]);
+  });
+});
+
+describe("runRosterSync", () => {
+  test("aborta sin aplicar nada si las bajas rebasan el umbral y guarda el reporte", async () => {
+    prismaMock.user.findMany.mockResolvedValue([
+      user(), user({ userId: 2, userName: "beto", email: "beto@acme.mx", noEmpleado: "E2" }),
+    ]);
+    mockStorage.getObjectStream.mockResolvedValue({ body: Readable.from([csv(["ana,ana@acme.mx,Solicitante,Finanzas,E1,,A"])]) });
+
+    const run = await svc.runRosterSync(7n);
+
+    expect(mockStorage.listObjects).toHaveBeenCalledWith(7n, "hr-roster/");
+    expect(mockStorage.getObjectStream).toHaveBeenCalledWith("7/hr-roster/2026-10-18.csv");
+    expect(run.status).toBe("ABORTED");
+    expect(run.summary).toMatchObject({ terminations: 1, hires: 0 });
+    expect(run.report.exceeded).toEqual([{ threshold: "maxDeactivationPct", count: 1, base: 2, pct: 50, limit: 10 }]);
+    expect(prismaMock.user.update).not.toHaveBeenCalled();
+    expect(prismaMock.empleado.updateMany).not.toHaveBeenCalled();
+  });
+
+  test("aplica bajas y cambios de departamento; omite un archivo ya aplicado", async () => {
+    mockResolveIntegration.mockResolvedValue({ prefix: "hr-roster/", maxDeactivationPct: 60 });
+    prismaMock.user.findMany.mockResolvedValue([
+      user(), user({ userId: 2, userName: "beto", email: "beto@acme.mx", noEmpleado: "E2" }),
+    ]);
+    mockStorage.getObjectStream.mockImplementation(async () => ({
+      body: Readable.from([csv(["ana,ana@acme.mx,Solicitante,Ventas,E1,,A", "beto,beto@acme.mx,Solicitante,,E2,,I"])]),
+    }));
+
+    const run = await svc.runRosterSync(7n, { trigger: "manual", triggeredById: 3 });
+
+    expect(run.status).toBe("APPLIED");
+    expect(run.fileChecksum).toMatch(/^[0-9a-f]{64}$/);
+    expect(prismaMock.user.update).toHaveBeenCalledWith({ where: { userId: 2, organizationId: 7n }, data: { active: false } });
+    expect(prismaMock.empleado.updateMany).toHaveBeenCalledWith({
+      where: { organizationId: 7n, noEmpleado: "E2" },
+      data: { status: "I", usuarioUltimaModificacion: "hr_sync" },
+    });
+    expect(prismaMock.user.update).toHaveBeenCalledWith({ where: { userId: 1, organizationId: 7n }, data: { departmentId: 20 } });
+    expect(prismaMock.hrSyncRun.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ organizationId: 7n, trigger: "manual", triggeredById: 3 }),
+    });
+
+    prismaMock.hrSyncRun.findFirst.mockResolvedValueOnce({ id: 4n });
+    const again = await svc.runRosterSync(7n);
+    expect(again.status).toBe("SKIPPED");
+    expect(again.report.reason).toContain("corrida 4");
+  });
+
+  test("rechaza archivos de otra org y corridas simultáneas", async () => {
+    await expect(svc.runRosterSync(7n, { key: "8/hr-roster/x.csv" })).rejects.toMatchObject({ status: 400 });
+    expect(prismaMock.hrSyncRun.create).not.toHaveBeenCalled();
+
+    // El índice único parcial de RUNNING rechaza la segunda corrida.
+    prismaMock.hrSyncRun.create.mockRejectedValue(Object.assign(new Error("Unique constraint"), { code: "P2002" }));
+    prismaMock.hrSyncRun.findFirst.mockResolvedValue({ id: 3n });
+    await expect(svc.runRosterSync(7n)).rejects.toMatchObject({ status: 409, message: expect.stringContaining("corrida 3") });
+    expect(prismaMock.hrSyncRun.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({ organizationId: 7n, status: "RUNNING", startedAt: { lte: expect.any(Date) } }),
+      data: expect.objectContaining({ status: "FAILED" }),
+    }));
+    expect(mockStorage.listObjects).not.toHaveBeenCalled();
+  });
+
+  test("un cambio de jefe que cerraría un ciclo queda como conflicto sin aplicarse", async () => {
+    prismaMock.user.findMany.mockImplementation(async ({ where }) => (where.noEmpleado
+      ? [{ userId: 1, noEmpleado: "E1" }, { userId: 2, noEmpleado: "E2" }]
+      : [user(), user({ userId: 2, userName: "beto", email: "beto@acme.mx", noEmpleado: "E2", managerUserId: 1 })]));
+    mockWouldCreateManagerCycle.mockImplementation(async (userId, managerUserId) => userId === 1 && managerUserId === 2);
+    mockStorage.getObjectStream.mockResolvedValue({
+      body: Readable.from([csv(["ana,ana@acme.mx,Solicitante,Finanzas,E1,E2,A", "beto,beto@acme.mx,Solicitante,Finanzas,E2,E1,A"])]),
+    });
+
+    const run = await svc.runRosterSync(7n);
+
+    expect(run.status).toBe("APPLIED");
+    expect(mockWouldCreateManagerCycle).toHaveBeenCalledWith(1, 2);
+    expect(run.summary).toMatchObject({ managerChanges: 1, conflicts: 1, failures: 0 });
+    expect(run.report.conflicts).toEqual([
+      { action: "managerChange", noEmpleado: "E1", message: expect.stringContaining("ciclo") },
+    ]);
+    expect(prismaMock.user.update).not.toHaveBeenCalledWith(expect.objectContaining({ data: { managerUserId: 2 } }));
+  });
+});
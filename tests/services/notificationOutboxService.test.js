@@ -0,0 +1,206 @@
+/**
+ * @file tests/services/notificationOutboxService.test.js
+ * @description Outbox de notificaciones: eventos de workflow en la transacción del cambio de estatus,
+ * expansión en entregas, envío por canal con id del proveedor, backoff, poda de suscripciones push
+ * vencidas y reintento desde el admin.
+ */
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+
+process.env.NODE_ENV ??= "test";
+
+const prismaMock = {
+  notificationOutbox: { findMany: jest.fn(), updateMany: jest.fn(), update: jest.fn(), create: jest.fn() },
+  notificationDelivery: {
+    findMany: jest.fn(), findFirst: jest.fn(), updateMany: jest.fn(), update: jest.fn(), createMany: jest.fn(),
+  },
+  notification: { create: jest.fn() },
+  pushSubscription: { findMany: jest.fn(), deleteMany: jest.fn() },
+  user: { findUnique: jest.fn() },
+  $executeRawUnsafe: jest.fn(),
+  $transaction: jest.fn(async (fn) => fn(prismaMock)),
+};
+await jest.unstable_mockModule("../../database/config/prisma.js", () => ({ default: prismaMock }));
+
+const mockSendMail = jest.fn();
+await jest.unstable_mockModule("../../services/email/mail.cjs", () => ({ sendMail: mockSendMail }));
+
+const mockSendPush = jest.fn();
+await jest.unstable_mockModule("../../services/webPushService.js", () => ({
+  sendPushNotification: mockSendPush,
+  isPushConfigured: () => true,
+}));
+
+await jest.unstable_mockModule("../../middleware/decryption.js", () => ({
+  decrypt: jest.fn((v) => `dec-${v}`),
+}));
+
+const mockEmitNotification = jest.fn();
+await jest.unstable_mockModule("../../services/requestEventService.js", () => ({
+  emitNotificationCreated: mockEmitNotification,
+  emitSafe: jest.fn(async (fn) => fn()),
+}));
+
+const svc = await import("../../services/notificationOutboxService.js");
+
+const ORG = 2n;
+const NOW = new Date("2026-07-01T12:00:00Z");
+
+const delivery = (over = {}) => ({
+  id: 10n,
+  organizationId: ORG,
+  outboxId: 1n,
+  userId: 5,
+  channel: "EMAIL",
+  status: "PENDING",
+  subject: "Solicitud aprobada",
+  body: "Tu solicitud #7 fue aprobada.",
+  html: "<p>Tu solicitud #7 fue aprobada.</p>",
+  pushSubscriptionId: null,
+  pushSubscription: null,
+  attempts: 0,
+  maxAttempts: 6,
+  lockedUntil: null,
+  ...over,
+});
+
+/** Cola con estas entregas; el reclamo siempre gana. */
+const queueDeliveries = (...rows) => {
+  prismaMock.notificationDelivery.findMany.mockResolvedValue(rows);
+  prismaMock.notificationDelivery.updateMany.mockResolvedValue({ count: 1 });
+};
+
+const lastDeliveryUpdate = () => prismaMock.notificationDelivery.update.mock.calls.at(-1)[0];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prismaMock.notificationOutbox.findMany.mockResolvedValue([]);
+  prismaMock.notificationDelivery.findMany.mockResolvedValue([]);
+  prismaMock.user.findUnique.mockResolvedValue({ email: "enc" });
+});
+
+describe("escritura en la transacción", () => {
+  test("mapea la acción del historial al evento y VOTO no genera evento", async () => {
+    const tx = { notificationOutbox: { create: jest.fn(async ({ data }) => data) } };
+
+    await svc.enqueueWorkflowEvent(tx, { organizationId: 2, requestId: 7, accion: "APROBADO", actorUserId: 10 });
+    await svc.enqueueWorkflowEvent(tx, { organizationId: 2, requestId: 7, accion: "RECHAZADO", actorUserId: 10, comentario: "Sin factura" });
+    expect(await svc.enqueueWorkflowEvent(tx, { organizationId: 2, requestId: 7, accion: "VOTO", actorUserId: 10 })).toBeNull();
+
+    expect(tx.notificationOutbox.create.mock.calls.map(([a]) => a.data)).toEqual([
+      { organizationId: ORG, eventCode: "request.approved", requestId: 7, payload: { approverUserId: 10 } },
+      { organizationId: ORG, eventCode: "request.rejected", requestId: 7, payload: { reason: "Sin factura" } },
+    ]);
+  });
+
+  test("backoff exponencial con tope de 6 horas", () => {
+    expect([1, 2, 3, 4].map(svc.backoffDelayMs)).toEqual([60000, 120000, 240000, 480000]);
+    expect(svc.backoffDelayMs(20)).toBe(6 * 60 * 60 * 1000);
+  });
+});
+
+describe("worker", () => {
+  test("expande el evento en entregas y lo marca DISPATCHED en la misma transacción", async () => {
+    prismaMock.notificationOutbox.findMany.mockResolvedValue([
+      { id: 1n, organizationId: ORG, eventCode: "request.approved", requestId: 7, payload: { approverUserId: 10 }, status: "PENDING", attempts: 0, lockedUntil: null },
+    ]);
+    prismaMock.notificationOutbox.updateMany.mockResolvedValue({ count: 1 });
+    const handler = jest.fn(async () => [{ organizationId: ORG, userId: 5, channel: "INAPP", body: "ok" }]);
+
+    const totals = await svc.dispatchDueEvents({ "request.approved": handler }, { now: NOW });
+
+    expect(totals).toMatchObject({ events: 1, dispatched: 1, deliveries: 1 });
+    expect(handler).toHaveBeenCalledWith(expect.objectContaining({ id: 1n, attempts: 1, status: "PROCESSING" }));
+    expect(prismaMock.notificationOutbox.updateMany.mock.calls[0][0].where).toEqual({ id: 1n, status: "PENDING", lockedUntil: null });
+    expect(prismaMock.notificationDelivery.createMany.mock.calls[0][0].data).toEqual([
+      { organizationId: ORG, userId: 5, channel: "INAPP", body: "ok", maxAttempts: 6, outboxId: 1n },
+    ]);
+    expect(prismaMock.notificationOutbox.update.mock.calls[0][0].data.status).toBe("DISPATCHED");
+  });
+
+  test("el correo guarda el Message-ID del servidor SMTP", async () => {
+    queueDeliveries(delivery());
+    mockSendMail.mockResolvedValue({ messageId: "<abc@smtp.ditta.mx>" });
+
+    const totals = await svc.deliverDue({ now: NOW });
+
+    expect(mockSendMail).toHaveBeenCalledWith({
+      to: "dec-enc", subject: "Solicitud aprobada", html: "<p>Tu solicitud #7 fue aprobada.</p>",
+    });
+    expect(totals).toMatchObject({ deliveries: 1, sent: 1 });
+    expect(lastDeliveryUpdate().data).toMatchObject({
+      status: "SENT", providerMessageId: "<abc@smtp.ditta.mx>", lastStatusCode: 250, lockedUntil: null,
+    });
+  });
+
+  test("un error transitorio reprograma con backoff; 5xx SMTP queda FAILED", async () => {
+    queueDeliveries(delivery({ attempts: 2 }));
+    mockSendMail.mockRejectedValue(Object.assign(new Error("Connection timeout"), { code: "ETIMEDOUT" }));
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    expect(await svc.deliverDue({ now: NOW })).toMatchObject({ retried: 1, failed: 0 });
+    expect(lastDeliveryUpdate().data).toMatchObject({
+      status: "PENDING", lastError: "Connection timeout", nextAttemptAt: new Date(NOW.getTime() + 240000),
+    });
+
+    mockSendMail.mockRejectedValue(Object.assign(new Error("550 mailbox unavailable"), { responseCode: 550 }));
+    expect(await svc.deliverDue({ now: NOW })).toMatchObject({ retried: 0, failed: 1 });
+    expect(lastDeliveryUpdate().data).toMatchObject({ status: "FAILED", lastStatusCode: 550 });
+    warn.mockRestore();
+  });
+
+  test("push 410 elimina la suscripción y cancela la entrega", async () => {
+    const subscription = { id: 4, endpoint: "https://push.example/abc", p256dh: "k", auth: "a" };
+    queueDeliveries(delivery({ channel: "PUSH", pushSubscriptionId: 4, pushSubscription: subscription }));
+    mockSendPush.mockRejectedValue(Object.assign(new Error("Gone"), { statusCode: 410 }));
+
+    const totals = await svc.deliverDue({ now: NOW });
+
+    expect(mockSendPush).toHaveBeenCalledWith(subscription, "Tu solicitud #7 fue aprobada.");
+    expect(prismaMock.pushSubscription.deleteMany).toHaveBeenCalledWith({ where: { id: 4 } });
+    expect(totals).toMatchObject({ cancelled: 1, pruned: 1, retried: 0 });
+    expect(lastDeliveryUpdate().data).toMatchObject({ status: "CANCELLED", lastStatusCode: 410 });
+  });
+
+  test("in-app crea la notificación y marca SENT con su id en una transacción", async () => {
+    queueDeliveries(delivery({ channel: "INAPP", subject: null, html: null }));
+    prismaMock.notification.create.mockResolvedValue({ notificationId: 77, userId: 5 });
+
+    await svc.deliverDue({ now: NOW });
+
+    expect(prismaMock.notification.create.mock.calls[0][0].data).toEqual({
+      userId: 5, organizationId: ORG, message: "Tu solicitud #7 fue aprobada.",
+    });
+    expect(lastDeliveryUpdate().data).toMatchObject({ status: "SENT", providerMessageId: "77" });
+    expect(mockEmitNotification).toHaveBeenCalledWith({ notificationId: 77, userId: 5 });
+  });
+
+  test("no envía lo que otra réplica ya reclamó", async () => {
+    prismaMock.notificationDelivery.findMany.mockResolvedValue([delivery()]);
+    prismaMock.notificationDelivery.updateMany.mockResolvedValue({ count: 0 });
+
+    expect(await svc.deliverDue({ now: NOW })).toMatchObject({ deliveries: 0, sent: 0 });
+    expect(mockSendMail).not.toHaveBeenCalled();
+  });
+});
+
+describe("admin", () => {
+  test("solo se reintentan entregas FAILED y vuelven a cola con intentos en cero", async () => {
+    prismaMock.notificationDelivery.findFirst.mockResolvedValue(delivery({ status: "SENT" }));
+    await expect(svc.retryDelivery(ORG, "10")).rejects.toMatchObject({ status: 409 });
+    expect(prismaMock.notificationDelivery.updateMany).not.toHaveBeenCalled();
+
+    prismaMock.notificationDelivery.findFirst.mockResolvedValue(delivery({ status: "FAILED", attempts: 6 }));
+    prismaMock.notificationDelivery.updateMany.mockResolvedValue({ count: 1 });
+    const retried = await svc.retryDelivery(ORG, "10");
+
+    expect(prismaMock.notificationDelivery.findFirst.mock.calls[1][0].where).toEqual({ id: 10n, organizationId: ORG });
+    expect(prismaMock.notificationDelivery.updateMany.mock.calls[0][0]).toMatchObject({
+      where: { id: 10n, status: "FAILED" },
+      data: { status: "PENDING", attempts: 0 },
+    });
+    expect(retried).toMatchObject({ id: "10", status: "PENDING", attempts: 0 });
+
+    prismaMock.notificationDelivery.findFirst.mockResolvedValue(null);
+    await expect(svc.retryDelivery(ORG, "11")).rejects.toMatchObject({ status: 404 });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * @file tests/services/notificationTemplateService.test.js
+ * @description Motor de plantillas (filtros, condicionales, ciclos, escape y límites) y resolución por
+ * cadena de locales, layout de la organización y vista previa contra una solicitud.
+ */
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+
+process.env.NODE_ENV ??= "test";
+
+const prismaMock = {
+  notificationTemplate: { findMany: jest.fn(), create: jest.fn(), findFirst: jest.fn(), delete: jest.fn() },
+  notificationLayout: { upsert: jest.fn() },
+  organization: { findUnique: jest.fn() },
+  request: { findFirst: jest.fn() },
+};
+await jest.unstable_mockModule("../../database/config/prisma.js", () => ({ default: prismaMock }));
+
+const { renderTemplate, compileTemplate } = await import("../../services/notificationTemplateEngine.js");
+const svc = await import("../../services/notificationTemplateService.js");
+
+const ORG = 4n;
+
+/** Solicitud con lo que selecciona REQUEST_CONTEXT_SELECT. */
+const REQUEST_CTX = {
+  requestId: 42,
+  organizationId: ORG,
+  userId: 5,
+  tripName: "Visita a planta",
+  requestedFee: "15250.5",
+  imposedFee: null,
+  tripEndDate: new Date("2026-08-14T00:00:00Z"),
+  creationDate: new Date("2026-07-01T16:00:00Z"),
+  requestStatus: { status: "Primera revisión" },
+  user: { userName: "Ana" },
+  organization: { nombre: "Ditta", baseCurrency: "MXN" },
+  routeRequests: [
+    { route: { routerIndex: 1, originCity: { cityName: "Monterrey" }, originCountry: { countryName: "México" },
+      destinationCity: { cityName: "Austin" }, destinationCountry: { countryName: "Estados Unidos" },
+      beginningDate: new Date("2026-08-12T00:00:00Z"), endingDate: new Date("2026-08-14T00:00:00Z"), hotelNeeded: true } },
+    { route: { routerIndex: 0, originCity: { cityName: "CDMX" }, originCountry: { countryName: "México" },
+      destinationCity: { cityName: "Monterrey" }, destinationCountry: { countryName: "México" },
+      beginningDate: new Date("2026-08-10T00:00:00Z"), endingDate: null, planeNeeded: true } },
+  ],
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prismaMock.notificationTemplate.findMany.mockResolvedValue([]);
+  prismaMock.organization.findUnique.mockResolvedValue({ nombre: "Ditta", logoUrl: "https://cdn.ditta.mx/logo.png", notificationLayout: null });
+});
+
+describe("notificationTemplateEngine", () => {
+  test("filtros de moneda, fecha y default; condicionales con comparación", () => {
+    const vars = svc.requestTemplateVars(REQUEST_CTX);
+    const out = renderTemplate(
+      "{{request.tripName | upper}}: {{request.requestedFee | currency}} al {{request.tripEndDate | date:\"long\"}}" +
+        "{{#if request.requestedFee > 10000}} (monto alto){{/if}}{{#unless request.imposedFee}}, sin ajuste{{/unless}}" +
+        " — {{reason | default:\"sin motivo\"}}",
+      vars,
+    );
+    expect(out).toBe("VISITA A PLANTA: $15,250.50 al 14 de agosto de 2026 (monto alto), sin ajuste — sin motivo");
+    expect(renderTemplate("{{amount | currency:\"USD\"}}", { amount: 80 }, { locale: "en" })).toBe("$80.00");
+  });
+
+  test("recorre los tramos en orden con loop y else en lista vacía", () => {
+    const vars = svc.requestTemplateVars(REQUEST_CTX);
+    const tpl = "{{#each routes as r}}{{loop.index}}. {{r.originCity}} → {{r.destinationCity}}" +
+      "{{#if r.hotelNeeded}} (hotel){{/if}}{{#unless loop.last}}; {{/unless}}{{else}}sin tramos{{/each}}";
+    expect(renderTemplate(tpl, vars)).toBe("1. CDMX → Monterrey; 2. Monterrey → Austin (hotel)");
+    expect(renderTemplate(tpl, { routes: [] })).toBe("sin tramos");
+  });
+
+  test("escapa en html, no sale de propiedades propias y reporta la sintaxis inválida", () => {
+    expect(renderTemplate("<p>{{reason}}</p>", { reason: "<script>x</script>" }, { mode: "html" }))
+      .toBe("<p>&lt;script&gt;x&lt;/script&gt;</p>");
+    expect(renderTemplate("[{{a.toString}}{{a.hasOwnProperty}}{{routes.length}}]", { a: {}, routes: [1, 2] })).toBe("[2]");
+    expect(() => compileTemplate("{{a.constructor.name}}")).toThrow(expect.objectContaining({ code: "TEMPLATE_SYNTAX" }));
+    expect(() => compileTemplate("{{#if x}}sin cierre")).toThrow(expect.objectContaining({ status: 400, code: "TEMPLATE_SYNTAX" }));
+    expect(() => compileTemplate("{{x | eval}}")).toThrow(expect.objectContaining({ code: "TEMPLATE_SYNTAX" }));
+  });
+});
+
+describe("resolución de plantillas", () => {
+  test("la cadena de locales va del usuario al idioma base y termina en es-MX → es → en", () => {
+    expect(svc.localeChain("pt-br")).toEqual(["pt-BR", "pt", "es-MX", "es", "en"]);
+    expect(svc.localeChain(null)).toEqual(["es-MX", "es", "en"]);
+  });
+
+  test("usa la plantilla del primer locale disponible de la cadena", async () => {
+    prismaMock.notificationTemplate.findMany.mockResolvedValue([
+      { locale: "es-MX", subject: null, body: "Aprobada #{{requestId}}" },
+      { locale: "en", subject: null, body: "Request #{{requestId}} approved by {{approverName}}" },
+    ]);
+    const msg = await svc.resolveMessage("request.approved", "INAPP", { requestId: 7, approverName: "Kevin" }, {
+      organizationId: ORG, locale: "en-GB",
+    });
+    expect(prismaMock.notificationTemplate.findMany.mock.calls[0][0].where).toMatchObject({
+      organizationId: ORG, code: "request.approved", channel: "INAPP", active: true,
+      locale: { in: ["en-GB", "en", "es-MX", "es"] },
+    });
+    expect(msg).toEqual({ subject: null, body: "Request #7 approved by Kevin", locale: "en" });
+  });
+
+  test("si la plantilla de la organización no renderiza usa la de respaldo", async () => {
+    prismaMock.notificationTemplate.findMany.mockResolvedValue([{ locale: "es-MX", subject: "x", body: "{{#each reason}}" }]);
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const msg = await svc.resolveMessage("request.rejected", "EMAIL", { requestId: 9, reason: "Falta <factura>" }, { organizationId: ORG });
+    warn.mockRestore();
+    expect(msg.subject).toBe("Tu solicitud fue rechazada");
+    expect(msg.body).toBe("Tu solicitud #9 fue rechazada. Motivo: Falta &lt;factura&gt;.");
+  });
+
+  test("el correo usa el layout de la organización con logo y contenido sin doble escape", async () => {
+    const html = await svc.renderEmailHtml(ORG, { userName: "Ana & Co", body: "Línea 1\nLínea <b>2</b>" });
+    expect(html).toContain('<img src="https://cdn.ditta.mx/logo.png" alt="Ditta"');
+    expect(html).toContain("Hola <strong>Ana &amp; Co</strong>");
+    expect(html).toContain("Línea 1\nLínea <b>2</b>");
+
+    prismaMock.organization.findUnique.mockResolvedValue({
+      nombre: "Ditta", logoUrl: "javascript:alert(1)", notificationLayout: { html: "<main>{{content}}</main>{{organization.logoUrl}}" },
+    });
+    expect(await svc.renderEmailHtml(ORG, { userName: "Ana", body: "Hola" })).toBe("<main><p>Hola</p></main>");
+  });
+});
+
+describe("administración", () => {
+  test("crear valida sintaxis y subject de EMAIL, y responde 409 si ya existe", async () => {
+    await expect(svc.createTemplate(ORG, { code: "request.approved", channel: "EMAIL", body: "ok" }))
+      .rejects.toMatchObject({ status: 400 });
+    await expect(svc.createTemplate(ORG, { code: "request.approved", channel: "INAPP", body: "{{/if}}" }))
+      .rejects.toMatchObject({ status: 400, code: "TEMPLATE_SYNTAX" });
+    expect(prismaMock.notificationTemplate.create).not.toHaveBeenCalled();
+
+    prismaMock.notificationTemplate.create.mockRejectedValue({ code: "P2002" });
+    await expect(svc.createTemplate(ORG, { code: "request.approved", channel: "INAPP", locale: "EN", body: "Approved" }))
+      .rejects.toMatchObject({ status: 409 });
+    expect(prismaMock.notificationTemplate.create.mock.calls[0][0].data).toMatchObject({ locale: "en", subject: null, isSystem: false });
+  });
+
+  test("las plantillas del sistema no se eliminan y el layout exige {{content}}", async () => {
+    prismaMock.notificationTemplate.findFirst.mockResolvedValue({ templateId: 3n, isSystem: true });
+    await expect(svc.deleteTemplate(ORG, 3)).rejects.toMatchObject({ status: 409 });
+    expect(prismaMock.notificationTemplate.delete).not.toHaveBeenCalled();
+
+    await expect(svc.saveLayout(ORG, "<div>{{organization.name}}</div>")).rejects.toMatchObject({ status: 400 });
+    expect(prismaMock.notificationLayout.upsert).not.toHaveBeenCalled();
+  });
+
+  test("la vista previa renderiza contra la solicitud de la organización con variables de ejemplo", async () => {
+    prismaMock.request.findFirst.mockResolvedValue(REQUEST_CTX);
+    const preview = await svc.previewTemplate(ORG, {
+      requestId: 42,
+      channel: "EMAIL",
+      subject: "{{request.tripName}}",
+      body: "{{approverName}}: {{#each routes as r}}{{r.destination}}{{#unless loop.last}} / {{/unless}}{{/each}}",
+      vars: { approverName: "Kevin" },
+    });
+    expect(prismaMock.request.findFirst.mock.calls[0][0].where).toEqual({ requestId: 42, organizationId: ORG });
+    expect(preview).toMatchObject({
+      channel: "EMAIL", source: "inline", subject: "Visita a planta",
+      body: "Kevin: Monterrey, México / Austin, Estados Unidos",
+    });
+    expect(preview.html).toContain("<p>Kevin: Monterrey, México / Austin, Estados Unidos</p>");
+
+    prismaMock.request.findFirst.mockResolvedValue(null);
+    await expect(svc.previewTemplate(ORG, { requestId: 1, code: "request.approved", channel: "INAPP" }))
+      .rejects.toMatchObject({ status: 404 });
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * @file tests/services/offerPolicyService.test.js
+ * @description Ofertas de vuelo/hotel contra la política: caps, tarifa lógica más baja, orden y justificación.
+ */
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+
+process.env.NODE_ENV ??= "test";
+delete process.env.FLIGHT_LLF_WINDOW_HOURS;
+
+const prismaMock = {
+  request: { findUnique: jest.fn() },
+  travelPolicy: { findMany: jest.fn() },
+  receiptType: { findMany: jest.fn() },
+  viaticosPolicy: { findUnique: jest.fn() },
+  $transaction: jest.fn(async (fn) => fn(txMock)),
+};
+const txMock = { request: { update: jest.fn() }, policyException: { create: jest.fn() } };
+await jest.unstable_mockModule("../../database/config/prisma.js", () => ({ default: prismaMock }));
+
+const mockCreateException = jest.fn();
+const mockNotifyApprovers = jest.fn();
+await jest.unstable_mockModule("../../services/policyExceptionService.js", () => ({
+  createException: mockCreateException,
+  notifyExceptionApprovers: mockNotifyApprovers,
+}));
+
+const mockFx = jest.fn();
+await jest.unstable_mockModule("../../services/fx/fxRateService.js", () => ({
+  getRate: mockFx,
+}));
+
+const svc = await import("../../services/offerPolicyService.js");
+
+const ORG = 3n;
+const snapshotRequest = (over = {}) => ({
+  requestId: 40,
+  organizationId: ORG,
+  policyEvaluationSnapshot: {
+    policyId: 7,
+    name: "Nacional staff",
+    caps: [
+      { capId: 70, receiptTypeId: 1, capAmount: 3000, capUnit: "per_trip", currency: "MXN" },
+      { capId: 71, receiptTypeId: 2, capAmount: 1500, capUnit: "per_night", currency: "MXN" },
+    ],
+  },
+  user: { department: { costsCenter: "CC-1" } },
+  routeRequests: [],
+  ...over,
+});
+
+const flight = (id, hour, amount, currency = "MXN") => ({
+  id,
+  departureAt: `2026-11-10T${String(hour).padStart(2, "0")}:00:00.000Z`,
+  totalAmount: amount,
+  totalCurrency: currency,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prismaMock.request.findUnique.mockResolvedValue(snapshotRequest());
+  prismaMock.receiptType.findMany.mockResolvedValue([
+    { receiptTypeId: 1, receiptTypeName: "Vuelo" },
+    { receiptTypeId: 2, receiptTypeName: "Hospedaje" },
+  ]);
+  prismaMock.viaticosPolicy.findUnique.mockResolvedValue(null);
+  mockCreateException.mockImplementation(async (data) => ({ exceptionId: 99, ...data }));
+});
+
+describe("resolveOfferPolicy", () => {
+  test("usa los caps congelados en el snapshot de la solicitud", async () => {
+    const ctx = await svc.resolveOfferPolicy({ requestId: 40 });
+    expect(ctx).toMatchObject({
+      requestId: 40,
+      policyId: 7,
+      flightCap: { capId: 70, capUnit: "per_trip", capAmount: 3000, source: "travel_policy" },
+      hotelCap: { capId: 71, capUnit: "per_night", capAmount: 1500, source: "travel_policy" },
+    });
+    expect(prismaMock.travelPolicy.findMany).not.toHaveBeenCalled();
+  });
+
+  test("sin cap de Hospedaje cae a ViaticosPolicy.maxHotel", async () => {
+    prismaMock.request.findUnique.mockResolvedValue(snapshotRequest({ policyEvaluationSnapshot: null }));
+    prismaMock.travelPolicy.findMany.mockResolvedValue([]);
+    prismaMock.viaticosPolicy.findUnique.mockResolvedValue({
+      id: 1, organizationId: ORG, maxHotel: 1800, maxMeal: 400, currency: "MXN", active: true,
+    });
+
+    const ctx = await svc.resolveOfferPolicy({ requestId: 40 });
+    expect(ctx.flightCap).toBeNull();
+    expect(ctx.hotelCap).toEqual({ capId: null, capUnit: "per_night", capAmount: 1800, currency: "MXN", source: "viaticos_policy" });
+  });
+});
+
+describe("annotateFlightOffers", () => {
+  test("marca política por viajero, convierte moneda y calcula la tarifa lógica más baja", async () => {
+    mockFx.mockResolvedValue({ rateType: "SPOT", provider: "frankfurter", rate: 20 });
+    const ctx = await svc.resolveOfferPolicy({ requestId: 40 });
+    const offers = await svc.annotateFlightOffers(
+      [flight("a", 8, 5000), flight("b", 9, 7000), flight("c", 15, 4000), flight("d", 8, 200, "USD")],
+      ctx,
+      { passengers: 2 },
+    );
+
+    expect(offers[0].policy).toMatchObject({ inPolicy: true, unitAmount: 2500, excess: 0, travelers: 2 });
+    expect(offers[1].policy).toMatchObject({ inPolicy: false, unitAmount: 3500, excess: 500 });
+    expect(offers[3].policy).toMatchObject({ inPolicy: true, unitAmount: 2000, excess: 0 });
+    expect(offers[0].lowestLogicalFare).toMatchObject({ offerId: "a", totalAmount: 5000 });
+    expect(offers[1].lowestLogicalFare.offerId).toBe("a");
+    expect(offers[2].isLowestLogicalFare).toBe(true);
+    expect(offers[1].isLowestLogicalFare).toBe(false);
+    expect(mockFx).toHaveBeenCalledTimes(1);
+    expect(mockFx).toHaveBeenCalledWith({ organizationId: ORG, base: "USD", quote: "MXN", rateType: "SPOT" });
+  });
+
+  test("sin tipo de cambio la política queda indeterminada", async () => {
+    mockFx.mockRejectedValue(new Error("down"));
+    const ctx = await svc.resolveOfferPolicy({ requestId: 40 });
+    const [offer] = await svc.annotateFlightOffers([flight("x", 8, 100, "EUR")], ctx);
+    expect(offer.policy).toMatchObject({ inPolicy: null, reason: "FX_UNAVAILABLE" });
+  });
+});
+
+describe("hoteles y orden", () => {
+  test("compara por noche y ordena dentro de política primero", async () => {
+    const ctx = await svc.resolveOfferPolicy({ requestId: 40 });
+    const offers = await svc.annotateHotelOffers([
+      { id: "h1", nights: 2, totalAmount: 3600, totalCurrency: "MXN" },
+      { id: "h2", nights: 2, totalAmount: 2800, totalCurrency: "MXN" },
+      { id: "h3", nights: 2, totalAmount: 2400, totalCurrency: "MXN" },
+    ], ctx);
+
+    expect(offers[0].policy).toMatchObject({ inPolicy: false, unitAmount: 1800, excess: 300, nights: 2 });
+    expect(svc.sortByPolicy(offers).map((o) => o.id)).toEqual(["h3", "h2", "h1"]);
+  });
+});
+
+describe("checkOfferSelection / recordSelectionException", () => {
+  const hotel = { id: "h1", nights: 2, totalAmount: 3600, totalCurrency: "MXN" };
+
+  test("fuera de política sin justificación → 422 OUT_OF_POLICY", async () => {
+    await expect(svc.checkOfferSelection("hotel", 40, hotel, "  corta ")).rejects.toMatchObject({
+      status: 422,
+      code: "OUT_OF_POLICY",
+      details: { inPolicy: false, excess: 300 },
+    });
+  });
+
+  test("con justificación se registra la excepción proyectada a las noches", async () => {
+    const evaluation = await svc.checkOfferSelection("hotel", 40, hotel, "Único hotel junto al cliente");
+    const exception = await svc.recordSelectionException(40, evaluation, "Único hotel junto al cliente", 2);
+
+    expect(exception.exceptionId).toBe(99);
+    expect(mockCreateException).toHaveBeenCalledWith({
+      requestId: 40,
+      policyId: 7,
+      capId: 71,
+      amountClaimed: 3600,
+      amountAllowed: 3000,
+      excessAmount: 600,
+      justification: "Único hotel junto al cliente",
+      requestedById: 2,
+    }, { client: prismaMock, notify: true });
+  });
+
+  test("los viajeros salen de la solicitud, no de la oferta del cliente", async () => {
+    const offer = { ...flight("a", 8, 3600), policy: { travelers: 3 } };
+
+    await expect(svc.checkOfferSelection("flight", 40, offer, undefined)).rejects.toMatchObject({
+      status: 422,
+      details: { inPolicy: false, travelers: 1, unitAmount: 3600, excess: 600 },
+    });
+  });
+
+  test("guarda la oferta y la excepción en la misma transacción y notifica tras el commit", async () => {
+    const evaluation = await svc.checkOfferSelection("hotel", 40, hotel, "Único hotel junto al cliente");
+    const saveOffer = jest.fn();
+
+    const exception = await svc.saveOfferSelection(40, evaluation, saveOffer, {
+      justification: "Único hotel junto al cliente", requestedById: 2,
+    });
+
+    expect(exception.exceptionId).toBe(99);
+    expect(saveOffer).toHaveBeenCalledWith(txMock);
+    expect(mockCreateException.mock.calls[0][1]).toEqual({ client: txMock, notify: false });
+    expect(mockNotifyApprovers).toHaveBeenCalledWith(exception);
+  });
+
+  test("si la excepción falla no se notifica y el error aborta la transacción", async () => {
+    const evaluation = await svc.checkOfferSelection("hotel", 40, hotel, "Único hotel junto al cliente");
+    mockCreateException.mockRejectedValueOnce(Object.assign(new Error("boom"), { status: 404 }));
+
+    await expect(svc.saveOfferSelection(40, evaluation, jest.fn(), {
+      justification: "Único hotel junto al cliente", requestedById: 2,
+    })).rejects.toMatchObject({ status: 404 });
+    expect(mockNotifyApprovers).not.toHaveBeenCalled();
+  });
+
+  test("dentro de política no exige justificación", async () => {
+    const evaluation = await svc.checkOfferSelection("flight", 40, flight("a", 8, 2900), undefined);
+    expect(evaluation.inPolicy).toBe(true);
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * @file tests/services/paymentRunService.test.js
+ * @description Corridas de pago SPEI: CLABE (dígito verificador y cifrado), archivo por layout,
+ * liquidaciones sin CLABE fuera de la corrida y confirmación del banco (pago, rechazo, reenvío).
+ */
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+
+process.env.NODE_ENV ??= "test";
+process.env.AES_SECRET_KEY = "0123456789abcdef0123456789abcdef";
+
+const prismaMock = {
+  advanceSettlement: { findMany: jest.fn() },
+  organization: { findUnique: jest.fn() },
+  paymentRun: { create: jest.fn(), update: jest.fn(), findFirst: jest.fn(), findMany: jest.fn() },
+  paymentRunLine: { createMany: jest.fn(), updateMany: jest.fn(), count: jest.fn(), findMany: jest.fn() },
+  $queryRaw: jest.fn(),
+  $transaction: jest.fn(async (fn) => fn(prismaMock)),
+};
+await jest.unstable_mockModule("../../database/config/prisma.js", () => ({ default: prismaMock }));
+
+const mockAccountsPayable = { completeSettlement: jest.fn() };
+await jest.unstable_mockModule("../../services/accountsPayableService.js", () => ({ default: mockAccountsPayable }));
+
+const mockEnqueueOutboxEvent = jest.fn();
+const mockKickOutbox = jest.fn();
+await jest.unstable_mockModule("../../services/notificationOutboxService.js", () => ({
+  enqueueOutboxEvent: mockEnqueueOutboxEvent,
+  kickNotificationOutbox: mockKickOutbox,
+}));
+
+const svc = await import("../../services/paymentRunService.js");
+const { isValidClabe, clabeStorageFields, revealClabe } = await import("../../services/payments/clabe.js");
+
+const ORG = 3n;
+const CLABE_BBVA = "012180001234567899";
+const CLABE_BANORTE = "072180009876543213";
+
+/**
+ * @param {number} id
+ * @param {string|null} clabe
+ * @param {Object} [overrides]
+ * @returns {Object} AdvanceSettlement con lo que selecciona SETTLEMENT_SELECT
+ */
+const makeSettlement = (id, clabe, overrides = {}) => ({
+  id,
+  requestId: 100 + id,
+  amount: "1250.5",
+  request: {
+    userId: 10 + id,
+    user: {
+      userName: "usuario",
+      empleado: {
+        noEmpleado: `E00${id}`,
+        nombre: "José Peña Núñez",
+        ...(clabe ? clabeStorageFields(clabe) : { clabeEncrypted: null }),
+      },
+    },
+  },
+  ...overrides,
+});
+
+/**
+ * @param {Object} overrides
+ * @returns {Object} PaymentRunLine
+ */
+const makeLine = (overrides) => ({
+  id: 1, settlementId: 1, requestId: 101, userId: 11, beneficiaryName: "JOSE", clabeLast4: "7899",
+  bankCode: "012", amount: "1250.50", reference: "0000001", status: "PENDING", ...overrides,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prismaMock.organization.findUnique.mockResolvedValue({ rfc: "DIT010101AAA" });
+  prismaMock.paymentRun.create.mockImplementation(async ({ data }) => ({ id: 5, ...data }));
+  prismaMock.paymentRun.update.mockImplementation(async ({ data }) => ({
+    id: 5, layout: "SPEI_CSV", status: "GENERATED", valueDate: new Date("2026-07-01"), totalAmount: "0", lineCount: 0,
+    fileName: "x", createdAt: new Date(), lines: [], ...data,
+  }));
+});
+
+describe("CLABE", () => {
+  test("valida el dígito verificador y guarda cifrado con terminación y banco", () => {
+    expect(isValidClabe("032180000118359719")).toBe(true);
+    expect(isValidClabe("032180000118359718")).toBe(false);
+    expect(isValidClabe("1234")).toBe(false);
+
+    const fields = clabeStorageFields("0121 8000 1234 5678 99");
+    expect(fields).toMatchObject({ clabeLast4: "7899", bankCode: "012" });
+    expect(fields.clabeEncrypted).not.toContain(CLABE_BBVA);
+    expect(revealClabe(fields.clabeEncrypted)).toBe(CLABE_BBVA);
+    expect(() => clabeStorageFields("012180001234567890")).toThrow();
+    expect(clabeStorageFields(null)).toEqual({ clabeEncrypted: null, clabeLast4: null, bankCode: null });
+  });
+});
+
+describe("createRun", () => {
+  test("BBVA H2H exige cuenta de cargo", async () => {
+    await expect(svc.createRun(ORG, { layout: "BBVA_H2H" })).rejects.toMatchObject({ status: 400 });
+    await expect(svc.createRun(ORG, { layout: "OTRO" })).rejects.toMatchObject({ status: 400 });
+    expect(prismaMock.advanceSettlement.findMany).not.toHaveBeenCalled();
+  });
+
+  test("genera el archivo de ancho fijo y deja fuera a quien no tiene CLABE", async () => {
+    prismaMock.advanceSettlement.findMany.mockResolvedValue([makeSettlement(1, CLABE_BBVA), makeSettlement(2, null)]);
+
+    const { skipped } = await svc.createRun(ORG, {
+      layout: "BBVA_H2H", sourceAccount: "0123456789", valueDate: "2026-07-01", actorUserId: 7,
+    });
+
+    expect(prismaMock.advanceSettlement.findMany.mock.calls[0][0].where).toMatchObject({
+      organizationId: ORG, status: "PENDING", direction: "COMPANY_OWES", currency: "MXN",
+      paymentRunLines: { none: { status: { in: ["PENDING", "PAID"] } } },
+    });
+    expect(skipped).toEqual([{ settlementId: 2, requestId: 102, reason: expect.stringContaining("CLABE") }]);
+
+    const { data: run } = prismaMock.paymentRun.create.mock.calls[0][0];
+    expect(run).toMatchObject({ layout: "BBVA_H2H", lineCount: 1, sourceAccount: "0123456789", createdById: 7 });
+    const [record] = run.fileContent.split("\r\n");
+    expect(record).toHaveLength(128);
+    expect(record.startsWith(`${CLABE_BBVA}000000000123456789MXP0000000001250.50JOSE PENA NUNEZ`)).toBe(true);
+    expect(record.endsWith("0000001H")).toBe(true);
+
+    expect(prismaMock.paymentRunLine.createMany.mock.calls[0][0].data).toEqual([
+      expect.objectContaining({ settlementId: 1, requestId: 101, userId: 11, clabeLast4: "7899", bankCode: "012", reference: "0000001" }),
+    ]);
+    expect(prismaMock.paymentRun.update.mock.calls[0][0].data.fileName).toBe("bbva_h2h_5_20260701.txt");
+  });
+
+  test("sin reembolsos pagables responde 400 con los omitidos", async () => {
+    prismaMock.advanceSettlement.findMany.mockResolvedValue([]);
+    await expect(svc.createRun(ORG, { layout: "SPEI_CSV", settlementIds: [9] })).rejects.toMatchObject({
+      status: 400,
+      details: { skipped: [{ settlementId: 9, requestId: null, reason: expect.any(String) }] },
+    });
+    expect(prismaMock.paymentRun.create).not.toHaveBeenCalled();
+  });
+
+  test("bloquea las liquidaciones antes de leerlas y la carrera con otra corrida responde 409", async () => {
+    prismaMock.advanceSettlement.findMany.mockResolvedValue([makeSettlement(1, CLABE_BBVA)]);
+    prismaMock.paymentRunLine.createMany.mockRejectedValueOnce(Object.assign(new Error("Unique constraint"), { code: "P2002" }));
+
+    await expect(svc.createRun(ORG, { layout: "SPEI_CSV", settlementIds: [1] })).rejects.toMatchObject({ status: 409 });
+
+    const [strings, ...values] = prismaMock.$queryRaw.mock.calls[0];
+    expect(strings.join("?")).toContain("FOR UPDATE");
+    expect(values[0]).toBe(ORG);
+    expect(prismaMock.$queryRaw.mock.invocationCallOrder[0])
+      .toBeLessThan(prismaMock.advanceSettlement.findMany.mock.invocationCallOrder[0]);
+  });
+});
+
+describe("confirmRun", () => {
+  test("CSV: liquida las pagadas, libera las rechazadas y reporta referencias ajenas", async () => {
+    prismaMock.paymentRun.findFirst.mockResolvedValue({
+      id: 5, organizationId: ORG, layout: "SPEI_CSV", status: "GENERATED",
+      lines: [makeLine({}), makeLine({ id: 2, settlementId: 2, requestId: 102, reference: "0000002" })],
+    });
+    prismaMock.paymentRunLine.updateMany.mockResolvedValue({ count: 1 });
+    prismaMock.paymentRunLine.count.mockResolvedValue(0);
+    mockAccountsPayable.completeSettlement.mockResolvedValue({ request: null });
+
+    const csv = [
+      "referencia;estatus;clave_rastreo;motivo",
+      "1;Liquidada;BBVA123456;",
+      "0000002;DEVUELTA;;Cuenta inexistente",
+      "0000099;LIQUIDADA;X;",
+    ].join("\r\n");
+    const { summary } = await svc.confirmRun(ORG, 5, csv, { actorUserId: 7 });
+
+    expect(summary).toEqual({ paid: 1, rejected: 1, ignored: 0, unmatched: ["0000099"], unsettled: [] });
+    expect(prismaMock.paymentRunLine.updateMany.mock.calls.map(([a]) => [a.where, a.data.status])).toEqual([
+      [{ id: 1, status: "PENDING" }, "PAID"],
+      [{ id: 2, status: "PENDING" }, "REJECTED"],
+    ]);
+    expect(mockAccountsPayable.completeSettlement).toHaveBeenCalledTimes(1);
+    expect(mockAccountsPayable.completeSettlement).toHaveBeenCalledWith(1, { organizationId: ORG, actorUserId: 7, reference: "BBVA123456" });
+    expect(mockEnqueueOutboxEvent).toHaveBeenCalledTimes(1);
+    expect(mockEnqueueOutboxEvent).toHaveBeenCalledWith(prismaMock, {
+      organizationId: ORG,
+      eventCode: "reimbursement.paid",
+      requestId: 101,
+      payload: { amount: 1250.5, clabeLast4: "7899", trackingKey: "BBVA123456" },
+    });
+    expect(mockKickOutbox).toHaveBeenCalledTimes(1);
+    expect(prismaMock.paymentRun.update.mock.calls[0][0].data.status).toBe("COMPLETED");
+  });
+
+  test("H2H Banorte: lee la referencia del registro y reenviar no vuelve a pagar", async () => {
+    const { BANK_LAYOUTS } = await import("../../services/payments/bankLayouts.js");
+    const [record] = BANK_LAYOUTS.BANORTE_H2H.render(
+      [{ reference: "0000001", clabe: CLABE_BANORTE, bankCode: "072", beneficiaryName: "Ana", employeeKey: "E001", amount: 80, concept: "x" }],
+      { sourceAccount: "0123456789", valueDate: "2026-07-01", payerRfc: null },
+    ).split("\r\n");
+    const response = `${record}00${"BNTE0001".padEnd(30)}APLICADA\r\n`;
+
+    prismaMock.paymentRun.findFirst.mockResolvedValue({
+      id: 6, organizationId: ORG, layout: "BANORTE_H2H", status: "PARTIAL", lines: [makeLine({ id: 3, settlementId: 4 })],
+    });
+    prismaMock.paymentRunLine.updateMany.mockResolvedValue({ count: 0 });
+    prismaMock.paymentRunLine.count.mockResolvedValue(0);
+
+    const { summary } = await svc.confirmRun(ORG, 6, response);
+
+    expect(record).toContain("01072026");
+    expect(prismaMock.paymentRunLine.updateMany.mock.calls[0][0].data).toMatchObject({ status: "PAID", trackingKey: "BNTE0001" });
+    expect(summary).toMatchObject({ paid: 0, ignored: 1 });
+    expect(mockAccountsPayable.completeSettlement).not.toHaveBeenCalled();
+    expect(mockEnqueueOutboxEvent).not.toHaveBeenCalled();
+    expect(mockKickOutbox).not.toHaveBeenCalled();
+  });
+
+  test("un pago bancario cuya liquidación no se registra queda reportado, no se da por bueno", async () => {
+    prismaMock.paymentRun.findFirst.mockResolvedValue({
+      id: 5, organizationId: ORG, layout: "SPEI_CSV", status: "GENERATED", lines: [makeLine({})],
+    });
+    prismaMock.paymentRunLine.updateMany.mockResolvedValue({ count: 1 });
+    prismaMock.paymentRunLine.count.mockResolvedValue(0);
+    mockAccountsPayable.completeSettlement.mockRejectedValue({ status: 409, message: "La liquidación ya fue registrada" });
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const { summary } = await svc.confirmRun(ORG, 5, "referencia,estatus\n1,LIQUIDADA");
+
+    expect(summary).toMatchObject({ paid: 1, unsettled: ["0000001"] });
+    expect(error).toHaveBeenCalled();
+    error.mockRestore();
+  });
+
+  test("una corrida cerrada no acepta confirmaciones", async () => {
+    prismaMock.paymentRun.findFirst.mockResolvedValue({ id: 5, organizationId: ORG, layout: "SPEI_CSV", status: "COMPLETED", lines: [] });
+    await expect(svc.confirmRun(ORG, 5, "referencia,estatus\n1,LIQUIDADA")).rejects.toMatchObject({ status: 409 });
+  });
+});
+
+describe("cancelRun", () => {
+  test("con líneas sin respuesta exige confirmar que el banco no las pagó", async () => {
+    prismaMock.paymentRun.findFirst.mockResolvedValue({ id: 5, organizationId: ORG, layout: "SPEI_CSV", status: "GENERATED" });
+    prismaMock.paymentRunLine.findMany.mockResolvedValue([{ reference: "0000001" }]);
+
+    await expect(svc.cancelRun(ORG, 5)).rejects.toMatchObject({ status: 409, details: { pending: ["0000001"] } });
+    expect(prismaMock.paymentRunLine.updateMany).not.toHaveBeenCalled();
+
+    prismaMock.paymentRun.update.mockResolvedValue({ id: 5, organizationId: ORG, status: "CANCELLED", totalAmount: "0", lines: [] });
+    await svc.cancelRun(ORG, 5, { confirmUnpaid: true, actorUserId: 7 });
+
+    expect(prismaMock.paymentRunLine.updateMany.mock.calls[0][0]).toEqual({
+      where: { paymentRunId: 5, status: "PENDING" },
+      data: { status: "CANCELLED", bankMessage: expect.stringContaining("usuario 7") },
+    });
+    expect(prismaMock.paymentRun.update.mock.calls[0][0].data).toEqual({ status: "CANCELLED" });
+  });
+});
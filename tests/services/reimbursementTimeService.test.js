@@ -19,6 +19,12 @@ const mockPrisma = {
   solicitudHistorial: {
     create: jest.fn(),
   },
+  requestStatusTransition: {
+    findMany: jest.fn(),
+  },
+  organization: { findUnique: jest.fn() },
+  slaCalendar: { findUnique: jest.fn() },
+  slaClosure: { findMany: jest.fn() },
   $transaction: jest.fn(async (fn) => fn(mockPrisma)),
 };
 
@@ -31,13 +37,16 @@ const svc = await import("../../services/reimbursementTimeService.js");
 beforeEach(() => {
   jest.clearAllMocks();
   mockPrisma.$transaction.mockImplementation(async (fn) => fn(mockPrisma));
+  mockPrisma.requestStatusTransition.findMany.mockResolvedValue([]);
 });
 
 describe("getOrgTimeLimit", () => {
   test("returns defaults when no row exists", async () => {
     mockPrisma.reimbursementTimeLimit.findUnique.mockResolvedValue(null);
     const result = await svc.getOrgTimeLimit(1n);
-    expect(result).toEqual({ daysAfterTrip: 14, graceDays: 0, blockOnExpiry: true, active: true });
+    expect(result).toEqual({
+      daysAfterTrip: 14, graceDays: 0, blockOnExpiry: true, useBusinessDays: false, active: true,
+    });
   });
 
   test("returns persisted values", async () => {
@@ -94,6 +103,21 @@ describe("computeDeadline", () => {
     expect(gracePeriodEnd.getTime()).toBeGreaterThan(deadline.getTime());
     expect(gracePeriodEnd.toISOString().slice(0, 10)).toBe("2026-05-17");
   });
+
+  test("useBusinessDays counts working days of the org calendar in its timezone", async () => {
+    mockPrisma.reimbursementTimeLimit.findUnique.mockResolvedValue({
+      daysAfterTrip: 5, graceDays: 1, blockOnExpiry: true, useBusinessDays: true, active: true,
+    });
+    mockPrisma.organization.findUnique.mockResolvedValue({ timezone: "America/Mexico_City" });
+    mockPrisma.slaCalendar.findUnique.mockResolvedValue(null);
+    mockPrisma.slaClosure.findMany.mockResolvedValue([{ id: 1, closureDate: new Date("2026-11-18"), reason: null }]);
+
+    // Viernes 13 nov 2026: el lunes 16 es feriado (tercer lunes de noviembre) y el 18 es cierre propio.
+    const { deadline, gracePeriodEnd, useBusinessDays } = await svc.computeDeadline(new Date("2026-11-13"), 1n);
+    expect(useBusinessDays).toBe(true);
+    expect(deadline.toISOString()).toBe("2026-11-25T05:59:59.999Z");
+    expect(gracePeriodEnd.toISOString()).toBe("2026-11-26T05:59:59.999Z");
+  });
 });
 
 describe("isWithinDeadline", () => {
@@ -0,0 +1,38 @@
+/**
+ * @file tests/services/requestCommentService.test.js
+ * @description Cursores y Last-Event-ID ilegibles se tratan como manipulados, nunca como error 500.
+ */
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+
+process.env.NODE_ENV ??= "test";
+
+const mockPrisma = { request: { findUnique: jest.fn() } };
+await jest.unstable_mockModule("../../database/config/prisma.js", () => ({ default: mockPrisma }));
+
+const mockFindMany = jest.fn();
+await jest.unstable_mockModule("../../database/config/rlsConnection.js", () => ({
+  withRls: jest.fn(async (_orgId, _opts, fn) => fn({ requestComment: { findMany: mockFindMany } })),
+}));
+
+const { readComments, readCommentsSince } = await import("../../services/requestCommentService.js");
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockPrisma.request.findUnique.mockResolvedValue({ organizationId: 1n });
+  mockFindMany.mockResolvedValue([]);
+});
+
+describe("ids cifrados ilegibles", () => {
+  // Demasiado corto para el tag GCM, no base64url y base64url con tag incorrecto.
+  const malformed = ["AAAA", "%%%not-base64%%%", Buffer.alloc(40, 1).toString("base64url")];
+
+  test.each(malformed)("readCommentsSince(%p) responde cursor manipulado sin consultar", async (eventId) => {
+    await expect(readCommentsSince(1, 5, eventId)).resolves.toEqual({ success: false, error: "tampered cursor" });
+    expect(mockFindMany).not.toHaveBeenCalled();
+  });
+
+  test.each(malformed)("readComments con cursor %p responde cursor manipulado", async (cursor) => {
+    await expect(readComments(1, 5, 20, { cursor })).resolves.toEqual({ success: false, error: "tampered cursor" });
+    expect(mockFindMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * @file tests/services/requestEventBus.test.js
+ */
+import { EventEmitter } from "events";
+import { jest, describe, test, expect, afterEach } from "@jest/globals";
+
+process.env.NODE_ENV ??= "test";
+
+const mockPrisma = { $executeRaw: jest.fn() };
+
+await jest.unstable_mockModule("../../database/config/prisma.js", () => ({ default: mockPrisma }));
+
+/** LISTEN connections opened by the bus, in order. */
+const pgClients = [];
+const mockConnect = jest.fn(async () => {});
+
+class MockPgClient extends EventEmitter {
+  constructor() {
+    super();
+    this.connect = mockConnect;
+    this.query = jest.fn(async () => {});
+    this.end = jest.fn(async () => {});
+    pgClients.push(this);
+  }
+}
+
+await jest.unstable_mockModule("pg", () => ({ default: { Client: MockPgClient } }));
+
+const {
+  publishRequestEvent,
+  subscribeToRequest,
+  subscriberCount,
+  closeRequestEventBus,
+  initRequestEventBus,
+  REQUEST_EVENT_TYPES,
+} = await import("../../services/requestEventBus.js");
+
+afterEach(async () => {
+  jest.useRealTimers();
+  jest.clearAllMocks();
+  mockConnect.mockImplementation(async () => {});
+  pgClients.length = 0;
+  delete process.env.REQUEST_EVENT_BUS_DRIVER;
+  await closeRequestEventBus();
+});
+
+describe("requestEventBus (in-process driver)", () => {
+  test("delivers events only to subscribers of the same request", async () => {
+    const onA = jest.fn();
+    const onB = jest.fn();
+    subscribeToRequest(1, onA);
+    subscribeToRequest(2, onB);
+
+    await publishRequestEvent({
+      type: REQUEST_EVENT_TYPES.COMMENT_CREATED,
+      requestId: 1,
+      organizationId: 10n,
+      data: { commentId: 7 },
+    });
+
+    expect(onA).toHaveBeenCalledWith(expect.objectContaining({
+      type: "comment.created",
+      requestId: 1,
+      organizationId: "10",
+      data: { commentId: 7 },
+    }));
+    expect(onB).not.toHaveBeenCalled();
+    expect(mockPrisma.$executeRaw).not.toHaveBeenCalled();
+  });
+
+  test("unsubscribe stops delivery and releases the listener", async () => {
+    const listener = jest.fn();
+    const unsubscribe = subscribeToRequest(3, listener);
+    expect(subscriberCount(3)).toBe(1);
+
+    unsubscribe();
+    await publishRequestEvent({ type: REQUEST_EVENT_TYPES.COMMENT_CREATED, requestId: 3 });
+
+    expect(listener).not.toHaveBeenCalled();
+    expect(subscriberCount(3)).toBe(0);
+  });
+
+  test("postgres driver falls back to memory when LISTEN cannot connect", async () => {
+    process.env.REQUEST_EVENT_BUS_DRIVER = "postgres";
+    mockConnect.mockRejectedValueOnce(new Error("ECONNREFUSED"));
+
+    const driver = await initRequestEventBus();
+
+    expect(driver).toBe("memory");
+    expect(pgClients[0].end).toHaveBeenCalled();
+  });
+});
+
+describe("requestEventBus (postgres driver)", () => {
+  test("reconnects with backoff after the LISTEN connection drops and delivers locally meanwhile", async () => {
+    jest.useFakeTimers();
+    process.env.REQUEST_EVENT_BUS_DRIVER = "postgres";
+    const listener = jest.fn();
+    subscribeToRequest(5, listener);
+    expect(await initRequestEventBus()).toBe("postgres");
+    expect(pgClients[0].query).toHaveBeenCalledWith('LISTEN "request_events"');
+
+    // Connected: local subscribers wait for the LISTEN echo.
+    await publishRequestEvent({ type: REQUEST_EVENT_TYPES.COMMENT_CREATED, requestId: 5 });
+    expect(mockPrisma.$executeRaw).toHaveBeenCalledTimes(1);
+    expect(listener).not.toHaveBeenCalled();
+
+    pgClients[0].emit("error", new Error("terminating connection due to administrator command"));
+    await publishRequestEvent({ type: REQUEST_EVENT_TYPES.COMMENT_CREATED, requestId: 5 });
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(mockPrisma.$executeRaw).toHaveBeenCalledTimes(2);
+
+    // First retry after 1 s fails; the next one waits 2 s.
+    mockConnect.mockRejectedValueOnce(new Error("ECONNREFUSED"));
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(pgClients).toHaveLength(2);
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(pgClients).toHaveLength(2);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(pgClients).toHaveLength(3);
+    expect(pgClients[2].query).toHaveBeenCalledWith('LISTEN "request_events"');
+
+    // Back on LISTEN: events arrive through the new connection only.
+    await publishRequestEvent({ type: REQUEST_EVENT_TYPES.COMMENT_CREATED, requestId: 5 });
+    expect(listener).toHaveBeenCalledTimes(1);
+    pgClients[2].emit("notification", {
+      channel: "request_events",
+      payload: JSON.stringify({ type: "comment.created", requestId: 5 }),
+    });
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  test("closing the bus cancels a pending reconnect", async () => {
+    jest.useFakeTimers();
+    process.env.REQUEST_EVENT_BUS_DRIVER = "postgres";
+    await initRequestEventBus();
+    pgClients[0].emit("end");
+
+    await closeRequestEventBus();
+    await jest.advanceTimersByTimeAsync(60_000);
+
+    expect(pgClients).toHaveLength(1);
+  });
+});
+
+describe("requestEventBus channel name", () => {
+  test("refuses a REQUEST_EVENT_BUS_CHANNEL that is not a plain identifier", async () => {
+    process.env.REQUEST_EVENT_BUS_CHANNEL = "events; DROP TABLE \"User\"";
+    try {
+      jest.resetModules();
+      await expect(import("../../services/requestEventBus.js?channel")).rejects.toThrow(/lowercase identifier/);
+    } finally {
+      delete process.env.REQUEST_EVENT_BUS_CHANNEL;
+    }
+  });
+});
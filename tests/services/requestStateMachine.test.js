@@ -0,0 +1,281 @@
+/**
+ * @file tests/services/requestStateMachine.test.js
+ * @description Transiciones por defecto, sobrescrituras por organización, guardas y acciones propias.
+ */
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+
+process.env.NODE_ENV ??= "test";
+
+const txClient = {
+  request: { updateMany: jest.fn() },
+  solicitudHistorial: { create: jest.fn() },
+};
+
+const mockPrisma = {
+  requestStatusTransition: { findMany: jest.fn() },
+  request: { findUnique: jest.fn() },
+  $transaction: jest.fn(async (fn) => fn(txClient)),
+};
+
+const mockLoadEffectivePermissions = jest.fn();
+const mockAnticipoLifecycle = {
+  onTravelRequestFullyApproved: jest.fn(),
+  onExpensesVerified: jest.fn(),
+};
+
+await jest.unstable_mockModule("../../database/config/prisma.js", () => ({ default: mockPrisma }));
+await jest.unstable_mockModule("../../services/permissionService.js", () => ({
+  loadEffectivePermissions: mockLoadEffectivePermissions,
+}));
+await jest.unstable_mockModule("../../services/anticipoPolizaLifecycleService.js", () => ({
+  default: mockAnticipoLifecycle,
+}));
+
+const {
+  REQUEST_ACTIONS,
+  REQUEST_STATUS,
+  IllegalTransitionError,
+  resolveTransition,
+  listAvailableTransitions,
+  runTransitionSideEffects,
+  applyCustomTransition,
+  historialAccionFor,
+} = await import("../../services/requestStateMachine.js");
+
+/**
+ * @param {object} overrides
+ * @returns {object} Fila de request_status_transitions
+ */
+function row(overrides) {
+  return {
+    id: 1n,
+    organizationId: 1n,
+    permission: null,
+    sideEffects: [],
+    priority: 0,
+    active: true,
+    ...overrides,
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockPrisma.requestStatusTransition.findMany.mockResolvedValue([]);
+  mockPrisma.$transaction.mockImplementation(async (fn) => fn(txClient));
+  txClient.request.updateMany.mockResolvedValue({ count: 1 });
+  mockLoadEffectivePermissions.mockResolvedValue([]);
+});
+
+describe("resolveTransition — catálogo por defecto", () => {
+  test("usa el destino preferido cuando está permitido (N1 → N2)", async () => {
+    const t = await resolveTransition({
+      organizationId: 1n,
+      fromStatusId: REQUEST_STATUS.PRIMERA_REVISION,
+      action: REQUEST_ACTIONS.APPROVE,
+      preferredTo: REQUEST_STATUS.SEGUNDA_REVISION,
+    });
+    expect(t.toStatusId).toBe(REQUEST_STATUS.SEGUNDA_REVISION);
+    expect(t.sideEffects).toEqual([]);
+  });
+
+  test("aprobación final declara la póliza de anticipo como efecto secundario", async () => {
+    const t = await resolveTransition({
+      organizationId: null,
+      fromStatusId: REQUEST_STATUS.SEGUNDA_REVISION,
+      action: REQUEST_ACTIONS.APPROVE,
+      preferredTo: REQUEST_STATUS.COTIZACION_VIAJE,
+    });
+    expect(t.toStatusId).toBe(REQUEST_STATUS.COTIZACION_VIAJE);
+    expect(t.sideEffects).toEqual(["anticipo_poliza"]);
+    expect(mockPrisma.requestStatusTransition.findMany).not.toHaveBeenCalled();
+  });
+
+  test("rechaza una acción no declarada desde el estatus actual con IllegalTransitionError (409)", async () => {
+    const err = await resolveTransition({
+      organizationId: 1n,
+      fromStatusId: REQUEST_STATUS.COMPROBACION_GASTOS,
+      action: REQUEST_ACTIONS.CANCEL,
+    }).catch((e) => e);
+    expect(err).toBeInstanceOf(IllegalTransitionError);
+    expect(err).toMatchObject({
+      status: 409,
+      code: "ILLEGAL_TRANSITION",
+      fromStatusId: REQUEST_STATUS.COMPROBACION_GASTOS,
+      action: "cancel",
+    });
+  });
+});
+
+describe("resolveTransition — sobrescrituras por organización", () => {
+  test("la organización se salta la agencia: CxP prefiere 5 pero solo existe 4 → 6", async () => {
+    mockPrisma.requestStatusTransition.findMany.mockResolvedValue([
+      row({ fromStatusId: 4, toStatusId: 6, action: "attend_cxp", permission: "accounts_payable:attend" }),
+    ]);
+    const t = await resolveTransition({
+      organizationId: 1n,
+      fromStatusId: REQUEST_STATUS.COTIZACION_VIAJE,
+      action: REQUEST_ACTIONS.ATTEND_CXP,
+      preferredTo: REQUEST_STATUS.ATENCION_AGENCIA,
+      actorUserId: 3,
+      permissionSet: new Set(["accounts_payable:attend"]),
+    });
+    expect(t.toStatusId).toBe(REQUEST_STATUS.COMPROBACION_GASTOS);
+    expect(mockPrisma.requestStatusTransition.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({ where: { organizationId: 1n } }),
+    );
+  });
+
+  test("una fila inactiva deshabilita la acción por defecto", async () => {
+    mockPrisma.requestStatusTransition.findMany.mockResolvedValue([
+      row({ fromStatusId: 2, toStatusId: 3, action: "escalate", active: false }),
+    ]);
+    await expect(resolveTransition({
+      organizationId: 1n,
+      fromStatusId: REQUEST_STATUS.PRIMERA_REVISION,
+      action: REQUEST_ACTIONS.ESCALATE,
+    })).rejects.toBeInstanceOf(IllegalTransitionError);
+  });
+
+  test("las acciones no sobrescritas conservan el catálogo por defecto", async () => {
+    mockPrisma.requestStatusTransition.findMany.mockResolvedValue([
+      row({ fromStatusId: 4, toStatusId: 6, action: "attend_cxp" }),
+    ]);
+    const t = await resolveTransition({
+      organizationId: 1n,
+      fromStatusId: REQUEST_STATUS.ATENCION_AGENCIA,
+      action: REQUEST_ACTIONS.ATTEND_AGENCY,
+    });
+    expect(t.toStatusId).toBe(REQUEST_STATUS.COMPROBACION_GASTOS);
+  });
+});
+
+describe("guardas de permiso", () => {
+  test("403 si el actor no tiene el permiso de la transición", async () => {
+    await expect(resolveTransition({
+      organizationId: null,
+      fromStatusId: REQUEST_STATUS.VALIDACION_COMPROBANTES,
+      action: REQUEST_ACTIONS.APPROVE_RECEIPTS,
+      actorUserId: 4,
+      permissionSet: new Set(["travel_request:view_own"]),
+    })).rejects.toMatchObject({ status: 403, code: "ILLEGAL_TRANSITION" });
+  });
+
+  test("carga los permisos del actor cuando no vienen en la petición", async () => {
+    mockLoadEffectivePermissions.mockResolvedValue(["travel_request:authorize"]);
+    const t = await resolveTransition({
+      organizationId: null,
+      fromStatusId: REQUEST_STATUS.SEGUNDA_REVISION,
+      action: REQUEST_ACTIONS.REJECT,
+      actorUserId: 9,
+    });
+    expect(t.toStatusId).toBe(REQUEST_STATUS.RECHAZADO);
+    expect(mockLoadEffectivePermissions).toHaveBeenCalledWith(9);
+  });
+
+  test("sin actor (jobs) no aplica la guarda", async () => {
+    const t = await resolveTransition({
+      organizationId: null,
+      fromStatusId: REQUEST_STATUS.PRIMERA_REVISION,
+      action: REQUEST_ACTIONS.ESCALATE,
+    });
+    expect(t.toStatusId).toBe(REQUEST_STATUS.SEGUNDA_REVISION);
+    expect(mockLoadEffectivePermissions).not.toHaveBeenCalled();
+  });
+
+  test("listAvailableTransitions filtra por permisos", async () => {
+    const available = await listAvailableTransitions({
+      organizationId: null,
+      fromStatusId: REQUEST_STATUS.PRIMERA_REVISION,
+      actorUserId: 5,
+      permissionSet: new Set(["travel_request:cancel"]),
+    });
+    expect(available.map((t) => t.action)).toEqual(["cancel"]);
+  });
+});
+
+describe("runTransitionSideEffects", () => {
+  test("un efecto fallido no propaga el error", async () => {
+    mockAnticipoLifecycle.onExpensesVerified.mockRejectedValue(new Error("boom"));
+    const spy = jest.spyOn(console, "error").mockImplementation(() => {});
+    await expect(runTransitionSideEffects(7, { sideEffects: ["expenses_verified"] })).resolves.toBeUndefined();
+    expect(mockAnticipoLifecycle.onExpensesVerified).toHaveBeenCalledWith(7);
+    spy.mockRestore();
+  });
+});
+
+describe("applyCustomTransition", () => {
+  const treasury = row({
+    fromStatusId: 7,
+    toStatusId: 8,
+    action: "treasury_release",
+    permission: "accounts_payable:attend",
+    sideEffects: ["expenses_verified"],
+  });
+
+  test("ejecuta una acción propia: estatus, historial y efectos secundarios", async () => {
+    mockPrisma.request.findUnique.mockResolvedValue({ requestStatusId: 7, organizationId: 1n });
+    mockPrisma.requestStatusTransition.findMany.mockResolvedValue([treasury]);
+    mockAnticipoLifecycle.onExpensesVerified.mockResolvedValue(undefined);
+
+    const result = await applyCustomTransition(12, "treasury_release", {
+      actorUserId: 3,
+      permissionSet: new Set(["accounts_payable:attend"]),
+      comentario: "Pago liberado",
+    });
+
+    expect(result).toEqual({ request_id: 12, action: "treasury_release", from_status_id: 7, new_status_id: 8 });
+    expect(txClient.request.updateMany).toHaveBeenCalledWith({
+      where: { requestId: 12, requestStatusId: 7 },
+      data: { requestStatusId: 8 },
+    });
+    expect(txClient.solicitudHistorial.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        requestId: 12, userId: 3, accion: "APROBADO", comentario: "[treasury_release] Pago liberado",
+      }),
+    });
+    expect(mockAnticipoLifecycle.onExpensesVerified).toHaveBeenCalledWith(12);
+  });
+
+  test("devolver a un estatus anterior queda como RECHAZADO en el historial", async () => {
+    mockPrisma.request.findUnique.mockResolvedValue({ requestStatusId: 7, organizationId: 1n });
+    mockPrisma.requestStatusTransition.findMany.mockResolvedValue([
+      row({ fromStatusId: 7, toStatusId: 6, action: "treasury_return", permission: "accounts_payable:attend" }),
+    ]);
+
+    await applyCustomTransition(12, "treasury_return", {
+      actorUserId: 3,
+      permissionSet: new Set(["accounts_payable:attend"]),
+    });
+
+    expect(txClient.solicitudHistorial.create.mock.calls[0][0].data).toMatchObject({
+      accion: "RECHAZADO", comentario: "[treasury_return]",
+    });
+  });
+
+  test("la acción del historial sale de la transición", () => {
+    expect(historialAccionFor({ fromStatusId: 7, toStatusId: 8 })).toBe("APROBADO");
+    expect(historialAccionFor({ fromStatusId: 4, toStatusId: 11 })).toBe("APROBADO");
+    expect(historialAccionFor({ fromStatusId: 4, toStatusId: 10 })).toBe("RECHAZADO");
+    expect(historialAccionFor({ fromStatusId: 5, toStatusId: 9 })).toBe("RECHAZADO");
+    expect(historialAccionFor({ fromStatusId: 6, toStatusId: 4 })).toBe("RECHAZADO");
+    expect(historialAccionFor({ fromStatusId: 3, toStatusId: 3 })).toBe("REASIGNADO");
+  });
+
+  test("las acciones core no se ejecutan por la vía genérica", async () => {
+    await expect(applyCustomTransition(12, "approve", { actorUserId: 3 }))
+      .rejects.toMatchObject({ status: 400 });
+    expect(mockPrisma.request.findUnique).not.toHaveBeenCalled();
+  });
+
+  test("409 si otro actor cambió el estatus entre la lectura y la escritura", async () => {
+    mockPrisma.request.findUnique.mockResolvedValue({ requestStatusId: 7, organizationId: 1n });
+    mockPrisma.requestStatusTransition.findMany.mockResolvedValue([treasury]);
+    txClient.request.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(applyCustomTransition(12, "treasury_release", {
+      actorUserId: 3,
+      permissionSet: new Set(["accounts_payable:attend"]),
+    })).rejects.toMatchObject({ status: 409, code: "ILLEGAL_TRANSITION" });
+    expect(txClient.solicitudHistorial.create).not.toHaveBeenCalled();
+  });
+});
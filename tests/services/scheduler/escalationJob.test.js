@@ -12,6 +12,14 @@ const txClient = {
 
 const mockPrisma = {
   request: { findMany: jest.fn() },
+  requestStatusTransition: { findMany: jest.fn() },
+  organization: { findUnique: jest.fn() },
+  slaCalendar: { findUnique: jest.fn() },
+  slaClosure: { findMany: jest.fn() },
+  slaPolicy: { findMany: jest.fn() },
+  slaNotice: { create: jest.fn() },
+  alertMessage: { findFirst: jest.fn() },
+  alert: { create: jest.fn() },
   $transaction: jest.fn(async (fn) => fn(txClient)),
 };
 const mockNotificationService = { createNotification: jest.fn().mockResolvedValue({}) };
@@ -21,20 +29,46 @@ await jest.unstable_mockModule("../../../services/notificationService.js", () =>
 
 const { runEscalationJob } = await import("../../../services/scheduler/escalationJob.js");
 
+// America/Mexico_City es UTC-6 todo el año; lun–vie 09:00–18:00 por defecto.
+const FRI_10AM = new Date("2026-10-16T16:00:00Z");
+const FRI_5PM = new Date("2026-10-16T23:00:00Z");
+const MON_9AM = new Date("2026-10-19T15:00:00Z");
+const MON_10AM = new Date("2026-10-19T16:00:00Z");
+const TUE_11AM = new Date("2026-10-20T17:00:00Z");
+const TUE_3PM = new Date("2026-10-20T21:00:00Z");
+
+/**
+ * @param {object} [extra]
+ * @returns {object}
+ */
+function candidate(extra = {}) {
+  return {
+    requestId: 1,
+    requestStatusId: 2,
+    organizationId: 1n,
+    workflowPreSnapshot: { levels: [1, 2], n1UserId: 10, n2UserId: 20 },
+    userId: 5,
+    lastModDate: FRI_10AM,
+    ...extra,
+  };
+}
+
 beforeEach(() => {
   jest.clearAllMocks();
   mockPrisma.$transaction.mockImplementation(async (fn) => fn(txClient));
+  mockPrisma.requestStatusTransition.findMany.mockResolvedValue([]);
+  mockPrisma.organization.findUnique.mockResolvedValue({ timezone: "America/Mexico_City" });
+  mockPrisma.slaCalendar.findUnique.mockResolvedValue(null);
+  mockPrisma.slaClosure.findMany.mockResolvedValue([]);
+  mockPrisma.slaPolicy.findMany.mockResolvedValue([]);
+  mockPrisma.slaNotice.create.mockResolvedValue({});
 });
 
 describe("runEscalationJob", () => {
-  test("escalates request status=2 with levels [1,2] and old lastModDate", async () => {
-    mockPrisma.request.findMany.mockResolvedValue([{
-      requestId: 1,
-      workflowPreSnapshot: { levels: [1, 2], n2UserId: 20 },
-      userId: 5,
-    }]);
-    const result = await runEscalationJob();
-    expect(result.escalated).toBe(1);
+  test("escala Primera Revisión al cumplir 18 horas hábiles", async () => {
+    mockPrisma.request.findMany.mockResolvedValue([candidate()]);
+    const result = await runEscalationJob(TUE_11AM);
+    expect(result).toMatchObject({ scanned: 1, escalated: 1 });
     expect(txClient.request.update).toHaveBeenCalledWith({ where: { requestId: 1 }, data: { requestStatusId: 3 } });
     expect(txClient.solicitudHistorial.create).toHaveBeenCalledWith({
       data: expect.objectContaining({ accion: "ESCALADO", requestId: 1, userId: 20 }),
@@ -42,20 +76,64 @@ describe("runEscalationJob", () => {
     expect(mockNotificationService.createNotification).toHaveBeenCalledWith(20, expect.stringContaining("escalada"));
   });
 
-  test("does NOT escalate when snapshot has only level [1]", async () => {
-    mockPrisma.request.findMany.mockResolvedValue([{
-      requestId: 1,
-      workflowPreSnapshot: { levels: [1], n1UserId: 10 },
-      userId: 5,
-    }]);
-    const result = await runEscalationJob();
+  test("el fin de semana no cuenta: 65 horas de reloj son 2 hábiles", async () => {
+    mockPrisma.request.findMany.mockResolvedValue([candidate({ lastModDate: FRI_5PM })]);
+    const result = await runEscalationJob(MON_10AM);
+    expect(result).toEqual({ scanned: 1, escalated: 0, reminded: 0, breached: 0 });
+    expect(txClient.request.update).not.toHaveBeenCalled();
+    expect(mockPrisma.slaNotice.create).not.toHaveBeenCalled();
+  });
+
+  test("un día inhábil de la organización también se descuenta", async () => {
+    mockPrisma.slaClosure.findMany.mockResolvedValue([{ id: 1, closureDate: new Date("2026-10-19"), reason: "Inventario" }]);
+    mockPrisma.request.findMany.mockResolvedValue([candidate()]);
+    const result = await runEscalationJob(TUE_11AM);
     expect(result.escalated).toBe(0);
     expect(txClient.request.update).not.toHaveBeenCalled();
   });
 
+  test("recuerda una sola vez al aprobador antes del vencimiento", async () => {
+    mockPrisma.request.findMany.mockResolvedValue([candidate({ lastModDate: MON_9AM })]);
+    const first = await runEscalationJob(TUE_3PM);
+    expect(first).toMatchObject({ reminded: 1, escalated: 0 });
+    expect(mockPrisma.slaNotice.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ requestId: 1, requestStatusId: 2, stageStartedAt: MON_9AM, kind: "reminder" }),
+    });
+    expect(mockNotificationService.createNotification).toHaveBeenCalledWith(10, expect.stringContaining("vence el"));
+
+    mockPrisma.slaNotice.create.mockRejectedValue({ code: "P2002" });
+    const second = await runEscalationJob(TUE_3PM);
+    expect(second.reminded).toBe(0);
+    expect(mockNotificationService.createNotification).toHaveBeenCalledTimes(1);
+  });
+
+  test("sin paso superior avisa el vencimiento en lugar de escalar", async () => {
+    mockPrisma.request.findMany.mockResolvedValue([candidate({
+      workflowPreSnapshot: { levels: [1], n1UserId: 10 },
+    })]);
+    const result = await runEscalationJob(TUE_11AM);
+    expect(result).toMatchObject({ escalated: 0, breached: 1 });
+    expect(txClient.request.update).not.toHaveBeenCalled();
+    expect(mockPrisma.slaNotice.create).toHaveBeenCalledWith({ data: expect.objectContaining({ kind: "breach" }) });
+    expect(mockNotificationService.createNotification).toHaveBeenCalledWith(10, expect.stringContaining("venció"));
+  });
+
+  test("plazo de la organización en comprobación avisa al solicitante", async () => {
+    mockPrisma.slaPolicy.findMany.mockResolvedValue([{
+      requestStatusId: 6, durationHours: 8, reminderHours: null, escalateOnBreach: false, active: true,
+    }]);
+    mockPrisma.request.findMany.mockResolvedValue([candidate({ requestStatusId: 6, lastModDate: MON_9AM })]);
+    const result = await runEscalationJob(TUE_11AM);
+    expect(result.breached).toBe(1);
+    expect(mockPrisma.request.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({ requestStatusId: { in: [2, 6] } }),
+    }));
+    expect(mockNotificationService.createNotification).toHaveBeenCalledWith(5, expect.stringContaining("Comprobación"));
+  });
+
   test("idempotent: empty candidates return zero", async () => {
     mockPrisma.request.findMany.mockResolvedValue([]);
     const result = await runEscalationJob();
-    expect(result).toEqual({ scanned: 0, escalated: 0 });
+    expect(result).toEqual({ scanned: 0, escalated: 0, reminded: 0, breached: 0 });
   });
 });
@@ -0,0 +1,92 @@
+/**
+ * @file tests/services/scheduler/jobRunner.test.js
+ */
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+
+process.env.NODE_ENV ??= "test";
+
+const tx = { $queryRaw: jest.fn() };
+const mockPrisma = {
+  schedulerJobRun: { create: jest.fn(), update: jest.fn(), findMany: jest.fn() },
+  $transaction: jest.fn(async (fn) => fn(tx)),
+};
+const mockRunEscalationJob = jest.fn();
+
+await jest.unstable_mockModule("../../../database/config/prisma.js", () => ({ default: mockPrisma }));
+await jest.unstable_mockModule("../../../services/scheduler/escalationJob.js", () => ({
+  runEscalationJob: mockRunEscalationJob,
+}));
+await jest.unstable_mockModule("../../../services/scheduler/refundDeadlineJob.js", () => ({
+  runRefundDeadlineJob: jest.fn(),
+}));
+await jest.unstable_mockModule("../../../services/approvalSubstituteService.js", () => ({
+  processStaleApprovals: jest.fn(),
+}));
+
+const { listJobRuns, runScheduledJob } = await import("../../../services/scheduler/jobRunner.js");
+
+const row = (data) => ({ id: 7n, startedAt: new Date("2026-10-19T15:00:00Z"), ...data });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockPrisma.$transaction.mockImplementation(async (fn) => fn(tx));
+  mockPrisma.schedulerJobRun.create.mockImplementation(async ({ data }) => row(data));
+  mockPrisma.schedulerJobRun.update.mockImplementation(async ({ data }) => row({ jobName: "escalationJob", ...data }));
+});
+
+describe("runScheduledJob", () => {
+  test("con el lock corre el job y registra conteos", async () => {
+    tx.$queryRaw.mockResolvedValue([{ locked: true }]);
+    mockRunEscalationJob.mockResolvedValue({ scanned: 4, escalated: 1, reminded: 2, breached: 0 });
+
+    const run = await runScheduledJob("escalationJob", { trigger: "manual", triggeredById: 3 });
+
+    expect(mockPrisma.schedulerJobRun.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ jobName: "escalationJob", trigger: "manual", triggeredById: 3 }),
+    });
+    expect(run).toMatchObject({ id: "7", status: "succeeded", scanned: 4, changed: 3 });
+    expect(mockPrisma.$transaction).toHaveBeenCalledWith(expect.any(Function), expect.objectContaining({ timeout: expect.any(Number) }));
+  });
+
+  test("sin el lock no corre y registra la corrida como skipped", async () => {
+    tx.$queryRaw.mockResolvedValue([{ locked: false }]);
+
+    const run = await runScheduledJob("escalationJob");
+
+    expect(mockRunEscalationJob).not.toHaveBeenCalled();
+    expect(run).toMatchObject({ status: "skipped", trigger: "cron" });
+  });
+
+  test("un error del job queda registrado como failed", async () => {
+    tx.$queryRaw.mockResolvedValue([{ locked: true }]);
+    mockRunEscalationJob.mockRejectedValue(new Error("db caída"));
+
+    const run = await runScheduledJob("escalationJob");
+
+    expect(mockPrisma.schedulerJobRun.update).toHaveBeenCalledWith({
+      where: { id: 7n },
+      data: expect.objectContaining({ status: "failed", error: "db caída" }),
+    });
+    expect(run.status).toBe("failed");
+  });
+
+  test("job desconocido → 404", async () => {
+    await expect(runScheduledJob("nope")).rejects.toMatchObject({ status: 404 });
+    expect(mockPrisma.$transaction).not.toHaveBeenCalled();
+  });
+});
+
+describe("listJobRuns", () => {
+  test("filtra por job y acota el límite", async () => {
+    mockPrisma.schedulerJobRun.findMany.mockResolvedValue([row({ jobName: "refundDeadlineJob", status: "succeeded" })]);
+
+    const runs = await listJobRuns({ jobName: "refundDeadlineJob", limit: 1000 });
+
+    expect(mockPrisma.schedulerJobRun.findMany).toHaveBeenCalledWith({
+      where: { jobName: "refundDeadlineJob" },
+      orderBy: { startedAt: "desc" },
+      take: 200,
+    });
+    expect(runs[0]).toMatchObject({ id: "7", jobName: "refundDeadlineJob" });
+  });
+});
@@ -0,0 +1,272 @@
+/**
+ * @file tests/services/scimService.test.js
+ * @description SCIM 2.0: filtros → Prisma, operaciones PATCH y reglas de alta/edición de usuarios y grupos.
+ */
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+
+process.env.NODE_ENV ??= "test";
+
+const prismaMock = {
+  user: { findFirst: jest.fn(), findMany: jest.fn(), create: jest.fn(), update: jest.fn(), count: jest.fn() },
+  role: { findMany: jest.fn(), count: jest.fn() },
+  department: { findFirst: jest.fn() },
+  empleado: { upsert: jest.fn(), updateMany: jest.fn() },
+  permissionGroup: { findFirst: jest.fn(), update: jest.fn(), create: jest.fn(), count: jest.fn() },
+  userPermissionGroup: { findMany: jest.fn(), deleteMany: jest.fn(), createMany: jest.fn() },
+  $transaction: jest.fn((fn) => fn(prismaMock)),
+};
+await jest.unstable_mockModule("../../database/config/prisma.js", () => ({ default: prismaMock }));
+
+const mockWouldCreateManagerCycle = jest.fn();
+await jest.unstable_mockModule("../../services/employeeHierarchyService.js", () => ({
+  wouldCreateManagerCycle: mockWouldCreateManagerCycle,
+}));
+
+const mockEnsureGrants = jest.fn();
+await jest.unstable_mockModule("../../services/tenantApplicantUserGrants.js", () => ({
+  ensureTenantApplicantUserPermissions: mockEnsureGrants,
+}));
+
+const { parseFilter, filterToWhere, matchesFilter, stringAttr, booleanAttr } = await import("../../services/scim/scimFilter.js");
+const { applyPatchOperations } = await import("../../services/scim/scimPatch.js");
+const { ScimError, SCHEMA_PATCH } = await import("../../services/scim/scimCore.js");
+const ScimUserService = (await import("../../services/scim/scimUserService.js")).default;
+const ScimGroupService = (await import("../../services/scim/scimGroupService.js")).default;
+
+const ORG = 7n;
+const BASE = "https://api.test/scim/v2";
+
+const dbUser = (over = {}) => ({
+  userId: 5,
+  organizationId: ORG,
+  userName: "ana",
+  email: "ana@acme.mx",
+  active: true,
+  phoneNumber: null,
+  noEmpleado: null,
+  departmentId: null,
+  managerUserId: null,
+  creationDate: new Date("2026-01-01T00:00:00Z"),
+  lastModDate: new Date("2026-01-01T00:00:00Z"),
+  role: { roleId: 1, roleName: "Solicitante" },
+  department: null,
+  manager: null,
+  empleado: null,
+  userPermissionGroups: [],
+  ...over,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prismaMock.$transaction.mockImplementation((fn) => fn(prismaMock));
+  prismaMock.role.findMany.mockResolvedValue([
+    { roleId: 1, roleName: "Solicitante" }, { roleId: 2, roleName: "N1" }, { roleId: 3, roleName: "Administrador" },
+  ]);
+  prismaMock.role.count.mockResolvedValue(0);
+  prismaMock.user.findMany.mockResolvedValue([]);
+  prismaMock.permissionGroup.count.mockResolvedValue(0);
+  prismaMock.userPermissionGroup.findMany.mockResolvedValue([]);
+  mockWouldCreateManagerCycle.mockResolvedValue(false);
+});
+
+describe("scimFilter", () => {
+  const attrs = { username: stringAttr(["userName"]), active: booleanAttr(["active"]) };
+
+  test("compila and/or con comparación de strings sin distinguir mayúsculas", () => {
+    const where = filterToWhere(parseFilter('userName eq "Ana" and (active eq true or userName sw "a")'), attrs);
+    expect(where).toEqual({
+      AND: [
+        { userName: { equals: "Ana", mode: "insensitive" } },
+        { OR: [{ active: true }, { userName: { startsWith: "a", mode: "insensitive" } }] },
+      ],
+    });
+  });
+
+  test("atributo no soportado → 400 invalidFilter", () => {
+    expect(() => filterToWhere(parseFilter('nickName eq "x"'), attrs)).toThrow(ScimError);
+    expect(() => parseFilter('userName eq "sin cerrar')).toThrow(ScimError);
+  });
+
+  test("evalúa value paths en memoria", () => {
+    const node = parseFilter('emails[type eq "work" and value co "@acme"]');
+    expect(matchesFilter(node, { emails: [{ type: "work", value: "ana@acme.mx" }] })).toBe(true);
+    expect(matchesFilter(node, { emails: [{ type: "home", value: "ana@acme.mx" }] })).toBe(false);
+  });
+});
+
+describe("scimPatch", () => {
+  const patch = (...Operations) => ({ schemas: [SCHEMA_PATCH], Operations });
+
+  test("replace sin path, con path y con filtro (estilo Azure AD)", () => {
+    const out = applyPatchOperations(
+      { userName: "ana", active: true, emails: [{ type: "work", value: "a@x.mx", primary: true }] },
+      patch(
+        { op: "Replace", value: { active: "False" } },
+        { op: "replace", path: 'emails[type eq "work"].value', value: "ana@x.mx" },
+      ),
+    );
+    expect(out.active).toBe("False");
+    expect(out.emails[0].value).toBe("ana@x.mx");
+  });
+
+  test("remove de miembros por filtro y add de miembros nuevos", () => {
+    const out = applyPatchOperations(
+      { members: [{ value: "1" }, { value: "2" }] },
+      patch(
+        { op: "remove", path: 'members[value eq "1"]' },
+        { op: "add", path: "members", value: [{ value: "3" }] },
+      ),
+    );
+    expect(out.members.map((m) => m.value)).toEqual(["2", "3"]);
+  });
+
+  test("operación desconocida → 400 invalidSyntax", () => {
+    expect(() => applyPatchOperations({}, patch({ op: "move", path: "userName" }))).toThrow(
+      expect.objectContaining({ status: 400, scimType: "invalidSyntax" }),
+    );
+  });
+});
+
+describe("scimUserService", () => {
+  test("alta: valida con las reglas del import y asigna rol por defecto", async () => {
+    prismaMock.user.findFirst
+      .mockResolvedValueOnce(null) // userName libre
+      .mockResolvedValueOnce(null) // email libre
+      .mockResolvedValueOnce(dbUser({ userId: 9, userName: "luis", email: "luis@acme.mx" }));
+    prismaMock.user.create.mockResolvedValue({ userId: 9 });
+
+    const out = await ScimUserService.createScimUser(ORG, {
+      userName: "Luis",
+      emails: [{ value: "luis@acme.mx", primary: true }],
+    }, BASE);
+
+    expect(prismaMock.user.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ organizationId: ORG, userName: "luis", email: "luis@acme.mx", roleId: 1 }),
+    }));
+    expect(mockEnsureGrants).toHaveBeenCalledWith(ORG, 9);
+    expect(out.meta.location).toBe(`${BASE}/Users/9`);
+  });
+
+  test("alta con email inválido → 400 sin escribir", async () => {
+    await expect(ScimUserService.createScimUser(ORG, {
+      userName: "luis",
+      emails: [{ value: "no-es-email" }],
+    }, BASE)).rejects.toMatchObject({ status: 400, scimType: "invalidValue" });
+    expect(prismaMock.user.create).not.toHaveBeenCalled();
+  });
+
+  test("PATCH de manager que crea ciclo → 400", async () => {
+    prismaMock.user.findFirst
+      .mockResolvedValueOnce(dbUser()) // actual
+      .mockResolvedValueOnce({ userId: 6, noEmpleado: null }); // manager
+    mockWouldCreateManagerCycle.mockResolvedValue(true);
+
+    await expect(ScimUserService.patchScimUser(ORG, "5", {
+      schemas: [SCHEMA_PATCH],
+      Operations: [{
+        op: "replace",
+        path: "urn:ietf:params:scim:schemas:extension:enterprise:2.0:User:manager",
+        value: { value: "6" },
+      }],
+    }, BASE)).rejects.toMatchObject({ status: 400 });
+    expect(mockWouldCreateManagerCycle).toHaveBeenCalledWith(5, 6);
+    expect(prismaMock.user.update).not.toHaveBeenCalled();
+  });
+
+  test("no asigna roles fuera de la lista ni roles con permisos de administración", async () => {
+    prismaMock.user.findFirst.mockResolvedValue(null);
+    const body = (role) => ({ userName: "luis", emails: [{ value: "luis@acme.mx" }], roles: [{ value: role }] });
+
+    await expect(ScimUserService.createScimUser(ORG, body("administrador"), BASE)).rejects.toMatchObject({ status: 403 });
+    expect(prismaMock.role.count).not.toHaveBeenCalled();
+
+    prismaMock.role.count.mockResolvedValue(1);
+    await expect(ScimUserService.createScimUser(ORG, body("N1"), BASE)).rejects.toMatchObject({ status: 403 });
+    expect(prismaMock.role.count.mock.calls[0][0].where).toMatchObject({ roleId: 2 });
+    expect(prismaMock.user.create).not.toHaveBeenCalled();
+  });
+
+  test("PUT, PATCH y DELETE de un administrador → 403 sin escribir", async () => {
+    prismaMock.user.findFirst.mockResolvedValue(dbUser({ role: { roleId: 3, roleName: "Administrador" } }));
+    prismaMock.user.findMany.mockImplementation(async ({ select }) => (
+      select.role ? [{ userId: 5, role: { roleName: "Administrador" } }] : []
+    ));
+
+    await expect(ScimUserService.replaceScimUser(ORG, "5", { emails: [{ value: "otra@acme.mx" }] }, BASE))
+      .rejects.toMatchObject({ status: 403 });
+    await expect(ScimUserService.deactivateScimUser(ORG, "5")).rejects.toMatchObject({ status: 403 });
+
+    // Rol permitido pero con un grupo de usuario que otorga administración.
+    prismaMock.user.findFirst.mockResolvedValue(dbUser());
+    prismaMock.user.findMany.mockImplementation(async ({ select }) => (
+      select.role ? [{ userId: 5, role: { roleName: "Solicitante" } }] : [{ userId: 5 }]
+    ));
+    await expect(ScimUserService.patchScimUser(ORG, "5", {
+      schemas: [SCHEMA_PATCH],
+      Operations: [{ op: "replace", path: "active", value: false }],
+    }, BASE)).rejects.toMatchObject({ status: 403 });
+
+    expect(prismaMock.user.update).not.toHaveBeenCalled();
+  });
+
+  test("DELETE desactiva usuario y empleado", async () => {
+    prismaMock.user.findFirst.mockResolvedValueOnce(dbUser({ noEmpleado: "E5" }));
+    await ScimUserService.deactivateScimUser(ORG, "5");
+    expect(prismaMock.user.update).toHaveBeenCalledWith({ where: { userId: 5, organizationId: ORG }, data: { active: false } });
+    expect(prismaMock.empleado.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { organizationId: ORG, noEmpleado: "E5" },
+      data: expect.objectContaining({ status: "I" }),
+    }));
+  });
+});
+
+describe("scimGroupService", () => {
+  test("miembros de otra organización → 400", async () => {
+    prismaMock.permissionGroup.findFirst.mockResolvedValueOnce(null);
+    prismaMock.permissionGroup.create.mockResolvedValue({ groupId: 3 });
+    prismaMock.user.findMany.mockResolvedValue([{ userId: 1 }]);
+
+    await expect(ScimGroupService.createScimGroup(ORG, {
+      displayName: "Viajeros",
+      members: [{ value: "1" }, { value: "99" }],
+    }, BASE)).rejects.toMatchObject({ status: 400, scimType: "invalidValue" });
+    expect(prismaMock.userPermissionGroup.createMany).not.toHaveBeenCalled();
+  });
+
+  test("grupo de sistema no se elimina", async () => {
+    prismaMock.permissionGroup.findFirst.mockResolvedValueOnce({ groupId: 1, groupName: "OrgAdmin", isSystem: true });
+    await expect(ScimGroupService.deleteScimGroup(ORG, "1")).rejects.toMatchObject({ status: 400, scimType: "mutability" });
+    expect(prismaMock.permissionGroup.update).not.toHaveBeenCalled();
+  });
+
+  test("no gestiona la membresía de grupos de sistema ni con permisos de administración", async () => {
+    prismaMock.permissionGroup.findFirst.mockResolvedValueOnce({ groupId: 1, groupName: "OrgAdmin", isSystem: true });
+    await expect(ScimGroupService.replaceScimGroup(ORG, "1", { displayName: "OrgAdmin", members: [{ value: "9" }] }, BASE))
+      .rejects.toMatchObject({ status: 403 });
+
+    prismaMock.permissionGroup.findFirst.mockResolvedValueOnce({ groupId: 4, groupName: "Finanzas", isSystem: false });
+    prismaMock.permissionGroup.count.mockResolvedValue(1);
+    await expect(ScimGroupService.replaceScimGroup(ORG, "4", { displayName: "Finanzas", members: [{ value: "9" }] }, BASE))
+      .rejects.toMatchObject({ status: 403 });
+
+    expect(prismaMock.userPermissionGroup.createMany).not.toHaveBeenCalled();
+    expect(prismaMock.userPermissionGroup.deleteMany).not.toHaveBeenCalled();
+  });
+
+  test("altas y bajas de miembros no tocan administradores", async () => {
+    prismaMock.permissionGroup.findFirst.mockResolvedValueOnce({ groupId: 4, groupName: "Viajeros", isSystem: false });
+    prismaMock.userPermissionGroup.findMany.mockResolvedValue([{ userId: 1 }, { userId: 2 }]);
+    prismaMock.user.findMany.mockImplementation(async ({ select, where }) => {
+      if (select.role) return [{ userId: 2, role: { roleName: "Administrador" } }].filter((u) => where.userId.in.includes(u.userId));
+      return where.OR ? [] : [{ userId: 1 }];
+    });
+
+    // Quitar al admin (2) del grupo también se rechaza.
+    await expect(ScimGroupService.replaceScimGroup(ORG, "4", { displayName: "Viajeros", members: [{ value: "1" }] }, BASE))
+      .rejects.toMatchObject({ status: 403 });
+    expect(prismaMock.user.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({ userId: { in: [2] } }),
+    }));
+    expect(prismaMock.userPermissionGroup.deleteMany).not.toHaveBeenCalled();
+  });
+});
@@ -109,4 +109,47 @@ describe("solicitudJourneyService", () => {
     expect(byKey.quote.state).toBe("cancelled");
     expect(journey.steps.find((s) => s.key === "rejected")).toBeTruthy();
   });
+
+  test("buildSolicitudJourney muestra el avance parcial de un paso por quórum", () => {
+    const journey = buildSolicitudJourney({
+      currentStatusId: 3,
+      currentStatusLabel: "Segunda Revisión",
+      workflowPreSnapshot: {
+        levels: [1, 2],
+        currentStep: 1,
+        steps: [
+          { level: 1, kind: "manager", userId: 10, roleName: "N1" },
+          {
+            level: 2, kind: "role", mode: "quorum", userId: null, roleName: "Finanzas",
+            approverIds: [51, 52, 53], quorum: 2, votes: [51], rejections: [],
+          },
+        ],
+      },
+      routeRequests: [],
+      creationDate: new Date("2026-01-01T10:00:00Z"),
+      historial: [
+        { accion: "APROBADO", createdAt: new Date("2026-01-02T10:00:00Z"), user: { userName: "n1.user" } },
+        {
+          accion: "VOTO",
+          createdAt: new Date("2026-01-03T10:00:00Z"),
+          comentario: "Voto a favor 1 de 2 (paso 2)",
+          user: { userName: "fin.a" },
+        },
+      ],
+    });
+
+    const byKey = Object.fromEntries(journey.steps.map((s) => [s.key, s]));
+    expect(byKey.n1.approvals).toEqual([{ level: 1, roleName: "N1", mode: "single", state: "completed" }]);
+    expect(byKey.n2.state).toBe("current");
+    expect(byKey.n2.actor).toBeNull();
+    expect(byKey.n2.note).toBe("VOTO: Voto a favor 1 de 2 (paso 2)");
+    expect(byKey.n2.approvals).toEqual([{
+      level: 2,
+      roleName: "Finanzas",
+      mode: "quorum",
+      state: "current",
+      votes: { cast: 1, required: 2, rejected: 0, eligible: 3 },
+    }]);
+    expect(journey.events.map((e) => e.action)).toEqual(["APROBADO", "VOTO"]);
+  });
 });
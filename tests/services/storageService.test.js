@@ -0,0 +1,113 @@
+/**
+ * @file tests/services/storageService.test.js
+ * @description Driver local de almacenamiento y selección de driver por organización.
+ */
+import { jest, describe, test, expect, beforeAll, afterAll, beforeEach } from "@jest/globals";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+process.env.NODE_ENV ??= "test";
+process.env.STORAGE_SIGNING_SECRET = "test-signing-secret";
+
+const mockResolveIntegration = jest.fn();
+await jest.unstable_mockModule("../../services/integrationResolver.js", () => ({
+  resolveIntegration: mockResolveIntegration,
+}));
+
+const storage = await import("../../services/storageService.js");
+
+let rootDir;
+
+/**
+ * @param {import('stream').Readable} stream
+ * @returns {Promise<string>}
+ */
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+beforeAll(async () => {
+  rootDir = await fs.mkdtemp(path.join(os.tmpdir(), "coco-storage-"));
+  process.env.STORAGE_LOCAL_DIR = rootDir;
+});
+
+afterAll(async () => {
+  await fs.rm(rootDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockResolveIntegration.mockResolvedValue({ driver: "local" });
+});
+
+describe("storageService con driver local", () => {
+  test("upload, head, stream y delete sin nube", async () => {
+    const { key, driver } = await storage.upload({
+      body: Buffer.from("<cfdi/>"),
+      organizationId: 7n,
+      viajeId: 42,
+      fileName: "../factura.xml",
+      contentType: "text/xml",
+      receiptId: 9,
+    });
+
+    expect(driver).toBe("local");
+    expect(key).toMatch(/^7\/42\/9\/[0-9a-f-]{36}\/factura\.xml$/);
+    expect(mockResolveIntegration).toHaveBeenCalledWith(7n, "STORAGE");
+
+    await expect(storage.headObject(key)).resolves.toMatchObject({ contentType: "text/xml", contentLength: 7 });
+    const { body, contentType } = await storage.getObjectStream(key);
+    expect(contentType).toBe("text/xml");
+    await expect(readAll(body)).resolves.toBe("<cfdi/>");
+
+    await storage.deleteObject(key);
+    await expect(storage.getObjectStream(key)).rejects.toBeInstanceOf(storage.StorageObjectNotFoundError);
+  });
+
+  test("la URL firmada abre el objeto y caduca o se rechaza si se altera", async () => {
+    const { key } = await storage.upload({
+      body: "pdf", organizationId: 7, viajeId: 1, fileName: "a.pdf", contentType: "application/pdf",
+    });
+    const url = new URL(await storage.getPresignedUrl(key), "https://api.test");
+    expect(url.pathname).toBe(`/api/files/local/${key}`);
+    const expires = url.searchParams.get("expires");
+    const signature = url.searchParams.get("signature");
+
+    const opened = await storage.openSignedLocalDownload(key, expires, signature);
+    await expect(readAll(opened.body)).resolves.toBe("pdf");
+
+    await expect(storage.openSignedLocalDownload(`${key}x`, expires, signature))
+      .rejects.toBeInstanceOf(storage.StorageSignatureError);
+    await expect(storage.openSignedLocalDownload(key, Number(expires) + 60, signature))
+      .rejects.toMatchObject({ code: "STORAGE_SIGNATURE_INVALID" });
+    await expect(storage.openSignedLocalDownload(key, 1000, signature))
+      .rejects.toMatchObject({ message: "Download URL expired" });
+  });
+
+  test("claves con segmentos relativos no salen del directorio raíz", async () => {
+    await expect(storage.getObjectStream("7/../../etc/passwd")).rejects.toBeInstanceOf(storage.StorageSignatureError);
+    await expect(storage.getObjectStream("7/.meta/x")).rejects.toBeInstanceOf(storage.StorageObjectNotFoundError);
+  });
+});
+
+describe("selección de driver", () => {
+  test("la integración STORAGE de la org elige el driver; sin org se usa STORAGE_DRIVER", async () => {
+    mockResolveIntegration.mockResolvedValue({ driver: "s3", bucket: "acme-files", region: "us-east-1" });
+    const s3 = await storage.getStorageDriver(3);
+    expect(s3).toMatchObject({ name: "s3", location: "acme-files" });
+
+    process.env.STORAGE_DRIVER = "local";
+    const fallback = await storage.getStorageDriver("defaultOrg");
+    expect(fallback.name).toBe("local");
+    expect(mockResolveIntegration).toHaveBeenCalledTimes(1);
+    delete process.env.STORAGE_DRIVER;
+  });
+
+  test("un driver desconocido es un error de configuración", async () => {
+    mockResolveIntegration.mockResolvedValue({ driver: "ftp" });
+    await expect(storage.getStorageDriver(3)).rejects.toThrow("Unknown storage driver: ftp");
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * @file tests/services/travelerProfileService.test.js
+ * @description Perfil de viajero: cifrado de PII, avisos de pasaporte y prellenado de pasajeros.
+ */
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+
+process.env.NODE_ENV ??= "test";
+process.env.AES_SECRET_KEY = "0123456789abcdef0123456789abcdef";
+
+const prismaMock = {
+  travelerProfile: { findUnique: jest.fn(), upsert: jest.fn() },
+  request: { findUnique: jest.fn() },
+};
+await jest.unstable_mockModule("../../database/config/prisma.js", () => ({ default: prismaMock }));
+
+const svc = await import("../../services/travelerProfileService.js");
+const { encrypt } = await import("../../middleware/decryption.js");
+
+const input = {
+  legal_given_name: "Ana María",
+  legal_family_name: "Ruiz Gómez",
+  date_of_birth: "1990-04-12",
+  gender: "f",
+  title: "ms",
+  phone_number: "+525512345678",
+  passport: { number: "g12345678", issuing_country: "mx", expires_on: "2027-01-15" },
+  airline_loyalty: [{ airline_iata: "am", number: "123456789" }],
+  hotel_loyalty: [{ chain: "Marriott Bonvoy", number: "998877" }],
+  seat_preference: "aisle",
+  meal_preference: "vgml",
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prismaMock.travelerProfile.upsert.mockImplementation(async ({ create }) => ({ ...create, updatedAt: new Date() }));
+});
+
+describe("upsertTravelerProfile", () => {
+  test("guarda la identidad cifrada y la devuelve descifrada", async () => {
+    const profile = await svc.upsertTravelerProfile(5, 3n, input);
+
+    const { create } = prismaMock.travelerProfile.upsert.mock.calls[0][0];
+    expect(create.encryptedData).toMatch(/^[0-9a-f]{32}/);
+    expect(create.encryptedData).not.toContain("G12345678");
+    expect(create).toMatchObject({ userId: 5, organizationId: 3n, seatPreference: "aisle", mealPreference: "VGML" });
+    expect(profile.passport).toEqual({ number: "G12345678", issuing_country: "MX", nationality: null, expires_on: "2027-01-15" });
+    expect(profile.airline_loyalty).toEqual([{ airline_iata: "AM", number: "123456789" }]);
+  });
+});
+
+describe("passportWarnings", () => {
+  const profile = { passport: { expires_on: "2027-01-15" } };
+
+  test("avisa si vence antes del viaje o a menos de seis meses", () => {
+    expect(svc.passportWarnings(profile, "2027-02-01")[0].code).toBe("PASSPORT_EXPIRED");
+    expect(svc.passportWarnings(profile, "2026-09-01")[0].code).toBe("PASSPORT_EXPIRES_SOON");
+    expect(svc.passportWarnings(profile, "2026-07-14")).toEqual([]);
+    expect(svc.passportWarnings({ passport: null }, "2026-09-01")).toEqual([]);
+  });
+});
+
+describe("prefillPassengersForRequest", () => {
+  test("arma el pasajero desde el perfil del solicitante con email descifrado", async () => {
+    prismaMock.request.findUnique.mockResolvedValue({
+      tripEndDate: new Date("2026-11-20T00:00:00Z"),
+      user: { userId: 5, userName: "ana", email: encrypt("ana@acme.mx"), phoneNumber: null },
+      routeRequests: [],
+    });
+    prismaMock.travelerProfile.findUnique.mockResolvedValue({
+      userId: 5,
+      encryptedData: encrypt(JSON.stringify({ ...input, passport: { number: "G1", issuing_country: "MX", expires_on: "2027-01-15" } })),
+      seatPreference: "aisle",
+      mealPreference: "VGML",
+    });
+
+    const prefill = await svc.prefillPassengersForRequest(40);
+
+    expect(prefill.passengers[0]).toMatchObject({
+      givenName: "Ana María",
+      familyName: "Ruiz Gómez",
+      email: "ana@acme.mx",
+      bornOn: "1990-04-12",
+      phoneNumber: "+525512345678",
+      identityDocument: { type: "passport", uniqueIdentifier: "G1", issuingCountryCode: "MX" },
+    });
+    expect(prefill.missing).toEqual([]);
+    expect(prefill.preferences).toMatchObject({ seat: "aisle", meal: "VGML" });
+    expect(prefill.warnings.map((w) => w.code)).toEqual(["PASSPORT_EXPIRES_SOON"]);
+  });
+
+  test("sin perfil: pasajero incompleto y aviso PROFILE_MISSING", async () => {
+    prismaMock.request.findUnique.mockResolvedValue({
+      tripEndDate: null,
+      user: { userId: 5, userName: "ana", email: "ana@acme.mx", phoneNumber: "+525500000000" },
+      routeRequests: [],
+    });
+    prismaMock.travelerProfile.findUnique.mockResolvedValue(null);
+
+    const prefill = await svc.prefillPassengersForRequest(40);
+    expect(prefill.hasProfile).toBe(false);
+    expect(prefill.passengers[0].phoneNumber).toBe("+525500000000");
+    expect(prefill.missing).toEqual(["legal_given_name", "legal_family_name", "date_of_birth", "gender", "title"]);
+    expect(prefill.warnings.map((w) => w.code)).toEqual(["PROFILE_MISSING"]);
+  });
+});
@@ -0,0 +1,282 @@
+/**
+ * @file tests/services/walletLedgerService.test.js
+ * @description Monedero en partida doble: cuadre de líneas, idempotencia por sourceKey, movimientos
+ * del flujo (anticipo, comprobación, reembolso) y estados de cuenta.
+ */
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import { Prisma } from "@prisma/client";
+
+process.env.NODE_ENV ??= "test";
+
+const prismaMock = {
+  walletEntry: { create: jest.fn(), findUnique: jest.fn(), findMany: jest.fn() },
+  walletLedgerLine: { groupBy: jest.fn() },
+  request: { findUnique: jest.fn(), findFirst: jest.fn() },
+  receipt: { findUnique: jest.fn() },
+  advanceSettlement: { findMany: jest.fn() },
+  user: { findFirst: jest.fn(), findMany: jest.fn() },
+};
+await jest.unstable_mockModule("../../database/config/prisma.js", () => ({ default: prismaMock }));
+
+const svc = await import("../../services/walletLedgerService.js");
+
+const ORG = 7n;
+
+/**
+ * @param {Object} args
+ * @returns {Array<{ account: string, amount: number, currency: string }>}
+ */
+const createdLines = (args) =>
+  args.data.lines.create.map((l) => ({ account: l.account, amount: l.amount.toNumber(), currency: l.currency }));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prismaMock.walletEntry.create.mockImplementation(async (args) => ({ id: 1n, ...args.data }));
+  prismaMock.walletLedgerLine.groupBy.mockResolvedValue([]);
+  prismaMock.advanceSettlement.findMany.mockResolvedValue([]);
+});
+
+/**
+ * Libro en memoria: guarda los movimientos (P2002 si el sourceKey se repite) y responde los groupBy
+ * del servicio sobre sus líneas.
+ * @returns {{ entries: Object[] }}
+ */
+function memoryLedger() {
+  const entries = [];
+  prismaMock.walletEntry.create.mockImplementation(async ({ data }) => {
+    if (entries.some((e) => e.sourceKey === data.sourceKey)) {
+      throw new Prisma.PrismaClientKnownRequestError("dup", { code: "P2002", clientVersion: "6" });
+    }
+    const entry = { ...data, lines: data.lines.create };
+    entries.push(entry);
+    return entry;
+  });
+  prismaMock.walletEntry.findUnique.mockImplementation(async ({ where }) =>
+    entries.find((e) => e.sourceKey === where.sourceKey) ?? null);
+  prismaMock.walletLedgerLine.groupBy.mockImplementation(async ({ by, where }) => {
+    const accounts = typeof where.account === "string" ? [where.account] : where.account.in;
+    const groups = new Map();
+    for (const e of entries) {
+      if (where.entry?.requestId !== undefined && e.requestId !== where.entry.requestId) continue;
+      for (const l of e.lines) {
+        if (!accounts.includes(l.account) || (where.userId !== undefined && l.userId !== where.userId)) continue;
+        const key = by.map((k) => l[k]).join("|");
+        const group = groups.get(key) ?? { ...Object.fromEntries(by.map((k) => [k, l[k]])), _sum: { amount: new Prisma.Decimal(0) } };
+        group._sum.amount = group._sum.amount.plus(l.amount);
+        groups.set(key, group);
+      }
+    }
+    return [...groups.values()];
+  });
+  return { entries };
+}
+
+describe("postEntry", () => {
+  test("rechaza líneas que no suman cero", async () => {
+    await expect(svc.postEntry({
+      organizationId: ORG, userId: 3, entryType: "ADJUSTMENT", sourceKey: "manual:x",
+      lines: [{ account: "ADJUSTMENT", amount: 10 }, { account: "PAYABLE", amount: -9.99 }],
+    })).rejects.toMatchObject({ status: 400 });
+    expect(prismaMock.walletEntry.create).not.toHaveBeenCalled();
+  });
+
+  test("un sourceKey repetido devuelve el movimiento existente", async () => {
+    prismaMock.walletEntry.create.mockRejectedValue(
+      new Prisma.PrismaClientKnownRequestError("dup", { code: "P2002", clientVersion: "6" }),
+    );
+    prismaMock.walletEntry.findUnique.mockResolvedValue({ id: 9n, sourceKey: "receipt:5" });
+
+    const entry = await svc.postEntry({
+      organizationId: ORG, userId: 3, entryType: "EXPENSE_PROVEN", sourceKey: "receipt:5",
+      lines: [{ account: "EXPENSE", amount: 100 }, { account: "ADVANCE", amount: -100 }],
+    });
+
+    expect(entry).toEqual({ id: 9n, sourceKey: "receipt:5" });
+    expect(prismaMock.walletEntry.findUnique).toHaveBeenCalledWith({ where: { sourceKey: "receipt:5" }, include: { lines: true } });
+  });
+});
+
+describe("movimientos del flujo", () => {
+  test("recordAdvanceDisbursed carga el anticipo y lo liga a la póliza AV", async () => {
+    prismaMock.request.findUnique.mockResolvedValue({ requestId: 20, organizationId: ORG, userId: 3, requestedFee: 5000 });
+
+    await svc.recordAdvanceDisbursed(20, { anticipoSnapshotId: 44 });
+
+    const args = prismaMock.walletEntry.create.mock.calls[0][0];
+    expect(args.data).toMatchObject({
+      entryType: "ADVANCE_DISBURSED", polizaDocType: "AV", anticipoSnapshotId: 44, sourceKey: "advance:20", requestId: 20,
+    });
+    expect(createdLines(args)).toEqual([
+      { account: "ADVANCE", amount: 5000, currency: "MXN" },
+      { account: "CASH", amount: -5000, currency: "MXN" },
+    ]);
+  });
+
+  test("recordExpenseProven ignora comprobantes pagados por la empresa y usa la moneda del CFDI", async () => {
+    prismaMock.receipt.findUnique.mockResolvedValueOnce({
+      receiptId: 5, requestId: 20, organizationId: ORG, amount: 300, refund: false, validation: "Aprobado",
+      cfdiComprobante: null, request: { userId: 3 },
+    });
+    expect(await svc.recordExpenseProven(5)).toBeNull();
+
+    prismaMock.receipt.findUnique.mockResolvedValueOnce({
+      receiptId: 6, requestId: 20, organizationId: ORG, amount: 120.5, refund: true, validation: "Aprobado",
+      cfdiComprobante: { moneda: "USD" }, request: { userId: 3 },
+    });
+    await svc.recordExpenseProven(6);
+
+    const args = prismaMock.walletEntry.create.mock.calls[0][0];
+    expect(args.data).toMatchObject({ entryType: "EXPENSE_PROVEN", polizaDocType: "GV", receiptId: 6, sourceKey: "receipt:6" });
+    expect(createdLines(args)).toEqual([
+      { account: "EXPENSE", amount: 120.5, currency: "USD" },
+      { account: "ADVANCE", amount: -120.5, currency: "USD" },
+    ]);
+  });
+
+  test("recordReimbursementOwed pasa a por pagar solo lo comprobado sobre el anticipo", async () => {
+    prismaMock.request.findUnique.mockResolvedValue({ requestId: 20, organizationId: ORG, userId: 3, receipts: [] });
+    prismaMock.walletLedgerLine.groupBy.mockResolvedValue([
+      { currency: "MXN", _sum: { amount: new Prisma.Decimal("-750.25") } },
+      { currency: "USD", _sum: { amount: new Prisma.Decimal("40") } },
+    ]);
+
+    const posted = await svc.recordReimbursementOwed(20);
+
+    expect(posted).toHaveLength(1);
+    const args = prismaMock.walletEntry.create.mock.calls[0][0];
+    expect(args.data).toMatchObject({ entryType: "REIMBURSEMENT_OWED", sourceKey: "reimbursement:20:MXN" });
+    expect(createdLines(args)).toEqual([
+      { account: "ADVANCE", amount: 750.25, currency: "MXN" },
+      { account: "PAYABLE", amount: -750.25, currency: "MXN" },
+    ]);
+  });
+
+  test("recordSettlement de un reembolso registra primero lo por pagar y luego el pago", async () => {
+    prismaMock.request.findUnique.mockResolvedValue({ requestId: 20, organizationId: ORG, userId: 3, receipts: [] });
+    prismaMock.walletLedgerLine.groupBy.mockResolvedValue([{ currency: "MXN", _sum: { amount: new Prisma.Decimal("-200") } }]);
+
+    await svc.recordSettlement(
+      { id: 11, organizationId: ORG, requestId: 20, currency: "MXN", direction: "COMPANY_OWES", amount: "200" },
+      { userId: 3, createdById: 1, reference: "SPEI-1" },
+    );
+
+    const [owed, paid] = prismaMock.walletEntry.create.mock.calls.map(([args]) => args);
+    expect(owed.data.entryType).toBe("REIMBURSEMENT_OWED");
+    expect(paid.data).toMatchObject({ entryType: "REIMBURSEMENT_PAID", sourceKey: "settlement:11", polizaDocType: "GV" });
+    expect(createdLines(paid)).toEqual([
+      { account: "PAYABLE", amount: 200, currency: "MXN" },
+      { account: "CASH", amount: -200, currency: "MXN" },
+    ]);
+  });
+
+  test("recordManualEntry valida tipo, monto y pertenencia del empleado", async () => {
+    await expect(svc.recordManualEntry({ organizationId: ORG, userId: 3, entryType: "ADVANCE_REFUND", amount: -5, memo: "x" }))
+      .rejects.toMatchObject({ status: 400 });
+    prismaMock.user.findFirst.mockResolvedValueOnce(null);
+    await expect(svc.recordManualEntry({ organizationId: ORG, userId: 99, entryType: "ADJUSTMENT", amount: 5, memo: "x" }))
+      .rejects.toMatchObject({ status: 404 });
+
+    prismaMock.user.findFirst.mockResolvedValueOnce({ userId: 3 });
+    await svc.recordManualEntry({ organizationId: ORG, userId: 3, entryType: "ADJUSTMENT", amount: 80, memo: "Ajuste", createdById: 1 });
+    const args = prismaMock.walletEntry.create.mock.calls[0][0];
+    expect(args.data.sourceKey).toMatch(/^manual:/);
+    expect(createdLines(args)).toEqual([
+      { account: "ADJUSTMENT", amount: 80, currency: "MXN" },
+      { account: "PAYABLE", amount: -80, currency: "MXN" },
+    ]);
+  });
+});
+
+describe("anticipo MXN con comprobantes en otra moneda", () => {
+  // Liquidaciones tal como las netea advanceSettlementService.computeSettlementLines con FIX 18.
+  test.each([
+    {
+      name: "sobra anticipo: el empleado devuelve los pesos",
+      requestedFee: 10000,
+      proven: 100,
+      settlements: [
+        { id: 1, currency: "MXN", advanceAmount: 8200, advanceBaseAmount: 8200, direction: "EMPLOYEE_OWES", amount: 8200 },
+        { id: 2, currency: "USD", advanceAmount: 100, advanceBaseAmount: 1800, direction: "BALANCED", amount: 0 },
+      ],
+    },
+    {
+      name: "falta anticipo: la empresa reembolsa los dólares",
+      requestedFee: 3000,
+      proven: 300,
+      settlements: [
+        { id: 3, currency: "USD", advanceAmount: 166.67, advanceBaseAmount: 3000, direction: "COMPANY_OWES", amount: 133.33 },
+      ],
+    },
+  ])("todos los saldos quedan en cero al liquidar ($name)", async ({ requestedFee, proven, settlements }) => {
+    const { entries } = memoryLedger();
+    const rows = settlements.map((s) => ({ ...s, organizationId: ORG, requestId: 20, request: { userId: 3 } }));
+    prismaMock.request.findUnique.mockResolvedValue({
+      requestId: 20, organizationId: ORG, userId: 3, requestedFee, receipts: [{ receiptId: 6 }],
+    });
+    prismaMock.receipt.findUnique.mockResolvedValue({
+      receiptId: 6, requestId: 20, organizationId: ORG, amount: proven, refund: true, validation: "Aprobado",
+      cfdiComprobante: { moneda: "USD" }, request: { userId: 3 },
+    });
+    prismaMock.advanceSettlement.findMany.mockResolvedValue(rows.filter((s) => s.currency !== "MXN"));
+
+    await svc.recordAdvanceDisbursed(20);
+    await svc.recordExpenseProven(6);
+    for (const row of rows.filter((s) => s.direction !== "BALANCED")) {
+      await svc.recordSettlement(row, { userId: 3 });
+    }
+    await svc.recordReimbursementOwed(20);
+
+    const balances = await svc.getUserBalances(3);
+    expect(balances.map((b) => b.currency)).toEqual(["MXN", "USD"]);
+    for (const b of balances) {
+      expect({ currency: b.currency, advance: b.advance.toNumber(), payable: b.payable.toNumber() })
+        .toEqual({ currency: b.currency, advance: 0, payable: 0 });
+    }
+    expect(entries.filter((e) => e.entryType === "ADVANCE_APPLIED").map((e) => e.sourceKey)).toHaveLength(2);
+  });
+});
+
+describe("saldos y estados de cuenta", () => {
+  test("el saldo del empleado es −(ADVANCE + PAYABLE) por moneda", async () => {
+    prismaMock.walletLedgerLine.groupBy.mockResolvedValue([
+      { currency: "MXN", account: "ADVANCE", _sum: { amount: new Prisma.Decimal("1000") } },
+      { currency: "MXN", account: "PAYABLE", _sum: { amount: new Prisma.Decimal("-250") } },
+      { currency: "USD", account: "PAYABLE", _sum: { amount: new Prisma.Decimal("-30") } },
+    ]);
+
+    const summary = await svc.getUserWalletSummary(3);
+
+    expect(summary).toEqual({
+      balance: -750,
+      balances: [{ currency: "MXN", balance: -750 }, { currency: "USD", balance: 30 }],
+    });
+  });
+
+  test("getUserStatement acumula el saldo por movimiento", async () => {
+    const line = (account, amount) => ({ account, amount: new Prisma.Decimal(amount), currency: "MXN" });
+    prismaMock.walletEntry.findMany.mockResolvedValue([
+      {
+        id: 1n, createdAt: new Date("2026-06-01"), entryType: "ADVANCE_DISBURSED", requestId: 20, receiptId: null,
+        polizaDocType: "AV", anticipoSnapshotId: 44, memo: null, lines: [line("ADVANCE", 1000), line("CASH", -1000)],
+      },
+      {
+        id: 2n, createdAt: new Date("2026-06-10"), entryType: "EXPENSE_PROVEN", requestId: 20, receiptId: 6,
+        polizaDocType: "GV", anticipoSnapshotId: null, memo: null, lines: [line("EXPENSE", 1200), line("ADVANCE", -1200)],
+      },
+      {
+        id: 3n, createdAt: new Date("2026-06-12"), entryType: "REIMBURSEMENT_OWED", requestId: 20, receiptId: null,
+        polizaDocType: "GV", anticipoSnapshotId: null, memo: null, lines: [line("ADVANCE", 200), line("PAYABLE", -200)],
+      },
+    ]);
+
+    const statement = await svc.getUserStatement(3);
+
+    expect(statement.entries.map((e) => [e.type, e.amount, e.balance])).toEqual([
+      ["ADVANCE_DISBURSED", -1000, -1000],
+      ["EXPENSE_PROVEN", 1200, 200],
+      ["REIMBURSEMENT_OWED", 0, 200],
+    ]);
+    expect(statement.entries[0].poliza).toEqual({ docType: "AV", anticipoSnapshotId: 44 });
+    expect(statement.balances).toEqual([{ currency: "MXN", balance: 200 }]);
+  });
+});
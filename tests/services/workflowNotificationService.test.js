@@ -6,29 +6,25 @@ import { jest, describe, test, expect, beforeEach } from "@jest/globals";
 process.env.NODE_ENV ??= "test";
 
 const mockPrisma = {
-  notificationTemplate: { findFirst: jest.fn() },
+  notificationTemplate: { findMany: jest.fn() },
+  organization: { findUnique: jest.fn() },
   user: { findUnique: jest.fn() },
   request: { findUnique: jest.fn() },
+  pushSubscription: { findMany: jest.fn() },
 };
 
-const mockCreateNotification = jest.fn().mockResolvedValue({ notificationId: 1 });
-const mockMail = jest.fn().mockResolvedValue(undefined);
-
 await jest.unstable_mockModule("../../database/config/prisma.js", () => ({
   default: mockPrisma,
 }));
 
-await jest.unstable_mockModule("../../services/notificationService.js", () => ({
-  createNotification: mockCreateNotification,
-}));
-
-await jest.unstable_mockModule("../../middleware/decryption.js", () => ({
-  decrypt: jest.fn((v) => `decrypted-${v}`),
-}));
-
-await jest.unstable_mockModule("../../services/email/mail.cjs", () => ({
-  Mail: mockMail,
-}));
+/**
+ * @param {Object[]} drafts
+ * @param {number} userId
+ * @param {string} channel
+ * @returns {Object|undefined}
+ */
+const draftFor = (drafts, userId, channel) =>
+  drafts.find((d) => d.userId === userId && d.channel === channel);
 
 const {
   notifyRequestSubmitted,
@@ -40,7 +36,9 @@ const {
 describe("workflowNotificationService", () => {
   beforeEach(() => {
     jest.clearAllMocks();
-    mockPrisma.notificationTemplate.findFirst.mockResolvedValue(null);
+    mockPrisma.notificationTemplate.findMany.mockResolvedValue([]);
+    mockPrisma.organization.findUnique.mockResolvedValue(null);
+    mockPrisma.pushSubscription.findMany.mockResolvedValue([]);
     mockPrisma.user.findUnique.mockImplementation(async ({ where }) => ({
       userId: where.userId,
       userName: where.userId === 10 ? "Carlos" : "Ana",
@@ -59,12 +57,13 @@ describe("workflowNotificationService", () => {
       user: { userName: "Ana" },
     });
 
-    await notifyRequestSubmitted(42);
+    const drafts = await notifyRequestSubmitted(42);
 
-    expect(mockCreateNotification).toHaveBeenCalled();
-    const n1Call = mockCreateNotification.mock.calls.find((c) => c[0] === 10);
-    expect(n1Call).toBeTruthy();
-    expect(n1Call[1]).toContain("42");
+    const n1 = draftFor(drafts, 10, "INAPP");
+    expect(n1).toMatchObject({ organizationId: 1n, templateCode: "request.awaiting_approval" });
+    expect(n1.body).toContain("42");
+    expect(draftFor(drafts, 5, "INAPP").templateCode).toBe("request.submitted");
+    expect(draftFor(drafts, 10, "EMAIL").html).toContain("Carlos");
   });
 
   test("notifyRequestApproved notifica al solicitante", async () => {
@@ -77,12 +76,9 @@ describe("workflowNotificationService", () => {
       user: { userName: "Ana" },
     });
 
-    await notifyRequestApproved(7, 10);
+    const drafts = await notifyRequestApproved(7, 10);
 
-    expect(mockCreateNotification).toHaveBeenCalledWith(
-      5,
-      expect.stringContaining("aprobada"),
-    );
+    expect(draftFor(drafts, 5, "INAPP").body).toContain("aprobada");
   });
 
   test("notifyRequestRejected incluye motivo", async () => {
@@ -95,12 +91,9 @@ describe("workflowNotificationService", () => {
       user: { userName: "Ana" },
     });
 
-    await notifyRequestRejected(9, "Documentación incompleta");
+    const drafts = await notifyRequestRejected(9, "Documentación incompleta");
 
-    expect(mockCreateNotification).toHaveBeenCalledWith(
-      5,
-      expect.stringContaining("Documentación incompleta"),
-    );
+    expect(draftFor(drafts, 5, "INAPP").body).toContain("Documentación incompleta");
   });
 
   test("notifyRequestEscalated notifica a N2", async () => {
@@ -119,11 +112,31 @@ describe("workflowNotificationService", () => {
       preference: null,
     }));
 
-    await notifyRequestEscalated(11);
+    const drafts = await notifyRequestEscalated(11);
+
+    expect(draftFor(drafts, 20, "INAPP").body).toContain("11");
+  });
+
+  test("respeta preferencias: sin campana ni correo, un push por suscripción", async () => {
+    mockPrisma.request.findUnique.mockResolvedValue({
+      requestId: 9,
+      organizationId: 1n,
+      userId: 5,
+      workflowPreSnapshot: {},
+      requestStatus: { status: "Rechazado" },
+      user: { userName: "Ana" },
+    });
+    mockPrisma.user.findUnique.mockResolvedValue({
+      userId: 5,
+      userName: "Ana",
+      email: "enc",
+      preference: { appNotif: false, emailNotif: false, browserNotif: true, locale: null },
+    });
+    mockPrisma.pushSubscription.findMany.mockResolvedValue([{ id: 3 }, { id: 4 }]);
+
+    const drafts = await notifyRequestRejected(9, "Fuera de política");
 
-    expect(mockCreateNotification).toHaveBeenCalledWith(
-      20,
-      expect.stringContaining("11"),
-    );
+    expect(drafts.map((d) => [d.channel, d.pushSubscriptionId])).toEqual([["PUSH", 3], ["PUSH", 4]]);
+    expect(drafts[0].body).toContain("Fuera de política");
   });
 });
@@ -1,8 +1,13 @@
 import { describe, expect, test } from "@jest/globals";
 import {
+  advanceSnapshot,
+  approvalStepsFromSnapshot,
   buildSnapshot,
+  currentStepIndex,
   initialStatusFromLevels,
   maxLevelFromImporteBands,
+  reassignCurrentStep,
+  recordStepVote,
   statusAfterN1Approval,
 } from "../../services/workflowRulesEngine.js";
 
@@ -112,4 +117,158 @@ describe("workflowRulesEngine", () => {
     );
     expect(snap.targetRole).toBe("N2");
   });
+
+  test("bandas de importe con target_role agregan Director y CFO después de N1/N2", () => {
+    const rules = [
+      ir(1, 50000, 1),
+      ir(2, 500000, 2),
+      ir(3, 999999999, 3, null, { targetRole: "Director" }),
+      ir(4, 999999999, 4, null, { targetRole: "CFO" }),
+    ];
+    const approvers = {
+      n1UserId: 10,
+      n2UserId: 20,
+      approverIds: [10, 20],
+      roleApprovers: { Director: 30, CFO: 40 },
+    };
+
+    const big = buildSnapshot(rules, { amount: 800000, currency: "MXN" }, "pre", approvers);
+    expect(big.steps).toEqual([
+      { level: 1, kind: "manager", userId: 10, roleName: "N1" },
+      { level: 2, kind: "manager", userId: 20, roleName: "N2" },
+      { level: 3, kind: "role", userId: 30, roleName: "Director" },
+      { level: 4, kind: "role", userId: 40, roleName: "CFO" },
+    ]);
+    expect(big.currentStep).toBe(0);
+    expect(big.n2UserId).toBe(20);
+
+    const mid = buildSnapshot(rules, { amount: 300000, currency: "MXN" }, "pre", approvers);
+    expect(mid.steps.map((step) => step.roleName)).toEqual(["N1", "N2"]);
+  });
+
+  test("agrega un paso por banda de monto si el último aprobador no cubre el importe", () => {
+    const snap = buildSnapshot(
+      [ir(1, 999999999, 1)],
+      { amount: 120000, currency: "MXN" },
+      "pre",
+      {
+        n1UserId: 10,
+        n2UserId: null,
+        approverIds: [10],
+        approvalLimits: { 10: 50000 },
+        amountBands: [
+          { roleName: "Director", maxApprovalAmount: 200000, userId: 30 },
+          { roleName: "CFO", maxApprovalAmount: 1000000, userId: 40 },
+        ],
+      },
+    );
+    expect(snap.steps).toEqual([
+      { level: 1, kind: "manager", userId: 10, roleName: "N1" },
+      { level: 2, kind: "amount", userId: 30, roleName: "Director" },
+    ]);
+    expect(snap.n2UserId).toBe(30);
+  });
+
+  test("snapshots sin steps se leen como N1/N2 y no guardan cursor", () => {
+    const legacy = { levels: [1, 2], n1UserId: 10, n2UserId: 20 };
+    expect(approvalStepsFromSnapshot(legacy).map((step) => step.userId)).toEqual([10, 20]);
+    expect(currentStepIndex(legacy, 3)).toBe(1);
+    expect(currentStepIndex(legacy, 4)).toBe(-1);
+    expect(advanceSnapshot(legacy, 1)).toBeNull();
+  });
+
+  test("advanceSnapshot mueve el cursor y n2UserId; reassignCurrentStep cambia el aprobador pendiente", () => {
+    const snap = {
+      levels: [1, 2],
+      n1UserId: 10,
+      n2UserId: 20,
+      currentStep: 1,
+      steps: [
+        { level: 1, kind: "manager", userId: 10, roleName: "N1" },
+        { level: 2, kind: "manager", userId: 20, roleName: "N2" },
+        { level: 3, kind: "role", userId: 30, roleName: "Director" },
+      ],
+    };
+    expect(currentStepIndex(snap, 3)).toBe(1);
+
+    const advanced = advanceSnapshot(snap, 2);
+    expect(advanced).toMatchObject({ currentStep: 2, n2UserId: 30, n1UserId: 10 });
+    expect(currentStepIndex(advanced, 3)).toBe(2);
+
+    const reassigned = reassignCurrentStep(advanced, 3, 31);
+    expect(reassigned.steps[2].userId).toBe(31);
+    expect(reassigned.n2UserId).toBe(31);
+    expect(snap.steps[2].userId).toBe(30);
+  });
+
+  test("reglas all/quorum de un nivel forman un paso de grupo que sustituye al de la cadena", () => {
+    const rules = [
+      ir(1, 999999999, 2),
+      ir(2, 999999999, 2, null, { targetRole: "Finanzas", approvalMode: "quorum", quorum: 2 }),
+    ];
+    const snap = buildSnapshot(rules, { amount: 50000, currency: "MXN" }, "pre", {
+      n1UserId: 10,
+      n2UserId: 20,
+      approverIds: [10, 20],
+      roleApprovers: { Finanzas: 51 },
+      roleMembers: { Finanzas: [51, 52, 53] },
+    });
+
+    expect(snap.steps).toEqual([
+      { level: 1, kind: "manager", userId: 10, roleName: "N1" },
+      {
+        level: 2,
+        kind: "role",
+        mode: "quorum",
+        userId: null,
+        roleName: "Finanzas",
+        approverIds: [51, 52, 53],
+        quorum: 2,
+        votes: [],
+        rejections: [],
+      },
+    ]);
+    expect(snap.n2UserId).toBeNull();
+    expect(snap.pendingApproverIds).toEqual([10]);
+    expect(advanceSnapshot(snap, 1).pendingApproverIds).toEqual([51, 52, 53]);
+  });
+
+  test("modo all: un titular por rol y el quórum se ajusta a los aprobadores disponibles", () => {
+    const rules = [
+      ir(1, 999999999, 1, null, { targetRole: "Presupuesto", approvalMode: "all" }),
+      ir(2, 999999999, 1, null, { targetRole: "Líder de proyecto", approvalMode: "all" }),
+    ];
+    const snap = buildSnapshot(rules, { amount: 1000, currency: "MXN" }, "pre", {
+      n1UserId: 10,
+      n2UserId: null,
+      approverIds: [10],
+      roleApprovers: { Presupuesto: 61, "Líder de proyecto": 62 },
+    });
+
+    expect(snap.steps).toHaveLength(1);
+    expect(snap.steps[0]).toMatchObject({ mode: "all", approverIds: [61, 62], quorum: 2 });
+    expect(snap.n1UserId).toBeNull();
+    expect(snap.pendingApproverIds).toEqual([61, 62]);
+  });
+
+  test("recordStepVote: satisfecho al reunir el quórum, derrotado cuando ya no es alcanzable", () => {
+    const snap = {
+      currentStep: 0,
+      steps: [{
+        level: 2, kind: "role", mode: "quorum", userId: null, roleName: "Finanzas",
+        approverIds: [51, 52, 53], quorum: 2, votes: [], rejections: [],
+      }],
+    };
+
+    const first = recordStepVote(snap, 0, 51, true);
+    expect(first).toMatchObject({ satisfied: false, defeated: false });
+    expect(first.snapshot.pendingApproverIds).toEqual([52, 53]);
+    expect(snap.steps[0].votes).toEqual([]);
+
+    expect(recordStepVote(first.snapshot, 0, 52, true).satisfied).toBe(true);
+
+    const against = recordStepVote(first.snapshot, 0, 52, false);
+    expect(against).toMatchObject({ satisfied: false, defeated: false });
+    expect(recordStepVote(against.snapshot, 0, 53, false).defeated).toBe(true);
+  });
 });
@@ -0,0 +1,190 @@
+/**
+ * @file tests/services/xlsxImportStrategy.test.js
+ * @description Importación de onboarding desde XLSX: selección de hoja, detección de encabezado,
+ * aliases de columnas, fechas, topes de celdas combinadas y validación compartida con CSV/JSON.
+ */
+import { describe, test, expect } from "@jest/globals";
+import zlib from "node:zlib";
+import { XlsxImportStrategy } from "../../services/onboarding/strategies/XlsxImportStrategy.js";
+import { resolveImportStrategy } from "../../services/onboarding/importStrategyResolver.js";
+import { validateImportRows } from "../../services/onboarding/onboardingImportValidationService.js";
+
+const XLSX_MIME = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+/**
+ * ZIP mínimo (deflate) con las partes indicadas.
+ * @param {Record<string, string>} files
+ * @returns {Buffer}
+ */
+function zip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, text] of Object.entries(files)) {
+    const raw = Buffer.from(text, "utf8");
+    const data = zlib.deflateRawSync(raw);
+    const nameBuf = Buffer.from(name, "utf8");
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(8, 8);
+    header.writeUInt32LE(zlib.crc32(raw), 14);
+    header.writeUInt32LE(data.length, 18);
+    header.writeUInt32LE(raw.length, 22);
+    header.writeUInt16LE(nameBuf.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(zlib.crc32(raw), 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(header, nameBuf, data);
+    centrals.push(central, nameBuf);
+    offset += 30 + nameBuf.length + data.length;
+  }
+  const cd = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(Object.keys(files).length, 8);
+  eocd.writeUInt16LE(Object.keys(files).length, 10);
+  eocd.writeUInt32LE(cd.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, cd, eocd]);
+}
+
+/**
+ * Libro con hojas de celdas inline; `n` = número, `d` = número con estilo de fecha, texto en otro caso.
+ * @param {Array<{ name: string, rows: Array<Array<*>>, merges?: string[], hidden?: boolean }>} sheets
+ * @returns {Buffer}
+ */
+function workbook(sheets) {
+  const col = (i) => String.fromCharCode(65 + i);
+  const files = {
+    "[Content_Types].xml": "<Types/>",
+    "xl/workbook.xml":
+      '<workbook xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+      sheets.map((s, i) => `<sheet name="${s.name}" sheetId="${i + 1}" r:id="rId${i + 1}"${s.hidden ? ' state="hidden"' : ""}/>`).join("") +
+      "</sheets></workbook>",
+    "xl/_rels/workbook.xml.rels":
+      "<Relationships>" +
+      sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Target="worksheets/sheet${i + 1}.xml"/>`).join("") +
+      "</Relationships>",
+    "xl/sharedStrings.xml": "<sst><si><t>Jefe Inmediato</t></si><si><r><t>No. </t></r><r><t>Empleado</t></r></si></sst>",
+    "xl/styles.xml": '<styleSheet><cellXfs count="2"><xf numFmtId="0"/><xf numFmtId="14"/></cellXfs></styleSheet>',
+  };
+  sheets.forEach((s, i) => {
+    const rows = s.rows.map((cells, r) => `<row r="${r + 1}">` + cells.map((v, c) => {
+      const ref = `${col(c)}${r + 1}`;
+      if (v === null) return "";
+      if (v?.s !== undefined) return `<c r="${ref}" t="s"><v>${v.s}</v></c>`;
+      if (v?.d !== undefined) return `<c r="${ref}" s="1"><v>${v.d}</v></c>`;
+      if (typeof v === "number") return `<c r="${ref}"><v>${v}</v></c>`;
+      return `<c r="${ref}" t="inlineStr"><is><t>${v}</t></is></c>`;
+    }).join("") + "</row>").join("");
+    const merges = s.merges?.length
+      ? `<mergeCells>${s.merges.map((m) => `<mergeCell ref="${m}"/>`).join("")}</mergeCells>`
+      : "";
+    files[`xl/worksheets/sheet${i + 1}.xml`] = `<worksheet><sheetData>${rows}</sheetData>${merges}</worksheet>`;
+  });
+  return zip(files);
+}
+
+const plantilla = {
+  name: "Plantilla RH",
+  rows: [
+    ["Plantilla de personal 2026", null, null, null, null, null, null],
+    [null, null, null, null, null, null, null],
+    ["Empleado", null, null, { s: 0 }, null, null, null],
+    [{ s: 1 }, "Nombre Completo", "Correo Electrónico", "No. Empleado", "Nombre", "CeCo", "Fecha de Alta"],
+    [1001, "Ana María López", "Ana@Acme.mx", null, null, "CC10", { d: 46037 }],
+    [1002, "Beto Ruiz", null, 1001, "Ana María López", "CC20", "05/03/2026"],
+    [null, null, null, null, null, null, null],
+    [1003, "Caro Díaz", "caro@acme.mx", 1001, null, "CC20", "31/02/2026"],
+  ],
+  merges: ["A1:G1", "A3:C3", "D3:E3"],
+};
+
+describe("XlsxImportStrategy", () => {
+  test("se registra por MIME y por extensión .xlsx", () => {
+    expect(resolveImportStrategy(XLSX_MIME, "roster.xlsx").label).toBe("XLSX");
+    expect(resolveImportStrategy("application/octet-stream", "Roster.XLSX").label).toBe("XLSX");
+  });
+
+  test("elige la hoja de empleados, detecta el encabezado de dos niveles y convierte fechas", async () => {
+    const buffer = workbook([
+      { name: "Portada", rows: [["Instrucciones"], ["Llenar la hoja Plantilla RH"]] },
+      plantilla,
+      { name: "Sociedades", rows: [["Código", "Nombre"], [1000, "Acme SA de CV"]] },
+      { name: "Vieja", hidden: true, rows: [["No. Empleado", "Nombre", "Correo", "CeCo", "Estatus"]] },
+    ]);
+
+    const { rows, societies } = await new XlsxImportStrategy().parse(buffer);
+
+    expect(rows).toHaveLength(3);
+    expect(rows[0]).toMatchObject({
+      userName: "1001",
+      email: "ana@acme.mx",
+      roleName: "Solicitante",
+      firstName: "Ana María",
+      lastName: "López",
+      noEmpleado: "1001",
+      sapCeco: "CC10",
+      department: "CC10",
+      sapStatus: "A",
+      fechaAlta: "2026-01-15",
+      _row: 5,
+    });
+    expect(rows[0].managerNoEmpleado).toBeUndefined();
+    expect(rows[1]).toMatchObject({
+      email: "1002.sap@sap.local",
+      managerNoEmpleado: "1001",
+      fechaAlta: "2026-03-05",
+      _row: 6,
+    });
+    expect(rows[2]._row).toBe(8);
+    expect(societies).toEqual([{ code: "1000", name: "Acme SA de CV" }]);
+
+    const { errors } = validateImportRows(
+      rows.map((r) => ({ ...r, mappedRoleName: r.roleName })),
+      ["Solicitante"],
+    );
+    expect(errors).toEqual([
+      expect.objectContaining({ row: 8, field: "fechaAlta", message: expect.stringContaining("2026-02-31") }),
+    ]);
+  });
+
+  test("respeta hoja explícita y columnHints; reporta hojas inexistentes", async () => {
+    const buffer = workbook([
+      plantilla,
+      { name: "Altas", rows: [["Usuario", "Clave SAP", "Mail"], ["pedro.ramos", 2001, "pedro@acme.mx"]] },
+    ]);
+    const strategy = new XlsxImportStrategy();
+
+    const { rows } = await strategy.parse(buffer, { sheet: "altas", columnHints: { "Clave SAP": "noEmpleado" } });
+    expect(rows).toEqual([
+      expect.objectContaining({ userName: "pedro.ramos", email: "pedro@acme.mx", noEmpleado: "2001", _row: 2 }),
+    ]);
+
+    await expect(strategy.parse(buffer, { sheet: 5 })).rejects.toThrow('Hojas disponibles: "Plantilla RH", "Altas"');
+    await expect(strategy.parse(buffer, { columnHints: { X: "salario" } })).rejects.toThrow("campo desconocido");
+    await expect(strategy.parse(Buffer.from("no es zip"))).rejects.toThrow("XLSX");
+  });
+
+  test("rangos combinados gigantes no se materializan y solo se parsea la hoja pedida", async () => {
+    const bomba = { name: "Bomba", rows: [["x"]], merges: ["A1:IV50000"] };
+    const buffer = workbook([
+      bomba,
+      { name: "Altas", rows: [["Usuario", "Correo"], ["pedro.ramos", "pedro@acme.mx"]] },
+    ]);
+    const strategy = new XlsxImportStrategy();
+
+    const { rows } = await strategy.parse(buffer, { sheet: "Altas" });
+    expect(rows).toEqual([expect.objectContaining({ userName: "pedro.ramos", _row: 2 })]);
+
+    await expect(strategy.parse(buffer)).rejects.toThrow("celdas combinadas");
+  });
+});